@@ -9,6 +9,12 @@ const { v4: uuidv4 } = require('uuid');
 const config = require('./config');
 const messageHandler = require('./handlers/messageHandler');
 const notifier = require('./utils/notifier');
+const consistencyHandler = require('./handlers/consistencyHandler');
+const userHandler = require('./handlers/userHandler');
+const statusBoardHandler = require('./handlers/statusBoardHandler');
+const drivers = require('./drivers');
+const formatters = require('./utils/formatters');
+const i18n = require('./utils/i18n');
 const logger = require('./utils/logger');
 const Lock = require('./models/lock');
 const StartupNotification = require('./models/startupNotification');
@@ -34,12 +40,14 @@ const MAX_INITIAL_DELAY = 40000; // 40 secondi
 const GLOBAL_LOCK_TIMEOUT = 180000; // 180 secondi (3 minuti)
 const TASK_LOCK_TIMEOUT = 60000; // 60 secondi per i task lock
 const CONNECTION_ATTEMPT_COOLDOWN = 30000; // 30 secondi min tra i tentativi di connessione
+const CONSISTENCY_CHECK_INTERVAL = 600000; // 10 minuti tra i controlli di coerenza dei contatori
 
 let bot = null;
 let masterLockHeartbeatInterval = null;
 let executionLockHeartbeatInterval = null;
 let lockCheckInterval = null;
 let keepAliveInterval = null;
+let consistencyCheckInterval = null;
 let isShuttingDown = false; // Flag per indicare che è in corso lo shutdown
 let notificationSystem = null; // Riferimento al sistema di notifiche
 let isBotStarting = false; // Flag per evitare avvii multipli simultanei
@@ -938,6 +946,40 @@ function startExecutionLockHeartbeat() {
   }, 10000); // Aggiorna ogni 10 secondi
 }
 
+/**
+ * Avvia un interval per ricalcolare periodicamente i contatori delle stazioni
+ * a partire da sessioni e coda, avvisando l'admin delle differenze corrette
+ */
+function startConsistencyCheck() {
+  if (consistencyCheckInterval) {
+    clearInterval(consistencyCheckInterval);
+  }
+  
+  consistencyCheckInterval = setInterval(async () => {
+    if (isShuttingDown) return; // Non modificare i dati durante lo shutdown
+    
+    try {
+      // Verifica che la connessione MongoDB sia attiva
+      if (mongoose.connection.readyState !== 1) {
+        logger.warn('MongoDB non connesso, skip controllo di coerenza');
+        return;
+      }
+      
+      // Usa executeWithLock per evitare correzioni concorrenti da più istanze
+      const report = await executeWithLock('consistency_check', async () => {
+        return await consistencyHandler.checkConsistency();
+      });
+      
+      if (report && report.issues > 0 && bot) {
+        const locale = await userHandler.getUserLocale(config.ADMIN_USER_ID);
+        await bot.sendMessage(config.ADMIN_USER_ID, formatters.formatConsistencyReport(report, locale), { parse_mode: 'Markdown' });
+      }
+    } catch (error) {
+      logger.error(`Errore durante il controllo di coerenza:`, error);
+    }
+  }, CONSISTENCY_CHECK_INTERVAL);
+}
+
 /**
  * Avvia un interval per controllare periodicamente lo stato dei lock
  */
@@ -1316,6 +1358,12 @@ async function stopBot() {
       logger.info('Sistema di notifiche fermato');
     }
     
+    // Ferma i driver delle colonnine
+    drivers.stopDrivers();
+    
+    // Ferma gli aggiornamenti del messaggio di stato del gruppo
+    statusBoardHandler.stopStatusBoard();
+    
     // Ferma il polling del bot
     logger.info('Arresto polling Telegram...');
     
@@ -1459,12 +1507,13 @@ async function startBotImplementation() {
     if (!recentlyNotified && config.ADMIN_USER_ID) {
       logger.info(`Tentativo di invio messaggio di avvio all'admin ${config.ADMIN_USER_ID}...`);
       try {
+        const locale = await userHandler.getUserLocale(config.ADMIN_USER_ID);
         await bot.sendMessage(config.ADMIN_USER_ID, 
-          `🤖 *Green-Charge Bot avviato*\n\n` +
-          `Il bot è ora online e pronto all'uso.\n\n` +
-          `Versione: 1.0.0\n` +
-          `Avviato: ${new Date().toLocaleString('it-IT')}\n` +
-          `ID Istanza: ${INSTANCE_ID}`,
+          i18n.t(locale, 'system.started', {
+            version: '1.0.0',
+            date: i18n.formatDateTime(new Date(), locale),
+            instance: INSTANCE_ID
+          }),
           { parse_mode: 'Markdown' });
         
         logger.info('✅ Messaggio di avvio inviato all\'admin');
@@ -1502,6 +1551,15 @@ async function startBotImplementation() {
     } catch (err) {
       logger.error('Errore nell\'avvio del sistema di notifiche:', err);
     }
+    
+    // Avvio controllo periodico di coerenza dei contatori
+    startConsistencyCheck();
+    
+    // Avvio driver delle colonnine (in polling il server OCPP non è disponibile)
+    drivers.startDrivers({ getBot: () => bot });
+    
+    // Avvio messaggio di stato fissato nel gruppo (se STATUS_BOARD è attivo)
+    statusBoardHandler.startStatusBoard({ getBot: () => bot });
 
     logger.info('✅ Bot avviato con successo');
     logger.logMemoryUsage(); // Log dell'utilizzo memoria
@@ -1606,6 +1664,11 @@ async function performShutdown(reason = 'NORMAL') {
       keepAliveInterval = null;
     }
     
+    if (consistencyCheckInterval) {
+      clearInterval(consistencyCheckInterval);
+      consistencyCheckInterval = null;
+    }
+    
     // Ferma il polling del bot PRIMA di rilasciare i lock
     // Questo è importante per evitare conflitti
     await stopBot();
@@ -9,6 +9,29 @@ module.exports = {
   MAX_SLOTS: parseInt(process.env.MAX_SLOTS || '5'),
   MAX_CHARGE_TIME: parseInt(process.env.MAX_CHARGE_TIME || '30'),
   REMINDER_TIME: parseInt(process.env.REMINDER_TIME || '5'),
+  QUEUE_TIMEOUT: parseInt(process.env.QUEUE_TIMEOUT || '5'),
+  HOLD_TIMEOUT: parseInt(process.env.HOLD_TIMEOUT || '5'),
+  OVERDUE_TIME: parseInt(process.env.OVERDUE_TIME || '5'),
+  EXTENSION_TIME: parseInt(process.env.EXTENSION_TIME || '15'),
+  MAX_SESSION_TIME: parseInt(process.env.MAX_SESSION_TIME || '60'),
+  PRICE_PER_KWH: parseFloat(process.env.PRICE_PER_KWH || '0'),
+  PRICE_PER_MINUTE: parseFloat(process.env.PRICE_PER_MINUTE || '0'),
+  MAX_DAILY_SESSIONS: parseInt(process.env.MAX_DAILY_SESSIONS || '0'),
+  MAX_WEEKLY_MINUTES: parseInt(process.env.MAX_WEEKLY_MINUTES || '0'),
+  COOLDOWN_TIME: parseInt(process.env.COOLDOWN_TIME || '0'),
+  CRITICAL_ADVANCE: parseInt(process.env.CRITICAL_ADVANCE || '30'),
+  ACCESSIBILITY_ADVANCE: parseInt(process.env.ACCESSIBILITY_ADVANCE || '15'),
+  STRIKE_OVERDUE_TIME: parseInt(process.env.STRIKE_OVERDUE_TIME || '30'),
+  STRIKES_TO_SUSPEND: parseInt(process.env.STRIKES_TO_SUSPEND || '3'),
+  SUSPENSION_DAYS: parseInt(process.env.SUSPENSION_DAYS || '7'),
+  STRIKE_WINDOW_DAYS: parseInt(process.env.STRIKE_WINDOW_DAYS || '30'),
+  STATUS_PAGE_SHOW_NAMES: process.env.STATUS_PAGE_SHOW_NAMES === 'true',
+  STATUS_PAGE_REFRESH: parseInt(process.env.STATUS_PAGE_REFRESH) || 60,
+  STATUS_BOARD: process.env.STATUS_BOARD === 'true',
+  STATUS_BOARD_INTERVAL: parseInt(process.env.STATUS_BOARD_INTERVAL || '10'),
+  OCPP_PASSWORD: process.env.OCPP_PASSWORD || null,
+  CHARGER_DRIVERS: (process.env.CHARGER_DRIVERS || 'ocpp').split(',').map(name => name.trim()).filter(Boolean),
+  CHARGER_GRACE_TIME: parseInt(process.env.CHARGER_GRACE_TIME || '10'),
   ENVIRONMENT: process.env.NODE_ENV || 'development',
   COMMAND_PREFIX: '/'
 };
\ No newline at end of file
@@ -0,0 +1,90 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/*
+ * Driver delle colonnine.
+ *
+ * Un driver collega il bot a un tipo di colonnina ed espone:
+ * - name: nome usato in CHARGER_DRIVERS
+ * - start(context): avvia il driver; context contiene getBot() e, in modalità webhook, httpServer.
+ *   Restituisce false se il driver non può funzionare in questo contesto
+ * - stop(): ferma il driver
+ *
+ * I driver comunicano gli eventi delle colonnine a handlers/chargerHandler:
+ * reportStatus (stato dello slot), reportStart e reportStop (inizio e fine della ricarica)
+ * e reportEnergy (energia e potenza della ricarica in corso).
+ */
+const DRIVERS = {
+  ocpp: require('./ocppDriver'),
+  simulator: require('./simulatorDriver')
+};
+
+// Driver avviati
+let activeDrivers = [];
+
+/**
+ * Avvia i driver indicati in CHARGER_DRIVERS, fermando quelli già attivi
+ * @param {Object} context - { getBot, httpServer }
+ * @returns {Array} - Nomi dei driver avviati
+ */
+function startDrivers(context) {
+  stopDrivers();
+
+  config.CHARGER_DRIVERS.forEach(name => {
+    const driver = DRIVERS[name];
+
+    if (!driver) {
+      logger.warn(`Driver "${name}" in CHARGER_DRIVERS sconosciuto, ignorato`);
+      return;
+    }
+
+    try {
+      if (driver.start(context) !== false) {
+        activeDrivers.push(driver);
+      }
+    } catch (error) {
+      logger.error(`Errore nell'avvio del driver ${name}: ${error.message}`);
+    }
+  });
+
+  return getActiveDrivers();
+}
+
+/**
+ * Ferma tutti i driver attivi
+ */
+function stopDrivers() {
+  activeDrivers.forEach(driver => {
+    try {
+      driver.stop();
+    } catch (error) {
+      logger.error(`Errore nell'arresto del driver ${driver.name}: ${error.message}`);
+    }
+  });
+
+  activeDrivers = [];
+}
+
+/**
+ * Ottiene i nomi dei driver attivi
+ * @returns {Array} - Nomi dei driver
+ */
+function getActiveDrivers() {
+  return activeDrivers.map(driver => driver.name);
+}
+
+/**
+ * Ottiene un driver attivo
+ * @param {String} name - Nome del driver
+ * @returns {Object|null} - Driver o null se non è attivo
+ */
+function getDriver(name) {
+  return activeDrivers.find(driver => driver.name === name) || null;
+}
+
+module.exports = {
+  startDrivers,
+  stopDrivers,
+  getActiveDrivers,
+  getDriver
+};
@@ -0,0 +1,49 @@
+const ocppServer = require('../utils/ocppServer');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// Server WebSocket delle colonnine e server HTTP su cui è registrato
+let server = null;
+let httpServer = null;
+
+/**
+ * Avvia il server OCPP 1.6-J sul server HTTP del bot
+ * @param {Object} context - { getBot, httpServer }
+ * @returns {Boolean} - false se non c'è un server HTTP (modalità polling) o manca OCPP_PASSWORD
+ */
+function start(context) {
+  if (!context.httpServer) {
+    logger.info('Driver ocpp: nessun server HTTP in modalità polling, server OCPP non avviato');
+    return false;
+  }
+
+  // Senza password chiunque potrebbe presentarsi come una colonnina e avviare o chiudere sessioni
+  if (!config.OCPP_PASSWORD) {
+    logger.warn('Driver ocpp: OCPP_PASSWORD non impostata, server OCPP non avviato');
+    return false;
+  }
+
+  httpServer = context.httpServer;
+  server = ocppServer.attachOcppServer(httpServer, context.getBot);
+  return true;
+}
+
+/**
+ * Chiude le connessioni delle colonnine
+ */
+function stop() {
+  if (server) {
+    // Senza rimuovere il listener, un nuovo avvio ne aggiungerebbe un secondo
+    httpServer.off('upgrade', server.handleUpgrade);
+    server.wss.clients.forEach(ws => ws.terminate());
+    server.wss.close();
+    server = null;
+    httpServer = null;
+  }
+}
+
+module.exports = {
+  name: 'ocpp',
+  start,
+  stop
+};
@@ -0,0 +1,165 @@
+const chargerHandler = require('../handlers/chargerHandler');
+const logger = require('../utils/logger');
+const { localizedError } = require('../utils/i18n');
+
+// Nome con cui il driver comunica con chargerHandler
+const DRIVER_NAME = 'simulator';
+// Potenza delle ricariche simulate (W)
+const SIMULATED_POWER = 7400;
+// Intervallo tra due letture dell'energia (ms)
+const ENERGY_INTERVAL = 60000;
+// Azioni disponibili sugli slot simulati
+const SIMULATOR_ACTIONS = ['plug', 'start', 'stop', 'unplug'];
+
+// Contesto passato all'avvio (null se il driver non è attivo)
+let context = null;
+let energyTimer = null;
+// Slot simulati per "stazione:slot": { plugged, charge: { startedAt, lastAt, energyWh } }
+const slots = new Map();
+
+/**
+ * Ottiene lo slot simulato, creandolo se necessario
+ * @param {Object} stationId - ID della stazione
+ * @param {Number} slotNumber - Numero dello slot
+ * @returns {Object} - Slot simulato
+ */
+function getSlot(stationId, slotNumber) {
+  const key = `${stationId}:${slotNumber}`;
+
+  if (!slots.has(key)) {
+    slots.set(key, { stationId, slotNumber, plugged: false, charge: null });
+  }
+
+  return slots.get(key);
+}
+
+/**
+ * Aggiorna l'energia erogata dalla ricarica simulata di uno slot
+ * @param {Object} slot - Slot simulato
+ */
+function accumulateEnergy(slot) {
+  const now = Date.now();
+  slot.charge.energyWh += SIMULATED_POWER * (now - slot.charge.lastAt) / 3600000;
+  slot.charge.lastAt = now;
+}
+
+/**
+ * Comunica l'energia delle ricariche simulate in corso
+ * @returns {Promise<void>}
+ */
+async function reportEnergy() {
+  for (const slot of slots.values()) {
+    if (!slot.charge) {
+      continue;
+    }
+
+    accumulateEnergy(slot);
+
+    try {
+      await chargerHandler.reportEnergy(context.getBot(), {
+        driver: DRIVER_NAME,
+        stationId: slot.stationId,
+        slotNumber: slot.slotNumber,
+        energyWh: Math.round(slot.charge.energyWh),
+        powerW: SIMULATED_POWER
+      });
+    } catch (error) {
+      logger.error(`Simulatore: errore nella lettura dell'energia dello slot ${slot.slotNumber}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Avvia il driver
+ * @param {Object} driverContext - { getBot, httpServer }
+ */
+function start(driverContext) {
+  context = driverContext;
+  energyTimer = setInterval(reportEnergy, ENERGY_INTERVAL);
+  logger.info('Driver simulator attivo: usa /admin_chargers sim per simulare i veicoli');
+}
+
+/**
+ * Ferma il driver e dimentica gli slot simulati
+ */
+function stop() {
+  if (energyTimer) {
+    clearInterval(energyTimer);
+    energyTimer = null;
+  }
+
+  slots.clear();
+  context = null;
+}
+
+/**
+ * Simula un evento su uno slot
+ * @param {String} action - plug (veicolo collegato), start (inizio ricarica), stop (fine ricarica), unplug (veicolo scollegato)
+ * @param {Object} station - Stazione dello slot
+ * @param {Number} slotNumber - Numero dello slot
+ * @param {String|null} rfidTag - Tessera RFID usata per avviare la ricarica
+ * @returns {Promise<Object>} - { action, energyWh, result } con il risultato dell'evento in chargerHandler
+ */
+async function simulate(action, station, slotNumber, rfidTag = null) {
+  if (!context) {
+    throw localizedError('errors.simulator.inactive');
+  }
+
+  if (!SIMULATOR_ACTIONS.includes(action)) {
+    throw localizedError('errors.simulator.invalidAction', { action, actions: SIMULATOR_ACTIONS.join(', ') });
+  }
+
+  if (!Number.isInteger(slotNumber) || slotNumber < 1 || slotNumber > station.total_slots) {
+    throw localizedError('errors.simulator.invalidSlot', { station: station.name, slots: station.total_slots });
+  }
+
+  const bot = context.getBot();
+  const slot = getSlot(station._id, slotNumber);
+  const event = { driver: DRIVER_NAME, stationId: station._id, slotNumber };
+  let energyWh = null;
+  let result = null;
+
+  if (action === 'plug') {
+    slot.plugged = true;
+    result = await chargerHandler.reportStatus(bot, { ...event, status: 'occupied' });
+  }
+
+  if (action === 'start') {
+    if (slot.charge) {
+      throw localizedError('errors.simulator.alreadyCharging', { slot: slotNumber });
+    }
+
+    slot.plugged = true;
+    slot.charge = { startedAt: Date.now(), lastAt: Date.now(), energyWh: 0 };
+    result = await chargerHandler.reportStart(bot, { ...event, rfidTag });
+  }
+
+  // Scollegare il veicolo durante la ricarica la termina
+  if (action === 'stop' || (action === 'unplug' && slot.charge)) {
+    if (!slot.charge) {
+      throw localizedError('errors.simulator.notCharging', { slot: slotNumber });
+    }
+
+    accumulateEnergy(slot);
+    energyWh = Math.round(slot.charge.energyWh);
+    slot.charge = null;
+    result = await chargerHandler.reportStop(bot, { ...event, energyWh, reason: action === 'stop' ? 'Local' : 'EVDisconnected' });
+  }
+
+  if (action === 'unplug') {
+    slot.plugged = false;
+    result = await chargerHandler.reportStatus(bot, { ...event, status: 'available' });
+  }
+
+  logger.info(`Simulatore: ${action} sullo slot ${slotNumber} di ${station.name}`);
+
+  return { action, energyWh, result };
+}
+
+module.exports = {
+  name: DRIVER_NAME,
+  SIMULATOR_ACTIONS,
+  start,
+  stop,
+  simulate
+};
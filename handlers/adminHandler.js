@@ -1,13 +1,32 @@
 const Session = require('../models/session');
 const Queue = require('../models/queue');
-const System = require('../models/system');
+const Station = require('../models/station');
+const Reservation = require('../models/reservation');
 const User = require('../models/user');
 const userHandler = require('./userHandler');
 const queueHandler = require('./queueHandler');
 const sessionHandler = require('./sessionHandler');
+const reservationHandler = require('./reservationHandler');
+const stationHandler = require('./stationHandler');
+const settingsHandler = require('./settingsHandler');
+const consistencyHandler = require('./consistencyHandler');
+const billingHandler = require('./billingHandler');
+const fairnessHandler = require('./fairnessHandler');
+const roleHandler = require('./roleHandler');
+const auditHandler = require('./auditHandler');
+const strikeHandler = require('./strikeHandler');
+const apiKeyHandler = require('./apiKeyHandler');
+const webhookHandler = require('./webhookHandler');
+const ocppHandler = require('./ocppHandler');
+const chargerHandler = require('./chargerHandler');
+const notificationHandler = require('./notificationHandler');
+const drivers = require('../drivers');
 const config = require('../config');
 const logger = require('../utils/logger');
 const formatters = require('../utils/formatters');
+const i18n = require('../utils/i18n');
+
+const { t } = i18n;
 
 /**
  * Gestisce i comandi admin
@@ -16,75 +35,212 @@ const formatters = require('../utils/formatters');
  * @param {Number} userId - ID Telegram dell'amministratore
  * @param {String} command - Comando da eseguire
  * @param {String} fullText - Testo completo del messaggio
+ * @param {String} locale - Lingua dell'amministratore
  * @returns {Promise<void>}
  */
-async function handleAdminCommand(bot, chatId, userId, command, fullText) {
+async function handleAdminCommand(bot, chatId, userId, command, fullText, locale) {
   try {
-    // Verifica che l'utente sia effettivamente admin
-    if (userId !== config.ADMIN_USER_ID) {
-      bot.sendMessage(chatId, '🚫 Comando riservato agli amministratori.');
+    const params = fullText.split(' ').slice(1);
+    
+    // Verifica che il ruolo dell'utente consenta il comando
+    if (!roleHandler.canUseCommand(await roleHandler.getRole(userId), command, params)) {
+      bot.sendMessage(chatId, t(locale, 'access.adminOnly'));
       return;
     }
     
-    const params = fullText.split(' ').slice(1);
-    
     switch (command) {
       case 'status':
-        await handleAdminStatus(bot, chatId);
+        await handleAdminStatus(bot, chatId, locale);
         break;
         
       case 'stats':
-        await handleAdminStats(bot, chatId);
+        await handleAdminStats(bot, chatId, locale);
         break;
         
       case 'reset_slot':
         if (params.length < 1) {
-          bot.sendMessage(chatId, '❌ Uso: /admin_reset_slot @username');
+          bot.sendMessage(chatId, t(locale, 'admin.usage.reset_slot'));
           return;
         }
-        await handleResetSlot(bot, chatId, params[0]);
+        await handleResetSlot(bot, chatId, userId, params[0], locale);
         break;
         
       case 'remove_queue':
         if (params.length < 1) {
-          bot.sendMessage(chatId, '❌ Uso: /admin_remove_queue @username');
+          bot.sendMessage(chatId, t(locale, 'admin.usage.remove_queue'));
           return;
         }
-        await handleRemoveFromQueue(bot, chatId, params[0]);
+        await handleRemoveFromQueue(bot, chatId, userId, params[0], locale);
         break;
         
       case 'set_max_slots':
         if (params.length < 1 || isNaN(parseInt(params[0]))) {
-          bot.sendMessage(chatId, '❌ Uso: /admin_set_max_slots [numero]');
+          bot.sendMessage(chatId, t(locale, 'admin.usage.set_max_slots'));
+          return;
+        }
+        await handleSetMaxSlots(bot, chatId, userId, parseInt(params[0]), params.slice(1).join(' '), locale);
+        break;
+        
+      case 'check':
+        await handleCheck(bot, chatId, params[0] === 'fix', locale);
+        break;
+        
+      case 'report':
+        await handleReport(bot, chatId, params[0], locale);
+        break;
+        
+      case 'settings':
+        await handleSettings(bot, chatId, locale);
+        break;
+        
+      case 'set':
+        if (params.length < 2) {
+          bot.sendMessage(chatId, t(locale, 'admin.usage.set'));
+          return;
+        }
+        await handleSetSetting(bot, chatId, userId, params[0], params[1], locale);
+        break;
+        
+      case 'set_charge_time':
+      case 'set_reminder_time':
+        if (params.length < 1) {
+          bot.sendMessage(chatId, t(locale, 'admin.usage.set_minutes', { command }));
+          return;
+        }
+        await handleSetSetting(bot, chatId, userId, command.replace('set_', ''), params[0], locale);
+        break;
+        
+      case 'stations':
+        await handleStations(bot, chatId, locale);
+        break;
+        
+      case 'add_station':
+        if (params.length < 1) {
+          bot.sendMessage(chatId, t(locale, 'admin.usage.add_station'));
+          return;
+        }
+        await handleAddStation(bot, chatId, params.join(' '), locale);
+        break;
+        
+      case 'edit_station':
+        if (params.length < 3) {
+          bot.sendMessage(chatId, t(locale, 'admin.usage.edit_station'));
           return;
         }
-        await handleSetMaxSlots(bot, chatId, parseInt(params[0]));
+        await handleEditStation(bot, chatId, params[0], params[1], params.slice(2).join(' '), locale);
+        break;
+        
+      case 'priority':
+        if (params.length < 2) {
+          bot.sendMessage(chatId, t(locale, 'admin.usage.priority'));
+          return;
+        }
+        await handleSetPriority(bot, chatId, userId, params[0], params[1].toLowerCase(), locale);
+        break;
+        
+      case 'urgent':
+        await handleUrgentRequests(bot, chatId, parseInt(params[0]) || 7, locale);
+        break;
+        
+      case 'roles':
+        await handleRoles(bot, chatId, locale);
+        break;
+        
+      case 'audit':
+        await handleAudit(bot, chatId, params, locale);
+        break;
+        
+      case 'strikes':
+        await handleStrikes(bot, chatId, userId, params, locale);
+        break;
+        
+      case 'ban':
+        if (params.length < 1) {
+          bot.sendMessage(chatId, t(locale, 'admin.usage.ban'));
+          return;
+        }
+        await handleBan(bot, chatId, userId, params, locale);
+        break;
+        
+      case 'unban':
+        if (params.length < 1) {
+          bot.sendMessage(chatId, t(locale, 'admin.usage.unban'));
+          return;
+        }
+        await handleUnban(bot, chatId, userId, params[0], locale);
+        break;
+        
+      case 'apikey':
+        await handleApiKey(bot, chatId, userId, params, locale);
+        break;
+        
+      case 'webhook':
+        await handleWebhook(bot, chatId, userId, params, locale);
+        break;
+        
+      case 'ocpp':
+        await handleOcpp(bot, chatId, userId, params, locale);
+        break;
+        
+      case 'chargers':
+        await handleChargers(bot, chatId, userId, params, locale);
+        break;
+        
+      case 'grant':
+        if (params.length < 2) {
+          bot.sendMessage(chatId, t(locale, 'admin.usage.grant'));
+          return;
+        }
+        await handleSetRole(bot, chatId, userId, params[0], params[1].toLowerCase(), locale);
+        break;
+        
+      case 'revoke':
+        if (params.length < 1) {
+          bot.sendMessage(chatId, t(locale, 'admin.usage.revoke'));
+          return;
+        }
+        await handleSetRole(bot, chatId, userId, params[0], 'user', locale);
+        break;
+        
+      case 'exempt':
+        if (params.length < 1) {
+          await handleExemptions(bot, chatId, locale);
+          return;
+        }
+        await handleSetExemption(bot, chatId, userId, params[0], true, locale);
+        break;
+        
+      case 'unexempt':
+        if (params.length < 1) {
+          bot.sendMessage(chatId, t(locale, 'admin.usage.unexempt'));
+          return;
+        }
+        await handleSetExemption(bot, chatId, userId, params[0], false, locale);
         break;
         
       case 'notify_all':
         if (params.length < 1) {
-          bot.sendMessage(chatId, '❌ Uso: /admin_notify_all [messaggio]');
+          bot.sendMessage(chatId, t(locale, 'admin.usage.notify_all'));
           return;
         }
-        await handleNotifyAll(bot, chatId, params.join(' '));
+        await handleNotifyAll(bot, chatId, userId, params.join(' '), locale);
         break;
         
       case 'reset_system':
-        await handleResetSystem(bot, chatId);
+        await handleResetSystem(bot, chatId, locale);
         break;
         
       case 'help':
-        const helpMessage = formatters.formatAdminHelpMessage();
+        const helpMessage = formatters.formatAdminHelpMessage(settingsHandler.getSettingValues(), locale);
         bot.sendMessage(chatId, helpMessage, { parse_mode: 'Markdown' });
         break;
         
       default:
-        bot.sendMessage(chatId, 
-          '❓ Comando admin non riconosciuto. Usa /admin_help per la lista dei comandi disponibili.');
+        bot.sendMessage(chatId, t(locale, 'admin.unknownCommand'));
     }
   } catch (error) {
     logger.error(`Admin command error (${command}):`, error);
-    bot.sendMessage(chatId, `❌ Errore durante l'esecuzione del comando: ${error.message}`);
+    bot.sendMessage(chatId, t(locale, 'admin.commandError', { error: i18n.translateError(error, locale) }));
   }
 }
 
@@ -92,51 +248,65 @@ async function handleAdminCommand(bot, chatId, userId, command, fullText) {
  * Gestisce il comando admin_status
  * @param {Object} bot - Istanza del bot Telegram
  * @param {Number} chatId - ID della chat
+ * @param {String} locale - Lingua dell'amministratore
  * @returns {Promise<void>}
  */
-async function handleAdminStatus(bot, chatId) {
+async function handleAdminStatus(bot, chatId, locale) {
   try {
-    const status = await queueHandler.getSystemStatus();
-    
-    let message = `🔧 *ADMIN: Stato dettagliato del sistema*\n\n`;
-    message += `🔌 *Configurazione:*\n`;
-    message += `- Slot totali: *${status.total_slots}*\n`;
-    message += `- Slot occupati: *${status.slots_occupied}/${status.total_slots}*\n`;
-    message += `- Slot disponibili: *${status.slots_available}*\n`;
-    message += `- Tempo max ricarica: *${config.MAX_CHARGE_TIME} min*\n`;
-    message += `- Tempo promemoria: *${config.REMINDER_TIME} min*\n`;
-    message += `- Utenti in coda: *${status.queue_length}*\n\n`;
-    
-    if (status.active_sessions.length > 0) {
-      message += `⚡ *Utenti attualmente in ricarica:*\n`;
-      status.active_sessions.forEach((session, index) => {
-        message += `${index + 1}. @${session.username} (ID: ${session.telegram_id}) - ` +
-                   `Slot ${session.slot_number}, ` +
-                   `iniziato alle ${formatters.formatTime(session.start_time)}, ` +
-                   `termina alle ${formatters.formatTime(session.end_time)} ` +
-                   `(tra *${session.remaining_minutes} min*)\n`;
-      });
-    } else {
-      message += `⚡ *Nessun utente attualmente in ricarica.*\n`;
-    }
+    const statuses = await queueHandler.getAllStationsStatus();
     
-    message += `\n`;
+    let message = `${t(locale, 'admin.status.title')}\n`;
     
-    if (status.queue.length > 0) {
-      message += `👥 *Utenti in coda:*\n`;
-      status.queue.forEach((user, index) => {
-        message += `${index + 1}. @${user.username} (ID: ${user.telegram_id}) - ` +
-                   `Posizione #${user.position}, ` +
-                   `in attesa da ${formatters.formatTimeDiff(user.request_time)}\n`;
-      });
-    } else {
-      message += `👥 *Nessun utente in coda.*`;
-    }
+    statuses.forEach(status => {
+      message += `\n🏢 *${status.station_name}*${status.station_address ? ` - ${status.station_address}` : ''}\n`;
+      message += `${t(locale, 'admin.status.configuration')}\n`;
+      message += `${t(locale, 'admin.status.totalSlots', { count: status.total_slots })}\n`;
+      message += `${t(locale, 'admin.status.occupiedSlots', { occupied: status.slots_occupied, total: status.total_slots })}\n`;
+      message += `${t(locale, 'admin.status.availableSlots', { count: status.slots_available })}\n`;
+      message += `${t(locale, 'admin.status.chargeTime', { minutes: status.max_charge_time })}\n`;
+      message += `${t(locale, 'admin.status.reminderTime', { minutes: status.reminder_time })}\n`;
+      message += `${t(locale, 'admin.status.queueLength', { count: status.queue_length })}\n\n`;
+      
+      if (status.active_sessions.length > 0) {
+        message += `${t(locale, 'admin.status.charging')}\n`;
+        status.active_sessions.forEach((session, index) => {
+          message += `${t(locale, 'admin.status.chargingEntry', {
+            index: index + 1,
+            username: session.username,
+            id: session.telegram_id,
+            slot: session.slot_number,
+            start: formatters.formatTime(session.start_time, locale),
+            end: formatters.formatTime(session.end_time, locale),
+            minutes: session.remaining_minutes
+          })}\n`;
+        });
+      } else {
+        message += `${t(locale, 'admin.status.noCharging')}\n`;
+      }
+      
+      message += `\n`;
+      
+      if (status.queue.length > 0) {
+        message += `${t(locale, 'admin.status.queue')}\n`;
+        status.queue.forEach((user, index) => {
+          message += `${t(locale, 'admin.status.queueEntry', {
+            index: index + 1,
+            username: user.username,
+            id: user.telegram_id,
+            position: user.position,
+            priority: formatters.formatPriorityBadge(user.priority, locale),
+            waiting: formatters.formatTimeDiff(user.request_time)
+          })}\n`;
+        });
+      } else {
+        message += `${t(locale, 'admin.status.emptyQueue')}\n`;
+      }
+    });
     
     bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
   } catch (error) {
     logger.error('Admin status error:', error);
-    bot.sendMessage(chatId, `❌ Errore durante il recupero dello stato: ${error.message}`);
+    bot.sendMessage(chatId, t(locale, 'admin.status.error', { error: i18n.translateError(error, locale) }));
   }
 }
 
@@ -144,32 +314,48 @@ async function handleAdminStatus(bot, chatId) {
  * Gestisce il comando admin_stats
  * @param {Object} bot - Istanza del bot Telegram
  * @param {Number} chatId - ID della chat
+ * @param {String} locale - Lingua dell'amministratore
  * @returns {Promise<void>}
  */
-async function handleAdminStats(bot, chatId) {
+async function handleAdminStats(bot, chatId, locale) {
   try {
     const stats = await queueHandler.getSystemStats();
     
-    let message = `📊 *ADMIN: Statistiche del sistema*\n\n`;
-    message += `📈 *Statistiche generali:*\n`;
-    message += `- Ricariche totali completate: *${stats.total_charges_completed}*\n`;
-    message += `- Ricariche completate oggi: *${stats.charges_today}*\n`;
-    message += `- Tempo medio di ricarica: *${stats.avg_charge_time} minuti*\n\n`;
+    let message = `${t(locale, 'admin.stats.title')}\n\n`;
+    message += `${t(locale, 'admin.stats.general')}\n`;
+    message += `${t(locale, 'admin.stats.totalCharges', { count: stats.total_charges_completed })}\n`;
+    message += `${t(locale, 'admin.stats.chargesToday', { count: stats.charges_today })}\n`;
+    message += `${t(locale, 'admin.stats.averageTime', { duration: formatters.formatMinutes(stats.avg_charge_time, locale) })}\n`;
+    message += `${t(locale, 'admin.stats.energy', { energy: formatters.formatEnergy(stats.total_energy_kwh, locale) })}\n`;
+    message += `${t(locale, 'admin.stats.cost', { cost: formatters.formatCost(stats.total_cost, locale) })}\n\n`;
     
-    message += `👥 *Statistiche utenti:*\n`;
-    message += `- Utenti totali registrati: *${stats.total_users}*\n`;
-    message += `- Utenti attivi negli ultimi 30 giorni: *${stats.active_users}*\n\n`;
+    message += `${t(locale, 'admin.stats.users')}\n`;
+    message += `${t(locale, 'admin.stats.totalUsers', { count: stats.total_users })}\n`;
+    message += `${t(locale, 'admin.stats.activeUsers', { count: stats.active_users })}\n\n`;
     
-    message += `🔌 *Stato attuale:*\n`;
-    message += `- Slot totali: *${stats.total_slots}*\n`;
-    message += `- Slot occupati: *${stats.current_status.slots_occupied}/${stats.total_slots}*\n`;
-    message += `- Slot disponibili: *${stats.current_status.slots_available}*\n`;
-    message += `- Utenti in coda: *${stats.current_status.queue_length}*`;
+    message += `${t(locale, 'admin.stats.current')}\n`;
+    message += `${t(locale, 'admin.status.totalSlots', { count: stats.total_slots })}\n`;
+    message += `${t(locale, 'admin.status.occupiedSlots', { occupied: stats.current_status.slots_occupied, total: stats.total_slots })}\n`;
+    message += `${t(locale, 'admin.status.availableSlots', { count: stats.current_status.slots_available })}\n`;
+    message += t(locale, 'admin.status.queueLength', { count: stats.current_status.queue_length });
+    
+    if (stats.stations.length > 1) {
+      message += `\n\n${t(locale, 'admin.stats.perStation')}\n`;
+      stats.stations.forEach(station => {
+        message += `${t(locale, 'admin.stats.stationRow', {
+          station: station.name,
+          occupied: station.slots_occupied,
+          total: station.total_slots,
+          queue: station.queue_length,
+          charges: station.total_charges_completed
+        })}\n`;
+      });
+    }
     
     bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
   } catch (error) {
     logger.error('Admin stats error:', error);
-    bot.sendMessage(chatId, `❌ Errore durante il recupero delle statistiche: ${error.message}`);
+    bot.sendMessage(chatId, t(locale, 'admin.stats.error', { error: i18n.translateError(error, locale) }));
   }
 }
 
@@ -177,10 +363,12 @@ async function handleAdminStats(bot, chatId) {
  * Gestisce il comando admin_reset_slot
  * @param {Object} bot - Istanza del bot Telegram
  * @param {Number} chatId - ID della chat
+ * @param {Number} adminId - ID Telegram dell'amministratore
  * @param {String} username - Username Telegram dell'utente
+ * @param {String} locale - Lingua dell'amministratore
  * @returns {Promise<void>}
  */
-async function handleResetSlot(bot, chatId, username) {
+async function handleResetSlot(bot, chatId, adminId, username, locale) {
   try {
     // Pulisci lo username da eventuali @
     username = username.replace('@', '');
@@ -189,37 +377,36 @@ async function handleResetSlot(bot, chatId, username) {
     const user = await User.findOne({ username });
     
     if (!user) {
-      bot.sendMessage(chatId, `❌ Utente @${username} non trovato.`);
+      bot.sendMessage(chatId, t(locale, 'admin.userNotFound', { username }));
       return;
     }
     
     // Trova e termina la sessione attiva
-    const result = await sessionHandler.endSession(user.telegram_id, 'admin_terminated');
+    const result = await sessionHandler.endSession(user.telegram_id, 'admin_terminated', null, adminId);
     
     if (!result || !result.session) {
-      bot.sendMessage(chatId, `ℹ️ Utente @${username} non ha sessioni attive.`);
+      bot.sendMessage(chatId, t(locale, 'admin.noActiveSession', { username }));
       return;
     }
     
-    // Notifica l'utente
-    bot.sendMessage(user.telegram_id, 
-      `⚠️ *La tua sessione di ricarica è stata terminata da un amministratore.*\n\n` +
-      `⏱️ Durata: *${result.durationMinutes} minuti*.\n\n` +
-      `Per ulteriori informazioni, contatta un amministratore.`, 
-      { parse_mode: 'Markdown' });
+    // Notifica l'utente nella sua lingua
+    const userLocale = await userHandler.getUserLocale(user.telegram_id);
+    bot.sendMessage(user.telegram_id, t(userLocale, 'session.terminatedByAdmin', {
+      duration: formatters.formatMinutes(result.durationMinutes, userLocale)
+    }), { parse_mode: 'Markdown' });
     
     // Notifica l'admin
-    bot.sendMessage(chatId, 
-      `✅ Slot di @${username} (ID: ${user.telegram_id}) è stato resettato.\n\n` +
-      `⏱️ Durata della sessione: *${result.durationMinutes} minuti*.\n\n` +
-      `🔔 È stato inviato un avviso al prossimo utente in coda.`, 
-      { parse_mode: 'Markdown' });
+    bot.sendMessage(chatId, t(locale, 'admin.slotReset', {
+      username,
+      id: user.telegram_id,
+      duration: formatters.formatMinutes(result.durationMinutes, locale)
+    }), { parse_mode: 'Markdown' });
     
     // Notifica il prossimo utente in coda
-    await queueHandler.notifyNextInQueue(bot);
+    await queueHandler.notifyNextInQueue(bot, result.session.station);
   } catch (error) {
     logger.error(`Admin reset slot error for ${username}:`, error);
-    bot.sendMessage(chatId, `❌ Errore durante il reset dello slot: ${error.message}`);
+    bot.sendMessage(chatId, t(locale, 'admin.resetSlotError', { error: i18n.translateError(error, locale) }));
   }
 }
 
@@ -227,37 +414,38 @@ async function handleResetSlot(bot, chatId, username) {
  * Gestisce il comando admin_remove_queue
  * @param {Object} bot - Istanza del bot Telegram
  * @param {Number} chatId - ID della chat
+ * @param {Number} adminId - ID Telegram dell'amministratore
  * @param {String} username - Username Telegram dell'utente
+ * @param {String} locale - Lingua dell'amministratore
  * @returns {Promise<void>}
  */
-async function handleRemoveFromQueue(bot, chatId, username) {
+async function handleRemoveFromQueue(bot, chatId, adminId, username, locale) {
   try {
     // Pulisci lo username da eventuali @
     username = username.replace('@', '');
     
     // Rimuovi dalla coda
-    const result = await queueHandler.adminRemoveFromQueue(username);
+    const result = await queueHandler.adminRemoveFromQueue(username, adminId);
     
     if (!result) {
-      bot.sendMessage(chatId, `❌ Utente @${username} non trovato in coda.`);
+      bot.sendMessage(chatId, t(locale, 'admin.notInQueue', { username }));
       return;
     }
     
-    // Notifica l'utente
-    bot.sendMessage(result.telegram_id, 
-      `⚠️ *Sei stato rimosso dalla coda da un amministratore.*\n\n` +
-      `ℹ️ Eri in posizione #${result.position}.\n\n` +
-      `Per ulteriori informazioni, contatta un amministratore.`,
+    // Notifica l'utente nella sua lingua
+    const userLocale = await userHandler.getUserLocale(result.telegram_id);
+    bot.sendMessage(result.telegram_id, t(userLocale, 'queue.removedByAdmin', { position: result.position }),
       { parse_mode: 'Markdown' });
     
     // Notifica l'admin
-    bot.sendMessage(chatId, 
-      `✅ @${username} (ID: ${result.telegram_id}) è stato rimosso dalla coda.\n\n` +
-      `ℹ️ Era in posizione #${result.position}.`,
-      { parse_mode: 'Markdown' });
+    bot.sendMessage(chatId, t(locale, 'admin.removedFromQueue', {
+      username,
+      id: result.telegram_id,
+      position: result.position
+    }), { parse_mode: 'Markdown' });
   } catch (error) {
     logger.error(`Admin remove from queue error for ${username}:`, error);
-    bot.sendMessage(chatId, `❌ Errore durante la rimozione dalla coda: ${error.message}`);
+    bot.sendMessage(chatId, t(locale, 'admin.removeQueueError', { error: i18n.translateError(error, locale) }));
   }
 }
 
@@ -265,32 +453,812 @@ async function handleRemoveFromQueue(bot, chatId, username) {
  * Gestisce il comando admin_set_max_slots
  * @param {Object} bot - Istanza del bot Telegram
  * @param {Number} chatId - ID della chat
+ * @param {Number} adminId - ID Telegram dell'amministratore
  * @param {Number} maxSlots - Nuovo numero massimo di slot
+ * @param {String} stationQuery - Stazione da modificare (opzionale se ce n'è una sola)
+ * @param {String} locale - Lingua dell'amministratore
  * @returns {Promise<void>}
  */
-async function handleSetMaxSlots(bot, chatId, maxSlots) {
+async function handleSetMaxSlots(bot, chatId, adminId, maxSlots, stationQuery, locale) {
   try {
     if (maxSlots < 1) {
-      bot.sendMessage(chatId, '❌ Il numero di slot deve essere almeno 1.');
+      bot.sendMessage(chatId, t(locale, 'admin.minSlots'));
+      return;
+    }
+    
+    const station = await findAdminStation(stationQuery);
+    
+    if (!station) {
+      bot.sendMessage(chatId, t(locale, 'admin.stationRequired'));
       return;
     }
     
     // Aggiorna il numero massimo di slot
-    const system = await queueHandler.updateMaxSlots(maxSlots);
+    const system = await queueHandler.updateMaxSlots(maxSlots, station._id, adminId);
     
     // Notifica l'admin
-    bot.sendMessage(chatId, 
-      `✅ Numero massimo di slot aggiornato a *${maxSlots}*.\n\n` +
-      `ℹ️ Stato attuale: *${system.slots_available}* slot disponibili.`,
-      { parse_mode: 'Markdown' });
+    bot.sendMessage(chatId, t(locale, 'admin.maxSlotsUpdated', {
+      station: system.name,
+      count: maxSlots,
+      available: system.slots_available
+    }), { parse_mode: 'Markdown' });
     
     // Se sono stati aggiunti nuovi slot disponibili, notifica gli utenti in coda
     if (system.slots_available > 0) {
-      await queueHandler.notifyNextInQueue(bot);
+      await queueHandler.notifyNextInQueue(bot, system._id);
     }
   } catch (error) {
     logger.error(`Admin set max slots error (${maxSlots}):`, error);
-    bot.sendMessage(chatId, `❌ Errore durante l'aggiornamento del numero massimo di slot: ${error.message}`);
+    bot.sendMessage(chatId, t(locale, 'admin.maxSlotsError', { error: i18n.translateError(error, locale) }));
+  }
+}
+
+/**
+ * Gestisce il comando admin_check
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {Boolean} fix - Se true corregge le differenze, altrimenti le mostra soltanto
+ * @param {String} locale - Lingua dell'amministratore
+ * @returns {Promise<void>}
+ */
+async function handleCheck(bot, chatId, fix, locale) {
+  try {
+    const report = await consistencyHandler.checkConsistency({ dryRun: !fix });
+    
+    bot.sendMessage(chatId, formatters.formatConsistencyReport(report, locale), { parse_mode: 'Markdown' });
+    
+    // Dopo una correzione possono essersi liberati slot per chi è in coda
+    if (fix && report.issues > 0) {
+      for (const station of report.stations) {
+        await queueHandler.notifyNextInQueue(bot, station.station_id);
+      }
+    }
+  } catch (error) {
+    logger.error('Admin check error:', error);
+    bot.sendMessage(chatId, t(locale, 'admin.checkError'));
+  }
+}
+
+/**
+ * Gestisce il comando admin_report: riepilogo mensile per utente ed export CSV
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {String} month - Mese nel formato MM/AAAA (opzionale, mese corrente se omesso)
+ * @param {String} locale - Lingua dell'amministratore
+ * @returns {Promise<void>}
+ */
+async function handleReport(bot, chatId, month, locale) {
+  try {
+    const report = await billingHandler.getMonthlyReport(month);
+    
+    await bot.sendMessage(chatId, formatters.formatMonthlyReportMessage(report, locale), { parse_mode: 'Markdown' });
+    
+    if (report.users.length === 0) {
+      return;
+    }
+    
+    const [reportMonth, reportYear] = report.month.split('/');
+    
+    await bot.sendDocument(
+      chatId,
+      Buffer.from(billingHandler.reportToCsv(report), 'utf8'),
+      { caption: t(locale, 'report.caption', { month: report.month }) },
+      { filename: `report-${reportYear}-${reportMonth}.csv`, contentType: 'text/csv' }
+    );
+  } catch (error) {
+    logger.error('Admin report error:', error);
+    bot.sendMessage(chatId, `❌ ${i18n.translateError(error, locale)}`);
+  }
+}
+
+/**
+ * Gestisce i comandi admin_grant e admin_revoke
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {Number} actorId - ID Telegram di chi assegna il ruolo
+ * @param {String} username - Username dell'utente
+ * @param {String} role - Ruolo da assegnare
+ * @param {String} locale - Lingua dell'amministratore
+ * @returns {Promise<void>}
+ */
+async function handleSetRole(bot, chatId, actorId, username, role, locale) {
+  try {
+    const { user, previousRole } = await roleHandler.setRole(actorId, username, role);
+    
+    const userLocale = await userHandler.getUserLocale(user.telegram_id);
+    
+    // Aggiorna il menu dei comandi dell'utente in base al nuovo ruolo
+    await roleHandler.applyCommandScope(bot, user.telegram_id, role,
+      roleHandler.isStaff(role) ? userLocale : user.language);
+    
+    bot.sendMessage(chatId, t(locale, 'admin.roleChanged', { username: user.username, previous: previousRole, role }),
+      { parse_mode: 'Markdown' });
+    
+    if (previousRole !== role) {
+      bot.sendMessage(user.telegram_id, role === 'banned'
+        ? t(userLocale, 'account.banned')
+        : t(userLocale, 'account.roleChanged', { role }),
+        { parse_mode: 'Markdown' });
+    }
+  } catch (error) {
+    logger.error(`Admin set role error for ${username}:`, error);
+    bot.sendMessage(chatId, `❌ ${i18n.translateError(error, locale)}`);
+  }
+}
+
+/**
+ * Gestisce il comando admin_roles
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {String} locale - Lingua dell'amministratore
+ * @returns {Promise<void>}
+ */
+async function handleRoles(bot, chatId, locale) {
+  try {
+    const users = await roleHandler.getRoleAssignments();
+    bot.sendMessage(chatId, formatters.formatRolesMessage(users, config.ADMIN_USER_ID, locale), { parse_mode: 'Markdown' });
+  } catch (error) {
+    logger.error('Admin roles error:', error);
+    bot.sendMessage(chatId, t(locale, 'admin.rolesError'));
+  }
+}
+
+/**
+ * Gestisce il comando admin_priority: promuove o retrocede un utente in coda
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {Number} adminId - ID Telegram dell'amministratore
+ * @param {String} username - Username dell'utente in coda
+ * @param {String} priority - Nuova classe di priorità
+ * @param {String} locale - Lingua dell'amministratore
+ * @returns {Promise<void>}
+ */
+async function handleSetPriority(bot, chatId, adminId, username, priority, locale) {
+  try {
+    const { entry, previousPriority } = await queueHandler.adminSetPriority(username, priority, adminId);
+    
+    bot.sendMessage(chatId, t(locale, 'admin.priorityChanged', {
+      username: entry.username,
+      previous: previousPriority,
+      priority: entry.priority,
+      position: entry.position
+    }), { parse_mode: 'Markdown' });
+    
+    if (previousPriority !== entry.priority) {
+      const userLocale = await userHandler.getUserLocale(entry.telegram_id);
+      bot.sendMessage(entry.telegram_id, t(userLocale, 'queue.priorityUpdated', { position: entry.position }),
+        { parse_mode: 'Markdown' });
+    }
+  } catch (error) {
+    logger.error(`Admin set priority error for ${username}:`, error);
+    bot.sendMessage(chatId, `❌ ${i18n.translateError(error, locale)}`);
+  }
+}
+
+/**
+ * Gestisce il comando admin_urgent: richieste urgenti recenti da verificare
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {Number} days - Giorni da considerare
+ * @param {String} locale - Lingua dell'amministratore
+ * @returns {Promise<void>}
+ */
+async function handleUrgentRequests(bot, chatId, days, locale) {
+  try {
+    const urgent = await queueHandler.getUrgentRequests(days);
+    bot.sendMessage(chatId, formatters.formatUrgentRequestsMessage(urgent, days, locale), { parse_mode: 'Markdown' });
+  } catch (error) {
+    logger.error('Admin urgent requests error:', error);
+    bot.sendMessage(chatId, t(locale, 'admin.urgentError'));
+  }
+}
+
+/**
+ * Gestisce il comando admin_audit: ultimi eventi del registro ed export CSV
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {Array} params - Parametri del comando: [@username] [giorni] [csv]
+ * @param {String} locale - Lingua dell'amministratore
+ * @returns {Promise<void>}
+ */
+async function handleAudit(bot, chatId, params, locale) {
+  try {
+    const filter = auditHandler.parseAuditParams(params);
+    const events = await auditHandler.getEvents(filter);
+    
+    await bot.sendMessage(chatId, formatters.formatAuditMessage(events, filter, locale), { parse_mode: 'Markdown' });
+    
+    if (!filter.csv || events.length === 0) {
+      return;
+    }
+    
+    await bot.sendDocument(
+      chatId,
+      Buffer.from(auditHandler.eventsToCsv(events), 'utf8'),
+      { caption: t(locale, 'audit.caption', { count: filter.days, user: filter.username ? ` (@${filter.username})` : '' }) },
+      { filename: `audit-${i18n.formatIsoDate(new Date())}.csv`, contentType: 'text/csv' }
+    );
+  } catch (error) {
+    logger.error('Admin audit error:', error);
+    bot.sendMessage(chatId, `❌ ${i18n.translateError(error, locale)}`);
+  }
+}
+
+/**
+ * Gestisce i comandi admin_exempt e admin_unexempt
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {Number} adminId - ID Telegram dell'amministratore
+ * @param {String} username - Username dell'utente
+ * @param {Boolean} exempt - true per concedere l'esenzione, false per revocarla
+ * @param {String} locale - Lingua dell'amministratore
+ * @returns {Promise<void>}
+ */
+async function handleSetExemption(bot, chatId, adminId, username, exempt, locale) {
+  try {
+    const user = await fairnessHandler.setExemption(username, exempt, adminId);
+    
+    bot.sendMessage(chatId, t(locale, exempt ? 'admin.exempted' : 'admin.unexempted', { username: user.username }));
+  } catch (error) {
+    logger.error(`Admin exemption error for ${username}:`, error);
+    bot.sendMessage(chatId, `❌ ${i18n.translateError(error, locale)}`);
+  }
+}
+
+/**
+ * Gestisce il comando admin_strikes: utenti con richiami, dettaglio di un utente o annullamento
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {Number} adminId - ID Telegram dell'amministratore
+ * @param {Array} params - Parametri del comando: [@username] [clear]
+ * @param {String} locale - Lingua dell'amministratore
+ * @returns {Promise<void>}
+ */
+async function handleStrikes(bot, chatId, adminId, params, locale) {
+  try {
+    if (params.length === 0 || !params[0]) {
+      const flagged = await strikeHandler.getFlaggedUsers();
+      bot.sendMessage(chatId, formatters.formatFlaggedUsersMessage(flagged, settingsHandler.getSettingValues(), locale), { parse_mode: 'Markdown' });
+      return;
+    }
+    
+    if (params[1] === 'clear') {
+      const user = await strikeHandler.clearStrikes(adminId, params[0]);
+      bot.sendMessage(chatId, t(locale, 'admin.strikesCleared', { username: user.username }));
+      return;
+    }
+    
+    const result = await strikeHandler.getUserStrikes(params[0]);
+    bot.sendMessage(chatId, formatters.formatUserStrikesMessage(result, locale), { parse_mode: 'Markdown' });
+  } catch (error) {
+    logger.error('Admin strikes error:', error);
+    bot.sendMessage(chatId, `❌ ${i18n.translateError(error, locale)}`);
+  }
+}
+
+/**
+ * Gestisce il comando admin_ban: sospensione temporanea o esclusione definitiva.
+ * L'utente viene anche tolto dalla coda e le sue prenotazioni vengono annullate
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {Number} adminId - ID Telegram dell'amministratore
+ * @param {Array} params - Parametri del comando: @username [giorni] [motivo]
+ * @param {String} locale - Lingua dell'amministratore
+ * @returns {Promise<void>}
+ */
+async function handleBan(bot, chatId, adminId, params, locale) {
+  try {
+    const days = /^\d+$/.test(params[1] || '') ? parseInt(params[1]) : null;
+    const reason = params.slice(days === null ? 1 : 2).join(' ').trim();
+    
+    if (days !== null && (days < 1 || days > 365)) {
+      bot.sendMessage(chatId, t(locale, 'admin.banDays'));
+      return;
+    }
+    
+    const user = await strikeHandler.banUser(adminId, params[0], days, reason);
+    
+    if (days === null) {
+      await roleHandler.applyCommandScope(bot, user.telegram_id, 'banned');
+    }
+    
+    // Libera il posto in coda e gli slot prenotati
+    const queuedUser = await Queue.findOne({ telegram_id: user.telegram_id });
+    
+    if (queuedUser) {
+      await queueHandler.removeFromQueue(user.telegram_id, { actorId: adminId, reason: 'banned' });
+      await queueHandler.notifyNextInQueue(bot, queuedUser.station);
+    }
+    
+    const reservations = await reservationHandler.getUserReservations(user.telegram_id);
+    
+    for (const reservation of reservations) {
+      const { slotReleased } = await reservationHandler.cancelReservation(user.telegram_id, reservation._id);
+      
+      if (slotReleased) {
+        await queueHandler.notifyNextInQueue(bot, reservation.station._id);
+      }
+    }
+    
+    const reasonText = user.suspension_reason.replace(/[_*`[]/g, '');
+    const userLocale = await userHandler.getUserLocale(user.telegram_id);
+    
+    bot.sendMessage(user.telegram_id, days === null
+      ? t(userLocale, 'account.bannedWithReason', { reason: reasonText })
+      : t(userLocale, 'account.suspended', {
+        date: formatters.formatDateTime(user.suspended_until, userLocale),
+        reason: reasonText
+      }),
+      { parse_mode: 'Markdown' });
+    
+    let message = days === null
+      ? t(locale, 'admin.bannedForever', { username: user.username })
+      : t(locale, 'admin.bannedUntil', { username: user.username, date: formatters.formatDateTime(user.suspended_until, locale) });
+    
+    if (queuedUser) {
+      message += `\n\n${t(locale, 'admin.bannedQueue')}`;
+    }
+    
+    if (reservations.length > 0) {
+      message += `\n\n${t(locale, 'admin.bannedReservations', { count: reservations.length })}`;
+    }
+    
+    bot.sendMessage(chatId, message);
+  } catch (error) {
+    logger.error(`Admin ban error for ${params[0]}:`, error);
+    bot.sendMessage(chatId, `❌ ${i18n.translateError(error, locale)}`);
+  }
+}
+
+/**
+ * Gestisce il comando admin_unban
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {Number} adminId - ID Telegram dell'amministratore
+ * @param {String} username - Username dell'utente
+ * @param {String} locale - Lingua dell'amministratore
+ * @returns {Promise<void>}
+ */
+async function handleUnban(bot, chatId, adminId, username, locale) {
+  try {
+    const user = await strikeHandler.unbanUser(adminId, username);
+    
+    const userLocale = await userHandler.getUserLocale(user.telegram_id);
+    
+    await roleHandler.applyCommandScope(bot, user.telegram_id, user.role,
+      roleHandler.isStaff(user.role) ? userLocale : user.language);
+    
+    bot.sendMessage(user.telegram_id, t(userLocale, 'account.unbanned'));
+    bot.sendMessage(chatId, t(locale, 'admin.unbanned', { username: user.username }));
+  } catch (error) {
+    logger.error(`Admin unban error for ${username}:`, error);
+    bot.sendMessage(chatId, `❌ ${i18n.translateError(error, locale)}`);
+  }
+}
+
+/**
+ * Gestisce il comando admin_apikey: elenco, creazione e revoca delle chiavi API
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {Number} adminId - ID Telegram dell'amministratore
+ * @param {Array} params - Parametri del comando: [add nome [read|write] | revoke prefisso]
+ * @param {String} locale - Lingua dell'amministratore
+ * @returns {Promise<void>}
+ */
+async function handleApiKey(bot, chatId, adminId, params, locale) {
+  try {
+    const action = (params[0] || '').toLowerCase();
+    
+    if (action === 'add') {
+      // La chiave viene mostrata una sola volta: mai in un gruppo
+      if (chatId !== adminId) {
+        bot.sendMessage(chatId, t(locale, 'admin.apiKeyPrivate'));
+        return;
+      }
+      
+      const last = (params[params.length - 1] || '').toLowerCase();
+      const hasScope = params.length > 2 && ['read', 'write'].includes(last);
+      const name = params.slice(1, hasScope ? -1 : undefined).join(' ');
+      const scope = hasScope ? last : 'read';
+      const { apiKey, key } = await apiKeyHandler.createApiKey(name, scope, adminId);
+      
+      bot.sendMessage(chatId, t(locale, 'admin.apiKeyCreated', { name: apiKey.name, scope: apiKey.scope, key }),
+        { parse_mode: 'Markdown' });
+      return;
+    }
+    
+    if (action === 'revoke') {
+      if (!params[1]) {
+        bot.sendMessage(chatId, t(locale, 'admin.usage.apikey_revoke'));
+        return;
+      }
+      
+      const apiKey = await apiKeyHandler.revokeApiKey(params[1], adminId);
+      bot.sendMessage(chatId, t(locale, 'admin.apiKeyRevoked', { prefix: apiKey.key_prefix, name: apiKey.name }));
+      return;
+    }
+    
+    const apiKeys = await apiKeyHandler.getApiKeys();
+    bot.sendMessage(chatId, formatters.formatApiKeysMessage(apiKeys, locale), { parse_mode: 'Markdown' });
+  } catch (error) {
+    logger.error('Admin API key error:', error);
+    bot.sendMessage(chatId, `❌ ${i18n.translateError(error, locale)}`);
+  }
+}
+
+/**
+ * Gestisce il comando admin_webhook: elenco, creazione, prova e rimozione dei webhook
+ * e registro delle consegne
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {Number} adminId - ID Telegram dell'amministratore
+ * @param {Array} params - Parametri del comando: [add url [eventi] | remove n | test n | log]
+ * @param {String} locale - Lingua dell'amministratore
+ * @returns {Promise<void>}
+ */
+async function handleWebhook(bot, chatId, adminId, params, locale) {
+  try {
+    const action = (params[0] || '').toLowerCase();
+    
+    if (action === 'add') {
+      // Il segreto viene mostrato una sola volta: mai in un gruppo
+      if (chatId !== adminId) {
+        bot.sendMessage(chatId, t(locale, 'admin.webhookPrivate'));
+        return;
+      }
+      
+      if (!params[1]) {
+        bot.sendMessage(chatId, t(locale, 'admin.usage.webhook_add', { events: webhookHandler.WEBHOOK_EVENTS.join(', ') }));
+        return;
+      }
+      
+      const events = webhookHandler.parseEvents(params.slice(2).join(','));
+      const { webhook, secret } = await webhookHandler.addWebhook(params[1], events, adminId);
+      
+      bot.sendMessage(chatId, t(locale, 'admin.webhookCreated', {
+        url: webhook.url,
+        events: events.length > 0 ? events.join(', ') : t(locale, 'webhooks.allEvents'),
+        secret
+      }), { parse_mode: 'Markdown', disable_web_page_preview: true });
+      return;
+    }
+    
+    if (action === 'remove') {
+      const webhook = await webhookHandler.removeWebhook(params[1], adminId);
+      bot.sendMessage(chatId, t(locale, 'admin.webhookRemoved', { url: webhook.url }), { disable_web_page_preview: true });
+      return;
+    }
+    
+    if (action === 'test') {
+      const delivery = await webhookHandler.sendTestEvent(params[1], adminId);
+      bot.sendMessage(chatId, delivery.status === 'delivered'
+        ? t(locale, 'admin.webhookTestDelivered', { status: delivery.response_status })
+        : t(locale, 'admin.webhookTestFailed', { error: delivery.error }));
+      return;
+    }
+    
+    if (action === 'log') {
+      const deliveries = await webhookHandler.getDeliveries();
+      bot.sendMessage(chatId, formatters.formatWebhookDeliveriesMessage(deliveries, locale), 
+        { parse_mode: 'Markdown', disable_web_page_preview: true });
+      return;
+    }
+    
+    const webhooks = await webhookHandler.getWebhooks();
+    bot.sendMessage(chatId, formatters.formatWebhooksMessage(webhooks, locale), 
+      { parse_mode: 'Markdown', disable_web_page_preview: true });
+  } catch (error) {
+    logger.error('Admin webhook error:', error);
+    bot.sendMessage(chatId, `❌ ${i18n.translateError(error, locale)}`);
+  }
+}
+
+/**
+ * Gestisce il comando admin_ocpp: stato delle colonnine e associazione alle stazioni
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {Number} adminId - ID Telegram dell'amministratore
+ * @param {Array} params - Parametri del comando: [link colonnina stazione [connettore=slot ...]]
+ * @param {String} locale - Lingua dell'amministratore
+ * @returns {Promise<void>}
+ */
+async function handleOcpp(bot, chatId, adminId, params, locale) {
+  try {
+    const action = (params[0] || '').toLowerCase();
+    
+    if (action === 'link') {
+      if (params.length < 3) {
+        bot.sendMessage(chatId, t(locale, 'admin.usage.ocpp_link'));
+        return;
+      }
+      
+      const chargePoint = await ocppHandler.linkChargePoint(params[1], params[2], params.slice(3), adminId);
+      const connectors = chargePoint.connectors
+        .map(connector => t(locale, 'admin.ocppConnector', { connector: connector.connector_id, slot: connector.slot_number }))
+        .join(', ');
+      
+      bot.sendMessage(chatId, t(locale, connectors ? 'admin.ocppLinked' : 'admin.ocppLinkedDefault', {
+        chargePoint: chargePoint.charge_point_id,
+        station: chargePoint.station.name,
+        connectors
+      }));
+      return;
+    }
+    
+    const overview = await ocppHandler.getOcppOverview();
+    bot.sendMessage(chatId, formatters.formatOcppMessage(overview, locale), { parse_mode: 'Markdown' });
+  } catch (error) {
+    logger.error('Admin OCPP error:', error);
+    bot.sendMessage(chatId, `❌ ${i18n.translateError(error, locale)}`);
+  }
+}
+
+/**
+ * Gestisce il comando admin_chargers: stato degli slot rilevato dai driver, tessere RFID e simulatore
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {Number} adminId - ID Telegram dell'amministratore
+ * @param {Array} params - Parametri del comando: [tag @username tessera|off | sim stazione slot azione [tessera]]
+ * @param {String} locale - Lingua dell'amministratore
+ * @returns {Promise<void>}
+ */
+async function handleChargers(bot, chatId, adminId, params, locale) {
+  try {
+    const action = (params[0] || '').toLowerCase();
+    
+    if (action === 'tag') {
+      if (params.length < 3) {
+        bot.sendMessage(chatId, t(locale, 'admin.usage.chargers_tag'));
+        return;
+      }
+      
+      const rfidTag = params[2].toLowerCase() === 'off' ? null : params[2];
+      const user = await chargerHandler.setUserRfidTag(params[1], rfidTag, adminId);
+      
+      bot.sendMessage(chatId, rfidTag
+        ? t(locale, 'admin.tagLinked', { tag: rfidTag, username: user.username })
+        : t(locale, 'admin.tagRemoved', { username: user.username }));
+      return;
+    }
+    
+    if (action === 'sim') {
+      const simulator = drivers.getDriver('simulator');
+      
+      if (!simulator) {
+        bot.sendMessage(chatId, t(locale, 'admin.simulatorOff'));
+        return;
+      }
+      
+      if (params.length < 4) {
+        bot.sendMessage(chatId, t(locale, 'admin.usage.chargers_sim', { actions: simulator.SIMULATOR_ACTIONS.join('|') }));
+        return;
+      }
+      
+      const station = await findAdminStation(params[1]);
+      
+      if (!station) {
+        bot.sendMessage(chatId, t(locale, 'admin.stationNotFound', { station: params[1] }));
+        return;
+      }
+      
+      const simAction = params[3].toLowerCase();
+      const { energyWh, result } = await simulator.simulate(simAction, station, parseInt(params[2]), params[4] || null);
+      
+      let message = t(locale, 'admin.simulated', { action: simAction, slot: params[2], station: station.name });
+      
+      if (simAction === 'start') {
+        if (result.session) {
+          message += t(locale, 'admin.simulatedSession', { username: result.session.username });
+        } else {
+          message += t(locale, result.status === 'Accepted' ? 'admin.simulatedUnknownTag' : 'admin.simulatedBlockedTag');
+        }
+      }
+      
+      if (energyWh !== null) {
+        message += t(locale, 'admin.simulatedEnergy', { energy: formatters.formatEnergy(energyWh / 1000, locale) });
+      }
+      
+      bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+      return;
+    }
+    
+    const overview = await chargerHandler.getSlotStates();
+    bot.sendMessage(chatId, formatters.formatChargersMessage(overview, drivers.getActiveDrivers(), locale), { parse_mode: 'Markdown' });
+  } catch (error) {
+    logger.error('Admin chargers error:', error);
+    bot.sendMessage(chatId, `❌ ${i18n.translateError(error, locale)}`);
+  }
+}
+
+/**
+ * Mostra gli utenti esentati dalle regole di equità (admin_exempt senza argomenti)
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {String} locale - Lingua dell'amministratore
+ * @returns {Promise<void>}
+ */
+async function handleExemptions(bot, chatId, locale) {
+  try {
+    const users = await fairnessHandler.getExemptUsers();
+    
+    let message = `${t(locale, 'admin.exemptions.title')}\n\n`;
+    
+    if (users.length === 0) {
+      message += `${t(locale, 'admin.exemptions.empty')}\n`;
+    } else {
+      users.forEach(user => {
+        message += `- @${user.username} (ID: ${user.telegram_id})\n`;
+      });
+    }
+    
+    message += `\n${t(locale, 'admin.exemptions.hint')}`;
+    
+    bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+  } catch (error) {
+    logger.error('Admin exemptions error:', error);
+    bot.sendMessage(chatId, t(locale, 'admin.exemptions.error'));
+  }
+}
+
+/**
+ * Gestisce il comando admin_settings
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {String} locale - Lingua dell'amministratore
+ * @returns {Promise<void>}
+ */
+async function handleSettings(bot, chatId, locale) {
+  try {
+    // Rilegge i valori per mostrare anche le modifiche fatte da altre istanze
+    await settingsHandler.loadSettings();
+    
+    const message = formatters.formatSettingsMessage(settingsHandler.getSettingsList(), locale);
+    bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+  } catch (error) {
+    logger.error('Admin settings error:', error);
+    bot.sendMessage(chatId, t(locale, 'admin.settingsError'));
+  }
+}
+
+/**
+ * Gestisce la modifica di un parametro di tempo
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {Number} userId - ID Telegram dell'amministratore
+ * @param {String} key - Nome del parametro
+ * @param {String} value - Nuovo valore in minuti o "default"
+ * @param {String} locale - Lingua dell'amministratore
+ * @returns {Promise<void>}
+ */
+async function handleSetSetting(bot, chatId, userId, key, value, locale) {
+  try {
+    const newValue = await settingsHandler.setSetting(key, value, userId);
+    
+    // Gli anticipi delle classi di priorità cambiano l'ordine delle code
+    if (key === 'critical_advance' || key === 'accessibility_advance') {
+      await queueHandler.reorderAllQueues();
+    }
+    
+    bot.sendMessage(chatId, t(locale, 'admin.settingUpdated', {
+      key,
+      value: newValue,
+      unit: settingsHandler.getSettingUnit(key)
+    }), { parse_mode: 'Markdown' });
+  } catch (error) {
+    logger.error(`Admin set setting error (${key} = ${value}):`, error);
+    bot.sendMessage(chatId, `❌ ${i18n.translateError(error, locale)}`);
+  }
+}
+
+/**
+ * Trova la stazione indicata in un comando admin
+ * @param {String} stationQuery - Numero o nome della stazione
+ * @returns {Promise<Object|null>} - Stazione trovata, l'unica stazione se non indicata, altrimenti null
+ */
+async function findAdminStation(stationQuery) {
+  if (stationQuery && stationQuery.trim()) {
+    return await stationHandler.findStation(stationQuery);
+  }
+  
+  const stations = await stationHandler.getStations();
+  return stations.length === 1 ? stations[0] : null;
+}
+
+/**
+ * Gestisce il comando admin_stations
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {String} locale - Lingua dell'amministratore
+ * @returns {Promise<void>}
+ */
+async function handleStations(bot, chatId, locale) {
+  try {
+    const stations = await stationHandler.getStations();
+    
+    let message = `${t(locale, 'admin.stations.title')}\n\n`;
+    
+    stations.forEach((station, index) => {
+      message += `*${index + 1}. ${station.name}*\n`;
+      message += `${t(locale, 'admin.stations.address', { address: station.address || t(locale, 'admin.stations.noAddress') })}\n`;
+      message += `${t(locale, 'admin.stations.slots', { total: station.total_slots, available: station.slots_available })}\n`;
+      message += `${t(locale, 'admin.stations.chargeTime', {
+        minutes: stationHandler.getMaxChargeTime(station),
+        default: station.max_charge_time ? '' : t(locale, 'admin.stations.default')
+      })}\n`;
+      message += `${t(locale, 'admin.stations.reminderTime', {
+        minutes: stationHandler.getReminderTime(station),
+        default: station.reminder_time ? '' : t(locale, 'admin.stations.default')
+      })}\n`;
+      message += `${t(locale, 'admin.stations.queueLength', { count: station.queue_length })}\n\n`;
+    });
+    
+    message += t(locale, 'admin.stations.hint');
+    
+    bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+  } catch (error) {
+    logger.error('Admin stations error:', error);
+    bot.sendMessage(chatId, t(locale, 'admin.stations.error', { error: i18n.translateError(error, locale) }));
+  }
+}
+
+/**
+ * Gestisce il comando admin_add_station
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {String} text - Parametri nel formato "nome | indirizzo | slot"
+ * @param {String} locale - Lingua dell'amministratore
+ * @returns {Promise<void>}
+ */
+async function handleAddStation(bot, chatId, text, locale) {
+  try {
+    const [name, address = '', slots] = text.split('|').map(part => part.trim());
+    const totalSlots = slots ? parseInt(slots) : config.MAX_SLOTS;
+    
+    if (isNaN(totalSlots)) {
+      bot.sendMessage(chatId, t(locale, 'admin.usage.add_station'));
+      return;
+    }
+    
+    const station = await stationHandler.createStation({
+      name,
+      address,
+      total_slots: totalSlots
+    });
+    
+    bot.sendMessage(chatId, t(locale, 'admin.stationCreated', { station: station.name, count: station.total_slots }),
+      { parse_mode: 'Markdown' });
+  } catch (error) {
+    logger.error('Admin add station error:', error);
+    bot.sendMessage(chatId, t(locale, 'admin.addStationError', { error: i18n.translateError(error, locale) }));
+  }
+}
+
+/**
+ * Gestisce il comando admin_edit_station
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {String} stationQuery - Numero o nome della stazione
+ * @param {String} field - Campo da modificare
+ * @param {String} value - Nuovo valore
+ * @param {String} locale - Lingua dell'amministratore
+ * @returns {Promise<void>}
+ */
+async function handleEditStation(bot, chatId, stationQuery, field, value, locale) {
+  try {
+    const station = await stationHandler.findStation(stationQuery);
+    
+    if (!station) {
+      bot.sendMessage(chatId, t(locale, 'admin.editStationNotFound', { station: stationQuery }));
+      return;
+    }
+    
+    const updated = await stationHandler.updateStation(station._id, field, value);
+    
+    bot.sendMessage(chatId, t(locale, 'admin.stationUpdated', { station: updated.name, field, value }),
+      { parse_mode: 'Markdown' });
+  } catch (error) {
+    logger.error(`Admin edit station error (${stationQuery}):`, error);
+    bot.sendMessage(chatId, t(locale, 'admin.editStationError', { error: i18n.translateError(error, locale) }));
   }
 }
 
@@ -298,45 +1266,82 @@ async function handleSetMaxSlots(bot, chatId, maxSlots) {
  * Gestisce il comando admin_notify_all
  * @param {Object} bot - Istanza del bot Telegram
  * @param {Number} chatId - ID della chat
+ * @param {Number} adminId - ID Telegram dell'amministratore
  * @param {String} message - Messaggio da inviare a tutti gli utenti
+ * @param {String} locale - Lingua dell'amministratore
  * @returns {Promise<void>}
  */
-async function handleNotifyAll(bot, chatId, message) {
+async function handleNotifyAll(bot, chatId, adminId, message, locale) {
   try {
     // Ottieni tutti gli utenti
     const users = await userHandler.getUsers();
     
     if (users.length === 0) {
-      bot.sendMessage(chatId, '❌ Nessun utente registrato.');
+      bot.sendMessage(chatId, t(locale, 'admin.noUsers'));
       return;
     }
     
     let successCount = 0;
     let errorCount = 0;
+    let skippedCount = 0;
+    let deferredCount = 0;
     
-    // Invia il messaggio a tutti gli utenti
+    // Invia il messaggio a tutti gli utenti, tranne chi ha disattivato gli annunci con /notifiche;
+    // durante le ore di silenzio del destinatario l'annuncio viene rinviato
     for (const user of users) {
       try {
-        await bot.sendMessage(
+        const preferences = await notificationHandler.getPreferences(user.telegram_id);
+        
+        if (!preferences.announcements) {
+          skippedCount++;
+          continue;
+        }
+        
+        // L'intestazione è nella lingua del destinatario, il testo resta quello dell'admin
+        const userLocale = await userHandler.getUserLocale(user.telegram_id);
+        const sent = await notificationHandler.sendOrDefer(
+          bot,
           user.telegram_id,
-          `📢 *ANNUNCIO AMMINISTRATORE* 📢\n\n${message}`,
-          { parse_mode: 'Markdown' }
+          t(userLocale, 'account.announcement', { message }),
+          { parse_mode: 'Markdown' },
+          preferences
         );
-        successCount++;
+        
+        if (sent) {
+          successCount++;
+        } else {
+          deferredCount++;
+        }
       } catch (error) {
         logger.error(`Error sending message to user ${user.telegram_id}:`, error);
         errorCount++;
       }
     }
     
+    await auditHandler.recordEvent({
+      action: 'notify_all',
+      actorId: adminId,
+      after: {
+        recipients: users.length,
+        sent: successCount,
+        deferred: deferredCount,
+        skipped: skippedCount,
+        errors: errorCount
+      },
+      details: message
+    });
+    
     // Notifica l'admin
-    bot.sendMessage(chatId, 
-      `✅ Messaggio inviato a *${successCount}* utenti.\n` +
-      `❌ Errori: *${errorCount}*`,
+    bot.sendMessage(chatId, t(locale, 'admin.notifySent', {
+      sent: successCount,
+      deferred: deferredCount,
+      skipped: skippedCount,
+      errors: errorCount
+    }),
       { parse_mode: 'Markdown' });
   } catch (error) {
     logger.error('Admin notify all error:', error);
-    bot.sendMessage(chatId, `❌ Errore durante l'invio del messaggio: ${error.message}`);
+    bot.sendMessage(chatId, t(locale, 'admin.notifyError', { error: i18n.translateError(error, locale) }));
   }
 }
 
@@ -344,22 +1349,18 @@ async function handleNotifyAll(bot, chatId, message) {
  * Gestisce il comando admin_reset_system
  * @param {Object} bot - Istanza del bot Telegram
  * @param {Number} chatId - ID della chat
+ * @param {String} locale - Lingua dell'amministratore
  * @returns {Promise<void>}
  */
-async function handleResetSystem(bot, chatId) {
+async function handleResetSystem(bot, chatId, locale) {
   try {
     // Chiedi conferma
-    bot.sendMessage(chatId, 
-      `⚠️ *ATTENZIONE* ⚠️\n\n` +
-      `Stai per resettare completamente il sistema, terminando tutte le sessioni attive e svuotando la coda.\n\n` +
-      `*Questa operazione non può essere annullata.*\n\n` +
-      `Per confermare, rispondi con /admin_confirm_reset`,
-      { parse_mode: 'Markdown' });
+    bot.sendMessage(chatId, t(locale, 'admin.resetConfirm'), { parse_mode: 'Markdown' });
       
     // La conferma dovrà essere gestita come un comando separato
   } catch (error) {
     logger.error('Admin reset system error:', error);
-    bot.sendMessage(chatId, `❌ Errore durante il reset del sistema: ${error.message}`);
+    bot.sendMessage(chatId, t(locale, 'admin.resetError', { error: i18n.translateError(error, locale) }));
   }
 }
 
@@ -367,22 +1368,21 @@ async function handleResetSystem(bot, chatId) {
  * Gestisce il comando admin_confirm_reset
  * @param {Object} bot - Istanza del bot Telegram
  * @param {Number} chatId - ID della chat
+ * @param {Number} adminId - ID Telegram dell'amministratore
+ * @param {String} locale - Lingua dell'amministratore
  * @returns {Promise<void>}
  */
-async function handleConfirmReset(bot, chatId) {
+async function handleConfirmReset(bot, chatId, adminId, locale) {
   try {
     // Ottieni tutte le sessioni attive
     const activeSessions = await Session.find({ status: 'active' });
     
     // Termina tutte le sessioni attive
     for (const session of activeSessions) {
-      await sessionHandler.endSession(session.telegram_id, 'admin_terminated');
+      await sessionHandler.endSession(session.telegram_id, 'admin_terminated', null, adminId);
       
       // Notifica l'utente
-      bot.sendMessage(session.telegram_id, 
-        `⚠️ *La tua sessione di ricarica è stata terminata a causa di un reset del sistema.*\n\n` +
-        `ℹ️ Il sistema è stato resettato da un amministratore.\n\n` +
-        `Se necessario, puoi prenotare una nuova sessione con /prenota.`,
+      bot.sendMessage(session.telegram_id, t(await userHandler.getUserLocale(session.telegram_id), 'session.terminatedByReset'),
         { parse_mode: 'Markdown' });
     }
     
@@ -394,32 +1394,58 @@ async function handleConfirmReset(bot, chatId) {
     
     // Notifica gli utenti in coda
     for (const user of queuedUsers) {
-      bot.sendMessage(user.telegram_id, 
-        `⚠️ *Sei stato rimosso dalla coda a causa di un reset del sistema.*\n\n` +
-        `ℹ️ Il sistema è stato resettato da un amministratore.\n\n` +
-        `Se necessario, puoi prenotare una nuova sessione con /prenota.`,
+      bot.sendMessage(user.telegram_id, t(await userHandler.getUserLocale(user.telegram_id), 'queue.removedByReset'),
         { parse_mode: 'Markdown' });
     }
     
-    // Resetta lo stato del sistema
-    const system = await System.findOne({ name: 'system' });
-    if (system) {
-      system.slots_available = system.total_slots;
-      system.active_sessions = [];
-      system.queue_length = 0;
-      await system.save();
+    // Annulla le prenotazioni con slot trattenuto, che vengono liberati dal reset
+    await Reservation.updateMany({ status: 'held' }, { $set: { status: 'cancelled' } });
+    
+    // Resetta lo stato di tutte le stazioni
+    const stations = await Station.find();
+    const stationsBefore = stations.map(station => ({
+      name: station.name,
+      slots_available: station.slots_available,
+      active_sessions: station.active_sessions.length,
+      queue_length: station.queue_length
+    }));
+    let totalSlots = 0;
+    
+    for (const station of stations) {
+      station.slots_available = station.total_slots;
+      station.active_sessions = [];
+      station.queue_length = 0;
+      await station.save();
+      totalSlots += station.total_slots;
     }
     
+    await auditHandler.recordEvent({
+      action: 'system_reset',
+      actorId: adminId,
+      before: {
+        stations: stationsBefore,
+        sessions_terminated: activeSessions.length,
+        queue: queuedUsers.map(user => user.username)
+      },
+      after: { slots_available: totalSlots, stations: stations.length }
+    });
+    
+    webhookHandler.dispatchEvent('system.reset', {
+      sessions_terminated: activeSessions.length,
+      queue_cleared: queuedUsers.length,
+      slots_available: totalSlots
+    });
+    
     // Notifica l'admin
-    bot.sendMessage(chatId, 
-      `✅ *Sistema resettato con successo.*\n\n` +
-      `- ${activeSessions.length} sessioni attive terminate\n` +
-      `- ${queuedUsers.length} utenti rimossi dalla coda\n` +
-      `- ${system ? system.total_slots : 5} slot disponibili`,
-      { parse_mode: 'Markdown' });
+    bot.sendMessage(chatId, t(locale, 'admin.resetDone', {
+      sessions: activeSessions.length,
+      users: queuedUsers.length,
+      slots: totalSlots,
+      stations: stations.length
+    }), { parse_mode: 'Markdown' });
   } catch (error) {
     logger.error('Admin confirm reset error:', error);
-    bot.sendMessage(chatId, `❌ Errore durante il reset del sistema: ${error.message}`);
+    bot.sendMessage(chatId, t(locale, 'admin.resetError', { error: i18n.translateError(error, locale) }));
   }
 }
 
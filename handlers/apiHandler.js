@@ -0,0 +1,396 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Session = require('../models/session');
+const Queue = require('../models/queue');
+const User = require('../models/user');
+const queueHandler = require('./queueHandler');
+const stationHandler = require('./stationHandler');
+const settingsHandler = require('./settingsHandler');
+const apiKeyHandler = require('./apiKeyHandler');
+const auditHandler = require('./auditHandler');
+const userHandler = require('./userHandler');
+const formatters = require('../utils/formatters');
+const keyboards = require('../utils/keyboards');
+const logger = require('../utils/logger');
+const { t } = require('../utils/i18n');
+
+// Numero massimo di sessioni restituite da /sessions
+const MAX_SESSIONS = 500;
+
+/**
+ * Invia una risposta di errore in JSON
+ * @param {Object} res - Risposta Express
+ * @param {Number} status - Codice HTTP
+ * @param {String} message - Messaggio di errore
+ */
+function sendError(res, status, message) {
+  res.status(status).json({ error: message });
+}
+
+/**
+ * Avvisa un utente dell'operazione eseguita per suo conto: un invio non riuscito
+ * viene registrato senza cambiare la risposta dell'API
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {String} message - Testo del messaggio
+ * @param {Object} options - Opzioni di invio
+ */
+function notifyUser(bot, userId, message, options = {}) {
+  bot.sendMessage(userId, message, options).catch(error => {
+    logger.error(`Error notifying user ${userId} about API request: ${error.message}`);
+  });
+}
+
+/**
+ * Middleware: rifiuta le richieste finché il database non è connesso
+ */
+function requireDatabase(req, res, next) {
+  if (mongoose.connection.readyState !== 1) {
+    sendError(res, 503, 'Database non disponibile, riprova tra poco.');
+    return;
+  }
+
+  next();
+}
+
+/**
+ * Middleware: verifica la chiave API (header "Authorization: Bearer <chiave>" o "X-API-Key")
+ */
+async function authenticate(req, res, next) {
+  try {
+    const header = req.get('authorization') || '';
+    const key = header.startsWith('Bearer ') ? header.slice(7).trim() : req.get('x-api-key');
+    const apiKey = await apiKeyHandler.authenticate(key);
+
+    if (!apiKey) {
+      sendError(res, 401, 'Chiave API mancante o non valida.');
+      return;
+    }
+
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    logger.error(`API authentication error: ${error.message}`);
+    sendError(res, 500, 'Errore durante la verifica della chiave API.');
+  }
+}
+
+/**
+ * Middleware: consente la richiesta solo alle chiavi con permesso di scrittura
+ */
+function requireWrite(req, res, next) {
+  if (req.apiKey.scope !== 'write') {
+    sendError(res, 403, 'La chiave API non ha il permesso di scrittura.');
+    return;
+  }
+
+  next();
+}
+
+/**
+ * Trova la stazione indicata in una richiesta
+ * @param {String} query - ID, numero in elenco o nome della stazione
+ * @returns {Promise<Object|null>} - Oggetto stazione o null se non trovata
+ */
+async function findRequestedStation(query) {
+  if (mongoose.isValidObjectId(query) && String(query).length === 24) {
+    return await stationHandler.getStation(query);
+  }
+
+  return await stationHandler.findStation(query);
+}
+
+/**
+ * Trova l'utente indicato in una richiesta
+ * @param {String|Number} query - ID Telegram o username (con o senza @)
+ * @returns {Promise<Object|null>} - Oggetto utente o null se non trovato
+ */
+async function findRequestedUser(query) {
+  const text = String(query || '').trim();
+
+  if (/^\d+$/.test(text)) {
+    return await User.findOne({ telegram_id: parseInt(text) });
+  }
+
+  return text ? await User.findOne({ username: text.replace('@', '') }) : null;
+}
+
+/**
+ * Converte una voce della coda nel formato dell'API
+ * @param {Object} entry - Voce della coda
+ * @returns {Object} - Voce serializzabile
+ */
+function serializeQueueEntry(entry) {
+  return {
+    station_id: entry.station,
+    position: entry.position,
+    telegram_id: entry.telegram_id,
+    username: entry.username,
+    priority: entry.priority,
+    slot_reserved: entry.slot_reserved,
+    request_time: entry.request_time
+  };
+}
+
+/**
+ * Crea il router dell'API REST (montato da server.js su /api/v1)
+ * @param {Function} getBot - Restituisce l'istanza del bot per notificare gli utenti (può restituire null)
+ * @returns {Object} - Router Express
+ */
+function createApiRouter(getBot) {
+  const router = express.Router();
+
+  router.use(requireDatabase, authenticate);
+
+  // Stato di una stazione o di tutte, con sessioni attive e coda
+  router.get('/status', async (req, res) => {
+    try {
+      if (req.query.station) {
+        const station = await findRequestedStation(req.query.station);
+
+        if (!station) {
+          sendError(res, 404, 'Stazione non trovata.');
+          return;
+        }
+
+        res.json(await queueHandler.getSystemStatus(station._id));
+        return;
+      }
+
+      res.json({ stations: await queueHandler.getAllStationsStatus() });
+    } catch (error) {
+      logger.error(`API status error: ${error.message}`);
+      sendError(res, 500, 'Errore durante il recupero dello stato.');
+    }
+  });
+
+  // Elenco delle stazioni con la configurazione
+  router.get('/stations', async (req, res) => {
+    try {
+      const stations = await stationHandler.getStations();
+
+      res.json({
+        stations: stations.map((station, index) => ({
+          id: station._id,
+          number: index + 1,
+          name: station.name,
+          address: station.address,
+          total_slots: station.total_slots,
+          slots_available: station.slots_available,
+          queue_length: station.queue_length,
+          max_charge_time: stationHandler.getMaxChargeTime(station),
+          reminder_time: stationHandler.getReminderTime(station)
+        }))
+      });
+    } catch (error) {
+      logger.error(`API stations error: ${error.message}`);
+      sendError(res, 500, 'Errore durante il recupero delle stazioni.');
+    }
+  });
+
+  // Coda di una stazione o di tutte, in ordine effettivo
+  router.get('/queue', async (req, res) => {
+    try {
+      const filter = {};
+
+      if (req.query.station) {
+        const station = await findRequestedStation(req.query.station);
+
+        if (!station) {
+          sendError(res, 404, 'Stazione non trovata.');
+          return;
+        }
+
+        filter.station = station._id;
+      }
+
+      const entries = await Queue.find(filter).sort({ station: 1, position: 1 });
+      res.json({ queue: entries.map(serializeQueueEntry) });
+    } catch (error) {
+      logger.error(`API queue error: ${error.message}`);
+      sendError(res, 500, 'Errore durante il recupero della coda.');
+    }
+  });
+
+  // Storico delle sessioni, filtrabile per stazione, utente e giorni
+  router.get('/sessions', async (req, res) => {
+    try {
+      const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), MAX_SESSIONS);
+      const filter = { start_time: { $gte: new Date(Date.now() - days * 24 * 60 * 60000) } };
+
+      if (req.query.station) {
+        const station = await findRequestedStation(req.query.station);
+
+        if (!station) {
+          sendError(res, 404, 'Stazione non trovata.');
+          return;
+        }
+
+        filter.station = station._id;
+      }
+
+      if (req.query.user) {
+        const user = await findRequestedUser(req.query.user);
+
+        if (!user) {
+          sendError(res, 404, 'Utente non trovato.');
+          return;
+        }
+
+        filter.telegram_id = user.telegram_id;
+      }
+
+      const sessions = await Session.find(filter)
+        .sort({ start_time: -1 })
+        .limit(limit)
+        .populate('station', 'name');
+
+      res.json({
+        sessions: sessions.map(session => ({
+          id: session._id,
+          station_id: session.station ? session.station._id : null,
+          station_name: session.station ? session.station.name : null,
+          telegram_id: session.telegram_id,
+          username: session.username,
+          slot_number: session.slot_number,
+          start_time: session.start_time,
+          end_time: session.end_time,
+          status: session.status,
+          energy_kwh: session.energy_kwh,
+          cost: session.cost
+        }))
+      });
+    } catch (error) {
+      logger.error(`API sessions error: ${error.message}`);
+      sendError(res, 500, 'Errore durante il recupero delle sessioni.');
+    }
+  });
+
+  // Statistiche complessive (le stesse di /admin_stats)
+  router.get('/stats', async (req, res) => {
+    try {
+      res.json(await queueHandler.getSystemStats());
+    } catch (error) {
+      logger.error(`API stats error: ${error.message}`);
+      sendError(res, 500, 'Errore durante il recupero delle statistiche.');
+    }
+  });
+
+  // Richiesta di ricarica per conto di un utente: { user, station, urgent_reason }
+  router.post('/queue', requireWrite, async (req, res) => {
+    try {
+      const body = req.body || {};
+      const user = await findRequestedUser(body.user);
+
+      if (!user) {
+        sendError(res, 404, 'Utente non trovato: deve aver usato il bot almeno una volta.');
+        return;
+      }
+
+      const station = body.station
+        ? await findRequestedStation(body.station)
+        : await stationHandler.resolveStation(user.telegram_id, '');
+
+      if (!station) {
+        sendError(res, body.station ? 404 : 400, body.station ? 'Stazione non trovata.' : 'Indica la stazione.');
+        return;
+      }
+
+      const urgency = body.urgent_reason ? { reason: String(body.urgent_reason).slice(0, 200) } : null;
+      const result = await queueHandler.requestCharge(user.telegram_id, user.username, station._id, urgency);
+
+      await auditHandler.recordEvent({
+        action: 'queue_api_request',
+        targetId: user.telegram_id,
+        targetUsername: user.username,
+        station: station._id,
+        after: { slot_available: result.slotAvailable, position: result.position || null },
+        details: `chiave ${req.apiKey.key_prefix} (${req.apiKey.name})`
+      });
+
+      // Avvisa l'utente come se avesse usato /prenota
+      const bot = getBot();
+
+      if (bot) {
+        const locale = await userHandler.getUserLocale(user.telegram_id);
+
+        if (result.slotAvailable) {
+          notifyUser(bot, user.telegram_id, formatters.formatSlotAvailableMessage(
+            user.username, user.telegram_id, stationHandler.getMaxChargeTime(result.station), result.station.name, locale), {
+            parse_mode: 'Markdown',
+            reply_markup: keyboards.slotAvailableKeyboard(locale)
+          });
+        } else {
+          notifyUser(bot, user.telegram_id, formatters.formatQueueMessage(
+            user.username, user.telegram_id, result.position, result.station ? result.station.name : null,
+            settingsHandler.getSetting('queue_timeout'), result.priority, locale, result.estimate), { parse_mode: 'Markdown' });
+        }
+      }
+
+      logger.info(`API key ${req.apiKey.key_prefix} requested a charge for user ${user.telegram_id} at ${station.name}`);
+
+      res.status(result.slotAvailable ? 200 : 201).json({
+        slot_available: result.slotAvailable,
+        station_id: result.station ? result.station._id : station._id,
+        position: result.position || null,
+        priority: result.priority || null,
+        wait_estimate: result.estimate || null,
+        message: result.message
+      });
+    } catch (error) {
+      // Gli errori dei controlli (sospensione, limiti, sessione attiva) hanno già un messaggio per l'utente
+      logger.error(`API queue request error: ${error.message}`);
+      sendError(res, 409, error.message);
+    }
+  });
+
+  // Uscita dalla coda per conto di un utente
+  router.delete('/queue/:user', requireWrite, async (req, res) => {
+    try {
+      const user = await findRequestedUser(req.params.user);
+
+      if (!user) {
+        sendError(res, 404, 'Utente non trovato.');
+        return;
+      }
+
+      const removed = await queueHandler.removeFromQueue(user.telegram_id, {
+        actorId: null,
+        reason: 'api',
+        details: `chiave ${req.apiKey.key_prefix} (${req.apiKey.name})`
+      });
+
+      if (!removed) {
+        sendError(res, 404, 'L\'utente non è in coda.');
+        return;
+      }
+
+      const bot = getBot();
+
+      if (bot) {
+        const locale = await userHandler.getUserLocale(user.telegram_id);
+        notifyUser(bot, user.telegram_id,
+          t(locale, 'queue.removedByApi', { username: user.username, position: removed.position }));
+
+        // Se il turno era già stato assegnato, passa al prossimo in coda
+        if (removed.slot_reserved) {
+          await queueHandler.notifyNextInQueue(bot, removed.station);
+        }
+      }
+
+      logger.info(`API key ${req.apiKey.key_prefix} removed user ${user.telegram_id} from queue`);
+
+      res.json({ removed: serializeQueueEntry(removed) });
+    } catch (error) {
+      logger.error(`API queue removal error: ${error.message}`);
+      sendError(res, 500, 'Errore durante la rimozione dalla coda.');
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createApiRouter
+};
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const ApiKey = require('../models/apiKey');
+const auditHandler = require('./auditHandler');
+const logger = require('../utils/logger');
+const { localizedError } = require('../utils/i18n');
+
+// Prefisso delle chiavi generate, per riconoscerle a colpo d'occhio
+const KEY_PREFIX = 'gc_';
+// Caratteri della chiave mostrati negli elenchi (prefisso compreso)
+const DISPLAY_LENGTH = 11;
+
+/**
+ * Calcola l'hash con cui una chiave è salvata nel database
+ * @param {String} key - Chiave in chiaro
+ * @returns {String} - Hash SHA-256 esadecimale
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Crea una nuova chiave API
+ * @param {String} name - Nome descrittivo (es. "dashboard edificio")
+ * @param {String} scope - Permessi della chiave (read, write)
+ * @param {Number} adminId - ID Telegram dell'amministratore
+ * @returns {Promise<Object>} - { apiKey, key } con la chiave in chiaro, da mostrare una sola volta
+ */
+async function createApiKey(name, scope, adminId) {
+  try {
+    if (!name || !name.trim()) {
+      throw localizedError('errors.apiKey.nameRequired');
+    }
+
+    if (!['read', 'write'].includes(scope)) {
+      throw localizedError('errors.apiKey.invalidScope', { scope });
+    }
+
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+    const apiKey = await ApiKey.create({
+      name: name.trim(),
+      key_hash: hashKey(key),
+      key_prefix: key.slice(0, DISPLAY_LENGTH),
+      scope,
+      created_by: adminId
+    });
+
+    await auditHandler.recordEvent({
+      action: 'apikey_created',
+      actorId: adminId,
+      after: { name: apiKey.name, prefix: apiKey.key_prefix, scope }
+    });
+
+    logger.info(`API key ${apiKey.key_prefix} (${apiKey.name}, ${scope}) created by ${adminId}`);
+
+    return { apiKey, key };
+  } catch (error) {
+    logger.error(`Error creating API key ${name}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Revoca una chiave API
+ * @param {String} prefix - Prefisso della chiave, come mostrato nell'elenco
+ * @param {Number} adminId - ID Telegram dell'amministratore
+ * @returns {Promise<Object>} - Chiave revocata
+ */
+async function revokeApiKey(prefix, adminId) {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { key_prefix: prefix, revoked_at: null },
+      { $set: { revoked_at: new Date() } },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      throw localizedError('errors.apiKey.notFound', { prefix });
+    }
+
+    await auditHandler.recordEvent({
+      action: 'apikey_revoked',
+      actorId: adminId,
+      before: { name: apiKey.name, prefix: apiKey.key_prefix, scope: apiKey.scope }
+    });
+
+    logger.info(`API key ${apiKey.key_prefix} (${apiKey.name}) revoked by ${adminId}`);
+
+    return apiKey;
+  } catch (error) {
+    logger.error(`Error revoking API key ${prefix}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene le chiavi API attive
+ * @returns {Promise<Array>} - Array di chiavi ordinate per creazione
+ */
+async function getApiKeys() {
+  try {
+    return await ApiKey.find({ revoked_at: null }).sort({ createdAt: 1 });
+  } catch (error) {
+    logger.error(`Error getting API keys: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Verifica una chiave ricevuta in una richiesta e ne registra l'utilizzo
+ * @param {String} key - Chiave in chiaro
+ * @returns {Promise<Object|null>} - Chiave attiva corrispondente o null se non valida
+ */
+async function authenticate(key) {
+  if (!key || !key.startsWith(KEY_PREFIX)) {
+    return null;
+  }
+
+  return await ApiKey.findOneAndUpdate(
+    { key_hash: hashKey(key), revoked_at: null },
+    { $set: { last_used_at: new Date() } },
+    { new: true }
+  );
+}
+
+module.exports = {
+  createApiKey,
+  revokeApiKey,
+  getApiKeys,
+  authenticate
+};
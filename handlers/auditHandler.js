@@ -0,0 +1,112 @@
+const AuditEvent = require('../models/auditEvent');
+const User = require('../models/user');
+const logger = require('../utils/logger');
+const { toCsv } = require('../utils/csv');
+const { localizedError } = require('../utils/i18n');
+
+// Numero massimo di eventi esportati in un file CSV
+const MAX_EXPORT_EVENTS = 5000;
+
+/**
+ * Registra un evento nel registro delle azioni. Un errore di scrittura viene
+ * solo segnalato nei log, senza interrompere l'operazione già eseguita
+ * @param {Object} event - { action, actorId, targetId, targetUsername, station, before, after, details }
+ * @returns {Promise<void>}
+ */
+async function recordEvent({ action, actorId = null, targetId = null, targetUsername = null, station = null, before = null, after = null, details = null }) {
+  try {
+    await AuditEvent.create({
+      action,
+      actor_id: actorId,
+      target_id: targetId,
+      target_username: targetUsername,
+      station,
+      before,
+      after,
+      details
+    });
+  } catch (error) {
+    logger.error(`Error recording audit event ${action} for ${targetId}: ${error.message}`);
+  }
+}
+
+/**
+ * Interpreta i parametri di /admin_audit
+ * @param {Array} params - Parametri del comando: [@username] [giorni] [csv] in qualsiasi ordine
+ * @returns {Object} - { username, days, csv }
+ */
+function parseAuditParams(params) {
+  const filter = { username: null, days: 7, csv: false };
+
+  params.filter(Boolean).forEach(param => {
+    if (param.toLowerCase() === 'csv') {
+      filter.csv = true;
+    } else if (/^\d+$/.test(param)) {
+      filter.days = Math.min(Math.max(parseInt(param), 1), 365);
+    } else {
+      filter.username = param.replace('@', '');
+    }
+  });
+
+  return filter;
+}
+
+/**
+ * Cerca gli eventi del registro, dal più recente
+ * @param {Object} filter - { username, days }
+ * @param {Number} limit - Numero massimo di eventi
+ * @returns {Promise<Array>} - Array di eventi con la stazione popolata
+ */
+async function getEvents({ username = null, days = 7 }, limit = MAX_EXPORT_EVENTS) {
+  try {
+    const query = { createdAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60000) } };
+
+    if (username) {
+      const user = await User.findOne({ username });
+
+      if (!user) {
+        throw localizedError('errors.userNotFound', { username });
+      }
+
+      // Eventi che riguardano l'utente o eseguiti da lui
+      query.$or = [{ target_id: user.telegram_id }, { actor_id: user.telegram_id }];
+    }
+
+    return await AuditEvent.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate('station', 'name');
+  } catch (error) {
+    logger.error(`Error getting audit events: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Converte gli eventi del registro in CSV
+ * @param {Array} events - Eventi restituiti da getEvents
+ * @returns {String} - Contenuto CSV con intestazione
+ */
+function eventsToCsv(events) {
+  return toCsv(
+    ['data', 'azione', 'attore_id', 'utente_id', 'utente', 'stazione', 'prima', 'dopo', 'dettagli'],
+    events.map(event => [
+      new Date(event.createdAt).toISOString(),
+      event.action,
+      event.actor_id === null ? 'sistema' : event.actor_id,
+      event.target_id,
+      event.target_username,
+      event.station && event.station.name ? event.station.name : '',
+      event.before ? JSON.stringify(event.before) : '',
+      event.after ? JSON.stringify(event.after) : '',
+      event.details
+    ])
+  );
+}
+
+module.exports = {
+  recordEvent,
+  parseAuditParams,
+  getEvents,
+  eventsToCsv
+};
@@ -0,0 +1,210 @@
+const Session = require('../models/session');
+const settingsHandler = require('./settingsHandler');
+const logger = require('../utils/logger');
+const { toCsv } = require('../utils/csv');
+const { toLocalTime, localizedError } = require('../utils/i18n');
+
+// Energia massima plausibile per una singola ricarica
+const MAX_SESSION_KWH = 150;
+// Ore entro cui l'utente può indicare l'energia di una ricarica già terminata
+const ENERGY_EDIT_HOURS = 24;
+
+/**
+ * Interpreta l'energia indicata dall'utente
+ * Formati supportati: "12.5" (kWh erogati) o "1520.3 1532.8" (letture iniziale e finale del contatore)
+ * @param {String} text - Testo del comando
+ * @returns {Object|null} - { energy_kwh, meter_start, meter_end } o null se il testo è vuoto
+ */
+function parseEnergy(text) {
+  const values = (text || '').trim().split(/\s+/).filter(Boolean)
+    .map(value => Number(value.replace(',', '.')));
+
+  if (values.length === 0) {
+    return null;
+  }
+
+  if (values.length > 2 || values.some(value => !Number.isFinite(value) || value < 0)) {
+    throw localizedError('errors.billing.invalidEnergy');
+  }
+
+  const energy = values.length === 2
+    ? { energy_kwh: values[1] - values[0], meter_start: values[0], meter_end: values[1] }
+    : { energy_kwh: values[0], meter_start: null, meter_end: null };
+
+  if (energy.energy_kwh <= 0) {
+    throw localizedError('errors.billing.meterDecreasing');
+  }
+
+  if (energy.energy_kwh > MAX_SESSION_KWH) {
+    throw localizedError('errors.billing.implausible', { max: MAX_SESSION_KWH });
+  }
+
+  energy.energy_kwh = Math.round(energy.energy_kwh * 100) / 100;
+
+  return energy;
+}
+
+/**
+ * Calcola il costo di una ricarica con le tariffe in vigore
+ * @param {Number} durationMinutes - Durata della ricarica in minuti
+ * @param {Number|null} energyKwh - Energia erogata in kWh (null se non indicata)
+ * @returns {Number|null} - Costo in euro, null se non ci sono tariffe impostate
+ */
+function computeCost(durationMinutes, energyKwh) {
+  const pricePerKwh = settingsHandler.getSetting('price_per_kwh');
+  const pricePerMinute = settingsHandler.getSetting('price_per_minute');
+
+  if (pricePerKwh === 0 && pricePerMinute === 0) {
+    return null;
+  }
+
+  const cost = (energyKwh || 0) * pricePerKwh + durationMinutes * pricePerMinute;
+
+  return Math.round(cost * 100) / 100;
+}
+
+/**
+ * Registra l'energia dell'ultima ricarica terminata dall'utente e ne ricalcola il costo
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {Object} energy - Risultato di parseEnergy
+ * @returns {Promise<Object>} - Oggetto sessione aggiornata
+ */
+async function recordEnergy(userId, energy) {
+  try {
+    const session = await Session.findOne({
+      telegram_id: userId,
+      status: { $ne: 'active' },
+      end_time: { $gte: new Date(Date.now() - ENERGY_EDIT_HOURS * 60 * 60000) }
+    }).sort({ end_time: -1 });
+
+    if (!session) {
+      throw localizedError('errors.billing.noRecentSession', { hours: ENERGY_EDIT_HOURS });
+    }
+
+    const durationMinutes = Math.round((new Date(session.end_time) - new Date(session.start_time)) / 60000);
+
+    session.energy_kwh = energy.energy_kwh;
+    session.meter_start = energy.meter_start;
+    session.meter_end = energy.meter_end;
+    session.cost = computeCost(durationMinutes, energy.energy_kwh);
+    await session.save();
+
+    logger.info(`Recorded ${energy.energy_kwh} kWh for session ${session._id} of user ${userId}`);
+
+    return session;
+  } catch (error) {
+    logger.error(`Error recording energy for user ${userId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Interpreta il mese richiesto per un report
+ * @param {String} text - Mese nel formato MM/AAAA (vuoto per il mese corrente)
+ * @returns {Object} - Inizio del mese come oggetto moment nel fuso italiano
+ */
+function parseMonth(text) {
+  const now = toLocalTime();
+
+  if (!text || !text.trim()) {
+    return now.clone().startOf('month');
+  }
+
+  const match = text.trim().match(/^(\d{1,2})\/(\d{4})$/);
+
+  if (!match || parseInt(match[1]) < 1 || parseInt(match[1]) > 12) {
+    throw localizedError('errors.billing.invalidMonth');
+  }
+
+  return now.clone()
+    .year(parseInt(match[2]))
+    .month(parseInt(match[1]) - 1)
+    .startOf('month');
+}
+
+/**
+ * Calcola i totali mensili per utente (ricariche, minuti, energia e costo)
+ * @param {String} monthText - Mese nel formato MM/AAAA (vuoto per il mese corrente)
+ * @returns {Promise<Object>} - { month, users: [...], totals }
+ */
+async function getMonthlyReport(monthText) {
+  try {
+    const start = parseMonth(monthText);
+    const end = start.clone().add(1, 'month');
+
+    const sessions = await Session.find({
+      status: { $ne: 'active' },
+      start_time: { $gte: start.toDate(), $lt: end.toDate() }
+    }).sort({ start_time: 1 });
+
+    const users = new Map();
+    const totals = { charges: 0, minutes: 0, energy_kwh: 0, cost: 0, missing_energy: 0 };
+
+    sessions.forEach(session => {
+      const minutes = Math.round((new Date(session.end_time) - new Date(session.start_time)) / 60000);
+
+      if (!users.has(session.telegram_id)) {
+        users.set(session.telegram_id, {
+          telegram_id: session.telegram_id,
+          username: session.username,
+          charges: 0,
+          minutes: 0,
+          energy_kwh: 0,
+          cost: 0,
+          missing_energy: 0
+        });
+      }
+
+      [users.get(session.telegram_id), totals].forEach(row => {
+        row.charges += 1;
+        row.minutes += minutes;
+        row.energy_kwh += session.energy_kwh || 0;
+        row.cost += session.cost || 0;
+        row.missing_energy += session.energy_kwh === null || session.energy_kwh === undefined ? 1 : 0;
+      });
+    });
+
+    const round = value => Math.round(value * 100) / 100;
+    const rows = Array.from(users.values())
+      .map(row => ({ ...row, energy_kwh: round(row.energy_kwh), cost: round(row.cost) }))
+      .sort((a, b) => b.cost - a.cost || b.minutes - a.minutes);
+
+    return {
+      month: start.format('MM/YYYY'),
+      users: rows,
+      totals: { ...totals, energy_kwh: round(totals.energy_kwh), cost: round(totals.cost) }
+    };
+  } catch (error) {
+    logger.error(`Error building monthly report for ${monthText || 'current month'}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Converte un report mensile in CSV
+ * @param {Object} report - Risultato di getMonthlyReport
+ * @returns {String} - Contenuto CSV con intestazione
+ */
+function reportToCsv(report) {
+  return toCsv(
+    ['mese', 'telegram_id', 'username', 'ricariche', 'minuti', 'kwh', 'costo_eur', 'ricariche_senza_kwh'],
+    report.users.map(row => [
+      report.month,
+      row.telegram_id,
+      row.username,
+      row.charges,
+      row.minutes,
+      row.energy_kwh.toFixed(2),
+      row.cost.toFixed(2),
+      row.missing_energy
+    ])
+  );
+}
+
+module.exports = {
+  parseEnergy,
+  computeCost,
+  recordEnergy,
+  getMonthlyReport,
+  reportToCsv
+};
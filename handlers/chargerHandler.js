@@ -0,0 +1,403 @@
+const SlotState = require('../models/slotState');
+const Session = require('../models/session');
+const User = require('../models/user');
+const sessionHandler = require('./sessionHandler');
+const queueHandler = require('./queueHandler');
+const stationHandler = require('./stationHandler');
+const settingsHandler = require('./settingsHandler');
+const strikeHandler = require('./strikeHandler');
+const auditHandler = require('./auditHandler');
+const userHandler = require('./userHandler');
+const config = require('../config');
+const logger = require('../utils/logger');
+const formatters = require('../utils/formatters');
+const keyboards = require('../utils/keyboards');
+const { t, localizedError, translateError } = require('../utils/i18n');
+
+// Stati di uno slot comunicati dai driver delle colonnine
+const CHARGER_STATUSES = ['available', 'occupied', 'charging', 'faulted', 'unavailable'];
+// Stati in cui un veicolo occupa lo slot
+const OCCUPIED_STATUSES = ['occupied', 'charging'];
+
+/**
+ * Invia un messaggio a un utente senza interrompere la gestione dell'evento del driver
+ * @param {Object} bot - Istanza del bot Telegram (null se non disponibile)
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {String} message - Testo del messaggio
+ * @param {Object} options - Opzioni di invio
+ */
+function notifyUser(bot, userId, message, options = {}) {
+  if (!bot || !userId) {
+    return;
+  }
+
+  bot.sendMessage(userId, message, options).catch(error => {
+    logger.error(`Error notifying user ${userId} about charger event: ${error.message}`);
+  });
+}
+
+/**
+ * Converte l'energia misurata da un driver nel formato delle sessioni
+ * @param {Object} readings - { meterStartWh, meterStopWh, energyWh } (Wh, tutti opzionali)
+ * @returns {Object|null} - { energy_kwh, meter_start, meter_end } in kWh o null se non misurata
+ */
+function toSessionEnergy({ meterStartWh = null, meterStopWh = null, energyWh = null }) {
+  const round = wh => Math.round(wh / 10) / 100;
+
+  if (meterStartWh !== null && meterStopWh !== null && meterStopWh > meterStartWh) {
+    return {
+      energy_kwh: round(meterStopWh - meterStartWh),
+      meter_start: round(meterStartWh),
+      meter_end: round(meterStopWh)
+    };
+  }
+
+  if (energyWh > 0) {
+    return { energy_kwh: round(energyWh), meter_start: null, meter_end: null };
+  }
+
+  return null;
+}
+
+/**
+ * Verifica una tessera RFID
+ * @param {String} rfidTag - Tessera comunicata dalla colonnina
+ * @returns {Promise<Object>} - { status, user }: Blocked per gli utenti sospesi o esclusi;
+ *                              le tessere sconosciute sono accettate ma la ricarica non viene attribuita
+ */
+async function authorizeTag(rfidTag) {
+  const user = rfidTag ? await User.findOne({ rfid_tag: rfidTag }) : null;
+
+  if (user && (user.role === 'banned' || strikeHandler.isSuspended(user))) {
+    return { status: 'Blocked', user };
+  }
+
+  return { status: 'Accepted', user };
+}
+
+/**
+ * Registra lo stato di uno slot comunicato da un driver
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Object} event - { driver, stationId, slotNumber, status, detail }
+ * @returns {Promise<Object>} - Stato dello slot aggiornato
+ */
+async function reportStatus(bot, { driver, stationId, slotNumber, status, detail = null }) {
+  try {
+    if (!CHARGER_STATUSES.includes(status)) {
+      throw new Error(`Unknown charger status ${status}`);
+    }
+
+    const update = { driver, status, detail };
+
+    // Slot liberato: si azzerano i dati del veicolo e la segnalazione
+    if (!OCCUPIED_STATUSES.includes(status)) {
+      Object.assign(update, { occupied_since: null, rfid_tag: null, energy_wh: null, power_w: null, ghost: false });
+    }
+
+    const state = await SlotState.findOneAndUpdate(
+      { station: stationId, slot_number: slotNumber },
+      { $set: update },
+      { upsert: true, new: true }
+    );
+
+    if (OCCUPIED_STATUSES.includes(status) && !state.occupied_since) {
+      state.occupied_since = new Date();
+      await SlotState.updateOne({ _id: state._id, occupied_since: null }, { $set: { occupied_since: state.occupied_since } });
+    }
+
+    logger.info(`Charger ${driver}: station ${stationId} slot ${slotNumber} is ${status}${detail ? ` (${detail})` : ''}`);
+
+    return state;
+  } catch (error) {
+    logger.error(`Error reporting charger status for slot ${slotNumber} of station ${stationId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Registra l'inizio di una ricarica comunicato da un driver: conferma la sessione
+ * già avviata sullo slot o la avvia per l'utente della tessera
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Object} event - { driver, stationId, slotNumber, rfidTag }
+ * @returns {Promise<Object>} - { status, session }: esito della verifica della tessera e sessione collegata
+ */
+async function reportStart(bot, { driver, stationId, slotNumber, rfidTag = null }) {
+  try {
+    const { status, user } = await authorizeTag(rfidTag);
+
+    await reportStatus(bot, { driver, stationId, slotNumber, status: 'charging', detail: 'start' });
+    await SlotState.updateOne(
+      { station: stationId, slot_number: slotNumber },
+      { $set: { rfid_tag: rfidTag, energy_wh: 0, power_w: null } }
+    );
+
+    if (status !== 'Accepted') {
+      logger.warn(`Charger ${driver}: tag ${rfidTag} of ${user.username} is blocked`);
+      return { status, session: null };
+    }
+
+    let result = { session: null, started: false };
+
+    try {
+      result = await sessionHandler.confirmChargerStart(stationId, slotNumber, user);
+    } catch (error) {
+      if (user) {
+        const locale = await userHandler.getUserLocale(user.telegram_id);
+        notifyUser(bot, user.telegram_id, t(locale, 'chargers.sessionError', { error: translateError(error, locale) }));
+      }
+    }
+
+    if (result.started) {
+      const station = await stationHandler.getStation(result.session.station);
+      const locale = await userHandler.getUserLocale(user.telegram_id);
+      notifyUser(bot, user.telegram_id,
+        `${t(locale, 'chargers.startDetected')}\n` +
+        formatters.formatSessionStartMessage(result.session, station.name, stationHandler.getReminderTime(station), locale),
+        { parse_mode: 'Markdown', reply_markup: keyboards.sessionKeyboard(locale) });
+    }
+
+    if (!result.session) {
+      logger.warn(`Charger ${driver}: charge on slot ${slotNumber} of station ${stationId} is not linked to any session`);
+    }
+
+    return { status, session: result.session };
+  } catch (error) {
+    logger.error(`Error reporting charger start for slot ${slotNumber} of station ${stationId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Registra l'energia della ricarica in corso comunicata da un driver
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Object} event - { driver, stationId, slotNumber, energyWh, powerW } (energia dall'inizio della ricarica)
+ * @returns {Promise<void>}
+ */
+async function reportEnergy(bot, { driver, stationId, slotNumber, energyWh = null, powerW = null }) {
+  try {
+    const update = { driver };
+
+    if (energyWh !== null) {
+      update.energy_wh = energyWh;
+    }
+
+    if (powerW !== null) {
+      update.power_w = powerW;
+    }
+
+    await SlotState.updateOne({ station: stationId, slot_number: slotNumber }, { $set: update });
+  } catch (error) {
+    logger.error(`Error reporting charger energy for slot ${slotNumber} of station ${stationId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Registra la fine di una ricarica comunicata da un driver e termina la sessione sullo slot.
+ * Lo slot resta occupato finché il driver non comunica che il veicolo è stato scollegato
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Object} event - { driver, stationId, slotNumber, meterStartWh, meterStopWh, energyWh, reason }
+ * @returns {Promise<Object|null>} - Risultato di endSession o null se sullo slot non c'era una sessione
+ */
+async function reportStop(bot, { driver, stationId, slotNumber, meterStartWh = null, meterStopWh = null, energyWh = null, reason = null }) {
+  try {
+    const energy = toSessionEnergy({ meterStartWh, meterStopWh, energyWh });
+
+    // Da qui conta il tempo per cui il veicolo occupa lo slot senza ricaricare
+    await SlotState.updateOne(
+      { station: stationId, slot_number: slotNumber, status: 'charging' },
+      { $set: { driver, status: 'occupied', detail: reason, occupied_since: new Date(), power_w: null } }
+    );
+
+    let result = null;
+
+    try {
+      result = await sessionHandler.endChargerSession(stationId, slotNumber, energy);
+    } catch (error) {
+      logger.error(`Charger ${driver}: cannot end session on slot ${slotNumber}: ${error.message}`);
+    }
+
+    if (!result) {
+      return null;
+    }
+
+    const locale = await userHandler.getUserLocale(result.session.telegram_id);
+    notifyUser(bot, result.session.telegram_id,
+      `${t(locale, 'chargers.stopDetected')}\n` + formatters.formatSessionEndMessage(result, locale) +
+      (result.handover ? `\n\n${t(locale, 'handover.completed', { username: result.handover.username })}` : ''),
+      { parse_mode: 'Markdown' });
+
+    await queueHandler.notifyNextInQueue(bot, stationId);
+
+    return result;
+  } catch (error) {
+    logger.error(`Error reporting charger stop for slot ${slotNumber} of station ${stationId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Confronta gli slot rilevati dai driver con le sessioni del bot e segnala, una sola volta:
+ * - le sessioni avviate con /iniziato su uno slot in cui non c'è nessun veicolo
+ * - i veicoli che occupano uno slot senza una sessione del bot ("ghost car")
+ * @param {Object} bot - Istanza del bot Telegram
+ * @returns {Promise<Object>} - { mismatches, ghosts } con le sessioni e gli slot segnalati
+ */
+async function checkSlots(bot) {
+  try {
+    const graceTime = settingsHandler.getSetting('charger_grace_time');
+    const mismatches = [];
+    const ghosts = [];
+
+    // Sessioni senza veicolo sullo slot
+    const idleSlots = await SlotState.find({ status: { $nin: OCCUPIED_STATUSES } });
+    const sessions = await sessionHandler.getUnconfirmedSessions(idleSlots, graceTime);
+
+    for (const session of sessions) {
+      const marked = await sessionHandler.markSessionChargerMismatch(session._id);
+
+      if (!marked) {
+        continue;
+      }
+
+      const state = idleSlots.find(item =>
+        item.station.equals(session.station) && item.slot_number === session.slot_number);
+
+      logger.warn(`Session ${session._id} of ${session.username} on slot ${session.slot_number}: charger reports ${state.status}`);
+
+      await auditHandler.recordEvent({
+        action: 'charger_mismatch',
+        targetId: session.telegram_id,
+        targetUsername: session.username,
+        station: session.station,
+        after: { slot_number: session.slot_number, driver: state.driver, charger_status: state.detail || state.status }
+      });
+
+      const locale = await userHandler.getUserLocale(session.telegram_id);
+      notifyUser(bot, session.telegram_id, formatters.formatChargerMismatchMessage(session, graceTime, locale), { parse_mode: 'Markdown' });
+
+      mismatches.push(session);
+    }
+
+    // Veicoli senza sessione
+    const occupiedSlots = await SlotState.find({
+      status: { $in: OCCUPIED_STATUSES },
+      ghost: false,
+      occupied_since: { $lte: new Date(Date.now() - graceTime * 60000) }
+    });
+
+    for (const state of occupiedSlots) {
+      const hasSession = await Session.exists({ station: state.station, slot_number: state.slot_number, status: 'active' });
+
+      if (hasSession) {
+        continue;
+      }
+
+      const marked = await SlotState.findOneAndUpdate({ _id: state._id, ghost: false }, { $set: { ghost: true } });
+
+      if (!marked) {
+        continue;
+      }
+
+      const station = await stationHandler.getStation(state.station);
+
+      logger.warn(`Slot ${state.slot_number} of station ${state.station} occupied since ${state.occupied_since.toISOString()} without a session`);
+
+      await auditHandler.recordEvent({
+        action: 'charger_ghost',
+        station: state.station,
+        after: { slot_number: state.slot_number, driver: state.driver, charger_status: state.detail || state.status, rfid_tag: state.rfid_tag },
+        details: `dalle ${formatters.formatTime(state.occupied_since)}`
+      });
+
+      const adminLocale = await userHandler.getUserLocale(config.ADMIN_USER_ID);
+      notifyUser(bot, config.ADMIN_USER_ID, formatters.formatGhostSlotMessage(station, state, adminLocale), { parse_mode: 'Markdown' });
+
+      ghosts.push(state);
+    }
+
+    return { mismatches, ghosts };
+  } catch (error) {
+    logger.error(`Error checking charger slots: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene gli slot rilevati dai driver con le sessioni attive e le segnalazioni
+ * @returns {Promise<Object>} - { states, sessions, mismatches }
+ */
+async function getSlotStates() {
+  try {
+    const states = await SlotState.find().populate('station', 'name').sort({ station: 1, slot_number: 1 });
+    const sessions = await Session.find({ status: 'active' });
+    const mismatches = await Session.find({ status: 'active', charger_mismatch: true }).populate('station', 'name');
+
+    return { states, sessions, mismatches };
+  } catch (error) {
+    logger.error(`Error getting charger slot states: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Associa a un utente la tessera RFID con cui le colonnine lo identificano
+ * @param {String} username - Username Telegram dell'utente
+ * @param {String|null} rfidTag - Codice della tessera, null per rimuoverla
+ * @param {Number} adminId - ID Telegram dell'amministratore
+ * @returns {Promise<Object>} - Utente aggiornato
+ */
+async function setUserRfidTag(username, rfidTag, adminId) {
+  try {
+    const user = await User.findOne({ username: username.replace('@', '') });
+
+    if (!user) {
+      throw localizedError('errors.userNotFound', { username: username.replace('@', '') });
+    }
+
+    // Limite dell'idTag in OCPP 1.6
+    if (rfidTag && rfidTag.length > 20) {
+      throw localizedError('errors.charger.tagTooLong');
+    }
+
+    const before = user.rfid_tag;
+    user.rfid_tag = rfidTag;
+
+    try {
+      await user.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw localizedError('errors.charger.tagTaken', { tag: rfidTag });
+      }
+      throw error;
+    }
+
+    await auditHandler.recordEvent({
+      action: 'charger_tag',
+      actorId: adminId,
+      targetId: user.telegram_id,
+      targetUsername: user.username,
+      before: { rfid_tag: before },
+      after: { rfid_tag: rfidTag }
+    });
+
+    logger.info(`RFID tag of ${user.username} set to ${rfidTag} by ${adminId}`);
+
+    return user;
+  } catch (error) {
+    logger.error(`Error setting RFID tag for ${username}: ${error.message}`);
+    throw error;
+  }
+}
+
+module.exports = {
+  CHARGER_STATUSES,
+  authorizeTag,
+  reportStatus,
+  reportStart,
+  reportEnergy,
+  reportStop,
+  checkSlots,
+  getSlotStates,
+  setUserRfidTag
+};
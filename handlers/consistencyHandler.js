@@ -0,0 +1,157 @@
+const Station = require('../models/station');
+const Session = require('../models/session');
+const Queue = require('../models/queue');
+const Reservation = require('../models/reservation');
+const stationHandler = require('./stationHandler');
+const queueHandler = require('./queueHandler');
+const logger = require('../utils/logger');
+
+// Attesa prima di ripetere un controllo che ha trovato differenze, per lasciar concludere
+// le operazioni in corso (es. uno slot già occupato con la sessione non ancora salvata)
+const RECHECK_DELAY = 5000;
+
+/**
+ * Confronta i contatori di ogni stazione con sessioni, prenotazioni e coda reali
+ * e, se richiesto, li corregge
+ * @param {Object} options - Opzioni del controllo
+ * @param {Boolean} options.dryRun - Se true mostra solo le differenze senza correggerle
+ * @returns {Promise<Object>} - { dryRun, stations: [{ station_id, station_name, differences, queue_gaps }], issues }
+ */
+async function checkConsistency({ dryRun = false } = {}) {
+  try {
+    const stations = await stationHandler.getStations();
+    const report = { dryRun, stations: [], issues: 0 };
+
+    for (const station of stations) {
+      const result = await checkStation(station, dryRun);
+      report.stations.push(result);
+      report.issues += result.differences.length + (result.queue_gaps ? 1 : 0);
+    }
+
+    if (report.issues > 0) {
+      logger.warn(`Consistency check found ${report.issues} issues${dryRun ? ' (dry run)' : ', fixed'}`);
+    } else {
+      logger.info('Consistency check completed, no issues found');
+    }
+
+    return report;
+  } catch (error) {
+    logger.error(`Error checking consistency: ${error.message}`);
+    logger.error(error.stack);
+    throw error;
+  }
+}
+
+/**
+ * Confronta i contatori letti dal documento di una stazione con quelli calcolati
+ * da sessioni, prenotazioni e coda
+ * @param {String} stationId - ID della stazione
+ * @returns {Promise<Object|null>} - { station, expected, differences, queueGaps }, null se la stazione non esiste più
+ */
+async function observeStation(stationId) {
+  const station = await Station.findById(stationId);
+
+  if (!station) {
+    return null;
+  }
+
+  const activeSessions = await Session.find({ station: station._id, status: 'active' }).select('_id');
+  const heldReservations = await Reservation.countDocuments({ station: station._id, status: 'held' });
+  const queueEntries = await Queue.find({ station: station._id });
+
+  // Gli slot trattenuti per le prenotazioni sono già sottratti a quelli disponibili
+  const expected = {
+    slots_available: Math.max(0, station.total_slots - activeSessions.length - heldReservations),
+    active_sessions: activeSessions.map(session => session._id),
+    queue_length: queueEntries.length
+  };
+
+  const actualSessionIds = station.active_sessions.map(id => id.toString()).sort();
+  const expectedSessionIds = expected.active_sessions.map(id => id.toString()).sort();
+
+  const differences = [];
+
+  if (station.slots_available !== expected.slots_available) {
+    differences.push({ field: 'slots_available', actual: station.slots_available, expected: expected.slots_available });
+  }
+
+  if (actualSessionIds.join(',') !== expectedSessionIds.join(',')) {
+    differences.push({ field: 'active_sessions', actual: actualSessionIds.length, expected: expectedSessionIds.length });
+  }
+
+  if (station.queue_length !== expected.queue_length) {
+    differences.push({ field: 'queue_length', actual: station.queue_length, expected: expected.queue_length });
+  }
+
+  // Le posizioni in coda devono essere 1, 2, 3, ... senza buchi né duplicati, nell'ordine di priorità
+  const queueGaps = queueHandler.sortQueueEntries(queueEntries)
+    .some((entry, index) => entry.position !== index + 1);
+
+  return { station, expected, differences, queueGaps };
+}
+
+/**
+ * Ricalcola i contatori di una stazione. Le letture non sono simultanee: uno slot occupato
+ * mentre la sessione non è ancora salvata appare come una differenza. Prima di correggere
+ * il controllo viene quindi ripetuto dopo RECHECK_DELAY, e la correzione si applica solo
+ * se i contatori della stazione non sono cambiati dall'ultima lettura
+ * @param {Object} station - Oggetto stazione
+ * @param {Boolean} dryRun - Se true non applica le correzioni
+ * @returns {Promise<Object>} - Differenze trovate per la stazione
+ */
+async function checkStation(station, dryRun) {
+  let observed = await observeStation(station._id);
+
+  if (observed && !dryRun && (observed.differences.length > 0 || observed.queueGaps)) {
+    await new Promise(resolve => setTimeout(resolve, RECHECK_DELAY));
+    observed = await observeStation(station._id);
+  }
+
+  if (!observed) {
+    return { station_id: station._id, station_name: station.name, differences: [], queue_gaps: false };
+  }
+
+  const { expected, differences, queueGaps } = observed;
+  const counterDifferences = differences.filter(difference => difference.field !== 'queue_length');
+
+  if (!dryRun && counterDifferences.length > 0) {
+    // Aggiornamento condizionato ai valori letti: se nel frattempo uno slot è stato occupato
+    // o liberato, la correzione viene rimandata al prossimo controllo
+    const reconciled = await Station.findOneAndUpdate(
+      {
+        _id: station._id,
+        slots_available: observed.station.slots_available,
+        active_sessions: observed.station.active_sessions
+      },
+      {
+        $set: {
+          slots_available: expected.slots_available,
+          active_sessions: expected.active_sessions
+        }
+      }
+    );
+
+    if (!reconciled) {
+      logger.info(`Station ${station.name} changed during the consistency check, correction postponed`);
+      return { station_id: station._id, station_name: station.name, differences: [], queue_gaps: false };
+    }
+  }
+
+  if (!dryRun && (differences.length > 0 || queueGaps)) {
+    // Rinumera le posizioni e riallinea la lunghezza della coda (in una transazione sulla stazione)
+    await queueHandler.compactQueue(station._id);
+
+    logger.info(`Station ${station.name} counters reconciled: ${differences.map(d => `${d.field} ${d.actual} -> ${d.expected}`).join(', ') || 'queue positions compacted'}`);
+  }
+
+  return {
+    station_id: station._id,
+    station_name: station.name,
+    differences,
+    queue_gaps: queueGaps
+  };
+}
+
+module.exports = {
+  checkConsistency
+};
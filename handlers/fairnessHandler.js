@@ -0,0 +1,145 @@
+const Session = require('../models/session');
+const Queue = require('../models/queue');
+const User = require('../models/user');
+const settingsHandler = require('./settingsHandler');
+const strikeHandler = require('./strikeHandler');
+const logger = require('../utils/logger');
+const { toLocalTime, localizedError } = require('../utils/i18n');
+
+/**
+ * Calcola l'utilizzo dell'utente nel giorno e nella settimana correnti
+ * @param {Number} userId - ID Telegram dell'utente
+ * @returns {Promise<Object>} - { sessionsToday, minutesThisWeek, dayEnd, weekEnd }
+ */
+async function getUsage(userId) {
+  const now = toLocalTime();
+  const dayStart = now.clone().startOf('day');
+  const weekStart = now.clone().startOf('isoWeek');
+
+  const sessionsToday = await Session.countDocuments({
+    telegram_id: userId,
+    start_time: { $gte: dayStart.toDate() }
+  });
+
+  const weekSessions = await Session.find({
+    telegram_id: userId,
+    start_time: { $gte: weekStart.toDate() }
+  });
+
+  // Le sessioni in corso contano fino a questo momento
+  const minutesThisWeek = weekSessions.reduce((total, session) => {
+    const end = session.status === 'active' ? new Date() : new Date(session.end_time);
+    return total + Math.max(0, Math.round((end - new Date(session.start_time)) / 60000));
+  }, 0);
+
+  return {
+    sessionsToday,
+    minutesThisWeek,
+    dayEnd: dayStart.clone().add(1, 'day').toDate(),
+    weekEnd: weekStart.clone().add(1, 'week').toDate()
+  };
+}
+
+/**
+ * Verifica che l'utente possa iniziare o richiedere una ricarica: non deve essere sospeso
+ * e deve rispettare le regole di equità (ricariche al giorno, minuti a settimana, attesa tra due ricariche)
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {String} stationId - ID della stazione richiesta
+ * @returns {Promise<void>} - Lancia un errore con la spiegazione se la ricarica non è consentita
+ */
+async function checkChargePolicy(userId, stationId) {
+  // La sospensione vale anche per gli utenti esentati dai limiti
+  await strikeHandler.checkSuspension(userId);
+
+  const maxDailySessions = settingsHandler.getSetting('max_daily_sessions');
+  const maxWeeklyMinutes = settingsHandler.getSetting('max_weekly_minutes');
+  const cooldownTime = settingsHandler.getSetting('cooldown_time');
+
+  if (maxDailySessions === 0 && maxWeeklyMinutes === 0 && cooldownTime === 0) {
+    return;
+  }
+
+  const user = await User.findOne({ telegram_id: userId });
+
+  if (user && user.quota_exempt) {
+    return;
+  }
+
+  const usage = await getUsage(userId);
+
+  if (maxDailySessions > 0 && usage.sessionsToday >= maxDailySessions) {
+    logger.info(`User ${userId} reached the daily limit (${usage.sessionsToday}/${maxDailySessions})`);
+    throw localizedError('errors.fairness.dailyLimit', { count: usage.sessionsToday, max: maxDailySessions });
+  }
+
+  if (maxWeeklyMinutes > 0 && usage.minutesThisWeek >= maxWeeklyMinutes) {
+    logger.info(`User ${userId} reached the weekly limit (${usage.minutesThisWeek}/${maxWeeklyMinutes} minutes)`);
+    throw localizedError('errors.fairness.weeklyLimit', { minutes: usage.minutesThisWeek, max: maxWeeklyMinutes });
+  }
+
+  // L'attesa tra due ricariche si applica solo se altri utenti aspettano alla stazione
+  if (cooldownTime > 0 && user && user.last_charge) {
+    const readyAt = new Date(user.last_charge.getTime() + cooldownTime * 60000);
+
+    if (readyAt > new Date()) {
+      const othersWaiting = await Queue.countDocuments({
+        station: stationId,
+        telegram_id: { $ne: userId }
+      });
+
+      if (othersWaiting > 0) {
+        const remaining = Math.ceil((readyAt - new Date()) / 60000);
+        logger.info(`User ${userId} is in cooldown for ${remaining} more minutes`);
+        throw localizedError('errors.fairness.cooldown', { count: othersWaiting, cooldown: cooldownTime, remaining });
+      }
+    }
+  }
+}
+
+/**
+ * Concede o revoca l'esenzione dalle regole di equità
+ * @param {String} username - Username Telegram dell'utente (con o senza @)
+ * @param {Boolean} exempt - true per concedere l'esenzione, false per revocarla
+ * @param {Number} adminId - ID Telegram dell'amministratore
+ * @returns {Promise<Object>} - Oggetto utente aggiornato
+ */
+async function setExemption(username, exempt, adminId) {
+  try {
+    const user = await User.findOneAndUpdate(
+      { username: username.replace('@', '') },
+      { $set: { quota_exempt: exempt } },
+      { new: true }
+    );
+
+    if (!user) {
+      throw localizedError('errors.userNotFound', { username: username.replace('@', '') });
+    }
+
+    logger.info(`Quota exemption for user ${user.telegram_id} set to ${exempt} by ${adminId}`);
+
+    return user;
+  } catch (error) {
+    logger.error(`Error setting exemption for ${username}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene gli utenti esentati dalle regole di equità
+ * @returns {Promise<Array>} - Array di utenti
+ */
+async function getExemptUsers() {
+  try {
+    return await User.find({ quota_exempt: true }).sort({ username: 1 });
+  } catch (error) {
+    logger.error(`Error getting exempt users: ${error.message}`);
+    throw error;
+  }
+}
+
+module.exports = {
+  getUsage,
+  checkChargePolicy,
+  setExemption,
+  getExemptUsers
+};
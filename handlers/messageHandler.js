@@ -2,12 +2,25 @@ const userHandler = require('./userHandler');
 const queueHandler = require('./queueHandler');
 const sessionHandler = require('./sessionHandler');
 const adminHandler = require('./adminHandler');
+const stationHandler = require('./stationHandler');
+const reservationHandler = require('./reservationHandler');
+const settingsHandler = require('./settingsHandler');
+const billingHandler = require('./billingHandler');
+const roleHandler = require('./roleHandler');
+const statusBoardHandler = require('./statusBoardHandler');
+const notificationHandler = require('./notificationHandler');
+const watchHandler = require('./watchHandler');
 const config = require('../config');
 const logger = require('../utils/logger');
 const formatters = require('../utils/formatters');
+const keyboards = require('../utils/keyboards');
+const i18n = require('../utils/i18n');
+const { USER_COMMANDS, describeCommands } = require('../utils/commands');
 const Queue = require('../models/queue');
 const Session = require('../models/session');
 
+const { t } = i18n;
+
 /**
  * Verifica se l'utente è autorizzato a utilizzare il bot
  * @param {Object} bot - Istanza del bot Telegram
@@ -17,8 +30,16 @@ const Session = require('../models/session');
  * @returns {Promise<Boolean>} - true se l'utente è autorizzato, false altrimenti
  */
 async function isUserAuthorized(bot, chatId, userId, username) {
-  // Se non è attiva la restrizione al gruppo o è un admin, è sempre autorizzato
-  if (!config.RESTRICT_TO_GROUP || userId === config.ADMIN_USER_ID) {
+  const role = await roleHandler.getRole(userId);
+  
+  // Gli utenti bloccati non possono usare il bot
+  if (role === 'banned') {
+    logger.warn(`Banned user ${username} (${userId}) tried to use the bot`);
+    return false;
+  }
+  
+  // Se non è attiva la restrizione al gruppo o è un membro dello staff, è sempre autorizzato
+  if (!config.RESTRICT_TO_GROUP || roleHandler.isStaff(role)) {
     return true;
   }
   
@@ -47,14 +68,515 @@ async function isUserAuthorized(bot, chatId, userId, username) {
  * @param {Object} bot - Istanza del bot Telegram
  * @param {Number} chatId - ID della chat
  * @param {String} username - Username dell'utente
+ * @param {Number} userId - ID dell'utente
+ * @param {String} locale - Lingua dell'utente
+ */
+async function sendUnauthorizedMessage(bot, chatId, username, userId, locale) {
+  if (await roleHandler.getRole(userId) === 'banned') {
+    bot.sendMessage(chatId, t(locale, 'access.banned', { username }));
+    return;
+  }
+  
+  bot.sendMessage(chatId, t(locale, 'access.unauthorized', { username }), { parse_mode: 'Markdown' });
+}
+
+/**
+ * Estrae gli argomenti di un comando (tutto il testo dopo il comando)
+ * @param {Object} msg - Messaggio Telegram
+ * @returns {String} - Argomenti del comando, stringa vuota se assenti
+ */
+function getCommandArgs(msg) {
+  return (msg.text || '').split(' ').slice(1).join(' ').trim();
+}
+
+/**
+ * Chiede all'utente di scegliere una stazione
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {String} locale - Lingua dell'utente
+ * @param {String} command - Comando da ripetere con la stazione
+ * @param {Boolean} withKeyboard - Se mostrare i pulsanti di scelta
+ * @returns {Promise<void>}
+ */
+async function sendStationChoice(bot, chatId, locale, command, withKeyboard = true) {
+  const stations = await stationHandler.getStations();
+  const options = { parse_mode: 'Markdown' };
+  
+  if (withKeyboard) {
+    options.reply_markup = keyboards.stationChoiceKeyboard(stations, command);
+  }
+  
+  bot.sendMessage(chatId, formatters.formatStationChoiceMessage(stations, command, locale), options);
+}
+
+/**
+ * Richiede una ricarica immediata o prenota una finestra futura
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {Number} userId - ID dell'utente
+ * @param {String} username - Username dell'utente
+ * @param {String} locale - Lingua dell'utente
+ * @param {String} args - Argomenti del comando (stazione, eventuale finestra oraria o richiesta urgente)
+ * @param {String} stationId - ID della stazione già scelta (opzionale)
+ * @returns {Promise<void>}
+ */
+async function processBooking(bot, chatId, userId, username, locale, args, stationId = null) {
+  // "urgente <motivo>" in fondo al comando chiede la priorità in coda
+  const urgency = queueHandler.parseUrgency(args);
+  const text = urgency ? urgency.rest : args;
+  
+  // Una finestra oraria nel comando indica una prenotazione futura
+  const window = reservationHandler.parseTimeWindow(text);
+  
+  if (window && urgency) {
+    throw i18n.localizedError('errors.queue.urgentNotForReservations');
+  }
+  
+  // Determina la stazione richiesta (scelta, argomento o ultima usata)
+  const station = stationId
+    ? await stationHandler.getStation(stationId)
+    : await stationHandler.resolveStation(userId, window ? window.rest : text);
+  
+  if (!station) {
+    // Finestra oraria e motivo urgente non possono essere riportati nei pulsanti: in quel caso va ripetuto il comando
+    await sendStationChoice(bot, chatId, locale, 'prenota', !window && !urgency);
+    return;
+  }
+  
+  if (window) {
+    const reservation = await reservationHandler.createReservation(
+      userId, username, station._id, window.start, window.end);
+    
+    logger.info(`Reservation ${reservation._id} created for user ${userId} at ${station.name}`);
+    
+    const confirmMessage = formatters.formatReservationConfirmMessage(
+      reservation, station.name, settingsHandler.getSetting('hold_timeout'), locale);
+    bot.sendMessage(chatId, confirmMessage, { parse_mode: 'Markdown' });
+    return;
+  }
+  
+  const result = await queueHandler.requestCharge(userId, username, station._id, urgency);
+  
+  if (result.slotAvailable) {
+    logger.info(`Slot available for user ${userId}, sending instructions`);
+    const availableMessage = formatters.formatSlotAvailableMessage(
+      username, userId, stationHandler.getMaxChargeTime(result.station), result.station.name, locale);
+    bot.sendMessage(chatId, availableMessage, {
+      parse_mode: 'Markdown',
+      reply_markup: keyboards.slotAvailableKeyboard(locale)
+    });
+  } else {
+    logger.info(`No slots available, user ${userId} added to queue at position ${result.position}`);
+    const queueMessage = formatters.formatQueueMessage(
+      username, userId, result.position, result.station ? result.station.name : null,
+      settingsHandler.getSetting('queue_timeout'), result.priority, locale, result.estimate);
+    bot.sendMessage(chatId, queueMessage, { parse_mode: 'Markdown' });
+  }
+}
+
+/**
+ * Chiede un avviso quando a una stazione si libera uno slot, senza mettersi in coda
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {Number} userId - ID dell'utente
+ * @param {String} username - Username dell'utente
+ * @param {String} locale - Lingua dell'utente
+ * @param {String} args - Argomenti del comando (stazione, eventuale finestra oraria e "sempre")
+ * @param {String} stationId - ID della stazione già scelta (opzionale)
+ * @returns {Promise<void>}
  */
-function sendUnauthorizedMessage(bot, chatId, username) {
-  bot.sendMessage(chatId, 
-    `⚠️ *Accesso non autorizzato*\n\n` +
-    `Mi dispiace @${username}, ma per utilizzare questo bot devi essere un membro del gruppo autorizzato.\n\n` +
-    `Contatta l'amministratore per maggiori informazioni.`,
-    { parse_mode: 'Markdown' }
-  );
+async function processWatch(bot, chatId, userId, username, locale, args, stationId = null) {
+  if (args.toLowerCase() === 'annulla') {
+    const count = await watchHandler.cancelWatches(userId);
+    bot.sendMessage(chatId, count > 0 ? t(locale, 'watch.cancelled', { count }) : t(locale, 'watch.none'));
+    return;
+  }
+  
+  // "sempre" rende l'avviso ricorrente, altrimenti vale per il primo slot libero
+  const words = args.split(/\s+/).filter(Boolean);
+  const recurring = words.some(word => word.toLowerCase() === 'sempre');
+  const text = words.filter(word => word.toLowerCase() !== 'sempre').join(' ');
+  const window = watchHandler.parseWatchWindow(text);
+  
+  const station = stationId
+    ? await stationHandler.getStation(stationId)
+    : await stationHandler.resolveStation(userId, window ? window.rest : text);
+  
+  if (!station) {
+    // Finestra oraria e modalità ricorrente non possono essere riportate nei pulsanti
+    await sendStationChoice(bot, chatId, locale, 'avvisami', !window && !recurring);
+    return;
+  }
+  
+  // Chi è già in coda riceve comunque l'avviso del proprio turno
+  if (await Queue.exists({ telegram_id: userId, station: station._id })) {
+    bot.sendMessage(chatId, t(locale, 'watch.alreadyQueued', { station: station.name }), { parse_mode: 'Markdown' });
+    return;
+  }
+  
+  const watch = await watchHandler.createWatch(userId, username, station._id, { recurring, window });
+  
+  // Se uno slot è già libero lo si può prendere subito
+  const freeSlots = await Queue.exists({ station: station._id })
+    ? 0
+    : await reservationHandler.getFreeSlots(station);
+  
+  const options = { parse_mode: 'Markdown' };
+  if (freeSlots > 0) {
+    options.reply_markup = keyboards.stationChoiceKeyboard([station], 'prenota');
+  }
+  
+  bot.sendMessage(chatId, formatters.formatWatchConfirmMessage(watch, station.name, freeSlots, locale), options);
+}
+
+/**
+ * Avvia una sessione di ricarica
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {Number} userId - ID dell'utente
+ * @param {String} username - Username dell'utente
+ * @param {String} locale - Lingua dell'utente
+ * @param {String} args - Argomenti del comando (stazione)
+ * @param {String} stationId - ID della stazione già scelta (opzionale)
+ * @returns {Promise<Boolean>} - true se la sessione è stata avviata, false se serve scegliere la stazione
+ */
+async function processStart(bot, chatId, userId, username, locale, args, stationId = null) {
+  // Se l'utente ha uno slot riservato o riceve il cavo la stazione è quella della coda,
+  // altrimenti usa quella indicata o l'ultima usata
+  const hasReserved = await queueHandler.hasReservedSlot(userId) ||
+    await queueHandler.hasHandover(userId) ||
+    Boolean(await reservationHandler.getHeldReservation(userId));
+  
+  if (!hasReserved && !stationId) {
+    const station = await stationHandler.resolveStation(userId, args);
+    
+    if (!station) {
+      await sendStationChoice(bot, chatId, locale, 'iniziato');
+      return false;
+    }
+    
+    stationId = station._id;
+  }
+  
+  const session = await sessionHandler.startSession(userId, username, stationId);
+  
+  logger.info(`Session started for user ${userId}, slot ${session.slot_number}`);
+  
+  // Aggiorna lo stato della stazione nel messaggio di stato per tutti
+  const systemStatus = await queueHandler.getSystemStatus(session.station);
+  
+  const message = formatters.formatSessionStartMessage(
+    session, systemStatus.station_name, systemStatus.reminder_time, locale);
+  bot.sendMessage(chatId, message, {
+    parse_mode: 'Markdown',
+    reply_markup: keyboards.sessionKeyboard(locale)
+  });
+  
+  // Nel gruppo con il messaggio di stato fissato il riepilogo è già lì
+  if (!statusBoardHandler.isBoardChat(chatId)) {
+    bot.sendMessage(chatId, formatSlotsSummary(systemStatus, locale));
+  }
+  
+  // Con il passaggio del cavo avvisa chi lo ha lasciato, la cui sessione è ora terminata
+  if (session.handover_from) {
+    const giverLocale = await userHandler.getUserLocale(session.handover_from);
+    bot.sendMessage(session.handover_from, t(giverLocale, 'handover.takenOver', {
+      username,
+      slot: session.slot_number,
+      station: systemStatus.station_name
+    }), { parse_mode: 'Markdown' });
+  }
+  
+  return true;
+}
+
+/**
+ * Termina la sessione di ricarica dell'utente
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {Number} userId - ID dell'utente
+ * @param {String} locale - Lingua dell'utente
+ * @param {String} args - Energia erogata: kWh o letture iniziale e finale del contatore (opzionale)
+ * @returns {Promise<void>}
+ */
+async function processEnd(bot, chatId, userId, locale, args = '') {
+  const energy = billingHandler.parseEnergy(args);
+  const result = await sessionHandler.endSession(userId, 'completed', energy);
+  
+  logger.info(`Session ended for user ${userId}, duration: ${result.durationMinutes} minutes`);
+  
+  const message = formatters.formatSessionEndMessage(result, locale);
+  bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+  
+  if (result.handover) {
+    bot.sendMessage(chatId, t(locale, 'handover.completed', { username: result.handover.username }));
+  }
+  
+  // Aggiorna lo stato della stazione nel messaggio di stato per tutti
+  if (!statusBoardHandler.isBoardChat(chatId)) {
+    const systemStatus = await queueHandler.getSystemStatus(result.session.station);
+    bot.sendMessage(chatId, formatSlotsSummary(systemStatus, locale));
+  }
+  
+  // Notifica il prossimo utente in coda
+  await queueHandler.notifyNextInQueue(bot, result.session.station);
+}
+
+/**
+ * Estende la sessione di ricarica dell'utente
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {Number} userId - ID dell'utente
+ * @param {String} locale - Lingua dell'utente
+ * @param {String} args - Argomenti del comando (minuti, opzionale)
+ * @returns {Promise<void>}
+ */
+async function processExtend(bot, chatId, userId, locale, args) {
+  let minutes = settingsHandler.getSetting('extension_time');
+  
+  if (args) {
+    minutes = parseInt(args);
+    
+    if (isNaN(minutes)) {
+      bot.sendMessage(chatId, t(locale, 'extend.usage'));
+      return;
+    }
+  }
+  
+  const result = await sessionHandler.extendSession(userId, minutes);
+  
+  logger.info(`Session extended for user ${userId} by ${result.addedMinutes} minutes`);
+  
+  const message = formatters.formatSessionExtendedMessage(
+    result, settingsHandler.getSetting('max_session_time'), locale);
+  bot.sendMessage(chatId, message, {
+    parse_mode: 'Markdown',
+    reply_markup: keyboards.sessionKeyboard(locale)
+  });
+}
+
+/**
+ * Annuncia il passaggio del cavo al prossimo utente in coda, che riceve un preavviso, oppure lo annulla
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {Number} userId - ID dell'utente
+ * @param {String} locale - Lingua dell'utente
+ * @param {String} args - Minuti prima di scollegare il veicolo (opzionale) o "annulla"
+ * @returns {Promise<void>}
+ */
+async function processHandover(bot, chatId, userId, locale, args) {
+  if (/^annulla$/i.test(args)) {
+    const { session, entry } = await sessionHandler.cancelHandover(userId);
+    
+    bot.sendMessage(chatId, t(locale, 'handover.cancelled', { username: entry.username }));
+    
+    const entryLocale = await userHandler.getUserLocale(entry.telegram_id);
+    bot.sendMessage(entry.telegram_id, t(entryLocale, 'handover.cancelledNotice', {
+      from: session.username
+    }));
+    return;
+  }
+  
+  let minutes = null;
+  
+  if (args) {
+    minutes = parseInt(args);
+    
+    if (isNaN(minutes)) {
+      bot.sendMessage(chatId, t(locale, 'handover.usage'));
+      return;
+    }
+  }
+  
+  const { session, entry, handoverTime } = await sessionHandler.announceHandover(userId, minutes);
+  const station = await stationHandler.getStation(session.station);
+  
+  logger.info(`User ${userId} will hand over slot ${session.slot_number} to user ${entry.telegram_id}`);
+  
+  bot.sendMessage(chatId, t(locale, 'handover.announced', {
+    username: entry.username,
+    time: formatters.formatTime(handoverTime, locale)
+  }), { parse_mode: 'Markdown' });
+  
+  // Preavviso a chi riceve il cavo: il pulsante conferma il passaggio in un solo passo
+  const entryLocale = await userHandler.getUserLocale(entry.telegram_id);
+  bot.sendMessage(entry.telegram_id, t(entryLocale, 'handover.headsUp', {
+    username: entry.username,
+    from: session.username,
+    slot: session.slot_number,
+    station: station ? station.name : '?',
+    time: formatters.formatTime(handoverTime, entryLocale)
+  }), { parse_mode: 'Markdown', reply_markup: keyboards.slotAvailableKeyboard(entryLocale) });
+}
+
+/**
+ * Prepara una pagina dello storico ricariche dell'utente
+ * @param {Number} userId - ID dell'utente
+ * @param {Number} page - Numero di pagina (da 1)
+ * @param {String} locale - Lingua dell'utente
+ * @returns {Promise<Object>} - { message, keyboard }
+ */
+async function buildHistoryMessage(userId, page, locale) {
+  const history = await userHandler.getUserHistory(userId, page);
+  
+  return {
+    message: formatters.formatHistoryMessage(history, locale),
+    keyboard: keyboards.historyKeyboard(history.page, history.totalPages, locale)
+  };
+}
+
+/**
+ * Prepara le statistiche mensili dell'utente
+ * @param {Number} userId - ID dell'utente
+ * @param {Number} monthOffset - Mesi indietro rispetto al mese corrente
+ * @param {String} locale - Lingua dell'utente
+ * @returns {Promise<Object>} - { message, keyboard }
+ */
+async function buildStatisticsMessage(userId, monthOffset, locale) {
+  const stats = await userHandler.getUserStatistics(userId, monthOffset);
+  
+  return {
+    message: formatters.formatStatisticsMessage(stats, locale),
+    keyboard: keyboards.statsKeyboard(stats.monthOffset, stats.hasOlder, locale)
+  };
+}
+
+/**
+ * Prepara il messaggio con le preferenze di notifica dell'utente
+ * @param {Object} preferences - Preferenze di notifica
+ * @param {String} locale - Lingua dell'utente
+ * @returns {Object} - { message, keyboard }
+ */
+function buildNotificationsMessage(preferences, locale) {
+  return {
+    message: formatters.formatNotificationSettingsMessage(preferences, locale),
+    keyboard: keyboards.notificationsKeyboard(locale)
+  };
+}
+
+/**
+ * Aggiorna in place un messaggio con pulsanti
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Object} message - Messaggio Telegram da aggiornare
+ * @param {Object} content - { message, keyboard }
+ * @returns {Promise<void>}
+ */
+async function updateMessage(bot, message, content) {
+  try {
+    await bot.editMessageText(content.message, {
+      chat_id: message.chat.id,
+      message_id: message.message_id,
+      parse_mode: 'Markdown',
+      reply_markup: content.keyboard
+    });
+  } catch (error) {
+    // Telegram rifiuta la modifica se il contenuto non è cambiato
+    if (!/message is not modified/.test(error.message)) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Prepara il messaggio di stato di una stazione o di tutte le stazioni
+ * @param {Object|null} station - Stazione richiesta, null per il riepilogo
+ * @param {Number} userId - ID dell'utente che chiede lo stato, per mostrargli la sua posizione
+ * @param {String} locale - Lingua dell'utente
+ * @returns {Promise<Object>} - { message, keyboard }
+ */
+async function buildStatusMessage(station, userId, locale) {
+  if (station) {
+    const status = await queueHandler.getSystemStatus(station._id);
+    logger.info(`Retrieved status of station ${station.name}, formatting message`);
+    
+    return {
+      message: formatters.formatStatusMessage(status, userId, locale),
+      keyboard: keyboards.statusKeyboard(station._id, locale)
+    };
+  }
+  
+  const statuses = await queueHandler.getAllStationsStatus();
+  logger.info(`Retrieved status of ${statuses.length} stations, formatting message`);
+  
+  return {
+    message: formatters.formatStationsOverviewMessage(statuses, locale),
+    keyboard: keyboards.statusKeyboard(null, locale)
+  };
+}
+
+/**
+ * Annulla una prenotazione dell'utente e, se lo slot era trattenuto, lo passa alla coda
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {Number} userId - ID dell'utente
+ * @param {String} username - Username dell'utente
+ * @param {String} locale - Lingua dell'utente
+ * @param {Object} reservation - Prenotazione da annullare
+ * @returns {Promise<void>}
+ */
+async function cancelUserReservation(bot, chatId, userId, username, locale, reservation) {
+  const { slotReleased } = await reservationHandler.cancelReservation(userId, reservation._id);
+  
+  logger.info(`User ${userId} (${username}) cancelled reservation ${reservation._id}`);
+  
+  bot.sendMessage(chatId, t(locale, 'reservations.cancelled', {
+    username,
+    date: formatters.formatDateTime(reservation.start_time, locale)
+  }), { parse_mode: 'Markdown' });
+  
+  if (slotReleased) {
+    await queueHandler.notifyNextInQueue(bot, reservation.station._id || reservation.station);
+  }
+}
+
+/**
+ * Formatta il riepilogo degli slot occupati di una stazione
+ * @param {Object} systemStatus - Stato della stazione
+ * @param {String} locale - Lingua dell'utente
+ * @returns {String} - Messaggio formattato
+ */
+function formatSlotsSummary(systemStatus, locale) {
+  return t(locale, 'status.slotsSummary', {
+    station: systemStatus.station_name,
+    occupied: systemStatus.slots_occupied,
+    total: systemStatus.total_slots
+  });
+}
+
+/**
+ * Imposta la lingua scelta dall'utente e aggiorna il suo menu dei comandi
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} chatId - ID della chat
+ * @param {Object} from - Mittente del messaggio o della callback
+ * @param {String} username - Username dell'utente
+ * @param {String} choice - Codice della lingua o "auto" per la lingua di Telegram
+ * @returns {Promise<String|null>} - Nuova lingua dell'utente, null se la scelta non è valida
+ */
+async function changeLanguage(bot, chatId, from, username, choice) {
+  const language = choice === 'auto' ? null : choice;
+  
+  if (language && !i18n.isSupported(language)) {
+    bot.sendMessage(chatId, t(await userHandler.getLocale(from), 'language.invalid', {
+      language: choice,
+      locales: i18n.SUPPORTED_LOCALES.join(', ')
+    }));
+    return null;
+  }
+  
+  await userHandler.registerUser(from.id, username, from.language_code);
+  await userHandler.setUserLanguage(from.id, language);
+  
+  const locale = await userHandler.getLocale(from);
+  const role = await roleHandler.getRole(from.id);
+  
+  // Il menu dei comandi dello staff è sempre specifico; per gli altri solo con una lingua scelta
+  await roleHandler.applyCommandScope(bot, from.id, role, roleHandler.isStaff(role) ? locale : language);
+  
+  bot.sendMessage(chatId, t(locale, language ? 'language.changed' : 'language.reset', {
+    language: i18n.getLanguageName(locale)
+  }), { parse_mode: 'Markdown' });
+  
+  return locale;
 }
 
 /**
@@ -62,6 +584,11 @@ function sendUnauthorizedMessage(bot, chatId, username) {
  * @param {Object} bot - Istanza del bot Telegram
  */
 function init(bot) {
+  // Carica i parametri salvati dagli amministratori
+  settingsHandler.loadSettings()
+    .then(() => logger.info('Runtime settings loaded'))
+    .catch(err => logger.error('Error loading runtime settings:', err));
+  
   // Verifica connessione a Telegram
   try {
     logger.info('Testing Telegram connection...');
@@ -86,220 +613,401 @@ function init(bot) {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
     const username = msg.from.username || `user${userId}`;
-
-    logger.info(`Received /start command from user ${userId} (${username})`);
-
+    const locale = await userHandler.getLocale(msg.from);
+
+    logger.info(`Received /start command from user ${userId} (${username})`);
+
+    try {
+      // Verifica se l'utente è autorizzato
+      const isAuthorized = await isUserAuthorized(bot, chatId, userId, username);
+      if (!isAuthorized) {
+        sendUnauthorizedMessage(bot, chatId, username, userId, locale);
+        return;
+      }
+      
+      await userHandler.registerUser(userId, username, msg.from.language_code);
+      
+      const welcomeMessage = formatters.formatWelcomeMessage(username, userId, locale);
+      bot.sendMessage(chatId, welcomeMessage, { parse_mode: 'Markdown' });
+        
+      logger.info(`Sent welcome message to user ${userId}`);
+    } catch (error) {
+      logger.error(`Error in /start command for user ${userId}:`, error);
+      bot.sendMessage(chatId, t(locale, 'errors.start'));
+    }
+  });
+
+  // Comando prenota
+  bot.onText(/\/prenota\b/, async (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const username = msg.from.username || `user${userId}`;
+    const locale = await userHandler.getLocale(msg.from);
+    
+    logger.info(`Received /prenota command from user ${userId} (${username})`);
+    
+    try {
+      // Verifica se l'utente è autorizzato
+      const isAuthorized = await isUserAuthorized(bot, chatId, userId, username);
+      if (!isAuthorized) {
+        sendUnauthorizedMessage(bot, chatId, username, userId, locale);
+        return;
+      }
+      
+      await processBooking(bot, chatId, userId, username, locale, getCommandArgs(msg));
+    } catch (error) {
+      logger.error(`Error in /prenota command for user ${userId}:`, error);
+      bot.sendMessage(chatId, t(locale, 'errors.generic', { error: i18n.translateError(error, locale) }));
+    }
+  });
+
+  // Comando cancella
+  bot.onText(/\/cancella/, async (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const username = msg.from.username || `user${userId}`;
+    const locale = await userHandler.getLocale(msg.from);
+    
+    logger.info(`Received /cancella command from user ${userId} (${username})`);
+    
+    try {
+      // Verifica se l'utente è autorizzato
+      const isAuthorized = await isUserAuthorized(bot, chatId, userId, username);
+      if (!isAuthorized) {
+        sendUnauthorizedMessage(bot, chatId, username, userId, locale);
+        return;
+      }
+      
+      // Con un numero, annulla la prenotazione corrispondente in /prenotazioni
+      const args = getCommandArgs(msg);
+      const reservations = await reservationHandler.getUserReservations(userId);
+      
+      if (args) {
+        const index = parseInt(args) - 1;
+        
+        if (isNaN(index) || !reservations[index]) {
+          bot.sendMessage(chatId, t(locale, 'reservations.notFound'));
+          return;
+        }
+        
+        await cancelUserReservation(bot, chatId, userId, username, locale, reservations[index]);
+        return;
+      }
+      
+      // Verifica se l'utente è in coda
+      const inQueue = await Queue.findOne({ telegram_id: userId });
+      
+      if (inQueue) {
+        // Rimuovilo dalla coda
+        const position = inQueue.position;
+        await queueHandler.removeFromQueue(userId);
+        
+        logger.info(`User ${userId} (${username}) removed from queue at position ${position}`);
+        
+        // Invia conferma all'utente
+        bot.sendMessage(chatId, t(locale, 'queue.removed', { username, position }), { parse_mode: 'Markdown' });
+        
+        return;
+      }
+      
+      // Verifica se l'utente ha una sessione attiva
+      const session = await Session.findOne({ 
+        telegram_id: userId,
+        status: 'active'
+      });
+      
+      if (session) {
+        bot.sendMessage(chatId, t(locale, 'queue.activeSession', { username }), { parse_mode: 'Markdown' });
+        return;
+      }
+      
+      // Verifica se l'utente ha prenotazioni
+      if (reservations.length === 1) {
+        await cancelUserReservation(bot, chatId, userId, username, locale, reservations[0]);
+        return;
+      }
+      
+      if (reservations.length > 1) {
+        bot.sendMessage(chatId, formatters.formatReservationListMessage(reservations, locale), { parse_mode: 'Markdown' });
+        return;
+      }
+      
+      // Se non è né in coda né in sessione
+      bot.sendMessage(chatId, t(locale, 'queue.nothingToCancel', { username }), { parse_mode: 'Markdown' });
+      
+    } catch (error) {
+      logger.error(`Error in /cancella command for user ${userId}:`, error);
+      bot.sendMessage(chatId, t(locale, 'errors.generic', { error: i18n.translateError(error, locale) }));
+    }
+  });
+
+  // Comando iniziato
+  bot.onText(/\/iniziato/, async (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const username = msg.from.username || `user${userId}`;
+    const locale = await userHandler.getLocale(msg.from);
+    
+    logger.info(`Received /iniziato command from user ${userId} (${username})`);
+    
+    try {
+      // Verifica se l'utente è autorizzato
+      const isAuthorized = await isUserAuthorized(bot, chatId, userId, username);
+      if (!isAuthorized) {
+        sendUnauthorizedMessage(bot, chatId, username, userId, locale);
+        return;
+      }
+      
+      await processStart(bot, chatId, userId, username, locale, getCommandArgs(msg));
+    } catch (error) {
+      logger.error(`Error in /iniziato command for user ${userId}:`, error);
+      bot.sendMessage(chatId, t(locale, 'errors.generic', { error: i18n.translateError(error, locale) }));
+    }
+  });
+
+  // Comando terminato
+  bot.onText(/\/terminato/, async (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const username = msg.from.username || `user${userId}`;
+    const locale = await userHandler.getLocale(msg.from);
+    
+    logger.info(`Received /terminato command from user ${userId} (${username})`);
+    
+    try {
+      // Verifica se l'utente è autorizzato
+      const isAuthorized = await isUserAuthorized(bot, chatId, userId, username);
+      if (!isAuthorized) {
+        sendUnauthorizedMessage(bot, chatId, username, userId, locale);
+        return;
+      }
+      
+      await processEnd(bot, chatId, userId, locale, getCommandArgs(msg));
+    } catch (error) {
+      logger.error(`Error in /terminato command for user ${userId}:`, error);
+      bot.sendMessage(chatId, t(locale, 'errors.generic', { error: i18n.translateError(error, locale) }));
+    }
+  });
+
+  // Comando energia
+  bot.onText(/\/energia/, async (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const username = msg.from.username || `user${userId}`;
+    const locale = await userHandler.getLocale(msg.from);
+    
+    logger.info(`Received /energia command from user ${userId} (${username})`);
+    
+    try {
+      // Verifica se l'utente è autorizzato
+      const isAuthorized = await isUserAuthorized(bot, chatId, userId, username);
+      if (!isAuthorized) {
+        sendUnauthorizedMessage(bot, chatId, username, userId, locale);
+        return;
+      }
+      
+      const energy = billingHandler.parseEnergy(getCommandArgs(msg));
+      
+      if (!energy) {
+        bot.sendMessage(chatId, t(locale, 'energyRecorded.usage'), { parse_mode: 'Markdown' });
+        return;
+      }
+      
+      const session = await billingHandler.recordEnergy(userId, energy);
+      bot.sendMessage(chatId, formatters.formatEnergyRecordedMessage(session, locale), { parse_mode: 'Markdown' });
+    } catch (error) {
+      logger.error(`Error in /energia command for user ${userId}:`, error);
+      bot.sendMessage(chatId, `❌ ${i18n.translateError(error, locale)}`);
+    }
+  });
+
+  // Comando estendi
+  bot.onText(/\/estendi/, async (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const username = msg.from.username || `user${userId}`;
+    const locale = await userHandler.getLocale(msg.from);
+    
+    logger.info(`Received /estendi command from user ${userId} (${username})`);
+    
     try {
       // Verifica se l'utente è autorizzato
       const isAuthorized = await isUserAuthorized(bot, chatId, userId, username);
       if (!isAuthorized) {
-        sendUnauthorizedMessage(bot, chatId, username);
+        sendUnauthorizedMessage(bot, chatId, username, userId, locale);
         return;
       }
       
-      await userHandler.registerUser(userId, username);
-      
-      const welcomeMessage = formatters.formatWelcomeMessage(username, userId);
-      bot.sendMessage(chatId, welcomeMessage, { parse_mode: 'Markdown' });
-        
-      logger.info(`Sent welcome message to user ${userId}`);
+      await processExtend(bot, chatId, userId, locale, getCommandArgs(msg));
     } catch (error) {
-      logger.error(`Error in /start command for user ${userId}:`, error);
-      bot.sendMessage(chatId, '❌ Si è verificato un errore durante l\'avvio. Riprova più tardi.');
+      logger.error(`Error in /estendi command for user ${userId}:`, error);
+      bot.sendMessage(chatId, `❌ ${i18n.translateError(error, locale)}`);
     }
   });
 
-  // Comando prenota
-  bot.onText(/\/prenota/, async (msg) => {
+  // Comando lascio
+  bot.onText(/\/lascio/, async (msg) => {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
     const username = msg.from.username || `user${userId}`;
+    const locale = await userHandler.getLocale(msg.from);
     
-    logger.info(`Received /prenota command from user ${userId} (${username})`);
+    logger.info(`Received /lascio command from user ${userId} (${username})`);
     
     try {
       // Verifica se l'utente è autorizzato
       const isAuthorized = await isUserAuthorized(bot, chatId, userId, username);
       if (!isAuthorized) {
-        sendUnauthorizedMessage(bot, chatId, username);
+        sendUnauthorizedMessage(bot, chatId, username, userId, locale);
         return;
       }
       
-      const result = await queueHandler.requestCharge(userId, username);
-      
-      if (result.slotAvailable) {
-        logger.info(`Slot available for user ${userId}, sending instructions`);
-        const availableMessage = formatters.formatSlotAvailableMessage(username, userId, config.MAX_CHARGE_TIME);
-        bot.sendMessage(chatId, availableMessage, { parse_mode: 'Markdown' });
-      } else {
-        logger.info(`No slots available, user ${userId} added to queue at position ${result.position}`);
-        const queueMessage = formatters.formatQueueMessage(username, userId, result.position);
-        bot.sendMessage(chatId, queueMessage, { parse_mode: 'Markdown' });
-      }
+      await processHandover(bot, chatId, userId, locale, getCommandArgs(msg));
     } catch (error) {
-      logger.error(`Error in /prenota command for user ${userId}:`, error);
-      bot.sendMessage(chatId, `❌ Si è verificato un errore: ${error.message}`);
+      logger.error(`Error in /lascio command for user ${userId}:`, error);
+      bot.sendMessage(chatId, `❌ ${i18n.translateError(error, locale)}`);
     }
   });
 
-  // Comando cancella
-  bot.onText(/\/cancella/, async (msg) => {
+  // Comando status
+  bot.onText(/\/status/, async (msg) => {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
     const username = msg.from.username || `user${userId}`;
+    const locale = await userHandler.getLocale(msg.from);
     
-    logger.info(`Received /cancella command from user ${userId} (${username})`);
+    logger.info(`Received /status command from user ${userId}`);
     
     try {
       // Verifica se l'utente è autorizzato
       const isAuthorized = await isUserAuthorized(bot, chatId, userId, username);
       if (!isAuthorized) {
-        sendUnauthorizedMessage(bot, chatId, username);
+        sendUnauthorizedMessage(bot, chatId, username, userId, locale);
         return;
       }
       
-      // Verifica se l'utente è in coda
-      const inQueue = await Queue.findOne({ telegram_id: userId });
-      
-      if (inQueue) {
-        // Rimuovilo dalla coda
-        const position = inQueue.position;
-        await queueHandler.removeFromQueue(userId);
-        
-        logger.info(`User ${userId} (${username}) removed from queue at position ${position}`);
-        
-        // Invia conferma all'utente
-        bot.sendMessage(chatId, 
-          `✅ @${username}, sei stato rimosso dalla coda con successo.\n\n` +
-          `Eri in posizione *#${position}*.\n\n` +
-          `Se vorrai ricaricare in futuro, usa nuovamente /prenota.`,
-          { parse_mode: 'Markdown' });
-        
+      // Nel gruppo con il messaggio di stato, /status senza stazione lo ripubblica in fondo alla chat
+      if (!getCommandArgs(msg) && statusBoardHandler.isBoardChat(chatId)) {
+        statusBoardHandler.repostBoard();
+        logger.info(`Status board repost requested by user ${userId}`);
         return;
       }
       
-      // Verifica se l'utente ha una sessione attiva
-      const session = await Session.findOne({ 
-        telegram_id: userId,
-        status: 'active'
-      });
+      // Stazione indicata o ultima usata, altrimenti riepilogo di tutte le stazioni
+      const station = await stationHandler.resolveStation(userId, getCommandArgs(msg));
+      // La posizione personale in coda si mostra solo in chat privata (ID chat = ID utente)
+      const { message, keyboard } = await buildStatusMessage(station, chatId === userId ? userId : null, locale);
       
-      if (session) {
-        bot.sendMessage(chatId, 
-          `ℹ️ @${username}, hai una sessione di ricarica attiva.\n\n` +
-          `Se vuoi terminare la ricarica, usa il comando /terminato.`,
-          { parse_mode: 'Markdown' });
+      bot.sendMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: keyboard });
+      logger.info(`Sent status message to user ${userId}`);
+    } catch (error) {
+      logger.error(`Error in /status command from user ${userId}:`, error);
+      logger.error(error.stack);
+      bot.sendMessage(chatId, t(locale, 'errors.status', { error: i18n.translateError(error, locale) }));
+    }
+  });
+
+  // Comando prenotazioni
+  bot.onText(/\/prenotazioni/, async (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const username = msg.from.username || `user${userId}`;
+    const locale = await userHandler.getLocale(msg.from);
+    
+    logger.info(`Received /prenotazioni command from user ${userId}`);
+    
+    try {
+      // Verifica se l'utente è autorizzato
+      const isAuthorized = await isUserAuthorized(bot, chatId, userId, username);
+      if (!isAuthorized) {
+        sendUnauthorizedMessage(bot, chatId, username, userId, locale);
         return;
       }
       
-      // Se non è né in coda né in sessione
-      bot.sendMessage(chatId, 
-        `ℹ️ @${username}, non sei attualmente in coda né hai una sessione attiva.\n\n` +
-        `Per prenotare una ricarica, usa il comando /prenota.`,
-        { parse_mode: 'Markdown' });
-      
+      const reservations = await reservationHandler.getUserReservations(userId);
+      bot.sendMessage(chatId, formatters.formatReservationListMessage(reservations, locale), { parse_mode: 'Markdown' });
+      logger.info(`Sent ${reservations.length} reservations to user ${userId}`);
     } catch (error) {
-      logger.error(`Error in /cancella command for user ${userId}:`, error);
-      bot.sendMessage(chatId, `❌ Si è verificato un errore: ${error.message}`);
+      logger.error(`Error in /prenotazioni command from user ${userId}:`, error);
+      bot.sendMessage(chatId, t(locale, 'errors.generic', { error: i18n.translateError(error, locale) }));
     }
   });
 
-  // Comando iniziato
-  bot.onText(/\/iniziato/, async (msg) => {
+  // Comando stazioni
+  bot.onText(/\/stazioni/, async (msg) => {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
     const username = msg.from.username || `user${userId}`;
+    const locale = await userHandler.getLocale(msg.from);
     
-    logger.info(`Received /iniziato command from user ${userId} (${username})`);
+    logger.info(`Received /stazioni command from user ${userId}`);
     
     try {
       // Verifica se l'utente è autorizzato
       const isAuthorized = await isUserAuthorized(bot, chatId, userId, username);
       if (!isAuthorized) {
-        sendUnauthorizedMessage(bot, chatId, username);
+        sendUnauthorizedMessage(bot, chatId, username, userId, locale);
         return;
       }
       
-      const session = await sessionHandler.startSession(userId, username);
-      
-      logger.info(`Session started for user ${userId}, slot ${session.slot_number}`);
-      
-      const message = formatters.formatSessionStartMessage(session);
-      bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
-      
-      // Aggiorna lo stato del sistema nel messaggio di stato per tutti
-      const systemStatus = await queueHandler.getSystemStatus();
-      bot.sendMessage(chatId, 
-        `🔌 Attualmente occupati ${systemStatus.slots_occupied}/${systemStatus.total_slots} slot.`);
+      const stations = await stationHandler.getStations();
+      bot.sendMessage(chatId, formatters.formatStationListMessage(stations, locale), { parse_mode: 'Markdown' });
+      logger.info(`Sent station list to user ${userId}`);
     } catch (error) {
-      logger.error(`Error in /iniziato command for user ${userId}:`, error);
-      bot.sendMessage(chatId, `❌ Si è verificato un errore: ${error.message}`);
+      logger.error(`Error in /stazioni command from user ${userId}:`, error);
+      bot.sendMessage(chatId, t(locale, 'errors.generic', { error: i18n.translateError(error, locale) }));
     }
   });
 
-  // Comando terminato
-  bot.onText(/\/terminato/, async (msg) => {
+  // Comando storico
+  bot.onText(/\/storico/, async (msg) => {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
     const username = msg.from.username || `user${userId}`;
+    const locale = await userHandler.getLocale(msg.from);
     
-    logger.info(`Received /terminato command from user ${userId} (${username})`);
+    logger.info(`Received /storico command from user ${userId}`);
     
     try {
       // Verifica se l'utente è autorizzato
       const isAuthorized = await isUserAuthorized(bot, chatId, userId, username);
       if (!isAuthorized) {
-        sendUnauthorizedMessage(bot, chatId, username);
+        sendUnauthorizedMessage(bot, chatId, username, userId, locale);
         return;
       }
       
-      const result = await sessionHandler.endSession(userId);
-      
-      logger.info(`Session ended for user ${userId}, duration: ${result.durationMinutes} minutes`);
-      
-      const message = formatters.formatSessionEndMessage(result);
-      bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
-      
-      // Aggiorna lo stato del sistema nel messaggio di stato per tutti
-      const systemStatus = await queueHandler.getSystemStatus();
-      bot.sendMessage(chatId, 
-        `🔌 Attualmente occupati ${systemStatus.slots_occupied}/${systemStatus.total_slots} slot.`);
-      
-      // Notifica il prossimo utente in coda
-      await queueHandler.notifyNextInQueue(bot);
+      const { message, keyboard } = await buildHistoryMessage(userId, 1, locale);
+      bot.sendMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: keyboard });
+      logger.info(`Sent charge history to user ${userId}`);
     } catch (error) {
-      logger.error(`Error in /terminato command for user ${userId}:`, error);
-      bot.sendMessage(chatId, `❌ Si è verificato un errore: ${error.message}`);
+      logger.error(`Error in /storico command from user ${userId}:`, error);
+      bot.sendMessage(chatId, t(locale, 'errors.generic', { error: i18n.translateError(error, locale) }));
     }
   });
 
-  // Comando status
-  bot.onText(/\/status/, async (msg) => {
+  // Comando statistiche
+  bot.onText(/\/statistiche/, async (msg) => {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
     const username = msg.from.username || `user${userId}`;
+    const locale = await userHandler.getLocale(msg.from);
     
-    logger.info(`Received /status command from user ${userId}`);
+    logger.info(`Received /statistiche command from user ${userId}`);
     
     try {
       // Verifica se l'utente è autorizzato
       const isAuthorized = await isUserAuthorized(bot, chatId, userId, username);
       if (!isAuthorized) {
-        sendUnauthorizedMessage(bot, chatId, username);
+        sendUnauthorizedMessage(bot, chatId, username, userId, locale);
         return;
       }
       
-      const status = await queueHandler.getSystemStatus();
-      logger.info(`Retrieved system status, formatting message`);
-      
-      const message = formatters.formatStatusMessage(status);
-      
-      bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
-      logger.info(`Sent status message to user ${userId}`);
+      const { message, keyboard } = await buildStatisticsMessage(userId, 0, locale);
+      bot.sendMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: keyboard });
+      logger.info(`Sent statistics to user ${userId}`);
     } catch (error) {
-      logger.error(`Error in /status command from user ${userId}:`, error);
-      logger.error(error.stack);
-      bot.sendMessage(chatId, `❌ Si è verificato un errore durante il recupero dello stato.`);
+      logger.error(`Error in /statistiche command from user ${userId}:`, error);
+      bot.sendMessage(chatId, t(locale, 'errors.generic', { error: i18n.translateError(error, locale) }));
     }
   });
 
@@ -308,6 +1016,7 @@ function init(bot) {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
     const username = msg.from.username || `user${userId}`;
+    const locale = await userHandler.getLocale(msg.from);
     
     logger.info(`Received /help command from user ${userId}`);
     
@@ -315,19 +1024,19 @@ function init(bot) {
       // Verifica se l'utente è autorizzato
       const isAuthorized = await isUserAuthorized(bot, chatId, userId, username);
       if (!isAuthorized) {
-        sendUnauthorizedMessage(bot, chatId, username);
+        sendUnauthorizedMessage(bot, chatId, username, userId, locale);
         return;
       }
       
-      // Verifica se l'utente è admin per mostrare i comandi admin
-      const isAdmin = userId === config.ADMIN_USER_ID;
-      const message = formatters.formatHelpMessage(isAdmin);
+      // Mostra i comandi admin ai membri dello staff
+      const isStaff = roleHandler.isStaff(await roleHandler.getRole(userId));
+      const message = formatters.formatHelpMessage(isStaff, settingsHandler.getSettingValues(), locale);
       
       bot.sendMessage(chatId, message, { parse_mode: 'Markdown' });
       logger.info(`Sent help message to user ${userId}`);
     } catch (error) {
       logger.error(`Error in /help command from user ${userId}:`, error);
-      bot.sendMessage(chatId, `❌ Si è verificato un errore: ${error.message}`);
+      bot.sendMessage(chatId, t(locale, 'errors.generic', { error: i18n.translateError(error, locale) }));
     }
   });
 
@@ -336,31 +1045,27 @@ function init(bot) {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
     const chatType = msg.chat.type;
-    const chatTitle = msg.chat.title || "Chat privata";
+    const locale = await userHandler.getLocale(msg.from);
     
     logger.info(`Received /dove_sono command from user ${userId} in chat ${chatId} (${chatType})`);
     
-    let message = `📍 *Informazioni sulla chat attuale*\n\n`;
+    let message = `${t(locale, 'whereAmI.title')}\n\n`;
     
     if (chatType === 'private') {
-      message += `Tipo: Chat privata con il bot\n`;
-      message += `ID: \`${chatId}\`\n\n`;
-      message += `Questo è l'ID della tua chat privata con il bot, non di un gruppo.`;
+      message += t(locale, 'whereAmI.private', { id: chatId });
     } else if (chatType === 'group' || chatType === 'supergroup') {
-      message += `Tipo: ${chatType === 'supergroup' ? 'Supergruppo' : 'Gruppo'}\n`;
-      message += `Nome: *${chatTitle}*\n`;
-      message += `ID: \`${chatId}\`\n\n`;
-      message += `🔍 Questo è l'ID di questo gruppo. Per configurare il bot per l'uso esclusivo in questo gruppo, ` +
-                 `l'amministratore del bot dovrà impostare questo ID nella configurazione.`;
+      message += t(locale, 'whereAmI.group', {
+        type: t(locale, chatType === 'supergroup' ? 'whereAmI.supergroupType' : 'whereAmI.groupType'),
+        title: msg.chat.title,
+        id: chatId
+      });
     } else {
-      message += `Tipo: ${chatType}\n`;
-      message += `ID: \`${chatId}\`\n`;
+      message += `${t(locale, 'whereAmI.other', { type: chatType, id: chatId })}\n`;
     }
     
     // Aggiungi info per gli admin
-    if (userId === config.ADMIN_USER_ID) {
-      message += `\n\n👑 *Info per l'amministratore:*\n`;
-      message += `Per configurare il bot per l'uso esclusivo in questo gruppo, imposta le variabili d'ambiente:\n`;
+    if (roleHandler.hasRole(await roleHandler.getRole(userId), 'admin')) {
+      message += `\n\n${t(locale, 'whereAmI.admin')}\n`;
       message += `\`AUTHORIZED_GROUP_ID=${chatId}\`\n`;
       message += `\`RESTRICT_TO_GROUP=true\``;
     }
@@ -369,10 +1074,124 @@ function init(bot) {
     logger.info(`Sent location info to user ${userId} for chat ${chatId}`);
   });
 
-  // Comando admin (solo per ADMIN_USER_ID)
+  // Comando lingua
+  bot.onText(/\/lingua/, async (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const username = msg.from.username || `user${userId}`;
+    const locale = await userHandler.getLocale(msg.from);
+    
+    logger.info(`Received /lingua command from user ${userId}`);
+    
+    try {
+      // Verifica se l'utente è autorizzato
+      const isAuthorized = await isUserAuthorized(bot, chatId, userId, username);
+      if (!isAuthorized) {
+        sendUnauthorizedMessage(bot, chatId, username, userId, locale);
+        return;
+      }
+      
+      const choice = getCommandArgs(msg).toLowerCase();
+      
+      if (choice) {
+        await changeLanguage(bot, chatId, msg.from, username, choice);
+        return;
+      }
+      
+      // Senza argomenti mostra la lingua attuale e i pulsanti di scelta
+      const user = await userHandler.getUser(userId);
+      const message = t(locale, 'language.current', {
+        language: i18n.getLanguageName(locale),
+        auto: user && user.language ? '' : t(locale, 'language.auto'),
+        locales: i18n.SUPPORTED_LOCALES.join('|')
+      });
+      
+      bot.sendMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: keyboards.languageKeyboard(locale) });
+    } catch (error) {
+      logger.error(`Error in /lingua command from user ${userId}:`, error);
+      bot.sendMessage(chatId, t(locale, 'errors.generic', { error: i18n.translateError(error, locale) }));
+    }
+  });
+
+  // Comando notifiche
+  bot.onText(/\/notifiche/, async (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const username = msg.from.username || `user${userId}`;
+    const locale = await userHandler.getLocale(msg.from);
+    
+    logger.info(`Received /notifiche command from user ${userId}`);
+    
+    try {
+      // Verifica se l'utente è autorizzato
+      const isAuthorized = await isUserAuthorized(bot, chatId, userId, username);
+      if (!isAuthorized) {
+        sendUnauthorizedMessage(bot, chatId, username, userId, locale);
+        return;
+      }
+      
+      await userHandler.registerUser(userId, username, msg.from.language_code);
+      
+      const [option, ...rest] = getCommandArgs(msg).split(/\s+/);
+      let preferences;
+      
+      if (!option) {
+        preferences = await notificationHandler.getPreferences(userId);
+      } else {
+        // Ore di silenzio personalizzate: /notifiche silenzio 22:30-07:00 (oppure off)
+        const quiet = option.toLowerCase() === 'silenzio'
+          ? notificationHandler.parseQuietHours(rest.join(' '))
+          : undefined;
+        
+        if (quiet === undefined) {
+          bot.sendMessage(chatId, t(locale, 'notifications.usage'), { parse_mode: 'Markdown' });
+          return;
+        }
+        
+        preferences = await notificationHandler.updatePreferences(userId, {
+          quiet_start: quiet ? quiet.start : null,
+          quiet_end: quiet ? quiet.end : null
+        });
+      }
+      
+      const { message, keyboard } = buildNotificationsMessage(preferences, locale);
+      bot.sendMessage(chatId, message, { parse_mode: 'Markdown', reply_markup: keyboard });
+    } catch (error) {
+      logger.error(`Error in /notifiche command from user ${userId}:`, error);
+      bot.sendMessage(chatId, t(locale, 'errors.generic', { error: i18n.translateError(error, locale) }));
+    }
+  });
+
+  // Comando avvisami
+  bot.onText(/\/avvisami/, async (msg) => {
+    const chatId = msg.chat.id;
+    const userId = msg.from.id;
+    const username = msg.from.username || `user${userId}`;
+    const locale = await userHandler.getLocale(msg.from);
+    
+    logger.info(`Received /avvisami command from user ${userId}`);
+    
+    try {
+      // Verifica se l'utente è autorizzato
+      const isAuthorized = await isUserAuthorized(bot, chatId, userId, username);
+      if (!isAuthorized) {
+        sendUnauthorizedMessage(bot, chatId, username, userId, locale);
+        return;
+      }
+      
+      await userHandler.registerUser(userId, username, msg.from.language_code);
+      await processWatch(bot, chatId, userId, username, locale, getCommandArgs(msg));
+    } catch (error) {
+      logger.error(`Error in /avvisami command from user ${userId}:`, error);
+      bot.sendMessage(chatId, t(locale, 'errors.generic', { error: i18n.translateError(error, locale) }));
+    }
+  });
+
+  // Comandi admin (moderatori, admin e owner, secondo il ruolo richiesto dal comando)
   bot.onText(/\/admin_(.+)/, async (msg, match) => {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
+    const locale = await userHandler.getLocale(msg.from);
     
     // Estrai il comando base e i parametri
     const fullCommand = match[1];
@@ -381,76 +1200,34 @@ function init(bot) {
     
     logger.info(`Received /admin_${command} command from user ${userId}`);
     
-    // Verifica che l'utente sia admin
-    if (userId !== config.ADMIN_USER_ID) {
-      logger.warn(`User ${userId} tried to use admin command but is not admin`);
-      bot.sendMessage(chatId, '🚫 Comando riservato agli amministratori.');
-      return;
-    }
-    
     try {
+      // Verifica che il ruolo dell'utente consenta il comando
+      const role = await roleHandler.getRole(userId);
+      
+      if (!roleHandler.canUseCommand(role, command, commandParts.slice(1))) {
+        logger.warn(`User ${userId} (${role}) tried to use admin command ${command} without permission`);
+        bot.sendMessage(chatId, roleHandler.isStaff(role)
+          ? t(locale, 'access.roleNotAllowed', { role })
+          : t(locale, 'access.adminOnly'));
+        return;
+      }
+      
       // Gestisci i comandi admin
       if (command === 'confirm_reset') {
-        await adminHandler.handleConfirmReset(bot, chatId);
+        await adminHandler.handleConfirmReset(bot, chatId, userId, locale);
       } else if (command === 'help') {
         // Comando help admin
-        const helpMessage = formatters.formatAdminHelpMessage();
+        const helpMessage = formatters.formatAdminHelpMessage(settingsHandler.getSettingValues(), locale);
         bot.sendMessage(chatId, helpMessage, { parse_mode: 'Markdown' });
       } else if (command === 'update_commands') {
         // Comando per aggiornare i comandi del bot
         await setupBotCommands(bot);
-        bot.sendMessage(chatId, '✅ Comandi del bot aggiornati con successo!');
-      } else if (command === 'set_charge_time') {
-        // Comando per impostare il tempo massimo di ricarica
-        const params = commandParts.slice(1);
-        if (params.length < 1 || isNaN(parseInt(params[0]))) {
-          bot.sendMessage(chatId, '❌ Uso: /admin_set_charge_time [minuti]');
-          return;
-        }
-        
-        const minutes = parseInt(params[0]);
-        if (minutes < 1 || minutes > 120) {
-          bot.sendMessage(chatId, '❌ Il tempo di ricarica deve essere tra 1 e 120 minuti.');
-          return;
-        }
-        
-        // Aggiorna la configurazione
-        config.MAX_CHARGE_TIME = minutes;
-        
-        // Aggiorna anche l'environment variable se possibile
-        if (process.env.MAX_CHARGE_TIME) {
-          process.env.MAX_CHARGE_TIME = minutes.toString();
-        }
-        
-        bot.sendMessage(chatId, `✅ Tempo massimo di ricarica impostato a ${minutes} minuti.`);
-      } else if (command === 'set_reminder_time') {
-        // Comando per impostare il tempo di promemoria
-        const params = commandParts.slice(1);
-        if (params.length < 1 || isNaN(parseInt(params[0]))) {
-          bot.sendMessage(chatId, '❌ Uso: /admin_set_reminder_time [minuti]');
-          return;
-        }
-        
-        const minutes = parseInt(params[0]);
-        if (minutes < 1 || minutes > 30) {
-          bot.sendMessage(chatId, '❌ Il tempo di promemoria deve essere tra 1 e 30 minuti.');
-          return;
-        }
-        
-        // Aggiorna la configurazione
-        config.REMINDER_TIME = minutes;
-        
-        // Aggiorna anche l'environment variable se possibile
-        if (process.env.REMINDER_TIME) {
-          process.env.REMINDER_TIME = minutes.toString();
-        }
-        
-        bot.sendMessage(chatId, `✅ Tempo di promemoria impostato a ${minutes} minuti.`);
+        bot.sendMessage(chatId, t(locale, 'admin.commandsUpdated'));
       } else if (command === 'set_max_slots') {
         // Gestisci il comando set_max_slots direttamente qui
         const params = commandParts.slice(1);
         if (params.length < 1 || isNaN(parseInt(params[0]))) {
-          bot.sendMessage(chatId, '❌ Uso: /admin_set_max_slots [numero]');
+          bot.sendMessage(chatId, t(locale, 'admin.usage.set_max_slots'));
           return;
         }
         
@@ -458,32 +1235,45 @@ function init(bot) {
         logger.info(`Admin setting max slots to ${maxSlots}`);
         
         try {
+          // Stazione indicata, oppure l'unica stazione configurata
+          const stationQuery = params.slice(1).join(' ');
+          const stations = await stationHandler.getStations();
+          const station = stationQuery
+            ? await stationHandler.findStation(stationQuery)
+            : (stations.length === 1 ? stations[0] : null);
+          
+          if (!station) {
+            bot.sendMessage(chatId, t(locale, 'admin.usage.set_max_slots_station'));
+            return;
+          }
+          
           // Usa direttamente la funzione di queueHandler
-          const system = await queueHandler.updateMaxSlots(maxSlots);
+          const system = await queueHandler.updateMaxSlots(maxSlots, station._id, userId);
           
           // Notifica l'admin
-          bot.sendMessage(chatId, 
-            `✅ Numero massimo di slot aggiornato a *${maxSlots}*.\n\n` +
-            `ℹ️ Stato attuale: *${system.slots_available}* slot disponibili.`,
-            { parse_mode: 'Markdown' });
+          bot.sendMessage(chatId, t(locale, 'admin.maxSlotsUpdated', {
+            station: system.name,
+            count: maxSlots,
+            available: system.slots_available
+          }), { parse_mode: 'Markdown' });
           
           // Se sono stati aggiunti nuovi slot disponibili, notifica gli utenti in coda
           if (system.slots_available > 0) {
-            await queueHandler.notifyNextInQueue(bot);
+            await queueHandler.notifyNextInQueue(bot, system._id);
           }
           
           logger.info(`Max slots updated to ${maxSlots}, available: ${system.slots_available}`);
         } catch (error) {
           logger.error(`Error updating max slots to ${maxSlots}:`, error);
-          bot.sendMessage(chatId, `❌ Errore durante l'aggiornamento del numero massimo di slot: ${error.message}`);
+          bot.sendMessage(chatId, t(locale, 'admin.maxSlotsError', { error: i18n.translateError(error, locale) }));
         }
       } else {
         // Altri comandi admin
-        await adminHandler.handleAdminCommand(bot, chatId, userId, command, msg.text);
+        await adminHandler.handleAdminCommand(bot, chatId, userId, command, msg.text, locale);
       }
     } catch (error) {
       logger.error(`Error in admin command ${command} from user ${userId}:`, error);
-      bot.sendMessage(chatId, `❌ Si è verificato un errore durante l'esecuzione del comando admin: ${error.message}`);
+      bot.sendMessage(chatId, t(locale, 'admin.adminCommandError', { error: i18n.translateError(error, locale) }));
     }
   });
 
@@ -491,11 +1281,12 @@ function init(bot) {
   bot.onText(/\/dbtest/, async (msg) => {
     const chatId = msg.chat.id;
     const userId = msg.from.id;
+    const locale = await userHandler.getLocale(msg.from);
     
     // Verifica che l'utente sia admin
-    if (userId !== config.ADMIN_USER_ID) {
+    if (!roleHandler.canUseCommand(await roleHandler.getRole(userId), 'dbtest')) {
       logger.warn(`User ${userId} tried to use dbtest command but is not admin`);
-      bot.sendMessage(chatId, '🚫 Comando riservato agli amministratori.');
+      bot.sendMessage(chatId, t(locale, 'access.adminOnly'));
       return;
     }
     
@@ -506,82 +1297,240 @@ function init(bot) {
       const Session = require('../models/session');
       const Queue = require('../models/queue');
       const System = require('../models/system');
+      const Station = require('../models/station');
       
       const systemCount = await System.countDocuments();
+      const stationCount = await Station.countDocuments();
       const sessionCount = await Session.countDocuments();
       const queueCount = await Queue.countDocuments();
       const userCount = await User.countDocuments();
       
-      logger.info(`Database test results: System=${systemCount}, Session=${sessionCount}, Queue=${queueCount}, User=${userCount}`);
+      logger.info(`Database test results: System=${systemCount}, Station=${stationCount}, Session=${sessionCount}, Queue=${queueCount}, User=${userCount}`);
       
-      bot.sendMessage(chatId, 
-        `📊 *Stato Database:*\n` +
-        `- System documents: *${systemCount}*\n` +
-        `- Session documents: *${sessionCount}*\n` +
-        `- Queue documents: *${queueCount}*\n` +
-        `- User documents: *${userCount}*`, 
-        { parse_mode: 'Markdown' });
+      bot.sendMessage(chatId, t(locale, 'admin.dbtest', {
+        system: systemCount,
+        station: stationCount,
+        session: sessionCount,
+        queue: queueCount,
+        user: userCount
+      }), { parse_mode: 'Markdown' });
     } catch (error) {
       logger.error(`Error in /dbtest command:`, error);
-      bot.sendMessage(chatId, `❌ Errore durante il test del database: ${error.message}`);
+      bot.sendMessage(chatId, t(locale, 'admin.dbtestError', { error: i18n.translateError(error, locale) }));
     }
   });
 
+  // Pulsanti inline
+  bot.on('callback_query', async (query) => {
+    await handleCallbackQuery(bot, query);
+  });
+
   logger.info('Message handlers initialized');
 }
 
 /**
- * Imposta i comandi del bot su Telegram
+ * Gestisce la pressione di un pulsante inline
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Object} query - Callback query di Telegram
+ * @returns {Promise<void>}
+ */
+async function handleCallbackQuery(bot, query) {
+  const userId = query.from.id;
+  const username = query.from.username || `user${userId}`;
+  const message = query.message;
+  const chatId = message ? message.chat.id : userId;
+  const locale = await userHandler.getLocale(query.from);
+  const [action, ...params] = (query.data || '').split(':');
+  
+  logger.info(`Received callback ${query.data} from user ${userId} (${username})`);
+  
+  try {
+    // Verifica se l'utente è autorizzato
+    const isAuthorized = await isUserAuthorized(bot, chatId, userId, username);
+    if (!isAuthorized) {
+      await bot.answerCallbackQuery(query.id, {
+        text: t(locale, 'access.unauthorizedAlert'),
+        show_alert: true
+      });
+      return;
+    }
+    
+    switch (action) {
+      case 'start': {
+        const started = await processStart(bot, chatId, userId, username, locale, '');
+        await bot.answerCallbackQuery(query.id, started ? { text: t(locale, 'callbacks.started') } : {});
+        
+        if (started) {
+          await removeKeyboard(bot, message);
+        }
+        break;
+      }
+      
+      case 'skip': {
+        const result = await queueHandler.skipTurn(userId);
+        await bot.answerCallbackQuery(query.id, { text: t(locale, 'callbacks.skipped', { position: result.position }) });
+        await removeKeyboard(bot, message);
+        
+        bot.sendMessage(chatId, t(locale, 'queue.skipped', { username, position: result.position }), { parse_mode: 'Markdown' });
+        
+        await queueHandler.notifyNextInQueue(bot, result.station);
+        break;
+      }
+      
+      case 'end': {
+        await processEnd(bot, chatId, userId, locale);
+        await bot.answerCallbackQuery(query.id, { text: t(locale, 'callbacks.ended') });
+        await removeKeyboard(bot, message);
+        break;
+      }
+      
+      case 'extend': {
+        await processExtend(bot, chatId, userId, locale, '');
+        await bot.answerCallbackQuery(query.id, { text: t(locale, 'callbacks.extended') });
+        await removeKeyboard(bot, message);
+        break;
+      }
+      
+      case 'status': {
+        const station = params[0] && params[0] !== 'all'
+          ? await stationHandler.getStation(params[0])
+          : null;
+        await updateMessage(bot, message, await buildStatusMessage(station, chatId === userId ? userId : null, locale));
+        
+        await bot.answerCallbackQuery(query.id, { text: t(locale, 'callbacks.refreshed') });
+        break;
+      }
+      
+      case 'history': {
+        const page = parseInt(params[0]) || 1;
+        await updateMessage(bot, message, await buildHistoryMessage(userId, page, locale));
+        await bot.answerCallbackQuery(query.id);
+        break;
+      }
+      
+      case 'stats': {
+        const monthOffset = Math.max(0, parseInt(params[0]) || 0);
+        await updateMessage(bot, message, await buildStatisticsMessage(userId, monthOffset, locale));
+        await bot.answerCallbackQuery(query.id);
+        break;
+      }
+      
+      case 'station': {
+        const [command, stationId] = params;
+        
+        if (command === 'prenota') {
+          await processBooking(bot, chatId, userId, username, locale, '', stationId);
+        } else if (command === 'iniziato') {
+          await processStart(bot, chatId, userId, username, locale, '', stationId);
+        } else if (command === 'avvisami') {
+          await processWatch(bot, chatId, userId, username, locale, '', stationId);
+        } else if (command === 'status') {
+          const station = await stationHandler.getStation(stationId);
+          const status = await buildStatusMessage(station, chatId === userId ? userId : null, locale);
+          bot.sendMessage(chatId, status.message, { parse_mode: 'Markdown', reply_markup: status.keyboard });
+        }
+        
+        await bot.answerCallbackQuery(query.id);
+        await removeKeyboard(bot, message);
+        break;
+      }
+      
+      case 'lang': {
+        const newLocale = await changeLanguage(bot, chatId, query.from, username, params[0]);
+        await bot.answerCallbackQuery(query.id, newLocale
+          ? { text: t(newLocale, 'callbacks.language', { language: i18n.getLanguageName(newLocale) }) }
+          : {});
+        await removeKeyboard(bot, message);
+        break;
+      }
+      
+      case 'notif': {
+        const preferences = await notificationHandler.cyclePreference(userId, params[0]);
+        await updateMessage(bot, message, buildNotificationsMessage(preferences, locale));
+        await bot.answerCallbackQuery(query.id, { text: t(locale, 'callbacks.notifications') });
+        break;
+      }
+      
+      default:
+        logger.warn(`Unknown callback action ${action} from user ${userId}`);
+        await bot.answerCallbackQuery(query.id, { text: t(locale, 'errors.unknownAction') });
+    }
+  } catch (error) {
+    logger.error(`Error handling callback ${query.data} from user ${userId}:`, error);
+    
+    try {
+      await bot.answerCallbackQuery(query.id, { text: `❌ ${i18n.translateError(error, locale)}`, show_alert: true });
+    } catch (answerError) {
+      logger.error(`Error answering callback query ${query.id}:`, answerError);
+    }
+  }
+}
+
+/**
+ * Rimuove i pulsanti da un messaggio già gestito
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Object} message - Messaggio Telegram con i pulsanti
+ * @returns {Promise<void>}
+ */
+async function removeKeyboard(bot, message) {
+  if (!message) {
+    return;
+  }
+  
+  try {
+    await bot.editMessageReplyMarkup(keyboards.emptyKeyboard(), {
+      chat_id: message.chat.id,
+      message_id: message.message_id
+    });
+  } catch (error) {
+    logger.warn(`Could not remove keyboard from message ${message.message_id}: ${error.message}`);
+  }
+}
+
+/**
+ * Imposta i comandi del bot su Telegram: il menu predefinito per tutti (uno per lingua),
+ * un menu per ruolo nella chat privata di ogni membro dello staff e un menu nella lingua
+ * scelta con /lingua per gli altri utenti
  * @param {Object} bot - Istanza del bot Telegram
  * @returns {Promise<void>}
  */
 async function setupBotCommands(bot) {
   try {
-    // Imposta i comandi utente (visibili a tutti)
-    await bot.setMyCommands([
-      { command: 'start', description: 'Avvia il bot' },
-      { command: 'prenota', description: 'Prenota uno slot o mettiti in coda' },
-      { command: 'cancella', description: 'Cancella la tua prenotazione in coda' },
-      { command: 'iniziato', description: 'Conferma l\'inizio della ricarica' },
-      { command: 'terminato', description: 'Conferma la fine della ricarica' },
-      { command: 'status', description: 'Visualizza lo stato attuale del sistema' },
-      { command: 'help', description: 'Mostra i comandi disponibili' },
-      { command: 'dove_sono', description: 'Mostra ID della chat corrente' }
-    ]);
+    // Imposta i comandi utente (visibili a tutti), nella lingua di Telegram dell'utente se disponibile
+    await bot.setMyCommands(describeCommands(USER_COMMANDS));
+    
+    for (const locale of i18n.SUPPORTED_LOCALES) {
+      await bot.setMyCommands(describeCommands(USER_COMMANDS, locale), { language_code: locale });
+    }
     
     logger.info('User commands updated successfully');
     
-    // Imposta i comandi admin (visibili solo all'admin)
+    // Imposta i comandi admin per owner, admin e moderatori
     try {
+      const staff = await roleHandler.getRoleAssignments();
+      
       if (config.ADMIN_USER_ID) {
-        await bot.setMyCommands([
-          // Comandi utente visibili anche all'admin
-          { command: 'start', description: 'Avvia il bot' },
-          { command: 'prenota', description: 'Prenota uno slot o mettiti in coda' },
-          { command: 'cancella', description: 'Cancella la tua prenotazione in coda' },
-          { command: 'iniziato', description: 'Conferma l\'inizio della ricarica' },
-          { command: 'terminato', description: 'Conferma la fine della ricarica' },
-          { command: 'status', description: 'Visualizza lo stato attuale del sistema' },
-          { command: 'help', description: 'Mostra tutti i comandi disponibili' },
-          { command: 'dove_sono', description: 'Mostra ID della chat corrente' },
-          
-          // Comandi admin
-          { command: 'admin_status', description: 'Stato dettagliato del sistema' },
-          { command: 'admin_stats', description: 'Statistiche del sistema' },
-          { command: 'admin_set_max_slots', description: 'Imposta il numero massimo di slot' },
-          { command: 'admin_set_charge_time', description: 'Imposta il tempo massimo di ricarica' },
-          { command: 'admin_set_reminder_time', description: 'Imposta il tempo di promemoria' },
-          { command: 'admin_reset_slot', description: 'Termina forzatamente la sessione di un utente' },
-          { command: 'admin_remove_queue', description: 'Rimuove un utente dalla coda' },
-          { command: 'admin_notify_all', description: 'Invia un messaggio a tutti gli utenti' },
-          { command: 'admin_reset_system', description: 'Resetta completamente il sistema' },
-          { command: 'admin_help', description: 'Mostra i comandi admin disponibili' },
-          { command: 'dbtest', description: 'Verifica lo stato del database' },
-          { command: 'admin_update_commands', description: 'Aggiorna i comandi del bot' }
-        ], { scope: { type: 'chat', chat_id: config.ADMIN_USER_ID } });
-        
-        logger.info('Admin commands updated successfully');
+        await roleHandler.applyCommandScope(bot, config.ADMIN_USER_ID, 'owner',
+          await userHandler.getUserLocale(config.ADMIN_USER_ID));
       }
+      
+      for (const user of staff) {
+        if (user.telegram_id !== config.ADMIN_USER_ID && roleHandler.isStaff(user.role)) {
+          await roleHandler.applyCommandScope(bot, user.telegram_id, user.role,
+            await userHandler.getUserLocale(user.telegram_id));
+        }
+      }
+      
+      // Menu nella lingua scelta per gli utenti che non usano quella di Telegram
+      const users = await userHandler.getUsers({ language: { $ne: null }, role: 'user' });
+      
+      for (const user of users) {
+        if (user.telegram_id !== config.ADMIN_USER_ID) {
+          await roleHandler.applyCommandScope(bot, user.telegram_id, user.role, user.language);
+        }
+      }
+      
+      logger.info('Admin commands updated successfully');
     } catch (error) {
       logger.error('Error setting admin commands:', error);
     }
@@ -0,0 +1,440 @@
+const User = require('../models/user');
+const Session = require('../models/session');
+const Queue = require('../models/queue');
+const Station = require('../models/station');
+const DeferredNotification = require('../models/deferredNotification');
+const reservationHandler = require('./reservationHandler');
+const userHandler = require('./userHandler');
+const watchHandler = require('./watchHandler');
+const webhookHandler = require('./webhookHandler');
+const logger = require('../utils/logger');
+const keyboards = require('../utils/keyboards');
+const { t, toLocalTime, localizedError } = require('../utils/i18n');
+
+// Valori proposti dai pulsanti di /notifiche, nell'ordine in cui si alternano
+const REMINDER_OPTIONS = [null, 5, 10, 15, 30, 0];
+const OVERDUE_OPTIONS = [5, 15, 30, 60];
+const QUIET_PRESETS = [
+  null,
+  { start: 22 * 60, end: 7 * 60 },
+  { start: 23 * 60, end: 7 * 60 },
+  { start: 0, end: 8 * 60 }
+];
+
+// Preferenze di chi non ha mai usato /notifiche (come lo schema User)
+const DEFAULT_PREFERENCES = {
+  reminder_time: null,
+  overdue_interval: 5,
+  slot_freed: false,
+  announcements: true,
+  quiet_start: null,
+  quiet_end: null
+};
+
+// Intervallo minimo tra due avvisi di slot libero per la stessa stazione
+const SLOT_FREED_INTERVAL = 15 * 60000;
+// Oltre questo tempo un messaggio rinviato non viene più consegnato
+const DEFERRED_MAX_AGE = 24 * 60 * 60000;
+
+let broadcastBot = null;
+// Ultimo avviso di slot libero per utente e stazione
+const lastSlotFreed = new Map();
+
+/**
+ * Ottiene le preferenze di notifica di un utente, con i valori predefiniti per quelle mai scelte
+ * @param {Number} userId - ID Telegram dell'utente
+ * @returns {Promise<Object>} - Preferenze di notifica
+ */
+async function getPreferences(userId) {
+  const user = await User.findOne({ telegram_id: userId }).select('notifications').lean();
+  return { ...DEFAULT_PREFERENCES, ...((user && user.notifications) || {}) };
+}
+
+/**
+ * Aggiorna le preferenze di notifica di un utente
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {Object} changes - Preferenze da modificare
+ * @returns {Promise<Object>} - Preferenze aggiornate
+ */
+async function updatePreferences(userId, changes) {
+  try {
+    const update = {};
+    Object.keys(changes)
+      .filter(name => Object.prototype.hasOwnProperty.call(DEFAULT_PREFERENCES, name))
+      .forEach(name => {
+        update[`notifications.${name}`] = changes[name];
+      });
+
+    const user = await User.findOneAndUpdate(
+      { telegram_id: userId },
+      { $set: update },
+      { new: true }
+    ).select('notifications').lean();
+
+    if (!user) {
+      throw localizedError('errors.user.notFound');
+    }
+
+    logger.info(`Updated notification preferences of user ${userId}: ${JSON.stringify(changes)}`);
+
+    return { ...DEFAULT_PREFERENCES, ...user.notifications };
+  } catch (error) {
+    logger.error(`Error updating notification preferences of user ${userId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Passa al valore successivo di una preferenza, come con i pulsanti di /notifiche
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {String} option - reminder, overdue, slot, news o quiet
+ * @returns {Promise<Object>} - Preferenze aggiornate
+ */
+async function cyclePreference(userId, option) {
+  const preferences = await getPreferences(userId);
+  const next = (options, current) => options[(options.indexOf(current) + 1) % options.length];
+
+  switch (option) {
+    case 'reminder':
+      return updatePreferences(userId, { reminder_time: next(REMINDER_OPTIONS, preferences.reminder_time) });
+
+    case 'overdue':
+      return updatePreferences(userId, { overdue_interval: next(OVERDUE_OPTIONS, preferences.overdue_interval) });
+
+    case 'slot':
+      return updatePreferences(userId, { slot_freed: !preferences.slot_freed });
+
+    case 'news':
+      return updatePreferences(userId, { announcements: !preferences.announcements });
+
+    case 'quiet': {
+      // Ore di silenzio personalizzate (da /notifiche silenzio) tornano al primo valore predefinito
+      const index = QUIET_PRESETS.findIndex(preset =>
+        (preset ? preset.start : null) === preferences.quiet_start &&
+        (preset ? preset.end : null) === preferences.quiet_end);
+      const preset = QUIET_PRESETS[(index + 1) % QUIET_PRESETS.length];
+
+      return updatePreferences(userId, {
+        quiet_start: preset ? preset.start : null,
+        quiet_end: preset ? preset.end : null
+      });
+    }
+
+    default:
+      throw localizedError('errors.notifications.invalidOption');
+  }
+}
+
+/**
+ * Interpreta un intervallo di ore di silenzio (es. "22:30-07:00" o "off")
+ * @param {String} text - Testo da interpretare
+ * @returns {Object|null|undefined} - { start, end } in minuti dalla mezzanotte,
+ *                                    null per disattivarle, undefined se il testo non è valido
+ */
+function parseQuietHours(text) {
+  const value = (text || '').trim().toLowerCase();
+
+  if (['off', 'no', 'nessuna'].includes(value)) {
+    return null;
+  }
+
+  const match = value.match(/^(\d{1,2})(?:[:.](\d{2}))?\s*-\s*(\d{1,2})(?:[:.](\d{2}))?$/);
+
+  if (!match) {
+    return undefined;
+  }
+
+  const [startHours, startMinutes, endHours, endMinutes] = [match[1], match[2], match[3], match[4]]
+    .map(part => parseInt(part || '0'));
+
+  if (startHours > 23 || endHours > 23 || startMinutes > 59 || endMinutes > 59) {
+    return undefined;
+  }
+
+  const start = startHours * 60 + startMinutes;
+  const end = endHours * 60 + endMinutes;
+
+  return start === end ? undefined : { start, end };
+}
+
+/**
+ * Verifica se un momento cade nelle ore di silenzio di un utente
+ * @param {Object} preferences - Preferenze di notifica
+ * @param {Date} date - Momento da verificare (default adesso)
+ * @returns {Boolean} - true se i messaggi non urgenti vanno rinviati
+ */
+function isQuietTime(preferences, date = new Date()) {
+  if (preferences.quiet_start === null || preferences.quiet_end === null) {
+    return false;
+  }
+
+  const local = toLocalTime(date);
+  const minutes = local.hours() * 60 + local.minutes();
+
+  // Le ore di silenzio possono attraversare la mezzanotte (es. 22:00-07:00)
+  return preferences.quiet_start < preferences.quiet_end
+    ? minutes >= preferences.quiet_start && minutes < preferences.quiet_end
+    : minutes >= preferences.quiet_start || minutes < preferences.quiet_end;
+}
+
+/**
+ * Invia un messaggio non urgente, oppure lo rinvia al termine delle ore di silenzio del destinatario
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} userId - ID Telegram del destinatario
+ * @param {String} text - Testo del messaggio
+ * @param {Object} options - Opzioni di sendMessage
+ * @param {Object} preferences - Preferenze di notifica del destinatario (lette se omesse)
+ * @returns {Promise<Boolean>} - true se inviato subito, false se rinviato
+ */
+async function sendOrDefer(bot, userId, text, options = {}, preferences = null) {
+  const current = preferences || await getPreferences(userId);
+
+  if (isQuietTime(current)) {
+    await DeferredNotification.create({
+      telegram_id: userId,
+      text,
+      options,
+      expires_at: new Date(Date.now() + DEFERRED_MAX_AGE)
+    });
+
+    logger.info(`Deferred message to user ${userId} until the end of their quiet hours`);
+    return false;
+  }
+
+  await bot.sendMessage(userId, text, options);
+  return true;
+}
+
+/**
+ * Consegna i messaggi rinviati agli utenti le cui ore di silenzio sono terminate
+ * @param {Object} bot - Istanza del bot Telegram
+ * @returns {Promise<Number>} - Messaggi consegnati
+ */
+async function deliverDeferred(bot) {
+  try {
+    const now = new Date();
+
+    await DeferredNotification.deleteMany({ expires_at: { $ne: null, $lte: now } });
+
+    const userIds = await DeferredNotification.distinct('telegram_id');
+    let delivered = 0;
+
+    for (const userId of userIds) {
+      if (isQuietTime(await getPreferences(userId), now)) {
+        continue;
+      }
+
+      const pending = await DeferredNotification.find({ telegram_id: userId }).sort({ createdAt: 1 });
+
+      for (const notification of pending) {
+        // Rimozione prima dell'invio: un'altra istanza non può consegnarlo una seconda volta
+        const claimed = await DeferredNotification.findOneAndDelete({ _id: notification._id });
+
+        if (!claimed) {
+          continue;
+        }
+
+        try {
+          await bot.sendMessage(userId, claimed.text, claimed.options || {});
+          delivered++;
+        } catch (error) {
+          logger.error(`Error delivering deferred message to user ${userId}: ${error.message}`);
+        }
+      }
+    }
+
+    if (delivered > 0) {
+      logger.info(`Delivered ${delivered} deferred messages`);
+    }
+
+    return delivered;
+  } catch (error) {
+    logger.error(`Error delivering deferred messages: ${error.message}`);
+    logger.error(error.stack);
+    throw error;
+  }
+}
+
+/**
+ * Avvisa chi lo ha chiesto con /avvisami o con /notifiche che a una stazione si è liberato uno slot.
+ * L'avviso parte solo se nessuno è in coda (altrimenti lo slot va al primo in coda)
+ * e se lo slot non è bloccato da una prenotazione
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {String} stationId - ID della stazione
+ * @param {Number} excludeId - Utente da non avvisare (chi ha appena liberato lo slot)
+ * @returns {Promise<Number>} - Utenti avvisati
+ */
+async function broadcastSlotFreed(bot, stationId, excludeId = null) {
+  try {
+    const station = await Station.findById(stationId);
+
+    if (!station || await Queue.exists({ station: station._id })) {
+      return 0;
+    }
+
+    const freeSlots = await reservationHandler.getFreeSlots(station);
+
+    if (freeSlots <= 0) {
+      return 0;
+    }
+
+    const now = new Date();
+    const watched = await notifyWatchers(bot, station, freeSlots, excludeId, now);
+    const users = await User.find({
+      'notifications.slot_freed': true,
+      telegram_id: { $nin: [excludeId, ...watched] },
+      role: { $ne: 'banned' },
+      $or: [{ suspended_until: null }, { suspended_until: { $lte: now } }]
+    }).lean();
+
+    let notified = watched.length;
+
+    for (const user of users) {
+      const key = `${user.telegram_id}:${station._id}`;
+
+      // Al massimo un avviso ogni SLOT_FREED_INTERVAL, mai nelle ore di silenzio
+      // (sarebbe superato al risveglio) e non a chi sta già ricaricando o è in coda altrove
+      if (now - (lastSlotFreed.get(key) || 0) < SLOT_FREED_INTERVAL ||
+          isQuietTime({ ...DEFAULT_PREFERENCES, ...user.notifications }, now) ||
+          await Session.exists({ telegram_id: user.telegram_id, status: 'active' }) ||
+          await Queue.exists({ telegram_id: user.telegram_id })) {
+        continue;
+      }
+
+      try {
+        const locale = await userHandler.getUserLocale(user.telegram_id);
+
+        await bot.sendMessage(user.telegram_id, t(locale, 'notifications.slotAvailable', {
+          station: station.name,
+          free: freeSlots,
+          total: station.total_slots
+        }), {
+          parse_mode: 'Markdown',
+          reply_markup: keyboards.stationChoiceKeyboard([station], 'prenota')
+        });
+
+        lastSlotFreed.set(key, now.getTime());
+        notified++;
+      } catch (error) {
+        logger.error(`Error sending slot freed notice to user ${user.telegram_id}: ${error.message}`);
+      }
+    }
+
+    if (notified > 0) {
+      logger.info(`Notified ${notified} users of a free slot at ${station.name}`);
+    }
+
+    return notified;
+  } catch (error) {
+    logger.error(`Error broadcasting free slot at station ${stationId}: ${error.message}`);
+    logger.error(error.stack);
+    throw error;
+  }
+}
+
+/**
+ * Avvisa chi ha chiesto con /avvisami uno slot libero alla stazione, se la richiesta è attiva.
+ * Le ore di silenzio valgono solo per le richieste senza finestra oraria
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Object} station - Stazione con lo slot libero
+ * @param {Number} freeSlots - Slot liberi
+ * @param {Number} excludeId - Utente da non avvisare (chi ha appena liberato lo slot)
+ * @param {Date} now - Momento dell'avviso
+ * @returns {Promise<Array>} - ID degli utenti avvisati
+ */
+async function notifyWatchers(bot, station, freeSlots, excludeId, now) {
+  const watches = (await watchHandler.getActiveWatches(station._id, now))
+    .filter(watch => watch.telegram_id !== excludeId);
+
+  if (watches.length === 0) {
+    return [];
+  }
+
+  const users = await User.find({ telegram_id: { $in: watches.map(watch => watch.telegram_id) } }).lean();
+  const notified = [];
+
+  for (const watch of watches) {
+    const user = users.find(candidate => candidate.telegram_id === watch.telegram_id);
+    const hasWindow = Boolean(watch.start_time) || watch.window_start !== null;
+
+    // La richiesta resta valida per il prossimo slot se ora l'utente non può usarlo
+    if (!user || user.role === 'banned' || (user.suspended_until && user.suspended_until > now) ||
+        (!hasWindow && isQuietTime({ ...DEFAULT_PREFERENCES, ...user.notifications }, now)) ||
+        await Session.exists({ telegram_id: watch.telegram_id, status: 'active' }) ||
+        await Queue.exists({ telegram_id: watch.telegram_id })) {
+      continue;
+    }
+
+    try {
+      if (!await watchHandler.claimWatch(watch, now)) {
+        continue;
+      }
+
+      const locale = await userHandler.getUserLocale(watch.telegram_id);
+      const text = t(locale, 'watch.slotFree', {
+        station: station.name,
+        free: freeSlots,
+        total: station.total_slots
+      });
+
+      await bot.sendMessage(watch.telegram_id,
+        `${text}\n\n${t(locale, watch.recurring ? 'watch.recurringNote' : 'watch.onceNote')}`, {
+          parse_mode: 'Markdown',
+          reply_markup: keyboards.stationChoiceKeyboard([station], 'prenota')
+        });
+
+      notified.push(watch.telegram_id);
+    } catch (error) {
+      logger.error(`Error sending watch notice to user ${watch.telegram_id}: ${error.message}`);
+    }
+  }
+
+  return notified;
+}
+
+/**
+ * Riceve gli eventi del bot e avvisa degli slot liberati al termine di una ricarica
+ * o quando scade il turno di chi era in coda
+ * @param {String} event - Nome dell'evento
+ * @param {Object} data - Dati dell'evento
+ */
+function handleEvent(event, data) {
+  const released = event === 'session.ended' || (event === 'queue.left' && data.reason === 'timeout');
+
+  if (!released || !broadcastBot) {
+    return;
+  }
+
+  broadcastSlotFreed(broadcastBot, data.station_id, data.telegram_id).catch(error => {
+    logger.error(`Error handling ${event} for slot freed notices: ${error.message}`);
+  });
+}
+
+/**
+ * Avvia gli avvisi di slot libero per chi li ha chiesti
+ * @param {Object} bot - Istanza del bot Telegram
+ */
+function startSlotFreedNotices(bot) {
+  broadcastBot = bot;
+  webhookHandler.addEventListener(handleEvent);
+}
+
+/**
+ * Ferma gli avvisi di slot libero
+ */
+function stopSlotFreedNotices() {
+  broadcastBot = null;
+}
+
+module.exports = {
+  getPreferences,
+  updatePreferences,
+  cyclePreference,
+  parseQuietHours,
+  isQuietTime,
+  sendOrDefer,
+  deliverDeferred,
+  broadcastSlotFreed,
+  startSlotFreedNotices,
+  stopSlotFreedNotices
+};
@@ -0,0 +1,508 @@
+const ChargePoint = require('../models/chargePoint');
+const OcppTransaction = require('../models/ocppTransaction');
+const chargerHandler = require('./chargerHandler');
+const stationHandler = require('./stationHandler');
+const auditHandler = require('./auditHandler');
+const logger = require('../utils/logger');
+const { localizedError } = require('../utils/i18n');
+
+// Nome con cui il driver OCPP comunica con chargerHandler
+const DRIVER_NAME = 'ocpp';
+
+// Intervallo di Heartbeat comunicato alle colonnine all'avvio (secondi)
+const HEARTBEAT_INTERVAL = 300;
+// Letture del contatore conservate per ogni transazione
+const MAX_METER_VALUES = 500;
+// Grandezza letta quando un sampledValue non indica il measurand
+const DEFAULT_MEASURAND = 'Energy.Active.Import.Register';
+// Stati dei connettori OCPP 1.6 e corrispondenti stati degli slot
+const CONNECTOR_STATUSES = {
+  Available: 'available',
+  Reserved: 'available',
+  Preparing: 'occupied',
+  Finishing: 'occupied',
+  Charging: 'charging',
+  SuspendedEV: 'charging',
+  SuspendedEVSE: 'charging',
+  Faulted: 'faulted',
+  Unavailable: 'unavailable'
+};
+
+/**
+ * Crea un errore OCPP, restituito alla colonnina come CALLERROR
+ * @param {String} code - Codice di errore OCPP (NotImplemented, FormationViolation, ...)
+ * @param {String} message - Descrizione dell'errore
+ * @returns {Error} - Errore con il codice OCPP in ocppCode
+ */
+function ocppError(code, message) {
+  const error = new Error(message);
+  error.ocppCode = code;
+  return error;
+}
+
+/**
+ * Trova una colonnina, registrandola al primo contatto
+ * @param {String} chargePointId - ID con cui la colonnina si connette
+ * @returns {Promise<Object>} - Oggetto colonnina
+ */
+async function getChargePoint(chargePointId) {
+  return await ChargePoint.findOneAndUpdate(
+    { charge_point_id: chargePointId },
+    { $setOnInsert: { charge_point_id: chargePointId } },
+    { upsert: true, new: true }
+  );
+}
+
+/**
+ * Ottiene lo slot associato a un connettore. I connettori non ancora configurati
+ * vengono associati allo slot con lo stesso numero
+ * @param {Object} chargePoint - Oggetto colonnina
+ * @param {Number} connectorId - ID del connettore (da 1)
+ * @returns {Promise<Number|null>} - Numero dello slot, null per il connettore 0 (l'intera colonnina)
+ */
+async function getConnectorSlot(chargePoint, connectorId) {
+  if (!connectorId) {
+    return null;
+  }
+
+  const connector = chargePoint.connectors.find(item => item.connector_id === connectorId);
+
+  if (connector) {
+    return connector.slot_number;
+  }
+
+  await ChargePoint.updateOne(
+    { _id: chargePoint._id, 'connectors.connector_id': { $ne: connectorId } },
+    { $push: { connectors: { connector_id: connectorId, slot_number: connectorId } } }
+  );
+
+  return connectorId;
+}
+
+/**
+ * Interpreta le letture di un messaggio MeterValues o di transactionData
+ * @param {Array} meterValues - Array di { timestamp, sampledValue: [...] }
+ * @returns {Array} - Array di { timestamp, energy_wh, power_w }
+ */
+function parseMeterValues(meterValues) {
+  return (meterValues || []).map(meterValue => {
+    const reading = { timestamp: new Date(meterValue.timestamp || Date.now()), energy_wh: null, power_w: null };
+
+    (meterValue.sampledValue || []).forEach(sample => {
+      const value = parseFloat(sample.value);
+      const measurand = sample.measurand || DEFAULT_MEASURAND;
+      const multiplier = sample.unit === 'kWh' || sample.unit === 'kW' ? 1000 : 1;
+
+      if (!Number.isFinite(value)) {
+        return;
+      }
+
+      if (measurand === 'Energy.Active.Import.Register') {
+        reading.energy_wh = value * multiplier;
+      } else if (measurand === 'Power.Active.Import') {
+        reading.power_w = value * multiplier;
+      }
+    });
+
+    return reading;
+  }).filter(reading => reading.energy_wh !== null || reading.power_w !== null);
+}
+
+/**
+ * Gestisce BootNotification: registra i dati della colonnina
+ * @param {String} chargePointId - ID della colonnina
+ * @param {Object} payload - { chargePointVendor, chargePointModel, firmwareVersion, ... }
+ * @returns {Promise<Object>} - Risposta OCPP
+ */
+async function handleBootNotification(chargePointId, payload) {
+  await ChargePoint.updateOne(
+    { charge_point_id: chargePointId },
+    {
+      $set: {
+        vendor: payload.chargePointVendor || null,
+        model: payload.chargePointModel || null,
+        firmware_version: payload.firmwareVersion || null,
+        connected: true,
+        last_boot_at: new Date(),
+        last_heartbeat_at: new Date()
+      }
+    },
+    { upsert: true }
+  );
+
+  logger.info(`OCPP charge point ${chargePointId} booted (${payload.chargePointVendor} ${payload.chargePointModel})`);
+
+  return { status: 'Accepted', currentTime: new Date().toISOString(), interval: HEARTBEAT_INTERVAL };
+}
+
+/**
+ * Gestisce StatusNotification: aggiorna lo stato del connettore e dello slot associato
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Object} chargePoint - Oggetto colonnina
+ * @param {Object} payload - { connectorId, status, errorCode, ... }
+ * @returns {Promise<Object>} - Risposta OCPP
+ */
+async function handleStatusNotification(bot, chargePoint, payload) {
+  const connectorId = payload.connectorId;
+
+  // Il connettore 0 indica lo stato dell'intera colonnina
+  if (!connectorId) {
+    logger.info(`OCPP charge point ${chargePoint.charge_point_id} status: ${payload.status}`);
+    return {};
+  }
+
+  const slotNumber = await getConnectorSlot(chargePoint, connectorId);
+  const errorCode = payload.errorCode && payload.errorCode !== 'NoError' ? payload.errorCode : null;
+
+  await ChargePoint.updateOne(
+    { _id: chargePoint._id, 'connectors.connector_id': connectorId },
+    {
+      $set: {
+        'connectors.$.status': payload.status,
+        'connectors.$.error_code': errorCode,
+        'connectors.$.updated_at': new Date()
+      }
+    }
+  );
+
+  logger.info(`OCPP charge point ${chargePoint.charge_point_id} connector ${connectorId}: ${payload.status}`);
+
+  if (chargePoint.station && CONNECTOR_STATUSES[payload.status]) {
+    await chargerHandler.reportStatus(bot, {
+      driver: DRIVER_NAME,
+      stationId: chargePoint.station,
+      slotNumber,
+      status: CONNECTOR_STATUSES[payload.status],
+      detail: errorCode ? `${payload.status} (${errorCode})` : payload.status
+    });
+  }
+
+  return {};
+}
+
+/**
+ * Gestisce StartTransaction: registra la transazione e la comunica a chargerHandler,
+ * che la collega alla sessione sullo slot o la avvia per l'utente della tessera
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Object} chargePoint - Oggetto colonnina
+ * @param {Object} payload - { connectorId, idTag, meterStart, timestamp }
+ * @returns {Promise<Object>} - Risposta OCPP con transactionId
+ */
+async function handleStartTransaction(bot, chargePoint, payload) {
+  const slotNumber = await getConnectorSlot(chargePoint, payload.connectorId);
+
+  // ID di transazione progressivo per colonnina
+  const updated = await ChargePoint.findByIdAndUpdate(
+    chargePoint._id,
+    { $inc: { last_transaction_id: 1 } },
+    { new: true }
+  );
+
+  const transaction = await OcppTransaction.create({
+    charge_point: chargePoint._id,
+    transaction_id: updated.last_transaction_id,
+    connector_id: payload.connectorId,
+    station: chargePoint.station,
+    slot_number: slotNumber,
+    id_tag: payload.idTag || null,
+    start_time: new Date(payload.timestamp || Date.now()),
+    meter_start: Number.isFinite(payload.meterStart) ? payload.meterStart : null,
+    last_meter: Number.isFinite(payload.meterStart) ? payload.meterStart : null
+  });
+
+  logger.info(`OCPP transaction ${transaction.transaction_id} started on ${chargePoint.charge_point_id} connector ${payload.connectorId} (tag ${payload.idTag})`);
+
+  if (!chargePoint.station) {
+    const { status } = await chargerHandler.authorizeTag(payload.idTag);
+    return { transactionId: transaction.transaction_id, idTagInfo: { status } };
+  }
+
+  const { status, session } = await chargerHandler.reportStart(bot, {
+    driver: DRIVER_NAME,
+    stationId: chargePoint.station,
+    slotNumber,
+    rfidTag: payload.idTag || null
+  });
+
+  if (session) {
+    await OcppTransaction.updateOne({ _id: transaction._id }, { $set: { session: session._id } });
+  }
+
+  return { transactionId: transaction.transaction_id, idTagInfo: { status } };
+}
+
+/**
+ * Gestisce MeterValues: registra le letture della transazione in corso
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Object} chargePoint - Oggetto colonnina
+ * @param {Object} payload - { connectorId, transactionId, meterValue: [...] }
+ * @returns {Promise<Object>} - Risposta OCPP
+ */
+async function handleMeterValues(bot, chargePoint, payload) {
+  const readings = parseMeterValues(payload.meterValue);
+
+  if (!payload.transactionId || readings.length === 0) {
+    return {};
+  }
+
+  const last = readings[readings.length - 1];
+  const update = { $push: { meter_values: { $each: readings, $slice: -MAX_METER_VALUES } }, $set: {} };
+
+  if (last.energy_wh !== null) {
+    update.$set.last_meter = last.energy_wh;
+  }
+
+  if (last.power_w !== null) {
+    update.$set.power = last.power_w;
+  }
+
+  const transaction = await OcppTransaction.findOneAndUpdate(
+    { charge_point: chargePoint._id, transaction_id: payload.transactionId },
+    update,
+    { new: true }
+  );
+
+  if (transaction && transaction.station) {
+    await chargerHandler.reportEnergy(bot, {
+      driver: DRIVER_NAME,
+      stationId: transaction.station,
+      slotNumber: transaction.slot_number,
+      energyWh: transaction.meter_start !== null && transaction.last_meter !== null
+        ? transaction.last_meter - transaction.meter_start
+        : null,
+      powerW: transaction.power
+    });
+  }
+
+  return {};
+}
+
+/**
+ * Gestisce StopTransaction: chiude la transazione e comunica la fine della ricarica a chargerHandler
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Object} chargePoint - Oggetto colonnina
+ * @param {Object} payload - { transactionId, meterStop, timestamp, reason, transactionData }
+ * @returns {Promise<Object>} - Risposta OCPP
+ */
+async function handleStopTransaction(bot, chargePoint, payload) {
+  const readings = parseMeterValues(payload.transactionData);
+  const transaction = await OcppTransaction.findOneAndUpdate(
+    { charge_point: chargePoint._id, transaction_id: payload.transactionId, status: 'active' },
+    {
+      $set: {
+        status: 'completed',
+        stop_time: new Date(payload.timestamp || Date.now()),
+        stop_reason: payload.reason || 'Local',
+        meter_stop: Number.isFinite(payload.meterStop) ? payload.meterStop : null,
+        ...(Number.isFinite(payload.meterStop) ? { last_meter: payload.meterStop } : {})
+      },
+      $push: { meter_values: { $each: readings, $slice: -MAX_METER_VALUES } }
+    },
+    { new: true }
+  );
+
+  const response = payload.idTag ? { idTagInfo: { status: (await chargerHandler.authorizeTag(payload.idTag)).status } } : {};
+
+  if (!transaction) {
+    logger.warn(`OCPP StopTransaction for unknown transaction ${payload.transactionId} on ${chargePoint.charge_point_id}`);
+    return response;
+  }
+
+  logger.info(`OCPP transaction ${transaction.transaction_id} stopped on ${chargePoint.charge_point_id} (${transaction.stop_reason})`);
+
+  if (transaction.station) {
+    // La sessione potrebbe essere già stata chiusa dall'utente con /terminato
+    await chargerHandler.reportStop(bot, {
+      driver: DRIVER_NAME,
+      stationId: transaction.station,
+      slotNumber: transaction.slot_number,
+      meterStartWh: transaction.meter_start,
+      meterStopWh: transaction.meter_stop,
+      reason: transaction.stop_reason
+    });
+  }
+
+  return response;
+}
+
+/**
+ * Gestisce un messaggio CALL ricevuto da una colonnina
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {String} chargePointId - ID della colonnina
+ * @param {String} action - Azione OCPP (BootNotification, StartTransaction, ...)
+ * @param {Object} payload - Contenuto del messaggio
+ * @returns {Promise<Object>} - Contenuto della risposta CALLRESULT
+ */
+async function handleCall(bot, chargePointId, action, payload) {
+  try {
+    if (!payload || typeof payload !== 'object') {
+      throw ocppError('FormationViolation', 'Payload must be an object');
+    }
+
+    if (action === 'BootNotification') {
+      return await handleBootNotification(chargePointId, payload);
+    }
+
+    const chargePoint = await getChargePoint(chargePointId);
+
+    switch (action) {
+      case 'Heartbeat':
+        await ChargePoint.updateOne({ _id: chargePoint._id }, { $set: { last_heartbeat_at: new Date() } });
+        return { currentTime: new Date().toISOString() };
+
+      case 'StatusNotification':
+        return await handleStatusNotification(bot, chargePoint, payload);
+
+      case 'Authorize':
+        return { idTagInfo: { status: (await chargerHandler.authorizeTag(payload.idTag)).status } };
+
+      case 'StartTransaction':
+        if (!Number.isInteger(payload.connectorId) || payload.connectorId < 1) {
+          throw ocppError('PropertyConstraintViolation', 'connectorId must be a positive integer');
+        }
+        return await handleStartTransaction(bot, chargePoint, payload);
+
+      case 'MeterValues':
+        return await handleMeterValues(bot, chargePoint, payload);
+
+      case 'StopTransaction':
+        if (!Number.isInteger(payload.transactionId)) {
+          throw ocppError('PropertyConstraintViolation', 'transactionId must be an integer');
+        }
+        return await handleStopTransaction(bot, chargePoint, payload);
+
+      case 'DataTransfer':
+        return { status: 'UnknownVendorId' };
+
+      case 'DiagnosticsStatusNotification':
+      case 'FirmwareStatusNotification':
+        return {};
+
+      default:
+        throw ocppError('NotImplemented', `Action ${action} is not supported`);
+    }
+  } catch (error) {
+    logger.error(`Error handling OCPP ${action} from ${chargePointId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Registra la connessione o la disconnessione di una colonnina
+ * @param {String} chargePointId - ID della colonnina
+ * @param {Boolean} connected - Se la colonnina è connessa
+ * @returns {Promise<void>}
+ */
+async function setConnected(chargePointId, connected) {
+  try {
+    await ChargePoint.updateOne(
+      { charge_point_id: chargePointId },
+      { $set: { connected } },
+      { upsert: connected }
+    );
+  } catch (error) {
+    logger.error(`Error updating OCPP charge point ${chargePointId} connection: ${error.message}`);
+  }
+}
+
+/**
+ * Ottiene le colonnine con le transazioni in corso
+ * @returns {Promise<Object>} - { chargePoints, transactions }
+ */
+async function getOcppOverview() {
+  try {
+    const chargePoints = await ChargePoint.find().sort({ charge_point_id: 1 }).populate('station', 'name');
+    const transactions = await OcppTransaction.find({ status: 'active' }).populate('session', 'username');
+
+    return { chargePoints, transactions };
+  } catch (error) {
+    logger.error(`Error getting OCPP overview: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Associa una colonnina a una stazione e i connettori agli slot
+ * @param {String} chargePointId - ID della colonnina
+ * @param {String} stationQuery - Stazione (numero in elenco o nome)
+ * @param {Array} mapping - Associazioni "connettore=slot" (default connettore N = slot N)
+ * @param {Number} adminId - ID Telegram dell'amministratore
+ * @returns {Promise<Object>} - Colonnina aggiornata
+ */
+async function linkChargePoint(chargePointId, stationQuery, mapping, adminId) {
+  try {
+    const chargePoint = await ChargePoint.findOne({ charge_point_id: chargePointId });
+
+    if (!chargePoint) {
+      throw localizedError('errors.ocpp.unknownChargePoint', { chargePoint: chargePointId });
+    }
+
+    const station = await stationHandler.findStation(stationQuery);
+
+    if (!station) {
+      throw localizedError('errors.ocpp.stationNotFound', { station: stationQuery });
+    }
+
+    const slots = new Map(chargePoint.connectors.map(connector => [connector.connector_id, connector.slot_number]));
+
+    mapping.forEach(item => {
+      const match = item.match(/^(\d+)=(\d+)$/);
+      const connectorId = match ? parseInt(match[1]) : 0;
+      const slotNumber = match ? parseInt(match[2]) : 0;
+
+      if (connectorId < 1 || slotNumber < 1 || slotNumber > station.total_slots) {
+        throw localizedError('errors.ocpp.invalidMapping', { mapping: item, slots: station.total_slots });
+      }
+
+      slots.set(connectorId, slotNumber);
+    });
+
+    const assigned = [...slots.values()];
+    if (new Set(assigned).size !== assigned.length) {
+      throw localizedError('errors.ocpp.duplicateSlot');
+    }
+
+    if (assigned.some(slotNumber => slotNumber > station.total_slots)) {
+      throw localizedError('errors.ocpp.mappingRequired', { station: station.name, slots: station.total_slots });
+    }
+
+    const before = { station: chargePoint.station, connectors: chargePoint.connectors.map(c => `${c.connector_id}=${c.slot_number}`) };
+
+    chargePoint.station = station._id;
+    slots.forEach((slotNumber, connectorId) => {
+      const connector = chargePoint.connectors.find(item => item.connector_id === connectorId);
+
+      if (connector) {
+        connector.slot_number = slotNumber;
+      } else {
+        chargePoint.connectors.push({ connector_id: connectorId, slot_number: slotNumber });
+      }
+    });
+
+    await chargePoint.save();
+
+    await auditHandler.recordEvent({
+      action: 'ocpp_link',
+      actorId: adminId,
+      station: station._id,
+      before,
+      after: { charge_point: chargePointId, connectors: chargePoint.connectors.map(c => `${c.connector_id}=${c.slot_number}`) }
+    });
+
+    logger.info(`OCPP charge point ${chargePointId} linked to station ${station.name} by ${adminId}`);
+
+    chargePoint.station = station;
+    return chargePoint;
+  } catch (error) {
+    logger.error(`Error linking OCPP charge point ${chargePointId}: ${error.message}`);
+    throw error;
+  }
+}
+
+module.exports = {
+  handleCall,
+  setConnected,
+  parseMeterValues,
+  getOcppOverview,
+  linkChargePoint
+};
@@ -1,21 +1,103 @@
 const Session = require('../models/session');
 const Queue = require('../models/queue');
-const System = require('../models/system');
+const Station = require('../models/station');
 const User = require('../models/user');
+const UrgentRequest = require('../models/urgentRequest');
+const stationHandler = require('./stationHandler');
+const userHandler = require('./userHandler');
+const reservationHandler = require('./reservationHandler');
+const settingsHandler = require('./settingsHandler');
+const fairnessHandler = require('./fairnessHandler');
+const auditHandler = require('./auditHandler');
+const strikeHandler = require('./strikeHandler');
+const webhookHandler = require('./webhookHandler');
+const waitTimeHandler = require('./waitTimeHandler');
 const config = require('../config');
 const moment = require('moment');
 const logger = require('../utils/logger');
 const formatters = require('../utils/formatters');
+const keyboards = require('../utils/keyboards');
+const { t, localizedError } = require('../utils/i18n');
+
+// Classi di priorità in coda e parametro con l'anticipo in minuti sulle richieste normali
+const PRIORITY_ADVANCE_SETTINGS = {
+  critical: 'critical_advance',
+  accessibility: 'accessibility_advance',
+  normal: null
+};
+// Lunghezza massima del motivo di una richiesta urgente
+const MAX_REASON_LENGTH = 200;
+
+/**
+ * Interpreta la richiesta urgente nel testo di /prenota
+ * Formato: "urgente <motivo>", ad esempio "/prenota 2 urgente batteria al 4%"
+ * @param {String} text - Testo del comando
+ * @returns {Object|null} - { reason, rest } oppure null se la richiesta non è urgente
+ */
+function parseUrgency(text) {
+  const match = (text || '').match(/(?:^|\s)urgente(?:\s+(.*))?$/i);
+
+  if (!match) {
+    return null;
+  }
+
+  const reason = (match[1] || '').trim();
+
+  if (!reason) {
+    throw localizedError('errors.queue.urgentReasonRequired');
+  }
+
+  return {
+    reason: reason.slice(0, MAX_REASON_LENGTH),
+    rest: text.slice(0, match.index).trim()
+  };
+}
+
+/**
+ * Ordina le voci di una coda secondo l'ordine effettivo: prima chi ha già lo slot riservato,
+ * poi chi riceverà il cavo da un utente in ricarica (/lascio),
+ * poi per ora di richiesta anticipata dei minuti previsti per la classe di priorità.
+ * Una richiesta prioritaria supera solo le richieste normali arrivate da meno di quei minuti,
+ * così chi attende da tempo non viene scavalcato all'infinito
+ * @param {Array} entries - Voci della coda di una stazione
+ * @returns {Array} - Nuovo array ordinato
+ */
+function sortQueueEntries(entries) {
+  const effectiveTime = entry => {
+    const setting = PRIORITY_ADVANCE_SETTINGS[entry.priority];
+    const advance = setting ? settingsHandler.getSetting(setting) : 0;
+    return new Date(entry.request_time).getTime() - advance * 60000;
+  };
+
+  return [...entries].sort((a, b) => {
+    if (a.slot_reserved !== b.slot_reserved) {
+      return a.slot_reserved ? -1 : 1;
+    }
+
+    if (a.slot_reserved) {
+      return a.position - b.position;
+    }
+
+    if (Boolean(a.handover_session) !== Boolean(b.handover_session)) {
+      return a.handover_session ? -1 : 1;
+    }
+
+    return effectiveTime(a) - effectiveTime(b) ||
+      new Date(a.request_time) - new Date(b.request_time);
+  });
+}
 
 /**
  * Richiede uno slot di ricarica
  * @param {Number} userId - ID Telegram dell'utente
  * @param {String} username - Username Telegram dell'utente
+ * @param {String} stationId - ID della stazione richiesta
+ * @param {Object} urgency - Richiesta urgente { reason } (risultato di parseUrgency, opzionale)
  * @returns {Promise<Object>} - Oggetto risultato con stato e messaggio
  */
-async function requestCharge(userId, username) {
+async function requestCharge(userId, username, stationId, urgency = null) {
   try {
-    logger.info(`User ${userId} (${username}) requesting a charging slot`);
+    logger.info(`User ${userId} (${username}) requesting a charging slot at station ${stationId}`);
     
     // Controlla se l'utente è già in una sessione attiva
     const activeSession = await Session.findOne({ 
@@ -25,59 +107,90 @@ async function requestCharge(userId, username) {
     
     if (activeSession) {
       logger.info(`User ${userId} already has an active session`);
-      throw new Error('Hai già una sessione di ricarica attiva.');
+      throw localizedError('errors.session.alreadyActive');
     }
     
     // Controlla se l'utente è già in coda
     const inQueue = await Queue.findOne({ telegram_id: userId });
     if (inQueue) {
       logger.info(`User ${userId} is already in queue at position ${inQueue.position}`);
+      const queuedStation = await Station.findById(inQueue.station);
+      
+      // Chi è già in coda può dichiarare l'urgenza in un secondo momento
+      if (urgency && inQueue.priority === 'normal') {
+        const entry = await setEntryPriority(inQueue._id, 'critical', { reason: urgency.reason });
+        await recordUrgentRequest(entry, urgency.reason);
+        
+        return {
+          slotAvailable: false,
+          position: entry.position,
+          station: queuedStation,
+          priority: entry.priority,
+          estimate: await getWaitEstimate(userId, inQueue.station),
+          message: 'Richiesta urgente registrata.'
+        };
+      }
+      
       return {
         slotAvailable: false,
         position: inQueue.position,
+        station: queuedStation,
+        priority: inQueue.priority,
+        estimate: await getWaitEstimate(userId, inQueue.station),
         message: 'Sei già in coda.'
       };
     }
     
-    // Ottieni lo stato del sistema
-    logger.info('Getting system status');
-    let system = await System.findOne({ name: 'system' });
-    if (!system) {
-      // Inizializza il sistema se non esiste
-      logger.info('System not found, creating a new one');
-      system = new System();
-      await system.save();
+    // Ottieni lo stato della stazione
+    logger.info(`Getting status of station ${stationId}`);
+    const station = await stationHandler.getStation(stationId);
+    if (!station) {
+      throw localizedError('errors.stationNotFound');
     }
     
-    // Controlla se ci sono slot disponibili
-    if (system.slots_available > 0) {
-      logger.info(`Slot available (${system.slots_available}/${system.total_slots})`);
+    // Verifica i limiti di ricarica e l'attesa tra due ricariche
+    await fairnessHandler.checkChargePolicy(userId, station._id);
+    
+    // Memorizza la stazione come ultima utilizzata
+    await stationHandler.setLastStation(userId, station._id);
+    
+    // Controlla se ci sono slot disponibili (al netto delle prenotazioni imminenti)
+    const freeSlots = await reservationHandler.getFreeSlots(station);
+    
+    if (freeSlots > 0) {
+      logger.info(`Slot available at ${station.name} (${freeSlots}/${station.total_slots})`);
       return {
         slotAvailable: true,
+        station,
         message: 'Slot disponibile. Puoi procedere con la ricarica.'
       };
     } else {
       // Aggiungi l'utente alla coda
-      logger.info(`No slots available. Adding user ${userId} to queue`);
-      const position = system.queue_length + 1;
+      logger.info(`No slots available at ${station.name}. Adding user ${userId} to queue`);
+      const priority = urgency ? 'critical' : 'normal';
+      const position = await appendToQueue(
+        userId, username, station._id, priority, urgency ? urgency.reason : null);
       
-      const queueEntry = new Queue({
+      logger.info(`User ${userId} added to queue of ${station.name} at position ${position} (${priority})`);
+      
+      if (urgency) {
+        await recordUrgentRequest({ telegram_id: userId, username, station: station._id }, urgency.reason);
+      }
+      
+      webhookHandler.dispatchEvent('queue.joined', {
+        station_id: station._id,
         telegram_id: userId,
         username,
-        position
+        position,
+        priority
       });
       
-      await queueEntry.save();
-      
-      // Aggiorna la lunghezza della coda nel sistema
-      system.queue_length = position;
-      await system.save();
-      
-      logger.info(`User ${userId} added to queue at position ${position}`);
-      
       return {
         slotAvailable: false,
         position,
+        priority,
+        station,
+        estimate: await getWaitEstimate(userId, station._id),
         message: 'Tutti gli slot sono occupati. Sei stato aggiunto alla coda.'
       };
     }
@@ -89,13 +202,232 @@ async function requestCharge(userId, username) {
 }
 
 /**
- * Ottiene gli utenti in coda
+ * Aggiunge un utente alla coda di una stazione. La posizione è calcolata in una transazione
+ * sulla stazione, poi le posizioni vengono ricalcolate secondo la priorità
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {String} username - Username Telegram dell'utente
+ * @param {String} stationId - ID della stazione
+ * @param {String} priority - Classe di priorità (critical, accessibility, normal)
+ * @param {String} reason - Motivo dichiarato per una richiesta urgente (opzionale)
+ * @returns {Promise<Number>} - Posizione effettiva assegnata
+ */
+async function appendToQueue(userId, username, stationId, priority = 'normal', reason = null) {
+  try {
+    return await stationHandler.withStationTransaction(stationId, async (station, dbSession) => {
+      const position = await Queue.countDocuments({ station: station._id }).session(dbSession) + 1;
+      const [queueEntry] = await Queue.create([{
+        telegram_id: userId,
+        username,
+        station: station._id,
+        position,
+        priority,
+        priority_reason: reason
+      }], { session: dbSession });
+      
+      // Una richiesta prioritaria può precedere chi è già in coda
+      if (priority !== 'normal') {
+        await renumberQueue(station._id, dbSession);
+        const saved = await Queue.findById(queueEntry._id).session(dbSession);
+        return saved.position;
+      }
+      
+      await Station.updateOne({ _id: station._id }, { $set: { queue_length: position } }, { session: dbSession });
+      
+      return position;
+    });
+  } catch (error) {
+    // Utente già in coda per una richiesta contemporanea: la transazione è stata annullata
+    if (error.code === 11000) {
+      throw localizedError('errors.queue.alreadyQueued');
+    }
+    
+    throw error;
+  }
+}
+
+/**
+ * Rinumera le posizioni in coda di una stazione secondo l'ordine effettivo
+ * e riallinea la lunghezza della coda
+ * @param {String} stationId - ID della stazione
+ * @returns {Promise<Number>} - Numero di utenti in coda
+ */
+async function compactQueue(stationId) {
+  try {
+    return await stationHandler.withStationTransaction(stationId,
+      (station, dbSession) => renumberQueue(station._id, dbSession));
+  } catch (error) {
+    logger.error(`Error compacting queue of station ${stationId}: ${error.message}`);
+    logger.error(error.stack);
+    throw error;
+  }
+}
+
+/**
+ * Rinumera le posizioni in coda nella transazione di una stazione (vedi compactQueue)
+ * @param {String} stationId - ID della stazione
+ * @param {Object} dbSession - Sessione MongoDB della transazione
+ * @returns {Promise<Number>} - Numero di utenti in coda
+ */
+async function renumberQueue(stationId, dbSession) {
+  const entries = sortQueueEntries(await Queue.find({ station: stationId }).session(dbSession));
+  
+  for (let i = 0; i < entries.length; i++) {
+    if (entries[i].position !== i + 1) {
+      await Queue.updateOne({ _id: entries[i]._id }, { $set: { position: i + 1 } }, { session: dbSession });
+    }
+  }
+  
+  await Station.updateOne({ _id: stationId }, { $set: { queue_length: entries.length } }, { session: dbSession });
+  
+  return entries.length;
+}
+
+/**
+ * Cambia la classe di priorità di una voce in coda e ricalcola le posizioni
+ * @param {String} entryId - ID della voce in coda
+ * @param {String} priority - Nuova classe di priorità
+ * @param {Object} options - { reason, adminId } (opzionali)
+ * @returns {Promise<Object>} - Voce in coda aggiornata con la nuova posizione
+ */
+async function setEntryPriority(entryId, priority, { reason, adminId } = {}) {
+  const update = { priority, priority_set_by: adminId || null };
+  
+  if (reason !== undefined) {
+    update.priority_reason = reason;
+  }
+  
+  const entry = await Queue.findOneAndUpdate({ _id: entryId }, { $set: update }, { new: true });
+  
+  if (!entry) {
+    throw localizedError('errors.queue.userLeft');
+  }
+  
+  await compactQueue(entry.station);
+  
+  return await Queue.findById(entry._id) || entry;
+}
+
+/**
+ * Registra una richiesta urgente per la verifica dell'admin
+ * @param {Object} entry - Utente in coda (telegram_id, username, station)
+ * @param {String} reason - Motivo dichiarato
+ * @returns {Promise<void>}
+ */
+async function recordUrgentRequest(entry, reason) {
+  await UrgentRequest.create({
+    telegram_id: entry.telegram_id,
+    username: entry.username,
+    station: entry.station,
+    reason
+  });
+  
+  logger.info(`Urgent request recorded for user ${entry.telegram_id}: ${reason}`);
+}
+
+/**
+ * Promuove o retrocede un utente in coda (comando admin)
+ * @param {String} username - Username Telegram dell'utente (con o senza @)
+ * @param {String} priority - Nuova classe di priorità (critical, accessibility, normal)
+ * @param {Number} adminId - ID Telegram dell'amministratore
+ * @returns {Promise<Object>} - { entry, previousPriority }
+ */
+async function adminSetPriority(username, priority, adminId) {
+  try {
+    if (!Object.keys(PRIORITY_ADVANCE_SETTINGS).includes(priority)) {
+      throw localizedError('errors.queue.invalidPriority', { priority, priorities: Object.keys(PRIORITY_ADVANCE_SETTINGS).join(', ') });
+    }
+    
+    const queuedUser = await Queue.findOne({ username: username.replace('@', '') });
+    
+    if (!queuedUser) {
+      throw localizedError('errors.queue.userNotQueued', { username: username.replace('@', '') });
+    }
+    
+    const entry = await setEntryPriority(queuedUser._id, priority, { adminId });
+    
+    // Una richiesta urgente riportata in classe normale resta segnalata nello storico
+    if (priority === 'normal' && queuedUser.priority_reason) {
+      await UrgentRequest.findOneAndUpdate(
+        { telegram_id: queuedUser.telegram_id },
+        { $set: { demoted: true } },
+        { sort: { createdAt: -1 } }
+      );
+    }
+    
+    await auditHandler.recordEvent({
+      action: 'queue_priority',
+      actorId: adminId,
+      targetId: entry.telegram_id,
+      targetUsername: entry.username,
+      station: entry.station,
+      before: { priority: queuedUser.priority, position: queuedUser.position },
+      after: { priority: entry.priority, position: entry.position }
+    });
+    
+    logger.info(`Queue priority of user ${entry.telegram_id} changed from ${queuedUser.priority} to ${priority} by ${adminId}`);
+    
+    return { entry, previousPriority: queuedUser.priority };
+  } catch (error) {
+    logger.error(`Error setting queue priority for ${username}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene le richieste urgenti recenti con il totale per utente
+ * @param {Number} days - Giorni da considerare
+ * @returns {Promise<Object>} - { requests, perUser: [{ username, count, demoted }] }
+ */
+async function getUrgentRequests(days = 7) {
+  try {
+    const requests = await UrgentRequest.find({
+      createdAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60000) }
+    }).sort({ createdAt: -1 }).populate('station', 'name');
+    
+    const perUser = new Map();
+    requests.forEach(request => {
+      const row = perUser.get(request.telegram_id) || { username: request.username, count: 0, demoted: 0 };
+      row.count += 1;
+      row.demoted += request.demoted ? 1 : 0;
+      perUser.set(request.telegram_id, row);
+    });
+    
+    return {
+      requests,
+      perUser: Array.from(perUser.values()).sort((a, b) => b.count - a.count)
+    };
+  } catch (error) {
+    logger.error(`Error getting urgent requests: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Ricalcola l'ordine delle code di tutte le stazioni (es. dopo la modifica degli anticipi)
+ * @returns {Promise<void>}
+ */
+async function reorderAllQueues() {
+  try {
+    const stations = await stationHandler.getStations();
+    
+    for (const station of stations) {
+      await compactQueue(station._id);
+    }
+  } catch (error) {
+    logger.error(`Error reordering queues: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene gli utenti in coda in una stazione
+ * @param {String} stationId - ID della stazione
  * @returns {Promise<Array>} - Array di utenti in coda
  */
-async function getQueuedUsers() {
+async function getQueuedUsers(stationId) {
   try {
-    logger.info('Getting queued users');
-    return await Queue.find().sort({ position: 1 });
+    logger.info(`Getting queued users for station ${stationId}`);
+    return await Queue.find({ station: stationId }).sort({ position: 1 });
   } catch (error) {
     logger.error(`Error getting queued users: ${error.message}`);
     logger.error(error.stack);
@@ -105,13 +437,14 @@ async function getQueuedUsers() {
 
 /**
  * Ottiene un utente in coda per posizione
+ * @param {String} stationId - ID della stazione
  * @param {Number} position - Posizione in coda
  * @returns {Promise<Object|null>} - Oggetto utente in coda o null se non trovato
  */
-async function getUserByPosition(position) {
+async function getUserByPosition(stationId, position) {
   try {
-    logger.info(`Getting user at queue position ${position}`);
-    return await Queue.findOne({ position });
+    logger.info(`Getting user at queue position ${position} of station ${stationId}`);
+    return await Queue.findOne({ station: stationId, position });
   } catch (error) {
     logger.error(`Error getting user at position ${position}: ${error.message}`);
     logger.error(error.stack);
@@ -120,13 +453,14 @@ async function getUserByPosition(position) {
 }
 
 /**
- * Ottiene il prossimo utente in coda
+ * Ottiene il prossimo utente in coda in una stazione
+ * @param {String} stationId - ID della stazione
  * @returns {Promise<Object|null>} - Oggetto utente in coda o null se non ce ne sono
  */
-async function getNextInQueue() {
+async function getNextInQueue(stationId) {
   try {
-    logger.info('Getting next user in queue');
-    return await Queue.findOne().sort({ position: 1 });
+    logger.info(`Getting next user in queue for station ${stationId}`);
+    return await Queue.findOne({ station: stationId }).sort({ position: 1 });
   } catch (error) {
     logger.error(`Error getting next user in queue: ${error.message}`);
     logger.error(error.stack);
@@ -137,14 +471,43 @@ async function getNextInQueue() {
 /**
  * Rimuove un utente dalla coda
  * @param {Number} userId - ID Telegram dell'utente
+ * @param {Object} options - { actorId, reason, details } per il registro: chi rimuove l'utente (default l'utente stesso,
+ *                           null per il sistema) e perché ('cancel', 'skip', 'timeout', 'started', 'admin_remove', 'banned', 'api')
  * @returns {Promise<Object|null>} - Oggetto utente rimosso o null se non trovato
  */
-async function removeFromQueue(userId) {
+async function removeFromQueue(userId, { actorId = userId, reason = 'cancel', details = null } = {}) {
   try {
     logger.info(`Removing user ${userId} from queue`);
     
-    // Trova l'utente in coda
-    const queuedUser = await Queue.findOne({ telegram_id: userId });
+    const entry = await Queue.findOne({ telegram_id: userId });
+    
+    // Rimuovi l'utente e sposta chi lo seguiva in una transazione sulla stazione,
+    // così solo una tra più rimozioni contemporanee aggiorna posizioni e contatori
+    const queuedUser = entry && await stationHandler.withStationTransaction(entry.station, async (station, dbSession) => {
+      const removed = await Queue.findOneAndDelete({ _id: entry._id }, { session: dbSession });
+      
+      if (!removed) {
+        return null;
+      }
+      
+      // Aggiorna le posizioni degli altri utenti in coda nella stessa stazione
+      logger.info(`Updating positions for users after position ${removed.position}`);
+      await Queue.updateMany(
+        { station: removed.station, position: { $gt: removed.position } },
+        { $inc: { position: -1 } },
+        { session: dbSession }
+      );
+      
+      // Aggiorna la lunghezza della coda nella stazione
+      logger.info('Updating station queue length');
+      await Station.updateOne(
+        { _id: removed.station, queue_length: { $gt: 0 } },
+        { $inc: { queue_length: -1 } },
+        { session: dbSession }
+      );
+      
+      return removed;
+    });
     
     if (!queuedUser) {
       logger.info(`User ${userId} not found in queue`);
@@ -153,22 +516,30 @@ async function removeFromQueue(userId) {
     
     const position = queuedUser.position;
     
-    // Rimuovi l'utente dalla coda
-    await Queue.deleteOne({ telegram_id: userId });
-    
-    // Aggiorna le posizioni degli altri utenti in coda
-    logger.info(`Updating positions for users after position ${position}`);
-    await Queue.updateMany(
-      { position: { $gt: position } },
-      { $inc: { position: -1 } }
-    );
+    await auditHandler.recordEvent({
+      action: `queue_${reason}`,
+      actorId,
+      targetId: userId,
+      targetUsername: queuedUser.username,
+      station: queuedUser.station,
+      before: {
+        position,
+        priority: queuedUser.priority,
+        slot_reserved: queuedUser.slot_reserved,
+        request_time: queuedUser.request_time
+      },
+      details
+    });
     
-    // Aggiorna la lunghezza della coda nel sistema
-    logger.info('Updating system queue length');
-    const system = await System.findOne({ name: 'system' });
-    if (system) {
-      system.queue_length = Math.max(0, system.queue_length - 1);
-      await system.save();
+    // Chi cede il turno rientra subito in coda: l'evento è queue.skipped, inviato da skipTurn
+    if (reason !== 'skip') {
+      webhookHandler.dispatchEvent('queue.left', {
+        station_id: queuedUser.station,
+        telegram_id: userId,
+        username: queuedUser.username,
+        position,
+        reason
+      });
     }
     
     logger.info(`User ${userId} removed from queue at position ${position}`);
@@ -182,52 +553,172 @@ async function removeFromQueue(userId) {
 }
 
 /**
- * Notifica il prossimo utente in coda
+ * Cede il turno al prossimo utente in coda, rimettendo l'utente in fondo alla coda.
+ * La priorità non viene conservata: chi cede il turno rientra come richiesta normale
+ * @param {Number} userId - ID Telegram dell'utente
+ * @returns {Promise<Object>} - { station, position } con la nuova posizione in coda
+ */
+async function skipTurn(userId) {
+  try {
+    const queuedUser = await Queue.findOne({ telegram_id: userId });
+    
+    if (!queuedUser) {
+      throw localizedError('errors.queue.notQueued');
+    }
+    
+    const others = await Queue.countDocuments({
+      station: queuedUser.station,
+      telegram_id: { $ne: userId }
+    });
+    
+    if (others === 0) {
+      throw localizedError('errors.queue.nobodyToSkip');
+    }
+    
+    // Rimuovi l'utente e rimettilo in fondo alla coda della stessa stazione
+    const removed = await removeFromQueue(userId, { reason: 'skip' });
+    
+    if (!removed) {
+      throw localizedError('errors.queue.noLongerQueued');
+    }
+    
+    const position = await appendToQueue(removed.telegram_id, removed.username, removed.station);
+    
+    webhookHandler.dispatchEvent('queue.skipped', {
+      station_id: queuedUser.station,
+      telegram_id: userId,
+      username: removed.username,
+      previous_position: removed.position,
+      position
+    });
+    
+    logger.info(`User ${userId} skipped turn, moved to position ${position}`);
+    
+    return { station: queuedUser.station, position };
+  } catch (error) {
+    logger.error(`Error skipping turn for user ${userId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Avvisa chi riceve il cavo che lo slot è stato riservato a lui al termine della sessione
+ * di chi lo ha lasciato (/lascio)
  * @param {Object} bot - Istanza del bot Telegram
+ * @param {Object} station - Oggetto stazione
+ * @param {Object} entry - Voce in coda di chi riceve il cavo
+ * @returns {Promise<void>}
+ */
+async function notifyHandover(bot, station, entry) {
+  const queueTimeout = settingsHandler.getSetting('queue_timeout');
+  
+  webhookHandler.dispatchEvent('queue.notified', {
+    station_id: station._id,
+    telegram_id: entry.telegram_id,
+    username: entry.username,
+    notification_time: entry.notification_time,
+    timeout_minutes: queueTimeout,
+    handover: true
+  });
+  
+  if (!bot) {
+    return;
+  }
+  
+  const handoverSession = await Session.findById(entry.handover_session);
+  const locale = await userHandler.getUserLocale(entry.telegram_id);
+  
+  bot.sendMessage(
+    entry.telegram_id,
+    t(locale, 'handover.ready', {
+      username: entry.username,
+      from: handoverSession ? handoverSession.username : '?',
+      slot: handoverSession ? handoverSession.slot_number : '?',
+      station: station.name,
+      timeout: formatters.formatMinutes(queueTimeout, locale)
+    }),
+    { parse_mode: 'Markdown', reply_markup: keyboards.queueNotificationKeyboard(locale) }
+  );
+  
+  logger.info(`Notified user ${entry.username} (${entry.telegram_id}) about handed over slot`);
+}
+
+/**
+ * Notifica il prossimo utente in coda di una stazione. Chi riceve il cavo da un utente
+ * che ha terminato la ricarica ha già lo slot riservato (endSession) e viene avvisato per primo
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {String} stationId - ID della stazione
  * @returns {Promise<Object|null>} - Oggetto utente notificato o null se nessuno in coda
  */
-async function notifyNextInQueue(bot) {
+async function notifyNextInQueue(bot, stationId) {
   try {
-    logger.info('Checking for next user in queue to notify');
+    logger.info(`Checking for next user in queue to notify at station ${stationId}`);
     
     // Verifica se ci sono slot disponibili
-    const system = await System.findOne({ name: 'system' });
+    const station = await Station.findById(stationId);
+    
+    // Slot passati con /lascio: già riservati, manca solo l'avviso. L'aggiornamento è atomico,
+    // così notifiche contemporanee non avvisano due volte lo stesso utente
+    let handoverUser = null;
     
-    if (!system || system.slots_available <= 0) {
+    if (station) {
+      handoverUser = await Queue.findOneAndUpdate(
+        { station: station._id, slot_reserved: true, notified: false },
+        { $set: { notified: true, notification_time: new Date() } },
+        { new: true }
+      );
+      
+      if (handoverUser) {
+        await notifyHandover(bot, station, handoverUser);
+      }
+    }
+    
+    if (!station || await reservationHandler.getFreeSlots(station) <= 0) {
       logger.info('No slots available, skipping notification');
-      return null;
+      return handoverUser;
     }
     
-    // Trova il prossimo utente in coda
-    const nextUser = await getNextInQueue();
+    // Riserva lo slot al primo utente in coda non ancora notificato (notificato ma non rimosso);
+    // l'aggiornamento è atomico, così notifiche contemporanee scelgono utenti diversi
+    const nextUser = await Queue.findOneAndUpdate(
+      { station: station._id, slot_reserved: false },
+      { $set: { notified: true, notification_time: new Date(), slot_reserved: true } },
+      { sort: { position: 1 }, new: true }
+    );
     
     if (!nextUser) {
-      logger.info('No users in queue');
-      return null;
+      logger.info('No users waiting in queue');
+      return handoverUser;
     }
     
-    // Aggiorna lo stato dell'utente in coda (notificato ma non rimosso)
-    nextUser.notified = true;
-    nextUser.notification_time = new Date();
-    nextUser.slot_reserved = true;
-    await nextUser.save();
-    
     logger.info(`User ${nextUser.username} (${nextUser.telegram_id}) marked as notified and slot reserved`);
     
+    webhookHandler.dispatchEvent('queue.notified', {
+      station_id: station._id,
+      telegram_id: nextUser.telegram_id,
+      username: nextUser.username,
+      notification_time: nextUser.notification_time,
+      timeout_minutes: settingsHandler.getSetting('queue_timeout')
+    });
+    
     // Se il bot è disponibile, invia una notifica
     if (bot) {
       logger.info(`Notifying user ${nextUser.username} (${nextUser.telegram_id}) about available slot`);
       
+      const locale = await userHandler.getUserLocale(nextUser.telegram_id);
       const notificationMessage = formatters.formatNotificationMessage(
         nextUser.username, 
         nextUser.telegram_id, 
-        config.MAX_CHARGE_TIME
+        stationHandler.getMaxChargeTime(station),
+        station.name,
+        settingsHandler.getSetting('queue_timeout'),
+        locale
       );
       
       bot.sendMessage(
         nextUser.telegram_id,
         notificationMessage,
-        { parse_mode: 'Markdown' }
+        { parse_mode: 'Markdown', reply_markup: keyboards.queueNotificationKeyboard(locale) }
       );
       
       logger.info(`Notified user ${nextUser.username} (${nextUser.telegram_id}) about available slot`);
@@ -249,8 +740,9 @@ async function notifyNextInQueue(bot) {
 async function checkQueueTimeouts(bot) {
   try {
     const now = new Date();
-    // Tempo limite: 5 minuti fa
-    const timeoutThreshold = new Date(now.getTime() - 5 * 60000);
+    // Tempo limite per confermare l'inizio dopo la notifica
+    const queueTimeout = settingsHandler.getSetting('queue_timeout');
+    const timeoutThreshold = new Date(now.getTime() - queueTimeout * 60000);
     
     logger.info('Checking for queue timeouts...');
     
@@ -264,14 +756,16 @@ async function checkQueueTimeouts(bot) {
     logger.info(`Found ${timedOutUsers.length} users with queue timeout`);
     
     for (const user of timedOutUsers) {
+      const locale = await userHandler.getUserLocale(user.telegram_id);
+      
       // Notifica l'utente che ha perso il suo turno
       if (bot) {
         bot.sendMessage(
           user.telegram_id,
-          `⏱️ *Tempo scaduto*\n\n` +
-          `@${user.username}, sono passati più di 5 minuti dalla notifica della disponibilità dello slot di ricarica. ` +
-          `Il tuo turno è stato saltato e lo slot sarà assegnato al prossimo utente in coda.\n\n` +
-          `Se desideri ancora ricaricare, utilizza nuovamente il comando /prenota per metterti in coda.`,
+          t(locale, 'queue.timedOut', {
+            username: user.username,
+            timeout: formatters.formatMinutes(queueTimeout, locale)
+          }),
           { parse_mode: 'Markdown' }
         );
       }
@@ -279,10 +773,24 @@ async function checkQueueTimeouts(bot) {
       logger.info(`Queue timeout for user ${user.username} (${user.telegram_id}), removing from queue`);
       
       // Rimuovi l'utente dalla coda
-      await removeFromQueue(user.telegram_id);
+      await removeFromQueue(user.telegram_id, { actorId: null, reason: 'timeout' });
       
-      // Notifica il prossimo utente in coda
-      await notifyNextInQueue(bot);
+      // Notifica il prossimo utente in coda della stessa stazione
+      await notifyNextInQueue(bot, user.station);
+      
+      // Il turno mancato comporta un richiamo
+      try {
+        const strike = await strikeHandler.addStrike(user.telegram_id, user.username, 'no_show', {
+          station: user.station,
+          details: 'turno in coda'
+        });
+        
+        if (bot) {
+          bot.sendMessage(user.telegram_id, formatters.formatStrikeMessage(user.username, strike, locale), { parse_mode: 'Markdown' });
+        }
+      } catch (error) {
+        logger.error(`Error assigning no-show strike to user ${user.telegram_id}: ${error.message}`);
+      }
     }
   } catch (error) {
     logger.error(`Error checking queue timeouts: ${error.message}`);
@@ -294,14 +802,21 @@ async function checkQueueTimeouts(bot) {
 /**
  * Verifica se l'utente ha uno slot riservato
  * @param {Number} userId - ID Telegram dell'utente
+ * @param {String} stationId - ID della stazione (opzionale, qualsiasi stazione se omesso)
  * @returns {Promise<Boolean>} - true se l'utente ha uno slot riservato, false altrimenti
  */
-async function hasReservedSlot(userId) {
+async function hasReservedSlot(userId, stationId = null) {
   try {
-    const queueEntry = await Queue.findOne({ 
+    const filter = { 
       telegram_id: userId,
       slot_reserved: true
-    });
+    };
+    
+    if (stationId) {
+      filter.station = stationId;
+    }
+    
+    const queueEntry = await Queue.findOne(filter);
     
     return queueEntry !== null;
   } catch (error) {
@@ -312,38 +827,61 @@ async function hasReservedSlot(userId) {
 }
 
 /**
- * Ottiene lo stato attuale del sistema
- * @returns {Promise<Object>} - Oggetto con lo stato del sistema
+ * Verifica se l'utente riceverà il cavo da un utente in ricarica (/lascio)
+ * @param {Number} userId - ID Telegram dell'utente
+ * @returns {Promise<Boolean>} - true se c'è un passaggio del cavo verso l'utente
  */
-async function getSystemStatus() {
+async function hasHandover(userId) {
   try {
-    logger.info('getSystemStatus: Starting to get system status');
+    const queueEntry = await Queue.findOne({
+      telegram_id: userId,
+      handover_session: { $ne: null }
+    });
     
-    // Ottieni lo stato del sistema
-    logger.info('getSystemStatus: Querying system document');
-    const system = await System.findOne({ name: 'system' });
+    return queueEntry !== null;
+  } catch (error) {
+    logger.error(`Error checking handover for user ${userId}: ${error.message}`);
+    logger.error(error.stack);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene la stima del tempo di attesa di un utente in coda
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {String} stationId - ID della stazione
+ * @returns {Promise<Object|null>} - { eta_minutes, min_minutes, max_minutes, estimated_start }, null se non disponibile
+ */
+async function getWaitEstimate(userId, stationId) {
+  try {
+    const status = await getSystemStatus(stationId);
+    return status.queue_estimates.find(estimate => estimate.telegram_id === userId) || null;
+  } catch (error) {
+    logger.error(`Error getting wait estimate for user ${userId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Ottiene lo stato attuale di una stazione
+ * @param {String} stationId - ID della stazione
+ * @returns {Promise<Object>} - Oggetto con lo stato della stazione
+ */
+async function getSystemStatus(stationId) {
+  try {
+    logger.info(`getSystemStatus: Starting to get status of station ${stationId}`);
     
-    if (!system) {
-      logger.info('getSystemStatus: System not found, creating new one');
-      // Inizializza un nuovo sistema invece di lanciare un errore
-      const newSystem = new System();
-      await newSystem.save();
-      
-      logger.info('getSystemStatus: Returning empty status for new system');
-      // Restituisci una struttura semplice senza sessioni o code
-      return {
-        total_slots: newSystem.total_slots,
-        slots_available: newSystem.slots_available,
-        slots_occupied: 0,
-        active_sessions: [],
-        queue: [],
-        queue_length: 0
-      };
+    // Ottieni lo stato della stazione
+    logger.info('getSystemStatus: Querying station document');
+    const station = await stationHandler.getStation(stationId);
+    
+    if (!station) {
+      throw localizedError('errors.stationNotFound');
     }
     
-    logger.info('getSystemStatus: System found, getting active sessions');
+    logger.info('getSystemStatus: Station found, getting active sessions');
     // Ottieni le sessioni attive
-    const activeSessions = await Session.find({ status: 'active' })
+    const activeSessions = await Session.find({ station: station._id, status: 'active' })
       .sort({ end_time: 1 });
     
     logger.info(`getSystemStatus: Found ${activeSessions.length} active sessions`);
@@ -364,18 +902,34 @@ async function getSystemStatus() {
     
     logger.info('getSystemStatus: Getting users in queue');
     // Ottieni gli utenti in coda
-    const queuedUsers = await Queue.find().sort({ position: 1 });
+    const queuedUsers = await Queue.find({ station: station._id }).sort({ position: 1 });
     
     logger.info(`getSystemStatus: Found ${queuedUsers.length} users in queue`);
+    
+    // Una stima non disponibile non deve impedire di mostrare lo stato
+    let estimates = null;
+    try {
+      estimates = await waitTimeHandler.estimateWaits(station, activeSessions, queuedUsers, now);
+    } catch (error) {
+      logger.error(`getSystemStatus: Could not estimate wait times: ${error.message}`);
+    }
+    
     logger.info('getSystemStatus: Returning complete status');
     
     return {
-      total_slots: system.total_slots,
-      slots_available: system.slots_available,
-      slots_occupied: system.total_slots - system.slots_available,
+      station_id: station._id,
+      station_name: station.name,
+      station_address: station.address,
+      max_charge_time: stationHandler.getMaxChargeTime(station),
+      reminder_time: stationHandler.getReminderTime(station),
+      total_slots: station.total_slots,
+      slots_available: station.slots_available,
+      slots_occupied: station.total_slots - station.slots_available,
       active_sessions: sessionsWithTime,
       queue: queuedUsers,
-      queue_length: queuedUsers.length
+      queue_length: queuedUsers.length,
+      queue_estimates: estimates ? estimates.queue : [],
+      wait_estimate: estimates ? estimates.next : null
     };
   } catch (error) {
     logger.error(`Error in getSystemStatus: ${error.message}`);
@@ -385,43 +939,78 @@ async function getSystemStatus() {
 }
 
 /**
- * Aggiorna il numero massimo di slot del sistema
+ * Ottiene lo stato di tutte le stazioni
+ * @returns {Promise<Array>} - Array di oggetti stato, uno per stazione
+ */
+async function getAllStationsStatus() {
+  try {
+    const stations = await stationHandler.getStations();
+    const statuses = [];
+    
+    for (const station of stations) {
+      statuses.push(await getSystemStatus(station._id));
+    }
+    
+    return statuses;
+  } catch (error) {
+    logger.error(`Error getting status of all stations: ${error.message}`);
+    logger.error(error.stack);
+    throw error;
+  }
+}
+
+/**
+ * Aggiorna il numero massimo di slot di una stazione
  * @param {Number} newMaxSlots - Nuovo numero massimo di slot
- * @returns {Promise<Object>} - Oggetto sistema aggiornato
+ * @param {String} stationId - ID della stazione
+ * @param {Number} adminId - ID Telegram dell'amministratore, per il registro
+ * @returns {Promise<Object>} - Oggetto stazione aggiornata
  */
-async function updateMaxSlots(newMaxSlots) {
+async function updateMaxSlots(newMaxSlots, stationId, adminId = null) {
   try {
-    logger.info(`Updating max slots to ${newMaxSlots}`);
+    logger.info(`Updating max slots of station ${stationId} to ${newMaxSlots}`);
     
     if (newMaxSlots < 1) {
       logger.warn(`Invalid max slots value: ${newMaxSlots}`);
-      throw new Error('Il numero di slot deve essere almeno 1.');
+      throw localizedError('errors.station.slotsTooLow');
     }
     
-    let system = await System.findOne({ name: 'system' });
+    const station = await stationHandler.getStation(stationId);
     
-    if (!system) {
-      logger.info('System not found, creating a new one');
-      system = new System();
+    if (!station) {
+      throw localizedError('errors.stationNotFound');
     }
     
-    const oldMaxSlots = system.total_slots;
-    system.total_slots = newMaxSlots;
-    
-    // Se il nuovo massimo è maggiore, aumenta gli slot disponibili
-    if (newMaxSlots > oldMaxSlots) {
-      logger.info(`Increasing available slots by ${newMaxSlots - oldMaxSlots}`);
-      system.slots_available += (newMaxSlots - oldMaxSlots);
-    } else if (newMaxSlots < oldMaxSlots) {
-      // Se il nuovo massimo è minore, diminuisci gli slot disponibili (ma non sotto zero)
-      logger.info(`Decreasing available slots by ${oldMaxSlots - newMaxSlots}`);
-      system.slots_available = Math.max(0, system.slots_available - (oldMaxSlots - newMaxSlots));
-    }
+    const oldMaxSlots = station.total_slots;
+    const delta = newMaxSlots - oldMaxSlots;
+    
+    // Aggiorna totale e disponibili con lo stesso incremento, senza sovrascrivere
+    // le variazioni fatte nel frattempo da sessioni avviate o terminate
+    logger.info(`Changing available slots by ${delta}`);
+    await Station.updateOne(
+      { _id: station._id },
+      { $set: { total_slots: newMaxSlots }, $inc: { slots_available: delta } }
+    );
+    
+    // Se il nuovo massimo è minore, gli slot disponibili non scendono sotto zero
+    await Station.updateOne(
+      { _id: station._id, slots_available: { $lt: 0 } },
+      { $set: { slots_available: 0 } }
+    );
     
-    await system.save();
     logger.info(`Updated max slots from ${oldMaxSlots} to ${newMaxSlots}`);
     
-    return system;
+    const updatedStation = await Station.findById(station._id);
+    
+    await auditHandler.recordEvent({
+      action: 'max_slots_update',
+      actorId: adminId,
+      station: station._id,
+      before: { total_slots: oldMaxSlots, slots_available: station.slots_available },
+      after: { total_slots: updatedStation.total_slots, slots_available: updatedStation.slots_available }
+    });
+    
+    return updatedStation;
   } catch (error) {
     logger.error(`Error updating max slots to ${newMaxSlots}: ${error.message}`);
     logger.error(error.stack);
@@ -432,9 +1021,10 @@ async function updateMaxSlots(newMaxSlots) {
 /**
  * Rimuove un utente dalla coda (comando admin)
  * @param {String} username - Username Telegram dell'utente
+ * @param {Number} adminId - ID Telegram dell'amministratore
  * @returns {Promise<Object|null>} - Oggetto utente rimosso o null se non trovato
  */
-async function adminRemoveFromQueue(username) {
+async function adminRemoveFromQueue(username, adminId = null) {
   try {
     logger.info(`Admin removing user ${username} from queue`);
     
@@ -443,11 +1033,11 @@ async function adminRemoveFromQueue(username) {
     
     if (!queuedUser) {
       logger.info(`User ${username} not found in queue`);
-      throw new Error(`Utente @${username} non trovato in coda.`);
+      throw localizedError('errors.queue.userNotQueued', { username: username.replace('@', '') });
     }
     
     logger.info(`Found user ${username} in queue, removing`);
-    return await removeFromQueue(queuedUser.telegram_id);
+    return await removeFromQueue(queuedUser.telegram_id, { actorId: adminId, reason: 'admin_remove' });
   } catch (error) {
     logger.error(`Error admin removing ${username} from queue: ${error.message}`);
     logger.error(error.stack);
@@ -456,36 +1046,14 @@ async function adminRemoveFromQueue(username) {
 }
 
 /**
- * Ottiene statistiche complete del sistema
+ * Ottiene statistiche complete del sistema, aggregate su tutte le stazioni
  * @returns {Promise<Object>} - Oggetto con le statistiche
  */
 async function getSystemStats() {
   try {
     logger.info('Getting system statistics');
     
-    const system = await System.findOne({ name: 'system' });
-    
-    if (!system) {
-      logger.info('System not found, creating a new one');
-      // Crea un nuovo sistema con statistiche di default
-      const newSystem = new System();
-      await newSystem.save();
-      
-      logger.info('Returning default statistics for new system');
-      return {
-        total_slots: newSystem.total_slots,
-        total_charges_completed: 0,
-        charges_today: 0,
-        avg_charge_time: 0,
-        total_users: 0,
-        active_users: 0,
-        current_status: {
-          slots_available: newSystem.total_slots,
-          slots_occupied: 0,
-          queue_length: 0
-        }
-      };
-    }
+    const stations = await stationHandler.getStations();
     
     // Calcola statistiche dalle sessioni
     const today = new Date();
@@ -502,12 +1070,16 @@ async function getSystemStats() {
     logger.info('Calculating average charging time');
     const completedSessions = await Session.find({ status: { $ne: 'active' } });
     let totalTime = 0;
+    let totalEnergy = 0;
+    let totalCost = 0;
     
     completedSessions.forEach(session => {
       const startTime = new Date(session.start_time);
       const endTime = new Date(session.end_time);
       const duration = (endTime - startTime) / 60000; // in minuti
       totalTime += duration;
+      totalEnergy += session.energy_kwh || 0;
+      totalCost += session.cost || 0;
     });
     
     const avgTime = totalSessions > 0 ? Math.round(totalTime / totalSessions) : 0;
@@ -519,18 +1091,45 @@ async function getSystemStats() {
       last_charge: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) } // ultimi 30 giorni
     });
     
+    // Totali e dettaglio per stazione
+    const totals = {
+      total_slots: 0,
+      slots_available: 0,
+      queue_length: 0,
+      total_charges_completed: 0
+    };
+    
+    const perStation = stations.map(station => {
+      totals.total_slots += station.total_slots;
+      totals.slots_available += station.slots_available;
+      totals.queue_length += station.queue_length;
+      totals.total_charges_completed += station.total_charges_completed;
+      
+      return {
+        name: station.name,
+        total_slots: station.total_slots,
+        slots_available: station.slots_available,
+        slots_occupied: station.total_slots - station.slots_available,
+        queue_length: station.queue_length,
+        total_charges_completed: station.total_charges_completed
+      };
+    });
+    
     logger.info('Returning complete statistics');
     return {
-      total_slots: system.total_slots,
-      total_charges_completed: system.total_charges_completed,
+      total_slots: totals.total_slots,
+      total_charges_completed: totals.total_charges_completed,
       charges_today: todaySessions,
       avg_charge_time: avgTime,
+      total_energy_kwh: Math.round(totalEnergy * 100) / 100,
+      total_cost: Math.round(totalCost * 100) / 100,
       total_users: totalUsers,
       active_users: activeUsers,
+      stations: perStation,
       current_status: {
-        slots_available: system.slots_available,
-        slots_occupied: system.total_slots - system.slots_available,
-        queue_length: system.queue_length
+        slots_available: totals.slots_available,
+        slots_occupied: totals.total_slots - totals.slots_available,
+        queue_length: totals.queue_length
       }
     };
   } catch (error) {
@@ -541,15 +1140,25 @@ async function getSystemStats() {
 }
 
 module.exports = {
+  parseUrgency,
+  sortQueueEntries,
   requestCharge,
   getQueuedUsers,
   getUserByPosition,
   getNextInQueue,
   removeFromQueue,
+  compactQueue,
+  adminSetPriority,
+  getUrgentRequests,
+  reorderAllQueues,
+  skipTurn,
   notifyNextInQueue,
   checkQueueTimeouts,
   hasReservedSlot,
+  hasHandover,
   getSystemStatus,
+  getWaitEstimate,
+  getAllStationsStatus,
   updateMaxSlots,
   adminRemoveFromQueue,
   getSystemStats
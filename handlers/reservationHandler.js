@@ -0,0 +1,557 @@
+const Reservation = require('../models/reservation');
+const Station = require('../models/station');
+const Session = require('../models/session');
+const Queue = require('../models/queue');
+const stationHandler = require('./stationHandler');
+const settingsHandler = require('./settingsHandler');
+const strikeHandler = require('./strikeHandler');
+const logger = require('../utils/logger');
+const { toLocalTime, localizedError } = require('../utils/i18n');
+
+// Numero massimo di giorni di anticipo per una prenotazione
+const MAX_DAYS_AHEAD = 7;
+// Durata minima di una prenotazione in minuti
+const MIN_DURATION = 10;
+
+/**
+ * Interpreta una finestra oraria nel testo di un comando
+ * Formati supportati: "07:30-08:00", "domani 07:30-08:00", "21/10 07:30-08:00"
+ * @param {String} text - Testo del comando
+ * @param {Date} now - Data di riferimento
+ * @returns {Object|null} - { start, end, rest } oppure null se il testo non contiene una finestra
+ */
+function parseTimeWindow(text, now = new Date()) {
+  const pattern = /(?:^|\s)(?:(oggi|domani|dopodomani|\d{1,2}\/\d{1,2})\s+)?(\d{1,2})[:.](\d{2})\s*[-–]\s*(\d{1,2})[:.](\d{2})(?=\s|$)/i;
+  const match = (text || '').match(pattern);
+
+  if (!match) {
+    return null;
+  }
+
+  const [, day, startHour, startMinute, endHour, endMinute] = match;
+
+  if ([startHour, endHour].some(hour => parseInt(hour) > 23) ||
+      [startMinute, endMinute].some(minute => parseInt(minute) > 59)) {
+    throw localizedError('errors.reservation.invalidTime');
+  }
+
+  const localNow = toLocalTime(now);
+  const base = localNow.clone().startOf('day');
+  let dayExplicit = true;
+
+  if (!day || day.toLowerCase() === 'oggi') {
+    dayExplicit = Boolean(day);
+  } else if (day.toLowerCase() === 'domani') {
+    base.add(1, 'day');
+  } else if (day.toLowerCase() === 'dopodomani') {
+    base.add(2, 'days');
+  } else {
+    const [dayOfMonth, month] = day.split('/').map(part => parseInt(part));
+    base.set({ date: dayOfMonth, month: month - 1 });
+
+    if (!base.isValid() || base.date() !== dayOfMonth) {
+      throw localizedError('errors.reservation.invalidDate', { date: day });
+    }
+
+    // Una data già passata si riferisce all'anno successivo
+    if (base.isBefore(localNow.clone().startOf('day'))) {
+      base.add(1, 'year');
+    }
+  }
+
+  const start = base.clone().set({ hour: parseInt(startHour), minute: parseInt(startMinute) });
+  let end = base.clone().set({ hour: parseInt(endHour), minute: parseInt(endMinute) });
+
+  // Senza giorno indicato, un orario già passato si riferisce a domani
+  if (!dayExplicit && start.isBefore(localNow)) {
+    start.add(1, 'day');
+    end.add(1, 'day');
+  }
+
+  // Finestra a cavallo della mezzanotte
+  if (!end.isAfter(start)) {
+    end = end.add(1, 'day');
+  }
+
+  return {
+    start: start.toDate(),
+    end: end.toDate(),
+    rest: text.replace(match[0], ' ').trim()
+  };
+}
+
+/**
+ * Calcola il carico previsto di una stazione in una finestra temporale
+ * @param {Object} station - Oggetto stazione
+ * @param {Date} start - Inizio della finestra
+ * @param {Date} end - Fine della finestra
+ * @param {Object} dbSession - Sessione MongoDB della transazione in cui leggere (opzionale)
+ * @returns {Promise<Object>} - Slot occupati da prenotazioni, sessioni attive e coda
+ */
+async function getWindowLoad(station, start, end, dbSession = null) {
+  const now = new Date();
+
+  // Prenotazioni della stazione che si sovrappongono alla finestra
+  const reservations = await Reservation.countDocuments({
+    station: station._id,
+    status: { $in: ['scheduled', 'held'] },
+    start_time: { $lt: end },
+    end_time: { $gt: start }
+  }).session(dbSession);
+
+  // Sessioni attive che saranno ancora in corso all'inizio della finestra
+  const sessions = await Session.countDocuments({
+    station: station._id,
+    status: 'active',
+    end_time: { $gt: start }
+  }).session(dbSession);
+
+  // Utenti in coda che verranno serviti prima dell'inizio della finestra
+  let queue = 0;
+
+  if (station.queue_length > 0) {
+    const rounds = Math.ceil(station.queue_length / station.total_slots);
+    const drainTime = new Date(now.getTime() + rounds * stationHandler.getMaxChargeTime(station) * 60000);
+
+    if (start < drainTime) {
+      queue = Math.min(station.queue_length, station.total_slots);
+    }
+  }
+
+  return {
+    reservations,
+    sessions,
+    queue,
+    total: reservations + sessions + queue
+  };
+}
+
+/**
+ * Crea una prenotazione per una finestra futura
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {String} username - Username Telegram dell'utente
+ * @param {String} stationId - ID della stazione
+ * @param {Date} start - Inizio della finestra
+ * @param {Date} end - Fine della finestra
+ * @returns {Promise<Object>} - Oggetto prenotazione creata
+ */
+async function createReservation(userId, username, stationId, start, end) {
+  try {
+    logger.info(`User ${userId} (${username}) reserving station ${stationId} from ${start.toISOString()} to ${end.toISOString()}`);
+
+    const station = await stationHandler.getStation(stationId);
+
+    if (!station) {
+      throw localizedError('errors.stationNotFound');
+    }
+
+    await strikeHandler.checkSuspension(userId);
+
+    const now = new Date();
+    const durationMinutes = Math.round((end - start) / 60000);
+    const maxChargeTime = stationHandler.getMaxChargeTime(station);
+
+    if (start <= now) {
+      throw localizedError('errors.reservation.past');
+    }
+
+    if (start > new Date(now.getTime() + MAX_DAYS_AHEAD * 24 * 60 * 60000)) {
+      throw localizedError('errors.reservation.tooFarAhead', { days: MAX_DAYS_AHEAD });
+    }
+
+    if (durationMinutes < MIN_DURATION || durationMinutes > maxChargeTime) {
+      throw localizedError('errors.reservation.invalidDuration', { min: MIN_DURATION, max: maxChargeTime });
+    }
+
+    // Verifica e inserimento nella transazione della stazione: due prenotazioni contemporanee
+    // non possono contare entrambe sull'ultimo slot libero della finestra
+    const reservation = await stationHandler.withStationTransaction(station._id, async (current, dbSession) => {
+      // Un utente non può avere due prenotazioni sovrapposte
+      const ownOverlap = await Reservation.findOne({
+        telegram_id: userId,
+        status: { $in: ['scheduled', 'held'] },
+        start_time: { $lt: end },
+        end_time: { $gt: start }
+      }).session(dbSession);
+
+      if (ownOverlap) {
+        throw localizedError('errors.reservation.overlap');
+      }
+
+      // Verifica che la stazione abbia uno slot libero nella finestra
+      const load = await getWindowLoad(current, start, end, dbSession);
+
+      logger.info(`Load for ${current.name} in requested window: ${load.reservations} reservations, ${load.sessions} sessions, ${load.queue} queued (${current.total_slots} slots)`);
+
+      if (load.total >= current.total_slots) {
+        if (load.queue > 0) {
+          throw localizedError('errors.reservation.fullQueue', { station: current.name });
+        }
+        if (load.reservations > 0) {
+          throw localizedError('errors.reservation.fullReserved', { station: current.name, count: load.reservations });
+        }
+        throw localizedError('errors.reservation.full', { station: current.name });
+      }
+
+      const [created] = await Reservation.create([{
+        telegram_id: userId,
+        username,
+        station: current._id,
+        start_time: start,
+        end_time: end
+      }], { session: dbSession });
+
+      return created;
+    });
+
+    await stationHandler.setLastStation(userId, station._id);
+
+    logger.info(`Reservation ${reservation._id} created for user ${userId} at ${station.name}`);
+
+    return reservation;
+  } catch (error) {
+    logger.error(`Error creating reservation for user ${userId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene le prenotazioni in corso o future di un utente
+ * @param {Number} userId - ID Telegram dell'utente
+ * @returns {Promise<Array>} - Array di prenotazioni ordinate per inizio, con la stazione
+ */
+async function getUserReservations(userId) {
+  try {
+    return await Reservation.find({
+      telegram_id: userId,
+      status: { $in: ['scheduled', 'held'] }
+    }).sort({ start_time: 1 }).populate('station');
+  } catch (error) {
+    logger.error(`Error getting reservations for user ${userId}: ${error.message}`);
+    logger.error(error.stack);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene la prenotazione con slot trattenuto di un utente
+ * @param {Number} userId - ID Telegram dell'utente
+ * @returns {Promise<Object|null>} - Oggetto prenotazione o null se non presente
+ */
+async function getHeldReservation(userId) {
+  try {
+    return await Reservation.findOne({ telegram_id: userId, status: 'held' });
+  } catch (error) {
+    logger.error(`Error getting held reservation for user ${userId}: ${error.message}`);
+    logger.error(error.stack);
+    throw error;
+  }
+}
+
+/**
+ * Annulla una prenotazione dell'utente
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {String} reservationId - ID della prenotazione
+ * @returns {Promise<Object>} - { reservation, slotReleased }
+ */
+async function cancelReservation(userId, reservationId) {
+  try {
+    // Aggiornamento condizionato: se la prenotazione scade o viene confermata
+    // nello stesso momento, lo slot trattenuto viene restituito una sola volta
+    const previous = await Reservation.findOneAndUpdate(
+      {
+        _id: reservationId,
+        telegram_id: userId,
+        status: { $in: ['scheduled', 'held'] }
+      },
+      { $set: { status: 'cancelled' } }
+    );
+
+    if (!previous) {
+      throw localizedError('errors.reservation.notFound');
+    }
+
+    const slotReleased = previous.status === 'held';
+    const reservation = Object.assign(previous, { status: 'cancelled' });
+
+    // Se lo slot era già trattenuto, restituiscilo alla stazione
+    if (slotReleased) {
+      await Station.updateOne({ _id: reservation.station }, { $inc: { slots_available: 1 } });
+    }
+
+    logger.info(`Reservation ${reservation._id} cancelled by user ${userId}${slotReleased ? ', slot released' : ''}`);
+
+    return { reservation, slotReleased };
+  } catch (error) {
+    logger.error(`Error cancelling reservation ${reservationId} for user ${userId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Conta le prenotazioni che inizieranno a breve in una stazione
+ * @param {String} stationId - ID della stazione
+ * @param {Number} withinMinutes - Orizzonte in minuti
+ * @returns {Promise<Number>} - Numero di prenotazioni in arrivo
+ */
+async function countUpcomingReservations(stationId, withinMinutes) {
+  const now = new Date();
+
+  return await Reservation.countDocuments({
+    station: stationId,
+    status: 'scheduled',
+    start_time: { $lte: new Date(now.getTime() + withinMinutes * 60000) },
+    end_time: { $gt: now }
+  });
+}
+
+/**
+ * Conta gli slot disponibili da tenere da parte: prenotazioni che inizieranno
+ * entro il tempo massimo di ricarica e utenti in coda già notificati
+ * @param {Object} station - Oggetto stazione
+ * @returns {Promise<Number>} - Numero di slot non utilizzabili da chi arriva senza turno
+ */
+async function countBlockedSlots(station) {
+  const upcoming = await countUpcomingReservations(station._id, stationHandler.getMaxChargeTime(station));
+  const reservedForQueue = await Queue.countDocuments({ station: station._id, slot_reserved: true });
+
+  return upcoming + reservedForQueue;
+}
+
+/**
+ * Calcola gli slot liberi per chi non ha una prenotazione né un turno in coda
+ * @param {Object} station - Oggetto stazione
+ * @returns {Promise<Number>} - Numero di slot utilizzabili subito
+ */
+async function getFreeSlots(station) {
+  try {
+    const blocked = await countBlockedSlots(station);
+    return Math.max(0, station.slots_available - blocked);
+  } catch (error) {
+    logger.error(`Error computing free slots for station ${station._id}: ${error.message}`);
+    logger.error(error.stack);
+    throw error;
+  }
+}
+
+/**
+ * Occupa uno slot libero con un aggiornamento condizionato, così richieste
+ * contemporanee non possono superare gli slot disponibili
+ * @param {Object} station - Oggetto stazione
+ * @returns {Promise<Object|null>} - Stazione aggiornata o null se non ci sono slot liberi
+ */
+async function claimFreeSlot(station) {
+  try {
+    const blocked = await countBlockedSlots(station);
+
+    return await Station.findOneAndUpdate(
+      { _id: station._id, slots_available: { $gt: blocked } },
+      { $inc: { slots_available: -1 } },
+      { new: true }
+    );
+  } catch (error) {
+    logger.error(`Error claiming free slot at station ${station._id}: ${error.message}`);
+    logger.error(error.stack);
+    throw error;
+  }
+}
+
+/**
+ * Trattiene uno slot per le prenotazioni la cui finestra è iniziata
+ * @returns {Promise<Array>} - Prenotazioni per cui è stato trattenuto uno slot
+ */
+async function holdDueReservations() {
+  try {
+    const now = new Date();
+    const held = [];
+
+    const dueReservations = await Reservation.find({
+      status: 'scheduled',
+      start_time: { $lte: now },
+      end_time: { $gt: now }
+    }).sort({ start_time: 1 });
+
+    for (const reservation of dueReservations) {
+      // Gli slot già riservati a utenti in coda notificati non sono disponibili
+      const reservedForQueue = await Queue.countDocuments({
+        station: reservation.station,
+        slot_reserved: true
+      });
+
+      const station = await Station.findOneAndUpdate(
+        { _id: reservation.station, slots_available: { $gt: reservedForQueue } },
+        { $inc: { slots_available: -1 } },
+        { new: true }
+      );
+
+      if (!station) {
+        logger.info(`No slot available yet for reservation ${reservation._id}`);
+        continue;
+      }
+
+      // Se la prenotazione è stata annullata nel frattempo, restituisci lo slot
+      const updated = await Reservation.findOneAndUpdate(
+        { _id: reservation._id, status: 'scheduled' },
+        { $set: { status: 'held', held_at: now } },
+        { new: true }
+      );
+
+      if (!updated) {
+        await Station.updateOne({ _id: station._id }, { $inc: { slots_available: 1 } });
+        continue;
+      }
+
+      logger.info(`Slot held at ${station.name} for reservation ${updated._id} of user ${updated.telegram_id}`);
+      held.push(updated);
+    }
+
+    return held;
+  } catch (error) {
+    logger.error(`Error holding due reservations: ${error.message}`);
+    logger.error(error.stack);
+    throw error;
+  }
+}
+
+/**
+ * Rilascia gli slot trattenuti per prenotazioni non confermate in tempo
+ * @returns {Promise<Array>} - Prenotazioni scadute con slot rilasciato
+ */
+async function expireUnclaimedHolds() {
+  try {
+    const threshold = new Date(Date.now() - settingsHandler.getSetting('hold_timeout') * 60000);
+    const candidates = await Reservation.find({ status: 'held', held_at: { $lt: threshold } });
+    const expired = [];
+
+    for (const candidate of candidates) {
+      // Salta le prenotazioni confermate o annullate nel frattempo
+      const reservation = await Reservation.findOneAndUpdate(
+        { _id: candidate._id, status: 'held' },
+        { $set: { status: 'expired' } },
+        { new: true }
+      );
+
+      if (!reservation) {
+        continue;
+      }
+
+      await Station.updateOne({ _id: reservation.station }, { $inc: { slots_available: 1 } });
+      expired.push(reservation);
+
+      logger.info(`Reservation ${reservation._id} of user ${reservation.telegram_id} not claimed, slot released`);
+    }
+
+    return expired;
+  } catch (error) {
+    logger.error(`Error expiring unclaimed holds: ${error.message}`);
+    logger.error(error.stack);
+    throw error;
+  }
+}
+
+/**
+ * Chiude le prenotazioni la cui finestra è terminata senza che si liberasse uno slot
+ * @returns {Promise<Array>} - Prenotazioni scadute
+ */
+async function expireMissedReservations() {
+  try {
+    const candidates = await Reservation.find({ status: 'scheduled', end_time: { $lte: new Date() } });
+    const expired = [];
+
+    for (const candidate of candidates) {
+      // Salta le prenotazioni per cui nel frattempo è stato trattenuto uno slot
+      const reservation = await Reservation.findOneAndUpdate(
+        { _id: candidate._id, status: 'scheduled' },
+        { $set: { status: 'expired' } },
+        { new: true }
+      );
+
+      if (!reservation) {
+        continue;
+      }
+
+      expired.push(reservation);
+
+      logger.info(`Reservation ${reservation._id} of user ${reservation.telegram_id} expired without a free slot`);
+    }
+
+    return expired;
+  } catch (error) {
+    logger.error(`Error expiring missed reservations: ${error.message}`);
+    logger.error(error.stack);
+    throw error;
+  }
+}
+
+/**
+ * Riserva all'utente la prenotazione con slot trattenuto, prima di creare la sessione
+ * @param {String} reservationId - ID della prenotazione
+ * @returns {Promise<Object|null>} - Prenotazione o null se è scaduta o annullata nel frattempo
+ */
+async function claimHeldReservation(reservationId) {
+  try {
+    return await Reservation.findOneAndUpdate(
+      { _id: reservationId, status: 'held' },
+      { $set: { status: 'fulfilled' } },
+      { new: true }
+    );
+  } catch (error) {
+    logger.error(`Error claiming reservation ${reservationId}: ${error.message}`);
+    logger.error(error.stack);
+    throw error;
+  }
+}
+
+/**
+ * Riporta una prenotazione allo stato con slot trattenuto se la sessione non è stata creata
+ * @param {String} reservationId - ID della prenotazione
+ * @returns {Promise<void>}
+ */
+async function restoreHeldReservation(reservationId) {
+  try {
+    await Reservation.updateOne(
+      { _id: reservationId, status: 'fulfilled', session: null },
+      { $set: { status: 'held' } }
+    );
+  } catch (error) {
+    logger.error(`Error restoring reservation ${reservationId}: ${error.message}`);
+    logger.error(error.stack);
+    throw error;
+  }
+}
+
+/**
+ * Segna una prenotazione come utilizzata da una sessione
+ * @param {String} reservationId - ID della prenotazione
+ * @param {String} sessionId - ID della sessione avviata
+ * @returns {Promise<void>}
+ */
+async function fulfillReservation(reservationId, sessionId) {
+  try {
+    await Reservation.updateOne(
+      { _id: reservationId },
+      { $set: { status: 'fulfilled', session: sessionId } }
+    );
+  } catch (error) {
+    logger.error(`Error fulfilling reservation ${reservationId}: ${error.message}`);
+    logger.error(error.stack);
+    throw error;
+  }
+}
+
+module.exports = {
+  parseTimeWindow,
+  getWindowLoad,
+  createReservation,
+  getUserReservations,
+  getHeldReservation,
+  cancelReservation,
+  getFreeSlots,
+  claimFreeSlot,
+  claimHeldReservation,
+  restoreHeldReservation,
+  holdDueReservations,
+  expireUnclaimedHolds,
+  expireMissedReservations,
+  fulfillReservation
+};
@@ -0,0 +1,207 @@
+const User = require('../models/user');
+const auditHandler = require('./auditHandler');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { localizedError } = require('../utils/i18n');
+const { USER_COMMANDS, ADMIN_COMMANDS, describeCommands } = require('../utils/commands');
+
+// Ruoli in ordine crescente di permessi. L'owner è l'utente ADMIN_USER_ID della configurazione
+const ROLES = ['banned', 'user', 'moderator', 'admin', 'owner'];
+
+// Varianti di comandi admin che richiedono un ruolo più alto del comando base
+const COMMAND_VARIANTS = {
+  check: params => params[0] === 'fix' ? 'admin' : null,
+  strikes: params => params[1] === 'clear' ? 'admin' : null
+};
+
+/**
+ * Ottiene il livello di un ruolo
+ * @param {String} role - Nome del ruolo
+ * @returns {Number} - Livello (più alto = più permessi), -1 se il ruolo non esiste
+ */
+function roleLevel(role) {
+  return ROLES.indexOf(role);
+}
+
+/**
+ * Verifica se un ruolo ha almeno i permessi di un altro
+ * @param {String} role - Ruolo dell'utente
+ * @param {String} minRole - Ruolo minimo richiesto
+ * @returns {Boolean} - true se il ruolo è sufficiente
+ */
+function hasRole(role, minRole) {
+  return roleLevel(role) >= roleLevel(minRole);
+}
+
+/**
+ * Verifica se un ruolo dà accesso ai comandi admin
+ * @param {String} role - Ruolo dell'utente
+ * @returns {Boolean} - true per moderator, admin e owner
+ */
+function isStaff(role) {
+  return hasRole(role, 'moderator');
+}
+
+/**
+ * Ottiene il ruolo di un utente
+ * @param {Number} userId - ID Telegram dell'utente
+ * @returns {Promise<String>} - Ruolo dell'utente ('user' se non registrato)
+ */
+async function getRole(userId) {
+  if (config.ADMIN_USER_ID && userId === config.ADMIN_USER_ID) {
+    return 'owner';
+  }
+
+  try {
+    const user = await User.findOne({ telegram_id: userId }).select('role');
+    return (user && user.role) || 'user';
+  } catch (error) {
+    logger.error(`Error getting role of user ${userId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene il ruolo minimo richiesto da un comando admin
+ * @param {String} command - Comando senza prefisso "admin_" (es. 'remove_queue') o 'dbtest'
+ * @param {Array} params - Parametri del comando
+ * @returns {String} - Ruolo minimo; 'owner' per i comandi sconosciuti
+ */
+function getRequiredRole(command, params = []) {
+  const name = command === 'dbtest' ? command : `admin_${command}`;
+  const definition = ADMIN_COMMANDS.find(entry => entry.command === name);
+  const required = definition ? definition.role : 'owner';
+  const variant = COMMAND_VARIANTS[command] ? COMMAND_VARIANTS[command](params) : null;
+
+  return variant && roleLevel(variant) > roleLevel(required) ? variant : required;
+}
+
+/**
+ * Verifica se un ruolo può eseguire un comando admin
+ * @param {String} role - Ruolo dell'utente
+ * @param {String} command - Comando senza prefisso "admin_"
+ * @param {Array} params - Parametri del comando
+ * @returns {Boolean} - true se il comando è consentito
+ */
+function canUseCommand(role, command, params = []) {
+  return isStaff(role) && hasRole(role, getRequiredRole(command, params));
+}
+
+/**
+ * Ottiene i comandi del menu di Telegram per un ruolo
+ * @param {String} role - Ruolo dell'utente
+ * @param {String} locale - Lingua delle descrizioni (opzionale)
+ * @returns {Array} - Comandi utente seguiti dai comandi admin consentiti
+ */
+function getCommandsForRole(role, locale) {
+  if (!isStaff(role)) {
+    return describeCommands(USER_COMMANDS, locale);
+  }
+
+  const adminCommands = ADMIN_COMMANDS.filter(entry => !entry.hidden && hasRole(role, entry.role));
+
+  return describeCommands([...USER_COMMANDS, ...adminCommands], locale);
+}
+
+/**
+ * Imposta il menu dei comandi di Telegram nella chat privata di un utente in base al ruolo
+ * e alla lingua scelta con /lingua
+ * @param {Object} bot - Istanza del bot Telegram
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {String} role - Ruolo dell'utente
+ * @param {String} locale - Lingua del menu; null per la lingua di Telegram
+ * @returns {Promise<void>}
+ */
+async function applyCommandScope(bot, userId, role, locale = null) {
+  const scope = { type: 'chat', chat_id: userId };
+
+  try {
+    if (isStaff(role) || locale) {
+      await bot.setMyCommands(getCommandsForRole(role, locale), { scope });
+    } else {
+      // Senza un menu specifico l'utente vede quello predefinito
+      await bot.deleteMyCommands({ scope: JSON.stringify(scope) });
+    }
+  } catch (error) {
+    logger.error(`Error setting commands for user ${userId} (${role}): ${error.message}`);
+  }
+}
+
+/**
+ * Assegna un ruolo a un utente
+ * @param {Number} actorId - ID Telegram di chi assegna il ruolo
+ * @param {String} username - Username dell'utente (con o senza @)
+ * @param {String} role - Ruolo da assegnare (admin, moderator, user, banned)
+ * @returns {Promise<Object>} - { user, previousRole }
+ */
+async function setRole(actorId, username, role) {
+  try {
+    if (roleLevel(role) === -1 || role === 'owner') {
+      throw localizedError('errors.role.invalid', { role, roles: ROLES.filter(name => name !== 'owner').join(', ') });
+    }
+
+    const user = await User.findOne({ username: username.replace('@', '') });
+
+    if (!user) {
+      throw localizedError('errors.userNotFound', { username: username.replace('@', '') });
+    }
+
+    const actorRole = await getRole(actorId);
+    const previousRole = await getRole(user.telegram_id);
+
+    if (user.telegram_id === actorId) {
+      throw localizedError('errors.role.self');
+    }
+
+    // Si possono gestire solo utenti e ruoli di livello inferiore al proprio
+    if (roleLevel(previousRole) >= roleLevel(actorRole) || roleLevel(role) >= roleLevel(actorRole)) {
+      throw localizedError('errors.role.notAllowed', { actorRole, role, username: user.username });
+    }
+
+    user.role = role;
+    await user.save();
+
+    await auditHandler.recordEvent({
+      action: 'role_change',
+      actorId,
+      targetId: user.telegram_id,
+      targetUsername: user.username,
+      before: { role: previousRole },
+      after: { role }
+    });
+
+    logger.info(`Role of user ${user.telegram_id} changed from ${previousRole} to ${role} by ${actorId}`);
+
+    return { user, previousRole };
+  } catch (error) {
+    logger.error(`Error setting role of ${username}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene gli utenti con un ruolo diverso da quello base
+ * @returns {Promise<Array>} - Array di utenti ordinati per ruolo
+ */
+async function getRoleAssignments() {
+  try {
+    const users = await User.find({ role: { $nin: ['user', null] } });
+    return users.sort((a, b) => roleLevel(b.role) - roleLevel(a.role) || a.username.localeCompare(b.username));
+  } catch (error) {
+    logger.error(`Error getting role assignments: ${error.message}`);
+    throw error;
+  }
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  isStaff,
+  getRole,
+  getRequiredRole,
+  canUseCommand,
+  getCommandsForRole,
+  applyCommandScope,
+  setRole,
+  getRoleAssignments
+};
@@ -1,20 +1,31 @@
 const Session = require('../models/session');
-const System = require('../models/system');
+const Station = require('../models/station');
 const Queue = require('../models/queue');
 const User = require('../models/user');
 const userHandler = require('./userHandler');
 const queueHandler = require('./queueHandler');
+const stationHandler = require('./stationHandler');
+const reservationHandler = require('./reservationHandler');
+const settingsHandler = require('./settingsHandler');
+const billingHandler = require('./billingHandler');
+const fairnessHandler = require('./fairnessHandler');
+const auditHandler = require('./auditHandler');
+const webhookHandler = require('./webhookHandler');
+const notificationHandler = require('./notificationHandler');
 const config = require('../config');
 const moment = require('moment');
 const logger = require('../utils/logger');
+const { localizedError } = require('../utils/i18n');
 
 /**
  * Inizia una nuova sessione di ricarica
  * @param {Number} userId - ID Telegram dell'utente
  * @param {String} username - Username Telegram dell'utente
+ * @param {String} stationId - ID della stazione (ignorato se l'utente ha uno slot riservato)
+ * @param {Object} options - { slotNumber } slot da occupare se libero, quando è la colonnina a indicarlo
  * @returns {Promise<Object>} - Oggetto sessione creata
  */
-async function startSession(userId, username) {
+async function startSession(userId, username, stationId, { slotNumber = null } = {}) {
   try {
     // Verifica se l'utente ha già una sessione attiva
     const existingSession = await Session.findOne({
@@ -23,64 +34,166 @@ async function startSession(userId, username) {
     });
     
     if (existingSession) {
-      throw new Error('Hai già una sessione di ricarica attiva.');
+      throw localizedError('errors.session.alreadyActive');
     }
     
-    // Verifica se ci sono slot disponibili
-    const system = await System.findOne({ name: 'system' });
+    // Se l'utente ha uno slot trattenuto da una prenotazione o riservato in coda,
+    // la stazione è quella della prenotazione o della coda
+    const heldReservation = await reservationHandler.getHeldReservation(userId);
     
-    if (!system) {
-      throw new Error('Errore di sistema. Configurazione non trovata.');
+    // Passaggio del cavo annunciato con /lascio: ancora da confermare se la sessione di chi
+    // lo lascia è attiva, già avvenuto se al suo termine lo slot è stato riservato all'utente
+    const handoverEntry = heldReservation
+      ? null
+      : await Queue.findOne({ telegram_id: userId, handover_session: { $ne: null } });
+    const handoverSession = handoverEntry ? await Session.findById(handoverEntry.handover_session) : null;
+    const pendingHandover = Boolean(handoverSession && handoverSession.status === 'active' && !handoverEntry.slot_reserved);
+    let handedOver = pendingHandover || Boolean(handoverSession && handoverSession.status !== 'active' && handoverEntry.slot_reserved);
+    
+    let reservedEntry = heldReservation
+      ? null
+      : await Queue.findOne({ telegram_id: userId, slot_reserved: true });
+    const targetStationId = heldReservation
+      ? heldReservation.station
+      : (reservedEntry ? reservedEntry.station : (pendingHandover ? handoverEntry.station : stationId));
+    
+    if (!targetStationId) {
+      throw localizedError('errors.session.noStation');
+    }
+    
+    const station = await Station.findById(targetStationId);
+    
+    if (!station) {
+      throw localizedError('errors.session.stationMissing');
     }
     
-    // Verifica se l'utente ha uno slot riservato in coda
-    const hasReserved = await queueHandler.hasReservedSlot(userId);
+    // Verifica i limiti di ricarica e l'attesa tra due ricariche
+    await fairnessHandler.checkChargePolicy(userId, station._id);
     
-    if (hasReserved) {
+    // Chi riceve il cavo conferma il passaggio in un solo passo: la sessione di chi lo lascia
+    // termina e lo slot viene riservato all'utente senza tornare disponibile per altri
+    if (pendingHandover) {
+      try {
+        await endSession(handoverSession.telegram_id, 'completed', null, userId);
+      } catch (error) {
+        // Sessione terminata nel frattempo da chi lascia il cavo: lo slot è già riservato o libero
+        logger.warn(`Handover session ${handoverSession._id} already ended: ${error.message}`);
+      }
+      
+      reservedEntry = await Queue.findOne({ telegram_id: userId, slot_reserved: true });
+      handedOver = Boolean(reservedEntry);
+    }
+    
+    // Occupa lo slot con aggiornamenti condizionati, così richieste contemporanee
+    // non possono assegnare più slot di quelli disponibili
+    let releaseSlot;
+    
+    if (heldReservation) {
+      // Lo slot è già stato sottratto a quelli disponibili al momento della presa
+      const claimed = await reservationHandler.claimHeldReservation(heldReservation._id);
+      
+      if (!claimed) {
+        throw localizedError('errors.session.reservationReleased');
+      }
+      
+      logger.info(`User ${userId} has a held reservation at ${station.name}`);
+      releaseSlot = () => reservationHandler.restoreHeldReservation(heldReservation._id);
+    } else if (reservedEntry) {
+      const claimed = await Station.findOneAndUpdate(
+        { _id: station._id, slots_available: { $gt: 0 } },
+        { $inc: { slots_available: -1 } }
+      );
+      
+      if (!claimed) {
+        throw localizedError('errors.session.allSlotsTaken');
+      }
+      
+      releaseSlot = () => Station.updateOne({ _id: station._id }, { $inc: { slots_available: 1 } });
+      
       // Se l'utente ha uno slot riservato, rimuovilo dalla coda
-      await queueHandler.removeFromQueue(userId);
+      const removed = await queueHandler.removeFromQueue(userId, { reason: 'started' });
+      
+      if (!removed) {
+        await releaseSlot();
+        throw localizedError('errors.session.turnExpired');
+      }
+      
       logger.info(`User ${userId} had reserved slot, removed from queue`);
     } else {
       // Se non ha slot riservato, verifica che ci siano slot disponibili
-      if (system.slots_available <= 0) {
-        throw new Error('Non ci sono slot disponibili al momento. Usa /prenota per metterti in coda.');
+      const claimed = await reservationHandler.claimFreeSlot(station);
+      
+      if (!claimed) {
+        throw localizedError('errors.session.noFreeSlot');
       }
+      
+      releaseSlot = () => Station.updateOne({ _id: station._id }, { $inc: { slots_available: 1 } });
     }
     
-    // Trova il prossimo slot disponibile
-    const usedSlots = await Session.find({ status: 'active' }).distinct('slot_number');
-    let slotNumber = 1;
+    // Calcola il tempo di fine (per le prenotazioni è la fine della finestra prenotata,
+    // garantendo almeno il tempo di conferma se lo slot si è liberato a finestra inoltrata)
+    const startTime = new Date();
+    const endTime = heldReservation
+      ? new Date(Math.max(
+          new Date(heldReservation.end_time).getTime(),
+          startTime.getTime() + settingsHandler.getSetting('hold_timeout') * 60000
+        ))
+      : new Date(startTime.getTime() + stationHandler.getMaxChargeTime(station) * 60000);
     
-    while (usedSlots.includes(slotNumber) && slotNumber <= system.total_slots) {
-      slotNumber++;
+    // Crea la sessione nel primo slot libero (con il passaggio del cavo, quello di chi lo ha lasciato);
+    // in caso di errore restituisci lo slot occupato
+    const preferredSlot = slotNumber && stationId && station._id.equals(stationId)
+      ? slotNumber
+      : (handedOver ? handoverSession.slot_number : null);
+    let session;
+    
+    try {
+      session = await createSessionInFreeSlot(station, {
+        telegram_id: userId,
+        username,
+        station: station._id,
+        start_time: startTime,
+        end_time: endTime,
+        planned_end_time: endTime,
+        status: 'active',
+        handover_from: handedOver ? handoverSession.telegram_id : null
+      }, preferredSlot);
+    } catch (error) {
+      await releaseSlot();
+      throw error;
     }
     
-    if (slotNumber > system.total_slots) {
-      throw new Error('Tutti gli slot sono occupati.');
+    // Aggiorna lo stato della stazione
+    if (heldReservation) {
+      await reservationHandler.fulfillReservation(heldReservation._id, session._id);
     }
+    await Station.updateOne({ _id: station._id }, { $push: { active_sessions: session._id } });
     
-    // Calcola il tempo di fine
-    const startTime = new Date();
-    const endTime = new Date(startTime.getTime() + config.MAX_CHARGE_TIME * 60000);
+    // Memorizza la stazione come ultima utilizzata
+    await stationHandler.setLastStation(userId, station._id);
     
-    // Crea una nuova sessione
-    const session = new Session({
+    await auditHandler.recordEvent({
+      action: 'session_start',
+      actorId: userId,
+      targetId: userId,
+      targetUsername: username,
+      station: station._id,
+      before: { slots_available: station.slots_available },
+      after: { session: session._id, slot_number: session.slot_number, end_time: endTime },
+      details: heldReservation ? 'prenotazione' : (handedOver ? 'passaggio' : (reservedEntry ? 'coda' : null))
+    });
+    
+    webhookHandler.dispatchEvent('session.started', {
+      station_id: station._id,
       telegram_id: userId,
       username,
+      slot_number: session.slot_number,
       start_time: startTime,
       end_time: endTime,
-      slot_number: slotNumber,
-      status: 'active'
+      source: heldReservation ? 'reservation' : (handedOver ? 'handover' : (reservedEntry ? 'queue' : 'free_slot'))
     });
     
-    await session.save();
-    
-    // Aggiorna lo stato del sistema
-    system.slots_available -= 1;
-    system.active_sessions.push(session._id);
-    await system.save();
-    
-    logger.info(`New charging session started for user ${username} (${userId}) in slot ${slotNumber}`);
+    logger.info(`New charging session started for user ${username} (${userId}) at ${station.name}, slot ${session.slot_number}`);
     
     return session;
   } catch (error) {
@@ -90,54 +203,148 @@ async function startSession(userId, username) {
 }
 
 /**
- * Termina una sessione di ricarica
+ * Crea una sessione attiva nel primo slot libero della stazione. L'indice unico
+ * su (stazione, slot) delle sessioni attive impedisce che due sessioni create
+ * contemporaneamente ricevano lo stesso slot: in quel caso si riprova con il successivo
+ * @param {Object} station - Oggetto stazione
+ * @param {Object} data - Dati della sessione (senza slot_number)
+ * @param {Number} preferredSlot - Slot da usare se libero (opzionale)
+ * @returns {Promise<Object>} - Oggetto sessione creata
+ */
+async function createSessionInFreeSlot(station, data, preferredSlot = null) {
+  for (let attempt = 0; attempt < station.total_slots; attempt++) {
+    const usedSlots = await Session.find({ station: station._id, status: 'active' }).distinct('slot_number');
+    let slotNumber = preferredSlot && preferredSlot <= station.total_slots && !usedSlots.includes(preferredSlot)
+      ? preferredSlot
+      : 1;
+    
+    while (usedSlots.includes(slotNumber) && slotNumber <= station.total_slots) {
+      slotNumber++;
+    }
+    
+    if (slotNumber > station.total_slots) {
+      break;
+    }
+    
+    try {
+      const session = new Session({ ...data, slot_number: slotNumber });
+      await session.save();
+      return session;
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      
+      if (error.keyPattern && error.keyPattern.telegram_id) {
+        throw localizedError('errors.session.alreadyActive');
+      }
+      
+      logger.warn(`Slot ${slotNumber} at station ${station._id} taken concurrently, retrying`);
+    }
+  }
+  
+  throw localizedError('errors.session.allSlotsTaken');
+}
+
+/**
+ * Termina una sessione di ricarica. Se l'utente ha annunciato il passaggio del cavo (/lascio)
+ * e la sessione è completata, lo slot viene riservato a chi lo riceve prima di tornare disponibile.
+ * Il prossimo utente in coda va avvisato dal chiamante con queueHandler.notifyNextInQueue
  * @param {Number} userId - ID Telegram dell'utente
  * @param {String} status - Stato finale della sessione ('completed', 'timeout', 'admin_terminated')
- * @returns {Promise<Object>} - Oggetto sessione aggiornata
+ * @param {Object} energy - Energia indicata dall'utente (risultato di billingHandler.parseEnergy, opzionale)
+ * @param {Number} actorId - Chi termina la sessione, per il registro (default l'utente stesso se completata, altrimenti il sistema)
+ * @returns {Promise<Object>} - { session, durationMinutes, handover }: handover è la voce in coda
+ *                              di chi riceve lo slot, null se non c'è un passaggio del cavo
  */
-async function endSession(userId, status = 'completed') {
+async function endSession(userId, status = 'completed', energy = null, actorId = status === 'completed' ? userId : null) {
   try {
-    // Trova la sessione attiva dell'utente
-    const session = await Session.findOne({
-      telegram_id: userId,
-      status: 'active'
-    });
+    // Chiudi la sessione attiva dell'utente in un'unica operazione,
+    // così una doppia conferma non libera lo slot due volte
+    const endTime = new Date();
+    const session = await Session.findOneAndUpdate(
+      { telegram_id: userId, status: 'active' },
+      { $set: { status, end_time: endTime, ...(energy || {}) } },
+      { new: true }
+    );
     
     if (!session) {
-      throw new Error('Non hai nessuna sessione di ricarica attiva.');
+      throw localizedError('errors.session.noneActive');
     }
     
     // Calcola la durata della sessione in minuti
     const startTime = new Date(session.start_time);
-    const endTime = new Date();
     const durationMinutes = Math.round((endTime - startTime) / 60000);
     
-    // Aggiorna la sessione
-    session.status = status;
-    session.end_time = endTime;
-    await session.save();
+    // Calcola il costo con le tariffe in vigore
+    session.cost = billingHandler.computeCost(durationMinutes, session.energy_kwh);
+    if (session.cost !== null) {
+      await Session.updateOne({ _id: session._id }, { $set: { cost: session.cost } });
+    }
+    
+    // Con il passaggio del cavo lo slot viene riservato a chi lo riceve prima di essere
+    // restituito, così nessun altro può occuparlo nel frattempo
+    const handover = status === 'completed'
+      ? await Queue.findOneAndUpdate(
+          { handover_session: session._id, slot_reserved: false },
+          { $set: { slot_reserved: true, notified: false, notification_time: null } },
+          { new: true }
+        )
+      : null;
+    
+    if (!handover) {
+      await Queue.updateMany(
+        { handover_session: session._id },
+        { $set: { handover_session: null, handover_time: null } }
+      );
+    }
     
-    // Aggiorna lo stato del sistema
-    const system = await System.findOne({ name: 'system' });
+    // Aggiorna lo stato della stazione
+    const station = await Station.findOneAndUpdate(
+      { _id: session.station },
+      {
+        $inc: { slots_available: 1, total_charges_completed: 1 },
+        $pull: { active_sessions: session._id }
+      },
+      { new: true }
+    );
     
-    if (system) {
-      system.slots_available += 1;
-      system.active_sessions = system.active_sessions.filter(id => !id.equals(session._id));
-      system.total_charges_completed += 1;
-      await system.save();
+    if (station) {
       
       // Aggiorna le statistiche dell'utente
       await userHandler.updateUserStats(userId, durationMinutes);
-      
-      // Notifica il prossimo utente in coda
-      await queueHandler.notifyNextInQueue();
     }
     
+    await auditHandler.recordEvent({
+      action: 'session_end',
+      actorId,
+      targetId: userId,
+      targetUsername: session.username,
+      station: session.station,
+      before: { status: 'active', slot_number: session.slot_number },
+      after: { status, duration_minutes: durationMinutes, energy_kwh: session.energy_kwh, cost: session.cost },
+      details: handover ? `passaggio a @${handover.username}` : null
+    });
+    
+    webhookHandler.dispatchEvent('session.ended', {
+      station_id: session.station,
+      telegram_id: userId,
+      username: session.username,
+      slot_number: session.slot_number,
+      status,
+      start_time: session.start_time,
+      end_time: endTime,
+      duration_minutes: durationMinutes,
+      energy_kwh: session.energy_kwh,
+      slots_available: station ? station.slots_available : null
+    });
+    
     logger.info(`Charging session ended for user ${session.username} (${userId}) - Duration: ${durationMinutes} minutes, Status: ${status}`);
     
     return {
       session,
-      durationMinutes
+      durationMinutes,
+      handover
     };
   } catch (error) {
     logger.error(`Error ending session for user ${userId}:`, error);
@@ -147,17 +354,208 @@ async function endSession(userId, status = 'completed') {
 
 /**
  * Ottiene tutte le sessioni attive
+ * @param {String} stationId - ID della stazione (opzionale, tutte le stazioni se omesso)
  * @returns {Promise<Array>} - Array di sessioni attive
  */
-async function getActiveSessions() {
+async function getActiveSessions(stationId = null) {
   try {
-    return await Session.find({ status: 'active' }).sort({ start_time: 1 });
+    const filter = { status: 'active' };
+    
+    if (stationId) {
+      filter.station = stationId;
+    }
+    
+    return await Session.find(filter).sort({ start_time: 1 });
   } catch (error) {
     logger.error('Error getting active sessions:', error);
     throw error;
   }
 }
 
+/**
+ * Estende la sessione attiva di un utente, se nessuno è in attesa alla stazione
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {Number} minutes - Minuti da aggiungere
+ * @returns {Promise<Object>} - { session, addedMinutes, capped }
+ */
+async function extendSession(userId, minutes = settingsHandler.getSetting('extension_time')) {
+  try {
+    if (!Number.isInteger(minutes) || minutes < 1) {
+      throw localizedError('errors.session.minutesTooLow');
+    }
+    
+    const session = await Session.findOne({
+      telegram_id: userId,
+      status: 'active'
+    });
+    
+    if (!session) {
+      throw localizedError('errors.session.noneActive');
+    }
+    
+    const station = await Station.findById(session.station);
+    
+    if (!station) {
+      throw localizedError('errors.session.stationMissing');
+    }
+    
+    // Con utenti in coda lo slot deve liberarsi alla scadenza prevista
+    const queued = await Queue.countDocuments({ station: station._id });
+    
+    if (queued > 0) {
+      throw localizedError('errors.session.extendQueued', { count: queued, station: station.name });
+    }
+    
+    // L'estensione parte dalla scadenza attuale, o da adesso se la sessione è già scaduta
+    const now = new Date();
+    const currentEnd = new Date(Math.max(new Date(session.end_time).getTime(), now.getTime()));
+    const maxSessionTime = settingsHandler.getSetting('max_session_time');
+    const maxEnd = new Date(new Date(session.start_time).getTime() + maxSessionTime * 60000);
+    
+    if (currentEnd >= maxEnd) {
+      throw localizedError('errors.session.maxDurationReached', { minutes: maxSessionTime });
+    }
+    
+    const requestedEnd = new Date(currentEnd.getTime() + minutes * 60000);
+    const newEnd = requestedEnd > maxEnd ? maxEnd : requestedEnd;
+    
+    // Lo slot deve restare libero per le prenotazioni che iniziano durante l'estensione
+    const load = await reservationHandler.getWindowLoad(station, currentEnd, newEnd);
+    
+    if (load.reservations + load.sessions >= station.total_slots) {
+      throw localizedError('errors.session.extendReserved', { station: station.name });
+    }
+    
+    // Aggiornamento condizionato: la sessione potrebbe essere stata terminata nel frattempo
+    const extended = await Session.findOneAndUpdate(
+      { _id: session._id, status: 'active' },
+      { $set: { end_time: newEnd, planned_end_time: newEnd, reminded: false, timeout_notified: false } },
+      { new: true }
+    );
+    
+    if (!extended) {
+      throw localizedError('errors.session.noneActive');
+    }
+    
+    const addedMinutes = Math.round((newEnd - currentEnd) / 60000);
+    
+    logger.info(`Session ${session._id} of user ${userId} extended by ${addedMinutes} minutes`);
+    
+    return {
+      session: extended,
+      addedMinutes,
+      capped: newEnd < requestedEnd
+    };
+  } catch (error) {
+    logger.error(`Error extending session for user ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Annuncia che l'utente scollegherà il veicolo tra alcuni minuti e passa il cavo al primo utente
+ * in coda alla stazione, che va avvisato in anticipo. Al termine della sessione lo slot viene
+ * riservato a lui senza tornare libero; un nuovo annuncio sostituisce il precedente
+ * @param {Number} userId - ID Telegram dell'utente in ricarica
+ * @param {Number} minutes - Minuti previsti prima di scollegare il veicolo (null per la scadenza della sessione)
+ * @returns {Promise<Object>} - { session, entry, handoverTime } con la voce in coda di chi riceve il cavo
+ */
+async function announceHandover(userId, minutes = null) {
+  try {
+    if (minutes !== null && (!Number.isInteger(minutes) || minutes < 0)) {
+      throw localizedError('errors.session.negativeMinutes');
+    }
+    
+    const session = await Session.findOne({
+      telegram_id: userId,
+      status: 'active'
+    });
+    
+    if (!session) {
+      throw localizedError('errors.session.noneActive');
+    }
+    
+    const now = new Date();
+    const handoverTime = minutes === null
+      ? new Date(Math.max(new Date(session.end_time).getTime(), now.getTime()))
+      : new Date(now.getTime() + minutes * 60000);
+    
+    await Queue.updateMany(
+      { handover_session: session._id },
+      { $set: { handover_session: null, handover_time: null } }
+    );
+    
+    // Il cavo passa al primo in coda che non ha già uno slot riservato né un altro passaggio in arrivo
+    const entry = await Queue.findOneAndUpdate(
+      { station: session.station, slot_reserved: false, handover_session: null },
+      { $set: { handover_session: session._id, handover_time: handoverTime } },
+      { sort: { position: 1 }, new: true }
+    );
+    
+    if (!entry) {
+      throw localizedError('errors.session.noHandoverTaker');
+    }
+    
+    await auditHandler.recordEvent({
+      action: 'handover_announce',
+      actorId: userId,
+      targetId: entry.telegram_id,
+      targetUsername: entry.username,
+      station: session.station,
+      after: { session: session._id, slot_number: session.slot_number, handover_time: handoverTime }
+    });
+    
+    logger.info(`User ${userId} announced handover of slot ${session.slot_number} to ${entry.username} (${entry.telegram_id}) at ${handoverTime.toISOString()}`);
+    
+    return { session, entry, handoverTime };
+  } catch (error) {
+    logger.error(`Error announcing handover for user ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Annulla il passaggio del cavo annunciato dall'utente
+ * @param {Number} userId - ID Telegram dell'utente in ricarica
+ * @returns {Promise<Object>} - { session, entry } con la voce in coda di chi doveva ricevere il cavo
+ */
+async function cancelHandover(userId) {
+  try {
+    const session = await Session.findOne({
+      telegram_id: userId,
+      status: 'active'
+    });
+    
+    if (!session) {
+      throw localizedError('errors.session.noneActive');
+    }
+    
+    const entry = await Queue.findOneAndUpdate(
+      { handover_session: session._id, slot_reserved: false },
+      { $set: { handover_session: null, handover_time: null } }
+    );
+    
+    if (!entry) {
+      throw localizedError('errors.session.noHandover');
+    }
+    
+    await auditHandler.recordEvent({
+      action: 'handover_cancel',
+      actorId: userId,
+      targetId: entry.telegram_id,
+      targetUsername: entry.username,
+      station: session.station
+    });
+    
+    logger.info(`User ${userId} cancelled handover to ${entry.username} (${entry.telegram_id})`);
+    
+    return { session, entry };
+  } catch (error) {
+    logger.error(`Error cancelling handover for user ${userId}:`, error);
+    throw error;
+  }
+}
+
 /**
  * Ottiene la sessione attiva di un utente
  * @param {Number} userId - ID Telegram dell'utente
@@ -182,16 +580,28 @@ async function getUserActiveSession(userId) {
 async function getExpiringSessions() {
   try {
     const now = new Date();
-    const reminderThreshold = new Date(now.getTime() + config.REMINDER_TIME * 60000);
     
-    return await Session.find({
+    // Il tempo di promemoria è quello scelto dall'utente con /notifiche o, in mancanza, quello della stazione
+    const sessions = await Session.find({
       status: 'active',
       reminded: false,
-      end_time: { 
-        $gt: now, 
-        $lte: reminderThreshold 
+      end_time: { $gt: now }
+    }).populate('station');
+    
+    const expiring = [];
+    
+    for (const session of sessions) {
+      const preferences = await notificationHandler.getPreferences(session.telegram_id);
+      const reminderTime = preferences.reminder_time !== null
+        ? preferences.reminder_time
+        : stationHandler.getReminderTime(session.station);
+      
+      if (reminderTime > 0 && new Date(session.end_time) <= new Date(now.getTime() + reminderTime * 60000)) {
+        expiring.push(session);
       }
-    });
+    }
+    
+    return expiring;
   } catch (error) {
     logger.error('Error getting expiring sessions:', error);
     throw error;
@@ -259,18 +669,157 @@ async function markSessionTimeoutNotified(sessionId) {
   }
 }
 
+/**
+ * Ottiene le sessioni attive scadute da più di un certo ritardo e non ancora sanzionate
+ * @param {Number} overdueMinutes - Minuti di ritardo oltre la scadenza
+ * @returns {Promise<Array>} - Array di sessioni
+ */
+async function getOverstayedSessions(overdueMinutes) {
+  try {
+    return await Session.find({
+      status: 'active',
+      overstay_strike: { $ne: true },
+      end_time: { $lt: new Date(Date.now() - overdueMinutes * 60000) }
+    });
+  } catch (error) {
+    logger.error('Error getting overstayed sessions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Marca una sessione come sanzionata per il ritardo, una sola volta
+ * @param {String} sessionId - ID della sessione
+ * @returns {Promise<Object|null>} - Sessione aggiornata o null se già sanzionata o terminata
+ */
+async function markSessionOverstayStrike(sessionId) {
+  try {
+    return await Session.findOneAndUpdate(
+      { _id: sessionId, status: 'active', overstay_strike: { $ne: true } },
+      { $set: { overstay_strike: true } },
+      { new: true }
+    );
+  } catch (error) {
+    logger.error(`Error marking session ${sessionId} overstay strike:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Gestisce l'inizio di una ricarica rilevato da una colonnina: conferma la sessione
+ * già avviata sullo slot oppure la avvia per l'utente della tessera RFID
+ * @param {String} stationId - ID della stazione
+ * @param {Number} slotNumber - Slot su cui è iniziata la ricarica
+ * @param {Object} user - Utente della tessera (null se la tessera è sconosciuta o assente)
+ * @returns {Promise<Object>} - { session, started }: session null se la ricarica non è attribuibile,
+ *                              started true se la sessione è stata avviata ora
+ */
+async function confirmChargerStart(stationId, slotNumber, user = null) {
+  try {
+    const session = await Session.findOneAndUpdate(
+      { station: stationId, slot_number: slotNumber, status: 'active' },
+      { $set: { charger_mismatch: false } },
+      { new: true }
+    );
+    
+    if (session) {
+      logger.info(`Charger confirmed session ${session._id} of ${session.username} on slot ${slotNumber}`);
+      return { session, started: false };
+    }
+    
+    if (!user) {
+      return { session: null, started: false };
+    }
+    
+    const started = await startSession(user.telegram_id, user.username, stationId, { slotNumber });
+    
+    logger.info(`Session ${started._id} of ${user.username} started by the charger on slot ${started.slot_number}`);
+    
+    return { session: started, started: true };
+  } catch (error) {
+    logger.error(`Error confirming charger start on slot ${slotNumber} of station ${stationId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Termina la sessione attiva su uno slot quando la colonnina rileva la fine della ricarica
+ * @param {String} stationId - ID della stazione
+ * @param {Number} slotNumber - Slot su cui è terminata la ricarica
+ * @param {Object} energy - Energia misurata dalla colonnina ({ energy_kwh, meter_start, meter_end }, opzionale)
+ * @returns {Promise<Object|null>} - Risultato di endSession o null se sullo slot non c'è una sessione attiva
+ */
+async function endChargerSession(stationId, slotNumber, energy = null) {
+  try {
+    const session = await Session.findOne({ station: stationId, slot_number: slotNumber, status: 'active' });
+    
+    if (!session) {
+      return null;
+    }
+    
+    return await endSession(session.telegram_id, 'completed', energy, null);
+  } catch (error) {
+    logger.error(`Error ending charger session on slot ${slotNumber} of station ${stationId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene le sessioni attive da più di un certo tempo su slot in cui la colonnina non rileva
+ * nessun veicolo, non ancora segnalate
+ * @param {Array} idleSlots - Array di { station, slot_number } degli slot senza veicolo
+ * @param {Number} graceMinutes - Minuti dall'inizio della sessione
+ * @returns {Promise<Array>} - Array di sessioni
+ */
+async function getUnconfirmedSessions(idleSlots, graceMinutes) {
+  try {
+    if (idleSlots.length === 0) {
+      return [];
+    }
+    
+    return await Session.find({
+      status: 'active',
+      charger_mismatch: { $ne: true },
+      start_time: { $lte: new Date(Date.now() - graceMinutes * 60000) },
+      $or: idleSlots.map(slot => ({ station: slot.station, slot_number: slot.slot_number }))
+    });
+  } catch (error) {
+    logger.error('Error getting unconfirmed sessions:', error);
+    throw error;
+  }
+}
+
+/**
+ * Marca una sessione come segnalata perché la colonnina non rileva il veicolo, una sola volta
+ * @param {String} sessionId - ID della sessione
+ * @returns {Promise<Object|null>} - Sessione aggiornata o null se già segnalata o terminata
+ */
+async function markSessionChargerMismatch(sessionId) {
+  try {
+    return await Session.findOneAndUpdate(
+      { _id: sessionId, status: 'active', charger_mismatch: { $ne: true } },
+      { $set: { charger_mismatch: true } },
+      { new: true }
+    );
+  } catch (error) {
+    logger.error(`Error marking session ${sessionId} charger mismatch:`, error);
+    throw error;
+  }
+}
+
 /**
  * Termina una sessione forzatamente (comando admin)
  * @param {String} username - Username Telegram dell'utente
+ * @param {Number} adminId - ID Telegram dell'amministratore
  * @returns {Promise<Object|null>} - Oggetto sessione terminata o null se non trovata
  */
-async function adminTerminateSession(username) {
+async function adminTerminateSession(username, adminId = null) {
   try {
     // Trova l'utente tramite username
     const user = await User.findOne({ username: username.replace('@', '') });
     
     if (!user) {
-      throw new Error(`Utente @${username} non trovato.`);
+      throw localizedError('errors.userNotFound', { username: username.replace('@', '') });
     }
     
     // Termina la sessione attiva dell'utente
@@ -280,10 +829,10 @@ async function adminTerminateSession(username) {
     });
     
     if (!session) {
-      throw new Error(`Utente @${username} non ha sessioni attive.`);
+      throw localizedError('errors.session.userNoneActive', { username: username.replace('@', '') });
     }
     
-    return await endSession(user.telegram_id, 'admin_terminated');
+    return await endSession(user.telegram_id, 'admin_terminated', null, adminId);
   } catch (error) {
     logger.error(`Error admin terminating session for ${username}:`, error);
     throw error;
@@ -293,11 +842,20 @@ async function adminTerminateSession(username) {
 module.exports = {
   startSession,
   endSession,
+  extendSession,
+  announceHandover,
+  cancelHandover,
   getActiveSessions,
   getUserActiveSession,
   getExpiringSessions,
   getExpiredSessions,
   markSessionReminded,
   markSessionTimeoutNotified,
+  getOverstayedSessions,
+  markSessionOverstayStrike,
+  confirmChargerStart,
+  endChargerSession,
+  getUnconfirmedSessions,
+  markSessionChargerMismatch,
   adminTerminateSession
 };
@@ -0,0 +1,281 @@
+const Setting = require('../models/setting');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { localizedError } = require('../utils/i18n');
+
+// Parametri modificabili a runtime: il valore di default viene dalle variabili d'ambiente.
+// I tempi sono in minuti interi, le tariffe in euro con decimali; 0 disattiva i limiti di equità,
+// i richiami per ritardo e la sospensione automatica
+const SETTINGS = {
+  charge_time: {
+    description: 'Tempo massimo di ricarica',
+    default: () => config.MAX_CHARGE_TIME,
+    min: 1,
+    max: 120
+  },
+  reminder_time: {
+    description: 'Preavviso del promemoria prima della scadenza',
+    default: () => config.REMINDER_TIME,
+    min: 1,
+    max: 30
+  },
+  queue_timeout: {
+    description: 'Tempo per confermare l\'inizio dopo la notifica del turno',
+    default: () => config.QUEUE_TIMEOUT,
+    min: 1,
+    max: 30
+  },
+  hold_timeout: {
+    description: 'Tempo per confermare l\'inizio di una prenotazione',
+    default: () => config.HOLD_TIMEOUT,
+    min: 1,
+    max: 30
+  },
+  overdue_time: {
+    description: 'Ritardo dopo la scadenza prima dei solleciti',
+    default: () => config.OVERDUE_TIME,
+    min: 1,
+    max: 60
+  },
+  extension_time: {
+    description: 'Estensione predefinita di /estendi',
+    default: () => config.EXTENSION_TIME,
+    min: 1,
+    max: 60
+  },
+  max_session_time: {
+    description: 'Durata massima di una ricarica, estensioni comprese',
+    default: () => config.MAX_SESSION_TIME,
+    min: 10,
+    max: 240
+  },
+  price_per_kwh: {
+    description: 'Tariffa per kWh erogato',
+    default: () => config.PRICE_PER_KWH,
+    min: 0,
+    max: 5,
+    unit: '€',
+    decimal: true
+  },
+  price_per_minute: {
+    description: 'Tariffa per minuto di ricarica',
+    default: () => config.PRICE_PER_MINUTE,
+    min: 0,
+    max: 1,
+    unit: '€',
+    decimal: true
+  },
+  max_daily_sessions: {
+    description: 'Ricariche massime al giorno per utente (0 = nessun limite)',
+    default: () => config.MAX_DAILY_SESSIONS,
+    min: 0,
+    max: 20,
+    unit: 'ricariche'
+  },
+  max_weekly_minutes: {
+    description: 'Minuti di ricarica massimi a settimana per utente (0 = nessun limite)',
+    default: () => config.MAX_WEEKLY_MINUTES,
+    min: 0,
+    max: 5000
+  },
+  cooldown_time: {
+    description: 'Attesa minima tra due ricariche se altri sono in coda (0 = nessuna)',
+    default: () => config.COOLDOWN_TIME,
+    min: 0,
+    max: 240
+  },
+  critical_advance: {
+    description: 'Anticipo in coda per batteria critica rispetto alle richieste normali',
+    default: () => config.CRITICAL_ADVANCE,
+    min: 0,
+    max: 240
+  },
+  accessibility_advance: {
+    description: 'Anticipo in coda per accessibilità rispetto alle richieste normali',
+    default: () => config.ACCESSIBILITY_ADVANCE,
+    min: 0,
+    max: 240
+  },
+  strike_overdue_time: {
+    description: 'Ritardo dopo la scadenza che comporta un richiamo (0 = nessun richiamo)',
+    default: () => config.STRIKE_OVERDUE_TIME,
+    min: 0,
+    max: 240
+  },
+  strikes_to_suspend: {
+    description: 'Richiami che comportano la sospensione automatica (0 = nessuna sospensione)',
+    default: () => config.STRIKES_TO_SUSPEND,
+    min: 0,
+    max: 10,
+    unit: 'richiami'
+  },
+  suspension_days: {
+    description: 'Durata della sospensione automatica',
+    default: () => config.SUSPENSION_DAYS,
+    min: 1,
+    max: 90,
+    unit: 'giorni'
+  },
+  strike_window_days: {
+    description: 'Periodo in cui un richiamo resta valido',
+    default: () => config.STRIKE_WINDOW_DAYS,
+    min: 1,
+    max: 365,
+    unit: 'giorni'
+  },
+  charger_grace_time: {
+    description: 'Attesa prima di segnalare una sessione senza veicolo o uno slot occupato senza sessione',
+    default: () => config.CHARGER_GRACE_TIME,
+    min: 1,
+    max: 60
+  }
+};
+
+// Valori salvati nel database, aggiornati da loadSettings e setSetting
+let overrides = {};
+
+/**
+ * Carica dal database i valori che sovrascrivono la configurazione
+ * @returns {Promise<Object>} - Valori correnti di tutti i parametri
+ */
+async function loadSettings() {
+  try {
+    const settings = await Setting.find({ key: { $in: Object.keys(SETTINGS) } });
+
+    overrides = {};
+    for (const setting of settings) {
+      overrides[setting.key] = setting.value;
+    }
+
+    return getSettingValues();
+  } catch (error) {
+    logger.error(`Error loading settings: ${error.message}`);
+    logger.error(error.stack);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene il valore corrente di un parametro
+ * @param {String} key - Nome del parametro
+ * @returns {Number} - Valore salvato o, in mancanza, quello della configurazione
+ */
+function getSetting(key) {
+  const definition = SETTINGS[key];
+
+  if (!definition) {
+    throw localizedError('errors.settings.unknown', { key });
+  }
+
+  return overrides[key] !== undefined ? overrides[key] : definition.default();
+}
+
+/**
+ * Ottiene i valori correnti di tutti i parametri
+ * @returns {Object} - Mappa parametro → valore
+ */
+function getSettingValues() {
+  const values = {};
+
+  for (const key of Object.keys(SETTINGS)) {
+    values[key] = getSetting(key);
+  }
+
+  return values;
+}
+
+/**
+ * Ottiene l'elenco dei parametri con valori, limiti e origine
+ * @returns {Array} - Array di { key, description, value, default, min, max, unit, overridden }
+ */
+function getSettingsList() {
+  return Object.entries(SETTINGS).map(([key, definition]) => ({
+    key,
+    description: definition.description,
+    value: getSetting(key),
+    default: definition.default(),
+    min: definition.min,
+    max: definition.max,
+    unit: getSettingUnit(key),
+    overridden: overrides[key] !== undefined
+  }));
+}
+
+/**
+ * Ottiene l'unità di misura di un parametro
+ * @param {String} key - Nome del parametro
+ * @returns {String} - Unità di misura (minuti, giorni, ricariche, richiami o €)
+ */
+function getSettingUnit(key) {
+  return (SETTINGS[key] && SETTINGS[key].unit) || 'minuti';
+}
+
+/**
+ * Imposta un parametro, con validazione dei limiti e della coerenza con gli altri valori
+ * @param {String} key - Nome del parametro
+ * @param {String|Number} rawValue - Nuovo valore, o "default" per ripristinare la configurazione
+ * @param {Number} userId - ID Telegram dell'amministratore
+ * @returns {Promise<Number>} - Valore in vigore dopo la modifica
+ */
+async function setSetting(key, rawValue, userId = null) {
+  try {
+    const definition = SETTINGS[key];
+
+    if (!definition) {
+      throw localizedError('errors.settings.unknownWithList', { key, settings: Object.keys(SETTINGS).join(', ') });
+    }
+
+    if (String(rawValue).trim().toLowerCase() === 'default') {
+      await Setting.deleteOne({ key });
+      delete overrides[key];
+
+      logger.info(`Setting ${key} reset to default (${getSetting(key)}) by user ${userId}`);
+      return getSetting(key);
+    }
+
+    const value = Number(String(rawValue).replace(',', '.'));
+    const validNumber = definition.decimal ? Number.isFinite(value) : Number.isInteger(value);
+
+    if (!validNumber || value < definition.min || value > definition.max) {
+      throw localizedError(definition.decimal ? 'errors.settings.outOfRange' : 'errors.settings.outOfRangeInteger', {
+        key,
+        min: definition.min,
+        max: definition.max,
+        unit: getSettingUnit(key)
+      });
+    }
+
+    // Verifica la coerenza con gli altri tempi
+    const values = { ...getSettingValues(), [key]: value };
+
+    if (values.reminder_time >= values.charge_time) {
+      throw localizedError('errors.settings.reminderAfterEnd');
+    }
+
+    if (values.max_session_time < values.charge_time) {
+      throw localizedError('errors.settings.maxBelowCharge');
+    }
+
+    await Setting.findOneAndUpdate(
+      { key },
+      { $set: { value, updated_by: userId } },
+      { upsert: true }
+    );
+    overrides[key] = value;
+
+    logger.info(`Setting ${key} set to ${value} by user ${userId}`);
+    return value;
+  } catch (error) {
+    logger.error(`Error setting ${key}: ${error.message}`);
+    throw error;
+  }
+}
+
+module.exports = {
+  loadSettings,
+  getSetting,
+  getSettingValues,
+  getSettingsList,
+  getSettingUnit,
+  setSetting
+};
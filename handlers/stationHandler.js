@@ -0,0 +1,364 @@
+const mongoose = require('mongoose');
+const Station = require('../models/station');
+const System = require('../models/system');
+const Session = require('../models/session');
+const Queue = require('../models/queue');
+const User = require('../models/user');
+const settingsHandler = require('./settingsHandler');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { localizedError } = require('../utils/i18n');
+
+// Promise della migrazione iniziale, condivisa tra le chiamate concorrenti
+let setupPromise = null;
+
+/**
+ * Crea la stazione di default se non esiste ancora nessuna stazione,
+ * migrando i dati del vecchio documento System e le code/sessioni esistenti
+ * @returns {Promise<void>}
+ */
+async function ensureStations() {
+  if (!setupPromise) {
+    setupPromise = migrateLegacySystem().catch(error => {
+      setupPromise = null;
+      throw error;
+    });
+  }
+
+  return setupPromise;
+}
+
+/**
+ * Migra il documento System legacy in una stazione di default
+ * @returns {Promise<void>}
+ */
+async function migrateLegacySystem() {
+  const count = await Station.countDocuments();
+
+  if (count > 0) {
+    return;
+  }
+
+  logger.info('No stations found, creating default station');
+
+  const legacySystem = await System.findOne({ name: 'system' });
+
+  const station = new Station({
+    name: 'Principale',
+    total_slots: legacySystem ? legacySystem.total_slots : config.MAX_SLOTS,
+    slots_available: legacySystem ? legacySystem.slots_available : config.MAX_SLOTS,
+    active_sessions: legacySystem ? legacySystem.active_sessions : [],
+    queue_length: legacySystem ? legacySystem.queue_length : 0,
+    total_charges_completed: legacySystem ? legacySystem.total_charges_completed : 0
+  });
+
+  await station.save();
+
+  // Assegna alla stazione di default le code e le sessioni create prima delle stazioni
+  const sessions = await Session.updateMany(
+    { station: { $exists: false } },
+    { $set: { station: station._id } }
+  );
+  const queue = await Queue.updateMany(
+    { station: { $exists: false } },
+    { $set: { station: station._id } }
+  );
+
+  logger.info(`Default station ${station.name} created (${sessions.modifiedCount} sessions, ${queue.modifiedCount} queue entries migrated)`);
+}
+
+/**
+ * Esegue un'operazione in una transazione MongoDB che prima incrementa la revisione della stazione.
+ * Due transazioni sulla stessa stazione scrivono lo stesso documento: una delle due va in conflitto
+ * e viene ripetuta dall'inizio, così le letture di ciascuna (es. le posizioni in coda) restano valide
+ * anche con più processi. Le transazioni richiedono MongoDB in replica set
+ * @param {String} stationId - ID della stazione
+ * @param {Function} task - Funzione asincrona (station, dbSession) da eseguire nella transazione
+ * @returns {Promise<*>} - Risultato dell'operazione
+ */
+async function withStationTransaction(stationId, task) {
+  return mongoose.connection.transaction(async dbSession => {
+    const station = await Station.findOneAndUpdate(
+      { _id: stationId },
+      { $inc: { revision: 1 } },
+      { new: true, session: dbSession }
+    );
+
+    if (!station) {
+      throw localizedError('errors.stationNotFound');
+    }
+
+    return task(station, dbSession);
+  });
+}
+
+/**
+ * Ottiene l'elenco delle stazioni in ordine di creazione
+ * @returns {Promise<Array>} - Array di stazioni
+ */
+async function getStations() {
+  try {
+    await ensureStations();
+    return await Station.find().sort({ createdAt: 1 });
+  } catch (error) {
+    logger.error(`Error getting stations: ${error.message}`);
+    logger.error(error.stack);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene una stazione tramite ID
+ * @param {String} stationId - ID della stazione
+ * @returns {Promise<Object|null>} - Oggetto stazione o null se non trovata
+ */
+async function getStation(stationId) {
+  try {
+    await ensureStations();
+    return await Station.findById(stationId);
+  } catch (error) {
+    logger.error(`Error getting station ${stationId}: ${error.message}`);
+    logger.error(error.stack);
+    throw error;
+  }
+}
+
+/**
+ * Cerca una stazione tramite numero in elenco o nome
+ * @param {String} query - Numero (1, 2, ...) o nome (anche parziale) della stazione
+ * @returns {Promise<Object|null>} - Oggetto stazione o null se non trovata
+ */
+async function findStation(query) {
+  try {
+    const stations = await getStations();
+    const text = String(query).trim().toLowerCase();
+
+    if (!text) {
+      return null;
+    }
+
+    // Numero della stazione nell'elenco
+    if (/^\d+$/.test(text)) {
+      return stations[parseInt(text) - 1] || null;
+    }
+
+    // Nome esatto, altrimenti prefisso del nome
+    const exact = stations.find(station => station.name.toLowerCase() === text);
+    if (exact) {
+      return exact;
+    }
+
+    const partial = stations.filter(station => station.name.toLowerCase().startsWith(text));
+    return partial.length === 1 ? partial[0] : null;
+  } catch (error) {
+    logger.error(`Error finding station "${query}": ${error.message}`);
+    logger.error(error.stack);
+    throw error;
+  }
+}
+
+/**
+ * Determina la stazione da usare per un comando dell'utente
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {String} query - Stazione indicata nel comando (opzionale)
+ * @returns {Promise<Object|null>} - Stazione scelta o null se l'utente deve sceglierla
+ */
+async function resolveStation(userId, query) {
+  try {
+    if (query && query.trim()) {
+      const station = await findStation(query);
+
+      if (!station) {
+        throw localizedError('errors.station.notFound', { station: query.trim() });
+      }
+
+      return station;
+    }
+
+    const stations = await getStations();
+
+    if (stations.length === 1) {
+      return stations[0];
+    }
+
+    // Usa l'ultima stazione utilizzata dall'utente
+    const user = await User.findOne({ telegram_id: userId });
+
+    if (user && user.last_station) {
+      const lastStation = stations.find(station => station._id.equals(user.last_station));
+      if (lastStation) {
+        return lastStation;
+      }
+    }
+
+    return null;
+  } catch (error) {
+    logger.error(`Error resolving station for user ${userId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Memorizza l'ultima stazione utilizzata dall'utente
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {String} stationId - ID della stazione
+ * @returns {Promise<void>}
+ */
+async function setLastStation(userId, stationId) {
+  try {
+    await User.updateOne(
+      { telegram_id: userId },
+      { $set: { last_station: stationId } }
+    );
+  } catch (error) {
+    logger.error(`Error setting last station for user ${userId}: ${error.message}`);
+    logger.error(error.stack);
+    throw error;
+  }
+}
+
+/**
+ * Crea una nuova stazione
+ * @param {Object} data - Dati della stazione (name, address, total_slots)
+ * @returns {Promise<Object>} - Oggetto stazione creata
+ */
+async function createStation({ name, address = '', total_slots = config.MAX_SLOTS }) {
+  try {
+    await ensureStations();
+
+    if (!name || !name.trim()) {
+      throw localizedError('errors.station.nameRequired');
+    }
+
+    if (/^\d+$/.test(name.trim())) {
+      throw localizedError('errors.station.nameNumeric');
+    }
+
+    if (!Number.isInteger(total_slots) || total_slots < 1) {
+      throw localizedError('errors.station.slotsTooLow');
+    }
+
+    const existing = await Station.findOne({
+      name: new RegExp(`^${escapeRegExp(name.trim())}$`, 'i')
+    });
+
+    if (existing) {
+      throw localizedError('errors.station.duplicate', { station: existing.name });
+    }
+
+    const station = new Station({
+      name: name.trim(),
+      address: address.trim(),
+      total_slots,
+      slots_available: total_slots
+    });
+
+    await station.save();
+    logger.info(`Station ${station.name} created with ${total_slots} slots`);
+
+    return station;
+  } catch (error) {
+    logger.error(`Error creating station ${name}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Aggiorna un campo descrittivo o un tempo di una stazione
+ * @param {String} stationId - ID della stazione
+ * @param {String} field - Campo da aggiornare (name, address, charge_time, reminder_time)
+ * @param {String} value - Nuovo valore
+ * @returns {Promise<Object>} - Oggetto stazione aggiornata
+ */
+async function updateStation(stationId, field, value) {
+  try {
+    const station = await Station.findById(stationId);
+
+    if (!station) {
+      throw localizedError('errors.stationNotFound');
+    }
+
+    switch (field) {
+      case 'name':
+        if (!value || /^\d+$/.test(value.trim())) {
+          throw localizedError('errors.station.invalidName');
+        }
+        station.name = value.trim();
+        break;
+
+      case 'address':
+        station.address = (value || '').trim();
+        break;
+
+      case 'charge_time': {
+        const minutes = parseInt(value);
+        if (isNaN(minutes) || minutes < 1 || minutes > 120) {
+          throw localizedError('errors.station.invalidChargeTime');
+        }
+        station.max_charge_time = minutes;
+        break;
+      }
+
+      case 'reminder_time': {
+        const minutes = parseInt(value);
+        if (isNaN(minutes) || minutes < 1 || minutes > 30) {
+          throw localizedError('errors.station.invalidReminderTime');
+        }
+        station.reminder_time = minutes;
+        break;
+      }
+
+      default:
+        throw localizedError('errors.station.invalidField', { field });
+    }
+
+    await station.save();
+    logger.info(`Station ${station._id} updated: ${field} = ${value}`);
+
+    return station;
+  } catch (error) {
+    logger.error(`Error updating station ${stationId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene il tempo massimo di ricarica di una stazione
+ * @param {Object} station - Oggetto stazione
+ * @returns {Number} - Tempo massimo in minuti
+ */
+function getMaxChargeTime(station) {
+  return (station && station.max_charge_time) || settingsHandler.getSetting('charge_time');
+}
+
+/**
+ * Ottiene il tempo di promemoria di una stazione
+ * @param {Object} station - Oggetto stazione
+ * @returns {Number} - Minuti prima della scadenza
+ */
+function getReminderTime(station) {
+  return (station && station.reminder_time) || settingsHandler.getSetting('reminder_time');
+}
+
+/**
+ * Esegue l'escape dei caratteri speciali per l'uso in una RegExp
+ * @param {String} text - Testo da convertire
+ * @returns {String} - Testo con i caratteri speciali protetti
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = {
+  ensureStations,
+  getStations,
+  getStation,
+  withStationTransaction,
+  findStation,
+  resolveStation,
+  setLastStation,
+  createStation,
+  updateStation,
+  getMaxChargeTime,
+  getReminderTime
+};
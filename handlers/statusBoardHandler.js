@@ -0,0 +1,224 @@
+const mongoose = require('mongoose');
+const StatusBoard = require('../models/statusBoard');
+const queueHandler = require('./queueHandler');
+const webhookHandler = require('./webhookHandler');
+const config = require('../config');
+const logger = require('../utils/logger');
+const formatters = require('../utils/formatters');
+const { DEFAULT_LOCALE } = require('../utils/i18n');
+
+// Aggiornamento periodico, per far scorrere i minuti rimanenti anche senza eventi
+const REFRESH_INTERVAL = 60000;
+// Intervallo minimo tra due modifiche, qualunque sia STATUS_BOARD_INTERVAL
+const MIN_EDIT_INTERVAL = 3;
+
+let getBot = null;
+let refreshTimer = null;
+let pendingTimer = null;
+let updating = false;
+let updateRequested = false;
+let repostRequested = false;
+// Prima modifica consentita (throttling e retry_after di Telegram)
+let nextEditAt = 0;
+
+/**
+ * Avvia il messaggio di stato fissato nel gruppo AUTHORIZED_GROUP_ID, se STATUS_BOARD è attivo
+ * @param {Object} context - { getBot }
+ * @returns {Boolean} - true se il messaggio di stato è stato avviato
+ */
+function startStatusBoard(context) {
+  stopStatusBoard();
+
+  if (!config.STATUS_BOARD) {
+    return false;
+  }
+
+  if (!config.AUTHORIZED_GROUP_ID) {
+    logger.warn('STATUS_BOARD is enabled but AUTHORIZED_GROUP_ID is not set, status board disabled');
+    return false;
+  }
+
+  getBot = context.getBot;
+  webhookHandler.addEventListener(requestUpdate);
+  refreshTimer = setInterval(requestUpdate, REFRESH_INTERVAL);
+  requestUpdate();
+
+  logger.info(`Status board started in group ${config.AUTHORIZED_GROUP_ID}`);
+  return true;
+}
+
+/**
+ * Ferma gli aggiornamenti del messaggio di stato
+ */
+function stopStatusBoard() {
+  if (refreshTimer) {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+  }
+
+  if (pendingTimer) {
+    clearTimeout(pendingTimer);
+    pendingTimer = null;
+  }
+
+  getBot = null;
+  updateRequested = false;
+  repostRequested = false;
+}
+
+/**
+ * Verifica se una chat è quella con il messaggio di stato attivo
+ * @param {Number} chatId - ID della chat
+ * @returns {Boolean} - true se il messaggio di stato è attivo in questa chat
+ */
+function isBoardChat(chatId) {
+  return Boolean(getBot) && chatId === config.AUTHORIZED_GROUP_ID;
+}
+
+/**
+ * Chiede un aggiornamento del messaggio di stato. Le richieste ravvicinate vengono
+ * raggruppate in una sola modifica, al massimo una ogni STATUS_BOARD_INTERVAL secondi
+ */
+function requestUpdate() {
+  if (!getBot) {
+    return;
+  }
+
+  if (updating) {
+    updateRequested = true;
+    return;
+  }
+
+  if (pendingTimer) {
+    return;
+  }
+
+  pendingTimer = setTimeout(runUpdate, Math.max(0, nextEditAt - Date.now()));
+}
+
+/**
+ * Chiede di pubblicare di nuovo il messaggio di stato in fondo alla chat, rimuovendo il precedente
+ */
+function repostBoard() {
+  repostRequested = true;
+  requestUpdate();
+}
+
+/**
+ * Esegue un aggiornamento richiesto e pianifica quello successivo, se nel frattempo ne è arrivato un altro
+ * @returns {Promise<void>}
+ */
+async function runUpdate() {
+  pendingTimer = null;
+  updating = true;
+
+  const repost = repostRequested;
+  repostRequested = false;
+
+  let retryAfter = 0;
+
+  try {
+    await updateBoard(repost);
+  } catch (error) {
+    logger.error(`Error updating status board: ${error.message}`);
+
+    // Telegram indica quanto attendere quando si superano i suoi limiti (429)
+    const parameters = error.response && error.response.body && error.response.body.parameters;
+    retryAfter = parameters && parameters.retry_after ? parameters.retry_after : 0;
+
+    if (repost) {
+      repostRequested = true;
+    }
+  } finally {
+    updating = false;
+    nextEditAt = Date.now() + Math.max(config.STATUS_BOARD_INTERVAL, MIN_EDIT_INTERVAL, retryAfter) * 1000;
+
+    if (updateRequested || retryAfter) {
+      updateRequested = false;
+      requestUpdate();
+    }
+  }
+}
+
+/**
+ * Modifica il messaggio di stato, oppure ne pubblica e fissa uno nuovo se non esiste
+ * o se è richiesto di ripubblicarlo
+ * @param {Boolean} repost - Se pubblicare un nuovo messaggio al posto di quello esistente
+ * @returns {Promise<void>}
+ */
+async function updateBoard(repost = false) {
+  const bot = getBot && getBot();
+
+  if (!bot || mongoose.connection.readyState !== 1) {
+    return;
+  }
+
+  const chatId = config.AUTHORIZED_GROUP_ID;
+  const statuses = await queueHandler.getAllStationsStatus();
+  const text = formatters.formatStatusBoardMessage(statuses, DEFAULT_LOCALE);
+  const board = await StatusBoard.findOne({ chat_id: chatId });
+
+  if (board && !repost) {
+    if (board.text === text) {
+      return;
+    }
+
+    try {
+      await bot.editMessageText(text, {
+        chat_id: chatId,
+        message_id: board.message_id,
+        parse_mode: 'Markdown'
+      });
+
+      board.text = text;
+      await board.save();
+      return;
+    } catch (error) {
+      // Telegram rifiuta la modifica se il contenuto non è cambiato
+      if (/message is not modified/.test(error.message)) {
+        return;
+      }
+
+      // Messaggio cancellato da qualcuno nel gruppo: se ne pubblica uno nuovo
+      if (!/message to edit not found|message can't be edited/.test(error.message)) {
+        throw error;
+      }
+
+      logger.warn(`Status board message ${board.message_id} is no longer available, posting a new one`);
+    }
+  }
+
+  const message = await bot.sendMessage(chatId, text, {
+    parse_mode: 'Markdown',
+    disable_notification: true
+  });
+
+  try {
+    await bot.pinChatMessage(chatId, message.message_id, { disable_notification: true });
+  } catch (error) {
+    logger.warn(`Could not pin status board message (is the bot an admin of the group?): ${error.message}`);
+  }
+
+  if (board && repost) {
+    // I messaggi più vecchi di 48 ore non si possono cancellare: in quel caso resta nella chat
+    bot.deleteMessage(chatId, board.message_id).catch(error => {
+      logger.warn(`Could not delete previous status board message ${board.message_id}: ${error.message}`);
+    });
+  }
+
+  await StatusBoard.findOneAndUpdate(
+    { chat_id: chatId },
+    { message_id: message.message_id, text },
+    { upsert: true }
+  );
+
+  logger.info(`Posted status board message ${message.message_id} in group ${chatId}`);
+}
+
+module.exports = {
+  startStatusBoard,
+  stopStatusBoard,
+  isBoardChat,
+  requestUpdate,
+  repostBoard
+};
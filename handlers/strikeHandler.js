@@ -0,0 +1,351 @@
+const Strike = require('../models/strike');
+const User = require('../models/user');
+const settingsHandler = require('./settingsHandler');
+const roleHandler = require('./roleHandler');
+const auditHandler = require('./auditHandler');
+const logger = require('../utils/logger');
+const { localizedError } = require('../utils/i18n');
+
+/**
+ * Calcola da quando i richiami di un utente sono ancora validi
+ * @param {Object} user - Oggetto utente (può essere null)
+ * @returns {Date} - Inizio del periodo di validità dei richiami
+ */
+function getStrikeWindowStart(user) {
+  const windowStart = new Date(Date.now() - settingsHandler.getSetting('strike_window_days') * 24 * 60 * 60000);
+
+  if (user && user.strikes_reset_at && user.strikes_reset_at > windowStart) {
+    return user.strikes_reset_at;
+  }
+
+  return windowStart;
+}
+
+/**
+ * Indica se un utente è sospeso in questo momento
+ * @param {Object} user - Oggetto utente
+ * @returns {Boolean} - true se la sospensione non è ancora scaduta
+ */
+function isSuspended(user) {
+  return Boolean(user && user.suspended_until && user.suspended_until > new Date());
+}
+
+/**
+ * Verifica che l'utente non sia sospeso
+ * @param {Number} userId - ID Telegram dell'utente
+ * @returns {Promise<void>} - Lancia un errore con motivo e scadenza se l'utente è sospeso
+ */
+async function checkSuspension(userId) {
+  const user = await User.findOne({ telegram_id: userId });
+
+  if (!isSuspended(user)) {
+    return;
+  }
+
+  logger.info(`User ${userId} is suspended until ${user.suspended_until.toISOString()}`);
+  throw user.suspension_reason
+    ? localizedError('errors.strike.suspendedReason', { until: user.suspended_until, reason: user.suspension_reason })
+    : localizedError('errors.strike.suspended', { until: user.suspended_until });
+}
+
+/**
+ * Sospende un utente fino a una data e azzera i suoi richiami
+ * @param {Object} user - Oggetto utente
+ * @param {Number} days - Giorni di sospensione
+ * @param {String} reason - Motivo mostrato all'utente
+ * @param {Number} actorId - ID Telegram dell'amministratore, null se automatica
+ * @returns {Promise<Object>} - Oggetto utente aggiornato
+ */
+async function applySuspension(user, days, reason, actorId = null) {
+  const before = { suspended_until: user.suspended_until, suspension_reason: user.suspension_reason };
+  const now = new Date();
+
+  user.suspended_until = new Date(now.getTime() + days * 24 * 60 * 60000);
+  user.suspension_reason = reason;
+  user.strikes_reset_at = now;
+  await user.save();
+
+  await auditHandler.recordEvent({
+    action: 'suspension',
+    actorId,
+    targetId: user.telegram_id,
+    targetUsername: user.username,
+    before,
+    after: { suspended_until: user.suspended_until, suspension_reason: reason }
+  });
+
+  logger.info(`User ${user.telegram_id} suspended until ${user.suspended_until.toISOString()} by ${actorId === null ? 'system' : actorId}: ${reason}`);
+
+  return user;
+}
+
+/**
+ * Assegna un richiamo a un utente e, raggiunto il numero di richiami impostato,
+ * lo sospende automaticamente
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {String} username - Username Telegram dell'utente
+ * @param {String} reason - Motivo del richiamo (no_show, overstay)
+ * @param {Object} options - { station, session, details }
+ * @returns {Promise<Object>} - { strike, activeStrikes, threshold, suspendedUntil }
+ */
+async function addStrike(userId, username, reason, { station = null, session = null, details = null } = {}) {
+  try {
+    const strike = await Strike.create({
+      telegram_id: userId,
+      username,
+      reason,
+      station,
+      session,
+      details
+    });
+
+    const user = await User.findOne({ telegram_id: userId });
+    const activeStrikes = await Strike.countDocuments({
+      telegram_id: userId,
+      createdAt: { $gte: getStrikeWindowStart(user) }
+    });
+    const threshold = settingsHandler.getSetting('strikes_to_suspend');
+
+    await auditHandler.recordEvent({
+      action: 'strike',
+      actorId: null,
+      targetId: userId,
+      targetUsername: username,
+      station,
+      after: { reason, active_strikes: activeStrikes },
+      details
+    });
+
+    logger.info(`Strike (${reason}) assigned to user ${userId}, ${activeStrikes}/${threshold} active`);
+
+    let suspendedUntil = null;
+
+    if (user && threshold > 0 && activeStrikes >= threshold && !isSuspended(user)) {
+      const days = settingsHandler.getSetting('suspension_days');
+      await applySuspension(user, days, `${activeStrikes} richiami in ${settingsHandler.getSetting('strike_window_days')} giorni`);
+      suspendedUntil = user.suspended_until;
+    }
+
+    return { strike, activeStrikes, threshold, suspendedUntil };
+  } catch (error) {
+    logger.error(`Error adding strike for user ${userId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Trova un utente tramite username e verifica che l'amministratore possa gestirlo
+ * @param {Number} actorId - ID Telegram dell'amministratore
+ * @param {String} username - Username Telegram dell'utente (con o senza @)
+ * @returns {Promise<Object>} - Oggetto utente
+ */
+async function findManageableUser(actorId, username) {
+  const user = await User.findOne({ username: username.replace('@', '') });
+
+  if (!user) {
+    throw localizedError('errors.userNotFound', { username: username.replace('@', '') });
+  }
+
+  if (user.telegram_id === actorId) {
+    throw localizedError('errors.strike.self');
+  }
+
+  const actorRole = await roleHandler.getRole(actorId);
+  const targetRole = await roleHandler.getRole(user.telegram_id);
+
+  // Si possono gestire solo utenti con un ruolo inferiore al proprio
+  if (roleHandler.hasRole(targetRole, actorRole)) {
+    throw localizedError('errors.strike.notAllowed', { actorRole, username: user.username, targetRole });
+  }
+
+  return user;
+}
+
+/**
+ * Sospende un utente per un numero di giorni o lo esclude definitivamente (comando admin)
+ * @param {Number} actorId - ID Telegram dell'amministratore
+ * @param {String} username - Username Telegram dell'utente
+ * @param {Number} days - Giorni di sospensione, null per l'esclusione definitiva (ruolo banned)
+ * @param {String} reason - Motivo mostrato all'utente
+ * @returns {Promise<Object>} - Oggetto utente aggiornato
+ */
+async function banUser(actorId, username, days, reason) {
+  try {
+    const user = await findManageableUser(actorId, username);
+    const banReason = reason || 'decisione di un amministratore';
+
+    if (days === null) {
+      // L'esclusione definitiva usa il ruolo banned, che blocca tutti i comandi
+      const { user: bannedUser } = await roleHandler.setRole(actorId, user.username, 'banned');
+      bannedUser.suspension_reason = banReason;
+      await bannedUser.save();
+      return bannedUser;
+    }
+
+    return await applySuspension(user, days, banReason, actorId);
+  } catch (error) {
+    logger.error(`Error banning ${username}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Revoca la sospensione o l'esclusione di un utente e azzera i suoi richiami (comando admin)
+ * @param {Number} actorId - ID Telegram dell'amministratore
+ * @param {String} username - Username Telegram dell'utente
+ * @returns {Promise<Object>} - Oggetto utente aggiornato
+ */
+async function unbanUser(actorId, username) {
+  try {
+    let user = await findManageableUser(actorId, username);
+    const wasBanned = user.role === 'banned';
+
+    if (!wasBanned && !isSuspended(user)) {
+      throw localizedError('errors.strike.notSuspended', { username: user.username });
+    }
+
+    if (wasBanned) {
+      ({ user } = await roleHandler.setRole(actorId, user.username, 'user'));
+    }
+
+    const before = { suspended_until: user.suspended_until, suspension_reason: user.suspension_reason };
+
+    user.suspended_until = null;
+    user.suspension_reason = null;
+    user.strikes_reset_at = new Date();
+    await user.save();
+
+    await auditHandler.recordEvent({
+      action: 'unban',
+      actorId,
+      targetId: user.telegram_id,
+      targetUsername: user.username,
+      before,
+      after: { suspended_until: null }
+    });
+
+    logger.info(`User ${user.telegram_id} unbanned by ${actorId}`);
+
+    return user;
+  } catch (error) {
+    logger.error(`Error unbanning ${username}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Annulla i richiami validi di un utente senza toccare lo storico (comando admin)
+ * @param {Number} actorId - ID Telegram dell'amministratore
+ * @param {String} username - Username Telegram dell'utente
+ * @returns {Promise<Object>} - Oggetto utente aggiornato
+ */
+async function clearStrikes(actorId, username) {
+  try {
+    const user = await findManageableUser(actorId, username);
+    const activeStrikes = await Strike.countDocuments({
+      telegram_id: user.telegram_id,
+      createdAt: { $gte: getStrikeWindowStart(user) }
+    });
+
+    user.strikes_reset_at = new Date();
+    await user.save();
+
+    await auditHandler.recordEvent({
+      action: 'strikes_cleared',
+      actorId,
+      targetId: user.telegram_id,
+      targetUsername: user.username,
+      before: { active_strikes: activeStrikes },
+      after: { active_strikes: 0 }
+    });
+
+    logger.info(`Strikes of user ${user.telegram_id} cleared by ${actorId}`);
+
+    return user;
+  } catch (error) {
+    logger.error(`Error clearing strikes of ${username}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene i richiami di un utente
+ * @param {String} username - Username Telegram dell'utente
+ * @returns {Promise<Object>} - { user, strikes, activeStrikes } con gli ultimi richiami dal più recente
+ */
+async function getUserStrikes(username) {
+  try {
+    const user = await User.findOne({ username: username.replace('@', '') });
+
+    if (!user) {
+      throw localizedError('errors.userNotFound', { username: username.replace('@', '') });
+    }
+
+    // Lo storico mostra gli ultimi 20 richiami, il conteggio li considera tutti (come addStrike)
+    const strikes = await Strike.find({ telegram_id: user.telegram_id })
+      .sort({ createdAt: -1 })
+      .limit(20)
+      .populate('station', 'name');
+    const activeStrikes = await Strike.countDocuments({
+      telegram_id: user.telegram_id,
+      createdAt: { $gte: getStrikeWindowStart(user) }
+    });
+
+    return {
+      user,
+      strikes,
+      activeStrikes
+    };
+  } catch (error) {
+    logger.error(`Error getting strikes of ${username}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene gli utenti sospesi, esclusi o con richiami validi
+ * @returns {Promise<Array>} - Array di { user, activeStrikes } ordinato per richiami
+ */
+async function getFlaggedUsers() {
+  try {
+    const windowStart = new Date(Date.now() - settingsHandler.getSetting('strike_window_days') * 24 * 60 * 60000);
+    const recent = await Strike.aggregate([
+      { $match: { createdAt: { $gte: windowStart } } },
+      { $group: { _id: '$telegram_id', dates: { $push: '$createdAt' } } }
+    ]);
+
+    const users = await User.find({
+      $or: [
+        { telegram_id: { $in: recent.map(row => row._id) } },
+        { suspended_until: { $gt: new Date() } },
+        { role: 'banned' }
+      ]
+    });
+
+    return users
+      .map(user => {
+        const row = recent.find(item => item._id === user.telegram_id);
+        const userWindowStart = getStrikeWindowStart(user);
+        return {
+          user,
+          activeStrikes: row ? row.dates.filter(date => date >= userWindowStart).length : 0
+        };
+      })
+      .filter(item => item.activeStrikes > 0 || isSuspended(item.user) || item.user.role === 'banned')
+      .sort((a, b) => b.activeStrikes - a.activeStrikes || a.user.username.localeCompare(b.user.username));
+  } catch (error) {
+    logger.error(`Error getting flagged users: ${error.message}`);
+    throw error;
+  }
+}
+
+module.exports = {
+  isSuspended,
+  checkSuspension,
+  addStrike,
+  banUser,
+  unbanUser,
+  clearStrikes,
+  getUserStrikes,
+  getFlaggedUsers
+};
@@ -1,14 +1,23 @@
 const User = require('../models/user');
-const config = require('../config');
+const Session = require('../models/session');
+const roleHandler = require('./roleHandler');
 const logger = require('../utils/logger');
+const i18n = require('../utils/i18n');
+
+// Ricariche mostrate per pagina in /storico
+const HISTORY_PAGE_SIZE = 5;
+
+// Preferenze di lingua già lette dal database, per ID Telegram
+const languageCache = new Map();
 
 /**
  * Registra un nuovo utente o aggiorna i dati di un utente esistente
  * @param {Number} userId - ID Telegram dell'utente
  * @param {String} username - Username Telegram dell'utente
+ * @param {String} languageCode - Codice lingua inviato da Telegram (opzionale)
  * @returns {Promise<Object>} - Oggetto utente creato o aggiornato
  */
-async function registerUser(userId, username) {
+async function registerUser(userId, username, languageCode = null) {
   try {
     // Controlla se l'utente è già registrato
     let user = await User.findOne({ telegram_id: userId });
@@ -20,19 +29,25 @@ async function registerUser(userId, username) {
         await user.save();
         logger.info(`Updated username for user ${userId} to ${username}`);
       }
+      
+      if (languageCode && user.language_code !== languageCode) {
+        user.language_code = languageCode;
+        await user.save();
+      }
     } else {
       // Crea un nuovo utente
       user = new User({
         telegram_id: userId,
         username: username,
-        // Verifica se l'utente è un admin
-        is_admin: userId === config.ADMIN_USER_ID
+        language_code: languageCode
       });
       
       await user.save();
       logger.info(`New user registered: ${username} (${userId})`);
     }
     
+    languageCache.set(userId, { registered: true, language: user.language, language_code: user.language_code });
+    
     return user;
   } catch (error) {
     logger.error(`Error registering user ${userId}:`, error);
@@ -55,14 +70,13 @@ async function getUser(userId) {
 }
 
 /**
- * Verifica se un utente è un amministratore
+ * Verifica se un utente è un amministratore (ruolo admin o owner)
  * @param {Number} userId - ID Telegram dell'utente
  * @returns {Promise<Boolean>} - true se l'utente è admin, false altrimenti
  */
 async function isAdmin(userId) {
   try {
-    const user = await getUser(userId);
-    return user && user.is_admin;
+    return roleHandler.hasRole(await roleHandler.getRole(userId), 'admin');
   } catch (error) {
     logger.error(`Error checking admin status for user ${userId}:`, error);
     return false;
@@ -97,6 +111,103 @@ async function updateUserStats(userId, chargeDuration) {
   }
 }
 
+/**
+ * Ottiene una pagina dello storico delle ricariche concluse di un utente
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {Number} page - Numero di pagina (da 1)
+ * @param {Number} pageSize - Ricariche per pagina
+ * @returns {Promise<Object>} - { sessions, page, totalPages, total }
+ */
+async function getUserHistory(userId, page = 1, pageSize = HISTORY_PAGE_SIZE) {
+  try {
+    const filter = { telegram_id: userId, status: { $ne: 'active' } };
+    const total = await Session.countDocuments(filter);
+    const totalPages = Math.max(1, Math.ceil(total / pageSize));
+    const currentPage = Math.min(Math.max(1, page), totalPages);
+    
+    const sessions = await Session.find(filter)
+      .sort({ start_time: -1 })
+      .skip((currentPage - 1) * pageSize)
+      .limit(pageSize)
+      .populate('station', 'name');
+    
+    return {
+      sessions,
+      page: currentPage,
+      totalPages,
+      total
+    };
+  } catch (error) {
+    logger.error(`Error getting history for user ${userId}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Calcola le statistiche di un utente per un mese, con il dettaglio per settimana
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {Number} monthOffset - Mesi indietro rispetto al mese corrente (0 = mese corrente)
+ * @returns {Promise<Object>} - { user, monthOffset, month, weeks, hasOlder }
+ */
+async function getUserStatistics(userId, monthOffset = 0) {
+  try {
+    const user = await getUser(userId);
+    
+    // I mesi e le settimane seguono il fuso orario italiano
+    const start = i18n.toLocalTime().startOf('month').subtract(monthOffset, 'months');
+    const end = start.clone().add(1, 'month');
+    
+    const sessions = await Session.find({
+      telegram_id: userId,
+      status: { $ne: 'active' },
+      start_time: { $gte: start.toDate(), $lt: end.toDate() }
+    }).sort({ start_time: 1 });
+    
+    const month = {
+      start: start.toDate(),
+      count: 0,
+      minutes: 0,
+      outcomes: { completed: 0, timeout: 0, admin_terminated: 0 }
+    };
+    const weeks = new Map();
+    
+    sessions.forEach(session => {
+      const minutes = Math.round((new Date(session.end_time) - new Date(session.start_time)) / 60000);
+      const weekStart = i18n.toLocalTime(session.start_time).startOf('isoWeek');
+      const weekKey = weekStart.format('YYYY-MM-DD');
+      
+      month.count += 1;
+      month.minutes += minutes;
+      month.outcomes[session.status] = (month.outcomes[session.status] || 0) + 1;
+      
+      if (!weeks.has(weekKey)) {
+        weeks.set(weekKey, { start: weekStart.toDate(), count: 0, minutes: 0 });
+      }
+      
+      const week = weeks.get(weekKey);
+      week.count += 1;
+      week.minutes += minutes;
+    });
+    
+    const hasOlder = await Session.exists({
+      telegram_id: userId,
+      status: { $ne: 'active' },
+      start_time: { $lt: start.toDate() }
+    });
+    
+    return {
+      user,
+      monthOffset,
+      month,
+      weeks: Array.from(weeks.values()),
+      hasOlder: Boolean(hasOlder)
+    };
+  } catch (error) {
+    logger.error(`Error getting statistics for user ${userId}:`, error);
+    throw error;
+  }
+}
+
 /**
  * Ottiene la lista degli utenti registrati
  * @param {Object} filter - Filtro per la query
@@ -111,10 +222,100 @@ async function getUsers(filter = {}) {
   }
 }
 
+/**
+ * Legge la preferenza di lingua di un utente, dalla cache se disponibile
+ * @param {Number} userId - ID Telegram dell'utente
+ * @returns {Promise<Object>} - { registered, language, language_code }
+ */
+async function loadLanguage(userId) {
+  if (!languageCache.has(userId)) {
+    const user = await User.findOne({ telegram_id: userId }).select('language language_code');
+    
+    languageCache.set(userId, {
+      registered: Boolean(user),
+      language: user ? user.language : null,
+      language_code: user ? user.language_code : null
+    });
+  }
+  
+  return languageCache.get(userId);
+}
+
+/**
+ * Determina la lingua in cui rispondere a un messaggio: quella scelta con /lingua
+ * o, in mancanza, quella delle impostazioni di Telegram
+ * @param {Object} from - Mittente del messaggio (msg.from o query.from)
+ * @returns {Promise<String>} - Lingua supportata; non genera mai errori
+ */
+async function getLocale(from) {
+  try {
+    const stored = await loadLanguage(from.id);
+    
+    // Memorizza il codice di Telegram per le notifiche inviate senza un messaggio dell'utente
+    if (stored.registered && from.language_code && stored.language_code !== from.language_code) {
+      stored.language_code = from.language_code;
+      await User.updateOne({ telegram_id: from.id }, { language_code: from.language_code });
+    }
+    
+    return i18n.isSupported(stored.language) ? stored.language : i18n.resolveLocale(from.language_code);
+  } catch (error) {
+    logger.error(`Error getting language of user ${from.id}:`, error);
+    return i18n.resolveLocale(from.language_code);
+  }
+}
+
+/**
+ * Determina la lingua delle notifiche per un utente
+ * @param {Number} userId - ID Telegram dell'utente
+ * @returns {Promise<String>} - Lingua supportata; non genera mai errori
+ */
+async function getUserLocale(userId) {
+  try {
+    const stored = await loadLanguage(userId);
+    return i18n.isSupported(stored.language) ? stored.language : i18n.resolveLocale(stored.language_code);
+  } catch (error) {
+    logger.error(`Error getting language of user ${userId}:`, error);
+    return i18n.DEFAULT_LOCALE;
+  }
+}
+
+/**
+ * Imposta la lingua scelta da un utente
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {String|null} language - Lingua supportata, o null per tornare a quella di Telegram
+ * @returns {Promise<Object>} - Oggetto utente aggiornato
+ */
+async function setUserLanguage(userId, language) {
+  try {
+    if (language !== null && !i18n.isSupported(language)) {
+      throw i18n.localizedError('errors.user.languageUnavailable', { language });
+    }
+    
+    const user = await User.findOneAndUpdate({ telegram_id: userId }, { language }, { new: true });
+    
+    if (!user) {
+      throw i18n.localizedError('errors.user.notRegistered');
+    }
+    
+    languageCache.set(userId, { registered: true, language: user.language, language_code: user.language_code });
+    logger.info(`User ${userId} set language to ${language || 'auto'}`);
+    
+    return user;
+  } catch (error) {
+    logger.error(`Error setting language of user ${userId}:`, error);
+    throw error;
+  }
+}
+
 module.exports = {
   registerUser,
   getUser,
   isAdmin,
   updateUserStats,
-  getUsers
+  getUserHistory,
+  getUserStatistics,
+  getUsers,
+  getLocale,
+  getUserLocale,
+  setUserLanguage
 };
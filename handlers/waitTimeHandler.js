@@ -0,0 +1,351 @@
+const Session = require('../models/session');
+const Reservation = require('../models/reservation');
+const AuditEvent = require('../models/auditEvent');
+const settingsHandler = require('./settingsHandler');
+const stationHandler = require('./stationHandler');
+const logger = require('../utils/logger');
+
+// Giorni di storico usati per le stime
+const HISTORY_DAYS = 60;
+// Ricariche recenti considerate per ogni utente e per l'intera stazione
+const USER_SAMPLE_SIZE = 30;
+const STATION_SAMPLE_SIZE = 200;
+// Sotto questo numero di ricariche si usano i dati dell'intera stazione
+const MIN_USER_SAMPLES = 3;
+// Probabilità di turno mancato senza storico, e peso (in turni) della media della stazione
+// nella stima del singolo utente, così pochi turni non portano a 0% o 100%
+const DEFAULT_NO_SHOW_RATE = 0.1;
+const NO_SHOW_PRIOR_WEIGHT = 4;
+// Simulazioni della coda per ogni stima e percentili dell'intervallo mostrato
+const SIMULATION_RUNS = 200;
+const LOW_PERCENTILE = 0.1;
+const HIGH_PERCENTILE = 0.9;
+// Seme fisso: a parità di stato la stima non cambia tra una richiesta e l'altra
+const SIMULATION_SEED = 20240601;
+// Validità delle statistiche in memoria
+const STATS_CACHE_TIME = 5 * 60000;
+
+const statsCache = new Map();
+
+/**
+ * Generatore pseudo-casuale con seme (mulberry32)
+ * @param {Number} seed - Seme
+ * @returns {Function} - Funzione che restituisce un numero in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let value = state;
+    value = Math.imul(value ^ (value >>> 15), value | 1);
+    value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+    return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Estrae un valore a caso da un campione
+ * @param {Array} samples - Campione non vuoto
+ * @param {Function} random - Generatore pseudo-casuale
+ * @returns {Number} - Valore estratto
+ */
+function pick(samples, random) {
+  return samples[Math.floor(random() * samples.length)];
+}
+
+/**
+ * Restituisce un percentile di un campione ordinato
+ * @param {Array} sorted - Campione ordinato in modo crescente
+ * @param {Number} fraction - Percentile tra 0 e 1
+ * @returns {Number} - Valore del percentile
+ */
+function percentile(sorted, fraction) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(fraction * sorted.length))];
+}
+
+/**
+ * Legge un valore dalla cache delle statistiche, calcolandolo se manca o è scaduto
+ * @param {String} key - Chiave della cache
+ * @param {Function} load - Funzione asincrona che calcola il valore
+ * @returns {Promise<*>} - Valore in cache
+ */
+async function cached(key, load) {
+  const entry = statsCache.get(key);
+
+  if (entry && entry.expires > Date.now()) {
+    return entry.value;
+  }
+
+  const value = await load();
+  statsCache.set(key, { value, expires: Date.now() + STATS_CACHE_TIME });
+  return value;
+}
+
+/**
+ * Ricava durate e ritardi da un elenco di ricariche completate
+ * @param {Array} sessions - Sessioni completate
+ * @returns {Object} - { durations, deviations }: durate in minuti e minuti di ritardo
+ *                     (negativi se in anticipo) rispetto alla fine prevista
+ */
+function sessionSamples(sessions) {
+  const durations = [];
+  const deviations = [];
+
+  sessions.forEach(session => {
+    const end = new Date(session.end_time).getTime();
+    durations.push(Math.max(0, (end - new Date(session.start_time).getTime()) / 60000));
+
+    // Le sessioni registrate prima della fine prevista non hanno il dato
+    if (session.planned_end_time) {
+      deviations.push((end - new Date(session.planned_end_time).getTime()) / 60000);
+    }
+  });
+
+  return { durations, deviations };
+}
+
+/**
+ * Calcola la quota di turni mancati, con la media indicata come punto di partenza
+ * @param {Number} timeouts - Turni in coda scaduti senza iniziare la ricarica
+ * @param {Number} started - Turni in coda usati
+ * @param {Number} prior - Quota di riferimento
+ * @returns {Number} - Probabilità di turno mancato tra 0 e 1
+ */
+function noShowRate(timeouts, started, prior) {
+  return (timeouts + NO_SHOW_PRIOR_WEIGHT * prior) / (timeouts + started + NO_SHOW_PRIOR_WEIGHT);
+}
+
+/**
+ * Statistiche di una stazione, usate per chi non ha abbastanza ricariche
+ * @param {Object} station - Oggetto stazione
+ * @returns {Promise<Object>} - { durations, deviations, noShowRate }
+ */
+async function getStationStats(station) {
+  return cached(`station:${station._id}`, async () => {
+    const since = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60000);
+
+    const sessions = await Session.find({
+      station: station._id,
+      status: 'completed',
+      start_time: { $gte: since }
+    })
+      .sort({ start_time: -1 })
+      .limit(STATION_SAMPLE_SIZE);
+
+    const [timeouts, started] = await Promise.all(['queue_timeout', 'queue_started'].map(action =>
+      AuditEvent.countDocuments({ action, station: station._id, createdAt: { $gte: since } })));
+
+    const samples = sessionSamples(sessions);
+
+    return {
+      durations: samples.durations.length > 0 ? samples.durations : [stationHandler.getMaxChargeTime(station)],
+      deviations: samples.deviations.length > 0 ? samples.deviations : [0],
+      noShowRate: noShowRate(timeouts, started, DEFAULT_NO_SHOW_RATE)
+    };
+  });
+}
+
+/**
+ * Statistiche di un utente: durata abituale delle ricariche, ritardo abituale nel liberare
+ * lo slot e probabilità di non presentarsi al proprio turno
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {Object} stationStats - Statistiche della stazione (getStationStats)
+ * @returns {Promise<Object>} - { durations, deviations, noShowRate }
+ */
+async function getUserStats(userId, stationStats) {
+  const stats = await cached(`user:${userId}`, async () => {
+    const since = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60000);
+
+    const sessions = await Session.find({
+      telegram_id: userId,
+      status: 'completed',
+      start_time: { $gte: since }
+    })
+      .sort({ start_time: -1 })
+      .limit(USER_SAMPLE_SIZE);
+
+    const [timeouts, started] = await Promise.all(['queue_timeout', 'queue_started'].map(action =>
+      AuditEvent.countDocuments({ action, target_id: userId, createdAt: { $gte: since } })));
+
+    return { ...sessionSamples(sessions), timeouts, started };
+  });
+
+  return {
+    durations: stats.durations.length >= MIN_USER_SAMPLES ? stats.durations : stationStats.durations,
+    deviations: stats.deviations.length >= MIN_USER_SAMPLES ? stats.deviations : stationStats.deviations,
+    noShowRate: noShowRate(stats.timeouts, stats.started, stationStats.noShowRate)
+  };
+}
+
+/**
+ * Sceglie lo slot che si libera per primo. Le prenotazioni che iniziano entro il tempo
+ * massimo di ricarica lo occupano prima della coda, come in reservationHandler.countBlockedSlots
+ * @param {Array} slots - Slot simulati { session, free }
+ * @param {Array} reservations - Prenotazioni non ancora servite, in ordine di inizio
+ * @param {Number|null} reservationWindow - Anticipo in ms con cui una prenotazione blocca lo slot,
+ *                                          null per chi ha già uno slot riservato
+ * @returns {Object} - Slot assegnato
+ */
+function takeSlot(slots, reservations, reservationWindow) {
+  for (;;) {
+    const slot = slots.reduce((earliest, candidate) => (candidate.free < earliest.free ? candidate : earliest));
+
+    if (reservationWindow === null || reservations.length === 0 ||
+        reservations[0].start > slot.free + reservationWindow) {
+      return slot;
+    }
+
+    slot.free = Math.max(slot.free, reservations.shift().end);
+  }
+}
+
+/**
+ * Stima i tempi di attesa della coda di una stazione. La coda viene simulata più volte:
+ * le sessioni attive finiscono all'orario previsto più il ritardo abituale di chi ricarica,
+ * chi è avvisato arriva entro il tempo di conferma oppure manca il turno, e ricarica per
+ * una delle sue durate abituali. Dai risultati si ricavano la stima e l'intervallo per
+ * ogni posizione, e per chi si mettesse in coda adesso
+ * @param {Object} station - Oggetto stazione
+ * @param {Array} activeSessions - Sessioni attive della stazione
+ * @param {Array} queue - Voci in coda, in ordine di posizione
+ * @param {Date} now - Istante di riferimento (default adesso)
+ * @returns {Promise<Object>} - { queue, next }: per ogni voce in coda { telegram_id, username,
+ *                              position, eta_minutes, min_minutes, max_minutes, estimated_start },
+ *                              e la stima per un nuovo arrivo; null se la stazione non ha slot
+ */
+async function estimateWaits(station, activeSessions, queue, now = new Date()) {
+  try {
+    const nowTime = now.getTime();
+    const reservationWindow = stationHandler.getMaxChargeTime(station) * 60000;
+    const queueTimeout = settingsHandler.getSetting('queue_timeout');
+
+    const stationStats = await getStationStats(station);
+    const sessionStats = await Promise.all(activeSessions.map(session =>
+      getUserStats(session.telegram_id, stationStats)));
+    const queueStats = await Promise.all(queue.map(entry =>
+      getUserStats(entry.telegram_id, stationStats)));
+
+    const reservations = await Reservation.find({
+      station: station._id,
+      status: { $in: ['scheduled', 'held'] },
+      end_time: { $gt: now }
+    }).sort({ start_time: 1 });
+
+    // Chi ha annunciato il passaggio del cavo libera lo slot all'orario indicato
+    const handoverTimes = new Map();
+    queue.filter(entry => entry.handover_session).forEach(entry => {
+      handoverTimes.set(String(entry.handover_session), new Date(entry.handover_time).getTime());
+    });
+
+    const busySlots = activeSessions.map((session, index) => {
+      const handoverTime = handoverTimes.get(String(session._id));
+
+      return {
+        session: String(session._id),
+        end: handoverTime !== undefined ? Math.max(nowTime, handoverTime) : new Date(session.end_time).getTime(),
+        deviations: handoverTime !== undefined ? null : sessionStats[index].deviations
+      };
+    });
+
+    // Le prenotazioni trattenute occupano già uno slot, fino alla fine della finestra
+    const held = reservations.filter(reservation => reservation.status === 'held');
+    held.forEach(reservation => {
+      busySlots.push({ session: null, end: Math.max(nowTime, new Date(reservation.end_time).getTime()), deviations: null });
+    });
+
+    const freeSlots = Math.max(0, station.total_slots - busySlots.length);
+    for (let i = 0; i < freeSlots; i++) {
+      busySlots.push({ session: null, end: nowTime, deviations: null });
+    }
+
+    // Senza slot non c'è nulla da stimare
+    if (busySlots.length === 0) {
+      return {
+        queue: queue.map(entry => ({
+          telegram_id: entry.telegram_id,
+          username: entry.username,
+          position: entry.position,
+          eta_minutes: null,
+          min_minutes: null,
+          max_minutes: null,
+          estimated_start: null
+        })),
+        next: null
+      };
+    }
+
+    const scheduled = reservations
+      .filter(reservation => reservation.status === 'scheduled')
+      .map(reservation => ({
+        start: new Date(reservation.start_time).getTime(),
+        end: new Date(reservation.end_time).getTime()
+      }));
+
+    // Chi è in coda, nell'ordine in cui riceverà lo slot, seguito da un nuovo arrivo
+    const claimants = queue.map((entry, index) => ({
+      reserved: entry.slot_reserved,
+      handover: entry.handover_session ? String(entry.handover_session) : null,
+      // Chi è già stato avvisato ha solo il tempo di conferma rimanente
+      timeout: entry.slot_reserved && entry.notification_time
+        ? Math.max(0, new Date(entry.notification_time).getTime() + queueTimeout * 60000 - nowTime) / 60000
+        : queueTimeout,
+      stats: queueStats[index]
+    }));
+    claimants.push({ reserved: false, handover: null, timeout: queueTimeout, stats: stationStats });
+
+    const random = createRandom(SIMULATION_SEED);
+    const waits = claimants.map(() => []);
+
+    for (let run = 0; run < SIMULATION_RUNS; run++) {
+      const slots = busySlots.map(slot => ({
+        session: slot.session,
+        free: slot.deviations ? Math.max(nowTime, slot.end + pick(slot.deviations, random) * 60000) : slot.end
+      }));
+      const pending = scheduled.slice();
+
+      claimants.forEach((claimant, index) => {
+        const slot = (claimant.handover && slots.find(candidate => candidate.session === claimant.handover)) ||
+          takeSlot(slots, pending, claimant.reserved ? null : reservationWindow);
+        const start = slot.free;
+
+        waits[index].push(start - nowTime);
+
+        // Chi manca il turno trattiene lo slot fino allo scadere del tempo di conferma
+        slot.free = random() < claimant.stats.noShowRate
+          ? start + claimant.timeout * 60000
+          : start + (random() * claimant.timeout + pick(claimant.stats.durations, random)) * 60000;
+      });
+    }
+
+    const estimates = waits.map(samples => {
+      const sorted = samples.sort((a, b) => a - b);
+      const eta = Math.round(percentile(sorted, 0.5) / 60000);
+
+      return {
+        eta_minutes: eta,
+        min_minutes: Math.round(percentile(sorted, LOW_PERCENTILE) / 60000),
+        max_minutes: Math.round(percentile(sorted, HIGH_PERCENTILE) / 60000),
+        estimated_start: new Date(nowTime + eta * 60000)
+      };
+    });
+
+    return {
+      queue: queue.map((entry, index) => ({
+        telegram_id: entry.telegram_id,
+        username: entry.username,
+        position: entry.position,
+        ...estimates[index]
+      })),
+      next: estimates[estimates.length - 1]
+    };
+  } catch (error) {
+    logger.error(`Error estimating wait times at station ${station._id}: ${error.message}`);
+    logger.error(error.stack);
+    throw error;
+  }
+}
+
+module.exports = {
+  estimateWaits
+};
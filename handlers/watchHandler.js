@@ -0,0 +1,180 @@
+const Watch = require('../models/watch');
+const reservationHandler = require('./reservationHandler');
+const logger = require('../utils/logger');
+const { toLocalTime } = require('../utils/i18n');
+
+// Validità di un avviso singolo senza finestra oraria
+const WATCH_DURATION = 24 * 60 * 60000;
+// Intervallo minimo tra due avvisi ricorrenti per la stessa stazione
+const RECURRING_INTERVAL = 15 * 60000;
+
+/**
+ * Calcola i minuti dalla mezzanotte di un momento, in ora italiana
+ * @param {Date} date - Momento
+ * @returns {Number} - Minuti dalla mezzanotte
+ */
+function minutesOfDay(date) {
+  const local = toLocalTime(date);
+  return local.hours() * 60 + local.minutes();
+}
+
+/**
+ * Legge la finestra oraria di /avvisami. A differenza delle prenotazioni, senza giorno
+ * indicato una finestra già iniziata vale da subito e non dal giorno successivo
+ * @param {String} text - Argomenti del comando
+ * @param {Date} now - Momento di riferimento
+ * @returns {Object|null} - { start, end, rest } oppure null se non c'è una finestra
+ */
+function parseWatchWindow(text, now = new Date()) {
+  const window = reservationHandler.parseTimeWindow(text, now);
+
+  if (!window || /(?:^|\s)(?:oggi|domani|dopodomani|\d{1,2}\/\d{1,2})\s/i.test(text)) {
+    return window;
+  }
+
+  // Stessa finestra del giorno prima, in ora italiana (un giorno non dura 24 ore al cambio dell'ora)
+  const start = toLocalTime(window.start).subtract(1, 'day').toDate();
+  const end = toLocalTime(window.end).subtract(1, 'day').toDate();
+
+  return start <= now && now < end ? { ...window, start, end } : window;
+}
+
+/**
+ * Crea o sostituisce la richiesta di avviso di un utente per una stazione
+ * @param {Number} userId - ID Telegram dell'utente
+ * @param {String} username - Username Telegram dell'utente
+ * @param {String} stationId - ID della stazione
+ * @param {Object} options - { recurring, window }: window è il risultato di
+ *                           reservationHandler.parseTimeWindow (opzionale)
+ * @returns {Promise<Object>} - Richiesta di avviso
+ */
+async function createWatch(userId, username, stationId, { recurring = false, window = null } = {}) {
+  try {
+    const now = new Date();
+    let expiresAt = null;
+
+    if (!recurring) {
+      expiresAt = window ? window.end : new Date(now.getTime() + WATCH_DURATION);
+    }
+
+    const watch = await Watch.findOneAndUpdate(
+      { telegram_id: userId, station: stationId },
+      {
+        $set: {
+          username,
+          recurring,
+          start_time: !recurring && window ? window.start : null,
+          expires_at: expiresAt,
+          // Per gli avvisi ricorrenti conta solo l'orario della finestra, ripetuto ogni giorno
+          window_start: recurring && window ? minutesOfDay(window.start) : null,
+          window_end: recurring && window ? minutesOfDay(window.end) : null,
+          last_notified_at: null
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    logger.info(`User ${userId} is watching station ${stationId} for a free slot (${recurring ? 'recurring' : 'once'})`);
+
+    return watch;
+  } catch (error) {
+    logger.error(`Error creating watch for user ${userId}: ${error.message}`);
+    logger.error(error.stack);
+    throw error;
+  }
+}
+
+/**
+ * Annulla tutte le richieste di avviso di un utente
+ * @param {Number} userId - ID Telegram dell'utente
+ * @returns {Promise<Number>} - Richieste annullate
+ */
+async function cancelWatches(userId) {
+  try {
+    const result = await Watch.deleteMany({ telegram_id: userId });
+
+    logger.info(`Cancelled ${result.deletedCount} watches of user ${userId}`);
+
+    return result.deletedCount;
+  } catch (error) {
+    logger.error(`Error cancelling watches of user ${userId}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene le richieste di avviso di un utente ancora valide
+ * @param {Number} userId - ID Telegram dell'utente
+ * @returns {Promise<Array>} - Richieste di avviso, con la stazione
+ */
+async function getUserWatches(userId) {
+  const watches = await Watch.find({ telegram_id: userId }).populate('station').sort({ createdAt: 1 });
+  const now = new Date();
+
+  // La rimozione automatica delle richieste scadute non è immediata
+  return watches.filter(watch => watch.station && (!watch.expires_at || watch.expires_at > now));
+}
+
+/**
+ * Verifica se una richiesta di avviso è attiva in un momento
+ * @param {Object} watch - Richiesta di avviso
+ * @param {Date} now - Momento da verificare
+ * @returns {Boolean} - true se l'utente va avvisato di uno slot libero in quel momento
+ */
+function isWatchActive(watch, now = new Date()) {
+  if (!watch.recurring) {
+    return (!watch.start_time || watch.start_time <= now) && (!watch.expires_at || watch.expires_at > now);
+  }
+
+  if (watch.window_start === null || watch.window_end === null) {
+    return true;
+  }
+
+  const minutes = minutesOfDay(now);
+
+  // La finestra può attraversare la mezzanotte (es. 22:00-06:00)
+  return watch.window_start < watch.window_end
+    ? minutes >= watch.window_start && minutes < watch.window_end
+    : minutes >= watch.window_start || minutes < watch.window_end;
+}
+
+/**
+ * Ottiene le richieste di avviso da servire per uno slot libero in una stazione
+ * @param {String} stationId - ID della stazione
+ * @param {Date} now - Momento di riferimento
+ * @returns {Promise<Array>} - Richieste attive, esclusi gli avvisi ricorrenti inviati da poco
+ */
+async function getActiveWatches(stationId, now = new Date()) {
+  const watches = await Watch.find({ station: stationId });
+
+  return watches.filter(watch => isWatchActive(watch, now) &&
+    (!watch.recurring || !watch.last_notified_at || now - watch.last_notified_at >= RECURRING_INTERVAL));
+}
+
+/**
+ * Registra l'invio di un avviso: quello singolo viene rimosso, quello ricorrente aggiornato.
+ * L'aggiornamento è condizionato, così più istanze non avvisano due volte lo stesso utente
+ * @param {Object} watch - Richiesta di avviso
+ * @param {Date} now - Momento dell'avviso
+ * @returns {Promise<Boolean>} - true se l'avviso va inviato, false se è già stato servito
+ */
+async function claimWatch(watch, now = new Date()) {
+  if (!watch.recurring) {
+    return Boolean(await Watch.findOneAndDelete({ _id: watch._id }));
+  }
+
+  return Boolean(await Watch.findOneAndUpdate(
+    { _id: watch._id, last_notified_at: watch.last_notified_at },
+    { $set: { last_notified_at: now } }
+  ));
+}
+
+module.exports = {
+  parseWatchWindow,
+  createWatch,
+  cancelWatches,
+  getUserWatches,
+  isWatchActive,
+  getActiveWatches,
+  claimWatch
+};
@@ -0,0 +1,428 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhookDelivery');
+const auditHandler = require('./auditHandler');
+const logger = require('../utils/logger');
+const { localizedError } = require('../utils/i18n');
+
+// Eventi che possono essere inoltrati ai webhook
+const WEBHOOK_EVENTS = [
+  'session.started',
+  'session.ended',
+  'session.timeout',
+  'queue.joined',
+  'queue.left',
+  'queue.notified',
+  'queue.skipped',
+  'system.reset'
+];
+
+// Tentativi massimi per ogni consegna, primo invio compreso
+const MAX_ATTEMPTS = 6;
+// Attesa massima per la risposta dell'integratore
+const REQUEST_TIMEOUT = 10000;
+// Una consegna in corso resta riservata per questo tempo, così il timer dei
+// tentativi non la invia una seconda volta mentre la richiesta è ancora aperta
+const CLAIM_TIME = 60000;
+
+// Funzioni interne al bot avvisate di ogni evento (es. il messaggio di stato del gruppo)
+const eventListeners = [];
+
+/**
+ * Attesa prima del tentativo successivo: 1, 2, 4, 8, 16 minuti
+ * @param {Number} attempts - Tentativi già eseguiti
+ * @returns {Number} - Attesa in millisecondi
+ */
+function getRetryDelay(attempts) {
+  return Math.pow(2, attempts - 1) * 60000;
+}
+
+/**
+ * Calcola la firma di una richiesta: HMAC-SHA256 di "timestamp.corpo" con il segreto del webhook
+ * @param {String} secret - Segreto del webhook
+ * @param {Number} timestamp - Secondi Unix inviati nell'header X-GreenCharge-Timestamp
+ * @param {String} body - Corpo JSON della richiesta
+ * @returns {String} - Firma nel formato "sha256=<hex>"
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Invia una richiesta POST con corpo JSON
+ * @param {String} url - URL di destinazione
+ * @param {String} body - Corpo JSON
+ * @param {Object} headers - Header aggiuntivi
+ * @returns {Promise<Number>} - Codice di stato HTTP della risposta
+ */
+function postJson(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+
+    const request = client.request(target, {
+      method: 'POST',
+      timeout: REQUEST_TIMEOUT,
+      headers: {
+        ...headers,
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'GreenCharge-Webhook'
+      }
+    }, response => {
+      // La risposta non interessa: basta il codice di stato
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+    });
+
+    request.on('timeout', () => request.destroy(new Error(`timeout after ${REQUEST_TIMEOUT / 1000}s`)));
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * Esegue un tentativo di consegna e ne registra l'esito
+ * @param {Object} delivery - Consegna da inviare
+ * @param {Object} webhook - Webhook di destinazione
+ * @returns {Promise<Object>} - Consegna aggiornata
+ */
+async function attemptDelivery(delivery, webhook) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  let responseStatus = null;
+  let errorMessage = null;
+
+  try {
+    responseStatus = await postJson(webhook.url, body, {
+      'X-GreenCharge-Event': delivery.event,
+      'X-GreenCharge-Delivery': delivery._id.toString(),
+      'X-GreenCharge-Timestamp': String(timestamp),
+      'X-GreenCharge-Signature': signPayload(webhook.secret, timestamp, body)
+    });
+
+    if (responseStatus < 200 || responseStatus >= 300) {
+      errorMessage = `HTTP ${responseStatus}`;
+    }
+  } catch (error) {
+    errorMessage = error.message;
+  }
+
+  delivery.attempts += 1;
+  delivery.response_status = responseStatus;
+  delivery.error = errorMessage;
+
+  if (!errorMessage) {
+    delivery.status = 'delivered';
+    delivery.delivered_at = new Date();
+    logger.info(`Webhook ${delivery.event} delivered to ${webhook.url} (attempt ${delivery.attempts})`);
+  } else if (delivery.attempts >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    logger.warn(`Webhook ${delivery.event} to ${webhook.url} failed permanently: ${errorMessage}`);
+  } else {
+    delivery.next_attempt_at = new Date(Date.now() + getRetryDelay(delivery.attempts));
+    logger.warn(`Webhook ${delivery.event} to ${webhook.url} failed (attempt ${delivery.attempts}): ${errorMessage}`);
+  }
+
+  await delivery.save();
+  await Webhook.updateOne(
+    { _id: webhook._id },
+    errorMessage
+      ? { $inc: { failure_count: 1 }, $set: { last_delivery_at: new Date() } }
+      : { $set: { failure_count: 0, last_delivery_at: new Date() } }
+  );
+
+  return delivery;
+}
+
+/**
+ * Crea la consegna di un evento per un webhook, riservandola per il primo tentativo
+ * @param {Object} webhook - Webhook di destinazione
+ * @param {String} event - Nome dell'evento
+ * @param {Object} data - Dati dell'evento
+ * @returns {Promise<Object>} - Consegna creata
+ */
+async function createDelivery(webhook, event, data) {
+  const delivery = new WebhookDelivery({
+    webhook: webhook._id,
+    event,
+    next_attempt_at: new Date(Date.now() + CLAIM_TIME)
+  });
+
+  delivery.payload = {
+    id: delivery._id.toString(),
+    event,
+    created_at: new Date().toISOString(),
+    data
+  };
+
+  return await delivery.save();
+}
+
+/**
+ * Registra una funzione da chiamare a ogni evento, oltre all'inoltro ai webhook
+ * @param {Function} listener - Funzione (event, data)
+ */
+function addEventListener(listener) {
+  if (!eventListeners.includes(listener)) {
+    eventListeners.push(listener);
+  }
+}
+
+/**
+ * Inoltra un evento alle funzioni registrate e ai webhook che lo hanno sottoscritto.
+ * Non attende le consegne e non genera errori: un integratore lento o
+ * irraggiungibile non deve rallentare né interrompere il bot
+ * @param {String} event - Nome dell'evento (uno di WEBHOOK_EVENTS)
+ * @param {Object} data - Dati dell'evento
+ */
+function dispatchEvent(event, data = {}) {
+  eventListeners.forEach(listener => {
+    try {
+      listener(event, data);
+    } catch (error) {
+      logger.error(`Error in listener for event ${event}: ${error.message}`);
+    }
+  });
+
+  (async () => {
+    const webhooks = await Webhook.find({
+      $or: [{ events: { $size: 0 } }, { events: event }]
+    });
+
+    for (const webhook of webhooks) {
+      const delivery = await createDelivery(webhook, event, data);
+      attemptDelivery(delivery, webhook).catch(error => {
+        logger.error(`Error delivering webhook ${event} to ${webhook.url}: ${error.message}`);
+      });
+    }
+  })().catch(error => {
+    logger.error(`Error dispatching webhook event ${event}: ${error.message}`);
+  });
+}
+
+/**
+ * Esegue i nuovi tentativi delle consegne fallite giunte a scadenza
+ * @returns {Promise<Number>} - Numero di consegne ritentate
+ */
+async function retryPendingDeliveries() {
+  try {
+    let retried = 0;
+
+    // Ogni consegna viene riservata in modo atomico, così più istanze non la inviano due volte
+    let delivery;
+    while ((delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: 'pending', next_attempt_at: { $lte: new Date() } },
+      { $set: { next_attempt_at: new Date(Date.now() + CLAIM_TIME) } },
+      { sort: { next_attempt_at: 1 }, new: true }
+    ))) {
+      const webhook = await Webhook.findById(delivery.webhook);
+
+      if (!webhook) {
+        delivery.status = 'failed';
+        delivery.error = 'webhook removed';
+        await delivery.save();
+        continue;
+      }
+
+      await attemptDelivery(delivery, webhook);
+      retried++;
+    }
+
+    return retried;
+  } catch (error) {
+    logger.error(`Error retrying webhook deliveries: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Interpreta l'elenco di eventi indicato da un amministratore
+ * @param {String} text - Eventi separati da virgola; "all" o vuoto per tutti.
+ *                        "session.*" e "queue.*" selezionano tutti gli eventi del gruppo
+ * @returns {Array} - Array di eventi, vuoto per tutti
+ */
+function parseEvents(text) {
+  if (!text || text.trim().toLowerCase() === 'all') {
+    return [];
+  }
+
+  const events = new Set();
+
+  text.split(',').map(item => item.trim().toLowerCase()).filter(Boolean).forEach(item => {
+    if (item.endsWith('.*')) {
+      const group = WEBHOOK_EVENTS.filter(event => event.startsWith(item.slice(0, -1)));
+
+      if (group.length === 0) {
+        throw localizedError('errors.webhook.invalidGroup', { group: item });
+      }
+
+      group.forEach(event => events.add(event));
+    } else if (WEBHOOK_EVENTS.includes(item)) {
+      events.add(item);
+    } else {
+      throw localizedError('errors.webhook.invalidEvent', { event: item, events: WEBHOOK_EVENTS.join(', ') });
+    }
+  });
+
+  return [...events];
+}
+
+/**
+ * Registra un nuovo webhook
+ * @param {String} url - URL http(s) dell'integratore
+ * @param {Array} events - Eventi inoltrati, vuoto per tutti
+ * @param {Number} adminId - ID Telegram dell'amministratore
+ * @returns {Promise<Object>} - { webhook, secret } con il segreto per verificare le firme
+ */
+async function addWebhook(url, events, adminId) {
+  try {
+    let target;
+    try {
+      target = new URL(url);
+    } catch (error) {
+      throw localizedError('errors.webhook.invalidUrl', { url });
+    }
+
+    if (!['http:', 'https:'].includes(target.protocol)) {
+      throw localizedError('errors.webhook.invalidProtocol');
+    }
+
+    const secret = 'whsec_' + crypto.randomBytes(24).toString('hex');
+    const webhook = await Webhook.create({
+      url: target.toString(),
+      secret,
+      events,
+      created_by: adminId
+    });
+
+    await auditHandler.recordEvent({
+      action: 'webhook_created',
+      actorId: adminId,
+      after: { url: webhook.url, events }
+    });
+
+    logger.info(`Webhook ${webhook.url} created by ${adminId} for ${events.length > 0 ? events.join(', ') : 'all events'}`);
+
+    return { webhook, secret };
+  } catch (error) {
+    logger.error(`Error creating webhook ${url}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene i webhook registrati in ordine di creazione
+ * @returns {Promise<Array>} - Array di webhook
+ */
+async function getWebhooks() {
+  try {
+    return await Webhook.find().sort({ createdAt: 1 });
+  } catch (error) {
+    logger.error(`Error getting webhooks: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Cerca un webhook tramite il numero nell'elenco
+ * @param {String} number - Numero del webhook (1, 2, ...)
+ * @returns {Promise<Object>} - Webhook trovato
+ */
+async function findWebhook(number) {
+  if (!/^\d+$/.test(number || '')) {
+    throw localizedError('errors.webhook.numberRequired');
+  }
+
+  const webhooks = await getWebhooks();
+  const webhook = webhooks[parseInt(number) - 1];
+
+  if (!webhook) {
+    throw localizedError('errors.webhook.notFound', { number });
+  }
+
+  return webhook;
+}
+
+/**
+ * Elimina un webhook; le consegne in attesa non saranno più ritentate
+ * @param {String} number - Numero del webhook nell'elenco
+ * @param {Number} adminId - ID Telegram dell'amministratore
+ * @returns {Promise<Object>} - Webhook eliminato
+ */
+async function removeWebhook(number, adminId) {
+  try {
+    const webhook = await findWebhook(number);
+
+    await Webhook.deleteOne({ _id: webhook._id });
+    await WebhookDelivery.updateMany(
+      { webhook: webhook._id, status: 'pending' },
+      { $set: { status: 'failed', error: 'webhook removed' } }
+    );
+
+    await auditHandler.recordEvent({
+      action: 'webhook_removed',
+      actorId: adminId,
+      before: { url: webhook.url, events: webhook.events }
+    });
+
+    logger.info(`Webhook ${webhook.url} removed by ${adminId}`);
+
+    return webhook;
+  } catch (error) {
+    logger.error(`Error removing webhook ${number}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Invia subito un evento di prova a un webhook, attendendo l'esito
+ * @param {String} number - Numero del webhook nell'elenco
+ * @param {Number} adminId - ID Telegram dell'amministratore
+ * @returns {Promise<Object>} - Consegna con l'esito del primo tentativo
+ */
+async function sendTestEvent(number, adminId) {
+  try {
+    const webhook = await findWebhook(number);
+    const delivery = await createDelivery(webhook, 'ping', { requested_by: adminId });
+
+    return await attemptDelivery(delivery, webhook);
+  } catch (error) {
+    logger.error(`Error sending test event to webhook ${number}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Ottiene le consegne più recenti
+ * @param {Number} limit - Numero massimo di consegne
+ * @returns {Promise<Array>} - Array di consegne con il webhook popolato
+ */
+async function getDeliveries(limit = 15) {
+  try {
+    return await WebhookDelivery.find()
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate('webhook', 'url');
+  } catch (error) {
+    logger.error(`Error getting webhook deliveries: ${error.message}`);
+    throw error;
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  signPayload,
+  addEventListener,
+  dispatchEvent,
+  retryPendingDeliveries,
+  parseEvents,
+  addWebhook,
+  getWebhooks,
+  removeWebhook,
+  sendTestEvent,
+  getDeliveries
+};
@@ -0,0 +1,1134 @@
+/**
+ * Catalogo dei messaggi in tedesco.
+ * Stesse chiavi, parametri e plurali del catalogo italiano (locales/it.js).
+ * I nomi dei comandi restano in italiano, come nel menu di Telegram.
+ */
+module.exports = {
+  meta: {
+    name: 'Deutsch',
+    intl: 'de-DE'
+  },
+
+  units: {
+    minutes: { one: '{count} Minute', other: '{count} Minuten' },
+    charges: { one: '{count} Ladevorgang', other: '{count} Ladevorgänge' },
+    days: { one: '{count} Tag', other: '{count} Tage' },
+    strikes: { one: '{count} Verwarnung', other: '{count} Verwarnungen' },
+    users: { one: '{count} Nutzer', other: '{count} Nutzer' }
+  },
+
+  errors: {
+    generic: '❌ Es ist ein Fehler aufgetreten: {error}',
+    start: '❌ Beim Start ist ein Fehler aufgetreten. Bitte versuche es später erneut.',
+    status: '❌ Beim Abrufen des Status ist ein Fehler aufgetreten: {error}',
+    unknownAction: '❓ Unbekannte Aktion.',
+
+    // Errori delle operazioni, mostrati nella lingua dell'utente
+    userNotFound: 'Benutzer @{username} nicht gefunden.',
+    stationNotFound: 'Station nicht gefunden.',
+    role: {
+      invalid: 'Ungültige Rolle "{role}". Rollen: {roles}.',
+      self: 'Du kannst deine eigene Rolle nicht ändern.',
+      notAllowed: 'Deine Rolle ({actorRole}) erlaubt es nicht, @{username} die Rolle {role} zuzuweisen.'
+    },
+    charger: {
+      tagTooLong: 'Der Kartencode darf höchstens 20 Zeichen lang sein.',
+      tagTaken: 'Die Karte {tag} ist bereits einem anderen Benutzer zugeordnet.'
+    },
+    ocpp: {
+      unknownChargePoint: 'Ladepunkt {chargePoint} war nie verbunden. Verbinde ihn mit dem OCPP-Server, bevor du ihn zuordnest.',
+      stationNotFound: 'Station "{station}" nicht gefunden. Nutze /admin_stations für die Liste.',
+      invalidMapping: 'Ungültige Zuordnung "{mapping}": nutze Anschluss=Platz mit einem Platz zwischen 1 und {slots}.',
+      duplicateSlot: 'Zwei Anschlüsse können nicht demselben Platz zugeordnet werden.',
+      mappingRequired: 'Station {station} hat {slots} Plätze: gib die Zuordnung der Anschlüsse mit Anschluss=Platz an.'
+    },
+    webhook: {
+      invalidGroup: 'Ungültige Ereignisgruppe "{group}".',
+      invalidEvent: 'Ungültiges Ereignis "{event}". Ereignisse: {events}.',
+      invalidUrl: 'Ungültige URL "{url}".',
+      invalidProtocol: 'Die Webhook-URL muss mit http:// oder https:// beginnen.',
+      numberRequired: 'Gib die Nummer des Webhooks an. Nutze /admin_webhook für die Liste.',
+      notFound: 'Webhook {number} nicht gefunden. Nutze /admin_webhook für die Liste.'
+    },
+    user: {
+      languageUnavailable: 'Sprache "{language}" ist nicht verfügbar.',
+      notRegistered: 'Benutzer nicht registriert. Nutze /start, um zu beginnen.',
+      notFound: 'Benutzer nicht gefunden.'
+    },
+    apiKey: {
+      nameRequired: 'Der Name des Schlüssels ist erforderlich.',
+      invalidScope: 'Ungültige Berechtigung "{scope}". Berechtigungen: read, write.',
+      notFound: 'Kein aktiver Schlüssel mit dem Präfix {prefix}.'
+    },
+    reservation: {
+      invalidTime: 'Ungültige Uhrzeit. Nutze das Format HH:MM-HH:MM, zum Beispiel 07:30-08:00.',
+      invalidDate: 'Ungültiges Datum "{date}".',
+      past: 'Das Buchungsfenster muss in der Zukunft liegen.',
+      tooFarAhead: 'Du kannst höchstens {days} Tage im Voraus buchen.',
+      invalidDuration: 'Das Fenster muss zwischen {min} und {max} Minuten dauern.',
+      overlap: 'Du hast bereits eine Buchung, die sich mit diesem Fenster überschneidet.',
+      full: 'Kein freier Platz bei {station} in diesem Fenster. Versuche eine andere Uhrzeit oder eine andere Station.',
+      fullQueue: 'Kein freier Platz bei {station} in diesem Fenster (die aktuelle Warteschlange ist bis dahin nicht abgearbeitet). Versuche eine andere Uhrzeit oder eine andere Station.',
+      fullReserved: 'Kein freier Platz bei {station} in diesem Fenster (bestehende Buchungen: {count}). Versuche eine andere Uhrzeit oder eine andere Station.',
+      notFound: 'Buchung nicht gefunden.'
+    },
+    session: {
+      alreadyActive: 'Du hast bereits einen aktiven Ladevorgang.',
+      noStation: 'Keine Station angegeben.',
+      stationMissing: 'Systemfehler. Station nicht gefunden.',
+      reservationReleased: 'Deine Buchung ist nicht mehr gültig: Der reservierte Platz wurde freigegeben.',
+      allSlotsTaken: 'Alle Plätze sind belegt.',
+      turnExpired: 'Deine Zeit ist abgelaufen. Nutze /prenota, um dich erneut anzustellen.',
+      noFreeSlot: 'Gerade sind keine Plätze frei. Nutze /prenota, um dich anzustellen.',
+      noneActive: 'Du hast keinen aktiven Ladevorgang.',
+      minutesTooLow: 'Die Anzahl der Minuten muss mindestens 1 sein.',
+      extendQueued: {
+        one: 'Der Ladevorgang kann nicht verlängert werden: {count} Benutzer wartet bei {station}. Gib den Platz zum Ende deiner Zeit mit /terminato frei.',
+        other: 'Der Ladevorgang kann nicht verlängert werden: {count} Benutzer warten bei {station}. Gib den Platz zum Ende deiner Zeit mit /terminato frei.'
+      },
+      maxDurationReached: 'Du hast die maximale Ladedauer bereits erreicht ({minutes} Minuten).',
+      extendReserved: 'Der Ladevorgang kann nicht verlängert werden: Die Plätze bei {station} sind während der gewünschten Verlängerung gebucht. Versuche es mit weniger Minuten.',
+      negativeMinutes: 'Die Anzahl der Minuten darf nicht negativ sein.',
+      noHandoverTaker: 'Niemand wartet an dieser Station auf das Kabel: Wenn du fertig bist, gib den Platz mit /terminato frei.',
+      noHandover: 'Du hast keine Kabelübergabe angekündigt.',
+      userNoneActive: 'Benutzer @{username} hat keine aktiven Ladevorgänge.'
+    },
+    queue: {
+      urgentReasonRequired: 'Gib den Grund für die dringende Anfrage an, zum Beispiel: /prenota urgente Akku bei 5%',
+      alreadyQueued: 'Du stehst bereits in der Warteschlange.',
+      userLeft: 'Der Benutzer steht nicht mehr in der Warteschlange.',
+      invalidPriority: 'Ungültige Klasse "{priority}". Klassen: {priorities}.',
+      userNotQueued: 'Benutzer @{username} nicht in der Warteschlange gefunden.',
+      notQueued: 'Du stehst nicht in der Warteschlange.',
+      nobodyToSkip: 'Sonst wartet niemand: Der Platz bleibt für dich reserviert. Nutze /cancella, wenn du darauf verzichten möchtest.',
+      noLongerQueued: 'Du stehst nicht mehr in der Warteschlange.',
+      urgentNotForReservations: 'Eine dringende Anfrage gilt nur für die Warteschlange, nicht für Buchungen mit Zeitfenster.'
+    },
+    station: {
+      slotsTooLow: 'Die Anzahl der Plätze muss mindestens 1 sein.',
+      notFound: 'Station "{station}" nicht gefunden. Nutze /stazioni für die Liste.',
+      nameRequired: 'Der Name der Station ist erforderlich.',
+      nameNumeric: 'Der Name der Station darf nicht nur aus einer Zahl bestehen.',
+      duplicate: 'Es gibt bereits eine Station namens "{station}".',
+      invalidName: 'Ungültiger Name der Station.',
+      invalidChargeTime: 'Die Ladezeit muss zwischen 1 und 120 Minuten liegen.',
+      invalidReminderTime: 'Die Erinnerungszeit muss zwischen 1 und 30 Minuten liegen.',
+      invalidField: 'Das Feld "{field}" kann nicht geändert werden. Gültige Felder: name, address, charge_time, reminder_time.'
+    },
+    fairness: {
+      dailyLimit: 'Du hast heute bereits {count} Mal geladen: Das Limit liegt bei {max} pro Tag, damit alle drankommen. Ab morgen kannst du wieder laden.',
+      weeklyLimit: 'Du hast diese Woche bereits {minutes} Minuten geladen: Das Limit liegt bei {max} Minuten pro Woche. Die Zählung beginnt am Montag neu.',
+      cooldown: {
+        one: 'Du hast gerade erst geladen und {count} Benutzer wartet: Zwischen zwei Ladevorgängen musst du {cooldown} Minuten warten. Versuche es in {remaining} Minuten erneut.',
+        other: 'Du hast gerade erst geladen und {count} Benutzer warten: Zwischen zwei Ladevorgängen musst du {cooldown} Minuten warten. Versuche es in {remaining} Minuten erneut.'
+      }
+    },
+    settings: {
+      unknown: 'Unbekannter Parameter "{key}".',
+      unknownWithList: 'Unbekannter Parameter "{key}". Gültige Parameter: {settings}.',
+      outOfRange: 'Der Wert von {key} muss eine Zahl zwischen {min} und {max} {unit} sein.',
+      outOfRangeInteger: 'Der Wert von {key} muss eine ganze Zahl zwischen {min} und {max} {unit} sein.',
+      reminderAfterEnd: 'Die Erinnerung (reminder_time) muss vor dem Ende kommen: Sie muss kleiner als charge_time sein.',
+      maxBelowCharge: 'Die maximale Dauer (max_session_time) darf nicht kleiner als die Ladezeit (charge_time) sein.'
+    },
+    strike: {
+      suspended: 'Dein Konto ist bis {until} gesperrt. Bis dahin kannst du weder buchen noch Ladevorgänge starten. Wende dich für Details an einen Administrator.',
+      suspendedReason: 'Dein Konto ist bis {until} gesperrt wegen: {reason}. Bis dahin kannst du weder buchen noch Ladevorgänge starten. Wende dich für Details an einen Administrator.',
+      self: 'Du kannst dich nicht selbst sperren oder entsperren.',
+      notAllowed: 'Deine Rolle ({actorRole}) erlaubt es nicht, @{username} ({targetRole}) zu verwalten.',
+      notSuspended: '@{username} ist nicht gesperrt.'
+    },
+    notifications: {
+      invalidOption: 'Ungültige Einstellung.'
+    },
+    billing: {
+      invalidEnergy: 'Gib die geladenen kWh an (z. B. 12.5) oder den Zählerstand zu Beginn und am Ende (z. B. 1520.3 1532.8).',
+      meterDecreasing: 'Der Endzählerstand muss größer als der Anfangszählerstand sein.',
+      implausible: 'Unplausibler Wert: Ein Ladevorgang kann {max} kWh nicht überschreiten.',
+      noRecentSession: 'Du hast in den letzten {hours} Stunden keinen Ladevorgang beendet.',
+      invalidMonth: 'Gib den Monat im Format MM/JJJJ an, zum Beispiel 10/2026.'
+    },
+    simulator: {
+      inactive: 'Der Simulator-Treiber ist nicht aktiv: Füge ihn zu CHARGER_DRIVERS hinzu.',
+      invalidAction: 'Ungültige Aktion "{action}". Nutze: {actions}.',
+      invalidSlot: 'Ungültiger Platz: Die Station {station} hat {slots} Plätze.',
+      alreadyCharging: 'Auf Platz {slot} läuft bereits ein simulierter Ladevorgang.',
+      notCharging: 'Auf Platz {slot} läuft kein simulierter Ladevorgang.'
+    }
+  },
+
+  access: {
+    banned: '🚫 @{username}, dein Zugang zum Bot wurde gesperrt.\n\nWende dich für weitere Informationen an den Administrator.',
+    unauthorized: '⚠️ *Kein Zugriff*\n\nTut mir leid @{username}, um diesen Bot zu nutzen, musst du Mitglied der berechtigten Gruppe sein.\n\nWende dich für weitere Informationen an den Administrator.',
+    unauthorizedAlert: '⚠️ Um diesen Bot zu nutzen, musst du Mitglied der berechtigten Gruppe sein.',
+    adminOnly: '🚫 Dieser Befehl ist Administratoren vorbehalten.',
+    roleNotAllowed: '🚫 Deine Rolle ({role}) erlaubt diesen Befehl nicht.'
+  },
+
+  sessionStatus: {
+    active: '✅ Aktiv',
+    completed: '✓ Abgeschlossen',
+    timeout: '⏱️ Abgelaufen',
+    admin_terminated: '🛑 Vom Admin beendet'
+  },
+
+  // Classi di priorità in coda
+  priorities: {
+    critical: '🔴 Akku kritisch',
+    accessibility: '♿ Barrierefreiheit',
+    normal: 'normal'
+  },
+
+  // Esito di una ricarica conclusa
+  outcomes: {
+    completed: '✅ abgeschlossen',
+    timeout: '⏱️ Zeit abgelaufen',
+    admin_terminated: '🔧 vom Admin beendet'
+  },
+
+  status: {
+    title: '📊 *Aktueller Status: {station}*',
+    occupied: '🔌 Belegte Plätze: *{occupied}/{total}*',
+    charging: '⚡ *Nutzer, die gerade laden:*',
+    chargingEntry: '{index}. @{username} - Platz {slot} (⏱️ endet in *{minutes} Min.*)',
+    noCharging: '✨ *Derzeit lädt niemand.*',
+    waiting: '👥 Wartende Nutzer: *{count}*',
+    estimatedWait: '⏱️ Wer sich jetzt anstellt, ist voraussichtlich *{wait}* an der Reihe',
+    next: '🔜 *Als Nächstes in der Warteschlange:*',
+    nextEntry: '{position}. @{username}{badge} - ⏱️ {wait}',
+    ownPosition: '📍 Du bist auf Position *#{position}* in der Warteschlange. Um auf deinen Platz zu verzichten, nutze */cancella*.',
+    cancelHint: 'Du stehst in der Warteschlange? Um auf deinen Platz zu verzichten, nutze */cancella*.',
+    emptyQueue: '✅ *Niemand in der Warteschlange.*',
+    bookHint: 'Möchtest du laden? Nutze */prenota*, um zu beginnen.',
+    slotsSummary: '🔌 {station}: derzeit {occupied}/{total} Plätze belegt.'
+  },
+
+  wait: {
+    now: 'sofort',
+    about: 'in etwa {eta}',
+    range: 'in etwa {eta} ({min} bis {max})',
+    expected: '⏱️ Du bist voraussichtlich *{wait}* an der Reihe.'
+  },
+
+  overview: {
+    title: '📊 *Aktueller Status der Stationen*',
+    queued: ' - 👥 In der Warteschlange: *{count}*',
+    hint: 'Für die Details einer Station nutze */status [Nummer]*.'
+  },
+
+  statusBoard: {
+    title: '📋 *Status der Ladestationen*',
+    station: '🏢 *{station}* - {occupied}/{total} belegt',
+    slotCharging: '🔴 Platz {slot}: @{username} - endet in {minutes} Min.',
+    slotOverdue: '🔴 Platz {slot}: @{username} - Zeit abgelaufen',
+    slotReserved: '🟡 Platz {slot}: reserviert',
+    slotFree: '🟢 Platz {slot}: frei',
+    queue: '👥 In der Warteschlange ({count}): {users}',
+    emptyQueue: '👥 Niemand in der Warteschlange',
+    updated: '🕒 Aktualisiert um {time}'
+  },
+
+  statusPage: {
+    title: 'Status der Ladestationen',
+    slot: 'Platz {slot}',
+    endsIn: 'endet in {minutes} Min.',
+    overdue: 'Zeit abgelaufen',
+    reserved: 'Reserviert',
+    free: 'Frei',
+    summary: '{free} von {total} Plätzen frei',
+    queue: 'In der Warteschlange: {count}',
+    nextTurn: 'wer sich jetzt anstellt, ist {wait} dran',
+    emptyQueue: 'Niemand in der Warteschlange',
+    footer: 'Aktualisiert um {time} · die Seite wird alle {seconds} Sekunden aktualisiert · zum Buchen den Telegram-Bot verwenden',
+    unavailable: 'Status vorübergehend nicht verfügbar, neuer Versuch in {seconds} Sekunden.'
+  },
+
+  stations: {
+    title: '🏢 *Ladestationen*',
+    slots: '🔌 {total} Plätze - 🟢 {available} frei',
+    hint: 'Du kannst die Station mit Nummer oder Name angeben, zum Beispiel */prenota 1*.'
+  },
+
+  stationChoice: {
+    title: '🏢 *Wähle eine Station*',
+    hint: 'Wiederhole den Befehl mit der Station, zum Beispiel */{command} 1*.\nDie gewählte Station wird für die nächsten Male gespeichert.'
+  },
+
+  settings: {
+    title: '⚙️ *Systemparameter*',
+    overridden: ' (Standard {value})',
+    default: ' (Standard)',
+    range: ' - Werte {min}-{max}',
+    footer: 'Um einen Parameter zu ändern, nutze */admin_set [Parameter] [Wert]*, mit *default* statt des Werts, um zum konfigurierten Wert zurückzukehren.\nAuf einer Station eingestellte Zeiten (/admin_edit_station) haben Vorrang.'
+  },
+
+  consistency: {
+    title: '🩺 *Konsistenzprüfung*',
+    titleDryRun: '🩺 *Konsistenzprüfung* (Simulation)',
+    ok: '✅ Zähler, Sitzungen und Warteschlange stimmen an allen Stationen überein.',
+    queueGaps: 'Neu zu ordnende Warteschlangenpositionen',
+    dryRunFooter: 'Keine Änderungen vorgenommen. Nutze */admin_check fix* zum Korrigieren.',
+    fixed: '✅ Abweichungen korrigiert.'
+  },
+
+  history: {
+    title: '📜 *Ladeverlauf*',
+    titlePaged: '📜 *Ladeverlauf* (Seite {page}/{totalPages})',
+    empty: 'Du hast noch keinen Ladevorgang abgeschlossen. Nutze */prenota*, um zu beginnen!',
+    entry: '📅 *{date}* - {station}Platz {slot}',
+    total: 'Ladevorgänge insgesamt: *{count}*'
+  },
+
+  statistics: {
+    title: '📈 *Deine Statistik - {month}*',
+    empty: 'Keine Ladevorgänge in diesem Monat.',
+    count: '🔋 Ladevorgänge: *{count}*',
+    totalTime: '⏱️ Gesamtzeit: *{duration}*',
+    average: '📊 Durchschnittliche Dauer: *{duration}*',
+    outcomes: '*Ergebnis:*',
+    weeks: '*Pro Woche:*',
+    week: '📅 Ab {date}: {charges}, {duration}',
+    sinceJoin: '*Seit der Anmeldung:*',
+    lastCharge: '🕒 Letzter Ladevorgang: {date}'
+  },
+
+  report: {
+    title: '💶 *Ladebericht {month}*',
+    empty: 'Keine Ladevorgänge in diesem Monat.',
+    charges: '🔋 Ladevorgänge: *{count}* ({duration})',
+    energy: '⚡ Energie: *{energy}*',
+    total: '💶 Gesamtbetrag: *{cost}*',
+    missingEnergy: {
+      one: 'ℹ️ {count} Ladevorgang ohne angegebene Energie',
+      other: 'ℹ️ {count} Ladevorgänge ohne angegebene Energie'
+    },
+    users: '👥 *Nutzer:* {count}',
+    userRow: '- @{username}: {charges}, {energy}, *{cost}*',
+    more: { one: '...und ein weiterer Nutzer', other: '...und {count} weitere Nutzer' },
+    csv: 'Alle Details stehen in der angehängten CSV-Datei.',
+    caption: 'Ladebericht {month}'
+  },
+
+  roles: {
+    title: '👥 *Vergebene Rollen*',
+    labels: {
+      owner: '👑 owner',
+      admin: '🔧 admin',
+      moderator: '🛡️ moderator',
+      banned: '🚫 banned'
+    },
+    owner: '{label}: ID {id} (aus der Konfiguration)',
+    permissions: '*Berechtigungen:*\n- *moderator*: Status, Statistiken, Verwaltung der Warteschlange und der Prioritäten\n- *admin*: zusätzlich Parameter, Stationen, Sitzungen, Berichte, Ausnahmen und die Rollen moderator/banned\n- *owner*: alles, einschließlich Systemreset und Rolle admin\n\nNutze */admin_grant @username [Rolle]* und */admin_revoke @username*.'
+  },
+
+  urgent: {
+    title: {
+      one: '🔴 *Dringende Anfragen des letzten Tages*',
+      other: '🔴 *Dringende Anfragen der letzten {count} Tage*'
+    },
+    empty: 'Keine dringenden Anfragen.',
+    perUser: '*Pro Nutzer:*',
+    demoted: { one: ' ({count} herabgestuft)', other: ' ({count} herabgestuft)' },
+    latest: '*Letzte Anfragen:*',
+    hint: 'Um die Klasse eines wartenden Nutzers zu ändern, nutze */admin_priority @username [Klasse]*.'
+  },
+
+  strikes: {
+    reasons: {
+      no_show: 'Platz nicht bestätigt',
+      overstay: 'Platz nicht rechtzeitig freigegeben'
+    },
+    received: {
+      title: '🟨 *Verwarnung erhalten*',
+      body: '@{username}, du hast eine Verwarnung erhalten: _{reason}_.',
+      suspended: '⛔ Du hast *{count}* Verwarnungen erreicht: dein Konto ist bis *{date}* gesperrt. Bis dahin kannst du weder reservieren noch Ladevorgänge starten.',
+      threshold: 'Gültige Verwarnungen: *{count}/{threshold}*. Bei Erreichen der Grenze wird das Konto vorübergehend gesperrt.',
+      count: 'Gültige Verwarnungen: *{count}*.'
+    },
+    flagged: {
+      title: '🟨 *Verwarnungen und Sperren*',
+      empty: 'Keine Nutzer mit gültigen Verwarnungen oder Sperren.',
+      banned: ' - 🚫 ausgeschlossen',
+      suspended: ' - ⛔ gesperrt bis {date}',
+      rules: 'Regeln: Sperre für {suspension} nach {strikes} in {window}',
+      disabled: ' (deaktiviert)',
+      hint: 'Details mit */admin_strikes @username*.'
+    },
+    user: {
+      title: '🟨 *Verwarnungen von @{username}*',
+      banned: '🚫 Dauerhaft ausgeschlossen{reason}',
+      suspended: '⛔ Gesperrt bis *{date}*{reason}',
+      reason: ' wegen: {reason}',
+      active: 'Gültige Verwarnungen: *{count}*',
+      empty: 'Keine Verwarnungen erfasst.',
+      hint: 'Um die gültigen Verwarnungen aufzuheben, nutze */admin_strikes @{username} clear*.'
+    }
+  },
+
+  apiKeys: {
+    title: '🔑 *Aktive API-Schlüssel*',
+    empty: 'Keine aktiven Schlüssel.',
+    lastUsed: ' - zuletzt verwendet {date}',
+    neverUsed: ' - nie verwendet',
+    hint: 'Nutze */admin_apikey add Name [read|write]*, um einen zu erstellen (im privaten Chat), und */admin_apikey revoke [Präfix]*, um ihn zu widerrufen.'
+  },
+
+  webhooks: {
+    title: '🪝 *Registrierte Webhooks*',
+    empty: 'Keine Webhooks registriert.',
+    events: 'Ereignisse: {events}',
+    allEvents: 'alle',
+    lastDelivery: 'Letzte Zustellung: {date}',
+    noDelivery: 'Keine Zustellung',
+    failures: {
+      one: ' - ⚠️ {count} Fehler in Folge',
+      other: ' - ⚠️ {count} Fehler in Folge'
+    },
+    hint: 'Nutze */admin_webhook add url [Ereignisse]*, um einen zu registrieren (im privaten Chat), */admin_webhook test [n]*, um ein Testereignis zu senden, */admin_webhook remove [n]*, um ihn zu entfernen, und */admin_webhook log* für die letzten Zustellungen.'
+  },
+
+  deliveries: {
+    title: '🪝 *Letzte Webhook-Zustellungen*',
+    empty: 'Keine Zustellungen erfasst.',
+    removed: 'Webhook entfernt',
+    attempts: 'Versuche: {count}',
+    nextAttempt: ' - nächster Versuch {time}'
+  },
+
+  ocpp: {
+    title: '🔌 *OCPP-Ladesäulen*',
+    empty: 'Bisher hat sich keine Ladesäule mit dem OCPP-Server verbunden.',
+    unlinked: ' - keiner Station zugeordnet',
+    lastSeen: 'Letzter Kontakt: {date}',
+    connector: 'Anschluss {connector} → Platz {slot}: {status}',
+    unattributed: ' - ⚠️ nicht zugeordneter Ladevorgang',
+    hint: 'Nutze */admin_ocpp link [Ladesäule] [Station] [Anschluss=Platz ...]*, um eine Ladesäule zuzuordnen. Der Status der Plätze und die RFID-Karten der Nutzer stehen in /admin_chargers.'
+  },
+
+  chargers: {
+    title: '🔌 *Status der Plätze laut Ladesäulen*',
+    drivers: 'Aktive Treiber: {drivers}',
+    noDrivers: 'keine',
+    empty: 'Bisher wurde kein Platz von einer Ladesäule gemeldet.',
+    removedStation: 'Entfernte Station',
+    slot: '{station} Platz {slot}: {status} ({driver})',
+    ghost: ' - 👻 keine Sitzung seit {time}',
+    mismatches: '⚠️ *Sitzungen ohne Fahrzeug am Platz:*',
+    mismatch: '- @{username} - {station} Platz {slot}, seit {time}',
+    hint: 'Nutze */admin_chargers tag @username [Karte|off]* für die RFID-Karte eines Nutzers.',
+    hintSimulator: 'Nutze */admin_chargers tag @username [Karte|off]* für die RFID-Karte eines Nutzers und */admin_chargers sim [Station] [Platz] [plug|start|stop|unplug] [Karte]*, um ein Fahrzeug zu simulieren.',
+    mismatchNotice: `
+⚠️ *Ladevorgang nicht erkannt, @{username}*
+
+Du hast die Sitzung an Platz *{slot}* vor mehr als {duration} gestartet, aber die Ladesäule erkennt kein angeschlossenes Fahrzeug.
+
+- Prüfe, ob du das Fahrzeug an Platz *{slot}* angeschlossen und den Ladevorgang gestartet hast
+- Wenn du nicht lädst, bestätige mit */terminato*, um den Platz freizugeben
+`,
+    startDetected: '🔌 *Ladevorgang von der Ladesäule erkannt*',
+    stopDetected: '🔌 *Ladeende von der Ladesäule erkannt*',
+    sessionError: '⚠️ Die Ladesäule hat den Ladevorgang gestartet, aber die Sitzung konnte nicht erfasst werden: {error}'
+  },
+
+  ghostSlot: {
+    title: '👻 *Platz ohne Sitzung belegt*',
+    occupied: 'Platz *{slot}* an *{station}* ist seit {time} belegt, aber kein Nutzer hat eine Sitzung mit dem Bot gestartet.',
+    charging: 'An Platz *{slot}* von *{station}* wird seit {time} geladen, aber kein Nutzer hat eine Sitzung mit dem Bot gestartet.',
+    removedStation: 'einer entfernten Station',
+    rfid: 'RFID-Karte: `{tag}`',
+    hint: 'Nutze /admin_chargers für den Status aller Plätze.'
+  },
+
+  audit: {
+    // Etichette delle azioni del registro
+    actions: {
+      session_start: '⚡ Ladebeginn',
+      session_end: '✅ Ladeende',
+      queue_cancel: '🚶 Warteschlange verlassen',
+      queue_skip: '⏭️ Platz abgegeben',
+      queue_timeout: '⏱️ Platz verfallen',
+      queue_started: '▶️ Von der Warteschlange zum Laden',
+      queue_admin_remove: '🚫 Aus der Warteschlange entfernt',
+      queue_priority: '⬆️ Priorität geändert',
+      role_change: '🎖️ Rolle geändert',
+      max_slots_update: '🔄 Plätze geändert',
+      notify_all: '📣 Mitteilung an alle',
+      system_reset: '🗑️ Systemreset',
+      strike: '🟨 Verwarnung',
+      strikes_cleared: '🧽 Verwarnungen aufgehoben',
+      suspension: '⛔ Sperre',
+      unban: '🔓 Sperre aufgehoben',
+      queue_banned: '⛔ Wegen Sperre aus der Warteschlange entfernt',
+      queue_api: '🔌 Über die API aus der Warteschlange entfernt',
+      queue_api_request: '🔌 Ladeanfrage über die API',
+      apikey_created: '🔑 API-Schlüssel erstellt',
+      apikey_revoked: '🔑 API-Schlüssel widerrufen',
+      webhook_created: '🪝 Webhook registriert',
+      webhook_removed: '🪝 Webhook entfernt',
+      ocpp_link: '🔌 Ladesäule zugeordnet',
+      charger_tag: '🪪 RFID-Karte',
+      charger_mismatch: '⚠️ Fahrzeug von der Ladesäule nicht erkannt',
+      charger_ghost: '👻 Platz ohne Sitzung belegt',
+      handover_announce: '🔌 Kabelübergabe angekündigt',
+      handover_cancel: '↩️ Kabelübergabe abgesagt'
+    },
+    title: {
+      one: '📜 *Aktionsprotokoll des letzten Tages*',
+      other: '📜 *Aktionsprotokoll der letzten {count} Tage*'
+    },
+    empty: 'Keine Aktionen erfasst.',
+    system: 'System',
+    user: 'Nutzer',
+    actor: 'von: {actor}',
+    more: { one: '…und ein weiteres Ereignis.', other: '…und {count} weitere Ereignisse.' },
+    csv: 'Füge *csv* zum Befehl hinzu, um alle Ereignisse herunterzuladen.',
+    caption: {
+      one: 'Aktionsprotokoll des letzten Tages{user}',
+      other: 'Aktionsprotokoll der letzten {count} Tage{user}'
+    }
+  },
+
+  help: {
+    user: `
+🔋 *Anleitung zu Green-Charge* 🔋
+
+*So lädst du dein Fahrzeug:*
+
+1️⃣ Nutze */prenota [Station]*, um eine Ladesäule anzufragen
+   • Die Station kann mit Nummer oder Name angegeben werden (siehe */stazioni*)
+   • Ohne Angabe wird die zuletzt genutzte Station verwendet
+   • Ist ein Platz frei, bekommst du sofort grünes Licht
+   • Sind alle Ladesäulen belegt, kommst du in die Warteschlange
+
+2️⃣ Wenn du an der Reihe bist:
+   • Geh zur Ladesäule und aktiviere sie über die App
+   • Bestätige den Beginn mit */iniziato*
+   • *Du hast {queueTimeout}*, um zu beginnen, sonst verfällt dein Platz
+
+3️⃣ Während des Ladens:
+   • Du hast höchstens *{chargeTime}* zur Verfügung
+   • Du erhältst {reminderTime} vor Ablauf eine Erinnerung
+   • Wenn niemand wartet, kannst du den Ladevorgang mit */estendi* verlängern
+
+4️⃣ Am Ende:
+   • Beende den Ladevorgang und steck das Fahrzeug ab
+   • Bestätige mit */terminato*, um den Platz freizugeben
+   • Du kannst die geladenen kWh mit */terminato [kWh]* oder die Zählerstände mit */terminato [Anfang] [Ende]* angeben
+   • Wartet jemand, kündige mit */lascio [Minuten]* an, wann du absteckst: das Kabel geht direkt an ihn
+
+*Weitere nützliche Befehle:*
+
+📝 */prenota [Station]* - Ladesäule anfragen oder in die Warteschlange
+🔴 */prenota [Station] urgente [Grund]* - Vorrang in der Warteschlange erbitten (z. B. Akku fast leer)
+📅 */prenota [Station] [Tag] HH:MM-HH:MM* - Ein künftiges Zeitfenster reservieren (z. B. */prenota domani 07:30-08:00*)
+📋 */prenotazioni* - Deine Reservierungen anzeigen
+❌ */cancella [Nummer]* - Auf deinen Platz verzichten oder eine Reservierung stornieren
+⏩ */estendi [Minuten]* - Den laufenden Ladevorgang verlängern, wenn niemand wartet
+🔌 */lascio [Minuten]* - Ankündigen, wann du absteckst, und das Kabel an den Ersten in der Warteschlange übergeben (*/lascio annulla* zum Absagen)
+⚡ */energia [kWh]* - Die Energie des letzten beendeten Ladevorgangs angeben
+📊 */status [Station]* - Prüfen, welche Ladesäulen frei/belegt sind
+🏢 */stazioni* - Liste der Ladestationen
+📜 */storico* - Deine letzten Ladevorgänge
+📈 */statistiche* - Deine Statistik nach Monat und Woche
+🌐 */lingua [it|en|de|auto]* - Sprache des Bots ändern
+🔔 */notifiche* - Erinnerungen, Hinweise auf freie Plätze, Ankündigungen und Ruhezeiten
+👀 */avvisami [Station] [HH:MM-HH:MM] [sempre]* - Hinweis, sobald ein Platz frei wird, ohne dich in die Warteschlange zu stellen (*/avvisami annulla* zum Abbrechen)
+❓ */help* - Diese Anleitung anzeigen
+📍 */dove_sono* - ID des aktuellen Chats anzeigen
+
+*Tipps:*
+- Nach der Benachrichtigung hast du {queueTimeout}, um zu beginnen
+- Wenn du es dir anders überlegst oder etwas dazwischenkommt, nutze */cancella*, um den Platz freizugeben
+- Halte die Höchstzeit von {chargeTime} aus Rücksicht auf alle ein
+{fairness}`,
+    fairness: '*Fairnessregeln:*',
+    rules: {
+      dailySessions: '- Höchstens {charges} pro Tag',
+      weeklyMinutes: '- Höchstens {duration} Ladezeit pro Woche',
+      cooldown: '- Wenn andere warten, warte {duration} zwischen zwei Ladevorgängen',
+      strikes: '- Ein verpasster Platz führt zu einer Verwarnung: bei {strikes} in {window} wird das Konto für {suspension} gesperrt',
+      strikesOverdue: '- Ein verpasster Platz oder mehr als {overdue} Verspätung beim Freigeben des Platzes führen zu einer Verwarnung: bei {strikes} in {window} wird das Konto für {suspension} gesperrt'
+    },
+    admin: `
+
+🔧 *ADMINISTRATORBEFEHLE* 🔧
+
+ℹ️ Moderatoren können Status, Statistiken, Stationen, Parameter, Konsistenzprüfung und Warteschlangenverwaltung nutzen; die übrigen Befehle erfordern die Rolle admin, der Systemreset die Rolle owner.
+
+*Systemverwaltung:*
+📊 */admin_status* - Detaillierter Systemstatus
+📈 */admin_stats* - Systemstatistiken
+🔄 */admin_set_max_slots [Anzahl] [Station]* - Höchstzahl der Plätze festlegen
+⚙️ */admin_settings* - Parameter (Zeiten und Tarife) mit den aktuellen Werten
+🔄 */admin_set [Parameter] [Wert|default]* - Einen Parameter ändern
+🔄 */admin_set_charge_time [Minuten]* - Maximale Ladezeit festlegen
+🔄 */admin_set_reminder_time [Minuten]* - Erinnerungszeit festlegen
+💶 */admin_report [MM/JJJJ]* - Monatsbericht pro Nutzer (Ladevorgänge, kWh, Kosten) mit CSV-Datei
+📜 */admin_audit [@username] [Tage] [csv]* - Aktionsprotokoll (Sitzungen, Warteschlange, Plätze, Resets, Mitteilungen)
+🔑 */admin_apikey [add Name [read|write] | revoke Präfix]* - Schlüssel der REST-API (ohne Argumente werden die aktiven Schlüssel angezeigt)
+🔌 */admin_ocpp [link Ladesäule Station [Anschluss=Platz]]* - OCPP-Ladesäulen: Status der Anschlüsse und Zuordnung zu den Plätzen
+🚗 */admin_chargers [tag @username Karte | sim Station Platz Aktion [Karte]]* - Von den Ladesäulen gemeldete Plätze, Fahrzeuge ohne Sitzung, RFID-Karten und Simulator
+🪝 */admin_webhook [add url Ereignisse | test n | remove n | log]* - Ausgehende Webhooks für Sitzungs- und Warteschlangenereignisse (ohne Argumente werden die Webhooks angezeigt)
+🩺 */admin_check [fix]* - Zähler mit den tatsächlichen Sitzungen und der Warteschlange vergleichen (mit *fix* korrigieren)
+🗑️ */admin_reset_system* - System vollständig zurücksetzen (mit Bestätigung)
+
+*Stationsverwaltung:*
+🏢 */admin_stations* - Stationen mit ihrer Konfiguration
+➕ */admin_add_station Name | Adresse | Plätze* - Eine Station hinzufügen
+✏️ */admin_edit_station [Station] [Feld] [Wert]* - Eine Station bearbeiten (Felder: name, address, charge_time, reminder_time)
+
+*Nutzerverwaltung:*
+⏹️ */admin_reset_slot @username* - Sitzung zwangsweise beenden
+🚫 */admin_remove_queue @username* - Nutzer aus der Warteschlange entfernen
+⬆️ */admin_priority @username [Klasse]* - Klasse in der Warteschlange ändern (critical, accessibility, normal)
+🔴 */admin_urgent [Tage]* - Letzte dringende Anfragen mit den angegebenen Gründen
+👥 */admin_roles* - Vergebene Rollen (owner, admin, moderator, banned)
+🎖️ */admin_grant @username [Rolle]* - Eine Rolle vergeben (admin, moderator, user, banned)
+↩️ */admin_revoke @username* - Nutzer auf die Grundrolle zurücksetzen
+⚖️ */admin_exempt [@username]* - Nutzer von den Ladegrenzen ausnehmen (ohne Argumente werden die Ausnahmen angezeigt)
+✅ */admin_unexempt @username* - Ausnahme widerrufen
+🟨 */admin_strikes [@username] [clear]* - Verwarnungen und Sperren (mit *clear* werden die Verwarnungen des Nutzers aufgehoben)
+⛔ */admin_ban @username [Tage] [Grund]* - Nutzer sperren (ohne Tage ist der Ausschluss dauerhaft)
+🔓 */admin_unban @username* - Sperre aufheben und Verwarnungen zurücksetzen
+📣 */admin_notify_all [Nachricht]* - Nachricht an alle senden
+
+*Diagnose:*
+🔍 */dbtest* - Datenbankstatus prüfen
+🔄 */admin_update_commands* - Bot-Befehle aktualisieren
+`
+  },
+
+  session: {
+    location: '🏢 Station: *{station}* - Platz *{slot}*',
+    started: `
+✅ *Ladevorgang erfolgreich gestartet!*
+
+{location}⏱️ Begonnen um: *{start}*
+⌛ Voraussichtliches Ende: *{end}*
+⏳ Höchstdauer: *{duration}*
+
+📱 *Was jetzt zu tun ist:*
+- Du erhältst {reminder} vor Ablauf eine Erinnerung
+- Wenn du fertig bist, steck das Fahrzeug ab
+- Bestätige mit */terminato* (oder mit der Schaltfläche unten), um den Platz freizugeben
+
+⚠️ *Wichtig:* Wenn du nicht innerhalb der Höchstdauer bestätigst, erhältst du möglicherweise Erinnerungen.
+`,
+    energy: '⚡ Geladene Energie: *{energy}*',
+    cost: '💶 Kosten: *{cost}*',
+    energyHint: 'ℹ️ Du kannst die geladenen kWh mit */energia [kWh]* oder die Zählerstände mit */energia [Anfang] [Ende]* angeben',
+    ended: `
+✅ *Ladevorgang erfolgreich beendet!*
+
+⏱️ Gesamtdauer: *{duration}*
+{billing}🔋 Danke, dass du Green-Charge nutzt!
+
+👍 Du hast den Platz für die anderen Nutzer freigegeben.
+Möchtest du erneut laden? Nutze */prenota*
+`,
+    capped: 'ℹ️ Die Verlängerung wurde gekürzt, um die Höchstdauer von *{duration}* einzuhalten.',
+    extended: `
+⏩ *Ladevorgang um {duration} verlängert*
+
+⌛ Neues voraussichtliches Ende: *{end}*
+{capped}
+Du erhältst vor Ablauf eine neue Erinnerung.
+Wenn du fertig bist, bestätige mit */terminato*, um den Platz freizugeben.
+`,
+    terminatedByAdmin: '⚠️ *Dein Ladevorgang wurde von einem Administrator beendet.*\n\n⏱️ Dauer: *{duration}*.\n\nFür weitere Informationen wende dich an einen Administrator.',
+    terminatedByReset: '⚠️ *Dein Ladevorgang wurde wegen eines Systemresets beendet.*\n\nℹ️ Das System wurde von einem Administrator zurückgesetzt.\n\nBei Bedarf kannst du mit /prenota eine neue Sitzung reservieren.',
+    overdue: '⚠️ *WICHTIGE ERINNERUNG*\n\n@{username}, deine Zeit ist seit *{duration}* abgelaufen.\n\n🔸 Bitte gib den Platz sofort frei.\n🔸 Bestätige mit /terminato, sobald du das Fahrzeug abgesteckt hast.\n\nAndere Nutzer warten darauf, die Ladesäule zu nutzen. Danke für deine Mithilfe!'
+  },
+
+  energyRecorded: {
+    title: '⚡ *Energie erfasst*',
+    session: '📅 Ladevorgang vom {date}',
+    meter: '📟 Zähler: {start} → {end}',
+    energy: '🔋 Geladene Energie: *{energy}*',
+    usage: '❌ Verwendung: /energia <kWh> oder /energia <Anfangsstand> <Endstand>\nBeispiel: `/energia 12.5` oder `/energia 1520.3 1532.8`'
+  },
+
+  extend: {
+    usage: '❌ Verwendung: /estendi [Minuten]'
+  },
+
+  handover: {
+    usage: '❌ Verwendung: /lascio [Minuten] oder /lascio annulla',
+    announced: `
+🔌 *Kabelübergabe angekündigt*
+
+Du steckst gegen *{time}* ab: @{username} wurde benachrichtigt und bekommt den Platz direkt, ohne dass er an jemand anderen geht.
+
+Bestätige beim Abstecken mit */terminato*, oder @{username} bestätigt mit */iniziato*, wenn er das Kabel übernimmt.
+Zum Absagen nutze */lascio annulla*.
+`,
+    headsUp: `
+🔔 *Vorankündigung für dich, @{username}!*
+
+@{from} steckt gegen *{time}* von Platz *{slot}* an *{station}* ab und übergibt dir das Kabel: der Platz wird an niemand anderen vergeben.
+
+Sei an der Ladestation. Wenn du das Kabel übernimmst, bestätige mit */iniziato* oder dem Button: der Ladevorgang von @{from} endet und deiner beginnt.
+`,
+    ready: `
+🔌 *@{from} hat Platz {slot} an {station} freigegeben, @{username}!*
+
+Der Platz ist für dich reserviert. Schließe dein Fahrzeug an und bestätige mit */iniziato* innerhalb von *{timeout}*, sonst verlierst du deinen Platz in der Warteschlange.
+`,
+    completed: '🔌 Der Platz ist für @{username} reserviert, der das Kabel von dir übernimmt.',
+    takenOver: '🔌 @{username} hat das Kabel an Platz *{slot}* von *{station}* übernommen: dein Ladevorgang ist beendet. Danke!',
+    cancelled: '↩️ Kabelübergabe an @{username} abgesagt: nach deinem Ladevorgang geht der Platz an den Ersten in der Warteschlange.',
+    cancelledNotice: '↩️ @{from} hat die Kabelübergabe abgesagt. Du bleibst in der Warteschlange und wirst benachrichtigt, wenn ein Platz frei wird.'
+  },
+
+  welcome: `
+👋 *Willkommen bei Green-Charge, @{username}!*
+
+Dieser Bot verwaltet die Warteschlange für die Ladesäulen einfach und schnell.
+
+📱 *So legst du los:*
+
+- Nutze */prenota*, um eine Ladesäule anzufragen
+- Sind alle belegt, kommst du in die Warteschlange
+- Du wirst benachrichtigt, wenn du an der Reihe bist
+
+📊 Den Status der Ladesäulen siehst du mit */status*
+❓ Weitere Informationen mit */help*
+🌐 Die Sprache änderst du mit */lingua*
+
+Gutes Laden! ⚡
+`,
+
+  queue: {
+    where: ' für *{station}*',
+    priorityNote: '{priority}: du hast Vorrang vor neueren normalen Anfragen. Dringende Anfragen werden vom Administrator geprüft.',
+    message: `
+⏳ *Alle Ladesäulen sind gerade belegt*
+
+✅ @{username}, du bist in der Warteschlange{where} auf Position *#{position}*.{waitNote}
+{priorityNote}
+*Wie es weitergeht:*
+- Wird ein Platz frei, werden die Nutzer in der Reihenfolge der Warteschlange benachrichtigt
+- Du wirst benachrichtigt, wenn du an der Reihe bist
+- Nach der Benachrichtigung hast du {timeout}, um den Ladevorgang zu beginnen
+
+*Verfügbare Optionen:*
+- Nutze */status*, um deine Position in der Warteschlange zu prüfen
+- Nutze */cancella*, wenn du es dir anders überlegst und nicht mehr warten möchtest
+
+Danke für deine Geduld! 🙏
+`,
+    removed: '✅ @{username}, du wurdest aus der Warteschlange entfernt.\n\nDu warst auf Position *#{position}*.\n\nWenn du künftig laden möchtest, nutze wieder /prenota.',
+    activeSession: 'ℹ️ @{username}, du hast einen laufenden Ladevorgang.\n\nWenn du ihn beenden möchtest, nutze den Befehl /terminato.',
+    nothingToCancel: 'ℹ️ @{username}, du bist weder in der Warteschlange noch hast du einen laufenden Ladevorgang.\n\nUm einen Ladevorgang zu reservieren, nutze den Befehl /prenota.',
+    skipped: '⏭️ @{username}, du hast deinen Platz dem nächsten Nutzer überlassen.\n\nDu bist wieder auf Position *#{position}* in der Warteschlange. Nutze /cancella, wenn du nicht mehr warten möchtest.',
+    removedByAdmin: '⚠️ *Du wurdest von einem Administrator aus der Warteschlange entfernt.*\n\nℹ️ Du warst auf Position #{position}.\n\nFür weitere Informationen wende dich an einen Administrator.',
+    removedByReset: '⚠️ *Du wurdest wegen eines Systemresets aus der Warteschlange entfernt.*\n\nℹ️ Das System wurde von einem Administrator zurückgesetzt.\n\nBei Bedarf kannst du mit /prenota eine neue Sitzung reservieren.',
+    priorityUpdated: 'ℹ️ Ein Administrator hat deine Anfrage in der Warteschlange aktualisiert.\n\nDu bist jetzt auf Position *#{position}*.',
+    removedByApi: 'ℹ️ @{username}, du wurdest aus der Warteschlange entfernt (Position #{position}).\n\nWenn du künftig laden möchtest, nutze wieder /prenota.',
+    timedOut: '⏱️ *Zeit abgelaufen*\n\n@{username}, seit der Benachrichtigung über den freien Ladeplatz sind mehr als {timeout} vergangen. Dein Platz wurde übersprungen und geht an den nächsten Nutzer in der Warteschlange.\n\nWenn du noch laden möchtest, nutze erneut den Befehl /prenota, um dich anzustellen.'
+  },
+
+  slotWhere: ' an *{station}*',
+
+  slotAvailable: `
+✅ *Gute Nachrichten, @{username}!*
+
+🟢 **Es ist ein Platz frei{where}, du kannst sofort mit dem Laden beginnen.**
+
+*So geht es:*
+
+1️⃣ Geh zur Ladesäule
+2️⃣ Aktiviere sie über die App Antonio Green-Charge
+3️⃣ Schließ dein Fahrzeug an
+4️⃣ Bestätige den Beginn mit */iniziato*
+
+⏱️ Denk daran: du hast höchstens *{duration}* zur Verfügung.
+
+⚠️ *Wichtig:* Wenn du den Beginn nicht mit */iniziato* bestätigst, bleibt der Platz für dich reserviert, aber du wirst nicht als ladend geführt.
+`,
+
+  yourTurn: `
+🔔 *DU BIST AN DER REIHE, @{username}!*
+
+🟢 Ein Ladeplatz{where} ist frei geworden und für dich reserviert.
+
+*Was jetzt zu tun ist:*
+
+1️⃣ Geh sofort zur Ladesäule
+2️⃣ Aktiviere sie über die App Antonio Green-Charge
+3️⃣ Schließ dein Fahrzeug an
+4️⃣ WICHTIG: Bestätige den Beginn mit */iniziato*
+
+⏱️ Du hast höchstens *{duration}* zum Laden.
+
+⚠️ *ACHTUNG: Du hast nur {timeout} Zeit*, um den Beginn mit */iniziato* zu bestätigen, sonst verfällt dein Platz und geht an den nächsten Nutzer in der Warteschlange.
+
+Wenn du nicht mehr laden kannst, nutze */cancella*, um den Platz sofort freizugeben.
+`,
+
+  reservations: {
+    confirmed: `
+📅 *Reservierung bestätigt!*
+
+🏢 Station: *{station}*
+🕐 Zeitfenster: *{start} - {end}*
+
+*Was passiert:*
+- Zu Beginn des Zeitfensters wird ein Platz für dich freigehalten
+- Du wirst benachrichtigt und hast {timeout}, um mit */iniziato* zu bestätigen
+- Der Ladevorgang kann bis zum Ende des Zeitfensters dauern
+
+Nutze */prenotazioni*, um deine Reservierungen zu sehen, oder */cancella*, um sie zu stornieren.
+`,
+    empty: '📅 *Du hast keine aktiven Reservierungen.*\n\nUm ein Zeitfenster zu reservieren, nutze zum Beispiel */prenota domani 07:30-08:00*.',
+    title: '📅 *Deine Reservierungen*',
+    entry: '{index}. *{start} - {end}* an {station}',
+    held: ' - 🟢 *Platz bereit*',
+    cancelHint: 'Um eine Reservierung zu stornieren, nutze */cancella [Nummer]*.',
+    started: `
+🔔 *DEINE RESERVIERUNG HAT BEGONNEN, @{username}!*
+
+🟢 Ein Platz an *{station}* ist bis *{end}* für dich freigehalten.
+
+*Was jetzt zu tun ist:*
+
+1️⃣ Geh zur Ladesäule
+2️⃣ Aktiviere sie über die App Antonio Green-Charge
+3️⃣ Schließ dein Fahrzeug an
+4️⃣ WICHTIG: Bestätige den Beginn mit */iniziato*
+
+⚠️ *Du hast {timeout} zum Bestätigen*, sonst wird der Platz für die anderen Nutzer freigegeben.
+
+Wenn du nicht mehr laden kannst, nutze */cancella*, um den Platz sofort freizugeben.
+`,
+    cancelled: '✅ @{username}, deine Reservierung vom *{date}* wurde storniert.\n\nWenn du künftig laden möchtest, nutze wieder /prenota.',
+    notFound: '❌ Reservierung nicht gefunden. Nutze /prenotazioni für die Liste.',
+    expired: '⏱️ *Reservierung abgelaufen*\n\n@{username}, du hast den Ladebeginn nicht innerhalb von {timeout} nach Öffnung deines Zeitfensters bestätigt. Der Platz wurde für die anderen Nutzer freigegeben.\n\nWenn du noch laden möchtest, nutze /prenota.',
+    missed: '😔 *Reservierung nicht bedient*\n\n@{username}, während deines Zeitfensters {start}-{end} ist kein Platz frei geworden. Wir bitten um Entschuldigung.\n\nDu kannst mit /prenota ein neues Zeitfenster reservieren.'
+  },
+
+  reminder: `
+⏰ *Ladeerinnerung, @{username}*
+
+Dir bleiben nur noch *{duration}* bis zum Ende.
+
+*Informationen:*
+- Der Ladevorgang endet um *{end}*
+- Bereite das Fahrzeug zum Abstecken vor
+- Bestätige am Ende mit */terminato*
+
+Danke für deine Mithilfe! Andere Nutzer warten möglicherweise. 👍
+`,
+
+  timeout: `
+⚠️ *ZEIT ABGELAUFEN, @{username}*
+
+Deine Ladezeit von *{duration}* ist vorbei.
+
+*Was sofort zu tun ist:*
+1. Beende den Ladevorgang in der App
+2. Steck das Fahrzeug von der Ladesäule ab
+3. Bestätige mit */terminato*, um den Platz freizugeben
+
+⚡ Andere Nutzer warten darauf, die Ladesäule zu nutzen.
+Danke für deine Mithilfe!
+`,
+
+  account: {
+    suspended: '⛔ *Dein Konto wurde bis {date} gesperrt* wegen: {reason}.\n\nBis dahin kannst du weder reservieren noch Ladevorgänge starten.',
+    bannedWithReason: '🚫 Dein Zugang zum Bot wurde von einem Administrator dauerhaft gesperrt wegen: {reason}.',
+    banned: '🚫 Dein Zugang zum Bot wurde von einem Administrator gesperrt.',
+    roleChanged: 'ℹ️ Deine Rolle im Bot ist jetzt *{role}*. Nutze /help, um die verfügbaren Befehle zu sehen.',
+    unbanned: '✅ Deine Sperre wurde von einem Administrator aufgehoben: du kannst wieder mit /prenota reservieren.',
+    announcement: '📢 *MITTEILUNG DES ADMINISTRATORS* 📢\n\n{message}'
+  },
+
+  whereAmI: {
+    title: '📍 *Informationen zum aktuellen Chat*',
+    private: 'Typ: Privater Chat mit dem Bot\nID: `{id}`\n\nDas ist die ID deines privaten Chats mit dem Bot, nicht die einer Gruppe.',
+    group: 'Typ: {type}\nName: *{title}*\nID: `{id}`\n\n🔍 Das ist die ID dieser Gruppe. Um den Bot ausschließlich in dieser Gruppe zu nutzen, muss der Administrator des Bots diese ID in der Konfiguration eintragen.',
+    groupType: 'Gruppe',
+    supergroupType: 'Supergruppe',
+    other: 'Typ: {type}\nID: `{id}`',
+    admin: '👑 *Info für den Administrator:*\nUm den Bot ausschließlich in dieser Gruppe zu nutzen, setze die Umgebungsvariablen:'
+  },
+
+  language: {
+    current: '🌐 *Sprache*\n\nAktuelle Sprache: *{language}*{auto}\n\nWähle eine Sprache mit den Schaltflächen oder mit */lingua [{locales}|auto]*.',
+    auto: ' (aus deinen Telegram-Einstellungen)',
+    autoButton: '🔄 Automatisch',
+    changed: '✅ Ab jetzt schreibe ich dir auf *{language}*.',
+    reset: '✅ Ab jetzt verwende ich die Sprache deiner Telegram-Einstellungen (*{language}*).',
+    invalid: '❌ Sprache "{language}" nicht verfügbar. Sprachen: {locales} oder auto.'
+  },
+
+  notifications: {
+    title: '🔔 *Benachrichtigungen*',
+    reminder: '⏰ Erinnerung vor Ablauf der Ladezeit: *{value}*',
+    overdue: '🔁 Erinnerungen, wenn du den Platz nicht freigibst: *alle {value}*',
+    slotFreed: '🟢 Hinweise auf freie Plätze, wenn du nicht wartest: *{value}*',
+    announcements: '📢 Ankündigungen der Administratoren: *{value}*',
+    quiet: '🌙 Ruhezeiten: *{value}*',
+    hint: 'Tippe auf eine Schaltfläche, um eine Einstellung zu ändern. Für andere Ruhezeiten nutze */notifiche silenzio HH:MM-HH:MM* (oder */notifiche silenzio off*).\n\nWährend der Ruhezeiten werden Erinnerungen und Ankündigungen verschoben und Hinweise auf freie Plätze nicht gesendet. Die Nachricht, dass du an der Reihe bist, und die Nachricht zum Ende der Ladezeit kommen immer.',
+    stationDefault: 'wie die Station',
+    on: 'an',
+    off: 'aus',
+    none: 'keine',
+    noReminder: 'keine',
+    usage: '❌ Verwendung: */notifiche* für die Einstellungen, */notifiche silenzio HH:MM-HH:MM* oder */notifiche silenzio off* für die Ruhezeiten.',
+    slotAvailable: '🟢 *Freier Platz bei {station}*\n\nFreie Plätze: *{free}/{total}*, niemand wartet. Tippe auf die Station, um zu buchen.\n\nUm diese Hinweise abzubestellen, nutze */notifiche*.',
+    buttons: {
+      reminder: '⏰ Erinnerung',
+      overdue: '🔁 Überziehung',
+      slotFreed: '🟢 Freie Plätze',
+      announcements: '📢 Ankündigungen',
+      quiet: '🌙 Ruhezeiten'
+    }
+  },
+
+  watch: {
+    created: '👀 *Hinweis aktiv für {station}*\n\n{when}\n\nIch schreibe dir, sobald ein Platz frei wird und niemand wartet. Du stehst nicht in der Warteschlange: Du musst keinen Termin einhalten und bekommst keine Verwarnung, wenn du nicht kommst.',
+    once: 'Gilt für den ersten freien Platz in den nächsten 24 Stunden.',
+    onceWindow: 'Gilt für den ersten freien Platz zwischen *{start}* und *{end}*.',
+    recurring: 'Ich benachrichtige dich jedes Mal, wenn ein Platz frei wird.',
+    recurringWindow: 'Ich benachrichtige dich jeden Tag, wenn zwischen *{start}* und *{end}* ein Platz frei wird.',
+    freeNow: '🟢 Gerade sind *{free}* Plätze frei: Tippe auf die Station, um sofort zu buchen.',
+    cancelHint: 'Zum Abbrechen nutze */avvisami annulla*.',
+    cancelled: '✅ Hinweise abgebrochen: {count}.',
+    none: 'ℹ️ Du hast keine aktiven Hinweise.',
+    alreadyQueued: 'ℹ️ Du stehst bereits bei *{station}* in der Warteschlange: Du wirst benachrichtigt, wenn du an der Reihe bist.',
+    slotFree: '👀 *Freier Platz bei {station}*\n\nFreie Plätze: *{free}/{total}*, niemand wartet. Tippe auf die Station, um zu buchen.',
+    onceNote: 'Dein Hinweis wurde verwendet: Für einen weiteren wiederhole */avvisami*.',
+    recurringNote: 'Um diese Hinweise abzubestellen, nutze */avvisami annulla*.'
+  },
+
+  // Pulsanti dei messaggi
+  buttons: {
+    start: '⚡ Laden beginnen',
+    skip: '⏭️ Platz überspringen',
+    end: '✅ Fertig',
+    extend: '⏩ Verlängern',
+    refresh: '🔄 Aktualisieren',
+    newer: '◀️ Neuere',
+    older: 'Ältere ▶️',
+    previousMonth: '◀️ Vorheriger Monat',
+    nextMonth: 'Nächster Monat ▶️'
+  },
+
+  // Risposte brevi alla pressione dei pulsanti
+  callbacks: {
+    started: '⚡ Ladevorgang gestartet',
+    skipped: '⏭️ Platz übersprungen, du bist jetzt auf Position #{position}',
+    ended: '✅ Ladevorgang beendet',
+    extended: '⏩ Ladevorgang verlängert',
+    refreshed: '🔄 Status aktualisiert',
+    language: '🌐 {language}',
+    notifications: '🔔 Einstellung aktualisiert'
+  },
+
+  // Descrizioni dei comandi nel menu di Telegram
+  commands: {
+    start: 'Bot starten',
+    prenota: 'Platz reservieren oder anstellen',
+    cancella: 'Deinen Platz in der Warteschlange stornieren',
+    prenotazioni: 'Deine Reservierungen anzeigen',
+    iniziato: 'Ladebeginn bestätigen',
+    terminato: 'Ladeende bestätigen',
+    estendi: 'Ladevorgang verlängern, wenn niemand wartet',
+    lascio: 'Kabel an den Ersten in der Warteschlange übergeben',
+    energia: 'kWh des letzten Ladevorgangs angeben',
+    status: 'Aktuellen Systemstatus anzeigen',
+    stazioni: 'Liste der Ladestationen',
+    storico: 'Deine letzten Ladevorgänge',
+    statistiche: 'Deine Ladestatistik',
+    lingua: 'Sprache des Bots ändern',
+    notifiche: 'Benachrichtigungen und Ruhezeiten',
+    avvisami: 'Hinweis, wenn ein Platz frei wird',
+    help: 'Verfügbare Befehle anzeigen',
+    dove_sono: 'ID des aktuellen Chats anzeigen',
+    admin_help: 'Verfügbare Admin-Befehle anzeigen',
+    admin_status: 'Detaillierter Systemstatus',
+    admin_stats: 'Systemstatistiken',
+    admin_stations: 'Stationen und ihre Konfiguration',
+    admin_settings: 'Zeiten und Tarife anzeigen',
+    admin_check: 'Konsistenz der Zähler prüfen',
+    admin_remove_queue: 'Nutzer aus der Warteschlange entfernen',
+    admin_priority: 'Priorität eines wartenden Nutzers ändern',
+    admin_urgent: 'Letzte dringende Anfragen',
+    admin_strikes: 'Verwarnungen und Sperren der Nutzer',
+    admin_report: 'Monatsbericht mit CSV-Export',
+    admin_audit: 'Aktionsprotokoll mit CSV-Export',
+    admin_set_max_slots: 'Höchstzahl der Plätze festlegen',
+    admin_add_station: 'Ladestation hinzufügen',
+    admin_edit_station: 'Ladestation bearbeiten',
+    admin_set: 'Eine Zeit oder einen Tarif ändern',
+    admin_set_charge_time: 'Maximale Ladezeit festlegen',
+    admin_set_reminder_time: 'Erinnerungszeit festlegen',
+    admin_reset_slot: 'Sitzung eines Nutzers zwangsweise beenden',
+    admin_exempt: 'Nutzer von den Ladegrenzen ausnehmen',
+    admin_unexempt: 'Ausnahme von den Ladegrenzen widerrufen',
+    admin_ban: 'Nutzer sperren oder ausschließen',
+    admin_unban: 'Sperre eines Nutzers aufheben',
+    admin_apikey: 'Schlüssel der REST-API verwalten',
+    admin_webhook: 'Ausgehende Webhooks verwalten',
+    admin_ocpp: 'OCPP-Ladesäulen',
+    admin_chargers: 'Von den Ladesäulen gemeldete Plätze und RFID-Karten',
+    admin_roles: 'Liste der vergebenen Rollen',
+    admin_grant: 'Einem Nutzer eine Rolle vergeben',
+    admin_revoke: 'Nutzer auf die Grundrolle zurücksetzen',
+    admin_notify_all: 'Nachricht an alle Nutzer senden',
+    admin_update_commands: 'Bot-Befehle aktualisieren',
+    dbtest: 'Datenbankstatus prüfen',
+    admin_reset_system: 'System vollständig zurücksetzen',
+    admin_confirm_reset: 'Systemreset bestätigen'
+  },
+
+  // Messaggi dei comandi admin
+  admin: {
+    unknownCommand: '❓ Unbekannter Admin-Befehl. Nutze /admin_help für die Liste der verfügbaren Befehle.',
+    commandError: '❌ Fehler beim Ausführen des Befehls: {error}',
+    adminCommandError: '❌ Beim Ausführen des Admin-Befehls ist ein Fehler aufgetreten: {error}',
+    commandsUpdated: '✅ Bot-Befehle erfolgreich aktualisiert!',
+    usage: {
+      reset_slot: '❌ Verwendung: /admin_reset_slot @username',
+      remove_queue: '❌ Verwendung: /admin_remove_queue @username',
+      set_max_slots: '❌ Verwendung: /admin_set_max_slots [Anzahl] [Station]',
+      set_max_slots_station: '❌ Verwendung: /admin_set_max_slots [Anzahl] [Station]\n\nGib die Station an (Nummer oder Name), siehe /admin_stations.',
+      set: '❌ Verwendung: /admin_set [Parameter] [Wert|default]\n\nNutze /admin_settings für die Liste der Parameter.',
+      set_minutes: '❌ Verwendung: /admin_{command} [Minuten]',
+      add_station: '❌ Verwendung: /admin_add_station Name | Adresse | Plätze',
+      grant: '❌ Verwendung: /admin_grant @username [Rolle]\n\nRollen: admin, moderator, user, banned',
+      revoke: '❌ Verwendung: /admin_revoke @username',
+      unexempt: '❌ Verwendung: /admin_unexempt @username',
+      notify_all: '❌ Verwendung: /admin_notify_all [Nachricht]',
+      edit_station: '❌ Verwendung: /admin_edit_station [Station] [Feld] [Wert]\n\nFelder: name, address, charge_time, reminder_time',
+      priority: '❌ Verwendung: /admin_priority @username [Klasse]\n\nKlassen: critical (Akku kritisch), accessibility (Barrierefreiheit), normal',
+      ban: '❌ Verwendung: /admin_ban @username [Tage] [Grund]\n\nOhne Tage ist der Ausschluss dauerhaft.',
+      unban: '❌ Verwendung: /admin_unban @username',
+      apikey_revoke: '❌ Verwendung: /admin_apikey revoke [Präfix]',
+      webhook_add: '❌ Verwendung: /admin_webhook add [url] [Ereignisse]\n\nEreignisse (durch Komma getrennt, standardmäßig alle): {events}',
+      ocpp_link: '❌ Verwendung: /admin_ocpp link [Ladesäule] [Station] [Anschluss=Platz ...]\n\nStandardmäßig entspricht Anschluss N dem Platz N.',
+      chargers_tag: '❌ Verwendung: /admin_chargers tag @username [Karte|off]',
+      chargers_sim: '❌ Verwendung: /admin_chargers sim [Station] [Platz] [{actions}] [Karte]'
+    },
+    status: {
+      title: '🔧 *ADMIN: Detaillierter Systemstatus*',
+      configuration: '🔌 *Konfiguration:*',
+      totalSlots: '- Plätze insgesamt: *{count}*',
+      occupiedSlots: '- Belegte Plätze: *{occupied}/{total}*',
+      availableSlots: '- Freie Plätze: *{count}*',
+      chargeTime: '- Max. Ladezeit: *{minutes} Min.*',
+      reminderTime: '- Erinnerungszeit: *{minutes} Min.*',
+      queueLength: '- Nutzer in der Warteschlange: *{count}*',
+      charging: '⚡ *Nutzer, die gerade laden:*',
+      chargingEntry: '{index}. @{username} (ID: {id}) - Platz {slot}, begonnen um {start}, endet um {end} (in *{minutes} Min.*)',
+      noCharging: '⚡ *Derzeit lädt niemand.*',
+      queue: '👥 *Nutzer in der Warteschlange:*',
+      queueEntry: '{index}. @{username} (ID: {id}) - Position #{position}{priority}, wartet seit {waiting}',
+      emptyQueue: '👥 *Niemand in der Warteschlange.*',
+      error: '❌ Fehler beim Abrufen des Status: {error}'
+    },
+    stats: {
+      title: '📊 *ADMIN: Systemstatistiken*',
+      general: '📈 *Allgemeine Statistiken:*',
+      totalCharges: '- Abgeschlossene Ladevorgänge insgesamt: *{count}*',
+      chargesToday: '- Heute abgeschlossene Ladevorgänge: *{count}*',
+      averageTime: '- Durchschnittliche Ladezeit: *{duration}*',
+      energy: '- Angegebene geladene Energie: *{energy}*',
+      cost: '- Gesamtbetrag: *{cost}*',
+      users: '👥 *Nutzerstatistiken:*',
+      totalUsers: '- Registrierte Nutzer insgesamt: *{count}*',
+      activeUsers: '- Aktive Nutzer in den letzten 30 Tagen: *{count}*',
+      current: '🔌 *Aktueller Status:*',
+      perStation: '🏢 *Pro Station:*',
+      stationRow: '- {station}: *{occupied}/{total}* belegt, *{queue}* wartend, *{charges}* Ladevorgänge',
+      error: '❌ Fehler beim Abrufen der Statistiken: {error}'
+    },
+    userNotFound: '❌ Nutzer @{username} nicht gefunden.',
+    noActiveSession: 'ℹ️ Nutzer @{username} hat keine aktiven Sitzungen.',
+    slotReset: '✅ Der Platz von @{username} (ID: {id}) wurde zurückgesetzt.\n\n⏱️ Dauer der Sitzung: *{duration}*.\n\n🔔 Der nächste Nutzer in der Warteschlange wurde benachrichtigt.',
+    resetSlotError: '❌ Fehler beim Zurücksetzen des Platzes: {error}',
+    notInQueue: '❌ Nutzer @{username} nicht in der Warteschlange gefunden.',
+    removedFromQueue: '✅ @{username} (ID: {id}) wurde aus der Warteschlange entfernt.\n\nℹ️ Position war #{position}.',
+    removeQueueError: '❌ Fehler beim Entfernen aus der Warteschlange: {error}',
+    minSlots: '❌ Die Anzahl der Plätze muss mindestens 1 sein.',
+    stationRequired: '❌ Gib die Station an (Nummer oder Name), siehe /admin_stations.',
+    maxSlotsUpdated: '✅ Höchstzahl der Plätze von *{station}* auf *{count}* gesetzt.\n\nℹ️ Aktueller Status: *{available}* Plätze frei.',
+    maxSlotsError: '❌ Fehler beim Aktualisieren der Höchstzahl der Plätze: {error}',
+    checkError: '❌ Fehler bei der Konsistenzprüfung.',
+    roleChanged: '✅ Rolle von @{username}: *{previous}* → *{role}*.',
+    rolesError: '❌ Fehler beim Abrufen der Rollen.',
+    priorityChanged: '✅ @{username} wechselt von *{previous}* zu *{priority}*: jetzt auf Position *#{position}*.',
+    urgentError: '❌ Fehler beim Abrufen der dringenden Anfragen.',
+    exempted: '✅ @{username} ist jetzt von den Ladegrenzen und der Wartezeit zwischen Ladevorgängen ausgenommen.',
+    unexempted: '✅ Für @{username} gelten wieder die Ladegrenzen.',
+    strikesCleared: '✅ Verwarnungen von @{username} aufgehoben.',
+    banDays: '❌ Die Sperre muss zwischen 1 und 365 Tagen dauern.',
+    bannedForever: '✅ @{username} dauerhaft gesperrt.',
+    bannedUntil: '✅ @{username} gesperrt bis {date}.',
+    bannedQueue: 'ℹ️ Der Nutzer wurde aus der Warteschlange entfernt.',
+    bannedReservations: {
+      one: 'ℹ️ {count} Reservierung storniert.',
+      other: 'ℹ️ {count} Reservierungen storniert.'
+    },
+    unbanned: '✅ Sperre von @{username} aufgehoben und Verwarnungen zurückgesetzt.',
+    apiKeyPrivate: '🔒 Erstelle API-Schlüssel aus Sicherheitsgründen im privaten Chat mit dem Bot.',
+    apiKeyCreated: '🔑 *API-Schlüssel erstellt*\n\nName: *{name}*\nBerechtigungen: *{scope}*\n\n`{key}`\n\n⚠️ Kopiere ihn jetzt: er wird nicht erneut angezeigt. Verwende ihn im Header `Authorization: Bearer <Schlüssel>`.',
+    apiKeyRevoked: '✅ Schlüssel {prefix} ({name}) widerrufen.',
+    webhookPrivate: '🔒 Registriere Webhooks aus Sicherheitsgründen im privaten Chat mit dem Bot.',
+    webhookCreated: '🪝 *Webhook registriert*\n\nURL: `{url}`\nEreignisse: {events}\n\n`{secret}`\n\n⚠️ Kopiere das Geheimnis jetzt: es wird nicht erneut angezeigt. Es dient zur Prüfung des Headers `X-GreenCharge-Signature`.',
+    webhookRemoved: '✅ Webhook {url} entfernt.',
+    webhookTestDelivered: '✅ Testereignis zugestellt (HTTP {status}).',
+    webhookTestFailed: '⚠️ Testzustellung fehlgeschlagen: {error}. Sie wird automatisch wiederholt.',
+    ocppConnector: 'Anschluss {connector} → Platz {slot}',
+    ocppLinked: '✅ Ladesäule {chargePoint} mit {station} verknüpft ({connectors}).',
+    ocppLinkedDefault: '✅ Ladesäule {chargePoint} mit {station} verknüpft. Die Anschlüsse werden den Plätzen mit derselben Nummer zugeordnet.',
+    tagLinked: '✅ Karte {tag} mit @{username} verknüpft: mit dieser Karte gestartete Ladevorgänge werden automatisch erfasst.',
+    tagRemoved: '✅ Karte von @{username} entfernt.',
+    simulatorOff: '❌ Der Treiber simulator ist nicht aktiv: füge ihn zu CHARGER_DRIVERS hinzu, um Fahrzeuge zu simulieren.',
+    stationNotFound: '❌ Station "{station}" nicht gefunden. Nutze /admin_stations für die Liste.',
+    simulated: '🧪 Simulation *{action}* an Platz {slot} von {station} gesendet.',
+    simulatedSession: ' Ladevorgang mit der Sitzung von @{username} verknüpft.',
+    simulatedUnknownTag: ' Keine Sitzung verknüpft (Karte unbekannt oder fehlend).',
+    simulatedBlockedTag: ' Keine Sitzung verknüpft (Karte gesperrt).',
+    simulatedEnergy: ' Simulierte Energie: {energy}.',
+    exemptions: {
+      title: '⚖️ *Von den Ladegrenzen ausgenommene Nutzer*',
+      empty: 'Keine ausgenommenen Nutzer.',
+      hint: 'Nutze */admin_exempt @username*, um die Ausnahme zu gewähren, und */admin_unexempt @username*, um sie zu widerrufen.',
+      error: '❌ Fehler beim Abrufen der ausgenommenen Nutzer.'
+    },
+    settingsError: '❌ Fehler beim Abrufen der Parameter.',
+    settingUpdated: '✅ Parameter `{key}` auf *{value} {unit}* gesetzt.\n\nℹ️ Der neue Wert gilt bereits; Stationen mit eigenem Wert ändern sich nicht.',
+    stations: {
+      title: '🏢 *ADMIN: Konfigurierte Stationen*',
+      address: '- Adresse: {address}',
+      noAddress: '_nicht festgelegt_',
+      slots: '- Plätze: *{total}* (frei: *{available}*)',
+      chargeTime: '- Max. Ladezeit: *{minutes} Min.*{default}',
+      reminderTime: '- Erinnerungszeit: *{minutes} Min.*{default}',
+      default: ' (Standard)',
+      queueLength: '- Nutzer in der Warteschlange: *{count}*',
+      hint: 'Nutze /admin_add_station oder /admin_edit_station, um die Stationen zu ändern.',
+      error: '❌ Fehler beim Abrufen der Stationen: {error}'
+    },
+    stationCreated: '✅ Station *{station}* mit *{count}* Plätzen erstellt.\n\nNutzer können sie mit /prenota {station} auswählen.',
+    addStationError: '❌ Fehler beim Erstellen der Station: {error}',
+    editStationNotFound: '❌ Station "{station}" nicht gefunden. Nutze /admin_stations für die Liste.',
+    stationUpdated: '✅ Station *{station}* aktualisiert: {field} = *{value}*.',
+    editStationError: '❌ Fehler beim Bearbeiten der Station: {error}',
+    noUsers: '❌ Keine registrierten Nutzer.',
+    notifySent: '✅ Nachricht an *{sent}* Nutzer gesendet.\n🌙 Wegen Ruhezeiten verschoben: *{deferred}*\n🔕 Ankündigungen deaktiviert: *{skipped}*\n❌ Fehler: *{errors}*',
+    notifyError: '❌ Fehler beim Senden der Nachricht: {error}',
+    resetConfirm: '⚠️ *ACHTUNG* ⚠️\n\nDu bist dabei, das System vollständig zurückzusetzen: alle aktiven Sitzungen werden beendet und die Warteschlange geleert.\n\n*Dieser Vorgang kann nicht rückgängig gemacht werden.*\n\nZum Bestätigen antworte mit /admin_confirm_reset',
+    resetError: '❌ Fehler beim Zurücksetzen des Systems: {error}',
+    resetDone: '✅ *System erfolgreich zurückgesetzt.*\n\n- {sessions} aktive Sitzungen beendet\n- {users} Nutzer aus der Warteschlange entfernt\n- {slots} Plätze frei an {stations} Stationen',
+    dbtest: '📊 *Datenbankstatus:*\n- System documents: *{system}*\n- Station documents: *{station}*\n- Session documents: *{session}*\n- Queue documents: *{queue}*\n- User documents: *{user}*',
+    dbtestError: '❌ Fehler beim Datenbanktest: {error}'
+  },
+
+  // Avviso all'amministratore all'avvio del bot
+  system: {
+    started: '🤖 *Green-Charge Bot gestartet*\n\nDer Bot ist jetzt online und einsatzbereit.\n\nVersion: {version}\nGestartet: {date}\nInstanz-ID: {instance}'
+  }
+};
@@ -0,0 +1,1134 @@
+/**
+ * Catalogo dei messaggi in inglese, usato anche per le lingue di Telegram non disponibili.
+ * Stesse chiavi, parametri e plurali del catalogo italiano (locales/it.js).
+ * I nomi dei comandi restano in italiano, come nel menu di Telegram.
+ */
+module.exports = {
+  meta: {
+    name: 'English',
+    intl: 'en-GB'
+  },
+
+  units: {
+    minutes: { one: '{count} minute', other: '{count} minutes' },
+    charges: { one: '{count} charge', other: '{count} charges' },
+    days: { one: '{count} day', other: '{count} days' },
+    strikes: { one: '{count} strike', other: '{count} strikes' },
+    users: { one: '{count} user', other: '{count} users' }
+  },
+
+  errors: {
+    generic: '❌ An error occurred: {error}',
+    start: '❌ An error occurred while starting. Please try again later.',
+    status: '❌ An error occurred while retrieving the status: {error}',
+    unknownAction: '❓ Unknown action.',
+
+    // Errori delle operazioni, mostrati nella lingua dell'utente
+    userNotFound: 'User @{username} not found.',
+    stationNotFound: 'Station not found.',
+    role: {
+      invalid: 'Invalid role "{role}". Roles: {roles}.',
+      self: 'You cannot change your own role.',
+      notAllowed: 'Your role ({actorRole}) does not allow assigning the {role} role to @{username}.'
+    },
+    charger: {
+      tagTooLong: 'The card code can be at most 20 characters long.',
+      tagTaken: 'Card {tag} is already linked to another user.'
+    },
+    ocpp: {
+      unknownChargePoint: 'Charge point {chargePoint} has never connected. Connect it to the OCPP server before linking it.',
+      stationNotFound: 'Station "{station}" not found. Use /admin_stations to see the list.',
+      invalidMapping: 'Invalid mapping "{mapping}": use connector=slot with a slot between 1 and {slots}.',
+      duplicateSlot: 'Two connectors cannot be linked to the same slot.',
+      mappingRequired: 'Station {station} has {slots} slots: specify the connector mapping with connector=slot.'
+    },
+    webhook: {
+      invalidGroup: 'Invalid event group "{group}".',
+      invalidEvent: 'Invalid event "{event}". Events: {events}.',
+      invalidUrl: 'Invalid URL "{url}".',
+      invalidProtocol: 'The webhook URL must start with http:// or https://.',
+      numberRequired: 'Specify the webhook number. Use /admin_webhook to see the list.',
+      notFound: 'Webhook {number} not found. Use /admin_webhook to see the list.'
+    },
+    user: {
+      languageUnavailable: 'Language "{language}" is not available.',
+      notRegistered: 'User not registered. Use /start to begin.',
+      notFound: 'User not found.'
+    },
+    apiKey: {
+      nameRequired: 'The key name is required.',
+      invalidScope: 'Invalid permission "{scope}". Permissions: read, write.',
+      notFound: 'No active key with prefix {prefix}.'
+    },
+    reservation: {
+      invalidTime: 'Invalid time. Use the HH:MM-HH:MM format, for example 07:30-08:00.',
+      invalidDate: 'Invalid date "{date}".',
+      past: 'The booking window must be in the future.',
+      tooFarAhead: 'You can book at most {days} days ahead.',
+      invalidDuration: 'The window must last between {min} and {max} minutes.',
+      overlap: 'You already have a booking that overlaps this window.',
+      full: 'No free slot at {station} in this window. Try another time or another station.',
+      fullQueue: 'No free slot at {station} in this window (the current queue will not have cleared yet). Try another time or another station.',
+      fullReserved: 'No free slot at {station} in this window (existing bookings: {count}). Try another time or another station.',
+      notFound: 'Booking not found.'
+    },
+    session: {
+      alreadyActive: 'You already have an active charging session.',
+      noStation: 'No station specified.',
+      stationMissing: 'System error. Station not found.',
+      reservationReleased: 'Your booking is no longer valid: the held slot has been released.',
+      allSlotsTaken: 'All slots are taken.',
+      turnExpired: 'Your turn has expired. Use /prenota to queue again.',
+      noFreeSlot: 'There are no free slots right now. Use /prenota to join the queue.',
+      noneActive: 'You have no active charging sessions.',
+      minutesTooLow: 'The number of minutes must be at least 1.',
+      extendQueued: {
+        one: 'The charge cannot be extended: {count} user is queued at {station}. Free the slot when your time is up with /terminato.',
+        other: 'The charge cannot be extended: {count} users are queued at {station}. Free the slot when your time is up with /terminato.'
+      },
+      maxDurationReached: 'You have already reached the maximum charging time ({minutes} minutes).',
+      extendReserved: 'The charge cannot be extended: the slots at {station} are booked during the requested extension. Try fewer minutes.',
+      negativeMinutes: 'The number of minutes cannot be negative.',
+      noHandoverTaker: 'Nobody is waiting for the cable at this station: when you are done, free the slot with /terminato.',
+      noHandover: 'You have not announced any cable handover.',
+      userNoneActive: 'User @{username} has no active sessions.'
+    },
+    queue: {
+      urgentReasonRequired: 'Give the reason for the urgent request, for example: /prenota urgente battery at 5%',
+      alreadyQueued: 'You are already in the queue.',
+      userLeft: 'The user is no longer in the queue.',
+      invalidPriority: 'Invalid class "{priority}". Classes: {priorities}.',
+      userNotQueued: 'User @{username} not found in the queue.',
+      notQueued: 'You are not in the queue.',
+      nobodyToSkip: 'Nobody else is queued: the slot stays reserved for you. Use /cancella if you want to give it up.',
+      noLongerQueued: 'You are no longer in the queue.',
+      urgentNotForReservations: 'An urgent request only applies to the queue, not to bookings with a time window.'
+    },
+    station: {
+      slotsTooLow: 'The number of slots must be at least 1.',
+      notFound: 'Station "{station}" not found. Use /stazioni to see the list.',
+      nameRequired: 'The station name is required.',
+      nameNumeric: 'The station name cannot be just a number.',
+      duplicate: 'A station called "{station}" already exists.',
+      invalidName: 'Invalid station name.',
+      invalidChargeTime: 'The charging time must be between 1 and 120 minutes.',
+      invalidReminderTime: 'The reminder time must be between 1 and 30 minutes.',
+      invalidField: 'Field "{field}" cannot be changed. Valid fields: name, address, charge_time, reminder_time.'
+    },
+    fairness: {
+      dailyLimit: 'You have already charged {count} times today: the limit is {max} per day to leave room for everyone. You can charge again from tomorrow.',
+      weeklyLimit: 'You have already charged for {minutes} minutes this week: the limit is {max} minutes per week. The count restarts on Monday.',
+      cooldown: {
+        one: 'You finished a charge recently and {count} user is waiting: you must wait {cooldown} minutes between two charges. Try again in {remaining} minutes.',
+        other: 'You finished a charge recently and {count} users are waiting: you must wait {cooldown} minutes between two charges. Try again in {remaining} minutes.'
+      }
+    },
+    settings: {
+      unknown: 'Unknown setting "{key}".',
+      unknownWithList: 'Unknown setting "{key}". Valid settings: {settings}.',
+      outOfRange: 'The value of {key} must be a number between {min} and {max} {unit}.',
+      outOfRangeInteger: 'The value of {key} must be a whole number between {min} and {max} {unit}.',
+      reminderAfterEnd: 'The reminder (reminder_time) must come before the end: it must be less than charge_time.',
+      maxBelowCharge: 'The maximum duration (max_session_time) cannot be less than the charging time (charge_time).'
+    },
+    strike: {
+      suspended: 'Your account is suspended until {until}. Until then you cannot book or start charging. Contact an administrator for details.',
+      suspendedReason: 'Your account is suspended until {until} for: {reason}. Until then you cannot book or start charging. Contact an administrator for details.',
+      self: 'You cannot suspend or reinstate yourself.',
+      notAllowed: 'Your role ({actorRole}) does not allow managing @{username} ({targetRole}).',
+      notSuspended: '@{username} is not suspended.'
+    },
+    notifications: {
+      invalidOption: 'Invalid preference.'
+    },
+    billing: {
+      invalidEnergy: 'Give the kWh delivered (e.g. 12.5) or the start and end meter readings (e.g. 1520.3 1532.8).',
+      meterDecreasing: 'The final meter reading must be greater than the initial one.',
+      implausible: 'Implausible value: a charge cannot exceed {max} kWh.',
+      noRecentSession: 'You have no charges that ended in the last {hours} hours.',
+      invalidMonth: 'Give the month in the MM/YYYY format, for example 10/2026.'
+    },
+    simulator: {
+      inactive: 'The simulator driver is not active: add it to CHARGER_DRIVERS.',
+      invalidAction: 'Invalid action "{action}". Use: {actions}.',
+      invalidSlot: 'Invalid slot: station {station} has {slots} slots.',
+      alreadyCharging: 'A simulated charge is already running on slot {slot}.',
+      notCharging: 'There is no simulated charge running on slot {slot}.'
+    }
+  },
+
+  access: {
+    banned: '🚫 @{username}, your access to the bot has been suspended.\n\nContact the administrator for more information.',
+    unauthorized: '⚠️ *Unauthorized access*\n\nSorry @{username}, you must be a member of the authorized group to use this bot.\n\nContact the administrator for more information.',
+    unauthorizedAlert: '⚠️ You must be a member of the authorized group to use this bot.',
+    adminOnly: '🚫 This command is reserved for administrators.',
+    roleNotAllowed: '🚫 Your role ({role}) does not allow this command.'
+  },
+
+  sessionStatus: {
+    active: '✅ Active',
+    completed: '✓ Completed',
+    timeout: '⏱️ Expired',
+    admin_terminated: '🛑 Ended by admin'
+  },
+
+  // Classi di priorità in coda
+  priorities: {
+    critical: '🔴 critical battery',
+    accessibility: '♿ accessibility',
+    normal: 'normal'
+  },
+
+  // Esito di una ricarica conclusa
+  outcomes: {
+    completed: '✅ completed',
+    timeout: '⏱️ time expired',
+    admin_terminated: '🔧 ended by admin'
+  },
+
+  status: {
+    title: '📊 *Current status: {station}*',
+    occupied: '🔌 Slots in use: *{occupied}/{total}*',
+    charging: '⚡ *Users currently charging:*',
+    chargingEntry: '{index}. @{username} - Slot {slot} (⏱️ ends in *{minutes} min*)',
+    noCharging: '✨ *No users currently charging.*',
+    waiting: '👥 Users waiting: *{count}*',
+    estimatedWait: '⏱️ Joining the queue now, your turn would come *{wait}*',
+    next: '🔜 *Next in queue:*',
+    nextEntry: '{position}. @{username}{badge} - ⏱️ {wait}',
+    ownPosition: '📍 You are in the queue at position *#{position}*. To give up your turn, use */cancella*.',
+    cancelHint: 'In the queue? To give up your turn, use */cancella*.',
+    emptyQueue: '✅ *Nobody in the queue.*',
+    bookHint: 'Want to charge? Use */prenota* to get started.',
+    slotsSummary: '🔌 {station}: {occupied}/{total} slots currently in use.'
+  },
+
+  wait: {
+    now: 'right away',
+    about: 'in about {eta}',
+    range: 'in about {eta} ({min} to {max})',
+    expected: '⏱️ Your turn is expected *{wait}*.'
+  },
+
+  overview: {
+    title: '📊 *Current status of the stations*',
+    queued: ' - 👥 In queue: *{count}*',
+    hint: 'For the details of a station use */status [number]*.'
+  },
+
+  statusBoard: {
+    title: '📋 *Charging station status*',
+    station: '🏢 *{station}* - {occupied}/{total} in use',
+    slotCharging: '🔴 Slot {slot}: @{username} - ends in {minutes} min',
+    slotOverdue: '🔴 Slot {slot}: @{username} - time is up',
+    slotReserved: '🟡 Slot {slot}: reserved',
+    slotFree: '🟢 Slot {slot}: free',
+    queue: '👥 In queue ({count}): {users}',
+    emptyQueue: '👥 Nobody in queue',
+    updated: '🕒 Updated at {time}'
+  },
+
+  statusPage: {
+    title: 'Charging station status',
+    slot: 'Slot {slot}',
+    endsIn: 'ends in {minutes} min',
+    overdue: 'time is up',
+    reserved: 'Reserved',
+    free: 'Free',
+    summary: '{free} of {total} slots free',
+    queue: 'In queue: {count}',
+    nextTurn: 'turn for anyone joining now {wait}',
+    emptyQueue: 'Nobody in queue',
+    footer: 'Updated at {time} · the page refreshes every {seconds} seconds · to book, use the Telegram bot',
+    unavailable: 'Status temporarily unavailable, retrying in {seconds} seconds.'
+  },
+
+  stations: {
+    title: '🏢 *Charging stations*',
+    slots: '🔌 {total} slots - 🟢 {available} free',
+    hint: 'You can refer to a station by number or name, for example */prenota 1*.'
+  },
+
+  stationChoice: {
+    title: '🏢 *Choose a station*',
+    hint: 'Repeat the command with the station, for example */{command} 1*.\nThe chosen station will be remembered for next time.'
+  },
+
+  settings: {
+    title: '⚙️ *System settings*',
+    overridden: ' (default {value})',
+    default: ' (default)',
+    range: ' - values {min}-{max}',
+    footer: 'To change a setting use */admin_set [setting] [value]*, with *default* instead of the value to go back to the configured value.\nTimes set on a station (/admin_edit_station) take precedence.'
+  },
+
+  consistency: {
+    title: '🩺 *Consistency check*',
+    titleDryRun: '🩺 *Consistency check* (dry run)',
+    ok: '✅ Counters, sessions and queue are aligned at every station.',
+    queueGaps: 'Queue positions to reorder',
+    dryRunFooter: 'No changes applied. Use */admin_check fix* to correct them.',
+    fixed: '✅ Differences corrected.'
+  },
+
+  history: {
+    title: '📜 *Charging history*',
+    titlePaged: '📜 *Charging history* (page {page}/{totalPages})',
+    empty: 'You have not completed any charge yet. Use */prenota* to get started!',
+    entry: '📅 *{date}* - {station}slot {slot}',
+    total: 'Total charges: *{count}*'
+  },
+
+  statistics: {
+    title: '📈 *Your statistics - {month}*',
+    empty: 'No charges this month.',
+    count: '🔋 Charges: *{count}*',
+    totalTime: '⏱️ Total time: *{duration}*',
+    average: '📊 Average duration: *{duration}*',
+    outcomes: '*Outcome:*',
+    weeks: '*By week:*',
+    week: '📅 From {date}: {charges}, {duration}',
+    sinceJoin: '*Since you joined:*',
+    lastCharge: '🕒 Last charge: {date}'
+  },
+
+  report: {
+    title: '💶 *Charging report {month}*',
+    empty: 'No charges this month.',
+    charges: '🔋 Charges: *{count}* ({duration})',
+    energy: '⚡ Energy: *{energy}*',
+    total: '💶 Total amount: *{cost}*',
+    missingEnergy: {
+      one: 'ℹ️ {count} charge without recorded energy',
+      other: 'ℹ️ {count} charges without recorded energy'
+    },
+    users: '👥 *Users:* {count}',
+    userRow: '- @{username}: {charges}, {energy}, *{cost}*',
+    more: { one: '...and one more user', other: '...and {count} more users' },
+    csv: 'The full details are in the attached CSV file.',
+    caption: 'Charging report {month}'
+  },
+
+  roles: {
+    title: '👥 *Assigned roles*',
+    labels: {
+      owner: '👑 owner',
+      admin: '🔧 admin',
+      moderator: '🛡️ moderator',
+      banned: '🚫 banned'
+    },
+    owner: '{label}: ID {id} (from configuration)',
+    permissions: '*Permissions:*\n- *moderator*: status, statistics, queue and priority management\n- *admin*: also settings, stations, sessions, reports, exemptions and the moderator/banned roles\n- *owner*: everything, including the system reset and the admin role\n\nUse */admin_grant @username [role]* and */admin_revoke @username*.'
+  },
+
+  urgent: {
+    title: {
+      one: '🔴 *Urgent requests in the last day*',
+      other: '🔴 *Urgent requests in the last {count} days*'
+    },
+    empty: 'No urgent requests.',
+    perUser: '*By user:*',
+    demoted: { one: ' ({count} demoted)', other: ' ({count} demoted)' },
+    latest: '*Latest requests:*',
+    hint: 'To change the class of a queued user use */admin_priority @username [class]*.'
+  },
+
+  strikes: {
+    reasons: {
+      no_show: 'turn not confirmed',
+      overstay: 'slot not freed in time'
+    },
+    received: {
+      title: '🟨 *Strike received*',
+      body: '@{username}, you received a strike: _{reason}_.',
+      suspended: '⛔ You reached *{count}* strikes: your account is suspended until *{date}*. Until then you cannot book or start charges.',
+      threshold: 'Active strikes: *{count}/{threshold}*. When the limit is reached the account is temporarily suspended.',
+      count: 'Active strikes: *{count}*.'
+    },
+    flagged: {
+      title: '🟨 *Strikes and suspensions*',
+      empty: 'No users with active strikes or suspended.',
+      banned: ' - 🚫 banned',
+      suspended: ' - ⛔ suspended until {date}',
+      rules: 'Rules: suspension for {suspension} after {strikes} in {window}',
+      disabled: ' (disabled)',
+      hint: 'Details with */admin_strikes @username*.'
+    },
+    user: {
+      title: '🟨 *Strikes of @{username}*',
+      banned: '🚫 Permanently banned{reason}',
+      suspended: '⛔ Suspended until *{date}*{reason}',
+      reason: ' for: {reason}',
+      active: 'Active strikes: *{count}*',
+      empty: 'No strikes recorded.',
+      hint: 'To clear the active strikes use */admin_strikes @{username} clear*.'
+    }
+  },
+
+  apiKeys: {
+    title: '🔑 *Active API keys*',
+    empty: 'No active keys.',
+    lastUsed: ' - last used {date}',
+    neverUsed: ' - never used',
+    hint: 'Use */admin_apikey add name [read|write]* to create one (in a private chat) and */admin_apikey revoke [prefix]* to revoke it.'
+  },
+
+  webhooks: {
+    title: '🪝 *Registered webhooks*',
+    empty: 'No webhooks registered.',
+    events: 'Events: {events}',
+    allEvents: 'all',
+    lastDelivery: 'Last delivery: {date}',
+    noDelivery: 'No deliveries',
+    failures: {
+      one: ' - ⚠️ {count} consecutive error',
+      other: ' - ⚠️ {count} consecutive errors'
+    },
+    hint: 'Use */admin_webhook add url [events]* to register one (in a private chat), */admin_webhook test [n]* to send a test event, */admin_webhook remove [n]* to remove it and */admin_webhook log* for the latest deliveries.'
+  },
+
+  deliveries: {
+    title: '🪝 *Latest webhook deliveries*',
+    empty: 'No deliveries recorded.',
+    removed: 'webhook removed',
+    attempts: 'Attempts: {count}',
+    nextAttempt: ' - next attempt {time}'
+  },
+
+  ocpp: {
+    title: '🔌 *OCPP charge points*',
+    empty: 'No charge point has connected to the OCPP server yet.',
+    unlinked: ' - not linked to a station',
+    lastSeen: 'Last seen: {date}',
+    connector: 'Connector {connector} → slot {slot}: {status}',
+    unattributed: ' - ⚠️ unattributed charge',
+    hint: 'Use */admin_ocpp link [charge point] [station] [connector=slot ...]* to link a charge point. Slot states and user RFID cards are in /admin_chargers.'
+  },
+
+  chargers: {
+    title: '🔌 *Slot states from the charge points*',
+    drivers: 'Active drivers: {drivers}',
+    noDrivers: 'none',
+    empty: 'No slot has been reported by a charge point yet.',
+    removedStation: 'Removed station',
+    slot: '{station} slot {slot}: {status} ({driver})',
+    ghost: ' - 👻 no session since {time}',
+    mismatches: '⚠️ *Sessions without a vehicle on the slot:*',
+    mismatch: '- @{username} - {station} slot {slot}, since {time}',
+    hint: 'Use */admin_chargers tag @username [card|off]* for a user\'s RFID card.',
+    hintSimulator: 'Use */admin_chargers tag @username [card|off]* for a user\'s RFID card and */admin_chargers sim [station] [slot] [plug|start|stop|unplug] [card]* to simulate a vehicle.',
+    mismatchNotice: `
+⚠️ *Charge not detected, @{username}*
+
+You started the session on slot *{slot}* more than {duration} ago, but the charge point does not detect any connected vehicle.
+
+- Check that you plugged the vehicle into slot *{slot}* and started charging
+- If you are not charging, confirm with */terminato* to free the slot
+`,
+    startDetected: '🔌 *Charge detected by the charge point*',
+    stopDetected: '🔌 *End of charge detected by the charge point*',
+    sessionError: '⚠️ The charge point started charging but the session could not be recorded: {error}'
+  },
+
+  ghostSlot: {
+    title: '👻 *Slot occupied without a session*',
+    occupied: 'Slot *{slot}* at *{station}* has been occupied since {time}, but no user has started a session with the bot.',
+    charging: 'Slot *{slot}* at *{station}* has been charging since {time}, but no user has started a session with the bot.',
+    removedStation: 'a removed station',
+    rfid: 'RFID card: `{tag}`',
+    hint: 'Use /admin_chargers for the state of every slot.'
+  },
+
+  audit: {
+    // Etichette delle azioni del registro
+    actions: {
+      session_start: '⚡ Charge started',
+      session_end: '✅ Charge ended',
+      queue_cancel: '🚶 Left the queue',
+      queue_skip: '⏭️ Turn passed on',
+      queue_timeout: '⏱️ Turn expired',
+      queue_started: '▶️ From queue to charging',
+      queue_admin_remove: '🚫 Removed from the queue',
+      queue_priority: '⬆️ Priority changed',
+      role_change: '🎖️ Role changed',
+      max_slots_update: '🔄 Slots changed',
+      notify_all: '📣 Announcement to everyone',
+      system_reset: '🗑️ System reset',
+      strike: '🟨 Strike',
+      strikes_cleared: '🧽 Strikes cleared',
+      suspension: '⛔ Suspension',
+      unban: '🔓 Suspension lifted',
+      queue_banned: '⛔ Removed from the queue due to suspension',
+      queue_api: '🔌 Removed from the queue via API',
+      queue_api_request: '🔌 Charge request via API',
+      apikey_created: '🔑 API key created',
+      apikey_revoked: '🔑 API key revoked',
+      webhook_created: '🪝 Webhook registered',
+      webhook_removed: '🪝 Webhook removed',
+      ocpp_link: '🔌 Charge point linked',
+      charger_tag: '🪪 RFID card',
+      charger_mismatch: '⚠️ Vehicle not detected by the charge point',
+      charger_ghost: '👻 Slot occupied without a session',
+      handover_announce: '🔌 Cable handover announced',
+      handover_cancel: '↩️ Cable handover cancelled'
+    },
+    title: {
+      one: '📜 *Action log for the last day*',
+      other: '📜 *Action log for the last {count} days*'
+    },
+    empty: 'No actions recorded.',
+    system: 'system',
+    user: 'user',
+    actor: 'by: {actor}',
+    more: { one: '…and one more event.', other: '…and {count} more events.' },
+    csv: 'Add *csv* to the command to download all events.',
+    caption: {
+      one: 'Action log for the last day{user}',
+      other: 'Action log for the last {count} days{user}'
+    }
+  },
+
+  help: {
+    user: `
+🔋 *Green-Charge guide* 🔋
+
+*How to charge your vehicle:*
+
+1️⃣ Use */prenota [station]* to request a charge point
+   • The station can be given by number or name (see */stazioni*)
+   • If you leave it out, the last station you used is chosen
+   • If a slot is free, you will get the go-ahead
+   • If all charge points are busy, you will be put in the queue
+
+2️⃣ When your turn comes:
+   • Go to the charge point and activate it through the app
+   • Confirm the start with */iniziato*
+   • *You have {queueTimeout}* to start, otherwise you lose your turn
+
+3️⃣ While charging:
+   • You have at most *{chargeTime}*
+   • You will get a reminder {reminderTime} before the end
+   • If nobody is queued you can extend the charge with */estendi*
+
+4️⃣ When you are done:
+   • Finish charging and unplug the vehicle
+   • Confirm with */terminato* to free the slot
+   • You can enter the delivered kWh with */terminato [kWh]* or the meter readings with */terminato [start] [end]*
+   • If someone is queued, announce when you unplug with */lascio [minutes]*: the cable goes straight to them
+
+*Other useful commands:*
+
+📝 */prenota [station]* - Request a charge point or join the queue
+🔴 */prenota [station] urgente [reason]* - Ask for priority in the queue (e.g. battery almost empty)
+📅 */prenota [station] [day] HH:MM-HH:MM* - Book a future window (e.g. */prenota domani 07:30-08:00*)
+📋 */prenotazioni* - Show your bookings
+❌ */cancella [number]* - Give up your place in the queue or cancel a booking
+⏩ */estendi [minutes]* - Extend the current charge if nobody is queued
+🔌 */lascio [minutes]* - Announce when you unplug and pass the cable to the first in queue (*/lascio annulla* to cancel)
+⚡ */energia [kWh]* - Enter the energy of your last finished charge
+📊 */status [station]* - See which charge points are free/busy
+🏢 */stazioni* - List of charging stations
+📜 */storico* - Your latest charges
+📈 */statistiche* - Your statistics by month and week
+🌐 */lingua [it|en|de|auto]* - Change the bot language
+🔔 */notifiche* - Reminders, free slot alerts, announcements and quiet hours
+👀 */avvisami [station] [HH:MM-HH:MM] [sempre]* - Get an alert when a slot frees up, without joining the queue (*/avvisami annulla* to cancel)
+❓ */help* - Show this guide
+📍 */dove_sono* - Show the current chat ID
+
+*Tips:*
+- Once notified, you have {queueTimeout} to start
+- If you change your mind or something comes up, use */cancella* to free your place
+- Respect the {chargeTime} limit out of courtesy to everyone
+{fairness}`,
+    fairness: '*Fairness rules:*',
+    rules: {
+      dailySessions: '- At most {charges} per day',
+      weeklyMinutes: '- At most {duration} of charging per week',
+      cooldown: '- If others are queued, wait {duration} between two charges',
+      strikes: '- A missed turn earns a strike: with {strikes} in {window} the account is suspended for {suspension}',
+      strikesOverdue: '- A missed turn or more than {overdue} late freeing the slot earns a strike: with {strikes} in {window} the account is suspended for {suspension}'
+    },
+    admin: `
+
+🔧 *ADMINISTRATOR COMMANDS* 🔧
+
+ℹ️ Moderators can use status, statistics, stations, settings, the consistency check and queue management; the other commands need the admin role, the system reset the owner role.
+
+*System management:*
+📊 */admin_status* - Detailed system status
+📈 */admin_stats* - System statistics
+🔄 */admin_set_max_slots [number] [station]* - Set the maximum number of slots
+⚙️ */admin_settings* - List of settings (times and rates) with their current values
+🔄 */admin_set [setting] [value|default]* - Change a setting
+🔄 */admin_set_charge_time [minutes]* - Set the maximum charging time
+🔄 */admin_set_reminder_time [minutes]* - Set the reminder time
+💶 */admin_report [MM/YYYY]* - Monthly report per user (charges, kWh, cost) with CSV file
+📜 */admin_audit [@username] [days] [csv]* - Action log (sessions, queue, slots, resets, announcements)
+🔑 */admin_apikey [add name [read|write] | revoke prefix]* - REST API keys (without arguments shows the active keys)
+🔌 */admin_ocpp [link chargepoint station [connector=slot]]* - OCPP charge points: connector status and slot mapping
+🚗 */admin_chargers [tag @username card | sim station slot action [card]]* - Slots reported by the charge points, vehicles without a session, RFID cards and simulator
+🪝 */admin_webhook [add url events | test n | remove n | log]* - Outbound webhooks for session and queue events (without arguments shows the webhooks)
+🩺 */admin_check [fix]* - Compare the counters with the actual sessions and queue (with *fix* corrects them)
+🗑️ */admin_reset_system* - Completely reset the system (requires confirmation)
+
+*Station management:*
+🏢 */admin_stations* - List of stations with their configuration
+➕ */admin_add_station name | address | slots* - Add a station
+✏️ */admin_edit_station [station] [field] [value]* - Edit a station (fields: name, address, charge_time, reminder_time)
+
+*User management:*
+⏹️ */admin_reset_slot @username* - Force-end a session
+🚫 */admin_remove_queue @username* - Remove a user from the queue
+⬆️ */admin_priority @username [class]* - Change the queue class (critical, accessibility, normal)
+🔴 */admin_urgent [days]* - Recent urgent requests with the stated reasons
+👥 */admin_roles* - Assigned roles (owner, admin, moderator, banned)
+🎖️ */admin_grant @username [role]* - Assign a role (admin, moderator, user, banned)
+↩️ */admin_revoke @username* - Put a user back to the base role
+⚖️ */admin_exempt [@username]* - Exempt a user from the charging limits (without arguments shows the exempt users)
+✅ */admin_unexempt @username* - Revoke the exemption
+🟨 */admin_strikes [@username] [clear]* - Strikes and suspensions (with *clear* clears the user's strikes)
+⛔ */admin_ban @username [days] [reason]* - Suspend a user (without days the ban is permanent)
+🔓 */admin_unban @username* - Lift the suspension and reset the strikes
+📣 */admin_notify_all [message]* - Send a message to everyone
+
+*Diagnostics:*
+🔍 */dbtest* - Check the database status
+🔄 */admin_update_commands* - Update the bot commands
+`
+  },
+
+  session: {
+    location: '🏢 Station: *{station}* - Slot *{slot}*',
+    started: `
+✅ *Charge started successfully!*
+
+{location}⏱️ Started at: *{start}*
+⌛ Expected end: *{end}*
+⏳ Maximum time: *{duration}*
+
+📱 *What to do now:*
+- You will get a reminder {reminder} before the end
+- When you finish charging, unplug the vehicle
+- Confirm with */terminato* (or the button below) to free the slot
+
+⚠️ *Important:* If you do not confirm within the maximum time, you may receive reminder notifications.
+`,
+    energy: '⚡ Energy delivered: *{energy}*',
+    cost: '💶 Cost: *{cost}*',
+    energyHint: 'ℹ️ You can enter the delivered kWh with */energia [kWh]* or the meter readings with */energia [start] [end]*',
+    ended: `
+✅ *Charge ended successfully!*
+
+⏱️ Total duration: *{duration}*
+{billing}🔋 Thank you for using Green-Charge!
+
+👍 You freed the slot for the other users.
+Want to book a new charge? Use */prenota*
+`,
+    capped: 'ℹ️ The extension was shortened to respect the maximum duration of *{duration}*.',
+    extended: `
+⏩ *Charge extended by {duration}*
+
+⌛ New expected end: *{end}*
+{capped}
+You will get a new reminder before the end.
+When you finish, confirm with */terminato* to free the slot.
+`,
+    terminatedByAdmin: '⚠️ *Your charging session was ended by an administrator.*\n\n⏱️ Duration: *{duration}*.\n\nFor more information, contact an administrator.',
+    terminatedByReset: '⚠️ *Your charging session was ended because of a system reset.*\n\nℹ️ The system was reset by an administrator.\n\nIf needed, you can book a new session with /prenota.',
+    overdue: '⚠️ *IMPORTANT REMINDER*\n\n@{username}, your time expired *{duration}* ago.\n\n🔸 Please free the slot immediately.\n🔸 Confirm with /terminato once you have unplugged the vehicle.\n\nOther users are waiting to use the charge point. Thank you for your cooperation!'
+  },
+
+  energyRecorded: {
+    title: '⚡ *Energy recorded*',
+    session: '📅 Charge of {date}',
+    meter: '📟 Meter: {start} → {end}',
+    energy: '🔋 Energy delivered: *{energy}*',
+    usage: '❌ Usage: /energia <kWh> or /energia <start reading> <end reading>\nExample: `/energia 12.5` or `/energia 1520.3 1532.8`'
+  },
+
+  extend: {
+    usage: '❌ Usage: /estendi [minutes]'
+  },
+
+  handover: {
+    usage: '❌ Usage: /lascio [minutes] or /lascio annulla',
+    announced: `
+🔌 *Cable handover announced*
+
+You will unplug at about *{time}*: @{username} has been told and will get the slot directly, without it going to anyone else.
+
+When you unplug confirm with */terminato*, or @{username} will confirm with */iniziato* when taking the cable.
+To cancel use */lascio annulla*.
+`,
+    headsUp: `
+🔔 *Heads-up for you, @{username}!*
+
+@{from} will unplug from slot *{slot}* at *{station}* at about *{time}* and pass the cable to you: the slot will not be given to anyone else.
+
+Be at the charger. When you take the cable confirm with */iniziato* or the button: @{from}'s charge will end and yours will start.
+`,
+    ready: `
+🔌 *@{from} has left slot {slot} at {station}, @{username}!*
+
+The slot is reserved for you. Plug in your vehicle and confirm with */iniziato* within *{timeout}*, otherwise you will lose your turn.
+`,
+    completed: '🔌 The slot is reserved for @{username}, who takes the cable from you.',
+    takenOver: '🔌 @{username} took the cable at slot *{slot}* of *{station}*: your charge has ended. Thanks!',
+    cancelled: '↩️ Cable handover to @{username} cancelled: when you finish, the slot goes to the first user in queue.',
+    cancelledNotice: '↩️ @{from} cancelled the cable handover. You stay in the queue and will be notified when a slot frees up.'
+  },
+
+  welcome: `
+👋 *Welcome to Green-Charge, @{username}!*
+
+This bot manages the queue for the charge points quickly and simply.
+
+📱 *To get started:*
+
+- Use */prenota* to request a charge point
+- If all of them are busy, you will be put in the queue
+- You will be notified when it is your turn
+
+📊 To check the charge points use */status*
+❓ For more information use */help*
+🌐 To change language use */lingua*
+
+Happy charging! ⚡
+`,
+
+  queue: {
+    where: ' for *{station}*',
+    priorityNote: '{priority}: you go ahead of more recent normal requests. Urgent requests are reviewed by the administrator.',
+    message: `
+⏳ *All charge points are busy right now*
+
+✅ @{username}, you are in the queue{where} at position *#{position}*.{waitNote}
+{priorityNote}
+*What happens now:*
+- When a slot frees up, users are notified in queue order
+- You will be notified when it is your turn
+- You will have {timeout} to start charging after the notification
+
+*Available options:*
+- Use */status* to check your position in the queue
+- Use */cancella* if you change your mind and no longer want to wait
+
+Thank you for your patience! 🙏
+`,
+    removed: '✅ @{username}, you have been removed from the queue.\n\nYou were at position *#{position}*.\n\nIf you want to charge in the future, use /prenota again.',
+    activeSession: 'ℹ️ @{username}, you have an active charging session.\n\nIf you want to end the charge, use the /terminato command.',
+    nothingToCancel: 'ℹ️ @{username}, you are not in the queue and have no active session.\n\nTo book a charge, use the /prenota command.',
+    skipped: '⏭️ @{username}, you passed your turn to the next user.\n\nYou have been put back in the queue at position *#{position}*. Use /cancella if you no longer want to wait.',
+    removedByAdmin: '⚠️ *You have been removed from the queue by an administrator.*\n\nℹ️ You were at position #{position}.\n\nFor more information, contact an administrator.',
+    removedByReset: '⚠️ *You have been removed from the queue because of a system reset.*\n\nℹ️ The system was reset by an administrator.\n\nIf needed, you can book a new session with /prenota.',
+    priorityUpdated: 'ℹ️ An administrator updated your request in the queue.\n\nYou are now at position *#{position}*.',
+    removedByApi: 'ℹ️ @{username}, you have been removed from the queue (position #{position}).\n\nIf you want to charge in the future, use /prenota again.',
+    timedOut: '⏱️ *Time expired*\n\n@{username}, more than {timeout} have passed since you were notified that a charging slot was available. Your turn has been skipped and the slot will go to the next user in the queue.\n\nIf you still want to charge, use the /prenota command again to join the queue.'
+  },
+
+  slotWhere: ' at *{station}*',
+
+  slotAvailable: `
+✅ *Great news, @{username}!*
+
+🟢 **There is a free slot{where}, you can start charging right away.**
+
+*Here is what to do:*
+
+1️⃣ Go to the charge point
+2️⃣ Activate it through the Antonio Green-Charge app
+3️⃣ Plug in your vehicle
+4️⃣ Confirm the start with */iniziato*
+
+⏱️ Remember: you have at most *{duration}*.
+
+⚠️ *Important:* If you do not confirm the start with */iniziato*, the slot stays reserved for you but you will not appear as charging.
+`,
+
+  yourTurn: `
+🔔 *IT IS YOUR TURN, @{username}!*
+
+🟢 A charging slot{where} has freed up and is reserved for you.
+
+*What to do now:*
+
+1️⃣ Go to the charge point right away
+2️⃣ Activate it through the Antonio Green-Charge app
+3️⃣ Plug in your vehicle
+4️⃣ IMPORTANT: Confirm the start with */iniziato*
+
+⏱️ You will have at most *{duration}* to charge.
+
+⚠️ *WARNING: You only have {timeout} to confirm* the start with */iniziato*, otherwise you lose your turn and the slot goes to the next user in the queue.
+
+If you can no longer charge, use */cancella* to free the slot right away.
+`,
+
+  reservations: {
+    confirmed: `
+📅 *Booking confirmed!*
+
+🏢 Station: *{station}*
+🕐 Window: *{start} - {end}*
+
+*What will happen:*
+- At the start of the window a slot will be held for you
+- You will be notified and have {timeout} to confirm with */iniziato*
+- The charge can last until the end of the window
+
+Use */prenotazioni* to see your bookings or */cancella* to cancel it.
+`,
+    empty: '📅 *You have no active bookings.*\n\nTo book a window use for example */prenota domani 07:30-08:00*.',
+    title: '📅 *Your bookings*',
+    entry: '{index}. *{start} - {end}* at {station}',
+    held: ' - 🟢 *slot ready*',
+    cancelHint: 'To cancel a booking use */cancella [number]*.',
+    started: `
+🔔 *YOUR BOOKING HAS STARTED, @{username}!*
+
+🟢 A slot at *{station}* is held for you until *{end}*.
+
+*What to do now:*
+
+1️⃣ Go to the charge point
+2️⃣ Activate it through the Antonio Green-Charge app
+3️⃣ Plug in your vehicle
+4️⃣ IMPORTANT: Confirm the start with */iniziato*
+
+⚠️ *You have {timeout} to confirm*, otherwise the slot will be released to the other users.
+
+If you can no longer charge, use */cancella* to free the slot right away.
+`,
+    cancelled: '✅ @{username}, your booking for *{date}* has been cancelled.\n\nIf you want to charge in the future, use /prenota again.',
+    notFound: '❌ Booking not found. Use /prenotazioni to see the list.',
+    expired: '⏱️ *Booking expired*\n\n@{username}, you did not confirm the start of charging within {timeout} of your window opening. The slot has been released to the other users.\n\nIf you still want to charge, use /prenota.',
+    missed: '😔 *Booking not served*\n\n@{username}, no slot became free during your {start}-{end} window. We apologise for the inconvenience.\n\nYou can book a new window with /prenota.'
+  },
+
+  reminder: `
+⏰ *Charging reminder, @{username}*
+
+Only *{duration}* left before the end.
+
+*Information:*
+- Charging will end at *{end}*
+- Get the vehicle ready to be unplugged
+- When done, confirm with */terminato*
+
+Thank you for your cooperation! Other users may be waiting. 👍
+`,
+
+  timeout: `
+⚠️ *TIME EXPIRED, @{username}*
+
+Your charging time of *{duration}* is over.
+
+*What to do right away:*
+1. Stop charging in the app
+2. Unplug the vehicle from the charge point
+3. Confirm with */terminato* to free the slot
+
+⚡ Other users are waiting to use the charge point.
+Thank you for your cooperation!
+`,
+
+  account: {
+    suspended: '⛔ *Your account has been suspended until {date}* for: {reason}.\n\nUntil then you cannot book or start charges.',
+    bannedWithReason: '🚫 Your access to the bot has been permanently suspended by an administrator for: {reason}.',
+    banned: '🚫 Your access to the bot has been suspended by an administrator.',
+    roleChanged: 'ℹ️ Your role in the bot is now *{role}*. Use /help to see the available commands.',
+    unbanned: '✅ Your suspension has been lifted by an administrator: you can book again with /prenota.',
+    announcement: '📢 *ADMINISTRATOR ANNOUNCEMENT* 📢\n\n{message}'
+  },
+
+  whereAmI: {
+    title: '📍 *Current chat information*',
+    private: 'Type: Private chat with the bot\nID: `{id}`\n\nThis is the ID of your private chat with the bot, not of a group.',
+    group: 'Type: {type}\nName: *{title}*\nID: `{id}`\n\n🔍 This is the ID of this group. To restrict the bot to this group, the bot administrator has to set this ID in the configuration.',
+    groupType: 'Group',
+    supergroupType: 'Supergroup',
+    other: 'Type: {type}\nID: `{id}`',
+    admin: '👑 *Administrator info:*\nTo restrict the bot to this group, set the environment variables:'
+  },
+
+  language: {
+    current: '🌐 *Language*\n\nCurrent language: *{language}*{auto}\n\nChoose a language with the buttons or with */lingua [{locales}|auto]*.',
+    auto: ' (from your Telegram settings)',
+    autoButton: '🔄 Automatic',
+    changed: '✅ From now on I will write to you in *{language}*.',
+    reset: '✅ From now on I will use the language of your Telegram settings (*{language}*).',
+    invalid: '❌ Language "{language}" is not available. Languages: {locales}, or auto.'
+  },
+
+  notifications: {
+    title: '🔔 *Notifications*',
+    reminder: '⏰ Reminder before your time is up: *{value}*',
+    overdue: '🔁 Reminders if you do not free the slot: *every {value}*',
+    slotFreed: '🟢 Free slot alerts when you are not queued: *{value}*',
+    announcements: '📢 Administrator announcements: *{value}*',
+    quiet: '🌙 Quiet hours: *{value}*',
+    hint: 'Tap a button to change a setting. For different quiet hours use */notifiche silenzio HH:MM-HH:MM* (or */notifiche silenzio off*).\n\nDuring quiet hours reminders and announcements are deferred and free slot alerts are not sent. Your queue turn and time-up messages always arrive.',
+    stationDefault: 'station default',
+    on: 'on',
+    off: 'off',
+    none: 'none',
+    noReminder: 'none',
+    usage: '❌ Usage: */notifiche* for the settings, */notifiche silenzio HH:MM-HH:MM* or */notifiche silenzio off* for quiet hours.',
+    slotAvailable: '🟢 *Free slot at {station}*\n\nFree slots: *{free}/{total}*, nobody queued. Tap the station to book.\n\nTo stop these alerts use */notifiche*.',
+    buttons: {
+      reminder: '⏰ Reminder',
+      overdue: '🔁 Overstay',
+      slotFreed: '🟢 Free slots',
+      announcements: '📢 Announcements',
+      quiet: '🌙 Quiet hours'
+    }
+  },
+
+  watch: {
+    created: '👀 *Alert active for {station}*\n\n{when}\n\nI\'ll message you when a slot frees up and nobody is queued. You are not in the queue: there is no turn to keep and no strike if you don\'t show up.',
+    once: 'It applies to the first free slot in the next 24 hours.',
+    onceWindow: 'It applies to the first free slot between *{start}* and *{end}*.',
+    recurring: 'I\'ll alert you every time a slot frees up.',
+    recurringWindow: 'I\'ll alert you every day when a slot frees up between *{start}* and *{end}*.',
+    freeNow: '🟢 Right now *{free}* slots are free: tap the station to book straight away.',
+    cancelHint: 'To cancel use */avvisami annulla*.',
+    cancelled: '✅ Alerts cancelled: {count}.',
+    none: 'ℹ️ You have no active alerts.',
+    alreadyQueued: 'ℹ️ You are already queued at *{station}*: you will get your turn notification.',
+    slotFree: '👀 *Free slot at {station}*\n\nFree slots: *{free}/{total}*, nobody queued. Tap the station to book.',
+    onceNote: 'Your alert has been used: to get another one repeat */avvisami*.',
+    recurringNote: 'To stop these alerts use */avvisami annulla*.'
+  },
+
+  // Pulsanti dei messaggi
+  buttons: {
+    start: '⚡ Start charging',
+    skip: '⏭️ Skip my turn',
+    end: '✅ Done',
+    extend: '⏩ Extend',
+    refresh: '🔄 Refresh',
+    newer: '◀️ Newer',
+    older: 'Older ▶️',
+    previousMonth: '◀️ Previous month',
+    nextMonth: 'Next month ▶️'
+  },
+
+  // Risposte brevi alla pressione dei pulsanti
+  callbacks: {
+    started: '⚡ Charge started',
+    skipped: '⏭️ Turn skipped, you are now at position #{position}',
+    ended: '✅ Charge ended',
+    extended: '⏩ Charge extended',
+    refreshed: '🔄 Status refreshed',
+    language: '🌐 {language}',
+    notifications: '🔔 Setting updated'
+  },
+
+  // Descrizioni dei comandi nel menu di Telegram
+  commands: {
+    start: 'Start the bot',
+    prenota: 'Book a slot or join the queue',
+    cancella: 'Cancel your place in the queue',
+    prenotazioni: 'Show your bookings',
+    iniziato: 'Confirm the start of charging',
+    terminato: 'Confirm the end of charging',
+    estendi: 'Extend the charge if nobody is queued',
+    lascio: 'Pass the cable to the first in queue',
+    energia: 'Enter the kWh of your last charge',
+    status: 'Show the current system status',
+    stazioni: 'List of charging stations',
+    storico: 'Your latest charges',
+    statistiche: 'Your charging statistics',
+    lingua: 'Change the bot language',
+    notifiche: 'Notification preferences and quiet hours',
+    avvisami: 'Alert me when a slot frees up',
+    help: 'Show the available commands',
+    dove_sono: 'Show the current chat ID',
+    admin_help: 'Show the available admin commands',
+    admin_status: 'Detailed system status',
+    admin_stats: 'System statistics',
+    admin_stations: 'Stations and their configuration',
+    admin_settings: 'Show times and rates',
+    admin_check: 'Check the counters for consistency',
+    admin_remove_queue: 'Remove a user from the queue',
+    admin_priority: 'Change the priority of a queued user',
+    admin_urgent: 'Recent urgent requests',
+    admin_strikes: 'User strikes and suspensions',
+    admin_report: 'Monthly report with CSV export',
+    admin_audit: 'Action log with CSV export',
+    admin_set_max_slots: 'Set the maximum number of slots',
+    admin_add_station: 'Add a charging station',
+    admin_edit_station: 'Edit a charging station',
+    admin_set: 'Change a time or a rate',
+    admin_set_charge_time: 'Set the maximum charging time',
+    admin_set_reminder_time: 'Set the reminder time',
+    admin_reset_slot: 'Force-end a user\'s session',
+    admin_exempt: 'Exempt a user from the charging limits',
+    admin_unexempt: 'Revoke an exemption from the charging limits',
+    admin_ban: 'Suspend or ban a user',
+    admin_unban: 'Lift a user\'s suspension',
+    admin_apikey: 'Manage the REST API keys',
+    admin_webhook: 'Manage the outbound webhooks',
+    admin_ocpp: 'OCPP charge points',
+    admin_chargers: 'Slots reported by the charge points and RFID cards',
+    admin_roles: 'List of assigned roles',
+    admin_grant: 'Assign a role to a user',
+    admin_revoke: 'Put a user back to the base role',
+    admin_notify_all: 'Send a message to all users',
+    admin_update_commands: 'Update the bot commands',
+    dbtest: 'Check the database status',
+    admin_reset_system: 'Completely reset the system',
+    admin_confirm_reset: 'Confirm the system reset'
+  },
+
+  // Messaggi dei comandi admin
+  admin: {
+    unknownCommand: '❓ Unknown admin command. Use /admin_help for the list of available commands.',
+    commandError: '❌ Error while running the command: {error}',
+    adminCommandError: '❌ An error occurred while running the admin command: {error}',
+    commandsUpdated: '✅ Bot commands updated successfully!',
+    usage: {
+      reset_slot: '❌ Usage: /admin_reset_slot @username',
+      remove_queue: '❌ Usage: /admin_remove_queue @username',
+      set_max_slots: '❌ Usage: /admin_set_max_slots [number] [station]',
+      set_max_slots_station: '❌ Usage: /admin_set_max_slots [number] [station]\n\nGive the station (number or name), see /admin_stations.',
+      set: '❌ Usage: /admin_set [setting] [value|default]\n\nUse /admin_settings for the list of settings.',
+      set_minutes: '❌ Usage: /admin_{command} [minutes]',
+      add_station: '❌ Usage: /admin_add_station name | address | slots',
+      grant: '❌ Usage: /admin_grant @username [role]\n\nRoles: admin, moderator, user, banned',
+      revoke: '❌ Usage: /admin_revoke @username',
+      unexempt: '❌ Usage: /admin_unexempt @username',
+      notify_all: '❌ Usage: /admin_notify_all [message]',
+      edit_station: '❌ Usage: /admin_edit_station [station] [field] [value]\n\nFields: name, address, charge_time, reminder_time',
+      priority: '❌ Usage: /admin_priority @username [class]\n\nClasses: critical (critical battery), accessibility, normal',
+      ban: '❌ Usage: /admin_ban @username [days] [reason]\n\nWithout days the ban is permanent.',
+      unban: '❌ Usage: /admin_unban @username',
+      apikey_revoke: '❌ Usage: /admin_apikey revoke [prefix]',
+      webhook_add: '❌ Usage: /admin_webhook add [url] [events]\n\nEvents (comma separated, all by default): {events}',
+      ocpp_link: '❌ Usage: /admin_ocpp link [charge point] [station] [connector=slot ...]\n\nBy default connector N maps to slot N.',
+      chargers_tag: '❌ Usage: /admin_chargers tag @username [card|off]',
+      chargers_sim: '❌ Usage: /admin_chargers sim [station] [slot] [{actions}] [card]'
+    },
+    status: {
+      title: '🔧 *ADMIN: Detailed system status*',
+      configuration: '🔌 *Configuration:*',
+      totalSlots: '- Total slots: *{count}*',
+      occupiedSlots: '- Slots in use: *{occupied}/{total}*',
+      availableSlots: '- Available slots: *{count}*',
+      chargeTime: '- Max charging time: *{minutes} min*',
+      reminderTime: '- Reminder time: *{minutes} min*',
+      queueLength: '- Users in queue: *{count}*',
+      charging: '⚡ *Users currently charging:*',
+      chargingEntry: '{index}. @{username} (ID: {id}) - Slot {slot}, started at {start}, ends at {end} (in *{minutes} min*)',
+      noCharging: '⚡ *No users currently charging.*',
+      queue: '👥 *Users in queue:*',
+      queueEntry: '{index}. @{username} (ID: {id}) - Position #{position}{priority}, waiting for {waiting}',
+      emptyQueue: '👥 *Nobody in the queue.*',
+      error: '❌ Error while retrieving the status: {error}'
+    },
+    stats: {
+      title: '📊 *ADMIN: System statistics*',
+      general: '📈 *General statistics:*',
+      totalCharges: '- Total completed charges: *{count}*',
+      chargesToday: '- Charges completed today: *{count}*',
+      averageTime: '- Average charging time: *{duration}*',
+      energy: '- Declared energy delivered: *{energy}*',
+      cost: '- Total amount: *{cost}*',
+      users: '👥 *User statistics:*',
+      totalUsers: '- Total registered users: *{count}*',
+      activeUsers: '- Active users in the last 30 days: *{count}*',
+      current: '🔌 *Current status:*',
+      perStation: '🏢 *By station:*',
+      stationRow: '- {station}: *{occupied}/{total}* in use, *{queue}* queued, *{charges}* charges',
+      error: '❌ Error while retrieving the statistics: {error}'
+    },
+    userNotFound: '❌ User @{username} not found.',
+    noActiveSession: 'ℹ️ User @{username} has no active sessions.',
+    slotReset: '✅ The slot of @{username} (ID: {id}) has been reset.\n\n⏱️ Session duration: *{duration}*.\n\n🔔 The next user in the queue has been notified.',
+    resetSlotError: '❌ Error while resetting the slot: {error}',
+    notInQueue: '❌ User @{username} not found in the queue.',
+    removedFromQueue: '✅ @{username} (ID: {id}) has been removed from the queue.\n\nℹ️ They were at position #{position}.',
+    removeQueueError: '❌ Error while removing from the queue: {error}',
+    minSlots: '❌ The number of slots must be at least 1.',
+    stationRequired: '❌ Give the station (number or name), see /admin_stations.',
+    maxSlotsUpdated: '✅ Maximum number of slots at *{station}* set to *{count}*.\n\nℹ️ Current status: *{available}* slots available.',
+    maxSlotsError: '❌ Error while updating the maximum number of slots: {error}',
+    checkError: '❌ Error during the consistency check.',
+    roleChanged: '✅ Role of @{username}: *{previous}* → *{role}*.',
+    rolesError: '❌ Error while retrieving the roles.',
+    priorityChanged: '✅ @{username} moves from *{previous}* to *{priority}*: now at position *#{position}*.',
+    urgentError: '❌ Error while retrieving the urgent requests.',
+    exempted: '✅ @{username} is now exempt from the charging limits and the wait between charges.',
+    unexempted: '✅ @{username} is subject to the charging limits again.',
+    strikesCleared: '✅ Strikes of @{username} cleared.',
+    banDays: '❌ The suspension must last between 1 and 365 days.',
+    bannedForever: '✅ @{username} permanently suspended.',
+    bannedUntil: '✅ @{username} suspended until {date}.',
+    bannedQueue: 'ℹ️ They have been removed from the queue.',
+    bannedReservations: {
+      one: 'ℹ️ {count} booking cancelled.',
+      other: 'ℹ️ {count} bookings cancelled.'
+    },
+    unbanned: '✅ Suspension of @{username} lifted and strikes reset.',
+    apiKeyPrivate: '🔒 For security, create API keys in a private chat with the bot.',
+    apiKeyCreated: '🔑 *API key created*\n\nName: *{name}*\nPermissions: *{scope}*\n\n`{key}`\n\n⚠️ Copy it now: it will not be shown again. Use it in the `Authorization: Bearer <key>` header.',
+    apiKeyRevoked: '✅ Key {prefix} ({name}) revoked.',
+    webhookPrivate: '🔒 For security, register webhooks in a private chat with the bot.',
+    webhookCreated: '🪝 *Webhook registered*\n\nURL: `{url}`\nEvents: {events}\n\n`{secret}`\n\n⚠️ Copy the secret now: it will not be shown again. It is used to verify the `X-GreenCharge-Signature` header.',
+    webhookRemoved: '✅ Webhook {url} removed.',
+    webhookTestDelivered: '✅ Test event delivered (HTTP {status}).',
+    webhookTestFailed: '⚠️ Test delivery failed: {error}. It will be retried automatically.',
+    ocppConnector: 'connector {connector} → slot {slot}',
+    ocppLinked: '✅ Charge point {chargePoint} linked to {station} ({connectors}).',
+    ocppLinkedDefault: '✅ Charge point {chargePoint} linked to {station}. Connectors will be mapped to the slots with the same number.',
+    tagLinked: '✅ Card {tag} linked to @{username}: charges started with this card will be recorded automatically.',
+    tagRemoved: '✅ Card removed for @{username}.',
+    simulatorOff: '❌ The simulator driver is not active: add it to CHARGER_DRIVERS to simulate vehicles.',
+    stationNotFound: '❌ Station "{station}" not found. Use /admin_stations to see the list.',
+    simulated: '🧪 Simulation *{action}* sent to slot {slot} of {station}.',
+    simulatedSession: ' Charge linked to the session of @{username}.',
+    simulatedUnknownTag: ' No session linked (unknown or missing card).',
+    simulatedBlockedTag: ' No session linked (blocked card).',
+    simulatedEnergy: ' Simulated energy: {energy}.',
+    exemptions: {
+      title: '⚖️ *Users exempt from the charging limits*',
+      empty: 'No exempt users.',
+      hint: 'Use */admin_exempt @username* to grant the exemption and */admin_unexempt @username* to revoke it.',
+      error: '❌ Error while retrieving the exempt users.'
+    },
+    settingsError: '❌ Error while retrieving the settings.',
+    settingUpdated: '✅ Setting `{key}` set to *{value} {unit}*.\n\nℹ️ The new value is already in use; stations with their own value do not change.',
+    stations: {
+      title: '🏢 *ADMIN: Configured stations*',
+      address: '- Address: {address}',
+      noAddress: '_not set_',
+      slots: '- Slots: *{total}* (available: *{available}*)',
+      chargeTime: '- Max charging time: *{minutes} min*{default}',
+      reminderTime: '- Reminder time: *{minutes} min*{default}',
+      default: ' (default)',
+      queueLength: '- Users in queue: *{count}*',
+      hint: 'Use /admin_add_station or /admin_edit_station to change the stations.',
+      error: '❌ Error while retrieving the stations: {error}'
+    },
+    stationCreated: '✅ Station *{station}* created with *{count}* slots.\n\nUsers can select it with /prenota {station}.',
+    addStationError: '❌ Error while creating the station: {error}',
+    editStationNotFound: '❌ Station "{station}" not found. Use /admin_stations for the list.',
+    stationUpdated: '✅ Station *{station}* updated: {field} = *{value}*.',
+    editStationError: '❌ Error while editing the station: {error}',
+    noUsers: '❌ No registered users.',
+    notifySent: '✅ Message sent to *{sent}* users.\n🌙 Deferred for quiet hours: *{deferred}*\n🔕 Announcements turned off: *{skipped}*\n❌ Errors: *{errors}*',
+    notifyError: '❌ Error while sending the message: {error}',
+    resetConfirm: '⚠️ *WARNING* ⚠️\n\nYou are about to completely reset the system, ending all active sessions and emptying the queue.\n\n*This operation cannot be undone.*\n\nTo confirm, reply with /admin_confirm_reset',
+    resetError: '❌ Error while resetting the system: {error}',
+    resetDone: '✅ *System reset successfully.*\n\n- {sessions} active sessions ended\n- {users} users removed from the queue\n- {slots} slots available at {stations} stations',
+    dbtest: '📊 *Database status:*\n- System documents: *{system}*\n- Station documents: *{station}*\n- Session documents: *{session}*\n- Queue documents: *{queue}*\n- User documents: *{user}*',
+    dbtestError: '❌ Error during the database test: {error}'
+  },
+
+  // Avviso all'amministratore all'avvio del bot
+  system: {
+    started: '🤖 *Green-Charge Bot started*\n\nThe bot is now online and ready to use.\n\nVersion: {version}\nStarted: {date}\nInstance ID: {instance}'
+  }
+};
@@ -0,0 +1,1135 @@
+/**
+ * Catalogo dei messaggi in italiano, la lingua predefinita del bot.
+ * I parametri sono indicati come {nome}; i testi con { one, other } sono plurali
+ * scelti in base al parametro count. Le altre lingue devono avere le stesse chiavi
+ * (verificato da npm test).
+ */
+module.exports = {
+  meta: {
+    name: 'Italiano',
+    intl: 'it-IT'
+  },
+
+  units: {
+    minutes: { one: '{count} minuto', other: '{count} minuti' },
+    charges: { one: '{count} ricarica', other: '{count} ricariche' },
+    days: { one: '{count} giorno', other: '{count} giorni' },
+    strikes: { one: '{count} richiamo', other: '{count} richiami' },
+    users: { one: '{count} utente', other: '{count} utenti' }
+  },
+
+  errors: {
+    generic: '❌ Si è verificato un errore: {error}',
+    start: '❌ Si è verificato un errore durante l\'avvio. Riprova più tardi.',
+    status: '❌ Si è verificato un errore durante il recupero dello stato: {error}',
+    unknownAction: '❓ Azione non riconosciuta.',
+
+    // Errori delle operazioni, mostrati nella lingua dell'utente
+    userNotFound: 'Utente @{username} non trovato.',
+    stationNotFound: 'Stazione non trovata.',
+    role: {
+      invalid: 'Ruolo "{role}" non valido. Ruoli: {roles}.',
+      self: 'Non puoi cambiare il tuo ruolo.',
+      notAllowed: 'Il tuo ruolo ({actorRole}) non consente di assegnare il ruolo {role} a @{username}.'
+    },
+    charger: {
+      tagTooLong: 'Il codice della tessera può avere al massimo 20 caratteri.',
+      tagTaken: 'La tessera {tag} è già associata a un altro utente.'
+    },
+    ocpp: {
+      unknownChargePoint: 'Colonnina {chargePoint} mai collegata. Collegala al server OCPP prima di associarla.',
+      stationNotFound: 'Stazione "{station}" non trovata. Usa /admin_stations per vedere l\'elenco.',
+      invalidMapping: 'Associazione "{mapping}" non valida: usa connettore=slot con uno slot tra 1 e {slots}.',
+      duplicateSlot: 'Due connettori non possono essere associati allo stesso slot.',
+      mappingRequired: 'La stazione {station} ha {slots} slot: indica l\'associazione dei connettori con connettore=slot.'
+    },
+    webhook: {
+      invalidGroup: 'Gruppo di eventi "{group}" non valido.',
+      invalidEvent: 'Evento "{event}" non valido. Eventi: {events}.',
+      invalidUrl: 'URL "{url}" non valido.',
+      invalidProtocol: 'L\'URL del webhook deve iniziare con http:// o https://.',
+      numberRequired: 'Indica il numero del webhook. Usa /admin_webhook per vedere l\'elenco.',
+      notFound: 'Webhook {number} non trovato. Usa /admin_webhook per vedere l\'elenco.'
+    },
+    user: {
+      languageUnavailable: 'Lingua "{language}" non disponibile.',
+      notRegistered: 'Utente non registrato. Usa /start per iniziare.',
+      notFound: 'Utente non trovato.'
+    },
+    apiKey: {
+      nameRequired: 'Il nome della chiave è obbligatorio.',
+      invalidScope: 'Permesso "{scope}" non valido. Permessi: read, write.',
+      notFound: 'Nessuna chiave attiva con prefisso {prefix}.'
+    },
+    reservation: {
+      invalidTime: 'Orario non valido. Usa il formato HH:MM-HH:MM, ad esempio 07:30-08:00.',
+      invalidDate: 'Data "{date}" non valida.',
+      past: 'La finestra di prenotazione deve essere nel futuro.',
+      tooFarAhead: 'Puoi prenotare al massimo con {days} giorni di anticipo.',
+      invalidDuration: 'La finestra deve durare tra {min} e {max} minuti.',
+      overlap: 'Hai già una prenotazione che si sovrappone a questa finestra.',
+      full: 'Nessuno slot libero presso {station} in questa finestra. Prova un altro orario o un\'altra stazione.',
+      fullQueue: 'Nessuno slot libero presso {station} in questa finestra (la coda attuale non sarà ancora smaltita). Prova un altro orario o un\'altra stazione.',
+      fullReserved: 'Nessuno slot libero presso {station} in questa finestra (prenotazioni già presenti: {count}). Prova un altro orario o un\'altra stazione.',
+      notFound: 'Prenotazione non trovata.'
+    },
+    session: {
+      alreadyActive: 'Hai già una sessione di ricarica attiva.',
+      noStation: 'Stazione non specificata.',
+      stationMissing: 'Errore di sistema. Stazione non trovata.',
+      reservationReleased: 'La tua prenotazione non è più valida: lo slot trattenuto è stato rilasciato.',
+      allSlotsTaken: 'Tutti gli slot sono occupati.',
+      turnExpired: 'Il tuo turno è scaduto. Usa /prenota per rimetterti in coda.',
+      noFreeSlot: 'Non ci sono slot disponibili al momento. Usa /prenota per metterti in coda.',
+      noneActive: 'Non hai sessioni di ricarica attive.',
+      minutesTooLow: 'Il numero di minuti deve essere almeno 1.',
+      extendQueued: {
+        one: 'Non è possibile estendere la ricarica: c\'è {count} utente in coda a {station}. Libera lo slot alla scadenza con /terminato.',
+        other: 'Non è possibile estendere la ricarica: ci sono {count} utenti in coda a {station}. Libera lo slot alla scadenza con /terminato.'
+      },
+      maxDurationReached: 'Hai già raggiunto la durata massima di una ricarica ({minutes} minuti).',
+      extendReserved: 'Non è possibile estendere la ricarica: gli slot di {station} sono prenotati durante l\'estensione richiesta. Prova con meno minuti.',
+      negativeMinutes: 'Il numero di minuti non può essere negativo.',
+      noHandoverTaker: 'Nessuno è in attesa del cavo a questa stazione: quando hai finito libera lo slot con /terminato.',
+      noHandover: 'Non hai annunciato nessun passaggio del cavo.',
+      userNoneActive: 'Utente @{username} non ha sessioni attive.'
+    },
+    queue: {
+      urgentReasonRequired: 'Indica il motivo della richiesta urgente, ad esempio: /prenota urgente batteria al 5%',
+      alreadyQueued: 'Sei già in coda.',
+      userLeft: 'Utente non più in coda.',
+      invalidPriority: 'Classe "{priority}" non valida. Classi: {priorities}.',
+      userNotQueued: 'Utente @{username} non trovato in coda.',
+      notQueued: 'Non sei in coda.',
+      nobodyToSkip: 'Nessun altro utente è in coda: lo slot resta riservato per te. Usa /cancella se vuoi rinunciare.',
+      noLongerQueued: 'Non sei più in coda.',
+      urgentNotForReservations: 'La richiesta urgente vale solo per la coda, non per le prenotazioni con orario.'
+    },
+    station: {
+      slotsTooLow: 'Il numero di slot deve essere almeno 1.',
+      notFound: 'Stazione "{station}" non trovata. Usa /stazioni per vedere l\'elenco.',
+      nameRequired: 'Il nome della stazione è obbligatorio.',
+      nameNumeric: 'Il nome della stazione non può essere solo un numero.',
+      duplicate: 'Esiste già una stazione chiamata "{station}".',
+      invalidName: 'Nome della stazione non valido.',
+      invalidChargeTime: 'Il tempo di ricarica deve essere tra 1 e 120 minuti.',
+      invalidReminderTime: 'Il tempo di promemoria deve essere tra 1 e 30 minuti.',
+      invalidField: 'Campo "{field}" non modificabile. Campi validi: name, address, charge_time, reminder_time.'
+    },
+    fairness: {
+      dailyLimit: 'Hai già effettuato {count} ricariche oggi: il limite è di {max} al giorno per lasciare spazio a tutti. Potrai ricaricare di nuovo da domani.',
+      weeklyLimit: 'Hai già ricaricato per {minutes} minuti questa settimana: il limite è di {max} minuti a settimana. Il conteggio riparte lunedì.',
+      cooldown: {
+        one: 'Hai terminato una ricarica da poco e c\'è {count} utente in attesa: devi attendere {cooldown} minuti tra due ricariche. Riprova tra {remaining} minuti.',
+        other: 'Hai terminato una ricarica da poco e ci sono {count} utenti in attesa: devi attendere {cooldown} minuti tra due ricariche. Riprova tra {remaining} minuti.'
+      }
+    },
+    settings: {
+      unknown: 'Parametro "{key}" sconosciuto.',
+      unknownWithList: 'Parametro "{key}" sconosciuto. Parametri validi: {settings}.',
+      outOfRange: 'Il valore di {key} deve essere un numero tra {min} e {max} {unit}.',
+      outOfRangeInteger: 'Il valore di {key} deve essere un numero intero tra {min} e {max} {unit}.',
+      reminderAfterEnd: 'Il promemoria (reminder_time) deve precedere la scadenza: deve essere minore di charge_time.',
+      maxBelowCharge: 'La durata massima (max_session_time) non può essere minore del tempo di ricarica (charge_time).'
+    },
+    strike: {
+      suspended: 'Il tuo account è sospeso fino al {until}. Fino ad allora non puoi prenotare né iniziare ricariche. Per chiarimenti contatta un amministratore.',
+      suspendedReason: 'Il tuo account è sospeso fino al {until} per: {reason}. Fino ad allora non puoi prenotare né iniziare ricariche. Per chiarimenti contatta un amministratore.',
+      self: 'Non puoi sospendere o riabilitare te stesso.',
+      notAllowed: 'Il tuo ruolo ({actorRole}) non consente di gestire @{username} ({targetRole}).',
+      notSuspended: '@{username} non è sospeso.'
+    },
+    notifications: {
+      invalidOption: 'Preferenza non valida.'
+    },
+    billing: {
+      invalidEnergy: 'Indica i kWh erogati (es. 12.5) oppure le letture iniziale e finale del contatore (es. 1520.3 1532.8).',
+      meterDecreasing: 'La lettura finale del contatore deve essere maggiore di quella iniziale.',
+      implausible: 'Valore non plausibile: una ricarica non può superare {max} kWh.',
+      noRecentSession: 'Non hai ricariche terminate nelle ultime {hours} ore.',
+      invalidMonth: 'Indica il mese nel formato MM/AAAA, ad esempio 10/2026.'
+    },
+    simulator: {
+      inactive: 'Il driver simulator non è attivo: aggiungilo a CHARGER_DRIVERS.',
+      invalidAction: 'Azione "{action}" non valida. Usa: {actions}.',
+      invalidSlot: 'Slot non valido: la stazione {station} ha {slots} slot.',
+      alreadyCharging: 'Sullo slot {slot} è già in corso una ricarica simulata.',
+      notCharging: 'Sullo slot {slot} non c\'è una ricarica simulata in corso.'
+    }
+  },
+
+  access: {
+    banned: '🚫 @{username}, il tuo accesso al bot è stato sospeso.\n\nContatta l\'amministratore per maggiori informazioni.',
+    unauthorized: '⚠️ *Accesso non autorizzato*\n\nMi dispiace @{username}, ma per utilizzare questo bot devi essere un membro del gruppo autorizzato.\n\nContatta l\'amministratore per maggiori informazioni.',
+    unauthorizedAlert: '⚠️ Per utilizzare questo bot devi essere un membro del gruppo autorizzato.',
+    adminOnly: '🚫 Comando riservato agli amministratori.',
+    roleNotAllowed: '🚫 Il tuo ruolo ({role}) non consente questo comando.'
+  },
+
+  sessionStatus: {
+    active: '✅ Attiva',
+    completed: '✓ Completata',
+    timeout: '⏱️ Scaduta',
+    admin_terminated: '🛑 Terminata da admin'
+  },
+
+  // Classi di priorità in coda
+  priorities: {
+    critical: '🔴 batteria critica',
+    accessibility: '♿ accessibilità',
+    normal: 'normale'
+  },
+
+  // Esito di una ricarica conclusa
+  outcomes: {
+    completed: '✅ completata',
+    timeout: '⏱️ tempo scaduto',
+    admin_terminated: '🔧 terminata dall\'admin'
+  },
+
+  status: {
+    title: '📊 *Stato attuale: {station}*',
+    occupied: '🔌 Slot occupati: *{occupied}/{total}*',
+    charging: '⚡ *Utenti attualmente in ricarica:*',
+    chargingEntry: '{index}. @{username} - Slot {slot} (⏱️ termina tra *{minutes} min*)',
+    noCharging: '✨ *Nessun utente attualmente in ricarica.*',
+    waiting: '👥 Utenti in attesa: *{count}*',
+    estimatedWait: '⏱️ Chi si mette in coda ora avrà il turno *{wait}*',
+    next: '🔜 *Prossimi in coda:*',
+    nextEntry: '{position}. @{username}{badge} - ⏱️ {wait}',
+    ownPosition: '📍 Sei in coda in posizione *#{position}*. Per rinunciare al tuo turno, usa */cancella*.',
+    cancelHint: 'Sei in coda? Per rinunciare al tuo turno, usa */cancella*.',
+    emptyQueue: '✅ *Nessun utente in coda.*',
+    bookHint: 'Vuoi ricaricare? Usa */prenota* per iniziare.',
+    slotsSummary: '🔌 {station}: attualmente occupati {occupied}/{total} slot.'
+  },
+
+  wait: {
+    now: 'subito',
+    about: 'tra circa {eta}',
+    range: 'tra circa {eta} (da {min} a {max})',
+    expected: '⏱️ Il tuo turno è previsto *{wait}*.'
+  },
+
+  overview: {
+    title: '📊 *Stato attuale delle stazioni*',
+    queued: ' - 👥 In coda: *{count}*',
+    hint: 'Per il dettaglio di una stazione usa */status [numero]*.'
+  },
+
+  statusBoard: {
+    title: '📋 *Stato delle colonnine*',
+    station: '🏢 *{station}* - occupati {occupied}/{total}',
+    slotCharging: '🔴 Slot {slot}: @{username} - termina tra {minutes} min',
+    slotOverdue: '🔴 Slot {slot}: @{username} - tempo scaduto',
+    slotReserved: '🟡 Slot {slot}: riservato',
+    slotFree: '🟢 Slot {slot}: libero',
+    queue: '👥 In coda ({count}): {users}',
+    emptyQueue: '👥 Nessuno in coda',
+    updated: '🕒 Aggiornato alle {time}'
+  },
+
+  statusPage: {
+    title: 'Stato colonnine',
+    slot: 'Slot {slot}',
+    endsIn: 'termina tra {minutes} min',
+    overdue: 'tempo scaduto',
+    reserved: 'Riservato',
+    free: 'Libero',
+    summary: '{free} slot liberi su {total}',
+    queue: 'In coda: {count}',
+    nextTurn: 'turno per chi arriva ora {wait}',
+    emptyQueue: 'Nessuno in coda',
+    footer: 'Aggiornato alle {time} · la pagina si aggiorna ogni {seconds} secondi · per prenotare usa il bot su Telegram',
+    unavailable: 'Stato momentaneamente non disponibile, nuovo tentativo tra {seconds} secondi.'
+  },
+
+  stations: {
+    title: '🏢 *Stazioni di ricarica*',
+    slots: '🔌 {total} slot - 🟢 {available} liberi',
+    hint: 'Puoi indicare la stazione con il numero o il nome, ad esempio */prenota 1*.'
+  },
+
+  stationChoice: {
+    title: '🏢 *Scegli una stazione*',
+    hint: 'Ripeti il comando indicando la stazione, ad esempio */{command} 1*.\nLa stazione scelta verrà ricordata per le prossime volte.'
+  },
+
+  settings: {
+    title: '⚙️ *Parametri di sistema*',
+    overridden: ' (default {value})',
+    default: ' (default)',
+    range: ' - valori {min}-{max}',
+    footer: 'Per modificare un parametro usa */admin_set [parametro] [valore]*, con *default* al posto del valore per tornare al valore di configurazione.\nI tempi impostati su una stazione (/admin_edit_station) hanno la precedenza.'
+  },
+
+  consistency: {
+    title: '🩺 *Controllo di coerenza*',
+    titleDryRun: '🩺 *Controllo di coerenza* (simulazione)',
+    ok: '✅ Contatori, sessioni e coda sono allineati in tutte le stazioni.',
+    queueGaps: 'Posizioni in coda da riordinare',
+    dryRunFooter: 'Nessuna modifica applicata. Usa */admin_check fix* per correggere.',
+    fixed: '✅ Differenze corrette.'
+  },
+
+  history: {
+    title: '📜 *Storico ricariche*',
+    titlePaged: '📜 *Storico ricariche* (pagina {page}/{totalPages})',
+    empty: 'Non hai ancora completato nessuna ricarica. Usa */prenota* per iniziare!',
+    entry: '📅 *{date}* - {station}slot {slot}',
+    total: 'Ricariche totali: *{count}*'
+  },
+
+  statistics: {
+    title: '📈 *Le tue statistiche - {month}*',
+    empty: 'Nessuna ricarica in questo mese.',
+    count: '🔋 Ricariche: *{count}*',
+    totalTime: '⏱️ Tempo totale: *{duration}*',
+    average: '📊 Durata media: *{duration}*',
+    outcomes: '*Esito:*',
+    weeks: '*Per settimana:*',
+    week: '📅 Dal {date}: {charges}, {duration}',
+    sinceJoin: '*Dall\'iscrizione:*',
+    lastCharge: '🕒 Ultima ricarica: {date}'
+  },
+
+  report: {
+    title: '💶 *Report ricariche {month}*',
+    empty: 'Nessuna ricarica nel mese.',
+    charges: '🔋 Ricariche: *{count}* ({duration})',
+    energy: '⚡ Energia: *{energy}*',
+    total: '💶 Importo totale: *{cost}*',
+    missingEnergy: {
+      one: 'ℹ️ {count} ricarica senza energia indicata',
+      other: 'ℹ️ {count} ricariche senza energia indicata'
+    },
+    users: '👥 *Utenti:* {count}',
+    userRow: '- @{username}: {charges}, {energy}, *{cost}*',
+    more: { one: '...e un altro utente', other: '...e altri {count} utenti' },
+    csv: 'Il dettaglio completo è nel file CSV allegato.',
+    caption: 'Report ricariche {month}'
+  },
+
+  roles: {
+    title: '👥 *Ruoli assegnati*',
+    labels: {
+      owner: '👑 owner',
+      admin: '🔧 admin',
+      moderator: '🛡️ moderator',
+      banned: '🚫 banned'
+    },
+    owner: '{label}: ID {id} (da configurazione)',
+    permissions: '*Permessi:*\n- *moderator*: stato, statistiche, gestione della coda e delle priorità\n- *admin*: anche parametri, stazioni, sessioni, report, esenzioni e ruoli moderator/banned\n- *owner*: tutto, compresi il reset del sistema e il ruolo admin\n\nUsa */admin_grant @username [ruolo]* e */admin_revoke @username*.'
+  },
+
+  urgent: {
+    title: {
+      one: '🔴 *Richieste urgenti dell\'ultimo giorno*',
+      other: '🔴 *Richieste urgenti degli ultimi {count} giorni*'
+    },
+    empty: 'Nessuna richiesta urgente.',
+    perUser: '*Per utente:*',
+    demoted: { one: ' ({count} retrocessa)', other: ' ({count} retrocesse)' },
+    latest: '*Ultime richieste:*',
+    hint: 'Per cambiare la classe di un utente in coda usa */admin_priority @username [classe]*.'
+  },
+
+  strikes: {
+    reasons: {
+      no_show: 'turno non confermato',
+      overstay: 'slot non liberato in tempo'
+    },
+    received: {
+      title: '🟨 *Richiamo ricevuto*',
+      body: '@{username}, hai ricevuto un richiamo: _{reason}_.',
+      suspended: '⛔ Hai raggiunto *{count}* richiami: il tuo account è sospeso fino al *{date}*. Fino ad allora non potrai prenotare né iniziare ricariche.',
+      threshold: 'Richiami validi: *{count}/{threshold}*. Al raggiungimento del limite l\'account viene sospeso temporaneamente.',
+      count: 'Richiami validi: *{count}*.'
+    },
+    flagged: {
+      title: '🟨 *Richiami e sospensioni*',
+      empty: 'Nessun utente con richiami validi o sospeso.',
+      banned: ' - 🚫 escluso',
+      suspended: ' - ⛔ sospeso fino al {date}',
+      rules: 'Regole: sospensione di {suspension} dopo {strikes} in {window}',
+      disabled: ' (disattivata)',
+      hint: 'Dettagli con */admin_strikes @username*.'
+    },
+    user: {
+      title: '🟨 *Richiami di @{username}*',
+      banned: '🚫 Escluso definitivamente{reason}',
+      suspended: '⛔ Sospeso fino al *{date}*{reason}',
+      reason: ' per: {reason}',
+      active: 'Richiami validi: *{count}*',
+      empty: 'Nessun richiamo registrato.',
+      hint: 'Per annullare i richiami validi usa */admin_strikes @{username} clear*.'
+    }
+  },
+
+  apiKeys: {
+    title: '🔑 *Chiavi API attive*',
+    empty: 'Nessuna chiave attiva.',
+    lastUsed: ' - ultimo uso {date}',
+    neverUsed: ' - mai usata',
+    hint: 'Usa */admin_apikey add nome [read|write]* per crearne una (in chat privata) e */admin_apikey revoke [prefisso]* per revocarla.'
+  },
+
+  webhooks: {
+    title: '🪝 *Webhook registrati*',
+    empty: 'Nessun webhook registrato.',
+    events: 'Eventi: {events}',
+    allEvents: 'tutti',
+    lastDelivery: 'Ultima consegna: {date}',
+    noDelivery: 'Nessuna consegna',
+    failures: {
+      one: ' - ⚠️ {count} errore consecutivo',
+      other: ' - ⚠️ {count} errori consecutivi'
+    },
+    hint: 'Usa */admin_webhook add url [eventi]* per registrarne uno (in chat privata), */admin_webhook test [n]* per inviare un evento di prova, */admin_webhook remove [n]* per rimuoverlo e */admin_webhook log* per le ultime consegne.'
+  },
+
+  deliveries: {
+    title: '🪝 *Ultime consegne dei webhook*',
+    empty: 'Nessuna consegna registrata.',
+    removed: 'webhook rimosso',
+    attempts: 'Tentativi: {count}',
+    nextAttempt: ' - prossimo tentativo {time}'
+  },
+
+  ocpp: {
+    title: '🔌 *Colonnine OCPP*',
+    empty: 'Nessuna colonnina si è ancora collegata al server OCPP.',
+    unlinked: ' - non associata a una stazione',
+    lastSeen: 'Ultimo contatto: {date}',
+    connector: 'Connettore {connector} → slot {slot}: {status}',
+    unattributed: ' - ⚠️ ricarica non attribuita',
+    hint: 'Usa */admin_ocpp link [colonnina] [stazione] [connettore=slot ...]* per associare una colonnina. Lo stato degli slot e le tessere RFID degli utenti sono in /admin_chargers.'
+  },
+
+  chargers: {
+    title: '🔌 *Stato degli slot dalle colonnine*',
+    drivers: 'Driver attivi: {drivers}',
+    noDrivers: 'nessuno',
+    empty: 'Nessuno slot è ancora stato rilevato da una colonnina.',
+    removedStation: 'Stazione rimossa',
+    slot: '{station} slot {slot}: {status} ({driver})',
+    ghost: ' - 👻 nessuna sessione dalle {time}',
+    mismatches: '⚠️ *Sessioni senza veicolo sullo slot:*',
+    mismatch: '- @{username} - {station} slot {slot}, dalle {time}',
+    hint: 'Usa */admin_chargers tag @username [tessera|off]* per la tessera RFID di un utente.',
+    hintSimulator: 'Usa */admin_chargers tag @username [tessera|off]* per la tessera RFID di un utente e */admin_chargers sim [stazione] [slot] [plug|start|stop|unplug] [tessera]* per simulare un veicolo.',
+    mismatchNotice: `
+⚠️ *Ricarica non rilevata, @{username}*
+
+Hai avviato la sessione sullo slot *{slot}* da più di {duration}, ma la colonnina non rileva nessun veicolo collegato.
+
+- Verifica di aver collegato il veicolo allo slot *{slot}* e di aver avviato la ricarica
+- Se non stai ricaricando, conferma con */terminato* per liberare lo slot
+`,
+    startDetected: '🔌 *Ricarica rilevata dalla colonnina*',
+    stopDetected: '🔌 *Fine ricarica rilevata dalla colonnina*',
+    sessionError: '⚠️ La colonnina ha avviato la ricarica ma non è stato possibile registrare la sessione: {error}'
+  },
+
+  ghostSlot: {
+    title: '👻 *Slot occupato senza sessione*',
+    occupied: 'Lo slot *{slot}* di *{station}* risulta occupato dalle {time}, ma nessun utente ha avviato una sessione con il bot.',
+    charging: 'Lo slot *{slot}* di *{station}* risulta in carica dalle {time}, ma nessun utente ha avviato una sessione con il bot.',
+    removedStation: 'una stazione rimossa',
+    rfid: 'Tessera RFID: `{tag}`',
+    hint: 'Usa /admin_chargers per lo stato di tutti gli slot.'
+  },
+
+  audit: {
+    // Etichette delle azioni del registro
+    actions: {
+      session_start: '⚡ Inizio ricarica',
+      session_end: '✅ Fine ricarica',
+      queue_cancel: '🚶 Uscita dalla coda',
+      queue_skip: '⏭️ Turno ceduto',
+      queue_timeout: '⏱️ Turno scaduto',
+      queue_started: '▶️ Dalla coda alla ricarica',
+      queue_admin_remove: '🚫 Rimosso dalla coda',
+      queue_priority: '⬆️ Priorità cambiata',
+      role_change: '🎖️ Ruolo cambiato',
+      max_slots_update: '🔄 Slot modificati',
+      notify_all: '📣 Annuncio a tutti',
+      system_reset: '🗑️ Reset del sistema',
+      strike: '🟨 Richiamo',
+      strikes_cleared: '🧽 Richiami annullati',
+      suspension: '⛔ Sospensione',
+      unban: '🔓 Sospensione revocata',
+      queue_banned: '⛔ Rimosso dalla coda per sospensione',
+      queue_api: '🔌 Rimosso dalla coda via API',
+      queue_api_request: '🔌 Richiesta di ricarica via API',
+      apikey_created: '🔑 Chiave API creata',
+      apikey_revoked: '🔑 Chiave API revocata',
+      webhook_created: '🪝 Webhook registrato',
+      webhook_removed: '🪝 Webhook rimosso',
+      ocpp_link: '🔌 Colonnina associata',
+      charger_tag: '🪪 Tessera RFID',
+      charger_mismatch: '⚠️ Veicolo non rilevato dalla colonnina',
+      charger_ghost: '👻 Slot occupato senza sessione',
+      handover_announce: '🔌 Passaggio del cavo annunciato',
+      handover_cancel: '↩️ Passaggio del cavo annullato'
+    },
+    title: {
+      one: '📜 *Registro azioni dell\'ultimo giorno*',
+      other: '📜 *Registro azioni degli ultimi {count} giorni*'
+    },
+    empty: 'Nessuna azione registrata.',
+    system: 'sistema',
+    user: 'utente',
+    actor: 'da: {actor}',
+    more: { one: '…e un altro evento.', other: '…e altri {count} eventi.' },
+    csv: 'Aggiungi *csv* al comando per scaricare tutti gli eventi.',
+    caption: {
+      one: 'Registro azioni dell\'ultimo giorno{user}',
+      other: 'Registro azioni ultimi {count} giorni{user}'
+    }
+  },
+
+  help: {
+    user: `
+🔋 *Guida a Green-Charge* 🔋
+
+*Come ricaricare il tuo veicolo:*
+
+1️⃣ Usa */prenota [stazione]* per richiedere una colonnina
+   • La stazione può essere indicata con numero o nome (vedi */stazioni*)
+   • Se non la indichi, viene usata l'ultima stazione che hai usato
+   • Se c'è uno slot libero, riceverai l'OK per procedere
+   • Se tutte le colonnine sono occupate, verrai messo in coda
+
+2️⃣ Quando arriva il tuo turno:
+   • Vai alla colonnina e attivala tramite l'app
+   • Conferma l'inizio con */iniziato*
+   • *Hai {queueTimeout}* per iniziare, altrimenti perderai il turno
+
+3️⃣ Durante la ricarica:
+   • Hai *{chargeTime}* massimo a disposizione
+   • Riceverai un promemoria {reminderTime} prima della scadenza
+   • Se nessuno è in coda puoi estendere la ricarica con */estendi*
+
+4️⃣ Al termine:
+   • Completa la ricarica e scollega il veicolo
+   • Conferma con */terminato* per liberare lo slot
+   • Puoi indicare i kWh erogati con */terminato [kWh]* o le letture del contatore con */terminato [inizio] [fine]*
+   • Se qualcuno è in coda, annuncia quando scolleghi con */lascio [minuti]*: il cavo passa direttamente a lui
+
+*Altri comandi utili:*
+
+📝 */prenota [stazione]* - Richiedi una colonnina o mettiti in coda
+🔴 */prenota [stazione] urgente [motivo]* - Chiedi la precedenza in coda (es. batteria quasi scarica)
+📅 */prenota [stazione] [giorno] HH:MM-HH:MM* - Prenota una finestra futura (es. */prenota domani 07:30-08:00*)
+📋 */prenotazioni* - Visualizza le tue prenotazioni
+❌ */cancella [numero]* - Rinuncia al tuo posto in coda o annulla una prenotazione
+⏩ */estendi [minuti]* - Estendi la ricarica in corso se nessuno è in coda
+🔌 */lascio [minuti]* - Annuncia quando scolleghi e passa il cavo al primo in coda (*/lascio annulla* per annullare)
+⚡ */energia [kWh]* - Indica l'energia dell'ultima ricarica terminata
+📊 */status [stazione]* - Verifica quali colonnine sono libere/occupate
+🏢 */stazioni* - Elenco delle stazioni di ricarica
+📜 */storico* - Le tue ultime ricariche
+📈 */statistiche* - Le tue statistiche per mese e settimana
+🌐 */lingua [it|en|de|auto]* - Cambia la lingua del bot
+🔔 */notifiche* - Promemoria, avvisi di slot libero, annunci e ore di silenzio
+👀 */avvisami [stazione] [HH:MM-HH:MM] [sempre]* - Avviso quando si libera uno slot, senza metterti in coda (*/avvisami annulla* per annullare)
+❓ */help* - Visualizza questa guida
+📍 */dove_sono* - Mostra l'ID della chat attuale
+
+*Consigli:*
+- Ricevuta la notifica, hai {queueTimeout} per iniziare
+- Se cambi idea o hai un imprevisto, usa */cancella* per liberare il posto
+- Rispetta il tempo massimo di {chargeTime} per la cortesia di tutti
+{fairness}`,
+    fairness: '*Regole di equità:*',
+    rules: {
+      dailySessions: '- Al massimo {charges} al giorno',
+      weeklyMinutes: '- Al massimo {duration} di ricarica a settimana',
+      cooldown: '- Se altri sono in coda, attendi {duration} tra due ricariche',
+      strikes: '- Un turno mancato comporta un richiamo: con {strikes} in {window} l\'account viene sospeso per {suspension}',
+      strikesOverdue: '- Un turno mancato o più di {overdue} di ritardo nel liberare lo slot comportano un richiamo: con {strikes} in {window} l\'account viene sospeso per {suspension}'
+    },
+    admin: `
+
+🔧 *COMANDI AMMINISTRATORE* 🔧
+
+ℹ️ I moderatori possono usare stato, statistiche, stazioni, parametri, controllo di coerenza e gestione della coda; gli altri comandi richiedono il ruolo admin, il reset del sistema il ruolo owner.
+
+*Gestione Sistema:*
+📊 */admin_status* - Stato dettagliato del sistema
+📈 */admin_stats* - Statistiche del sistema
+🔄 */admin_set_max_slots [numero] [stazione]* - Imposta il numero massimo di slot
+⚙️ */admin_settings* - Elenco dei parametri (tempi e tariffe) con i valori correnti
+🔄 */admin_set [parametro] [valore|default]* - Modifica un parametro
+🔄 */admin_set_charge_time [minuti]* - Imposta il tempo massimo di ricarica
+🔄 */admin_set_reminder_time [minuti]* - Imposta il tempo di promemoria
+💶 */admin_report [MM/AAAA]* - Report mensile per utente (ricariche, kWh, costo) con file CSV
+📜 */admin_audit [@username] [giorni] [csv]* - Registro delle azioni (sessioni, coda, slot, reset, annunci)
+🔑 */admin_apikey [add nome [read|write] | revoke prefisso]* - Chiavi dell'API REST (senza argomenti mostra le chiavi attive)
+🔌 */admin_ocpp [link colonnina stazione [connettore=slot]]* - Colonnine OCPP: stato dei connettori e associazione agli slot
+🚗 */admin_chargers [tag @username tessera | sim stazione slot azione [tessera]]* - Slot rilevati dalle colonnine, veicoli senza sessione, tessere RFID e simulatore
+🪝 */admin_webhook [add url eventi | test n | remove n | log]* - Webhook in uscita per gli eventi di sessioni e coda (senza argomenti mostra i webhook)
+🩺 */admin_check [fix]* - Confronta i contatori con sessioni e coda reali (con *fix* li corregge)
+🗑️ */admin_reset_system* - Resetta completamente il sistema (richiede conferma)
+
+*Gestione Stazioni:*
+🏢 */admin_stations* - Elenco delle stazioni con la configurazione
+➕ */admin_add_station nome | indirizzo | slot* - Aggiunge una stazione
+✏️ */admin_edit_station [stazione] [campo] [valore]* - Modifica una stazione (campi: name, address, charge_time, reminder_time)
+
+*Gestione Utenti:*
+⏹️ */admin_reset_slot @username* - Termina forzatamente la sessione
+🚫 */admin_remove_queue @username* - Rimuove un utente dalla coda
+⬆️ */admin_priority @username [classe]* - Cambia la classe in coda (critical, accessibility, normal)
+🔴 */admin_urgent [giorni]* - Richieste urgenti recenti con i motivi dichiarati
+👥 */admin_roles* - Ruoli assegnati (owner, admin, moderator, banned)
+🎖️ */admin_grant @username [ruolo]* - Assegna un ruolo (admin, moderator, user, banned)
+↩️ */admin_revoke @username* - Riporta un utente al ruolo base
+⚖️ */admin_exempt [@username]* - Esenta un utente dai limiti di ricarica (senza argomenti mostra gli esenti)
+✅ */admin_unexempt @username* - Revoca l'esenzione
+🟨 */admin_strikes [@username] [clear]* - Richiami e sospensioni (con *clear* annulla i richiami dell'utente)
+⛔ */admin_ban @username [giorni] [motivo]* - Sospende un utente (senza giorni l'esclusione è definitiva)
+🔓 */admin_unban @username* - Revoca la sospensione e azzera i richiami
+📣 */admin_notify_all [messaggio]* - Invia un messaggio a tutti
+
+*Diagnostica:*
+🔍 */dbtest* - Verifica lo stato del database
+🔄 */admin_update_commands* - Aggiorna i comandi del bot
+`
+  },
+
+  session: {
+    location: '🏢 Stazione: *{station}* - Slot *{slot}*',
+    started: `
+✅ *Ricarica iniziata con successo!*
+
+{location}⏱️ Hai iniziato alle: *{start}*
+⌛ Termine previsto: *{end}*
+⏳ Tempo massimo: *{duration}*
+
+📱 *Cosa fare ora:*
+- Riceverai un promemoria {reminder} prima della scadenza
+- Quando termini la ricarica, scollega il veicolo
+- Conferma con */terminato* (o con il pulsante qui sotto) per liberare lo slot
+
+⚠️ *Importante:* Se non confermi entro il tempo massimo, potresti ricevere notifiche di promemoria.
+`,
+    energy: '⚡ Energia erogata: *{energy}*',
+    cost: '💶 Costo: *{cost}*',
+    energyHint: 'ℹ️ Puoi indicare i kWh erogati con */energia [kWh]* o le letture del contatore con */energia [inizio] [fine]*',
+    ended: `
+✅ *Ricarica terminata con successo!*
+
+⏱️ Durata totale: *{duration}*
+{billing}🔋 Grazie per aver utilizzato Green-Charge!
+
+👍 Hai liberato lo slot per gli altri utenti.
+Vuoi prenotare una nuova ricarica? Usa */prenota*
+`,
+    capped: 'ℹ️ L\'estensione è stata ridotta per rispettare la durata massima di *{duration}*.',
+    extended: `
+⏩ *Ricarica estesa di {duration}*
+
+⌛ Nuovo termine previsto: *{end}*
+{capped}
+Riceverai un nuovo promemoria prima della scadenza.
+Quando termini, conferma con */terminato* per liberare lo slot.
+`,
+    terminatedByAdmin: '⚠️ *La tua sessione di ricarica è stata terminata da un amministratore.*\n\n⏱️ Durata: *{duration}*.\n\nPer ulteriori informazioni, contatta un amministratore.',
+    terminatedByReset: '⚠️ *La tua sessione di ricarica è stata terminata a causa di un reset del sistema.*\n\nℹ️ Il sistema è stato resettato da un amministratore.\n\nSe necessario, puoi prenotare una nuova sessione con /prenota.',
+    overdue: '⚠️ *PROMEMORIA IMPORTANTE*\n\n@{username}, il tuo tempo è scaduto da *{duration}*.\n\n🔸 Per favore, libera immediatamente lo slot.\n🔸 Conferma con /terminato quando hai staccato il veicolo.\n\nGli altri utenti stanno aspettando di poter utilizzare la colonnina. Grazie per la collaborazione!'
+  },
+
+  energyRecorded: {
+    title: '⚡ *Energia registrata*',
+    session: '📅 Ricarica del {date}',
+    meter: '📟 Contatore: {start} → {end}',
+    energy: '🔋 Energia erogata: *{energy}*',
+    usage: '❌ Uso: /energia <kWh> oppure /energia <lettura iniziale> <lettura finale>\nEsempio: `/energia 12.5` o `/energia 1520.3 1532.8`'
+  },
+
+  extend: {
+    usage: '❌ Uso: /estendi [minuti]'
+  },
+
+  handover: {
+    usage: '❌ Uso: /lascio [minuti] oppure /lascio annulla',
+    announced: `
+🔌 *Passaggio del cavo annunciato*
+
+Scollegherai il veicolo verso le *{time}*: @{username} è stato avvisato e riceverà lo slot direttamente, senza che passi ad altri.
+
+Quando scolleghi conferma con */terminato*, oppure sarà @{username} a confermare con */iniziato* quando prende il cavo.
+Per annullare usa */lascio annulla*.
+`,
+    headsUp: `
+🔔 *Preavviso per te, @{username}!*
+
+@{from} scollegherà il veicolo dallo slot *{slot}* di *{station}* verso le *{time}* e ti passerà il cavo: lo slot non verrà dato a nessun altro.
+
+Fatti trovare alla colonnina. Quando prendi il cavo conferma con */iniziato* o con il pulsante: la ricarica di @{from} terminerà e inizierà la tua.
+`,
+    ready: `
+🔌 *@{from} ha lasciato lo slot {slot} di {station}, @{username}!*
+
+Lo slot è riservato a te. Collega il veicolo e conferma con */iniziato* entro *{timeout}*, altrimenti perderai il turno.
+`,
+    completed: '🔌 Lo slot è riservato a @{username}, che riceve il cavo da te.',
+    takenOver: '🔌 @{username} ha preso il cavo allo slot *{slot}* di *{station}*: la tua ricarica è terminata. Grazie!',
+    cancelled: '↩️ Passaggio del cavo a @{username} annullato: al termine lo slot passerà al primo utente in coda.',
+    cancelledNotice: '↩️ @{from} ha annullato il passaggio del cavo. Resti in coda e riceverai una notifica quando si libererà uno slot.'
+  },
+
+  welcome: `
+👋 *Benvenuto a Green-Charge, @{username}!*
+
+Questo bot gestisce la coda per le colonnine di ricarica in modo semplice e veloce.
+
+📱 *Per iniziare subito:*
+
+- Usa */prenota* per richiedere una colonnina
+- Se tutte sono occupate, verrai messo in coda
+- Riceverai una notifica quando sarà il tuo turno
+
+📊 Per verificare lo stato delle colonnine usa */status*
+❓ Per maggiori informazioni usa */help*
+🌐 Per cambiare lingua usa */lingua*
+
+Buona ricarica! ⚡
+`,
+
+  queue: {
+    where: ' di *{station}*',
+    priorityNote: '{priority}: hai la precedenza sulle richieste normali più recenti. Le richieste urgenti sono verificate dall\'amministratore.',
+    message: `
+⏳ *Tutte le colonnine sono occupate in questo momento*
+
+✅ @{username}, sei in coda{where} in posizione *#{position}*.{waitNote}
+{priorityNote}
+*Cosa succederà ora:*
+- Quando si libera uno slot, gli utenti vengono avvisati in ordine di coda
+- Riceverai una notifica quando sarà il tuo turno
+- Avrai {timeout} per iniziare la ricarica, dopo la notifica
+
+*Opzioni disponibili:*
+- Usa */status* per controllare la tua posizione in coda
+- Usa */cancella* se cambi idea e non vuoi più attendere
+
+Ti ringraziamo per la pazienza! 🙏
+`,
+    removed: '✅ @{username}, sei stato rimosso dalla coda con successo.\n\nEri in posizione *#{position}*.\n\nSe vorrai ricaricare in futuro, usa nuovamente /prenota.',
+    activeSession: 'ℹ️ @{username}, hai una sessione di ricarica attiva.\n\nSe vuoi terminare la ricarica, usa il comando /terminato.',
+    nothingToCancel: 'ℹ️ @{username}, non sei attualmente in coda né hai una sessione attiva.\n\nPer prenotare una ricarica, usa il comando /prenota.',
+    skipped: '⏭️ @{username}, hai lasciato il tuo turno al prossimo utente.\n\nSei stato rimesso in coda in posizione *#{position}*. Usa /cancella se non vuoi più attendere.',
+    removedByAdmin: '⚠️ *Sei stato rimosso dalla coda da un amministratore.*\n\nℹ️ Eri in posizione #{position}.\n\nPer ulteriori informazioni, contatta un amministratore.',
+    removedByReset: '⚠️ *Sei stato rimosso dalla coda a causa di un reset del sistema.*\n\nℹ️ Il sistema è stato resettato da un amministratore.\n\nSe necessario, puoi prenotare una nuova sessione con /prenota.',
+    priorityUpdated: 'ℹ️ Un amministratore ha aggiornato la tua richiesta in coda.\n\nOra sei in posizione *#{position}*.',
+    removedByApi: 'ℹ️ @{username}, sei stato rimosso dalla coda (posizione #{position}).\n\nSe vorrai ricaricare in futuro, usa nuovamente /prenota.',
+    timedOut: '⏱️ *Tempo scaduto*\n\n@{username}, sono passati più di {timeout} dalla notifica della disponibilità dello slot di ricarica. Il tuo turno è stato saltato e lo slot sarà assegnato al prossimo utente in coda.\n\nSe desideri ancora ricaricare, utilizza nuovamente il comando /prenota per metterti in coda.'
+  },
+
+  slotWhere: ' presso *{station}*',
+
+  slotAvailable: `
+✅ *Ottima notizia, @{username}!*
+
+🟢 **C'è uno slot libero{where}, puoi procedere subito con la ricarica.**
+
+*Ecco cosa fare:*
+
+1️⃣ Vai alla colonnina di ricarica
+2️⃣ Attivala tramite l'app Antonio Green-Charge
+3️⃣ Collega il tuo veicolo
+4️⃣ Conferma l'inizio con */iniziato*
+
+⏱️ Ricorda: hai a disposizione massimo *{duration}*.
+
+⚠️ *Importante:* Se non confermi l'inizio con */iniziato*, lo slot rimarrà riservato per te ma non risulterai in ricarica.
+`,
+
+  yourTurn: `
+🔔 *È IL TUO TURNO, @{username}!*
+
+🟢 Si è liberato uno slot di ricarica{where} riservato per te.
+
+*Cosa fare ora:*
+
+1️⃣ Vai subito alla colonnina di ricarica
+2️⃣ Attivala tramite l'app Antonio Green-Charge
+3️⃣ Collega il tuo veicolo
+4️⃣ IMPORTANTE: Conferma l'inizio con */iniziato*
+
+⏱️ Avrai a disposizione massimo *{duration}* per la ricarica.
+
+⚠️ *ATTENZIONE: Hai solo {timeout} per confermare* l'inizio con */iniziato*, altrimenti perderai il turno e lo slot passerà al prossimo utente in coda.
+
+Se non puoi più ricaricare, usa */cancella* per liberare subito lo slot.
+`,
+
+  reservations: {
+    confirmed: `
+📅 *Prenotazione confermata!*
+
+🏢 Stazione: *{station}*
+🕐 Finestra: *{start} - {end}*
+
+*Cosa succederà:*
+- All'inizio della finestra uno slot verrà trattenuto per te
+- Riceverai una notifica e avrai {timeout} per confermare con */iniziato*
+- La ricarica potrà durare fino alla fine della finestra
+
+Usa */prenotazioni* per vedere le tue prenotazioni o */cancella* per annullarla.
+`,
+    empty: '📅 *Non hai prenotazioni attive.*\n\nPer prenotare una finestra usa ad esempio */prenota domani 07:30-08:00*.',
+    title: '📅 *Le tue prenotazioni*',
+    entry: '{index}. *{start} - {end}* presso {station}',
+    held: ' - 🟢 *slot pronto*',
+    cancelHint: 'Per annullare una prenotazione usa */cancella [numero]*.',
+    started: `
+🔔 *LA TUA PRENOTAZIONE È INIZIATA, @{username}!*
+
+🟢 Uno slot presso *{station}* è trattenuto per te fino alle *{end}*.
+
+*Cosa fare ora:*
+
+1️⃣ Vai alla colonnina di ricarica
+2️⃣ Attivala tramite l'app Antonio Green-Charge
+3️⃣ Collega il tuo veicolo
+4️⃣ IMPORTANTE: Conferma l'inizio con */iniziato*
+
+⚠️ *Hai {timeout} per confermare*, altrimenti lo slot verrà liberato per gli altri utenti.
+
+Se non puoi più ricaricare, usa */cancella* per liberare subito lo slot.
+`,
+    cancelled: '✅ @{username}, la tua prenotazione del *{date}* è stata annullata.\n\nSe vorrai ricaricare in futuro, usa nuovamente /prenota.',
+    notFound: '❌ Prenotazione non trovata. Usa /prenotazioni per vedere l\'elenco.',
+    expired: '⏱️ *Prenotazione scaduta*\n\n@{username}, non hai confermato l\'inizio della ricarica entro {timeout} dall\'apertura della tua finestra. Lo slot è stato liberato per gli altri utenti.\n\nSe desideri ancora ricaricare, usa /prenota.',
+    missed: '😔 *Prenotazione non servita*\n\n@{username}, durante la tua finestra delle {start}-{end} non si è liberato nessuno slot. Ci scusiamo per il disagio.\n\nPuoi prenotare una nuova finestra con /prenota.'
+  },
+
+  reminder: `
+⏰ *Promemoria ricarica, @{username}*
+
+Ti restano solo *{duration}* prima del termine.
+
+*Informazioni:*
+- La ricarica terminerà alle *{end}*
+- Prepara il veicolo per essere scollegato
+- Al termine, conferma con */terminato*
+
+Grazie per la collaborazione! Altri utenti potrebbero essere in attesa. 👍
+`,
+
+  timeout: `
+⚠️ *TEMPO SCADUTO, @{username}*
+
+Il tuo tempo di ricarica di *{duration}* è terminato.
+
+*Cosa fare immediatamente:*
+1. Concludi la ricarica sull'app
+2. Scollega il veicolo dalla colonnina
+3. Conferma con */terminato* per liberare lo slot
+
+⚡ Altri utenti sono in attesa per utilizzare la colonnina.
+Grazie per la tua collaborazione!
+`,
+
+  account: {
+    suspended: '⛔ *Il tuo account è stato sospeso fino al {date}* per: {reason}.\n\nFino ad allora non potrai prenotare né iniziare ricariche.',
+    bannedWithReason: '🚫 Il tuo accesso al bot è stato sospeso definitivamente da un amministratore per: {reason}.',
+    banned: '🚫 Il tuo accesso al bot è stato sospeso da un amministratore.',
+    roleChanged: 'ℹ️ Il tuo ruolo nel bot è ora *{role}*. Usa /help per vedere i comandi disponibili.',
+    unbanned: '✅ La tua sospensione è stata revocata da un amministratore: puoi di nuovo prenotare con /prenota.',
+    announcement: '📢 *ANNUNCIO AMMINISTRATORE* 📢\n\n{message}'
+  },
+
+  whereAmI: {
+    title: '📍 *Informazioni sulla chat attuale*',
+    private: 'Tipo: Chat privata con il bot\nID: `{id}`\n\nQuesto è l\'ID della tua chat privata con il bot, non di un gruppo.',
+    group: 'Tipo: {type}\nNome: *{title}*\nID: `{id}`\n\n🔍 Questo è l\'ID di questo gruppo. Per configurare il bot per l\'uso esclusivo in questo gruppo, l\'amministratore del bot dovrà impostare questo ID nella configurazione.',
+    groupType: 'Gruppo',
+    supergroupType: 'Supergruppo',
+    other: 'Tipo: {type}\nID: `{id}`',
+    admin: '👑 *Info per l\'amministratore:*\nPer configurare il bot per l\'uso esclusivo in questo gruppo, imposta le variabili d\'ambiente:'
+  },
+
+  language: {
+    current: '🌐 *Lingua*\n\nLingua attuale: *{language}*{auto}\n\nScegli una lingua con i pulsanti o con */lingua [{locales}|auto]*.',
+    auto: ' (dalle impostazioni di Telegram)',
+    autoButton: '🔄 Automatica',
+    changed: '✅ Da ora ti scriverò in *{language}*.',
+    reset: '✅ Da ora userò la lingua delle tue impostazioni di Telegram (*{language}*).',
+    invalid: '❌ Lingua "{language}" non disponibile. Lingue: {locales}, oppure auto.'
+  },
+
+  notifications: {
+    title: '🔔 *Notifiche*',
+    reminder: '⏰ Promemoria prima della scadenza: *{value}*',
+    overdue: '🔁 Promemoria se non liberi lo slot: *ogni {value}*',
+    slotFreed: '🟢 Avvisi di slot libero quando non sei in coda: *{value}*',
+    announcements: '📢 Annunci degli amministratori: *{value}*',
+    quiet: '🌙 Ore di silenzio: *{value}*',
+    hint: 'Tocca un pulsante per cambiare un\'impostazione. Per ore di silenzio diverse usa */notifiche silenzio HH:MM-HH:MM* (o */notifiche silenzio off*).\n\nNelle ore di silenzio promemoria e annunci vengono rinviati e gli avvisi di slot libero non vengono inviati. L\'avviso del tuo turno in coda e quello di tempo scaduto arrivano sempre.',
+    stationDefault: 'come la stazione',
+    on: 'attivi',
+    off: 'disattivati',
+    none: 'nessuna',
+    noReminder: 'nessuno',
+    usage: '❌ Uso: */notifiche* per le impostazioni, */notifiche silenzio HH:MM-HH:MM* o */notifiche silenzio off* per le ore di silenzio.',
+    slotAvailable: '🟢 *Slot libero a {station}*\n\nSlot liberi: *{free}/{total}*, nessuno in coda. Tocca la stazione per prenotare.\n\nPer non ricevere più questi avvisi usa */notifiche*.',
+    buttons: {
+      reminder: '⏰ Promemoria',
+      overdue: '🔁 Ritardo',
+      slotFreed: '🟢 Slot liberi',
+      announcements: '📢 Annunci',
+      quiet: '🌙 Silenzio'
+    }
+  },
+
+  watch: {
+    created: '👀 *Avviso attivo per {station}*\n\n{when}\n\nTi scriverò quando si libera uno slot e nessuno è in coda. Non sei in coda: non hai un turno da rispettare e non ricevi richiami se non ti presenti.',
+    once: 'Vale per il primo slot libero nelle prossime 24 ore.',
+    onceWindow: 'Vale per il primo slot libero tra *{start}* e le *{end}*.',
+    recurring: 'Ti avviserò ogni volta che si libera uno slot.',
+    recurringWindow: 'Ti avviserò ogni giorno quando si libera uno slot tra le *{start}* e le *{end}*.',
+    freeNow: '🟢 In questo momento gli slot liberi sono *{free}*: tocca la stazione per prenotare subito.',
+    cancelHint: 'Per annullare usa */avvisami annulla*.',
+    cancelled: '✅ Avvisi annullati: {count}.',
+    none: 'ℹ️ Non hai avvisi attivi.',
+    alreadyQueued: 'ℹ️ Sei già in coda a *{station}*: riceverai l\'avviso del tuo turno.',
+    slotFree: '👀 *Slot libero a {station}*\n\nSlot liberi: *{free}/{total}*, nessuno in coda. Tocca la stazione per prenotare.',
+    onceNote: 'Il tuo avviso è stato usato: per riceverne un altro ripeti */avvisami*.',
+    recurringNote: 'Per non ricevere più questi avvisi usa */avvisami annulla*.'
+  },
+
+  // Pulsanti dei messaggi
+  buttons: {
+    start: '⚡ Inizia ricarica',
+    skip: '⏭️ Salta il turno',
+    end: '✅ Terminato',
+    extend: '⏩ Estendi',
+    refresh: '🔄 Aggiorna',
+    newer: '◀️ Più recenti',
+    older: 'Meno recenti ▶️',
+    previousMonth: '◀️ Mese precedente',
+    nextMonth: 'Mese successivo ▶️'
+  },
+
+  // Risposte brevi alla pressione dei pulsanti
+  callbacks: {
+    started: '⚡ Ricarica iniziata',
+    skipped: '⏭️ Turno saltato, ora sei in posizione #{position}',
+    ended: '✅ Ricarica terminata',
+    extended: '⏩ Ricarica estesa',
+    refreshed: '🔄 Stato aggiornato',
+    language: '🌐 {language}',
+    notifications: '🔔 Impostazione aggiornata'
+  },
+
+  // Descrizioni dei comandi nel menu di Telegram
+  commands: {
+    start: 'Avvia il bot',
+    prenota: 'Prenota uno slot o mettiti in coda',
+    cancella: 'Cancella la tua prenotazione in coda',
+    prenotazioni: 'Visualizza le tue prenotazioni',
+    iniziato: 'Conferma l\'inizio della ricarica',
+    terminato: 'Conferma la fine della ricarica',
+    estendi: 'Estendi la ricarica se nessuno è in coda',
+    lascio: 'Passa il cavo al primo in coda',
+    energia: 'Indica i kWh dell\'ultima ricarica',
+    status: 'Visualizza lo stato attuale del sistema',
+    stazioni: 'Elenco delle stazioni di ricarica',
+    storico: 'Le tue ultime ricariche',
+    statistiche: 'Le tue statistiche di ricarica',
+    lingua: 'Cambia la lingua del bot',
+    notifiche: 'Preferenze di notifica e ore di silenzio',
+    avvisami: 'Avviso quando si libera uno slot',
+    help: 'Mostra i comandi disponibili',
+    dove_sono: 'Mostra ID della chat corrente',
+    admin_help: 'Mostra i comandi admin disponibili',
+    admin_status: 'Stato dettagliato del sistema',
+    admin_stats: 'Statistiche del sistema',
+    admin_stations: 'Elenco e configurazione delle stazioni',
+    admin_settings: 'Mostra tempi e tariffe',
+    admin_check: 'Controlla la coerenza dei contatori',
+    admin_remove_queue: 'Rimuove un utente dalla coda',
+    admin_priority: 'Cambia la priorità di un utente in coda',
+    admin_urgent: 'Richieste urgenti recenti',
+    admin_strikes: 'Richiami e sospensioni degli utenti',
+    admin_report: 'Report mensile con export CSV',
+    admin_audit: 'Registro delle azioni con export CSV',
+    admin_set_max_slots: 'Imposta il numero massimo di slot',
+    admin_add_station: 'Aggiunge una stazione di ricarica',
+    admin_edit_station: 'Modifica una stazione di ricarica',
+    admin_set: 'Modifica un tempo o una tariffa',
+    admin_set_charge_time: 'Imposta il tempo massimo di ricarica',
+    admin_set_reminder_time: 'Imposta il tempo di promemoria',
+    admin_reset_slot: 'Termina forzatamente la sessione di un utente',
+    admin_exempt: 'Esenta un utente dai limiti di ricarica',
+    admin_unexempt: 'Revoca l\'esenzione dai limiti di ricarica',
+    admin_ban: 'Sospende o esclude un utente',
+    admin_unban: 'Revoca la sospensione di un utente',
+    admin_apikey: 'Gestisce le chiavi dell\'API REST',
+    admin_webhook: 'Gestisce i webhook in uscita',
+    admin_ocpp: 'Colonnine OCPP',
+    admin_chargers: 'Slot rilevati dalle colonnine e tessere RFID',
+    admin_roles: 'Elenco dei ruoli assegnati',
+    admin_grant: 'Assegna un ruolo a un utente',
+    admin_revoke: 'Riporta un utente al ruolo base',
+    admin_notify_all: 'Invia un messaggio a tutti gli utenti',
+    admin_update_commands: 'Aggiorna i comandi del bot',
+    dbtest: 'Verifica lo stato del database',
+    admin_reset_system: 'Resetta completamente il sistema',
+    admin_confirm_reset: 'Conferma il reset del sistema'
+  },
+
+  // Messaggi dei comandi admin
+  admin: {
+    unknownCommand: '❓ Comando admin non riconosciuto. Usa /admin_help per la lista dei comandi disponibili.',
+    commandError: '❌ Errore durante l\'esecuzione del comando: {error}',
+    adminCommandError: '❌ Si è verificato un errore durante l\'esecuzione del comando admin: {error}',
+    commandsUpdated: '✅ Comandi del bot aggiornati con successo!',
+    usage: {
+      reset_slot: '❌ Uso: /admin_reset_slot @username',
+      remove_queue: '❌ Uso: /admin_remove_queue @username',
+      set_max_slots: '❌ Uso: /admin_set_max_slots [numero] [stazione]',
+      set_max_slots_station: '❌ Uso: /admin_set_max_slots [numero] [stazione]\n\nIndica la stazione (numero o nome), vedi /admin_stations.',
+      set: '❌ Uso: /admin_set [parametro] [valore|default]\n\nUsa /admin_settings per l\'elenco dei parametri.',
+      set_minutes: '❌ Uso: /admin_{command} [minuti]',
+      add_station: '❌ Uso: /admin_add_station nome | indirizzo | slot',
+      grant: '❌ Uso: /admin_grant @username [ruolo]\n\nRuoli: admin, moderator, user, banned',
+      revoke: '❌ Uso: /admin_revoke @username',
+      unexempt: '❌ Uso: /admin_unexempt @username',
+      notify_all: '❌ Uso: /admin_notify_all [messaggio]',
+      edit_station: '❌ Uso: /admin_edit_station [stazione] [campo] [valore]\n\nCampi: name, address, charge_time, reminder_time',
+      priority: '❌ Uso: /admin_priority @username [classe]\n\nClassi: critical (batteria critica), accessibility (accessibilità), normal',
+      ban: '❌ Uso: /admin_ban @username [giorni] [motivo]\n\nSenza giorni l\'esclusione è definitiva.',
+      unban: '❌ Uso: /admin_unban @username',
+      apikey_revoke: '❌ Uso: /admin_apikey revoke [prefisso]',
+      webhook_add: '❌ Uso: /admin_webhook add [url] [eventi]\n\nEventi (separati da virgola, default tutti): {events}',
+      ocpp_link: '❌ Uso: /admin_ocpp link [colonnina] [stazione] [connettore=slot ...]\n\nDi default il connettore N corrisponde allo slot N.',
+      chargers_tag: '❌ Uso: /admin_chargers tag @username [tessera|off]',
+      chargers_sim: '❌ Uso: /admin_chargers sim [stazione] [slot] [{actions}] [tessera]'
+    },
+    status: {
+      title: '🔧 *ADMIN: Stato dettagliato del sistema*',
+      configuration: '🔌 *Configurazione:*',
+      totalSlots: '- Slot totali: *{count}*',
+      occupiedSlots: '- Slot occupati: *{occupied}/{total}*',
+      availableSlots: '- Slot disponibili: *{count}*',
+      chargeTime: '- Tempo max ricarica: *{minutes} min*',
+      reminderTime: '- Tempo promemoria: *{minutes} min*',
+      queueLength: '- Utenti in coda: *{count}*',
+      charging: '⚡ *Utenti attualmente in ricarica:*',
+      chargingEntry: '{index}. @{username} (ID: {id}) - Slot {slot}, iniziato alle {start}, termina alle {end} (tra *{minutes} min*)',
+      noCharging: '⚡ *Nessun utente attualmente in ricarica.*',
+      queue: '👥 *Utenti in coda:*',
+      queueEntry: '{index}. @{username} (ID: {id}) - Posizione #{position}{priority}, in attesa da {waiting}',
+      emptyQueue: '👥 *Nessun utente in coda.*',
+      error: '❌ Errore durante il recupero dello stato: {error}'
+    },
+    stats: {
+      title: '📊 *ADMIN: Statistiche del sistema*',
+      general: '📈 *Statistiche generali:*',
+      totalCharges: '- Ricariche totali completate: *{count}*',
+      chargesToday: '- Ricariche completate oggi: *{count}*',
+      averageTime: '- Tempo medio di ricarica: *{duration}*',
+      energy: '- Energia erogata dichiarata: *{energy}*',
+      cost: '- Importo totale: *{cost}*',
+      users: '👥 *Statistiche utenti:*',
+      totalUsers: '- Utenti totali registrati: *{count}*',
+      activeUsers: '- Utenti attivi negli ultimi 30 giorni: *{count}*',
+      current: '🔌 *Stato attuale:*',
+      perStation: '🏢 *Per stazione:*',
+      stationRow: '- {station}: *{occupied}/{total}* occupati, *{queue}* in coda, *{charges}* ricariche',
+      error: '❌ Errore durante il recupero delle statistiche: {error}'
+    },
+    userNotFound: '❌ Utente @{username} non trovato.',
+    noActiveSession: 'ℹ️ Utente @{username} non ha sessioni attive.',
+    slotReset: '✅ Slot di @{username} (ID: {id}) è stato resettato.\n\n⏱️ Durata della sessione: *{duration}*.\n\n🔔 È stato inviato un avviso al prossimo utente in coda.',
+    resetSlotError: '❌ Errore durante il reset dello slot: {error}',
+    notInQueue: '❌ Utente @{username} non trovato in coda.',
+    removedFromQueue: '✅ @{username} (ID: {id}) è stato rimosso dalla coda.\n\nℹ️ Era in posizione #{position}.',
+    removeQueueError: '❌ Errore durante la rimozione dalla coda: {error}',
+    minSlots: '❌ Il numero di slot deve essere almeno 1.',
+    stationRequired: '❌ Indica la stazione (numero o nome), vedi /admin_stations.',
+    maxSlotsUpdated: '✅ Numero massimo di slot di *{station}* aggiornato a *{count}*.\n\nℹ️ Stato attuale: *{available}* slot disponibili.',
+    maxSlotsError: '❌ Errore durante l\'aggiornamento del numero massimo di slot: {error}',
+    checkError: '❌ Errore durante il controllo di coerenza.',
+    roleChanged: '✅ Ruolo di @{username}: *{previous}* → *{role}*.',
+    rolesError: '❌ Errore durante il recupero dei ruoli.',
+    priorityChanged: '✅ @{username} passa da *{previous}* a *{priority}*: ora è in posizione *#{position}*.',
+    urgentError: '❌ Errore durante il recupero delle richieste urgenti.',
+    exempted: '✅ @{username} è ora esente dai limiti di ricarica e dall\'attesa tra ricariche.',
+    unexempted: '✅ @{username} è di nuovo soggetto ai limiti di ricarica.',
+    strikesCleared: '✅ Richiami di @{username} annullati.',
+    banDays: '❌ La sospensione deve durare tra 1 e 365 giorni.',
+    bannedForever: '✅ @{username} sospeso definitivamente.',
+    bannedUntil: '✅ @{username} sospeso fino al {date}.',
+    bannedQueue: 'ℹ️ È stato rimosso dalla coda.',
+    bannedReservations: {
+      one: 'ℹ️ {count} prenotazione annullata.',
+      other: 'ℹ️ {count} prenotazioni annullate.'
+    },
+    unbanned: '✅ Sospensione di @{username} revocata e richiami azzerati.',
+    apiKeyPrivate: '🔒 Per sicurezza crea le chiavi API in chat privata con il bot.',
+    apiKeyCreated: '🔑 *Chiave API creata*\n\nNome: *{name}*\nPermessi: *{scope}*\n\n`{key}`\n\n⚠️ Copiala ora: non sarà più mostrata. Usala nell\'header `Authorization: Bearer <chiave>`.',
+    apiKeyRevoked: '✅ Chiave {prefix} ({name}) revocata.',
+    webhookPrivate: '🔒 Per sicurezza registra i webhook in chat privata con il bot.',
+    webhookCreated: '🪝 *Webhook registrato*\n\nURL: `{url}`\nEventi: {events}\n\n`{secret}`\n\n⚠️ Copia ora il segreto: non sarà più mostrato. Serve a verificare l\'header `X-GreenCharge-Signature`.',
+    webhookRemoved: '✅ Webhook {url} rimosso.',
+    webhookTestDelivered: '✅ Evento di prova consegnato (HTTP {status}).',
+    webhookTestFailed: '⚠️ Consegna di prova non riuscita: {error}. Verrà ritentata automaticamente.',
+    ocppConnector: 'connettore {connector} → slot {slot}',
+    ocppLinked: '✅ Colonnina {chargePoint} associata a {station} ({connectors}).',
+    ocppLinkedDefault: '✅ Colonnina {chargePoint} associata a {station}. I connettori saranno associati agli slot con lo stesso numero.',
+    tagLinked: '✅ Tessera {tag} associata a @{username}: le ricariche avviate con questa tessera saranno registrate automaticamente.',
+    tagRemoved: '✅ Tessera rimossa per @{username}.',
+    simulatorOff: '❌ Il driver simulator non è attivo: aggiungilo a CHARGER_DRIVERS per simulare i veicoli.',
+    stationNotFound: '❌ Stazione "{station}" non trovata. Usa /admin_stations per vedere l\'elenco.',
+    simulated: '🧪 Simulazione *{action}* sullo slot {slot} di {station} inviata.',
+    simulatedSession: ' Ricarica collegata alla sessione di @{username}.',
+    simulatedUnknownTag: ' Nessuna sessione collegata (tessera sconosciuta o assente).',
+    simulatedBlockedTag: ' Nessuna sessione collegata (tessera bloccata).',
+    simulatedEnergy: ' Energia simulata: {energy}.',
+    exemptions: {
+      title: '⚖️ *Utenti esenti dai limiti di ricarica*',
+      empty: 'Nessun utente esente.',
+      hint: 'Usa */admin_exempt @username* per concedere l\'esenzione e */admin_unexempt @username* per revocarla.',
+      error: '❌ Errore durante il recupero degli utenti esenti.'
+    },
+    settingsError: '❌ Errore durante il recupero dei parametri.',
+    settingUpdated: '✅ Parametro `{key}` impostato a *{value} {unit}*.\n\nℹ️ Il nuovo valore è già in uso; le stazioni con un valore proprio non cambiano.',
+    stations: {
+      title: '🏢 *ADMIN: Stazioni configurate*',
+      address: '- Indirizzo: {address}',
+      noAddress: '_non impostato_',
+      slots: '- Slot: *{total}* (disponibili: *{available}*)',
+      chargeTime: '- Tempo max ricarica: *{minutes} min*{default}',
+      reminderTime: '- Tempo promemoria: *{minutes} min*{default}',
+      default: ' (default)',
+      queueLength: '- Utenti in coda: *{count}*',
+      hint: 'Usa /admin_add_station o /admin_edit_station per modificare le stazioni.',
+      error: '❌ Errore durante il recupero delle stazioni: {error}'
+    },
+    stationCreated: '✅ Stazione *{station}* creata con *{count}* slot.\n\nGli utenti possono selezionarla con /prenota {station}.',
+    addStationError: '❌ Errore durante la creazione della stazione: {error}',
+    editStationNotFound: '❌ Stazione "{station}" non trovata. Usa /admin_stations per l\'elenco.',
+    stationUpdated: '✅ Stazione *{station}* aggiornata: {field} = *{value}*.',
+    editStationError: '❌ Errore durante la modifica della stazione: {error}',
+    noUsers: '❌ Nessun utente registrato.',
+    notifySent: '✅ Messaggio inviato a *{sent}* utenti.\n🌙 Rinviato per le ore di silenzio: *{deferred}*\n🔕 Annunci disattivati: *{skipped}*\n❌ Errori: *{errors}*',
+    notifyError: '❌ Errore durante l\'invio del messaggio: {error}',
+    resetConfirm: '⚠️ *ATTENZIONE* ⚠️\n\nStai per resettare completamente il sistema, terminando tutte le sessioni attive e svuotando la coda.\n\n*Questa operazione non può essere annullata.*\n\nPer confermare, rispondi con /admin_confirm_reset',
+    resetError: '❌ Errore durante il reset del sistema: {error}',
+    resetDone: '✅ *Sistema resettato con successo.*\n\n- {sessions} sessioni attive terminate\n- {users} utenti rimossi dalla coda\n- {slots} slot disponibili in {stations} stazioni',
+    dbtest: '📊 *Stato Database:*\n- System documents: *{system}*\n- Station documents: *{station}*\n- Session documents: *{session}*\n- Queue documents: *{queue}*\n- User documents: *{user}*',
+    dbtestError: '❌ Errore durante il test del database: {error}'
+  },
+
+  // Avviso all'amministratore all'avvio del bot
+  system: {
+    started: '🤖 *Green-Charge Bot avviato*\n\nIl bot è ora online e pronto all\'uso.\n\nVersione: {version}\nAvviato: {date}\nID Istanza: {instance}'
+  }
+};
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Chiavi di accesso all'API REST. La chiave in chiaro viene mostrata solo alla creazione:
+// nel database resta l'hash SHA-256 e il prefisso per riconoscerla negli elenchi
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  key_hash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  key_prefix: {
+    type: String,
+    required: true
+  },
+  // read: solo consultazione; write: anche ingresso e uscita dalla coda per conto degli utenti
+  scope: {
+    type: String,
+    enum: ['read', 'write'],
+    default: 'read'
+  },
+  created_by: {
+    type: Number,
+    default: null
+  },
+  last_used_at: {
+    type: Date,
+    default: null
+  },
+  revoked_at: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+apiKeySchema.index({ key_prefix: 1 });
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Registro delle azioni che modificano lo stato del sistema
+const auditEventSchema = new mongoose.Schema({
+  // Azione eseguita (es. session_start, session_end, queue_remove, max_slots_update)
+  action: {
+    type: String,
+    required: true
+  },
+  // Chi ha eseguito l'azione; null per le azioni automatiche del sistema
+  actor_id: {
+    type: Number,
+    default: null
+  },
+  // Utente su cui è stata eseguita l'azione, se presente
+  target_id: {
+    type: Number,
+    default: null
+  },
+  target_username: {
+    type: String,
+    default: null
+  },
+  station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    default: null
+  },
+  // Stato prima e dopo l'azione (solo i campi rilevanti)
+  before: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  details: {
+    type: String,
+    default: null
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ target_id: 1, createdAt: -1 });
+auditEventSchema.index({ actor_id: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Connettore di una colonnina OCPP, associato a uno slot della stazione
+const connectorSchema = new mongoose.Schema({
+  connector_id: {
+    type: Number,
+    required: true
+  },
+  slot_number: {
+    type: Number,
+    required: true
+  },
+  // Ultimo stato comunicato con StatusNotification (Available, Preparing, Charging, Faulted, ...)
+  status: {
+    type: String,
+    default: 'Unknown'
+  },
+  error_code: {
+    type: String,
+    default: null
+  },
+  updated_at: {
+    type: Date,
+    default: null
+  }
+}, { _id: false });
+
+// Colonnina collegata al server OCPP 1.6-J, identificata dall'ID con cui si connette
+const chargePointSchema = new mongoose.Schema({
+  charge_point_id: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Stazione servita dalla colonnina, assegnata dall'admin con /admin_ocpp link
+  station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    default: null
+  },
+  connectors: {
+    type: [connectorSchema],
+    default: []
+  },
+  vendor: {
+    type: String,
+    default: null
+  },
+  model: {
+    type: String,
+    default: null
+  },
+  firmware_version: {
+    type: String,
+    default: null
+  },
+  connected: {
+    type: Boolean,
+    default: false
+  },
+  last_boot_at: {
+    type: Date,
+    default: null
+  },
+  last_heartbeat_at: {
+    type: Date,
+    default: null
+  },
+  // Contatore degli ID di transazione assegnati alla colonnina
+  last_transaction_id: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+chargePointSchema.index({ station: 1 });
+
+module.exports = mongoose.model('ChargePoint', chargePointSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Messaggio non urgente rinviato perché inviato durante le ore di silenzio del destinatario.
+// Viene consegnato al termine delle ore di silenzio, o scartato se nel frattempo è scaduto
+const deferredNotificationSchema = new mongoose.Schema({
+  telegram_id: {
+    type: Number,
+    required: true
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  // Opzioni di sendMessage (parse_mode, reply_markup)
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Oltre questa data il messaggio non ha più senso e non viene consegnato (null = mai)
+  expires_at: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+deferredNotificationSchema.index({ telegram_id: 1, createdAt: 1 });
+
+module.exports = mongoose.model('DeferredNotification', deferredNotificationSchema);
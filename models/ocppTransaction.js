@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+// Transazione di ricarica comunicata da una colonnina OCPP (StartTransaction/StopTransaction).
+// Le letture del contatore sono in Wh, come nel protocollo
+const ocppTransactionSchema = new mongoose.Schema({
+  charge_point: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChargePoint',
+    required: true
+  },
+  transaction_id: {
+    type: Number,
+    required: true
+  },
+  connector_id: {
+    type: Number,
+    required: true
+  },
+  // Stazione e slot corrispondenti al connettore al momento dell'avvio (null se la colonnina non è associata)
+  station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    default: null
+  },
+  slot_number: {
+    type: Number,
+    default: null
+  },
+  id_tag: {
+    type: String,
+    default: null
+  },
+  // Sessione del bot collegata; null se la ricarica non è attribuibile a nessun utente
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['active', 'completed'],
+    default: 'active'
+  },
+  start_time: {
+    type: Date,
+    required: true
+  },
+  stop_time: {
+    type: Date,
+    default: null
+  },
+  stop_reason: {
+    type: String,
+    default: null
+  },
+  meter_start: {
+    type: Number,
+    default: null
+  },
+  meter_stop: {
+    type: Number,
+    default: null
+  },
+  // Ultime letture ricevute con MeterValues
+  last_meter: {
+    type: Number,
+    default: null
+  },
+  power: {
+    type: Number,
+    default: null
+  },
+  meter_values: {
+    type: [{
+      _id: false,
+      timestamp: Date,
+      energy_wh: Number,
+      power_w: Number
+    }],
+    default: []
+  }
+}, { timestamps: true });
+
+ocppTransactionSchema.index({ charge_point: 1, transaction_id: 1 }, { unique: true });
+ocppTransactionSchema.index({ status: 1, station: 1, slot_number: 1 });
+ocppTransactionSchema.index({ session: 1 });
+
+module.exports = mongoose.model('OcppTransaction', ocppTransactionSchema);
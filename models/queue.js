@@ -10,10 +10,31 @@ const queueSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    required: true
+  },
+  // Posizione effettiva in coda, ricalcolata secondo la classe di priorità e l'ora di richiesta
   position: {
     type: Number,
     required: true
   },
+  priority: {
+    type: String,
+    enum: ['critical', 'accessibility', 'normal'],
+    default: 'normal'
+  },
+  // Motivo dichiarato dall'utente per la richiesta urgente
+  priority_reason: {
+    type: String,
+    default: null
+  },
+  // Admin che ha promosso o retrocesso la richiesta
+  priority_set_by: {
+    type: Number,
+    default: null
+  },
   request_time: {
     type: Date,
     default: Date.now
@@ -29,12 +50,25 @@ const queueSchema = new mongoose.Schema({
   slot_reserved: {
     type: Boolean,
     default: false
+  },
+  // Sessione attiva il cui utente ha annunciato di passare il cavo a questo utente (/lascio):
+  // al termine di quella sessione lo slot viene riservato direttamente a lui
+  handover_session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+  // Ora prevista per il passaggio del cavo
+  handover_time: {
+    type: Date,
+    default: null
   }
 }, { timestamps: true });
 
 // Aggiungi indici per migliorare le prestazioni
-queueSchema.index({ position: 1 });
+queueSchema.index({ station: 1, position: 1 });
 queueSchema.index({ telegram_id: 1 });
 queueSchema.index({ notified: 1, notification_time: 1, slot_reserved: 1 });
+queueSchema.index({ handover_session: 1 });
 
 module.exports = mongoose.model('Queue', queueSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema per le prenotazioni di una finestra di ricarica futura
+ */
+const reservationSchema = new mongoose.Schema({
+  telegram_id: {
+    type: Number,
+    required: true
+  },
+  username: {
+    type: String,
+    required: true
+  },
+  station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    required: true
+  },
+  start_time: {
+    type: Date,
+    required: true
+  },
+  end_time: {
+    type: Date,
+    required: true
+  },
+  // scheduled: in attesa della finestra, held: slot trattenuto per l'utente,
+  // fulfilled: ricarica iniziata, cancelled: annullata, expired: non utilizzata
+  status: {
+    type: String,
+    enum: ['scheduled', 'held', 'fulfilled', 'cancelled', 'expired'],
+    default: 'scheduled'
+  },
+  held_at: {
+    type: Date,
+    default: null
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  }
+}, { timestamps: true });
+
+// Aggiungi indici per migliorare le prestazioni
+reservationSchema.index({ station: 1, status: 1, start_time: 1 });
+reservationSchema.index({ telegram_id: 1, status: 1 });
+reservationSchema.index({ status: 1, held_at: 1 });
+
+module.exports = mongoose.model('Reservation', reservationSchema);
@@ -9,6 +9,11 @@ const sessionSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    required: true
+  },
   start_time: {
     type: Date,
     required: true
@@ -17,6 +22,12 @@ const sessionSchema = new mongoose.Schema({
     type: Date,
     required: true
   },
+  // Fine prevista (comprese le estensioni): end_time diventa la fine effettiva al termine,
+  // così resta il ritardo o l'anticipo con cui l'utente ha liberato lo slot
+  planned_end_time: {
+    type: Date,
+    default: null
+  },
   slot_number: {
     type: Number,
     required: true
@@ -33,13 +44,63 @@ const sessionSchema = new mongoose.Schema({
   timeout_notified: {
     type: Boolean,
     default: false
+  },
+  // Ultimo promemoria di ritardo inviato, per rispettare la frequenza scelta dall'utente
+  overdue_notified_at: {
+    type: Date,
+    default: null
+  },
+  // Richiamo già assegnato per il ritardo nel liberare lo slot
+  overstay_strike: {
+    type: Boolean,
+    default: false
+  },
+  // Segnalazione già inviata perché la colonnina non rileva nessun veicolo sullo slot
+  charger_mismatch: {
+    type: Boolean,
+    default: false
+  },
+  // Energia erogata, indicata dall'utente al termine (kWh o letture del contatore)
+  energy_kwh: {
+    type: Number,
+    default: null
+  },
+  meter_start: {
+    type: Number,
+    default: null
+  },
+  meter_end: {
+    type: Number,
+    default: null
+  },
+  // Costo calcolato con le tariffe in vigore al termine della ricarica
+  cost: {
+    type: Number,
+    default: null
+  },
+  // Utente che ha passato il cavo direttamente a questa sessione (/lascio)
+  handover_from: {
+    type: Number,
+    default: null
   }
 }, { timestamps: true });
 
 // Aggiungi indici per migliorare le prestazioni
 sessionSchema.index({ telegram_id: 1, status: 1 });
 sessionSchema.index({ status: 1, end_time: 1 });
+sessionSchema.index({ station: 1, status: 1 });
 sessionSchema.index({ status: 1, reminded: 1, end_time: 1 });
 sessionSchema.index({ status: 1, timeout_notified: 1, end_time: 1 });
 
+// Uno slot può essere occupato da una sola sessione attiva per stazione,
+// e ogni utente può avere una sola sessione attiva
+sessionSchema.index(
+  { station: 1, slot_number: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+sessionSchema.index(
+  { telegram_id: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
 module.exports = mongoose.model('Session', sessionSchema);
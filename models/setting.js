@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: Number,
+    required: true
+  },
+  updated_by: {
+    type: Number,
+    default: null
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Setting', settingSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Stato fisico di uno slot comunicato da un driver delle colonnine (OCPP, simulatore, ...).
+// Gli slot senza driver non hanno un documento: per loro valgono solo le conferme degli utenti
+const slotStateSchema = new mongoose.Schema({
+  station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    required: true
+  },
+  slot_number: {
+    type: Number,
+    required: true
+  },
+  // Driver che ha comunicato l'ultimo stato
+  driver: {
+    type: String,
+    required: true
+  },
+  // available: libero; occupied: veicolo collegato senza ricarica; charging: in carica;
+  // faulted e unavailable: slot fuori servizio
+  status: {
+    type: String,
+    enum: ['available', 'occupied', 'charging', 'faulted', 'unavailable'],
+    default: 'available'
+  },
+  // Stato originale del driver (es. SuspendedEV per OCPP)
+  detail: {
+    type: String,
+    default: null
+  },
+  // Da quando un veicolo occupa lo slot (occupied o charging)
+  occupied_since: {
+    type: Date,
+    default: null
+  },
+  // Tessera RFID usata per la ricarica in corso
+  rfid_tag: {
+    type: String,
+    default: null
+  },
+  // Energia e potenza della ricarica in corso
+  energy_wh: {
+    type: Number,
+    default: null
+  },
+  power_w: {
+    type: Number,
+    default: null
+  },
+  // Segnalazione già inviata per un veicolo che occupa lo slot senza una sessione del bot
+  ghost: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: true });
+
+slotStateSchema.index({ station: 1, slot_number: 1 }, { unique: true });
+slotStateSchema.index({ status: 1, occupied_since: 1 });
+
+module.exports = mongoose.model('SlotState', slotStateSchema);
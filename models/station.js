@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+/**
+ * Schema per le stazioni di ricarica
+ * Ogni stazione ha i propri slot, la propria coda e le proprie sessioni
+ */
+const stationSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  address: {
+    type: String,
+    default: ''
+  },
+  total_slots: {
+    type: Number,
+    default: 5
+  },
+  slots_available: {
+    type: Number,
+    default: 5
+  },
+  // Tempo massimo di ricarica in minuti (null = valore globale)
+  max_charge_time: {
+    type: Number,
+    default: null
+  },
+  // Minuti prima della scadenza per il promemoria (null = valore globale)
+  reminder_time: {
+    type: Number,
+    default: null
+  },
+  active_sessions: {
+    type: [mongoose.Schema.Types.ObjectId],
+    ref: 'Session',
+    default: []
+  },
+  queue_length: {
+    type: Number,
+    default: 0
+  },
+  total_charges_completed: {
+    type: Number,
+    default: 0
+  },
+  // Incrementata da ogni transazione che modifica la coda o le prenotazioni della stazione: transazioni
+  // contemporanee sulla stessa stazione entrano in conflitto e vengono ripetute
+  revision: {
+    type: Number,
+    default: 0
+  }
+}, { timestamps: true });
+
+// Indice per l'ordinamento delle stazioni nell'elenco
+stationSchema.index({ createdAt: 1 });
+
+module.exports = mongoose.model('Station', stationSchema);
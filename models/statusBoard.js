@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Messaggio di stato fissato in una chat di gruppo, modificato dal bot a ogni cambiamento.
+// Resta salvato tra un riavvio e l'altro, così il bot continua ad aggiornare lo stesso messaggio
+const statusBoardSchema = new mongoose.Schema({
+  chat_id: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  message_id: {
+    type: Number,
+    required: true
+  },
+  // Ultimo testo inviato, per non modificare il messaggio se nulla è cambiato
+  text: {
+    type: String,
+    default: ''
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('StatusBoard', statusBoardSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// Richiami assegnati agli utenti per turni mancati e ritardi nel liberare lo slot
+const strikeSchema = new mongoose.Schema({
+  telegram_id: {
+    type: Number,
+    required: true
+  },
+  username: {
+    type: String,
+    required: true
+  },
+  // no_show (turno o prenotazione non confermati), overstay (slot non liberato in tempo)
+  reason: {
+    type: String,
+    enum: ['no_show', 'overstay'],
+    required: true
+  },
+  station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    default: null
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+  details: {
+    type: String,
+    default: null
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+strikeSchema.index({ telegram_id: 1, createdAt: -1 });
+strikeSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('Strike', strikeSchema);
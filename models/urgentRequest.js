@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Richieste di priorità dichiarate dagli utenti a /prenota, conservate per la verifica dell'admin
+const urgentRequestSchema = new mongoose.Schema({
+  telegram_id: {
+    type: Number,
+    required: true
+  },
+  username: {
+    type: String,
+    required: true
+  },
+  station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  // Impostato quando l'admin riporta l'utente in classe normale
+  demoted: {
+    type: Boolean,
+    default: false
+  }
+}, { timestamps: true });
+
+urgentRequestSchema.index({ createdAt: -1 });
+urgentRequestSchema.index({ telegram_id: 1, createdAt: -1 });
+
+module.exports = mongoose.model('UrgentRequest', urgentRequestSchema);
@@ -26,14 +26,90 @@ const userSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
-  is_admin: {
+  // Ultima stazione utilizzata, usata come default nei comandi
+  last_station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    default: null
+  },
+  // Ruolo: owner (ADMIN_USER_ID della configurazione), admin, moderator, user, banned
+  role: {
+    type: String,
+    enum: ['owner', 'admin', 'moderator', 'user', 'banned'],
+    default: 'user'
+  },
+  // Esenzione concessa dall'admin dai limiti di ricariche e dall'attesa tra ricariche
+  quota_exempt: {
     type: Boolean,
     default: false
+  },
+  // Sospensione temporanea (automatica per i richiami o decisa dall'admin)
+  suspended_until: {
+    type: Date,
+    default: null
+  },
+  suspension_reason: {
+    type: String,
+    default: null
+  },
+  // I richiami precedenti a questa data non contano più (sospensione scontata o richiami annullati)
+  strikes_reset_at: {
+    type: Date,
+    default: null
+  },
+  // Tessera RFID (idTag OCPP) con cui le colonnine identificano l'utente
+  rfid_tag: {
+    type: String,
+    default: null
+  },
+  // Lingua scelta con /lingua (null = lingua delle impostazioni di Telegram)
+  language: {
+    type: String,
+    default: null
+  },
+  // Ultimo codice lingua inviato da Telegram, usato per le notifiche senza un messaggio dell'utente
+  language_code: {
+    type: String,
+    default: null
+  },
+  // Preferenze di notifica scelte con /notifiche
+  notifications: {
+    // Minuti di preavviso del promemoria (null = quelli della stazione, 0 = nessun promemoria)
+    reminder_time: {
+      type: Number,
+      default: null
+    },
+    // Minuti tra un promemoria di ritardo e il successivo
+    overdue_interval: {
+      type: Number,
+      default: 5
+    },
+    // Avvisi quando si libera uno slot, anche senza essere in coda
+    slot_freed: {
+      type: Boolean,
+      default: false
+    },
+    // Annunci degli amministratori (/admin_notify_all)
+    announcements: {
+      type: Boolean,
+      default: true
+    },
+    // Ore di silenzio in minuti dalla mezzanotte, ora italiana (null = nessuna)
+    quiet_start: {
+      type: Number,
+      default: null
+    },
+    quiet_end: {
+      type: Number,
+      default: null
+    }
   }
 }, { timestamps: true });
 
 // Indici per migliorare le prestazioni
 userSchema.index({ username: 1 });
 userSchema.index({ last_charge: -1 });
+userSchema.index({ 'notifications.slot_freed': 1 });
+userSchema.index({ rfid_tag: 1 }, { unique: true, partialFilterExpression: { rfid_tag: { $type: 'string' } } });
 
 module.exports = mongoose.model('User', userSchema);
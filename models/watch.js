@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Richiesta di avviso quando a una stazione si libera uno slot (/avvisami), senza mettersi in coda
+const watchSchema = new mongoose.Schema({
+  telegram_id: {
+    type: Number,
+    required: true
+  },
+  username: {
+    type: String,
+    required: true
+  },
+  station: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Station',
+    required: true
+  },
+  // Ricorrente: resta attiva dopo ogni avviso; altrimenti vale per il primo slot libero
+  recurring: {
+    type: Boolean,
+    default: false
+  },
+  // Avviso singolo: inizio della finestra indicata (null = da subito) e scadenza
+  start_time: {
+    type: Date,
+    default: null
+  },
+  expires_at: {
+    type: Date,
+    default: null
+  },
+  // Avviso ricorrente: finestra di ogni giorno in minuti dalla mezzanotte, ora italiana (null = sempre)
+  window_start: {
+    type: Number,
+    default: null
+  },
+  window_end: {
+    type: Number,
+    default: null
+  },
+  last_notified_at: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+// Una sola richiesta per utente e stazione
+watchSchema.index({ telegram_id: 1, station: 1 }, { unique: true });
+watchSchema.index({ station: 1 });
+// Gli avvisi singoli scaduti vengono rimossi da MongoDB
+watchSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Watch', watchSchema);
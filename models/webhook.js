@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Webhook in uscita: a ogni evento di sessione o di coda il sistema invia una POST
+// firmata con HMAC-SHA256 agli URL registrati dagli amministratori
+const webhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  // Segreto condiviso con l'integratore per verificare la firma delle richieste
+  secret: {
+    type: String,
+    required: true
+  },
+  // Eventi inoltrati (es. session.ended, queue.left); vuoto per inoltrarli tutti
+  events: {
+    type: [String],
+    default: []
+  },
+  created_by: {
+    type: Number,
+    default: null
+  },
+  // Consegne fallite consecutive, azzerate alla prima consegna riuscita
+  failure_count: {
+    type: Number,
+    default: 0
+  },
+  last_delivery_at: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+module.exports = mongoose.model('Webhook', webhookSchema);
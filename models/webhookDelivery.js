@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Registro delle consegne dei webhook, con lo stato dei tentativi.
+// Le consegne sono eliminate automaticamente dopo 30 giorni
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Corpo della richiesta, identico a ogni tentativo
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // pending: in attesa di un (nuovo) tentativo; delivered: risposta 2xx; failed: tentativi esauriti
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  next_attempt_at: {
+    type: Date,
+    default: Date.now
+  },
+  response_status: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  delivered_at: {
+    type: Date,
+    default: null
+  }
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ status: 1, next_attempt_at: 1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 3600 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
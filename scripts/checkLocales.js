@@ -0,0 +1,209 @@
+/**
+ * Verifica che i cataloghi delle lingue siano allineati a quello italiano.
+ *
+ * Uso:
+ *   node scripts/checkLocales.js    (o npm test)
+ *
+ * Per ogni lingua controlla che:
+ *   - esistano tutte e sole le chiavi del catalogo italiano
+ *   - ogni testo usi gli stessi parametri {nome}
+ *   - i plurali abbiano la forma { one, other } dove ce l'ha l'italiano
+ *
+ * Controlla inoltre che le chiavi usate nel codice con t(...) e localizedError(...)
+ * esistano nel catalogo italiano (le chiavi composte a runtime non sono verificabili).
+ *
+ * Esce con codice 1 se trova differenze.
+ */
+const fs = require('fs');
+const path = require('path');
+const { SUPPORTED_LOCALES, DEFAULT_LOCALE, getCatalogue } = require('../utils/i18n');
+
+const ROOT = path.join(__dirname, '..');
+// Cartelle escluse dalla ricerca delle chiavi usate nel codice
+const IGNORED_DIRS = ['node_modules', 'locales', 'logs', '.git'];
+// Chiave passata a t(locale, ...) o a localizedError(...): un letterale o un'espressione senza virgole
+// (es. una condizione con due letterali), fino al primo argomento successivo
+const KEY_USAGE = /\b(?:t\([^,()]+(?:\([^()]*\))?[^,()]*,|localizedError\()\s*([^,{})]+)/g;
+
+// Categorie plurali di Intl.PluralRules
+const PLURAL_CATEGORIES = ['zero', 'one', 'two', 'few', 'many', 'other'];
+
+/**
+ * Verifica se un nodo del catalogo è un plurale
+ * @param {*} node - Nodo del catalogo
+ * @returns {Boolean} - true se il nodo ha solo categorie plurali, tra cui other
+ */
+function isPlural(node) {
+  return Boolean(node && typeof node === 'object' && typeof node.other === 'string' &&
+    Object.keys(node).every(category => PLURAL_CATEGORIES.includes(category)));
+}
+
+/**
+ * Raccoglie le chiavi foglia di un catalogo (testi e plurali)
+ * @param {Object} catalogue - Catalogo o parte di esso
+ * @param {String} prefix - Prefisso della chiave
+ * @param {Map} entries - Mappa chiave → nodo da riempire
+ * @returns {Map} - Chiavi del catalogo
+ */
+function collectEntries(catalogue, prefix = '', entries = new Map()) {
+  Object.keys(catalogue).forEach(name => {
+    const key = prefix ? `${prefix}.${name}` : name;
+    const node = catalogue[name];
+
+    if (typeof node === 'string' || isPlural(node)) {
+      entries.set(key, node);
+    } else if (node && typeof node === 'object') {
+      collectEntries(node, key, entries);
+    } else {
+      entries.set(key, node);
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Parametri {nome} usati da un testo o da tutte le forme di un plurale
+ * @param {String|Object} node - Testo o plurale
+ * @returns {String} - Parametri ordinati, separati da virgola
+ */
+function placeholders(node) {
+  const texts = typeof node === 'string' ? [node] : Object.values(node);
+  const names = new Set();
+
+  texts.forEach(text => {
+    (text.match(/\{(\w+)\}/g) || []).forEach(placeholder => names.add(placeholder));
+  });
+
+  return [...names].sort().join(', ');
+}
+
+/**
+ * Confronta una lingua con il catalogo di riferimento
+ * @param {Map} reference - Chiavi del catalogo italiano
+ * @param {String} locale - Lingua da verificare
+ * @returns {Array} - Differenze trovate
+ */
+function compareLocale(reference, locale) {
+  const entries = collectEntries(getCatalogue(locale));
+  const problems = [];
+
+  reference.forEach((expected, key) => {
+    if (!entries.has(key)) {
+      problems.push(`chiave mancante: ${key}`);
+      return;
+    }
+
+    const actual = entries.get(key);
+
+    if (isPlural(expected) !== isPlural(actual)) {
+      problems.push(`${key}: ${isPlural(expected) ? 'deve essere un plurale { one, other }' : 'non deve essere un plurale'}`);
+      return;
+    }
+
+    if (typeof actual !== 'string' && !isPlural(actual)) {
+      problems.push(`${key}: valore non valido`);
+      return;
+    }
+
+    if (isPlural(expected) && typeof actual.one !== 'string') {
+      problems.push(`${key}: manca la forma one`);
+    }
+
+    if (placeholders(expected) !== placeholders(actual)) {
+      problems.push(`${key}: parametri [${placeholders(actual)}] invece di [${placeholders(expected)}]`);
+    }
+  });
+
+  entries.forEach((value, key) => {
+    if (!reference.has(key)) {
+      problems.push(`chiave in più: ${key}`);
+    }
+  });
+
+  return problems;
+}
+
+/**
+ * Elenca i file JavaScript del progetto
+ * @param {String} dir - Cartella da cui partire
+ * @param {Array} files - Elenco da riempire
+ * @returns {Array} - Percorsi dei file
+ */
+function listSourceFiles(dir = ROOT, files = []) {
+  fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+    const fullPath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      if (!IGNORED_DIRS.includes(entry.name)) {
+        listSourceFiles(fullPath, files);
+      }
+    } else if (entry.name.endsWith('.js')) {
+      files.push(fullPath);
+    }
+  });
+
+  return files;
+}
+
+/**
+ * Cerca le chiavi usate nel codice che mancano nel catalogo di riferimento
+ * @param {Map} reference - Chiavi del catalogo italiano
+ * @returns {Array} - Chiavi mancanti, con il file in cui sono usate
+ */
+function findMissingKeys(reference) {
+  const problems = [];
+
+  listSourceFiles().forEach(file => {
+    const source = fs.readFileSync(file, 'utf8');
+
+    for (const match of source.matchAll(KEY_USAGE)) {
+      // Con una condizione le chiavi sono i due rami dopo il ?
+      const expression = match[1];
+      const branches = expression.includes('?')
+        ? expression.slice(expression.indexOf('?') + 1).split(':')
+        : [expression];
+
+      branches
+        .map(branch => branch.trim())
+        .filter(branch => /^'[\w.]+'$/.test(branch))
+        .forEach(literal => {
+          const key = literal.slice(1, -1);
+
+          if (!reference.has(key)) {
+            problems.push(`${path.relative(ROOT, file)}: chiave mancante ${key}`);
+          }
+        });
+    }
+  });
+
+  return problems;
+}
+
+const reference = collectEntries(getCatalogue(DEFAULT_LOCALE));
+let failed = false;
+
+const missingKeys = findMissingKeys(reference);
+
+if (missingKeys.length === 0) {
+  console.log(`✓ ${DEFAULT_LOCALE}: tutte le chiavi usate nel codice esistono`);
+} else {
+  failed = true;
+  console.error(`✗ ${DEFAULT_LOCALE}: ${missingKeys.length} chiavi usate nel codice non esistono`);
+  missingKeys.forEach(problem => console.error(`  - ${problem}`));
+}
+
+SUPPORTED_LOCALES.filter(locale => locale !== DEFAULT_LOCALE).forEach(locale => {
+  const problems = compareLocale(reference, locale);
+
+  if (problems.length === 0) {
+    console.log(`✓ ${locale}: ${reference.size} chiavi allineate a ${DEFAULT_LOCALE}`);
+    return;
+  }
+
+  failed = true;
+  console.error(`✗ ${locale}: ${problems.length} differenze`);
+  problems.forEach(problem => console.error(`  - ${problem}`));
+});
+
+process.exit(failed ? 1 : 0);
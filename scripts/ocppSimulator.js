@@ -0,0 +1,205 @@
+/**
+ * Colonnina OCPP 1.6-J simulata, per provare il server OCPP senza hardware.
+ *
+ * Uso:
+ *   node scripts/ocppSimulator.js [url] [opzioni]
+ *
+ * Opzioni:
+ *   --id CP01          ID della colonnina (default CP01)
+ *   --connector 1      Connettore usato per la ricarica (default 1)
+ *   --tag TAG          idTag della tessera RFID (default SIMTAG)
+ *   --minutes 2        Durata della ricarica in minuti (default 2)
+ *   --interval 30      Secondi tra due letture del contatore (default 30)
+ *   --power 7400       Potenza simulata in W (default 7400)
+ *   --password PWD     Password per l'autenticazione Basic (OCPP_PASSWORD del server)
+ *   --idle             Connettore libero per tutta la durata, senza ricarica
+ *                      (per provare la segnalazione delle sessioni non rilevate)
+ *
+ * Esempio: node scripts/ocppSimulator.js ws://localhost:3000/ocpp --id CP01 --password segreta --tag 04A1B2C3 --minutes 1
+ */
+const WebSocket = require('ws');
+
+const DEFAULTS = {
+  id: 'CP01',
+  connector: '1',
+  tag: 'SIMTAG',
+  minutes: '2',
+  interval: '30',
+  power: '7400',
+  password: null,
+  idle: false
+};
+
+/**
+ * Interpreta gli argomenti della riga di comando
+ * @param {Array} argv - Argomenti dopo il nome dello script
+ * @returns {Object} - { url, options }
+ */
+function parseArgs(argv) {
+  const options = { ...DEFAULTS };
+  let url = 'ws://localhost:3000/ocpp';
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--idle') {
+      options.idle = true;
+    } else if (arg.startsWith('--')) {
+      options[arg.slice(2)] = argv[++i];
+    } else {
+      url = arg;
+    }
+  }
+
+  return { url: `${url.replace(/\/$/, '')}/${encodeURIComponent(options.id)}`, options };
+}
+
+/**
+ * Attende un numero di millisecondi
+ * @param {Number} ms - Millisecondi
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Connette la colonnina simulata al server
+ * @param {String} url - URL completo della colonnina
+ * @param {Object} options - Opzioni della simulazione
+ * @returns {Promise<Function>} - Funzione call(action, payload) che invia un CALL e attende la risposta
+ */
+function connect(url, options) {
+  const headers = {};
+
+  if (options.password) {
+    headers.Authorization = 'Basic ' + Buffer.from(`${options.id}:${options.password}`).toString('base64');
+  }
+
+  const ws = new WebSocket(url, 'ocpp1.6', { headers });
+  const pending = new Map();
+  let nextId = 1;
+
+  ws.on('message', data => {
+    const [type, uniqueId, ...rest] = JSON.parse(data.toString());
+    const request = pending.get(uniqueId);
+
+    if (!request) {
+      return;
+    }
+
+    pending.delete(uniqueId);
+
+    if (type === 3) {
+      request.resolve(rest[0]);
+    } else {
+      request.reject(new Error(`${rest[0]}: ${rest[1]}`));
+    }
+  });
+
+  const call = (action, payload) => new Promise((resolve, reject) => {
+    const uniqueId = String(nextId++);
+    pending.set(uniqueId, { resolve, reject });
+    ws.send(JSON.stringify([2, uniqueId, action, payload]));
+    console.log(`→ ${action}`);
+  }).then(response => {
+    console.log(`← ${action} ${JSON.stringify(response)}`);
+    return response;
+  });
+
+  call.close = () => ws.close();
+
+  return new Promise((resolve, reject) => {
+    ws.on('open', () => resolve(call));
+    ws.on('unexpected-response', (request, response) => reject(new Error(`HTTP ${response.statusCode}`)));
+    ws.on('error', reject);
+  });
+}
+
+/**
+ * Lettura del contatore nel formato OCPP
+ * @param {Number} energyWh - Energia in Wh
+ * @param {Number} powerW - Potenza in W
+ * @returns {Object} - MeterValue
+ */
+function meterValue(energyWh, powerW) {
+  return {
+    timestamp: new Date().toISOString(),
+    sampledValue: [
+      { value: String(Math.round(energyWh)), measurand: 'Energy.Active.Import.Register', unit: 'Wh' },
+      { value: String(powerW), measurand: 'Power.Active.Import', unit: 'W' }
+    ]
+  };
+}
+
+async function run() {
+  const { url, options } = parseArgs(process.argv.slice(2));
+  const connectorId = parseInt(options.connector);
+  const durationMs = parseFloat(options.minutes) * 60000;
+  const intervalMs = parseFloat(options.interval) * 1000;
+  const power = parseInt(options.power);
+  const status = value => call('StatusNotification', { connectorId, status: value, errorCode: 'NoError' });
+
+  console.log(`Connessione a ${url}`);
+  const call = await connect(url, options);
+
+  await call('BootNotification', { chargePointVendor: 'GreenCharge', chargePointModel: 'Simulator' });
+  await status('Available');
+
+  if (options.idle) {
+    // Il connettore resta libero: il server deve segnalare le sessioni avviate su questo slot
+    const end = Date.now() + durationMs;
+    while (Date.now() < end) {
+      await sleep(Math.min(intervalMs, end - Date.now()));
+      await call('Heartbeat', {});
+    }
+
+    call.close();
+    return;
+  }
+
+  const authorization = await call('Authorize', { idTag: options.tag });
+  if (authorization.idTagInfo.status !== 'Accepted') {
+    console.log(`Tessera rifiutata (${authorization.idTagInfo.status})`);
+    call.close();
+    return;
+  }
+
+  await status('Preparing');
+
+  let energy = 1000000;
+  const start = await call('StartTransaction', {
+    connectorId,
+    idTag: options.tag,
+    meterStart: energy,
+    timestamp: new Date().toISOString()
+  });
+  const transactionId = start.transactionId;
+
+  await status('Charging');
+
+  const end = Date.now() + durationMs;
+  while (Date.now() < end) {
+    const waitMs = Math.min(intervalMs, end - Date.now());
+    await sleep(waitMs);
+    energy += power * waitMs / 3600000;
+    await call('MeterValues', { connectorId, transactionId, meterValue: [meterValue(energy, power)] });
+  }
+
+  await status('Finishing');
+  await call('StopTransaction', {
+    transactionId,
+    idTag: options.tag,
+    meterStop: Math.round(energy),
+    timestamp: new Date().toISOString(),
+    reason: 'EVDisconnected'
+  });
+  await status('Available');
+
+  call.close();
+}
+
+run().catch(error => {
+  console.error(`Simulazione interrotta: ${error.message}`);
+  process.exit(1);
+});
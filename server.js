@@ -5,8 +5,19 @@ const fs = require('fs');
 const path = require('path');
 const config = require('./config');
 const messageHandler = require('./handlers/messageHandler');
+const apiHandler = require('./handlers/apiHandler');
 const notifier = require('./utils/notifier');
+const statusPage = require('./utils/statusPage');
+const drivers = require('./drivers');
+const queueHandler = require('./handlers/queueHandler');
+const statusBoardHandler = require('./handlers/statusBoardHandler');
+const consistencyHandler = require('./handlers/consistencyHandler');
+const userHandler = require('./handlers/userHandler');
+const formatters = require('./utils/formatters');
 const logger = require('./utils/logger');
+const { SUPPORTED_LOCALES, FALLBACK_LOCALE } = require('./utils/i18n');
+
+const CONSISTENCY_CHECK_INTERVAL = 600000; // 10 minuti tra i controlli di coerenza dei contatori
 
 // Inizializza Express
 const app = express();
@@ -17,6 +28,36 @@ app.get('/healthz', (req, res) => {
   res.status(200).send('OK');
 });
 
+// Pagina di stato pubblica, in sola lettura, per il tablet vicino alle colonnine
+app.get('/status', async (req, res) => {
+  const refreshSeconds = Math.max(config.STATUS_PAGE_REFRESH, 10);
+  // Lingua del browser del tablet, come per gli utenti Telegram: senza Accept-Language quella
+  // predefinita (la prima disponibile), per le lingue non supportate l'inglese
+  const locale = req.acceptsLanguages(SUPPORTED_LOCALES) || FALLBACK_LOCALE;
+  
+  res.set('Cache-Control', 'no-store');
+  
+  if (mongoose.connection.readyState !== 1) {
+    res.status(503).type('html').send(statusPage.renderUnavailablePage(refreshSeconds, locale));
+    return;
+  }
+  
+  try {
+    const statuses = await queueHandler.getAllStationsStatus();
+    res.type('html').send(statusPage.renderStatusPage(statuses, {
+      showNames: config.STATUS_PAGE_SHOW_NAMES,
+      refreshSeconds,
+      locale
+    }));
+  } catch (error) {
+    logger.error('Errore nella generazione della pagina di stato:', error);
+    res.status(500).type('html').send(statusPage.renderUnavailablePage(refreshSeconds, locale));
+  }
+});
+
+// API REST autenticata con chiave (gestite con /admin_apikey)
+app.use('/api/v1', apiHandler.createApiRouter(() => bot));
+
 // Endpoint per impostare il webhook (senza necessità di script locale)
 app.get('/setup-webhook', async (req, res) => {
   try {
@@ -135,9 +176,34 @@ mongoose.connect(config.MONGODB_URI, mongooseOptions)
     
     // Avvia il server Express
     const PORT = process.env.PORT || 3000;
-    app.listen(PORT, () => {
+    const httpServer = app.listen(PORT, () => {
       logger.info(`🚀 Server webhook in ascolto sulla porta ${PORT}`);
     });
+    
+    // Driver delle colonnine (il server OCPP usa lo stesso server HTTP)
+    drivers.startDrivers({ getBot: () => bot, httpServer });
+    
+    // Messaggio di stato fissato nel gruppo (se STATUS_BOARD è attivo)
+    statusBoardHandler.startStatusBoard({ getBot: () => bot });
+    
+    // Ricalcola periodicamente i contatori delle stazioni, avvisando l'admin delle differenze corrette
+    setInterval(async () => {
+      try {
+        if (mongoose.connection.readyState !== 1) {
+          logger.warn('MongoDB non connesso, skip controllo di coerenza');
+          return;
+        }
+        
+        const report = await consistencyHandler.checkConsistency();
+        
+        if (report.issues > 0) {
+          const locale = await userHandler.getUserLocale(config.ADMIN_USER_ID);
+          await bot.sendMessage(config.ADMIN_USER_ID, formatters.formatConsistencyReport(report, locale), { parse_mode: 'Markdown' });
+        }
+      } catch (error) {
+        logger.error('Errore durante il controllo di coerenza:', error);
+      }
+    }, CONSISTENCY_CHECK_INTERVAL);
   })
   .catch(err => {
     logger.error('❌ Errore di connessione a MongoDB:', err);
@@ -0,0 +1,171 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Session = require('../models/session');
+const Station = require('../models/station');
+const SlotState = require('../models/slotState');
+const User = require('../models/user');
+const sessionHandler = require('../handlers/sessionHandler');
+const chargerHandler = require('../handlers/chargerHandler');
+const simulatorDriver = require('../drivers/simulatorDriver');
+const settingsHandler = require('../handlers/settingsHandler');
+const config = require('../config');
+const { startDatabase, stopDatabase, clearDatabase } = require('./helpers/database');
+const { createBot } = require('./helpers/bot');
+
+const ADMIN_ID = 1;
+const USER_ID = 2001;
+const TAG = '04A1B2C3';
+
+// Motivo per saltare i test se MongoDB non è disponibile
+let skipReason = null;
+let bot = null;
+let station = null;
+
+/**
+ * Porta indietro nel tempo l'inizio delle sessioni attive e l'occupazione degli slot,
+ * oltre il tempo di attesa prima delle segnalazioni
+ * @returns {Promise<void>}
+ */
+async function elapseGraceTime() {
+  const past = new Date(Date.now() - (settingsHandler.getSetting('charger_grace_time') + 1) * 60000);
+
+  await Session.updateMany({ status: 'active' }, { $set: { start_time: past } });
+  await SlotState.updateMany({ occupied_since: { $ne: null } }, { $set: { occupied_since: past } });
+}
+
+before(async () => {
+  skipReason = await startDatabase();
+  config.ADMIN_USER_ID = ADMIN_ID;
+});
+
+after(async () => {
+  simulatorDriver.stop();
+  await stopDatabase();
+});
+
+beforeEach(async () => {
+  if (skipReason) {
+    return;
+  }
+
+  await clearDatabase();
+
+  station = await Station.create({ name: 'Stazione A', total_slots: 3, slots_available: 3 });
+  await User.create({ telegram_id: USER_ID, username: 'mario', rfid_tag: TAG });
+
+  // Ogni test parte con slot simulati vuoti
+  bot = createBot();
+  simulatorDriver.stop();
+  simulatorDriver.start({ getBot: () => bot });
+});
+
+test('la tessera di un utente avvia la sessione sullo slot della colonnina', async t => {
+  if (skipReason) {
+    t.skip(skipReason);
+    return;
+  }
+
+  const { result } = await simulatorDriver.simulate('start', station, 2, TAG);
+
+  assert.equal(result.status, 'Accepted');
+  assert.equal(result.session.telegram_id, USER_ID);
+  assert.equal(result.session.slot_number, 2);
+  assert.equal((await Station.findById(station._id)).slots_available, 2);
+  assert.equal((await SlotState.findOne({ station: station._id, slot_number: 2 })).status, 'charging');
+  assert.ok(bot.messages.some(message => message.chatId === USER_ID));
+});
+
+test('la fine della ricarica termina la sessione e il veicolo resta sullo slot fino allo scollegamento', async t => {
+  if (skipReason) {
+    t.skip(skipReason);
+    return;
+  }
+
+  await simulatorDriver.simulate('start', station, 1, TAG);
+  const { result } = await simulatorDriver.simulate('stop', station, 1);
+
+  assert.equal(result.session.status, 'completed');
+  assert.equal((await Station.findById(station._id)).slots_available, 3);
+  assert.equal((await SlotState.findOne({ station: station._id, slot_number: 1 })).status, 'occupied');
+
+  await simulatorDriver.simulate('unplug', station, 1);
+
+  assert.equal((await SlotState.findOne({ station: station._id, slot_number: 1 })).status, 'available');
+});
+
+test('una ricarica senza tessera conferma la sessione già avviata con /iniziato', async t => {
+  if (skipReason) {
+    t.skip(skipReason);
+    return;
+  }
+
+  const session = await sessionHandler.startSession(USER_ID, 'mario', station._id);
+  await Session.updateOne({ _id: session._id }, { $set: { charger_mismatch: true } });
+
+  const { result } = await simulatorDriver.simulate('start', station, session.slot_number);
+
+  assert.ok(result.session._id.equals(session._id));
+  assert.equal(result.session.charger_mismatch, false);
+  assert.equal(await Session.countDocuments({ status: 'active' }), 1);
+});
+
+test('la tessera di un utente escluso viene bloccata senza avviare la sessione', async t => {
+  if (skipReason) {
+    t.skip(skipReason);
+    return;
+  }
+
+  await User.updateOne({ telegram_id: USER_ID }, { $set: { role: 'banned' } });
+
+  const { result } = await simulatorDriver.simulate('start', station, 1, TAG);
+
+  assert.equal(result.status, 'Blocked');
+  assert.equal(result.session, null);
+  assert.equal(await Session.countDocuments({ status: 'active' }), 0);
+});
+
+test('checkSlots segnala una sola volta la sessione senza veicolo sullo slot', async t => {
+  if (skipReason) {
+    t.skip(skipReason);
+    return;
+  }
+
+  const session = await sessionHandler.startSession(USER_ID, 'mario', station._id);
+
+  // Il veicolo viene collegato e scollegato: la colonnina vede lo slot libero
+  await simulatorDriver.simulate('plug', station, session.slot_number);
+  await simulatorDriver.simulate('unplug', station, session.slot_number);
+  await elapseGraceTime();
+
+  const first = await chargerHandler.checkSlots(bot);
+
+  assert.equal(first.mismatches.length, 1);
+  assert.ok(first.mismatches[0]._id.equals(session._id));
+  assert.equal(first.ghosts.length, 0);
+  assert.ok(bot.messages.some(message => message.chatId === USER_ID));
+
+  const second = await chargerHandler.checkSlots(bot);
+
+  assert.equal(second.mismatches.length, 0);
+});
+
+test('checkSlots segnala all\'admin una sola volta il veicolo che occupa uno slot senza sessione', async t => {
+  if (skipReason) {
+    t.skip(skipReason);
+    return;
+  }
+
+  await simulatorDriver.simulate('plug', station, 3);
+  await elapseGraceTime();
+
+  const first = await chargerHandler.checkSlots(bot);
+
+  assert.equal(first.ghosts.length, 1);
+  assert.equal(first.ghosts[0].slot_number, 3);
+  assert.equal(first.mismatches.length, 0);
+  assert.ok(bot.messages.some(message => message.chatId === ADMIN_ID));
+
+  const second = await chargerHandler.checkSlots(bot);
+
+  assert.equal(second.ghosts.length, 0);
+});
@@ -0,0 +1,188 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Session = require('../models/session');
+const Station = require('../models/station');
+const Queue = require('../models/queue');
+const User = require('../models/user');
+const Reservation = require('../models/reservation');
+const sessionHandler = require('../handlers/sessionHandler');
+const queueHandler = require('../handlers/queueHandler');
+const reservationHandler = require('../handlers/reservationHandler');
+const { startDatabase, stopDatabase, clearDatabase } = require('./helpers/database');
+
+// Utenti simulati e turni di operazioni contemporanee
+const USER_COUNT = 16;
+const ROUNDS = 30;
+
+// Motivo per saltare i test se MongoDB non è disponibile
+let skipReason = null;
+
+/**
+ * Generatore pseudocasuale con seme fisso, così una sequenza che fallisce si ripete uguale
+ * @param {Number} seed - Seme iniziale
+ * @returns {Function} - Funzione che restituisce un numero in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed;
+
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 2147483648;
+  };
+}
+
+/**
+ * Esegue le operazioni in parallelo, controllando nel frattempo che i contatori
+ * delle stazioni non scendano mai sotto zero
+ * @param {Array} operations - Funzioni asincrone da avviare insieme
+ * @returns {Promise<Array>} - Esiti delle operazioni (Promise.allSettled)
+ */
+async function runInParallel(operations) {
+  let running = true;
+  const negatives = [];
+
+  const watcher = (async () => {
+    while (running) {
+      const stations = await Station.find({
+        $or: [{ slots_available: { $lt: 0 } }, { queue_length: { $lt: 0 } }]
+      });
+
+      negatives.push(...stations.map(station =>
+        `${station.name}: slots_available ${station.slots_available}, queue_length ${station.queue_length}`));
+    }
+  })();
+
+  const results = await Promise.allSettled(operations.map(operation => operation()));
+  running = false;
+  await watcher;
+
+  assert.deepEqual(negatives, [], 'contatori negativi durante le operazioni');
+
+  // Sono ammessi solo gli errori previsti, mostrati all'utente (es. "nessuno slot libero")
+  for (const result of results) {
+    if (result.status === 'rejected') {
+      assert.ok(result.reason.i18nKey, `errore inatteso: ${result.reason.stack || result.reason}`);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Verifica gli invarianti di slot e coda di tutte le stazioni a operazioni concluse
+ * @returns {Promise<void>}
+ */
+async function assertConsistent() {
+  const stations = await Station.find();
+
+  for (const station of stations) {
+    const sessions = await Session.find({ station: station._id, status: 'active' });
+    const slots = sessions.map(session => session.slot_number).sort((a, b) => a - b);
+
+    assert.equal(new Set(slots).size, slots.length, `${station.name}: slot assegnati a più sessioni attive (${slots})`);
+    assert.ok(slots.every(slot => slot >= 1 && slot <= station.total_slots), `${station.name}: slot fuori intervallo (${slots})`);
+
+    assert.ok(station.slots_available >= 0, `${station.name}: slots_available negativo`);
+    assert.ok(station.queue_length >= 0, `${station.name}: queue_length negativo`);
+    assert.equal(station.slots_available, station.total_slots - sessions.length,
+      `${station.name}: slots_available non corrisponde alle sessioni attive`);
+
+    const positions = (await Queue.find({ station: station._id })).map(entry => entry.position).sort((a, b) => a - b);
+
+    assert.deepEqual(positions, positions.map((position, index) => index + 1),
+      `${station.name}: posizioni in coda non contigue (${positions})`);
+    assert.equal(station.queue_length, positions.length, `${station.name}: queue_length non corrisponde alla coda`);
+  }
+}
+
+before(async () => {
+  skipReason = await startDatabase();
+});
+
+after(stopDatabase);
+
+beforeEach(async () => {
+  if (skipReason) {
+    return;
+  }
+
+  await clearDatabase();
+
+  await Station.create([
+    { name: 'Stazione A', total_slots: 3, slots_available: 3 },
+    { name: 'Stazione B', total_slots: 2, slots_available: 2 }
+  ]);
+
+  await User.create(Array.from({ length: USER_COUNT }, (_, index) => ({
+    telegram_id: 1000 + index,
+    username: `utente${index}`
+  })));
+});
+
+test('più /iniziato contemporanei non superano gli slot della stazione', async t => {
+  if (skipReason) {
+    t.skip(skipReason);
+    return;
+  }
+
+  const station = await Station.findOne({ name: 'Stazione A' });
+
+  const results = await runInParallel(Array.from({ length: USER_COUNT }, (_, index) =>
+    () => sessionHandler.startSession(1000 + index, `utente${index}`, station._id)));
+
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, station.total_slots);
+  await assertConsistent();
+});
+
+test('prenotazioni contemporanee della stessa finestra non superano gli slot', async t => {
+  if (skipReason) {
+    t.skip(skipReason);
+    return;
+  }
+
+  const station = await Station.findOne({ name: 'Stazione B' });
+  const start = new Date(Date.now() + 24 * 60 * 60000);
+  const end = new Date(start.getTime() + 20 * 60000);
+
+  const results = await runInParallel(Array.from({ length: USER_COUNT }, (_, index) =>
+    () => reservationHandler.createReservation(1000 + index, `utente${index}`, station._id, start, end)));
+
+  assert.equal(results.filter(result => result.status === 'fulfilled').length, station.total_slots);
+  assert.equal(await Reservation.countDocuments({ station: station._id }), station.total_slots);
+});
+
+test('inizio, richiesta, uscita dalla coda e fine in parallelo mantengono slot e coda coerenti', async t => {
+  if (skipReason) {
+    t.skip(skipReason);
+    return;
+  }
+
+  const random = createRandom(42);
+  const stations = await Station.find().sort({ name: 1 });
+
+  const actions = [
+    (userId, station) => sessionHandler.startSession(userId, `utente${userId - 1000}`, station._id),
+    (userId, station) => queueHandler.requestCharge(userId, `utente${userId - 1000}`, station._id),
+    userId => queueHandler.removeFromQueue(userId),
+    userId => sessionHandler.endSession(userId)
+  ];
+
+  for (let round = 0; round < ROUNDS; round++) {
+    const operations = [];
+
+    for (let index = 0; index < USER_COUNT; index++) {
+      const userId = 1000 + index;
+      const station = stations[Math.floor(random() * stations.length)];
+      // Alcuni utenti premono due volte o inviano due comandi insieme
+      const count = random() < 0.25 ? 2 : 1;
+
+      for (let i = 0; i < count; i++) {
+        const action = actions[Math.floor(random() * actions.length)];
+        operations.push(() => action(userId, station));
+      }
+    }
+
+    await runInParallel(operations);
+    await assertConsistent();
+  }
+});
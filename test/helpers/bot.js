@@ -0,0 +1,19 @@
+/**
+ * Bot Telegram finto: registra i messaggi inviati invece di spedirli
+ * @returns {Object} - Bot con sendMessage e l'elenco dei messaggi { chatId, text, options }
+ */
+function createBot() {
+  const messages = [];
+
+  return {
+    messages,
+    sendMessage: async (chatId, text, options = {}) => {
+      messages.push({ chatId, text, options });
+      return { message_id: messages.length };
+    }
+  };
+}
+
+module.exports = {
+  createBot
+};
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const logger = require('../../utils/logger');
+
+// Replica set in memoria: le modifiche alla coda usano le transazioni
+let replSet = null;
+
+/**
+ * Avvia un replica set MongoDB in memoria e vi collega mongoose, con gli indici già creati
+ * @returns {Promise<String|null>} - Motivo per saltare i test se mongod non è disponibile
+ *                                   (es. download del binario impossibile), altrimenti null
+ */
+async function startDatabase() {
+  logger.silent = true;
+
+  try {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  } catch (error) {
+    return `mongod non disponibile (${error.message}): vedi "Sviluppo" nel README`;
+  }
+
+  await mongoose.connect(replSet.getUri());
+
+  // Gli indici unici (es. sulle sessioni attive) devono esistere prima delle operazioni
+  await mongoose.connection.syncIndexes();
+
+  return null;
+}
+
+/**
+ * Chiude la connessione e ferma il replica set in memoria
+ * @returns {Promise<void>}
+ */
+async function stopDatabase() {
+  await mongoose.disconnect();
+
+  if (replSet) {
+    await replSet.stop();
+    replSet = null;
+  }
+}
+
+/**
+ * Svuota tutte le collezioni tra un test e l'altro
+ * @returns {Promise<void>}
+ */
+async function clearDatabase() {
+  await Promise.all(Object.values(mongoose.connection.models).map(model => model.deleteMany({})));
+}
+
+module.exports = {
+  startDatabase,
+  stopDatabase,
+  clearDatabase
+};
@@ -0,0 +1,178 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const ChargePoint = require('../models/chargePoint');
+const OcppTransaction = require('../models/ocppTransaction');
+const Session = require('../models/session');
+const Station = require('../models/station');
+const SlotState = require('../models/slotState');
+const User = require('../models/user');
+const ocppHandler = require('../handlers/ocppHandler');
+const { startDatabase, stopDatabase, clearDatabase } = require('./helpers/database');
+const { createBot } = require('./helpers/bot');
+
+const ADMIN_ID = 1;
+const USER_ID = 2001;
+const TAG = '04A1B2C3';
+const CHARGE_POINT_ID = 'CP-TEST-1';
+
+// Motivo per saltare i test se MongoDB non è disponibile
+let skipReason = null;
+let bot = null;
+let station = null;
+
+before(async () => {
+  skipReason = await startDatabase();
+});
+
+after(stopDatabase);
+
+beforeEach(async () => {
+  if (skipReason) {
+    return;
+  }
+
+  await clearDatabase();
+
+  station = await Station.create({ name: 'Stazione A', total_slots: 3, slots_available: 3 });
+  await User.create([
+    { telegram_id: USER_ID, username: 'mario', rfid_tag: TAG },
+    { telegram_id: USER_ID + 1, username: 'escluso', rfid_tag: 'BANNED01', role: 'banned' }
+  ]);
+
+  bot = createBot();
+});
+
+test('parseMeterValues converte energia e potenza in Wh e W', () => {
+  const readings = ocppHandler.parseMeterValues([
+    {
+      timestamp: '2026-03-01T10:00:00Z',
+      sampledValue: [
+        { value: '12.5', unit: 'kWh' },
+        { value: '7.4', measurand: 'Power.Active.Import', unit: 'kW' }
+      ]
+    },
+    {
+      timestamp: '2026-03-01T10:05:00Z',
+      sampledValue: [{ value: '13100', measurand: 'Energy.Active.Import.Register', unit: 'Wh' }]
+    }
+  ]);
+
+  assert.deepEqual(readings, [
+    { timestamp: new Date('2026-03-01T10:00:00Z'), energy_wh: 12500, power_w: 7400 },
+    { timestamp: new Date('2026-03-01T10:05:00Z'), energy_wh: 13100, power_w: null }
+  ]);
+});
+
+test('parseMeterValues scarta le letture non numeriche o di altre grandezze', () => {
+  const readings = ocppHandler.parseMeterValues([
+    { timestamp: '2026-03-01T10:00:00Z', sampledValue: [{ value: 'n/a' }] },
+    { timestamp: '2026-03-01T10:01:00Z', sampledValue: [{ value: '230', measurand: 'Voltage', unit: 'V' }] },
+    { timestamp: '2026-03-01T10:02:00Z' }
+  ]);
+
+  assert.deepEqual(readings, []);
+  assert.deepEqual(ocppHandler.parseMeterValues(undefined), []);
+});
+
+test('handleCall rifiuta i payload che non sono oggetti', async () => {
+  await assert.rejects(
+    ocppHandler.handleCall(null, CHARGE_POINT_ID, 'Heartbeat', 'ping'),
+    error => error.ocppCode === 'FormationViolation'
+  );
+});
+
+test('BootNotification, Authorize, StartTransaction e StopTransaction su una colonnina associata', async t => {
+  if (skipReason) {
+    t.skip(skipReason);
+    return;
+  }
+
+  const boot = await ocppHandler.handleCall(bot, CHARGE_POINT_ID, 'BootNotification', {
+    chargePointVendor: 'Acme',
+    chargePointModel: 'Wallbox'
+  });
+
+  assert.equal(boot.status, 'Accepted');
+  assert.equal((await ChargePoint.findOne({ charge_point_id: CHARGE_POINT_ID })).vendor, 'Acme');
+
+  // Il connettore 1 della colonnina serve lo slot 2
+  await ocppHandler.linkChargePoint(CHARGE_POINT_ID, 'Stazione A', ['1=2'], ADMIN_ID);
+
+  assert.deepEqual(await ocppHandler.handleCall(bot, CHARGE_POINT_ID, 'Authorize', { idTag: TAG }),
+    { idTagInfo: { status: 'Accepted' } });
+  assert.deepEqual(await ocppHandler.handleCall(bot, CHARGE_POINT_ID, 'Authorize', { idTag: 'BANNED01' }),
+    { idTagInfo: { status: 'Blocked' } });
+
+  const start = await ocppHandler.handleCall(bot, CHARGE_POINT_ID, 'StartTransaction', {
+    connectorId: 1,
+    idTag: TAG,
+    meterStart: 1000,
+    timestamp: new Date().toISOString()
+  });
+
+  assert.deepEqual(start, { transactionId: 1, idTagInfo: { status: 'Accepted' } });
+
+  const session = await Session.findOne({ telegram_id: USER_ID, status: 'active' });
+
+  assert.equal(session.slot_number, 2);
+  assert.ok((await OcppTransaction.findOne({ transaction_id: 1 })).session.equals(session._id));
+  assert.equal((await Station.findById(station._id)).slots_available, 2);
+
+  await ocppHandler.handleCall(bot, CHARGE_POINT_ID, 'MeterValues', {
+    connectorId: 1,
+    transactionId: 1,
+    meterValue: [{ timestamp: new Date().toISOString(), sampledValue: [{ value: '3500', unit: 'Wh' }] }]
+  });
+
+  assert.equal((await SlotState.findOne({ station: station._id, slot_number: 2 })).energy_wh, 2500);
+
+  const stop = await ocppHandler.handleCall(bot, CHARGE_POINT_ID, 'StopTransaction', {
+    transactionId: 1,
+    meterStop: 9000,
+    timestamp: new Date().toISOString(),
+    reason: 'EVDisconnected'
+  });
+
+  assert.deepEqual(stop, {});
+
+  const ended = await Session.findById(session._id);
+
+  assert.equal(ended.status, 'completed');
+  assert.equal(ended.energy_kwh, 8);
+  assert.equal((await Station.findById(station._id)).slots_available, 3);
+  assert.equal((await OcppTransaction.findOne({ transaction_id: 1 })).status, 'completed');
+  assert.ok(bot.messages.some(message => message.chatId === USER_ID));
+});
+
+test('StartTransaction con una tessera esclusa risponde Blocked senza avviare la sessione', async t => {
+  if (skipReason) {
+    t.skip(skipReason);
+    return;
+  }
+
+  await ocppHandler.handleCall(bot, CHARGE_POINT_ID, 'BootNotification', { chargePointVendor: 'Acme', chargePointModel: 'Wallbox' });
+  await ocppHandler.linkChargePoint(CHARGE_POINT_ID, 'Stazione A', [], ADMIN_ID);
+
+  const start = await ocppHandler.handleCall(bot, CHARGE_POINT_ID, 'StartTransaction', {
+    connectorId: 1,
+    idTag: 'BANNED01',
+    meterStart: 0
+  });
+
+  assert.deepEqual(start, { transactionId: 1, idTagInfo: { status: 'Blocked' } });
+  assert.equal(await Session.countDocuments({ status: 'active' }), 0);
+});
+
+test('StopTransaction di una transazione sconosciuta non modifica le sessioni', async t => {
+  if (skipReason) {
+    t.skip(skipReason);
+    return;
+  }
+
+  await ocppHandler.handleCall(bot, CHARGE_POINT_ID, 'BootNotification', { chargePointVendor: 'Acme', chargePointModel: 'Wallbox' });
+
+  const stop = await ocppHandler.handleCall(bot, CHARGE_POINT_ID, 'StopTransaction', { transactionId: 42, meterStop: 100 });
+
+  assert.deepEqual(stop, {});
+  assert.equal(await OcppTransaction.countDocuments(), 0);
+});
@@ -0,0 +1,85 @@
+/**
+ * Elenco dei comandi del bot mostrati nel menu di Telegram.
+ * Ogni comando admin indica il ruolo minimo necessario per usarlo: lo stesso
+ * elenco serve per i permessi (handlers/roleHandler) e per i menu per ruolo.
+ * Le descrizioni sono nei cataloghi delle lingue (chiavi commands.<comando>).
+ */
+const { t } = require('./i18n');
+
+// Comandi utente, visibili a tutti
+const USER_COMMANDS = [
+  { command: 'start' },
+  { command: 'prenota' },
+  { command: 'cancella' },
+  { command: 'prenotazioni' },
+  { command: 'iniziato' },
+  { command: 'terminato' },
+  { command: 'estendi' },
+  { command: 'lascio' },
+  { command: 'energia' },
+  { command: 'status' },
+  { command: 'stazioni' },
+  { command: 'storico' },
+  { command: 'statistiche' },
+  { command: 'lingua' },
+  { command: 'notifiche' },
+  { command: 'avvisami' },
+  { command: 'help' },
+  { command: 'dove_sono' }
+];
+
+// Comandi admin con il ruolo minimo richiesto (moderator, admin, owner)
+const ADMIN_COMMANDS = [
+  { command: 'admin_help', role: 'moderator' },
+  { command: 'admin_status', role: 'moderator' },
+  { command: 'admin_stats', role: 'moderator' },
+  { command: 'admin_stations', role: 'moderator' },
+  { command: 'admin_settings', role: 'moderator' },
+  { command: 'admin_check', role: 'moderator' },
+  { command: 'admin_remove_queue', role: 'moderator' },
+  { command: 'admin_priority', role: 'moderator' },
+  { command: 'admin_urgent', role: 'moderator' },
+  { command: 'admin_strikes', role: 'moderator' },
+  { command: 'admin_report', role: 'admin' },
+  { command: 'admin_audit', role: 'admin' },
+  { command: 'admin_set_max_slots', role: 'admin' },
+  { command: 'admin_add_station', role: 'admin' },
+  { command: 'admin_edit_station', role: 'admin' },
+  { command: 'admin_set', role: 'admin' },
+  { command: 'admin_set_charge_time', role: 'admin' },
+  { command: 'admin_set_reminder_time', role: 'admin' },
+  { command: 'admin_reset_slot', role: 'admin' },
+  { command: 'admin_exempt', role: 'admin' },
+  { command: 'admin_unexempt', role: 'admin' },
+  { command: 'admin_ban', role: 'admin' },
+  { command: 'admin_unban', role: 'admin' },
+  { command: 'admin_apikey', role: 'admin' },
+  { command: 'admin_webhook', role: 'admin' },
+  { command: 'admin_ocpp', role: 'admin' },
+  { command: 'admin_chargers', role: 'admin' },
+  { command: 'admin_roles', role: 'admin' },
+  { command: 'admin_grant', role: 'admin' },
+  { command: 'admin_revoke', role: 'admin' },
+  { command: 'admin_notify_all', role: 'admin' },
+  { command: 'admin_update_commands', role: 'admin' },
+  { command: 'dbtest', role: 'admin' },
+  { command: 'admin_reset_system', role: 'owner' },
+  // Non mostrati nel menu: conferma del reset
+  { command: 'admin_confirm_reset', role: 'owner', hidden: true }
+];
+
+/**
+ * Prepara un elenco di comandi per setMyCommands con le descrizioni nella lingua indicata
+ * @param {Array} commands - Comandi (USER_COMMANDS o voci di ADMIN_COMMANDS)
+ * @param {String} locale - Lingua delle descrizioni
+ * @returns {Array} - Array di { command, description }
+ */
+function describeCommands(commands, locale) {
+  return commands.map(({ command }) => ({ command, description: t(locale, `commands.${command}`) }));
+}
+
+module.exports = {
+  USER_COMMANDS,
+  ADMIN_COMMANDS,
+  describeCommands
+};
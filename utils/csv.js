@@ -0,0 +1,38 @@
+/**
+ * Generazione dei file CSV inviati agli amministratori (report mensili, registro eventi)
+ */
+
+// Caratteri con cui un foglio di calcolo interpreta la cella come formula
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Prepara un valore per una cella CSV: il testo che inizia come una formula viene
+ * preceduto da un apice, così il foglio di calcolo lo mostra senza eseguirlo
+ * (username, dettagli e JSON vengono dagli utenti); i numeri restano invariati
+ * @param {*} value - Valore della cella (null e undefined diventano una cella vuota)
+ * @returns {String} - Cella CSV, tra virgolette se contiene separatori o a capo
+ */
+function escapeCsvValue(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+
+  if (typeof value !== 'number' && FORMULA_PREFIXES.includes(text.charAt(0))) {
+    text = `'${text}`;
+  }
+
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Genera il contenuto di un file CSV
+ * @param {Array} header - Nomi delle colonne
+ * @param {Array} rows - Righe, ognuna un array di valori nell'ordine delle colonne
+ * @returns {String} - Contenuto CSV con intestazione
+ */
+function toCsv(header, rows) {
+  return [header, ...rows].map(row => row.map(escapeCsvValue).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  escapeCsvValue,
+  toCsv
+};
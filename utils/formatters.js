@@ -1,17 +1,25 @@
+const i18n = require('./i18n');
+
+const { t, DEFAULT_LOCALE } = i18n;
+
 /**
- * Formatta un timestamp in formato HH:MM usando il fuso orario italiano (UTC+2)
+ * Formatta un timestamp in formato HH:MM usando il fuso orario italiano
  * @param {Date|String} timestamp - Timestamp da formattare
+ * @param {String} locale - Lingua del messaggio
  * @returns {String} - Timestamp formattato
  */
-function formatTime(timestamp) {
-  const date = new Date(timestamp);
-  
-  // Converti in fuso orario italiano (UTC+2)
-  // Prende l'ora UTC e aggiunge 2 ore
-  const italianHour = (date.getUTCHours() + 2) % 24;
-  const minutes = date.getUTCMinutes();
-  
-  return `${italianHour.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+function formatTime(timestamp, locale = DEFAULT_LOCALE) {
+  return i18n.formatTime(timestamp, locale);
+}
+
+/**
+ * Formatta un timestamp come giorno, mese e ora usando il fuso orario italiano
+ * @param {Date|String} timestamp - Timestamp da formattare
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Data e ora formattate (es. 19/10 14:05)
+ */
+function formatDateTime(timestamp, locale = DEFAULT_LOCALE) {
+  return i18n.formatDateTime(timestamp, locale);
 }
 
 /**
@@ -34,236 +42,1108 @@ function formatTimeDiff(timestamp) {
 }
 
 /**
- * Formatta uno stato di sessione in italiano
+ * Formatta una durata in minuti (es. 1 minuto, 25 minuti)
+ * @param {Number} minutes - Minuti
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Durata formattata
+ */
+function formatMinutes(minutes, locale = DEFAULT_LOCALE) {
+  return t(locale, 'units.minutes', { count: minutes });
+}
+
+/**
+ * Formatta una quantità di energia in kWh
+ * @param {Number} kwh - Energia in kWh
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Energia formattata (es. 12,5 kWh)
+ */
+function formatEnergy(kwh, locale = DEFAULT_LOCALE) {
+  return `${i18n.formatNumber(kwh, locale, { maximumFractionDigits: 2 })} kWh`;
+}
+
+/**
+ * Formatta un importo in euro
+ * @param {Number} amount - Importo in euro
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Importo formattato (es. 3,40 €)
+ */
+function formatCost(amount, locale = DEFAULT_LOCALE) {
+  return i18n.formatNumber(amount, locale, { style: 'currency', currency: 'EUR' });
+}
+
+/**
+ * Formatta uno stato di sessione
  * @param {String} status - Stato della sessione (active, completed, timeout, admin_terminated)
- * @returns {String} - Stato formattato in italiano
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Stato formattato
  */
-function formatSessionStatus(status) {
-  const statusMap = {
-    'active': '✅ Attiva',
-    'completed': '✓ Completata',
-    'timeout': '⏱️ Scaduta',
-    'admin_terminated': '🛑 Terminata da admin'
-  };
-  
-  return statusMap[status] || status;
+function formatSessionStatus(status, locale = DEFAULT_LOCALE) {
+  return i18n.getCatalogue(locale).sessionStatus[status] || status;
+}
+
+/**
+ * Formatta il contrassegno della classe di priorità di un utente in coda
+ * @param {String} priority - Classe di priorità
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Contrassegno da accodare al nome, vuoto per la classe normale
+ */
+function formatPriorityBadge(priority, locale = DEFAULT_LOCALE) {
+  return priority && priority !== 'normal' ? ` (${formatPriority(priority, locale)})` : '';
+}
+
+/**
+ * Formatta l'etichetta di una classe di priorità in coda
+ * @param {String} priority - Classe di priorità (critical, accessibility, normal)
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Etichetta della classe
+ */
+function formatPriority(priority, locale = DEFAULT_LOCALE) {
+  return i18n.getCatalogue(locale).priorities[priority] || priority;
 }
 
 /**
  * Genera un messaggio di stato formattato
  * @param {Object} status - Oggetto stato del sistema
+ * @param {Number} userId - ID dell'utente a cui mostrare la propria posizione in coda (opzionale)
+ * @param {String} locale - Lingua del messaggio
  * @returns {String} - Messaggio formattato
  */
-function formatStatusMessage(status) {
-  let message = `📊 *Stato attuale del sistema*\n`;
-  message += `🔌 Slot occupati: *${status.slots_occupied}/${status.total_slots}*\n`;
+function formatStatusMessage(status, userId = null, locale = DEFAULT_LOCALE) {
+  let message = `${t(locale, 'status.title', { station: status.station_name })}\n`;
+  if (status.station_address) {
+    message += `📍 ${status.station_address}\n`;
+  }
+  message += `${t(locale, 'status.occupied', { occupied: status.slots_occupied, total: status.total_slots })}\n`;
   
   if (status.active_sessions.length > 0) {
-    message += `\n⚡ *Utenti attualmente in ricarica:*\n`;
+    message += `\n${t(locale, 'status.charging')}\n`;
     status.active_sessions.forEach((session, index) => {
-      message += `${index + 1}. @${session.username} (⏱️ termina tra *${session.remaining_minutes} min*)\n`;
+      message += `${t(locale, 'status.chargingEntry', {
+        index: index + 1,
+        username: session.username,
+        slot: session.slot_number,
+        minutes: session.remaining_minutes
+      })}\n`;
     });
   } else {
-    message += `\n✨ *Nessun utente attualmente in ricarica.*\n`;
+    message += `\n${t(locale, 'status.noCharging')}\n`;
   }
   
   message += `\n`;
   
   if (status.queue.length > 0) {
-    message += `👥 Utenti in attesa: *${status.queue.length}*\n`;
-    message += `⏱️ Tempo medio di attesa stimato: *${estimateWaitTime(status)} minuti*\n`;
-    
+    message += `${t(locale, 'status.waiting', { count: status.queue.length })}\n`;
+  
+    if (status.wait_estimate) {
+      message += `${t(locale, 'status.estimatedWait', { wait: formatWaitEstimate(status.wait_estimate, locale) })}\n`;
+    }
+  
+    const estimates = status.queue_estimates || [];
+    const estimateOf = user => estimates.find(estimate => estimate.telegram_id === user.telegram_id && estimate.eta_minutes !== null);
+  
     if (status.queue.length <= 3) {
-      message += `\n🔜 *Prossimi in coda:*\n`;
-      status.queue.forEach((user, index) => {
-        message += `${index + 1}. @${user.username}\n`;
+      message += `\n${t(locale, 'status.next')}\n`;
+      status.queue.forEach(user => {
+        const estimate = estimateOf(user);
+        const badge = formatPriorityBadge(user.priority, locale);
+  
+        if (estimate) {
+          message += `${t(locale, 'status.nextEntry', {
+            position: user.position,
+            username: user.username,
+            badge,
+            wait: formatWaitEstimate(estimate, locale)
+          })}\n`;
+        } else {
+          message += `${user.position}. @${user.username}${badge}\n`;
+        }
       });
     }
-    
-    message += `\nSei in coda? Per rinunciare al tuo turno, usa */cancella*.`;
+  
+    const ownEntry = userId ? status.queue.find(user => user.telegram_id === userId) : null;
+  
+    if (ownEntry) {
+      const ownEstimate = estimateOf(ownEntry);
+      message += `\n${t(locale, 'status.ownPosition', { position: ownEntry.position })}`;
+      if (ownEstimate) {
+        message += `\n${t(locale, 'wait.expected', { wait: formatWaitEstimate(ownEstimate, locale) })}`;
+      }
+    } else {
+      message += `\n${t(locale, 'status.cancelHint')}`;
+    }
   } else {
-    message += `✅ *Nessun utente in coda.*\n`;
-    message += `\nVuoi ricaricare? Usa */prenota* per iniziare.`;
+    message += `${t(locale, 'status.emptyQueue')}\n`;
+    message += `\n${t(locale, 'status.bookHint')}`;
   }
   
   return message;
 }
 
 /**
- * Genera un messaggio di aiuto formattato
- * @param {Boolean} isAdmin - Indica se l'utente è admin
+ * Genera un riepilogo dello stato di tutte le stazioni
+ * @param {Array} statuses - Array di oggetti stato, uno per stazione
+ * @param {String} locale - Lingua del messaggio
  * @returns {String} - Messaggio formattato
  */
-function formatHelpMessage(isAdmin = false) {
-  let message = `
-🔋 *Guida a Green-Charge* 🔋
+function formatStationsOverviewMessage(statuses, locale = DEFAULT_LOCALE) {
+  let message = `${t(locale, 'overview.title')}\n\n`;
+  
+  statuses.forEach((status, index) => {
+    const icon = status.slots_available > 0 ? '🟢' : '🔴';
+    message += `${icon} *${index + 1}. ${status.station_name}*\n`;
+    message += `   ${t(locale, 'status.occupied', { occupied: status.slots_occupied, total: status.total_slots })}`;
+    if (status.queue_length > 0) {
+      message += t(locale, 'overview.queued', { count: status.queue_length });
+    }
+    message += `\n`;
+  });
+  
+  message += `\n${t(locale, 'overview.hint')}`;
+  
+  return message;
+}
 
-*Come ricaricare il tuo veicolo:*
+/**
+ * Protegge i caratteri speciali del Markdown di Telegram (es. l'underscore negli username)
+ * @param {String} text - Testo da proteggere
+ * @returns {String} - Testo con i caratteri speciali preceduti da un backslash
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/([_*`[])/g, '\\$1');
+}
 
-1️⃣ Usa */prenota* per richiedere una colonnina
-   • Se c'è uno slot libero, riceverai l'OK per procedere
-   • Se tutte le colonnine sono occupate, verrai messo in coda
+/**
+ * Genera il messaggio di stato fissato nel gruppo: per ogni stazione gli slot
+ * (occupati con il tempo rimanente, riservati o liberi) e la coda
+ * @param {Array} statuses - Array di oggetti stato, uno per stazione
+ * @param {String} locale - Lingua del messaggio
+ * @param {Date} updatedAt - Momento dell'aggiornamento
+ * @returns {String} - Messaggio formattato
+ */
+function formatStatusBoardMessage(statuses, locale = DEFAULT_LOCALE, updatedAt = new Date()) {
+  let message = `${t(locale, 'statusBoard.title')}\n`;
+  
+  statuses.forEach(status => {
+    const sessionsBySlot = new Map(status.active_sessions.map(session => [session.slot_number, session]));
+    // Slot trattenuti per una prenotazione o per il primo in coda, senza una sessione
+    let reserved = Math.max(0, status.slots_occupied - status.active_sessions.length);
+    
+    message += `\n${t(locale, 'statusBoard.station', {
+      station: status.station_name,
+      occupied: status.slots_occupied,
+      total: status.total_slots
+    })}\n`;
+    
+    for (let slot = 1; slot <= status.total_slots; slot++) {
+      const session = sessionsBySlot.get(slot);
+      
+      if (session) {
+        message += `${t(locale, session.remaining_minutes > 0 ? 'statusBoard.slotCharging' : 'statusBoard.slotOverdue', {
+          slot,
+          username: escapeMarkdown(session.username),
+          minutes: session.remaining_minutes
+        })}\n`;
+      } else if (reserved > 0) {
+        reserved--;
+        message += `${t(locale, 'statusBoard.slotReserved', { slot })}\n`;
+      } else {
+        message += `${t(locale, 'statusBoard.slotFree', { slot })}\n`;
+      }
+    }
+    
+    if (status.queue.length > 0) {
+      const users = status.queue
+        .map(user => `${user.position}. @${escapeMarkdown(user.username)}${formatPriorityBadge(user.priority, locale)}`)
+        .join(', ');
+      message += `${t(locale, 'statusBoard.queue', { count: status.queue.length, users })}\n`;
+    } else {
+      message += `${t(locale, 'statusBoard.emptyQueue')}\n`;
+    }
+  });
+  
+  message += `\n${t(locale, 'statusBoard.updated', { time: formatTime(updatedAt, locale) })}`;
+  
+  return message;
+}
 
-2️⃣ Quando arriva il tuo turno:
-   • Vai alla colonnina e attivala tramite l'app
-   • Conferma l'inizio con */iniziato*
-   • *Hai 5 minuti* per iniziare, altrimenti perderai il turno
+/**
+ * Genera l'elenco delle stazioni disponibili
+ * @param {Array} stations - Array di stazioni
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Messaggio formattato
+ */
+function formatStationListMessage(stations, locale = DEFAULT_LOCALE) {
+  let message = `${t(locale, 'stations.title')}\n\n`;
+  
+  stations.forEach((station, index) => {
+    message += `*${index + 1}. ${station.name}*\n`;
+    if (station.address) {
+      message += `   📍 ${station.address}\n`;
+    }
+    message += `   ${t(locale, 'stations.slots', { total: station.total_slots, available: station.slots_available })}\n`;
+  });
+  
+  message += `\n${t(locale, 'stations.hint')}`;
+  
+  return message;
+}
 
-3️⃣ Durante la ricarica:
-   • Hai *30 minuti* massimo a disposizione
-   • Riceverai un promemoria 5 minuti prima della scadenza
+// Icone delle unità di misura dei parametri (i tempi usano ⏱️)
+const SETTING_UNIT_ICONS = {
+  '€': '💶',
+  ricariche: '🔋',
+  richiami: '🟨',
+  giorni: '📅'
+};
 
-4️⃣ Al termine:
-   • Completa la ricarica e scollega il veicolo
-   • Conferma con */terminato* per liberare lo slot
+/**
+ * Genera l'elenco dei parametri modificabili
+ * @param {Array} settings - Array di parametri (key, description, value, default, min, max, unit, overridden)
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Messaggio formattato
+ */
+function formatSettingsMessage(settings, locale = DEFAULT_LOCALE) {
+  let message = `${t(locale, 'settings.title')}\n\n`;
+  
+  settings.forEach(setting => {
+    message += `\`${setting.key}\` - ${setting.description}\n`;
+    const icon = SETTING_UNIT_ICONS[setting.unit] || '⏱️';
+    message += `   ${icon} *${setting.value} ${setting.unit}*`;
+    message += setting.overridden
+      ? t(locale, 'settings.overridden', { value: setting.default })
+      : t(locale, 'settings.default');
+    message += `${t(locale, 'settings.range', { min: setting.min, max: setting.max })}\n`;
+  });
+  
+  message += `\n${t(locale, 'settings.footer')}`;
+  
+  return message;
+}
 
-*Altri comandi utili:*
+/**
+ * Formatta il risultato del controllo di coerenza dei contatori
+ * @param {Object} report - Risultato di consistencyHandler.checkConsistency
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Messaggio formattato
+ */
+function formatConsistencyReport(report, locale = DEFAULT_LOCALE) {
+  let message = `${t(locale, report.dryRun ? 'consistency.titleDryRun' : 'consistency.title')}\n\n`;
+  
+  if (report.issues === 0) {
+    return message + t(locale, 'consistency.ok');
+  }
+  
+  report.stations.forEach(station => {
+    if (station.differences.length === 0 && !station.queue_gaps) {
+      return;
+    }
+  
+    message += `🏢 *${station.station_name}*\n`;
+    station.differences.forEach(difference => {
+      message += `   \`${difference.field}\`: ${difference.actual} → *${difference.expected}*\n`;
+    });
+    if (station.queue_gaps) {
+      message += `   ${t(locale, 'consistency.queueGaps')}\n`;
+    }
+    message += `\n`;
+  });
+  
+  message += t(locale, report.dryRun ? 'consistency.dryRunFooter' : 'consistency.fixed');
+  
+  return message;
+}
 
-📝 */prenota* - Richiedi una colonnina o mettiti in coda
-❌ */cancella* - Rinuncia al tuo posto in coda
-📊 */status* - Verifica quali colonnine sono libere/occupate 
-❓ */help* - Visualizza questa guida
-📍 */dove_sono* - Mostra l'ID della chat attuale
+/**
+ * Descrive l'esito di una ricarica conclusa
+ * @param {String} status - Stato della sessione conclusa
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Esito formattato
+ */
+function formatOutcome(status, locale = DEFAULT_LOCALE) {
+  return i18n.getCatalogue(locale).outcomes[status] || status;
+}
 
-*Consigli:*
-- Ricevuta la notifica, hai 5 minuti per iniziare
-- Se cambi idea o hai un imprevisto, usa */cancella* per liberare il posto
-- Rispetta il tempo massimo di 30 minuti per la cortesia di tutti
-`;
+/**
+ * Formatta una pagina dello storico ricariche di un utente
+ * @param {Object} history - Risultato di userHandler.getUserHistory
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Messaggio formattato
+ */
+function formatHistoryMessage(history, locale = DEFAULT_LOCALE) {
+  if (history.total === 0) {
+    return `${t(locale, 'history.title')}\n\n${t(locale, 'history.empty')}`;
+  }
+  
+  let message = `${t(locale, 'history.titlePaged', { page: history.page, totalPages: history.totalPages })}\n\n`;
+  
+  history.sessions.forEach(session => {
+    const minutes = Math.round((new Date(session.end_time) - new Date(session.start_time)) / 60000);
+    const stationName = session.station && session.station.name ? `${session.station.name}, ` : '';
+  
+    message += `${t(locale, 'history.entry', {
+      date: formatDateTime(session.start_time, locale),
+      station: stationName,
+      slot: session.slot_number
+    })}\n`;
+    message += `   ⏱️ ${formatMinutes(minutes, locale)} - ${formatOutcome(session.status, locale)}\n`;
+  
+    if (session.energy_kwh !== null && session.energy_kwh !== undefined) {
+      message += `   🔋 ${formatEnergy(session.energy_kwh, locale)}`;
+      message += session.cost !== null && session.cost !== undefined ? ` - 💶 ${formatCost(session.cost, locale)}\n` : `\n`;
+    }
+  });
+  
+  message += `\n${t(locale, 'history.total', { count: history.total })}`;
+  
+  return message;
+}
 
-  // Aggiungi le istruzioni per l'admin se l'utente è admin
-  if (isAdmin) {
-    message += `
+/**
+ * Formatta le statistiche mensili di un utente
+ * @param {Object} stats - Risultato di userHandler.getUserStatistics
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Messaggio formattato
+ */
+function formatStatisticsMessage(stats, locale = DEFAULT_LOCALE) {
+  let message = `${t(locale, 'statistics.title', { month: i18n.formatMonth(stats.month.start, locale) })}\n\n`;
+  
+  if (stats.month.count === 0) {
+    message += `${t(locale, 'statistics.empty')}\n`;
+  } else {
+    message += `${t(locale, 'statistics.count', { count: stats.month.count })}\n`;
+    message += `${t(locale, 'statistics.totalTime', { duration: formatMinutes(stats.month.minutes, locale) })}\n`;
+    message += `${t(locale, 'statistics.average', {
+      duration: formatMinutes(Math.round(stats.month.minutes / stats.month.count), locale)
+    })}\n\n`;
+  
+    message += `${t(locale, 'statistics.outcomes')}\n`;
+    Object.keys(i18n.getCatalogue(locale).outcomes).forEach(status => {
+      if (stats.month.outcomes[status] > 0) {
+        message += `${formatOutcome(status, locale)}: ${stats.month.outcomes[status]}\n`;
+      }
+    });
+  
+    message += `\n${t(locale, 'statistics.weeks')}\n`;
+    stats.weeks.forEach(week => {
+      message += `${t(locale, 'statistics.week', {
+        date: i18n.formatDate(week.start, locale),
+        charges: t(locale, 'units.charges', { count: week.count }),
+        duration: formatMinutes(week.minutes, locale)
+      })}\n`;
+    });
+  }
+  
+  if (stats.user) {
+    message += `\n${t(locale, 'statistics.sinceJoin')}\n`;
+    message += `🔋 ${t(locale, 'units.charges', { count: stats.user.total_charges })}, ${formatMinutes(stats.user.total_time, locale)}\n`;
+  
+    if (stats.user.last_charge) {
+      message += `${t(locale, 'statistics.lastCharge', { date: formatDateTime(stats.user.last_charge, locale) })}\n`;
+    }
+  }
+  
+  return message;
+}
 
-🔧 *COMANDI AMMINISTRATORE* 🔧
+/**
+ * Formatta il riepilogo di un report mensile di fatturazione
+ * @param {Object} report - Risultato di billingHandler.getMonthlyReport
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Messaggio formattato
+ */
+function formatMonthlyReportMessage(report, locale = DEFAULT_LOCALE) {
+  let message = `${t(locale, 'report.title', { month: report.month })}\n\n`;
+  
+  if (report.users.length === 0) {
+    return message + t(locale, 'report.empty');
+  }
+  
+  message += `${t(locale, 'report.charges', { count: report.totals.charges, duration: formatMinutes(report.totals.minutes, locale) })}\n`;
+  message += `${t(locale, 'report.energy', { energy: formatEnergy(report.totals.energy_kwh, locale) })}\n`;
+  message += `${t(locale, 'report.total', { cost: formatCost(report.totals.cost, locale) })}\n`;
+  
+  if (report.totals.missing_energy > 0) {
+    message += `${t(locale, 'report.missingEnergy', { count: report.totals.missing_energy })}\n`;
+  }
+  
+  message += `\n${t(locale, 'report.users', { count: report.users.length })}\n`;
+  report.users.slice(0, 10).forEach(row => {
+    message += `${t(locale, 'report.userRow', {
+      username: row.username,
+      charges: t(locale, 'units.charges', { count: row.charges }),
+      energy: formatEnergy(row.energy_kwh, locale),
+      cost: formatCost(row.cost, locale)
+    })}\n`;
+  });
+  
+  if (report.users.length > 10) {
+    message += `${t(locale, 'report.more', { count: report.users.length - 10 })}\n`;
+  }
+  
+  message += `\n${t(locale, 'report.csv')}`;
+  
+  return message;
+}
 
-*Gestione Sistema:*
-📊 */admin_status* - Stato dettagliato del sistema
-📈 */admin_stats* - Statistiche del sistema
-🔄 */admin_set_max_slots [numero]* - Imposta il numero massimo di slot
-🔄 */admin_set_charge_time [minuti]* - Imposta il tempo massimo di ricarica
-🔄 */admin_set_reminder_time [minuti]* - Imposta il tempo di promemoria
-🗑️ */admin_reset_system* - Resetta completamente il sistema (richiede conferma)
+/**
+ * Formatta l'elenco dei ruoli assegnati
+ * @param {Array} users - Utenti con un ruolo diverso da quello base
+ * @param {Number} ownerId - ID Telegram dell'owner configurato
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Messaggio formattato
+ */
+function formatRolesMessage(users, ownerId, locale = DEFAULT_LOCALE) {
+  const labels = i18n.getCatalogue(locale).roles.labels;
+  let message = `${t(locale, 'roles.title')}\n\n`;
+  
+  if (ownerId) {
+    message += `${t(locale, 'roles.owner', { label: labels.owner, id: ownerId })}\n`;
+  }
+  
+  users.filter(user => user.telegram_id !== ownerId).forEach(user => {
+    message += `${labels[user.role] || user.role}: @${user.username} (ID: ${user.telegram_id})\n`;
+  });
+  
+  message += `\n${t(locale, 'roles.permissions')}`;
+  
+  return message;
+}
 
-*Gestione Utenti:*
-⏹️ */admin_reset_slot @username* - Termina forzatamente la sessione
-🚫 */admin_remove_queue @username* - Rimuove un utente dalla coda
-📣 */admin_notify_all [messaggio]* - Invia un messaggio a tutti
+/**
+ * Formatta l'elenco delle richieste urgenti recenti per la verifica dell'admin
+ * @param {Object} urgent - Risultato di queueHandler.getUrgentRequests
+ * @param {Number} days - Giorni considerati
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Messaggio formattato
+ */
+function formatUrgentRequestsMessage(urgent, days, locale = DEFAULT_LOCALE) {
+  let message = `${t(locale, 'urgent.title', { count: days })}\n\n`;
+  
+  if (urgent.requests.length === 0) {
+    return message + t(locale, 'urgent.empty');
+  }
+  
+  message += `${t(locale, 'urgent.perUser')}\n`;
+  urgent.perUser.forEach(row => {
+    message += `- @${row.username}: ${row.count}${row.demoted > 0 ? t(locale, 'urgent.demoted', { count: row.demoted }) : ''}\n`;
+  });
+  
+  message += `\n${t(locale, 'urgent.latest')}\n`;
+  urgent.requests.slice(0, 15).forEach(request => {
+    const stationName = request.station && request.station.name ? ` - ${request.station.name}` : '';
+    message += `📅 ${formatDateTime(request.createdAt, locale)} @${request.username}${stationName}${request.demoted ? ' ⬇️' : ''}\n`;
+    message += `   _${request.reason.replace(/[_*`[]/g, '')}_\n`;
+  });
+  
+  message += `\n${t(locale, 'urgent.hint')}`;
+  
+  return message;
+}
+
+/**
+ * Descrive il motivo di un richiamo
+ * @param {String} reason - Motivo del richiamo (no_show, overstay)
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Motivo formattato
+ */
+function formatStrikeReason(reason, locale = DEFAULT_LOCALE) {
+  return i18n.getCatalogue(locale).strikes.reasons[reason] || reason;
+}
 
-*Diagnostica:*
-🔍 */dbtest* - Verifica lo stato del database
-🔄 */admin_update_commands* - Aggiorna i comandi del bot
-`;
+/**
+ * Genera il messaggio che avvisa l'utente di un richiamo ricevuto
+ * @param {String} username - Username dell'utente
+ * @param {Object} result - Risultato di strikeHandler.addStrike
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Messaggio formattato
+ */
+function formatStrikeMessage(username, result, locale = DEFAULT_LOCALE) {
+  let message = `${t(locale, 'strikes.received.title')}\n\n`;
+  message += `${t(locale, 'strikes.received.body', { username, reason: formatStrikeReason(result.strike.reason, locale) })}\n\n`;
+  
+  if (result.suspendedUntil) {
+    message += t(locale, 'strikes.received.suspended', {
+      count: result.activeStrikes,
+      date: formatDateTime(result.suspendedUntil, locale)
+    });
+  } else if (result.threshold > 0) {
+    message += t(locale, 'strikes.received.threshold', { count: result.activeStrikes, threshold: result.threshold });
+  } else {
+    message += t(locale, 'strikes.received.count', { count: result.activeStrikes });
   }
+  
+  return message;
+}
 
+/**
+ * Formatta l'elenco degli utenti sospesi o con richiami
+ * @param {Array} flagged - Risultato di strikeHandler.getFlaggedUsers
+ * @param {Object} settings - Valori correnti dei parametri
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Messaggio formattato
+ */
+function formatFlaggedUsersMessage(flagged, settings, locale = DEFAULT_LOCALE) {
+  let message = `${t(locale, 'strikes.flagged.title')}\n\n`;
+  
+  if (flagged.length === 0) {
+    message += `${t(locale, 'strikes.flagged.empty')}\n`;
+  }
+  
+  flagged.forEach(({ user, activeStrikes }) => {
+    message += `- @${user.username}: ${t(locale, 'units.strikes', { count: activeStrikes })}`;
+    if (user.role === 'banned') {
+      message += t(locale, 'strikes.flagged.banned');
+    } else if (user.suspended_until && new Date(user.suspended_until) > new Date()) {
+      message += t(locale, 'strikes.flagged.suspended', { date: formatDateTime(user.suspended_until, locale) });
+    }
+    message += `\n`;
+  });
+  
+  message += `\n${t(locale, 'strikes.flagged.rules', {
+    suspension: t(locale, 'units.days', { count: settings.suspension_days }),
+    strikes: t(locale, 'units.strikes', { count: settings.strikes_to_suspend }),
+    window: t(locale, 'units.days', { count: settings.strike_window_days })
+  })}`;
+  message += settings.strikes_to_suspend > 0 ? `.\n` : `${t(locale, 'strikes.flagged.disabled')}.\n`;
+  message += t(locale, 'strikes.flagged.hint');
+  
   return message;
 }
 
 /**
- * Genera un messaggio di aiuto per amministratori
+ * Formatta i richiami di un utente
+ * @param {Object} result - Risultato di strikeHandler.getUserStrikes
+ * @param {String} locale - Lingua del messaggio
  * @returns {String} - Messaggio formattato
  */
-function formatAdminHelpMessage() {
-  return formatHelpMessage(true);
+function formatUserStrikesMessage({ user, strikes, activeStrikes }, locale = DEFAULT_LOCALE) {
+  const reason = user.suspension_reason
+    ? t(locale, 'strikes.user.reason', { reason: user.suspension_reason.replace(/[_*`[]/g, '') })
+    : '';
+  let message = `${t(locale, 'strikes.user.title', { username: user.username })}\n\n`;
+  
+  if (user.role === 'banned') {
+    message += `${t(locale, 'strikes.user.banned', { reason })}\n\n`;
+  } else if (user.suspended_until && new Date(user.suspended_until) > new Date()) {
+    message += `${t(locale, 'strikes.user.suspended', { date: formatDateTime(user.suspended_until, locale), reason })}\n\n`;
+  }
+  
+  message += `${t(locale, 'strikes.user.active', { count: activeStrikes })}\n\n`;
+  
+  if (strikes.length === 0) {
+    return message + t(locale, 'strikes.user.empty');
+  }
+  
+  strikes.forEach(strike => {
+    const stationName = strike.station && strike.station.name ? ` - ${strike.station.name}` : '';
+    message += `📅 ${formatDateTime(strike.createdAt, locale)} ${formatStrikeReason(strike.reason, locale)}${stationName}\n`;
+  });
+  
+  message += `\n${t(locale, 'strikes.user.hint', { username: user.username })}`;
+  
+  return message;
 }
 
 /**
- * Stima il tempo di attesa medio basato sullo stato attuale
- * @param {Object} status - Oggetto stato del sistema
- * @returns {Number} - Tempo di attesa stimato in minuti
+ * Formatta l'elenco delle chiavi API attive
+ * @param {Array} apiKeys - Chiavi attive
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Messaggio formattato
  */
-function estimateWaitTime(status) {
-  if (status.queue.length === 0) {
-    return 0;
+function formatApiKeysMessage(apiKeys, locale = DEFAULT_LOCALE) {
+  let message = `${t(locale, 'apiKeys.title')}\n\n`;
+  
+  if (apiKeys.length === 0) {
+    message += `${t(locale, 'apiKeys.empty')}\n`;
   }
   
-  // Se ci sono slot liberi, il tempo di attesa è 0
-  if (status.slots_available > 0) {
-    return 0;
+  apiKeys.forEach(apiKey => {
+    message += `- \`${apiKey.key_prefix}\` *${apiKey.name}* (${apiKey.scope})`;
+    message += apiKey.last_used_at
+      ? `${t(locale, 'apiKeys.lastUsed', { date: formatDateTime(apiKey.last_used_at, locale) })}\n`
+      : `${t(locale, 'apiKeys.neverUsed')}\n`;
+  });
+  
+  message += `\n${t(locale, 'apiKeys.hint')}`;
+  
+  return message;
+}
+
+/**
+ * Formatta l'elenco dei webhook registrati
+ * @param {Array} webhooks - Webhook in ordine di creazione
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Messaggio formattato
+ */
+function formatWebhooksMessage(webhooks, locale = DEFAULT_LOCALE) {
+  let message = `${t(locale, 'webhooks.title')}\n\n`;
+  
+  if (webhooks.length === 0) {
+    message += `${t(locale, 'webhooks.empty')}\n`;
   }
   
-  // Calcola il tempo medio rimanente per le sessioni attive
-  let totalRemainingTime = 0;
+  webhooks.forEach((webhook, index) => {
+    message += `*${index + 1}.* \`${webhook.url}\`\n`;
+    message += `   ${t(locale, 'webhooks.events', {
+      events: webhook.events.length > 0 ? webhook.events.join(', ') : t(locale, 'webhooks.allEvents')
+    })}\n`;
+    message += webhook.last_delivery_at
+      ? `   ${t(locale, 'webhooks.lastDelivery', { date: formatDateTime(webhook.last_delivery_at, locale) })}`
+      : `   ${t(locale, 'webhooks.noDelivery')}`;
+    message += webhook.failure_count > 0 ? `${t(locale, 'webhooks.failures', { count: webhook.failure_count })}\n` : `\n`;
+  });
   
-  if (status.active_sessions.length > 0) {
-    status.active_sessions.forEach(session => {
-      totalRemainingTime += session.remaining_minutes;
+  message += `\n${t(locale, 'webhooks.hint')}`;
+  
+  return message;
+}
+
+// Icone dello stato di una consegna
+const DELIVERY_STATUS_ICONS = {
+  pending: '⏳',
+  delivered: '✅',
+  failed: '❌'
+};
+
+/**
+ * Formatta il registro delle ultime consegne dei webhook
+ * @param {Array} deliveries - Consegne dalla più recente, con il webhook popolato
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Messaggio formattato
+ */
+function formatWebhookDeliveriesMessage(deliveries, locale = DEFAULT_LOCALE) {
+  let message = `${t(locale, 'deliveries.title')}\n\n`;
+  
+  if (deliveries.length === 0) {
+    return message + t(locale, 'deliveries.empty');
+  }
+  
+  deliveries.forEach(delivery => {
+    const url = delivery.webhook ? delivery.webhook.url : t(locale, 'deliveries.removed');
+    message += `${DELIVERY_STATUS_ICONS[delivery.status] || ''} ${formatDateTime(delivery.createdAt, locale)} *${delivery.event}* → \`${url}\`\n`;
+    message += `   ${t(locale, 'deliveries.attempts', { count: delivery.attempts })}`;
+  
+    if (delivery.status === 'delivered') {
+      message += ` - HTTP ${delivery.response_status}\n`;
+    } else {
+      message += delivery.error ? ` - ${delivery.error.replace(/[_*`[]/g, '')}` : '';
+      message += delivery.status === 'pending'
+        ? `${t(locale, 'deliveries.nextAttempt', { time: formatTime(delivery.next_attempt_at, locale) })}\n`
+        : `\n`;
+    }
+  });
+  
+  return message;
+}
+
+/**
+ * Formatta lo stato delle colonnine OCPP
+ * @param {Object} overview - Risultato di ocppHandler.getOcppOverview
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Messaggio formattato
+ */
+function formatOcppMessage({ chargePoints, transactions }, locale = DEFAULT_LOCALE) {
+  let message = `${t(locale, 'ocpp.title')}\n\n`;
+  
+  if (chargePoints.length === 0) {
+    message += `${t(locale, 'ocpp.empty')}\n`;
+  }
+  
+  chargePoints.forEach(chargePoint => {
+    message += `${chargePoint.connected ? '🟢' : '🔴'} \`${chargePoint.charge_point_id}\``;
+    message += chargePoint.station
+      ? ` - 🏢 *${chargePoint.station.name}*\n`
+      : `${t(locale, 'ocpp.unlinked')}\n`;
+  
+    if (chargePoint.last_heartbeat_at) {
+      message += `   ${t(locale, 'ocpp.lastSeen', { date: formatDateTime(chargePoint.last_heartbeat_at, locale) })}\n`;
+    }
+  
+    chargePoint.connectors.forEach(connector => {
+      const transaction = transactions.find(item =>
+        item.charge_point.equals(chargePoint._id) && item.connector_id === connector.connector_id);
+  
+      message += `   ${t(locale, 'ocpp.connector', {
+        connector: connector.connector_id,
+        slot: connector.slot_number,
+        status: connector.status
+      })}`;
+      message += connector.error_code ? ` (${connector.error_code})` : '';
+  
+      if (transaction) {
+        message += transaction.session ? ` - @${transaction.session.username}` : t(locale, 'ocpp.unattributed');
+        message += transaction.power !== null
+          ? ` (${i18n.formatNumber(transaction.power / 1000, locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 })} kW)`
+          : '';
+      }
+  
+      message += `\n`;
     });
-    
-    const avgRemainingTime = Math.round(totalRemainingTime / status.active_sessions.length);
-    
-    // Stima basata sulla posizione in coda e sul tempo medio rimanente
-    // Assumiamo che ci sia una distribuzione equa dei tempi di fine
-    const queuePosition = Math.min(status.queue.length, 3); // Considera al massimo le prime 3 posizioni
-    return Math.round(avgRemainingTime * queuePosition / status.active_sessions.length) + 5; // +5 minuti di buffer
+  });
+  
+  message += `\n${t(locale, 'ocpp.hint')}`;
+  
+  return message;
+}
+
+// Icone degli stati degli slot comunicati dai driver delle colonnine
+const SLOT_STATE_ICONS = {
+  available: '🟢',
+  occupied: '🚗',
+  charging: '⚡',
+  faulted: '🛠️',
+  unavailable: '⛔'
+};
+
+/**
+ * Formatta lo stato degli slot rilevato dai driver delle colonnine
+ * @param {Object} overview - Risultato di chargerHandler.getSlotStates
+ * @param {Array} drivers - Nomi dei driver attivi
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Messaggio formattato
+ */
+function formatChargersMessage({ states, sessions, mismatches }, drivers, locale = DEFAULT_LOCALE) {
+  let message = `${t(locale, 'chargers.title')}\n`;
+  message += `${t(locale, 'chargers.drivers', { drivers: drivers.length > 0 ? drivers.join(', ') : t(locale, 'chargers.noDrivers') })}\n\n`;
+  
+  if (states.length === 0) {
+    message += `${t(locale, 'chargers.empty')}\n`;
   }
   
-  // Fallback: stima base se non ci sono sessioni attive (improbabile)
-  return 15 * Math.min(status.queue.length, 3);
+  states.forEach(state => {
+    const session = sessions.find(item =>
+      state.station && item.station.equals(state.station._id) && item.slot_number === state.slot_number);
+  
+    message += `${SLOT_STATE_ICONS[state.status] || ''} ${t(locale, 'chargers.slot', {
+      station: state.station ? state.station.name : t(locale, 'chargers.removedStation'),
+      slot: state.slot_number,
+      status: state.detail || state.status,
+      driver: state.driver
+    })}`;
+  
+    if (session) {
+      message += ` - @${session.username}`;
+    } else if (state.ghost) {
+      message += t(locale, 'chargers.ghost', { time: formatTime(state.occupied_since, locale) });
+    }
+  
+    if (state.status === 'charging' && state.energy_wh !== null) {
+      message += ` - ${i18n.formatNumber(state.energy_wh / 1000, locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 })} kWh`;
+    }
+  
+    message += `\n`;
+  });
+  
+  if (mismatches.length > 0) {
+    message += `\n${t(locale, 'chargers.mismatches')}\n`;
+    mismatches.forEach(session => {
+      message += `${t(locale, 'chargers.mismatch', {
+        username: session.username,
+        station: session.station ? session.station.name : '',
+        slot: session.slot_number,
+        time: formatTime(session.start_time, locale)
+      })}\n`;
+    });
+  }
+  
+  message += `\n${t(locale, drivers.includes('simulator') ? 'chargers.hintSimulator' : 'chargers.hint')}`;
+  
+  return message;
 }
 
 /**
- * Formatta un messaggio per l'inizio della ricarica
- * @param {Object} session - Oggetto sessione
+ * Formatta l'avviso per una sessione avviata su uno slot in cui la colonnina non rileva nessun veicolo
+ * @param {Object} session - Sessione attiva
+ * @param {Number} graceTime - Minuti trascorsi dall'inizio della sessione
+ * @param {String} locale - Lingua del messaggio
  * @returns {String} - Messaggio formattato
  */
-function formatSessionStartMessage(session) {
-  return `
-✅ *Ricarica iniziata con successo!*
+function formatChargerMismatchMessage(session, graceTime, locale = DEFAULT_LOCALE) {
+  return t(locale, 'chargers.mismatchNotice', {
+    username: session.username,
+    slot: session.slot_number,
+    duration: formatMinutes(graceTime, locale)
+  });
+}
+
+/**
+ * Formatta l'avviso all'amministratore per uno slot occupato senza una sessione del bot
+ * @param {Object} station - Stazione dello slot
+ * @param {Object} state - Stato dello slot
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Messaggio formattato
+ */
+function formatGhostSlotMessage(station, state, locale = DEFAULT_LOCALE) {
+  let message = `${t(locale, 'ghostSlot.title')}\n\n`;
+  message += `${t(locale, state.status === 'charging' ? 'ghostSlot.charging' : 'ghostSlot.occupied', {
+    slot: state.slot_number,
+    station: station ? station.name : t(locale, 'ghostSlot.removedStation'),
+    time: formatTime(state.occupied_since, locale)
+  })}\n`;
+  
+  if (state.rfid_tag) {
+    message += `${t(locale, 'ghostSlot.rfid', { tag: state.rfid_tag })}\n`;
+  }
+  
+  message += `\n${t(locale, 'ghostSlot.hint')}`;
+  
+  return message;
+}
+
+/**
+ * Riassume le differenze tra lo stato prima e dopo un evento del registro
+ * @param {Object} event - Evento del registro
+ * @returns {String} - Elenco dei campi modificati (campo: prima → dopo)
+ */
+function formatAuditChanges(event) {
+  if (!event.before || !event.after) {
+    return '';
+  }
+  
+  return Object.keys(event.after)
+    .filter(key => key in event.before && typeof event.after[key] !== 'object' && event.before[key] !== event.after[key])
+    .map(key => `${key.replace(/_/g, ' ')}: ${event.before[key]} → ${event.after[key]}`)
+    .join(', ');
+}
+
+/**
+ * Formatta gli eventi del registro delle azioni
+ * @param {Array} events - Eventi dal più recente, con la stazione popolata
+ * @param {Object} filter - { username, days } usati per la ricerca
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Messaggio formattato
+ */
+function formatAuditMessage(events, filter, locale = DEFAULT_LOCALE) {
+  const actions = i18n.getCatalogue(locale).audit.actions;
+  let message = t(locale, 'audit.title', { count: filter.days });
+  message += filter.username ? ` - @${filter.username}\n\n` : `\n\n`;
+  
+  if (events.length === 0) {
+    return message + t(locale, 'audit.empty');
+  }
+  
+  events.slice(0, 20).forEach(event => {
+    const actor = event.actor_id === null
+      ? t(locale, 'audit.system')
+      : (event.actor_id === event.target_id ? t(locale, 'audit.user') : `ID ${event.actor_id}`);
+    const target = event.target_username ? ` @${event.target_username}` : '';
+    const stationName = event.station && event.station.name ? ` - ${event.station.name}` : '';
+    const changes = formatAuditChanges(event);
+  
+    message += `📅 ${formatDateTime(event.createdAt, locale)} ${actions[event.action] || event.action.replace(/_/g, ' ')}${target}${stationName}\n`;
+    message += `   ${t(locale, 'audit.actor', { actor })}${changes ? ` - ${changes}` : ''}\n`;
+  });
+  
+  if (events.length > 20) {
+    message += `\n${t(locale, 'audit.more', { count: events.length - 20 })}`;
+  }
+  
+  message += `\n${t(locale, 'audit.csv')}`;
+  
+  return message;
+}
+
+/**
+ * Genera un messaggio per chiedere all'utente di scegliere una stazione
+ * @param {Array} stations - Array di stazioni
+ * @param {String} command - Comando da ripetere con la stazione (es. 'prenota')
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Messaggio formattato
+ */
+function formatStationChoiceMessage(stations, command, locale = DEFAULT_LOCALE) {
+  let message = `${t(locale, 'stationChoice.title')}\n\n`;
+  
+  stations.forEach((station, index) => {
+    message += `${index + 1}. *${station.name}*`;
+    if (station.address) {
+      message += ` - ${station.address}`;
+    }
+    message += `\n`;
+  });
+  
+  message += `\n${t(locale, 'stationChoice.hint', { command })}`;
+  
+  return message;
+}
+
+/**
+ * Genera un messaggio di aiuto formattato
+ * @param {Boolean} isAdmin - Indica se l'utente è admin
+ * @param {Object} settings - Valori correnti dei tempi (charge_time, reminder_time, queue_timeout)
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Messaggio formattato
+ */
+function formatHelpMessage(isAdmin = false, settings = {}, locale = DEFAULT_LOCALE) {
+  const chargeTime = settings.charge_time || 30;
+  const reminderTime = settings.reminder_time || 5;
+  const queueTimeout = settings.queue_timeout || 5;
+  
+  // Regole di equità attive (0 = disattivata)
+  const fairnessRules = [];
+  if (settings.max_daily_sessions) {
+    fairnessRules.push(t(locale, 'help.rules.dailySessions', { charges: t(locale, 'units.charges', { count: settings.max_daily_sessions }) }));
+  }
+  if (settings.max_weekly_minutes) {
+    fairnessRules.push(t(locale, 'help.rules.weeklyMinutes', { duration: formatMinutes(settings.max_weekly_minutes, locale) }));
+  }
+  if (settings.cooldown_time) {
+    fairnessRules.push(t(locale, 'help.rules.cooldown', { duration: formatMinutes(settings.cooldown_time, locale) }));
+  }
+  if (settings.strikes_to_suspend) {
+    fairnessRules.push(t(locale, settings.strike_overdue_time ? 'help.rules.strikesOverdue' : 'help.rules.strikes', {
+      overdue: formatMinutes(settings.strike_overdue_time, locale),
+      strikes: t(locale, 'units.strikes', { count: settings.strikes_to_suspend }),
+      window: t(locale, 'units.days', { count: settings.strike_window_days }),
+      suspension: t(locale, 'units.days', { count: settings.suspension_days })
+    }));
+  }
+  
+  let message = t(locale, 'help.user', {
+    chargeTime: formatMinutes(chargeTime, locale),
+    reminderTime: formatMinutes(reminderTime, locale),
+    queueTimeout: formatMinutes(queueTimeout, locale),
+    fairness: fairnessRules.length > 0 ? `\n${t(locale, 'help.fairness')}\n${fairnessRules.join('\n')}\n` : ''
+  });
+  
+  // Aggiungi le istruzioni per l'admin se l'utente è admin
+  if (isAdmin) {
+    message += t(locale, 'help.admin');
+  }
+  
+  return message;
+}
 
-⏱️ Hai iniziato alle: *${formatTime(session.start_time)}*
-⌛ Termine previsto: *${formatTime(session.end_time)}*
-⏳ Tempo massimo: *30 minuti*
+/**
+ * Genera un messaggio di aiuto per amministratori
+ * @param {Object} settings - Valori correnti dei tempi
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Messaggio formattato
+ */
+function formatAdminHelpMessage(settings = {}, locale = DEFAULT_LOCALE) {
+  return formatHelpMessage(true, settings, locale);
+}
 
-📱 *Cosa fare ora:*
-- Riceverai un promemoria 5 minuti prima della scadenza
-- Quando termini la ricarica, scollega il veicolo
-- Conferma con */terminato* per liberare lo slot
+/**
+ * Formatta una stima del tempo di attesa (waitTimeHandler.estimateWaits)
+ * @param {Object} estimate - { eta_minutes, min_minutes, max_minutes }
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Stima formattata (es. "tra circa 25 minuti (da 15 minuti a 40 minuti)")
+ */
+function formatWaitEstimate(estimate, locale = DEFAULT_LOCALE) {
+  if (estimate.max_minutes <= 0) {
+    return t(locale, 'wait.now');
+  }
+  
+  if (estimate.min_minutes === estimate.max_minutes) {
+    return t(locale, 'wait.about', { eta: formatMinutes(estimate.eta_minutes, locale) });
+  }
+  
+  return t(locale, 'wait.range', {
+    eta: formatMinutes(estimate.eta_minutes, locale),
+    min: formatMinutes(estimate.min_minutes, locale),
+    max: formatMinutes(estimate.max_minutes, locale)
+  });
+}
 
-⚠️ *Importante:* Se non confermi entro il tempo massimo, potresti ricevere notifiche di promemoria.
-`;
+/**
+ * Formatta un messaggio per l'inizio della ricarica
+ * @param {Object} session - Oggetto sessione
+ * @param {String} stationName - Nome della stazione (opzionale)
+ * @param {Number} reminderTime - Minuti di preavviso del promemoria
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Messaggio formattato
+ */
+function formatSessionStartMessage(session, stationName = null, reminderTime = 5, locale = DEFAULT_LOCALE) {
+  const maxMinutes = Math.round((new Date(session.end_time) - new Date(session.start_time)) / 60000);
+  const location = stationName
+    ? `${t(locale, 'session.location', { station: stationName, slot: session.slot_number })}\n`
+    : '';
+  
+  return t(locale, 'session.started', {
+    location,
+    start: formatTime(session.start_time, locale),
+    end: formatTime(session.end_time, locale),
+    duration: formatMinutes(maxMinutes, locale),
+    reminder: formatMinutes(reminderTime, locale)
+  });
 }
 
 /**
  * Formatta un messaggio per la fine della ricarica
  * @param {Object} result - Oggetto risultato con sessione e durata
+ * @param {String} locale - Lingua del messaggio
  * @returns {String} - Messaggio formattato
  */
-function formatSessionEndMessage(result) {
-  return `
-✅ *Ricarica terminata con successo!*
+function formatSessionEndMessage(result, locale = DEFAULT_LOCALE) {
+  const session = result.session;
+  let billing = '';
+  
+  if (session.energy_kwh !== null && session.energy_kwh !== undefined) {
+    billing += `${t(locale, 'session.energy', { energy: formatEnergy(session.energy_kwh, locale) })}\n`;
+  }
+  
+  if (session.cost !== null && session.cost !== undefined) {
+    billing += `${t(locale, 'session.cost', { cost: formatCost(session.cost, locale) })}\n`;
+  }
+  
+  if (session.energy_kwh === null || session.energy_kwh === undefined) {
+    billing += `${t(locale, 'session.energyHint')}\n`;
+  }
+  
+  return t(locale, 'session.ended', { duration: formatMinutes(result.durationMinutes, locale), billing });
+}
 
-⏱️ Durata totale: *${result.durationMinutes} minuti*
-🔋 Grazie per aver utilizzato Green-Charge!
+/**
+ * Formatta la conferma dell'energia registrata per una ricarica terminata
+ * @param {Object} session - Sessione aggiornata
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Messaggio formattato
+ */
+function formatEnergyRecordedMessage(session, locale = DEFAULT_LOCALE) {
+  let message = `${t(locale, 'energyRecorded.title')}\n\n`;
+  message += `${t(locale, 'energyRecorded.session', { date: formatDateTime(session.start_time, locale) })}\n`;
+  
+  if (session.meter_start !== null && session.meter_start !== undefined) {
+    message += `${t(locale, 'energyRecorded.meter', { start: session.meter_start, end: session.meter_end })}\n`;
+  }
+  
+  message += `${t(locale, 'energyRecorded.energy', { energy: formatEnergy(session.energy_kwh, locale) })}\n`;
+  
+  if (session.cost !== null && session.cost !== undefined) {
+    message += `${t(locale, 'session.cost', { cost: formatCost(session.cost, locale) })}\n`;
+  }
+  
+  return message;
+}
 
-👍 Hai liberato lo slot per gli altri utenti.
-Vuoi prenotare una nuova ricarica? Usa */prenota*
-`;
+/**
+ * Formatta un messaggio per l'estensione della ricarica
+ * @param {Object} result - Oggetto risultato con sessione, minuti aggiunti e limite raggiunto
+ * @param {Number} maxSessionTime - Durata massima di una ricarica in minuti
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Messaggio formattato
+ */
+function formatSessionExtendedMessage(result, maxSessionTime, locale = DEFAULT_LOCALE) {
+  const capped = result.capped
+    ? `\n${t(locale, 'session.capped', { duration: formatMinutes(maxSessionTime, locale) })}\n`
+    : '';
+  
+  return t(locale, 'session.extended', {
+    duration: formatMinutes(result.addedMinutes, locale),
+    end: formatTime(result.session.end_time, locale),
+    capped
+  });
 }
 
 /**
  * Formatta un messaggio di benvenuto
  * @param {String} username - Username dell'utente
  * @param {Number} userId - ID dell'utente
+ * @param {String} locale - Lingua del messaggio
  * @returns {String} - Messaggio formattato
  */
-function formatWelcomeMessage(username, userId) {
-  return `
-👋 *Benvenuto a Green-Charge, @${username}!*
-
-Questo bot gestisce la coda per le colonnine di ricarica in modo semplice e veloce.
-
-📱 *Per iniziare subito:*
-
-- Usa */prenota* per richiedere una colonnina
-- Se tutte sono occupate, verrai messo in coda
-- Riceverai una notifica quando sarà il tuo turno
-
-📊 Per verificare lo stato delle colonnine usa */status*
-❓ Per maggiori informazioni usa */help*
-
-Buona ricarica! ⚡
-`;
+function formatWelcomeMessage(username, userId, locale = DEFAULT_LOCALE) {
+  return t(locale, 'welcome', { username });
 }
 
 /**
@@ -271,25 +1151,28 @@ Buona ricarica! ⚡
  * @param {String} username - Username dell'utente
  * @param {Number} userId - ID dell'utente
  * @param {Number} position - Posizione in coda
+ * @param {String} stationName - Nome della stazione (opzionale)
+ * @param {Number} queueTimeout - Minuti per confermare dopo la notifica
+ * @param {String} priority - Classe di priorità in coda (opzionale)
+ * @param {String} locale - Lingua del messaggio
+ * @param {Object} estimate - Stima del tempo di attesa (opzionale, waitTimeHandler.estimateWaits)
  * @returns {String} - Messaggio formattato
  */
-function formatQueueMessage(username, userId, position) {
-  return `
-⏳ *Tutte le colonnine sono occupate in questo momento*
-
-✅ @${username}, sei stato aggiunto in coda in posizione *#${position}*.
-
-*Cosa succederà ora:*
-- Quando si libera uno slot, gli utenti vengono avvisati in ordine di coda
-- Riceverai una notifica quando sarà il tuo turno
-- Avrai 5 minuti per iniziare la ricarica, dopo la notifica
-
-*Opzioni disponibili:*
-- Usa */status* per controllare la tua posizione in coda
-- Usa */cancella* se cambi idea e non vuoi più attendere
-
-Ti ringraziamo per la pazienza! 🙏
-`;
+function formatQueueMessage(username, userId, position, stationName = null, queueTimeout = 5, priority = 'normal', locale = DEFAULT_LOCALE, estimate = null) {
+  const priorityNote = priority && priority !== 'normal'
+    ? `\n${t(locale, 'queue.priorityNote', { priority: formatPriority(priority, locale) })}\n`
+    : '';
+  
+  return t(locale, 'queue.message', {
+    username,
+    position,
+    where: stationName ? t(locale, 'queue.where', { station: stationName }) : '',
+    priorityNote,
+    waitNote: estimate && estimate.eta_minutes !== null
+      ? `\n${t(locale, 'wait.expected', { wait: formatWaitEstimate(estimate, locale) })}`
+      : '',
+    timeout: formatMinutes(queueTimeout, locale)
+  });
 }
 
 /**
@@ -297,25 +1180,16 @@ Ti ringraziamo per la pazienza! 🙏
  * @param {String} username - Username dell'utente
  * @param {Number} userId - ID dell'utente
  * @param {Number} maxChargeTime - Tempo massimo di ricarica
+ * @param {String} stationName - Nome della stazione (opzionale)
+ * @param {String} locale - Lingua del messaggio
  * @returns {String} - Messaggio formattato
  */
-function formatSlotAvailableMessage(username, userId, maxChargeTime) {
-  return `
-✅ *Ottima notizia, @${username}!*
-
-🟢 **C'è uno slot libero, puoi procedere subito con la ricarica.**
-
-*Ecco cosa fare:*
-
-1️⃣ Vai alla colonnina di ricarica
-2️⃣ Attivala tramite l'app Antonio Green-Charge
-3️⃣ Collega il tuo veicolo
-4️⃣ Conferma l'inizio con */iniziato*
-
-⏱️ Ricorda: hai a disposizione massimo *${maxChargeTime} minuti*.
-
-⚠️ *Importante:* Se non confermi l'inizio con */iniziato*, lo slot rimarrà riservato per te ma non risulterai in ricarica.
-`;
+function formatSlotAvailableMessage(username, userId, maxChargeTime, stationName = null, locale = DEFAULT_LOCALE) {
+  return t(locale, 'slotAvailable', {
+    username,
+    where: stationName ? t(locale, 'slotWhere', { station: stationName }) : '',
+    duration: formatMinutes(maxChargeTime, locale)
+  });
 }
 
 /**
@@ -323,27 +1197,80 @@ function formatSlotAvailableMessage(username, userId, maxChargeTime) {
  * @param {String} username - Username dell'utente
  * @param {Number} userId - ID dell'utente
  * @param {Number} maxChargeTime - Tempo massimo di ricarica
+ * @param {String} stationName - Nome della stazione (opzionale)
+ * @param {Number} queueTimeout - Minuti per confermare dopo la notifica
+ * @param {String} locale - Lingua del messaggio
  * @returns {String} - Messaggio formattato
  */
-function formatNotificationMessage(username, userId, maxChargeTime) {
-  return `
-🔔 *È IL TUO TURNO, @${username}!*
-
-🟢 Si è liberato uno slot di ricarica riservato per te.
-
-*Cosa fare ora:*
-
-1️⃣ Vai subito alla colonnina di ricarica
-2️⃣ Attivala tramite l'app Antonio Green-Charge
-3️⃣ Collega il tuo veicolo
-4️⃣ IMPORTANTE: Conferma l'inizio con */iniziato*
+function formatNotificationMessage(username, userId, maxChargeTime, stationName = null, queueTimeout = 5, locale = DEFAULT_LOCALE) {
+  return t(locale, 'yourTurn', {
+    username,
+    where: stationName ? t(locale, 'slotWhere', { station: stationName }) : '',
+    duration: formatMinutes(maxChargeTime, locale),
+    timeout: formatMinutes(queueTimeout, locale)
+  });
+}
 
-⏱️ Avrai a disposizione massimo *${maxChargeTime} minuti* per la ricarica.
+/**
+ * Formatta la conferma di una prenotazione
+ * @param {Object} reservation - Oggetto prenotazione
+ * @param {String} stationName - Nome della stazione
+ * @param {Number} holdTimeout - Minuti a disposizione per confermare
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Messaggio formattato
+ */
+function formatReservationConfirmMessage(reservation, stationName, holdTimeout, locale = DEFAULT_LOCALE) {
+  return t(locale, 'reservations.confirmed', {
+    station: stationName,
+    start: formatDateTime(reservation.start_time, locale),
+    end: formatTime(reservation.end_time, locale),
+    timeout: formatMinutes(holdTimeout, locale)
+  });
+}
 
-⚠️ *ATTENZIONE: Hai solo 5 minuti per confermare* l'inizio con */iniziato*, altrimenti perderai il turno e lo slot passerà al prossimo utente in coda.
+/**
+ * Formatta l'elenco delle prenotazioni di un utente
+ * @param {Array} reservations - Array di prenotazioni con la stazione popolata
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Messaggio formattato
+ */
+function formatReservationListMessage(reservations, locale = DEFAULT_LOCALE) {
+  if (reservations.length === 0) {
+    return t(locale, 'reservations.empty');
+  }
+  
+  let message = `${t(locale, 'reservations.title')}\n\n`;
+  
+  reservations.forEach((reservation, index) => {
+    message += `${t(locale, 'reservations.entry', {
+      index: index + 1,
+      start: formatDateTime(reservation.start_time, locale),
+      end: formatTime(reservation.end_time, locale),
+      station: reservation.station && reservation.station.name ? reservation.station.name : '-'
+    })}${reservation.status === 'held' ? t(locale, 'reservations.held') : ''}\n`;
+  });
+  
+  message += `\n${t(locale, 'reservations.cancelHint')}`;
+  
+  return message;
+}
 
-Se non puoi più ricaricare, usa */cancella* per liberare subito lo slot.
-`;
+/**
+ * Formatta la notifica di slot trattenuto all'apertura di una prenotazione
+ * @param {String} username - Username dell'utente
+ * @param {Object} reservation - Oggetto prenotazione
+ * @param {String} stationName - Nome della stazione
+ * @param {Number} holdTimeout - Minuti a disposizione per confermare
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Messaggio formattato
+ */
+function formatReservationHeldMessage(username, reservation, stationName, holdTimeout, locale = DEFAULT_LOCALE) {
+  return t(locale, 'reservations.started', {
+    username,
+    station: stationName,
+    end: formatTime(reservation.end_time, locale),
+    timeout: formatMinutes(holdTimeout, locale)
+  });
 }
 
 /**
@@ -351,59 +1278,148 @@ Se non puoi più ricaricare, usa */cancella* per liberare subito lo slot.
  * @param {String} username - Username dell'utente
  * @param {Number} remainingMinutes - Minuti rimanenti
  * @param {Date} endTime - Orario di fine ricarica
+ * @param {String} locale - Lingua del messaggio
  * @returns {String} - Messaggio formattato
  */
-function formatReminderMessage(username, remainingMinutes, endTime) {
-  return `
-⏰ *Promemoria ricarica, @${username}*
-
-Ti restano solo *${remainingMinutes} minuti* prima del termine.
-
-*Informazioni:*
-- La ricarica terminerà alle *${formatTime(endTime)}*
-- Prepara il veicolo per essere scollegato
-- Al termine, conferma con */terminato*
-
-Grazie per la collaborazione! Altri utenti potrebbero essere in attesa. 👍
-`;
+function formatReminderMessage(username, remainingMinutes, endTime, locale = DEFAULT_LOCALE) {
+  return t(locale, 'reminder', {
+    username,
+    duration: formatMinutes(remainingMinutes, locale),
+    end: formatTime(endTime, locale)
+  });
 }
 
 /**
  * Formatta un messaggio di timeout per la fine della ricarica
  * @param {String} username - Username dell'utente
  * @param {Number} maxChargeTime - Tempo massimo di ricarica
+ * @param {String} locale - Lingua del messaggio
  * @returns {String} - Messaggio formattato
  */
-function formatTimeoutMessage(username, maxChargeTime) {
-  return `
-⚠️ *TEMPO SCADUTO, @${username}*
+function formatTimeoutMessage(username, maxChargeTime, locale = DEFAULT_LOCALE) {
+  return t(locale, 'timeout', { username, duration: formatMinutes(maxChargeTime, locale) });
+}
 
-Il tuo tempo di ricarica di *${maxChargeTime} minuti* è terminato.
+/**
+ * Formatta un orario espresso in minuti dalla mezzanotte
+ * @param {Number} minutes - Minuti dalla mezzanotte
+ * @returns {String} - Orario in formato HH:MM
+ */
+function formatClock(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
 
-*Cosa fare immediatamente:*
-1. Concludi la ricarica sull'app
-2. Scollega il veicolo dalla colonnina
-3. Conferma con */terminato* per liberare lo slot
+/**
+ * Genera il messaggio con le preferenze di notifica di un utente (/notifiche)
+ * @param {Object} preferences - Preferenze di notifica (notificationHandler.getPreferences)
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Messaggio formattato
+ */
+function formatNotificationSettingsMessage(preferences, locale = DEFAULT_LOCALE) {
+  const onOff = enabled => t(locale, enabled ? 'notifications.on' : 'notifications.off');
+  
+  let reminder = t(locale, 'notifications.stationDefault');
+  if (preferences.reminder_time === 0) {
+    reminder = t(locale, 'notifications.noReminder');
+  } else if (preferences.reminder_time !== null) {
+    reminder = formatMinutes(preferences.reminder_time, locale);
+  }
+  
+  const quiet = preferences.quiet_start !== null && preferences.quiet_end !== null
+    ? `${formatClock(preferences.quiet_start)}-${formatClock(preferences.quiet_end)}`
+    : t(locale, 'notifications.none');
+  
+  let message = `${t(locale, 'notifications.title')}\n\n`;
+  message += `${t(locale, 'notifications.reminder', { value: reminder })}\n`;
+  message += `${t(locale, 'notifications.overdue', { value: formatMinutes(preferences.overdue_interval, locale) })}\n`;
+  message += `${t(locale, 'notifications.slotFreed', { value: onOff(preferences.slot_freed) })}\n`;
+  message += `${t(locale, 'notifications.announcements', { value: onOff(preferences.announcements) })}\n`;
+  message += `${t(locale, 'notifications.quiet', { value: quiet })}\n\n`;
+  message += t(locale, 'notifications.hint');
+  
+  return message;
+}
 
-⚡ Altri utenti sono in attesa per utilizzare la colonnina.
-Grazie per la tua collaborazione!
-`;
+/**
+ * Genera la conferma di una richiesta di avviso di slot libero (/avvisami)
+ * @param {Object} watch - Richiesta di avviso
+ * @param {String} stationName - Nome della stazione
+ * @param {Number} freeSlots - Slot liberi in questo momento, senza nessuno in coda (0 se nessuno)
+ * @param {String} locale - Lingua del messaggio
+ * @returns {String} - Messaggio formattato
+ */
+function formatWatchConfirmMessage(watch, stationName, freeSlots = 0, locale = DEFAULT_LOCALE) {
+  let when;
+  if (watch.recurring) {
+    when = watch.window_start !== null && watch.window_end !== null
+      ? t(locale, 'watch.recurringWindow', { start: formatClock(watch.window_start), end: formatClock(watch.window_end) })
+      : t(locale, 'watch.recurring');
+  } else {
+    when = watch.start_time
+      ? t(locale, 'watch.onceWindow', { start: formatDateTime(watch.start_time, locale), end: formatTime(watch.expires_at, locale) })
+      : t(locale, 'watch.once');
+  }
+  
+  let message = t(locale, 'watch.created', { station: stationName, when });
+  
+  if (freeSlots > 0) {
+    message += `\n\n${t(locale, 'watch.freeNow', { free: freeSlots })}`;
+  }
+  
+  message += `\n\n${t(locale, 'watch.cancelHint')}`;
+  
+  return message;
 }
 
 module.exports = {
   formatTime,
+  formatDateTime,
   formatTimeDiff,
+  formatMinutes,
+  formatPriorityBadge,
+  formatPriority,
+  formatEnergy,
+  formatCost,
   formatSessionStatus,
   formatStatusMessage,
+  formatStationsOverviewMessage,
+  formatStatusBoardMessage,
+  formatStationListMessage,
+  formatSettingsMessage,
+  formatConsistencyReport,
+  formatHistoryMessage,
+  formatStatisticsMessage,
+  formatMonthlyReportMessage,
+  formatUrgentRequestsMessage,
+  formatAuditMessage,
+  formatApiKeysMessage,
+  formatWebhooksMessage,
+  formatWebhookDeliveriesMessage,
+  formatOcppMessage,
+  formatChargersMessage,
+  formatChargerMismatchMessage,
+  formatGhostSlotMessage,
+  formatStrikeMessage,
+  formatFlaggedUsersMessage,
+  formatUserStrikesMessage,
+  formatRolesMessage,
+  formatStationChoiceMessage,
   formatHelpMessage,
   formatAdminHelpMessage,
-  estimateWaitTime,
+  formatWaitEstimate,
   formatSessionStartMessage,
   formatSessionEndMessage,
+  formatEnergyRecordedMessage,
+  formatSessionExtendedMessage,
   formatWelcomeMessage,
   formatQueueMessage,
   formatSlotAvailableMessage,
   formatNotificationMessage,
+  formatReservationConfirmMessage,
+  formatReservationListMessage,
+  formatReservationHeldMessage,
   formatReminderMessage,
-  formatTimeoutMessage
+  formatTimeoutMessage,
+  formatNotificationSettingsMessage,
+  formatWatchConfirmMessage
 };
@@ -0,0 +1,270 @@
+/**
+ * Traduzione dei messaggi per gli utenti.
+ * I cataloghi sono in locales/<lingua>.js: oggetti annidati per area, con i parametri
+ * indicati come {nome} e i plurali come { one, other } scelti in base a params.count.
+ * Date e ore usano sempre il fuso orario italiano (Europe/Rome, con l'ora legale), come il resto del bot.
+ */
+const moment = require('moment-timezone');
+const logger = require('./logger');
+
+const CATALOGUES = {
+  it: require('../locales/it'),
+  en: require('../locales/en'),
+  de: require('../locales/de')
+};
+
+// Lingue disponibili, la prima è quella predefinita
+const SUPPORTED_LOCALES = Object.keys(CATALOGUES);
+const DEFAULT_LOCALE = 'it';
+// Lingua per gli utenti di Telegram con una lingua non disponibile
+const FALLBACK_LOCALE = 'en';
+// Fuso orario italiano, per le date mostrate e per i confini di giorni,
+// settimane e fasce orarie calcolati dagli handler (con toLocalTime)
+const TIME_ZONE = 'Europe/Rome';
+
+// Formattatori Intl già creati, per lingua e opzioni
+const formatCache = new Map();
+
+/**
+ * Converte un momento nell'ora italiana, per calcolare giorni, settimane e orari locali
+ * @param {Date} date - Momento da convertire (default: adesso)
+ * @returns {Object} - Oggetto moment nel fuso orario italiano: gli orari impostati e i giorni
+ *                     aggiunti tengono conto del passaggio tra ora solare e ora legale
+ */
+function toLocalTime(date = new Date()) {
+  return moment.tz(date, TIME_ZONE);
+}
+
+/**
+ * Determina la lingua da usare per un codice lingua di Telegram
+ * @param {String} languageCode - Codice IETF inviato da Telegram (es. "en", "de-AT"), opzionale
+ * @returns {String} - Lingua supportata
+ */
+function resolveLocale(languageCode) {
+  if (!languageCode) {
+    return DEFAULT_LOCALE;
+  }
+
+  const language = languageCode.toLowerCase().split('-')[0];
+  return CATALOGUES[language] ? language : FALLBACK_LOCALE;
+}
+
+/**
+ * Verifica se una lingua è disponibile
+ * @param {String} locale - Lingua
+ * @returns {Boolean} - true se esiste un catalogo per la lingua
+ */
+function isSupported(locale) {
+  return Boolean(locale && CATALOGUES[locale]);
+}
+
+/**
+ * Ottiene il catalogo di una lingua
+ * @param {String} locale - Lingua
+ * @returns {Object} - Catalogo della lingua, quello predefinito se la lingua non è disponibile
+ */
+function getCatalogue(locale) {
+  return CATALOGUES[locale] || CATALOGUES[DEFAULT_LOCALE];
+}
+
+/**
+ * Cerca una chiave nel catalogo
+ * @param {Object} catalogue - Catalogo
+ * @param {String} key - Chiave con i livelli separati da punti (es. "queue.title")
+ * @returns {String|Object|undefined} - Testo, forme plurali o undefined se assente
+ */
+function lookup(catalogue, key) {
+  return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), catalogue);
+}
+
+/**
+ * Restituisce il codice Intl di una lingua (es. it-IT)
+ * @param {String} locale - Lingua
+ * @returns {String} - Codice per Intl
+ */
+function intlLocale(locale) {
+  return getCatalogue(locale).meta.intl;
+}
+
+/**
+ * Traduce una chiave nella lingua indicata
+ * @param {String} locale - Lingua
+ * @param {String} key - Chiave del catalogo
+ * @param {Object} params - Valori dei parametri {nome}; count sceglie la forma plurale
+ * @returns {String} - Testo tradotto, la chiave stessa se manca in tutti i cataloghi
+ */
+function t(locale, key, params = {}) {
+  let entry = lookup(getCatalogue(locale), key);
+
+  if (entry === undefined) {
+    entry = lookup(CATALOGUES[DEFAULT_LOCALE], key);
+
+    if (entry === undefined) {
+      logger.warn(`Missing translation key ${key}`);
+      return key;
+    }
+  }
+
+  if (typeof entry === 'object') {
+    const category = new Intl.PluralRules(intlLocale(locale)).select(params.count || 0);
+    entry = entry[category] !== undefined ? entry[category] : entry.other;
+  }
+
+  return entry.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    (params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder));
+}
+
+/**
+ * Ottiene un formattatore Intl.DateTimeFormat nel fuso orario italiano
+ * @param {String} locale - Lingua
+ * @param {Object} options - Opzioni di Intl.DateTimeFormat
+ * @returns {Intl.DateTimeFormat} - Formattatore
+ */
+function dateFormat(locale, options) {
+  const key = `${locale}:${JSON.stringify(options)}`;
+
+  if (!formatCache.has(key)) {
+    formatCache.set(key, new Intl.DateTimeFormat(intlLocale(locale), { ...options, timeZone: TIME_ZONE }));
+  }
+
+  return formatCache.get(key);
+}
+
+/**
+ * Formatta l'ora (HH:MM)
+ * @param {Date|String} timestamp - Timestamp da formattare
+ * @param {String} locale - Lingua
+ * @returns {String} - Ora formattata
+ */
+function formatTime(timestamp, locale = DEFAULT_LOCALE) {
+  return dateFormat(locale, { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(new Date(timestamp));
+}
+
+/**
+ * Formatta giorno e mese (es. 19/10 in italiano, 19.10. in tedesco)
+ * @param {Date|String} timestamp - Timestamp da formattare
+ * @param {String} locale - Lingua
+ * @returns {String} - Data formattata
+ */
+function formatDate(timestamp, locale = DEFAULT_LOCALE) {
+  return dateFormat(locale, { day: '2-digit', month: '2-digit' }).format(new Date(timestamp));
+}
+
+/**
+ * Formatta giorno, mese e ora
+ * @param {Date|String} timestamp - Timestamp da formattare
+ * @param {String} locale - Lingua
+ * @returns {String} - Data e ora formattate
+ */
+function formatDateTime(timestamp, locale = DEFAULT_LOCALE) {
+  return `${formatDate(timestamp, locale)} ${formatTime(timestamp, locale)}`;
+}
+
+/**
+ * Formatta mese e anno con l'iniziale maiuscola (es. Ottobre 2026)
+ * @param {Date|String} timestamp - Un istante del mese
+ * @param {String} locale - Lingua
+ * @returns {String} - Mese formattato
+ */
+function formatMonth(timestamp, locale = DEFAULT_LOCALE) {
+  const month = dateFormat(locale, { month: 'long', year: 'numeric' }).format(new Date(timestamp));
+  return month.charAt(0).toLocaleUpperCase(intlLocale(locale)) + month.slice(1);
+}
+
+/**
+ * Formatta la data nel formato AAAA-MM-GG, indipendente dalla lingua (per i nomi dei file)
+ * @param {Date|String} timestamp - Timestamp da formattare
+ * @returns {String} - Data formattata
+ */
+function formatIsoDate(timestamp) {
+  const parts = dateFormat(DEFAULT_LOCALE, { year: 'numeric', month: '2-digit', day: '2-digit' })
+    .formatToParts(new Date(timestamp));
+  const value = type => parts.find(part => part.type === type).value;
+
+  return `${value('year')}-${value('month')}-${value('day')}`;
+}
+
+/**
+ * Formatta un numero con i separatori della lingua
+ * @param {Number} value - Numero da formattare
+ * @param {String} locale - Lingua
+ * @param {Object} options - Opzioni di Intl.NumberFormat
+ * @returns {String} - Numero formattato
+ */
+function formatNumber(value, locale = DEFAULT_LOCALE, options = {}) {
+  return (value || 0).toLocaleString(intlLocale(locale), options);
+}
+
+/**
+ * Nome di una lingua nella lingua stessa (es. Deutsch)
+ * @param {String} locale - Lingua
+ * @returns {String} - Nome della lingua
+ */
+function getLanguageName(locale) {
+  return getCatalogue(locale).meta.name;
+}
+
+/**
+ * Prepara i parametri di un errore per una lingua: le date diventano giorno, mese e ora
+ * @param {Object} params - Parametri dell'errore
+ * @param {String} locale - Lingua
+ * @returns {Object} - Parametri da passare a t
+ */
+function formatErrorParams(params, locale) {
+  const formatted = {};
+
+  Object.keys(params).forEach(name => {
+    formatted[name] = params[name] instanceof Date ? formatDateTime(params[name], locale) : params[name];
+  });
+
+  return formatted;
+}
+
+/**
+ * Crea un errore da mostrare all'utente nella sua lingua con translateError.
+ * Il messaggio dell'errore, usato nei log e nelle risposte dell'API, è quello italiano
+ * @param {String} key - Chiave del catalogo
+ * @param {Object} params - Parametri del messaggio (le date sono formattate nella lingua dell'utente)
+ * @returns {Error} - Errore con la chiave in i18nKey e i parametri in i18nParams
+ */
+function localizedError(key, params = {}) {
+  const error = new Error(t(DEFAULT_LOCALE, key, formatErrorParams(params, DEFAULT_LOCALE)));
+  error.i18nKey = key;
+  error.i18nParams = params;
+  return error;
+}
+
+/**
+ * Restituisce il messaggio di un errore nella lingua indicata
+ * @param {Error} error - Errore, creato o meno con localizedError
+ * @param {String} locale - Lingua
+ * @returns {String} - Messaggio tradotto, quello originale per gli errori senza chiave
+ */
+function translateError(error, locale = DEFAULT_LOCALE) {
+  if (!error.i18nKey) {
+    return error.message;
+  }
+
+  return t(locale, error.i18nKey, formatErrorParams(error.i18nParams, locale));
+}
+
+module.exports = {
+  SUPPORTED_LOCALES,
+  DEFAULT_LOCALE,
+  FALLBACK_LOCALE,
+  TIME_ZONE,
+  toLocalTime,
+  resolveLocale,
+  isSupported,
+  getCatalogue,
+  t,
+  formatTime,
+  formatDate,
+  formatDateTime,
+  formatMonth,
+  formatIsoDate,
+  formatNumber,
+  getLanguageName,
+  localizedError,
+  translateError
+};
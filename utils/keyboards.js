@@ -0,0 +1,173 @@
+/**
+ * Tastiere inline usate nei messaggi del bot.
+ * Il campo callback_data ha il formato "azione[:parametri]" (max 64 byte)
+ * ed è interpretato da messageHandler nella gestione delle callback query.
+ */
+const { t, DEFAULT_LOCALE, SUPPORTED_LOCALES, getLanguageName } = require('./i18n');
+
+/**
+ * Tastiera per la notifica di slot disponibile in coda
+ * @param {String} locale - Lingua dei pulsanti
+ * @returns {Object} - reply_markup con i pulsanti Inizia ricarica / Salta il turno
+ */
+function queueNotificationKeyboard(locale = DEFAULT_LOCALE) {
+  return {
+    inline_keyboard: [[
+      { text: t(locale, 'buttons.start'), callback_data: 'start' },
+      { text: t(locale, 'buttons.skip'), callback_data: 'skip' }
+    ]]
+  };
+}
+
+/**
+ * Tastiera per un messaggio di slot libero o trattenuto
+ * @param {String} locale - Lingua dei pulsanti
+ * @returns {Object} - reply_markup con il pulsante Inizia ricarica
+ */
+function slotAvailableKeyboard(locale = DEFAULT_LOCALE) {
+  return {
+    inline_keyboard: [[
+      { text: t(locale, 'buttons.start'), callback_data: 'start' }
+    ]]
+  };
+}
+
+/**
+ * Tastiera per il messaggio di inizio sessione
+ * @param {String} locale - Lingua dei pulsanti
+ * @returns {Object} - reply_markup con i pulsanti Terminato / Estendi
+ */
+function sessionKeyboard(locale = DEFAULT_LOCALE) {
+  return {
+    inline_keyboard: [[
+      { text: t(locale, 'buttons.end'), callback_data: 'end' },
+      { text: t(locale, 'buttons.extend'), callback_data: 'extend' }
+    ]]
+  };
+}
+
+/**
+ * Tastiera per il messaggio di stato
+ * @param {String} stationId - ID della stazione, null per il riepilogo di tutte le stazioni
+ * @param {String} locale - Lingua dei pulsanti
+ * @returns {Object} - reply_markup con il pulsante Aggiorna
+ */
+function statusKeyboard(stationId = null, locale = DEFAULT_LOCALE) {
+  return {
+    inline_keyboard: [[
+      { text: t(locale, 'buttons.refresh'), callback_data: `status:${stationId || 'all'}` }
+    ]]
+  };
+}
+
+/**
+ * Tastiera per la scelta della stazione
+ * @param {Array} stations - Array di stazioni
+ * @param {String} command - Comando da eseguire sulla stazione scelta
+ * @returns {Object} - reply_markup con un pulsante per stazione
+ */
+function stationChoiceKeyboard(stations, command) {
+  return {
+    inline_keyboard: stations.map(station => [
+      { text: `🏢 ${station.name}`, callback_data: `station:${command}:${station._id}` }
+    ])
+  };
+}
+
+/**
+ * Tastiera di navigazione dello storico ricariche
+ * @param {Number} page - Pagina corrente (da 1)
+ * @param {Number} totalPages - Numero totale di pagine
+ * @param {String} locale - Lingua dei pulsanti
+ * @returns {Object} - reply_markup con i pulsanti Più recenti / Meno recenti
+ */
+function historyKeyboard(page, totalPages, locale = DEFAULT_LOCALE) {
+  const buttons = [];
+  
+  if (page > 1) {
+    buttons.push({ text: t(locale, 'buttons.newer'), callback_data: `history:${page - 1}` });
+  }
+  
+  if (page < totalPages) {
+    buttons.push({ text: t(locale, 'buttons.older'), callback_data: `history:${page + 1}` });
+  }
+  
+  return { inline_keyboard: buttons.length > 0 ? [buttons] : [] };
+}
+
+/**
+ * Tastiera di navigazione delle statistiche mensili
+ * @param {Number} monthOffset - Mesi indietro rispetto al mese corrente
+ * @param {Boolean} hasOlder - Se esistono ricariche nei mesi precedenti
+ * @param {String} locale - Lingua dei pulsanti
+ * @returns {Object} - reply_markup con i pulsanti Mese precedente / Mese successivo
+ */
+function statsKeyboard(monthOffset, hasOlder, locale = DEFAULT_LOCALE) {
+  const buttons = [];
+  
+  if (hasOlder) {
+    buttons.push({ text: t(locale, 'buttons.previousMonth'), callback_data: `stats:${monthOffset + 1}` });
+  }
+  
+  if (monthOffset > 0) {
+    buttons.push({ text: t(locale, 'buttons.nextMonth'), callback_data: `stats:${monthOffset - 1}` });
+  }
+  
+  return { inline_keyboard: buttons.length > 0 ? [buttons] : [] };
+}
+
+/**
+ * Tastiera per la scelta della lingua
+ * @param {String} locale - Lingua dei pulsanti
+ * @returns {Object} - reply_markup con un pulsante per lingua e il pulsante Automatica
+ */
+function languageKeyboard(locale = DEFAULT_LOCALE) {
+  return {
+    inline_keyboard: [
+      SUPPORTED_LOCALES.map(code => ({ text: getLanguageName(code), callback_data: `lang:${code}` })),
+      [{ text: t(locale, 'language.autoButton'), callback_data: 'lang:auto' }]
+    ]
+  };
+}
+
+/**
+ * Tastiera delle preferenze di notifica: ogni pulsante passa al valore successivo
+ * @param {String} locale - Lingua dei pulsanti
+ * @returns {Object} - reply_markup con un pulsante per preferenza
+ */
+function notificationsKeyboard(locale = DEFAULT_LOCALE) {
+  return {
+    inline_keyboard: [
+      [
+        { text: t(locale, 'notifications.buttons.reminder'), callback_data: 'notif:reminder' },
+        { text: t(locale, 'notifications.buttons.overdue'), callback_data: 'notif:overdue' }
+      ],
+      [
+        { text: t(locale, 'notifications.buttons.slotFreed'), callback_data: 'notif:slot' },
+        { text: t(locale, 'notifications.buttons.announcements'), callback_data: 'notif:news' }
+      ],
+      [{ text: t(locale, 'notifications.buttons.quiet'), callback_data: 'notif:quiet' }]
+    ]
+  };
+}
+
+/**
+ * Tastiera vuota, usata per rimuovere i pulsanti da un messaggio già gestito
+ * @returns {Object} - reply_markup senza pulsanti
+ */
+function emptyKeyboard() {
+  return { inline_keyboard: [] };
+}
+
+module.exports = {
+  queueNotificationKeyboard,
+  slotAvailableKeyboard,
+  sessionKeyboard,
+  statusKeyboard,
+  stationChoiceKeyboard,
+  historyKeyboard,
+  statsKeyboard,
+  languageKeyboard,
+  notificationsKeyboard,
+  emptyKeyboard
+};
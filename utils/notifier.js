@@ -1,18 +1,37 @@
 const Session = require('../models/session');
 const System = require('../models/system');
+const Station = require('../models/station');
 const Queue = require('../models/queue');
 const User = require('../models/user');
 const config = require('../config');
-const moment = require('moment');
 const logger = require('../utils/logger');
 const mongoose = require('mongoose');
 const queueHandler = require('../handlers/queueHandler');
+const sessionHandler = require('../handlers/sessionHandler');
+const reservationHandler = require('../handlers/reservationHandler');
+const settingsHandler = require('../handlers/settingsHandler');
+const strikeHandler = require('../handlers/strikeHandler');
+const webhookHandler = require('../handlers/webhookHandler');
+const chargerHandler = require('../handlers/chargerHandler');
+const userHandler = require('../handlers/userHandler');
+const notificationHandler = require('../handlers/notificationHandler');
+const formatters = require('./formatters');
+const keyboards = require('./keyboards');
+const { t } = require('./i18n');
 
 // Riferimenti ai timer attivi
 let reminderTimer = null;
 let timeoutTimer = null;
 let overdueTimer = null;
 let queueTimeoutTimer = null;
+let reservationTimer = null;
+let settingsTimer = null;
+let webhookTimer = null;
+let chargerTimer = null;
+let deferredTimer = null;
+
+// Margine sulla frequenza dei promemoria di ritardo, per non perdere un giro del timer di 5 minuti
+const OVERDUE_INTERVAL_TOLERANCE = 60000;
 
 /**
  * Avvia il sistema di notifiche periodiche
@@ -88,6 +107,84 @@ function startNotificationSystem(bot) {
     }
   }, 60000); // Controlla ogni minuto
   
+  // Timer per gestire le finestre delle prenotazioni
+  reservationTimer = setInterval(async () => {
+    try {
+      // Verifica che la connessione MongoDB sia attiva
+      if (mongoose.connection.readyState !== 1) {
+        logger.warn('Sistema di notifiche: MongoDB non connesso, skip controllo prenotazioni');
+        return;
+      }
+      
+      await checkReservations(bot);
+    } catch (error) {
+      logger.error('Errore durante il controllo delle prenotazioni:', error);
+    }
+  }, 60000); // Controlla ogni minuto
+  
+  // Timer per ricaricare i parametri modificati dagli amministratori (anche da altre istanze)
+  settingsTimer = setInterval(async () => {
+    try {
+      // Verifica che la connessione MongoDB sia attiva
+      if (mongoose.connection.readyState !== 1) {
+        logger.warn('Sistema di notifiche: MongoDB non connesso, skip aggiornamento parametri');
+        return;
+      }
+      
+      await settingsHandler.loadSettings();
+    } catch (error) {
+      logger.error('Errore durante l\'aggiornamento dei parametri:', error);
+    }
+  }, 60000); // Controlla ogni minuto
+  
+  // Timer per ritentare le consegne dei webhook non riuscite
+  webhookTimer = setInterval(async () => {
+    try {
+      // Verifica che la connessione MongoDB sia attiva
+      if (mongoose.connection.readyState !== 1) {
+        logger.warn('Sistema di notifiche: MongoDB non connesso, skip nuovi tentativi dei webhook');
+        return;
+      }
+      
+      await webhookHandler.retryPendingDeliveries();
+    } catch (error) {
+      logger.error('Errore durante i nuovi tentativi dei webhook:', error);
+    }
+  }, 60000); // Controlla ogni minuto
+  
+  // Timer per confrontare gli slot rilevati dalle colonnine con le sessioni del bot
+  chargerTimer = setInterval(async () => {
+    try {
+      // Verifica che la connessione MongoDB sia attiva
+      if (mongoose.connection.readyState !== 1) {
+        logger.warn('Sistema di notifiche: MongoDB non connesso, skip controllo colonnine');
+        return;
+      }
+      
+      await chargerHandler.checkSlots(bot);
+    } catch (error) {
+      logger.error('Errore durante il controllo delle colonnine:', error);
+    }
+  }, 60000); // Controlla ogni minuto
+  
+  // Timer per consegnare i messaggi rinviati durante le ore di silenzio
+  deferredTimer = setInterval(async () => {
+    try {
+      // Verifica che la connessione MongoDB sia attiva
+      if (mongoose.connection.readyState !== 1) {
+        logger.warn('Sistema di notifiche: MongoDB non connesso, skip consegna dei messaggi rinviati');
+        return;
+      }
+      
+      await notificationHandler.deliverDeferred(bot);
+    } catch (error) {
+      logger.error('Errore durante la consegna dei messaggi rinviati:', error);
+    }
+  }, 60000); // Controlla ogni minuto
+  
+  // Avvisi di slot libero per chi li ha chiesti con /notifiche
+  notificationHandler.startSlotFreedNotices(bot);
+  
   logger.info('Sistema di notifiche avviato');
   
   return {
@@ -95,6 +192,11 @@ function startNotificationSystem(bot) {
     timeoutTimer,
     overdueTimer,
     queueTimeoutTimer,
+    reservationTimer,
+    settingsTimer,
+    webhookTimer,
+    chargerTimer,
+    deferredTimer,
     stop: stopNotificationSystem
   };
 }
@@ -123,6 +225,33 @@ function stopNotificationSystem() {
     queueTimeoutTimer = null;
   }
   
+  if (reservationTimer) {
+    clearInterval(reservationTimer);
+    reservationTimer = null;
+  }
+  
+  if (settingsTimer) {
+    clearInterval(settingsTimer);
+    settingsTimer = null;
+  }
+  
+  if (webhookTimer) {
+    clearInterval(webhookTimer);
+    webhookTimer = null;
+  }
+  
+  if (chargerTimer) {
+    clearInterval(chargerTimer);
+    chargerTimer = null;
+  }
+  
+  if (deferredTimer) {
+    clearInterval(deferredTimer);
+    deferredTimer = null;
+  }
+  
+  notificationHandler.stopSlotFreedNotices();
+  
   logger.info('Sistema di notifiche fermato');
   return true;
 }
@@ -146,17 +275,10 @@ async function checkExpiringSessions(bot) {
     }
     
     const now = new Date();
-    const reminderThreshold = new Date(now.getTime() + config.REMINDER_TIME * 60000);
     
     // Trova sessioni che stanno per scadere e non hanno ancora ricevuto un promemoria
-    const expiringSessions = await Session.find({
-      status: 'active',
-      reminded: false,
-      end_time: { 
-        $gt: now, 
-        $lte: reminderThreshold 
-      }
-    });
+    // (il tempo di promemoria dipende dalla stazione della sessione)
+    const expiringSessions = await sessionHandler.getExpiringSessions();
     
     if (expiringSessions.length > 0) {
       logger.info(`Trovate ${expiringSessions.length} sessioni in scadenza da notificare`);
@@ -164,24 +286,32 @@ async function checkExpiringSessions(bot) {
     
     for (const session of expiringSessions) {
       try {
+        // Nelle ore di silenzio il promemoria resta in sospeso: parte al loro termine,
+        // se la sessione non è ancora scaduta
+        if (notificationHandler.isQuietTime(await notificationHandler.getPreferences(session.telegram_id))) {
+          continue;
+        }
+        
         // Calcola i minuti rimanenti
         const remainingMinutes = Math.max(
           0,
           Math.round((new Date(session.end_time) - now) / 60000)
         );
         
-        // Genera il messaggio di promemoria
-        const reminderMessage = formatReminderMessage(
+        // Genera il messaggio di promemoria nella lingua dell'utente
+        const locale = await userHandler.getUserLocale(session.telegram_id);
+        const reminderMessage = formatters.formatReminderMessage(
           session.username, 
           remainingMinutes, 
-          session.end_time
+          session.end_time,
+          locale
         );
         
         // Invia la notifica
         await bot.sendMessage(
           session.telegram_id,
           reminderMessage,
-          { parse_mode: 'Markdown' }
+          { parse_mode: 'Markdown', reply_markup: keyboards.sessionKeyboard(locale) }
         );
         
         // Marca la sessione come notificata
@@ -232,10 +362,14 @@ async function checkExpiredSessions(bot) {
     
     for (const session of expiredSessions) {
       try {
-        // Genera il messaggio di timeout
-        const timeoutMessage = formatTimeoutMessage(
+        // Genera il messaggio di timeout con la durata prevista della sessione
+        const chargeMinutes = Math.round(
+          (new Date(session.end_time) - new Date(session.start_time)) / 60000
+        );
+        const timeoutMessage = formatters.formatTimeoutMessage(
           session.username, 
-          config.MAX_CHARGE_TIME
+          chargeMinutes,
+          await userHandler.getUserLocale(session.telegram_id)
         );
         
         // Invia la notifica
@@ -249,6 +383,15 @@ async function checkExpiredSessions(bot) {
         session.timeout_notified = true;
         await session.save();
         
+        webhookHandler.dispatchEvent('session.timeout', {
+          station_id: session.station,
+          telegram_id: session.telegram_id,
+          username: session.username,
+          slot_number: session.slot_number,
+          start_time: session.start_time,
+          end_time: session.end_time
+        });
+        
         logger.info(`Inviata notifica di timeout a ${session.username} (${session.telegram_id})`);
       } catch (err) {
         logger.error(`Errore nell'invio della notifica di timeout a ${session.username}:`, err);
@@ -288,8 +431,9 @@ async function checkOverdueSessions(bot) {
       end_time: { $lt: now }
     });
     
-    // Filtra per includere solo quelle con un ritardo significativo (più di 5 minuti)
-    const overdueThreshold = new Date(now.getTime() - 5 * 60000); // 5 minuti fa
+    // Filtra per includere solo quelle con un ritardo significativo
+    const overdueTime = settingsHandler.getSetting('overdue_time');
+    const overdueThreshold = new Date(now.getTime() - overdueTime * 60000);
     const overdueSessions = overdueSessionsResult.filter(session => 
       new Date(session.end_time) < overdueThreshold
     );
@@ -303,24 +447,70 @@ async function checkOverdueSessions(bot) {
         // Calcola i minuti di ritardo
         const overdueMinutes = Math.round((now - new Date(session.end_time)) / 60000);
         
+        // Frequenza e ore di silenzio scelte dall'utente con /notifiche
+        const preferences = await notificationHandler.getPreferences(session.telegram_id);
+        const lastNotified = session.overdue_notified_at ? new Date(session.overdue_notified_at).getTime() : 0;
+        
+        if (notificationHandler.isQuietTime(preferences) ||
+            now - lastNotified < preferences.overdue_interval * 60000 - OVERDUE_INTERVAL_TOLERANCE) {
+          continue;
+        }
+        
         // Invia solo se il ritardo è significativo (dovrebbe essere già garantito dal filtro)
-        if (overdueMinutes >= 5) {
+        if (overdueMinutes >= overdueTime) {
+          const locale = await userHandler.getUserLocale(session.telegram_id);
+          
           await bot.sendMessage(
             session.telegram_id,
-            `⚠️ *PROMEMORIA IMPORTANTE*\n\n` +
-            `@${session.username}, il tuo tempo è scaduto da *${overdueMinutes} minuti*.\n\n` +
-            `🔸 Per favore, libera immediatamente lo slot.\n` +
-            `🔸 Conferma con /terminato quando hai staccato il veicolo.\n\n` +
-            `Gli altri utenti stanno aspettando di poter utilizzare la colonnina. Grazie per la collaborazione!`,
+            t(locale, 'session.overdue', {
+              username: session.username,
+              duration: formatters.formatMinutes(overdueMinutes, locale)
+            }),
             { parse_mode: 'Markdown' }
           );
           
+          await Session.updateOne({ _id: session._id }, { $set: { overdue_notified_at: now } });
+          
           logger.info(`Inviato promemoria di ritardo a ${session.username} (${session.telegram_id}) - ${overdueMinutes} minuti di ritardo`);
         }
       } catch (err) {
         logger.error(`Errore nell'invio del promemoria di ritardo a ${session.username}:`, err);
       }
     }
+    
+    // Richiamo per chi non libera lo slot oltre il ritardo tollerato (una volta per sessione)
+    const strikeOverdueTime = settingsHandler.getSetting('strike_overdue_time');
+    
+    if (strikeOverdueTime > 0) {
+      const overstayedSessions = await sessionHandler.getOverstayedSessions(strikeOverdueTime);
+      
+      for (const overstayed of overstayedSessions) {
+        try {
+          const session = await sessionHandler.markSessionOverstayStrike(overstayed._id);
+          
+          if (!session) {
+            continue;
+          }
+          
+          const overdueMinutes = Math.round((now - new Date(session.end_time)) / 60000);
+          const strike = await strikeHandler.addStrike(session.telegram_id, session.username, 'overstay', {
+            station: session.station,
+            session: session._id,
+            details: `${overdueMinutes} minuti oltre la scadenza`
+          });
+          
+          await bot.sendMessage(
+            session.telegram_id,
+            formatters.formatStrikeMessage(session.username, strike, await userHandler.getUserLocale(session.telegram_id)),
+            { parse_mode: 'Markdown' }
+          );
+          
+          logger.info(`Assegnato richiamo per ritardo a ${session.username} (${session.telegram_id}) - ${overdueMinutes} minuti di ritardo`);
+        } catch (err) {
+          logger.error(`Errore nell'assegnazione del richiamo per ritardo a ${overstayed.username}:`, err);
+        }
+      }
+    }
   } catch (error) {
     logger.error('Error checking overdue sessions:', error);
     throw error;
@@ -328,59 +518,112 @@ async function checkOverdueSessions(bot) {
 }
 
 /**
- * Formatta un messaggio di promemoria per la fine della ricarica
- * @param {String} username - Username dell'utente
- * @param {Number} remainingMinutes - Minuti rimanenti
- * @param {Date} endTime - Orario di fine ricarica
- * @returns {String} - Messaggio formattato
- */
-function formatReminderMessage(username, remainingMinutes, endTime) {
-  const endTimeStr = formatTime(endTime);
-  
-  return `
-⏰ *Promemoria ricarica, @${username}*
-
-Ti restano solo *${remainingMinutes} minuti* prima del termine.
-
-*Informazioni:*
-- La ricarica terminerà alle *${endTimeStr}*
-- Prepara il veicolo per essere scollegato
-- Al termine, conferma con */terminato*
-
-Grazie per la collaborazione! Altri utenti potrebbero essere in attesa. 👍
-`;
-}
-
-/**
- * Formatta un messaggio di timeout per la fine della ricarica
- * @param {String} username - Username dell'utente
- * @param {Number} maxChargeTime - Tempo massimo di ricarica
- * @returns {String} - Messaggio formattato
- */
-function formatTimeoutMessage(username, maxChargeTime) {
-  return `
-⚠️ *TEMPO SCADUTO, @${username}*
-
-Il tuo tempo di ricarica di *${maxChargeTime} minuti* è terminato.
-
-*Cosa fare immediatamente:*
-1. Concludi la ricarica sull'app
-2. Scollega il veicolo dalla colonnina
-3. Conferma con */terminato* per liberare lo slot
-
-⚡ Altri utenti sono in attesa per utilizzare la colonnina.
-Grazie per la tua collaborazione!
-`;
-}
-
-/**
- * Formatta un timestamp in formato HH:MM
- * @param {Date|String} timestamp - Timestamp da formattare
- * @returns {String} - Timestamp formattato
+ * Gestisce le finestre delle prenotazioni: trattiene gli slot all'apertura,
+ * rilascia quelli non confermati e chiude le prenotazioni non servite
+ * @param {Object} bot - Istanza del bot Telegram
+ * @returns {Promise<void>}
  */
-function formatTime(timestamp) {
-  const date = new Date(timestamp);
-  return `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+async function checkReservations(bot) {
+  try {
+    if (!bot || !bot.sendMessage) {
+      logger.warn('Bot non disponibile per inviare notifiche sulle prenotazioni');
+      return;
+    }
+    
+    // Verifica che la connessione MongoDB sia attiva
+    if (mongoose.connection.readyState !== 1) {
+      logger.warn('MongoDB non connesso, impossibile controllare le prenotazioni');
+      return;
+    }
+    
+    // Slot trattenuti ma non confermati in tempo: liberali per la coda
+    const unclaimed = await reservationHandler.expireUnclaimedHolds();
+    
+    for (const reservation of unclaimed) {
+      const locale = await userHandler.getUserLocale(reservation.telegram_id);
+      
+      try {
+        await bot.sendMessage(
+          reservation.telegram_id,
+          t(locale, 'reservations.expired', {
+            username: reservation.username,
+            timeout: formatters.formatMinutes(settingsHandler.getSetting('hold_timeout'), locale)
+          }),
+          { parse_mode: 'Markdown' }
+        );
+      } catch (err) {
+        logger.error(`Errore nell'invio della notifica di prenotazione scaduta a ${reservation.username}:`, err);
+      }
+      
+      // La prenotazione non confermata comporta un richiamo
+      try {
+        const strike = await strikeHandler.addStrike(reservation.telegram_id, reservation.username, 'no_show', {
+          station: reservation.station,
+          details: 'prenotazione'
+        });
+        
+        await bot.sendMessage(
+          reservation.telegram_id,
+          formatters.formatStrikeMessage(reservation.username, strike, locale),
+          { parse_mode: 'Markdown' }
+        );
+      } catch (err) {
+        logger.error(`Errore nell'assegnazione del richiamo a ${reservation.username}:`, err);
+      }
+      
+      await queueHandler.notifyNextInQueue(bot, reservation.station);
+    }
+    
+    // Finestre terminate senza che si sia liberato uno slot
+    const missed = await reservationHandler.expireMissedReservations();
+    
+    for (const reservation of missed) {
+      try {
+        const locale = await userHandler.getUserLocale(reservation.telegram_id);
+        
+        await bot.sendMessage(
+          reservation.telegram_id,
+          t(locale, 'reservations.missed', {
+            username: reservation.username,
+            start: formatters.formatTime(reservation.start_time, locale),
+            end: formatters.formatTime(reservation.end_time, locale)
+          }),
+          { parse_mode: 'Markdown' }
+        );
+      } catch (err) {
+        logger.error(`Errore nell'invio della notifica di prenotazione non servita a ${reservation.username}:`, err);
+      }
+    }
+    
+    // Finestre iniziate: trattieni uno slot per l'utente
+    const held = await reservationHandler.holdDueReservations();
+    
+    for (const reservation of held) {
+      try {
+        const station = await Station.findById(reservation.station);
+        const locale = await userHandler.getUserLocale(reservation.telegram_id);
+        
+        await bot.sendMessage(
+          reservation.telegram_id,
+          formatters.formatReservationHeldMessage(
+            reservation.username,
+            reservation,
+            station ? station.name : '',
+            settingsHandler.getSetting('hold_timeout'),
+            locale
+          ),
+          { parse_mode: 'Markdown', reply_markup: keyboards.slotAvailableKeyboard(locale) }
+        );
+        
+        logger.info(`Inviata notifica di slot trattenuto a ${reservation.username} (${reservation.telegram_id})`);
+      } catch (err) {
+        logger.error(`Errore nell'invio della notifica di slot trattenuto a ${reservation.username}:`, err);
+      }
+    }
+  } catch (error) {
+    logger.error('Error checking reservations:', error);
+    throw error;
+  }
 }
 
 module.exports = {
@@ -388,5 +631,6 @@ module.exports = {
   stopNotificationSystem,
   checkExpiringSessions,
   checkExpiredSessions,
-  checkOverdueSessions
+  checkOverdueSessions,
+  checkReservations
 };
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const mongoose = require('mongoose');
+const config = require('../config');
+const ocppHandler = require('../handlers/ocppHandler');
+const logger = require('./logger');
+
+// Sottoprotocollo WebSocket di OCPP 1.6 in JSON
+const OCPP_PROTOCOL = 'ocpp1.6';
+// Percorso delle connessioni: /ocpp/<ID colonnina>
+const OCPP_PATH = /^\/ocpp\/([^/?#]+)\/?(\?.*)?$/;
+
+// Tipi di messaggio OCPP-J
+const CALL = 2;
+const CALLRESULT = 3;
+const CALLERROR = 4;
+
+// Connessioni attive per ID colonnina
+const connections = new Map();
+
+/**
+ * Verifica le credenziali HTTP Basic di una colonnina (profilo di sicurezza 1 di OCPP)
+ * @param {Object} request - Richiesta HTTP di upgrade
+ * @param {String} chargePointId - ID della colonnina
+ * @returns {Boolean} - true se le credenziali sono valide; senza OCPP_PASSWORD nessuna colonnina è autorizzata
+ */
+function isAuthorized(request, chargePointId) {
+  if (!config.OCPP_PASSWORD) {
+    return false;
+  }
+
+  const header = request.headers.authorization || '';
+  const match = header.match(/^Basic\s+(.+)$/i);
+
+  if (!match) {
+    return false;
+  }
+
+  const credentials = Buffer.from(match[1], 'base64').toString();
+  const separator = credentials.indexOf(':');
+
+  if (separator === -1 || credentials.slice(0, separator) !== chargePointId) {
+    return false;
+  }
+
+  // Confronto a tempo costante, per non rivelare quanti caratteri della password sono corretti
+  const password = Buffer.from(credentials.slice(separator + 1));
+  const expected = Buffer.from(config.OCPP_PASSWORD);
+
+  return password.length === expected.length && crypto.timingSafeEqual(password, expected);
+}
+
+/**
+ * Rifiuta una richiesta di upgrade con una risposta HTTP
+ * @param {Object} socket - Socket della richiesta
+ * @param {Number} status - Codice di stato HTTP
+ * @param {String} reason - Testo dello stato
+ */
+function rejectUpgrade(socket, status, reason) {
+  socket.write(`HTTP/1.1 ${status} ${reason}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+}
+
+/**
+ * Gestisce un messaggio ricevuto da una colonnina e invia la risposta
+ * @param {Object} ws - Connessione WebSocket
+ * @param {String} chargePointId - ID della colonnina
+ * @param {String} data - Messaggio OCPP-J
+ * @param {Function} getBot - Funzione che restituisce l'istanza del bot (null finché non è pronta)
+ * @returns {Promise<void>}
+ */
+async function handleMessage(ws, chargePointId, data, getBot) {
+  let message;
+
+  try {
+    message = JSON.parse(data);
+  } catch (error) {
+    logger.warn(`OCPP: messaggio non valido da ${chargePointId}`);
+    return;
+  }
+
+  if (!Array.isArray(message) || message[0] !== CALL) {
+    // Il server non invia richieste alle colonnine: risposte CALLRESULT e CALLERROR vengono ignorate
+    if (Array.isArray(message) && (message[0] === CALLRESULT || message[0] === CALLERROR)) {
+      return;
+    }
+
+    logger.warn(`OCPP: messaggio sconosciuto da ${chargePointId}`);
+    return;
+  }
+
+  const [, uniqueId, action, payload] = message;
+  let response;
+
+  try {
+    if (mongoose.connection.readyState !== 1) {
+      const error = new Error('Database non disponibile');
+      error.ocppCode = 'InternalError';
+      throw error;
+    }
+
+    const result = await ocppHandler.handleCall(getBot(), chargePointId, action, payload);
+    response = [CALLRESULT, uniqueId, result];
+  } catch (error) {
+    response = [CALLERROR, uniqueId, error.ocppCode || 'InternalError', error.message, {}];
+  }
+
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify(response));
+  }
+}
+
+/**
+ * Avvia il server OCPP 1.6-J sul server HTTP di Express.
+ * Le colonnine si connettono a ws(s)://<host>/ocpp/<ID colonnina>
+ * @param {Object} httpServer - Server HTTP restituito da app.listen
+ * @param {Function} getBot - Funzione che restituisce l'istanza del bot
+ * @returns {Object} - { wss, handleUpgrade }: server WebSocket e listener 'upgrade' registrato
+ *                     sul server HTTP, da rimuovere alla chiusura
+ */
+function attachOcppServer(httpServer, getBot) {
+  const wss = new WebSocketServer({
+    noServer: true,
+    handleProtocols: protocols => (protocols.has(OCPP_PROTOCOL) ? OCPP_PROTOCOL : false)
+  });
+
+  const handleUpgrade = (request, socket, head) => {
+    const match = (request.url || '').match(OCPP_PATH);
+
+    if (!match) {
+      rejectUpgrade(socket, 404, 'Not Found');
+      return;
+    }
+
+    let chargePointId;
+
+    try {
+      chargePointId = decodeURIComponent(match[1]);
+    } catch (error) {
+      rejectUpgrade(socket, 400, 'Bad Request');
+      return;
+    }
+
+    if (!isAuthorized(request, chargePointId)) {
+      logger.warn(`OCPP: credenziali non valide per la colonnina ${chargePointId}`);
+      rejectUpgrade(socket, 401, 'Unauthorized');
+      return;
+    }
+
+    wss.handleUpgrade(request, socket, head, ws => {
+      wss.emit('connection', ws, chargePointId);
+    });
+  };
+
+  httpServer.on('upgrade', handleUpgrade);
+
+  wss.on('connection', (ws, chargePointId) => {
+    // Una nuova connessione della stessa colonnina sostituisce la precedente
+    const previous = connections.get(chargePointId);
+    if (previous) {
+      previous.terminate();
+    }
+
+    connections.set(chargePointId, ws);
+    ocppHandler.setConnected(chargePointId, true);
+    logger.info(`OCPP: colonnina ${chargePointId} connessa`);
+
+    // I messaggi di una colonnina sono gestiti uno alla volta, nell'ordine di arrivo
+    let queue = Promise.resolve();
+
+    ws.on('message', data => {
+      queue = queue
+        .then(() => handleMessage(ws, chargePointId, data.toString(), getBot))
+        .catch(error => logger.error(`OCPP: errore nella gestione di un messaggio da ${chargePointId}:`, error));
+    });
+
+    ws.on('close', () => {
+      if (connections.get(chargePointId) === ws) {
+        connections.delete(chargePointId);
+        ocppHandler.setConnected(chargePointId, false);
+      }
+
+      logger.info(`OCPP: colonnina ${chargePointId} disconnessa`);
+    });
+
+    ws.on('error', error => {
+      logger.error(`OCPP: errore di connessione con ${chargePointId}: ${error.message}`);
+    });
+  });
+
+  logger.info('Server OCPP 1.6-J attivo su /ocpp/<ID colonnina>');
+
+  return { wss, handleUpgrade };
+}
+
+module.exports = {
+  attachOcppServer
+};
@@ -0,0 +1,166 @@
+/**
+ * Pagina web pubblica di sola lettura con lo stato delle stazioni, pensata per
+ * un tablet vicino alle colonnine. Generata lato server da server.js (/status)
+ */
+const formatters = require('./formatters');
+const { DEFAULT_LOCALE, t } = require('./i18n');
+
+/**
+ * Esegue l'escape dei caratteri speciali HTML
+ * @param {String} text - Testo da inserire nella pagina
+ * @returns {String} - Testo sicuro per l'HTML
+ */
+function escapeHtml(text) {
+  return String(text === null || text === undefined ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Nasconde uno username lasciando visibili la prima e l'ultima lettera
+ * @param {String} username - Username Telegram
+ * @returns {String} - Username mascherato (es. "m***o")
+ */
+function maskUsername(username) {
+  const name = String(username || '');
+
+  if (name.length <= 2) {
+    return `${name.charAt(0)}***`;
+  }
+
+  return `${name.charAt(0)}***${name.charAt(name.length - 1)}`;
+}
+
+/**
+ * Genera le righe degli slot di una stazione: occupati, riservati (trattenuti per
+ * una prenotazione o per il primo in coda) e liberi
+ * @param {Object} status - Stato della stazione (queueHandler.getSystemStatus)
+ * @param {Boolean} showNames - Se mostrare gli username per intero
+ * @param {String} locale - Lingua della pagina
+ * @returns {String} - HTML delle righe
+ */
+function renderSlots(status, showNames, locale) {
+  const sessionsBySlot = new Map(status.active_sessions.map(session => [session.slot_number, session]));
+  let reserved = Math.max(0, status.total_slots - status.slots_available - status.active_sessions.length);
+  let rows = '';
+
+  for (let slot = 1; slot <= status.total_slots; slot++) {
+    const session = sessionsBySlot.get(slot);
+    const label = escapeHtml(t(locale, 'statusPage.slot', { slot }));
+
+    if (session) {
+      const name = showNames ? `@${session.username}` : maskUsername(session.username);
+      const remaining = session.remaining_minutes > 0
+        ? t(locale, 'statusPage.endsIn', { minutes: session.remaining_minutes })
+        : t(locale, 'statusPage.overdue');
+      rows += `<li class="slot busy${session.remaining_minutes > 0 ? '' : ' late'}">` +
+        `<span>${label}</span><span>${escapeHtml(name)}</span><span>${escapeHtml(remaining)}</span></li>`;
+    } else if (reserved > 0) {
+      reserved--;
+      rows += `<li class="slot reserved"><span>${label}</span><span>${escapeHtml(t(locale, 'statusPage.reserved'))}</span><span></span></li>`;
+    } else {
+      rows += `<li class="slot free"><span>${label}</span><span>${escapeHtml(t(locale, 'statusPage.free'))}</span><span></span></li>`;
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Genera la sezione di una stazione. I testi del catalogo sono sicuri, i parametri
+ * vengono inseriti già con l'escape e con l'eventuale grassetto
+ * @param {Object} status - Stato della stazione (queueHandler.getSystemStatus)
+ * @param {Boolean} showNames - Se mostrare gli username per intero
+ * @param {String} locale - Lingua della pagina
+ * @returns {String} - HTML della sezione
+ */
+function renderStation(status, showNames, locale) {
+  const wait = status.wait_estimate
+    ? ` &middot; ${t(locale, 'statusPage.nextTurn', {
+      wait: `<strong>${escapeHtml(formatters.formatWaitEstimate(status.wait_estimate, locale))}</strong>`
+    })}`
+    : '';
+
+  return `
+    <section class="station">
+      <h2>${escapeHtml(status.station_name)}</h2>
+      ${status.station_address ? `<p class="address">${escapeHtml(status.station_address)}</p>` : ''}
+      <p class="summary">${t(locale, 'statusPage.summary', { free: `<strong>${status.slots_available}</strong>`, total: status.total_slots })}</p>
+      <ul class="slots">${renderSlots(status, showNames, locale)}</ul>
+      <p class="queue">
+        ${status.queue_length > 0
+          ? `${t(locale, 'statusPage.queue', { count: `<strong>${status.queue_length}</strong>` })}${wait}`
+          : t(locale, 'statusPage.emptyQueue')}
+      </p>
+    </section>`;
+}
+
+/**
+ * Genera la pagina di stato completa
+ * @param {Array} statuses - Stato di tutte le stazioni (queueHandler.getAllStationsStatus)
+ * @param {Object} options - { showNames, refreshSeconds, locale }
+ * @returns {String} - Documento HTML
+ */
+function renderStatusPage(statuses, { showNames = false, refreshSeconds = 60, locale = DEFAULT_LOCALE } = {}) {
+  return `<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta http-equiv="refresh" content="${refreshSeconds}">
+  <title>Green Charge - ${escapeHtml(t(locale, 'statusPage.title'))}</title>
+  <style>
+    body { margin: 0; padding: 1.5rem; font-family: system-ui, sans-serif; background: #10151a; color: #e8eef2; }
+    h1 { margin: 0 0 1rem; font-size: 2rem; }
+    .stations { display: grid; gap: 1.5rem; grid-template-columns: repeat(auto-fit, minmax(320px, 1fr)); }
+    .station { background: #1b232b; border-radius: 12px; padding: 1.25rem; }
+    .station h2 { margin: 0; font-size: 1.6rem; }
+    .address { margin: 0.25rem 0 0; color: #9aa7b2; }
+    .summary { font-size: 1.3rem; }
+    .slots { list-style: none; margin: 0; padding: 0; }
+    .slot { display: grid; grid-template-columns: 5rem 1fr auto; gap: 0.5rem; padding: 0.6rem 0.8rem; margin-bottom: 0.4rem; border-radius: 8px; font-size: 1.15rem; }
+    .free { background: #1f5130; }
+    .busy { background: #5a3d1a; }
+    .late { background: #6b1f1f; }
+    .reserved { background: #2b3f5c; }
+    .queue { font-size: 1.2rem; margin-bottom: 0; }
+    footer { margin-top: 1.5rem; color: #9aa7b2; }
+  </style>
+</head>
+<body>
+  <h1>⚡ ${escapeHtml(t(locale, 'statusPage.title'))}</h1>
+  <div class="stations">${statuses.map(status => renderStation(status, showNames, locale)).join('')}</div>
+  <footer>${escapeHtml(t(locale, 'statusPage.footer', { time: formatters.formatTime(new Date(), locale), seconds: refreshSeconds }))}</footer>
+</body>
+</html>`;
+}
+
+/**
+ * Genera la pagina mostrata quando lo stato non è disponibile
+ * @param {Number} refreshSeconds - Secondi tra un aggiornamento e l'altro
+ * @param {String} locale - Lingua della pagina
+ * @returns {String} - Documento HTML
+ */
+function renderUnavailablePage(refreshSeconds = 60, locale = DEFAULT_LOCALE) {
+  return `<!DOCTYPE html>
+<html lang="${locale}">
+<head>
+  <meta charset="utf-8">
+  <meta http-equiv="refresh" content="${refreshSeconds}">
+  <title>Green Charge - ${escapeHtml(t(locale, 'statusPage.title'))}</title>
+</head>
+<body style="font-family: system-ui, sans-serif; background: #10151a; color: #e8eef2; padding: 1.5rem;">
+  <h1>⚡ ${escapeHtml(t(locale, 'statusPage.title'))}</h1>
+  <p>${escapeHtml(t(locale, 'statusPage.unavailable', { seconds: refreshSeconds }))}</p>
+</body>
+</html>`;
+}
+
+module.exports = {
+  maskUsername,
+  renderStatusPage,
+  renderUnavailablePage
+};